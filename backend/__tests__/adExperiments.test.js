@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+jest.unstable_mockModule('isomorphic-dompurify', () => ({
+  default: {
+    sanitize: (input) => input,
+  },
+}));
+
+const {
+  zForConfidence,
+  wilsonInterval,
+  twoProportionPValue,
+  pickAbTestVariant,
+  getVisitorKey,
+} = await import('../src/utils/abTestStats.js');
+const { default: Ad } = await import('../src/models/Ad.js');
+const { default: AdCollection } = await import('../src/models/AdCollection.js');
+const { default: AdStatsDaily } = await import('../src/models/AdStatsDaily.js');
+const { default: adExperimentService } = await import('../src/services/adExperimentService.js');
+
+const collectionId = new mongoose.Types.ObjectId();
+const variantA = { _id: new mongoose.Types.ObjectId(), name: 'Variant A', status: 'active' };
+const variantB = { _id: new mongoose.Types.ObjectId(), name: 'Variant B', status: 'active' };
+
+const stubVariants = (totals) => {
+  jest.spyOn(Ad, 'find').mockReturnValue({
+    select: () => ({ sort: () => ({ lean: async () => [variantA, variantB] }) }),
+  });
+  jest.spyOn(AdStatsDaily, 'aggregate').mockResolvedValue(totals);
+};
+
+const buildCollection = (abTest = {}) => ({
+  _id: collectionId,
+  rotationType: 'ab_test',
+  createdAt: new Date('2026-09-01T00:00:00Z'),
+  abTest: {
+    autoPromote: true,
+    confidenceLevel: 0.95,
+    minImpressionsPerVariant: 1000,
+    status: 'running',
+    startedAt: new Date('2026-10-01T08:00:00Z'),
+    winnerAdId: null,
+    history: [],
+    ...abTest,
+  },
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('A/B test statistics', () => {
+  test('computes Wilson intervals and two-proportion p-values', () => {
+    expect(zForConfidence(0.95)).toBeCloseTo(1.96, 2);
+
+    const interval = wilsonInterval(10, 100, 0.95);
+    expect(interval.low).toBeCloseTo(0.0552, 3);
+    expect(interval.high).toBeCloseTo(0.1744, 3);
+    expect(wilsonInterval(0, 0)).toEqual({ low: 0, high: 0 });
+
+    expect(twoProportionPValue(
+      { clicks: 200, impressions: 10000 },
+      { clicks: 150, impressions: 10000 }
+    )).toBeCloseTo(0.007, 3);
+    expect(twoProportionPValue({ clicks: 5, impressions: 100 }, { clicks: 0, impressions: 0 })).toBe(1);
+  });
+
+  test('assigns each visitor to the same variant and splits visitors evenly', () => {
+    const ads = [variantA, variantB];
+    const collection = buildCollection();
+    const visitorKey = getVisitorKey({ sessionId: 'session-1' });
+
+    const first = pickAbTestVariant(collection, ads, visitorKey);
+    for (let i = 0; i < 5; i += 1) {
+      expect(pickAbTestVariant(collection, [...ads].reverse(), visitorKey)).toBe(first);
+    }
+
+    const counts = new Map();
+    for (let i = 0; i < 2000; i += 1) {
+      const ad = pickAbTestVariant(collection, ads, getVisitorKey({ sessionId: `visitor-${i}` }));
+      counts.set(ad.name, (counts.get(ad.name) || 0) + 1);
+    }
+    expect(counts.get('Variant A')).toBeGreaterThan(900);
+    expect(counts.get('Variant B')).toBeGreaterThan(900);
+
+    const concluded = buildCollection({ winnerAdId: variantB._id });
+    expect(pickAbTestVariant(concluded, ads, visitorKey)).toBe(variantB);
+    expect(getVisitorKey({ userId: 'u1', sessionId: 's1' })).toBe('user:u1');
+  });
+});
+
+describe('adExperimentService', () => {
+  test('reports per-variant CTR since the experiment started', async () => {
+    stubVariants([
+      { _id: variantA._id, impressions: 10000, clicks: 200 },
+      { _id: variantB._id, impressions: 10000, clicks: 150 },
+    ]);
+
+    const results = await adExperimentService.getResults(buildCollection());
+
+    const [match] = AdStatsDaily.aggregate.mock.calls[0][0];
+    expect(match.$match.date.$gte).toEqual(new Date('2026-10-01T00:00:00Z'));
+    expect(results.variants[0]).toMatchObject({ name: 'Variant A', ctr: 2, impressions: 10000 });
+    expect(results.variants[0].ctrLow).toBeLessThan(2);
+    expect(results.variants[0].ctrHigh).toBeGreaterThan(2);
+    expect(results.leaderAdId).toBe(variantA._id);
+    expect(results).toMatchObject({ significant: true, sampleSizeReached: true, canPromote: true });
+  });
+
+  test('waits for the minimum sample before declaring a winner', async () => {
+    stubVariants([
+      { _id: variantA._id, impressions: 800, clicks: 40 },
+      { _id: variantB._id, impressions: 800, clicks: 8 },
+    ]);
+
+    const results = await adExperimentService.getResults(buildCollection());
+
+    expect(results.significant).toBe(true);
+    expect(results.sampleSizeReached).toBe(false);
+    expect(results.canPromote).toBe(false);
+  });
+
+  test('auto-promotes the leader and records the decision', async () => {
+    stubVariants([
+      { _id: variantA._id, impressions: 10000, clicks: 200 },
+      { _id: variantB._id, impressions: 10000, clicks: 150 },
+    ]);
+    const collection = buildCollection();
+    jest.spyOn(AdCollection, 'findById').mockResolvedValue(collection);
+    const update = jest.spyOn(AdCollection, 'findOneAndUpdate').mockResolvedValue({ _id: collectionId });
+
+    await expect(adExperimentService.evaluate(collection)).resolves.toBe(true);
+
+    const [filter, changes] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: collectionId, 'abTest.status': { $ne: 'concluded' } });
+    expect(changes.$set).toMatchObject({ 'abTest.status': 'concluded', 'abTest.winnerAdId': variantA._id });
+    const [entry] = changes.$push['abTest.history'].$each;
+    expect(entry).toMatchObject({ action: 'auto_promoted', winnerAdId: variantA._id, confidenceLevel: 0.95 });
+    expect(entry.variants).toHaveLength(2);
+  });
+
+  test('leaves experiments without auto-promotion alone', async () => {
+    const aggregate = jest.spyOn(AdStatsDaily, 'aggregate');
+
+    await expect(adExperimentService.evaluate(buildCollection({ autoPromote: false }))).resolves.toBe(false);
+    await expect(adExperimentService.evaluate(buildCollection({ status: 'concluded' }))).resolves.toBe(false);
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+});
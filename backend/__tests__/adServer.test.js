@@ -0,0 +1,245 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+jest.unstable_mockModule('isomorphic-dompurify', () => ({
+  default: {
+    sanitize: (input) => input,
+  },
+}));
+
+const { default: Ad } = await import('../src/models/Ad.js');
+const { default: AdCollection } = await import('../src/models/AdCollection.js');
+const { default: AdEvent } = await import('../src/models/AdEvent.js');
+const { default: Campaign } = await import('../src/models/Campaign.js');
+const { default: SiteSettings } = await import('../src/models/SiteSettings.js');
+const { default: subscriptionService } = await import('../src/services/subscriptionService.js');
+const { default: adServerService, AD_SERVER_PLACEMENTS } = await import('../src/services/adServerService.js');
+const { describeSiteSettingsAdSlots } = await import('../src/utils/siteSettingsAdSlots.js');
+
+const NOW = new Date('2026-10-11T05:00:00Z');
+
+const siteSettings = (overrides = {}) => ({
+  adsGlobal: { masterSwitch: true, hideForLoggedIn: false, hideForAdmin: true },
+  inArticleAd: { enabled: true, position: 4, imageUrl: '/house/subscribe.png', linkUrl: '/subscribe', showLabel: true },
+  floatingBanner: { enabled: false },
+  mobileAds: { stickyBottomEnabled: false, interstitialEnabled: false },
+  exitPopup: { enabled: true, title: 'Before you go', content: '<p>Get the morning brief</p>', linkUrl: '/newsletter', showOnMobile: false },
+  scrollAd: { enabled: false },
+  ...overrides,
+});
+
+const buildCampaign = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Mekong Bank launch',
+  status: 'active',
+  placement: 'in_content',
+  targeting: { pages: ['article'], devices: [], countries: [], categories: [] },
+  schedule: { startDate: new Date('2026-10-01T00:00:00Z'), endDate: null, timezone: 'Asia/Phnom_Penh' },
+  billing: { pricingModel: 'flat', rate: 500 },
+  stats: { budget: 0, spent: 0 },
+  frequency: { type: 'once_per_day' },
+  ads: [{ adId: 'mekong-a', imageUrl: '/ads/mekong.png', linkUrl: 'https://mekong.example', weight: 100, isActive: true }],
+  ...overrides,
+});
+
+const buildCollection = (overrides = {}) => new AdCollection({
+  name: 'House in-article',
+  placement: 'in_article',
+  targetPages: ['all'],
+  targetDevices: ['desktop', 'mobile', 'tablet'],
+  targetUserTypes: ['all'],
+  targetCountries: ['all'],
+  schedule: { startDate: new Date('2026-01-01T00:00:00Z') },
+  frequency: { type: 'once_per_session' },
+  priority: 5,
+  createdBy: new mongoose.Types.ObjectId(),
+  ...overrides,
+});
+
+const mockSources = ({ settings = siteSettings(), campaigns = [], collections = [] } = {}) => {
+  jest.spyOn(SiteSettings, 'getSettings').mockResolvedValue(settings);
+  jest.spyOn(Campaign, 'find').mockReturnValue({ lean: async () => campaigns });
+  jest.spyOn(AdCollection, 'find').mockReturnValue({ sort: async () => collections });
+};
+
+const context = { placement: 'in_article', pageType: 'article', device: 'desktop', country: 'KH', sessionId: 'abc' };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('adServerService.decide', () => {
+  test('a running campaign outranks collections and SiteSettings slots', async () => {
+    const campaign = buildCampaign();
+    const collection = buildCollection();
+    mockSources({ campaigns: [campaign], collections: [collection] });
+    const hasSeen = jest.spyOn(AdEvent, 'hasSeenCollection');
+
+    const { ad, trace } = await adServerService.decide(context, { explain: true, now: NOW });
+
+    expect(ad).toMatchObject({
+      source: 'campaign',
+      sourceId: campaign._id.toString(),
+      adId: 'mekong-a',
+      imageUrl: '/ads/mekong.png',
+      frequency: 'once_per_day',
+      tracking: {
+        endpoint: '/api/campaigns/track',
+        eventKey: 'event',
+        body: { campaignId: campaign._id.toString(), adId: 'mekong-a' },
+      },
+    });
+    expect(Campaign.find).toHaveBeenCalledWith({ status: 'active', placement: 'in_content' });
+    expect(trace.map(({ source, decision, reason }) => [source, decision, reason])).toEqual([
+      ['campaign', 'selected', 'eligible'],
+      ['collection', 'outranked', 'higher_precedence_source'],
+      ['site_settings', 'outranked', 'higher_precedence_source'],
+    ]);
+    expect(hasSeen).not.toHaveBeenCalled();
+  });
+
+  test('stops at the first source with an ad unless asked to explain', async () => {
+    mockSources({ campaigns: [buildCampaign()], collections: [buildCollection()] });
+
+    const { trace } = await adServerService.decide(context, { now: NOW });
+
+    expect(trace.map((entry) => entry.source)).toEqual(['campaign']);
+    expect(AdCollection.find).not.toHaveBeenCalled();
+  });
+
+  test('falls through to the SiteSettings slot with the reason for each rejection', async () => {
+    const offTarget = buildCampaign({ targeting: { pages: ['homepage'], devices: [], countries: [], categories: [] } });
+    const exhausted = buildCampaign({
+      name: 'Spent',
+      billing: { pricingModel: 'cpm', rate: 4 },
+      stats: { budget: 100, spent: 100 },
+    });
+    const capped = buildCollection({ name: 'Capped' });
+    const mobileOnly = buildCollection({ name: 'Mobile only', targetDevices: ['mobile'] });
+    mockSources({ campaigns: [offTarget, exhausted], collections: [capped, mobileOnly] });
+    const pause = jest.spyOn(Campaign, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(AdEvent, 'hasSeenCollection').mockResolvedValue(true);
+
+    const { ad, trace } = await adServerService.decide(context, { explain: true, now: NOW });
+
+    expect(trace.map(({ name, decision, reason }) => [name, decision, reason])).toEqual([
+      ['Mekong Bank launch', 'rejected', 'page_not_targeted'],
+      ['Spent', 'rejected', 'budget_exhausted'],
+      ['Capped', 'rejected', 'frequency_once_per_session'],
+      ['Mobile only', 'rejected', 'targeting_mismatch'],
+      ['inArticleAd', 'selected', 'enabled'],
+    ]);
+    expect(pause.mock.calls[0][0]).toEqual({ _id: exhausted._id, status: 'active' });
+    expect(ad).toMatchObject({
+      source: 'site_settings',
+      sourceId: 'inArticleAd',
+      type: 'image',
+      imageUrl: '/house/subscribe.png',
+      settings: { paragraphIndex: 4 },
+      tracking: null,
+    });
+  });
+
+  test('serves a collection ad with its tracking payload', async () => {
+    const collection = buildCollection({ rotationType: 'ab_test' });
+    const selected = new Ad({ collectionId: collection._id, name: 'Variant B', imageUrl: '/ads/b.png' });
+    mockSources({ collections: [collection] });
+    jest.spyOn(AdEvent, 'hasSeenCollection').mockResolvedValue(false);
+    jest.spyOn(subscriptionService, 'isAdFree').mockResolvedValue(false);
+    const select = jest.spyOn(Ad, 'selectFromCollection').mockResolvedValue(selected);
+
+    const { ad, trace } = await adServerService.decide({ ...context, user: { _id: 'u1', role: 'user' } }, { now: NOW });
+
+    expect(select).toHaveBeenCalledWith(collection._id, 'ab_test', 'user:u1');
+    expect(ad).toMatchObject({
+      source: 'collection',
+      adId: selected._id.toString(),
+      labelText: 'Advertisement',
+      tracking: { endpoint: '/api/ads/track', eventKey: 'type', body: { adId: selected._id.toString() } },
+    });
+    expect(trace).toContainEqual(expect.objectContaining({ source: 'campaign', decision: 'unavailable', reason: 'no_active_campaigns' }));
+  });
+
+  test('global switches block every source', async () => {
+    mockSources({ settings: siteSettings({ adsGlobal: { masterSwitch: false } }) });
+    await expect(adServerService.decide(context, { now: NOW })).resolves.toEqual({
+      ad: null,
+      trace: [{ source: 'global', id: null, name: null, decision: 'blocked', reason: 'master_switch_off' }],
+    });
+
+    mockSources();
+    const adFree = jest.spyOn(subscriptionService, 'isAdFree').mockResolvedValue(true);
+    const { trace } = await adServerService.decide({ ...context, user: { _id: 'u1', role: 'user' } }, { now: NOW });
+    expect(trace[0].reason).toBe('ad_free_subscription');
+    expect(adFree).toHaveBeenCalledWith('u1');
+
+    const admin = await adServerService.decide({ ...context, user: { _id: 'a1', role: 'admin' } }, { now: NOW });
+    expect(admin.trace[0].reason).toBe('hidden_for_admin');
+  });
+
+  test('SiteSettings-only placements skip campaigns and collections', async () => {
+    mockSources();
+
+    const { ad, trace } = await adServerService.decide({ ...context, placement: 'exit_popup' }, { now: NOW });
+
+    expect(AD_SERVER_PLACEMENTS).toEqual(expect.arrayContaining(['in_article', 'exit_popup', 'scroll']));
+    expect(Campaign.find).not.toHaveBeenCalled();
+    expect(trace.slice(0, 2).map((entry) => entry.decision)).toEqual(['unavailable', 'unavailable']);
+    expect(ad).toMatchObject({ source: 'site_settings', type: 'html', title: 'Before you go', linkUrl: '/newsletter' });
+
+    const mobile = await adServerService.decide({ ...context, placement: 'exit_popup', device: 'mobile' }, { now: NOW });
+    expect(mobile.ad).toBeNull();
+    expect(mobile.trace[2]).toMatchObject({ name: 'exitPopup', decision: 'rejected', reason: 'device_not_targeted' });
+  });
+});
+
+describe('AdCollection region targeting', () => {
+  test('matches the resolved region against targeted and excluded regions', () => {
+    const phnomPenh = buildCollection({ targetCountries: ['KH'], targetRegions: ['kh-12'] });
+    const notSiemReap = buildCollection({ excludeRegions: ['KH-17'] });
+    const visitor = { pageType: 'article', device: 'desktop', country: 'KH' };
+
+    expect(phnomPenh.targetRegions).toEqual(['KH-12']);
+    expect(phnomPenh.matchesContext({ ...visitor, region: 'KH-12' })).toBe(true);
+    expect(phnomPenh.matchesContext({ ...visitor, region: 'KH-17' })).toBe(false);
+    expect(phnomPenh.matchesContext(visitor)).toBe(false);
+
+    expect(notSiemReap.matchesContext({ ...visitor, region: 'KH-17' })).toBe(false);
+    expect(notSiemReap.matchesContext({ ...visitor, region: 'KH-12' })).toBe(true);
+    expect(notSiemReap.matchesContext(visitor)).toBe(true);
+  });
+
+  test('the ad server passes the visitor region to collection targeting', async () => {
+    const collection = buildCollection({ name: 'Phnom Penh only', targetRegions: ['KH-12'] });
+    mockSources({ collections: [collection] });
+
+    const { trace } = await adServerService.decide({ ...context, region: 'KH-17' }, { explain: true, now: NOW });
+
+    expect(trace).toContainEqual(expect.objectContaining({
+      name: 'Phnom Penh only',
+      decision: 'rejected',
+      reason: 'targeting_mismatch',
+    }));
+  });
+});
+
+describe('describeSiteSettingsAdSlots', () => {
+  test('maps each slot to a placement, devices and collection frequency', () => {
+    const slots = describeSiteSettingsAdSlots(siteSettings({
+      floatingBanner: { enabled: true, showOnMobile: false, showOnDesktop: true, frequency: 'every_page' },
+      mobileAds: { interstitialEnabled: true, interstitialImageUrl: '/i.png', interstitialFrequency: 'always' },
+    }));
+    const byKey = Object.fromEntries(slots.map((slot) => [slot.key, slot]));
+
+    expect(slots.map((slot) => slot.placement)).toEqual([
+      'in_article', 'floating_banner', 'floating_banner', 'popup', 'exit_popup', 'scroll',
+    ]);
+    expect(byKey.floatingBanner).toMatchObject({ enabled: true, devices: ['desktop', 'tablet'], frequency: 'once_per_page' });
+    expect(byKey['mobileAds.interstitial']).toMatchObject({
+      enabledPath: 'mobileAds.interstitialEnabled',
+      devices: ['mobile'],
+      frequency: 'unlimited',
+    });
+    expect(byKey.scrollAd.enabled).toBe(false);
+  });
+});
@@ -0,0 +1,250 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+jest.unstable_mockModule('isomorphic-dompurify', () => ({
+  default: {
+    sanitize: (input) => input,
+  },
+}));
+
+const { default: Ad } = await import('../src/models/Ad.js');
+const { default: AdCollection } = await import('../src/models/AdCollection.js');
+const { default: AdCreativeSubmission } = await import('../src/models/AdCreativeSubmission.js');
+const { default: AdStatsDaily } = await import('../src/models/AdStatsDaily.js');
+const { default: Campaign } = await import('../src/models/Campaign.js');
+const { default: CampaignSpendDaily } = await import('../src/models/CampaignSpendDaily.js');
+const { default: storageService } = await import('../src/services/storageService.js');
+const { default: notificationService } = await import('../src/services/notificationService.js');
+const { default: advertiserPortalService } = await import('../src/services/advertiserPortalService.js');
+const { ForbiddenError, BadRequestError, ConflictError, NotFoundError } = await import('../src/utils/errors.js');
+
+const campaign = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Mekong Bank launch',
+  placement: 'top_banner',
+  status: 'active',
+  billing: { pricingModel: 'cpm', rate: 4, currency: 'USD' },
+};
+const collection = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Mekong Bank sidebar',
+  placement: 'sidebar',
+  status: 'active',
+};
+const adId = new mongoose.Types.ObjectId();
+
+const advertiser = {
+  _id: new mongoose.Types.ObjectId(),
+  role: 'advertiser',
+  advertiser: { company: 'Mekong Bank', campaigns: [campaign._id], collections: [collection._id] },
+};
+
+const query = (result) => ({
+  select() { return this; },
+  sort() { return this; },
+  lean: async () => result,
+});
+
+const mockReportSources = () => {
+  jest.spyOn(Campaign, 'find').mockReturnValue(query([campaign]));
+  jest.spyOn(AdCollection, 'find').mockReturnValue(query([collection]));
+  jest.spyOn(Ad, 'find').mockReturnValue(query([{ _id: adId, collectionId: collection._id }]));
+  jest.spyOn(AdStatsDaily, 'find').mockReturnValue(query([
+    {
+      adId,
+      date: new Date('2026-10-10T00:00:00'),
+      impressions: 400,
+      clicks: 8,
+      byDevice: { desktop: { impressions: 300, clicks: 6 }, mobile: { impressions: 100, clicks: 2 } },
+    },
+  ]));
+  jest.spyOn(CampaignSpendDaily, 'find').mockReturnValue(query([
+    { campaign: campaign._id, day: '2026-10-10', impressions: 1000, clicks: 10, spend: 4 },
+    { campaign: campaign._id, day: '2026-10-11', impressions: 500, clicks: 5, spend: 2 },
+  ]));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('advertiser report', () => {
+  test('combines collection stats and campaign spend by day, device and placement', async () => {
+    mockReportSources();
+
+    const report = await advertiserPortalService.getReport(advertiser, { from: '2026-10-10', to: '2026-10-11' });
+
+    expect(Campaign.find.mock.calls[0][0]).toEqual({ _id: { $in: [campaign._id] } });
+    expect(CampaignSpendDaily.find.mock.calls[0][0].day).toEqual({ $gte: '2026-10-10', $lte: '2026-10-11' });
+    expect(report.totals).toEqual({ impressions: 1900, clicks: 23, ctr: 1.21, spend: 6 });
+    expect(report.byDay).toEqual([
+      { day: '2026-10-10', impressions: 1400, clicks: 18, ctr: 1.29, spend: 4 },
+      { day: '2026-10-11', impressions: 500, clicks: 5, ctr: 1, spend: 2 },
+    ]);
+    expect(report.byDevice).toEqual([
+      { device: 'desktop', impressions: 300, clicks: 6, ctr: 2, spend: 0 },
+      { device: 'mobile', impressions: 100, clicks: 2, ctr: 2, spend: 0 },
+      { device: 'tablet', impressions: 0, clicks: 0, ctr: 0, spend: 0 },
+      { device: 'unattributed', impressions: 1500, clicks: 15, ctr: 1, spend: 6 },
+    ]);
+    expect(report.byPlacement.map((row) => [row.placement, row.impressions])).toEqual([
+      ['top_banner', 1500],
+      ['sidebar', 400],
+    ]);
+    expect(report.items).toEqual([
+      expect.objectContaining({ type: 'campaign', name: 'Mekong Bank launch', spend: 6 }),
+      expect.objectContaining({ type: 'collection', name: 'Mekong Bank sidebar', impressions: 400 }),
+    ]);
+
+    const csv = advertiserPortalService.toCsv(report, 'placement').split('\n');
+    expect(csv[0]).toBe('Placement,Impressions,Clicks,CTR %,Spend (USD)');
+    expect(csv[1]).toBe('top_banner,1500,15,1,6');
+    expect(csv[3]).toBe('Total,1900,23,1.21,6');
+
+    const pdf = await advertiserPortalService.toPdf(report);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('narrows to one linked record and refuses records that are not linked', async () => {
+    mockReportSources();
+
+    const report = await advertiserPortalService.getReport(advertiser, {
+      from: '2026-10-10',
+      to: '2026-10-11',
+      collectionId: collection._id.toString(),
+    });
+
+    expect(report.items).toHaveLength(1);
+    expect(report.totals.impressions).toBe(400);
+    expect(CampaignSpendDaily.find).not.toHaveBeenCalled();
+
+    await expect(advertiserPortalService.getReport(advertiser, { campaignId: new mongoose.Types.ObjectId().toString() }))
+      .rejects.toBeInstanceOf(ForbiddenError);
+    await expect(advertiserPortalService.getReport({ ...advertiser, advertiser: undefined }, { collectionId: collection._id }))
+      .rejects.toBeInstanceOf(ForbiddenError);
+  });
+});
+
+describe('creative submissions', () => {
+  const image = { originalname: 'banner.png', mimetype: 'image/png', size: 2048, buffer: Buffer.from('png') };
+
+  test('uploads the image and waits for review', async () => {
+    jest.spyOn(storageService, 'upload').mockResolvedValue({ url: '/uploads/ad-creatives/banner.png', storageKey: 'ad-creatives/banner.png' });
+    const create = jest.spyOn(AdCreativeSubmission, 'create').mockImplementation(async (data) => data);
+
+    await expect(advertiserPortalService.submitCreative(advertiser, { name: 'Autumn rates' }, {}))
+      .rejects.toBeInstanceOf(BadRequestError);
+    await expect(advertiserPortalService.submitCreative(advertiser, {
+      name: 'Autumn rates',
+      campaignId: campaign._id.toString(),
+      collectionId: collection._id.toString(),
+    }, { image: [image] })).rejects.toThrow('Choose either a campaign or an ad collection');
+
+    await advertiserPortalService.submitCreative(advertiser, {
+      name: 'Autumn rates',
+      campaignId: campaign._id.toString(),
+      linkUrl: 'https://mekong.example/autumn',
+    }, { image: [image] });
+
+    expect(storageService.upload).toHaveBeenCalledWith(image, { folder: 'ad-creatives' });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      advertiser: advertiser._id,
+      campaign: campaign._id.toString(),
+      collectionId: null,
+      imageUrl: '/uploads/ad-creatives/banner.png',
+      linkUrl: 'https://mekong.example/autumn',
+    }));
+  });
+
+  test('approval puts a creative live in its collection or campaign', async () => {
+    const reviewer = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const notify = jest.spyOn(notificationService, 'notifyCreativeReviewed').mockResolvedValue(null);
+    const forCollection = new AdCreativeSubmission({
+      advertiser: advertiser._id,
+      collectionId: collection._id,
+      name: 'Autumn rates',
+      imageUrl: '/uploads/ad-creatives/banner.png',
+      linkUrl: 'https://mekong.example/autumn',
+      status: 'approved',
+    });
+    const claim = jest.spyOn(AdCreativeSubmission, 'findOneAndUpdate').mockResolvedValue(forCollection);
+    const setLiveAd = jest.spyOn(AdCreativeSubmission, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(AdCollection, 'findById').mockReturnValue({ select: async () => ({ _id: collection._id }) });
+    const liveAd = new Ad({ collectionId: collection._id, name: 'Autumn rates' });
+    const createAd = jest.spyOn(Ad, 'create').mockResolvedValue(liveAd);
+
+    const approved = await advertiserPortalService.approveCreative(forCollection._id, reviewer);
+
+    expect(claim).toHaveBeenCalledWith(
+      { _id: forCollection._id, status: 'pending' },
+      { $set: expect.objectContaining({ status: 'approved', reviewedBy: reviewer._id }) },
+      { new: true }
+    );
+    expect(createAd).toHaveBeenCalledWith(expect.objectContaining({
+      collectionId: collection._id,
+      imageUrl: '/uploads/ad-creatives/banner.png',
+      status: 'active',
+      createdBy: reviewer._id,
+    }));
+    expect(setLiveAd).toHaveBeenCalledWith({ _id: forCollection._id }, { $set: { liveAdId: liveAd._id.toString() } });
+    expect(approved).toMatchObject({ status: 'approved', liveAdId: liveAd._id.toString() });
+    expect(notify).toHaveBeenCalledWith(forCollection);
+
+    const forCampaign = new AdCreativeSubmission({
+      advertiser: advertiser._id,
+      campaign: campaign._id,
+      name: 'Autumn rates',
+      imageUrl: '/uploads/ad-creatives/banner.png',
+      linkUrl: 'https://mekong.example/autumn',
+      status: 'approved',
+    });
+    claim.mockResolvedValue(forCampaign);
+    const campaignDoc = { ads: [], save: jest.fn().mockResolvedValue(null) };
+    jest.spyOn(Campaign, 'findById').mockResolvedValue(campaignDoc);
+
+    await advertiserPortalService.approveCreative(forCampaign._id, reviewer);
+
+    expect(campaignDoc.ads).toEqual([expect.objectContaining({
+      adId: forCampaign.liveAdId,
+      imageUrl: '/uploads/ad-creatives/banner.png',
+      linkUrl: 'https://mekong.example/autumn',
+    })]);
+    expect(campaignDoc.save).toHaveBeenCalled();
+  });
+
+  test('a creative another reviewer already claimed is not put live twice', async () => {
+    const reviewer = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const id = new mongoose.Types.ObjectId();
+    jest.spyOn(AdCreativeSubmission, 'findOneAndUpdate').mockResolvedValue(null);
+    const exists = jest.spyOn(AdCreativeSubmission, 'exists').mockResolvedValue({ _id: id });
+    const createAd = jest.spyOn(Ad, 'create');
+
+    await expect(advertiserPortalService.approveCreative(id, reviewer)).rejects.toBeInstanceOf(ConflictError);
+    await expect(advertiserPortalService.rejectCreative(id, reviewer, 'Too late')).rejects.toBeInstanceOf(ConflictError);
+    expect(createAd).not.toHaveBeenCalled();
+
+    exists.mockResolvedValue(null);
+    await expect(advertiserPortalService.rejectCreative(id, reviewer, 'Gone')).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  test('a failed approval returns the creative to the queue', async () => {
+    const reviewer = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const submission = new AdCreativeSubmission({
+      advertiser: advertiser._id,
+      campaign: campaign._id,
+      name: 'Autumn rates',
+      imageUrl: '/uploads/ad-creatives/banner.png',
+      linkUrl: 'https://mekong.example/autumn',
+      status: 'approved',
+    });
+    jest.spyOn(AdCreativeSubmission, 'findOneAndUpdate').mockResolvedValue(submission);
+    const release = jest.spyOn(AdCreativeSubmission, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Campaign, 'findById').mockResolvedValue(null);
+
+    await expect(advertiserPortalService.approveCreative(submission._id, reviewer)).rejects.toThrow('Campaign not found');
+    expect(release).toHaveBeenCalledWith(
+      { _id: submission._id, status: 'approved' },
+      { $set: { status: 'pending', reviewNote: '' }, $unset: { reviewedBy: 1, reviewedAt: 1 } }
+    );
+  });
+});
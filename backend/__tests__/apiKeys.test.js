@@ -0,0 +1,199 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+
+const mockKeyFindOne = jest.fn();
+const mockKeyCreate = jest.fn();
+const mockKeyUpdateOne = jest.fn();
+const mockLogCreate = jest.fn();
+const mockUserFindById = jest.fn();
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  User: { findById: (...args) => mockUserFindById(...args) },
+  Session: { exists: jest.fn() },
+  ApiKey: {
+    findOne: (...args) => mockKeyFindOne(...args),
+    create: (...args) => mockKeyCreate(...args),
+    updateOne: (...args) => mockKeyUpdateOne(...args),
+  },
+  ApiKeyRequestLog: { create: (...args) => mockLogCreate(...args) },
+  API_KEY_SCOPES: ['articles:read', 'articles:write', 'articles:workflow', 'analytics:read', 'ads:track'],
+}));
+
+const {
+  default: apiKeyService,
+  hashApiKey,
+  extractApiKey,
+  getRequiredScope,
+} = await import('../src/services/apiKeyService.js');
+const { apiKeyAuth, authenticate, optionalAuth } = await import('../src/middleware/auth.js');
+
+const partner = { _id: 'user-partner', role: 'writer', status: 'active' };
+
+const buildKey = (overrides = {}) => ({
+  _id: 'key-1',
+  scopes: ['articles:read'],
+  user: 'user-partner',
+  ipAllowlist: [],
+  rateLimitPerMinute: 2,
+  expiresAt: null,
+  revokedAt: null,
+  ...overrides,
+});
+
+const buildReq = (overrides = {}) => ({
+  method: 'GET',
+  originalUrl: '/api/articles/my?page=2',
+  ip: '198.51.100.7',
+  headers: { 'x-api-key': 'bpk_test-key' },
+  ...overrides,
+});
+
+const createMockRes = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.headersSent = false;
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.getHeader = (name) => res.headers[name.toLowerCase()];
+  res.append = res.setHeader;
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+// Run a middleware and report whether it passed the request on
+const run = async (middleware, req, res = createMockRes()) => {
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, passed: next.mock.calls.length > 0 && next.mock.calls[0].length === 0 };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockKeyFindOne.mockResolvedValue(buildKey());
+  mockKeyUpdateOne.mockResolvedValue({ modifiedCount: 1 });
+  mockLogCreate.mockResolvedValue({});
+  mockUserFindById.mockResolvedValue(partner);
+});
+
+describe('api key service', () => {
+  test('stores only a hash and returns the key once', async () => {
+    mockKeyCreate.mockImplementation(async (data) => data);
+
+    const { apiKey, key } = await apiKeyService.create(
+      { name: 'Mobile app', scopes: ['articles:read'], user: 'user-partner' },
+      { _id: 'admin-1' }
+    );
+
+    expect(key).toMatch(/^bpk_[\w-]{32}$/);
+    expect(apiKey.keyHash).toBe(hashApiKey(key));
+    expect(JSON.stringify(apiKey)).not.toContain(key);
+    expect(key.startsWith(apiKey.prefix)).toBe(true);
+    expect(apiKey).toMatchObject({ user: 'user-partner', createdBy: 'admin-1' });
+  });
+
+  test('maps endpoints to scopes and reads keys from either header', () => {
+    expect(getRequiredScope('GET', '/articles/my')).toBe('articles:read');
+    expect(getRequiredScope('PUT', '/articles/abc')).toBe('articles:write');
+    expect(getRequiredScope('POST', '/articles')).toBe('articles:write');
+    expect(getRequiredScope('POST', '/uploads/multiple')).toBe('articles:write');
+    expect(getRequiredScope('PUT', '/articles/abc/workflow/final-approve')).toBe('articles:workflow');
+    expect(getRequiredScope('DELETE', '/articles/abc/workflow/translation-assignments/km')).toBe('articles:workflow');
+    expect(getRequiredScope('PUT', '/articles/abc/approve')).toBe('articles:workflow');
+    expect(getRequiredScope('POST', '/articles/abc/revisions/rev-1/restore')).toBeNull();
+    expect(getRequiredScope('GET', '/advanced-analytics/overview')).toBe('analytics:read');
+    expect(getRequiredScope('POST', '/ads/track')).toBe('ads:track');
+    expect(getRequiredScope('GET', '/users')).toBeNull();
+    expect(getRequiredScope('GET', '/articlesx')).toBeNull();
+
+    expect(extractApiKey({ headers: { authorization: 'Bearer bpk_abc' } })).toBe('bpk_abc');
+    expect(extractApiKey({ headers: { authorization: 'Bearer eyJhbGciOi' } })).toBeNull();
+  });
+
+  test('rejects revoked, expired and off-allowlist keys', async () => {
+    mockKeyFindOne.mockResolvedValueOnce(buildKey({ revokedAt: new Date() }));
+    await expect(apiKeyService.verify('bpk_x', '10.0.0.1')).rejects.toMatchObject({ statusCode: 401 });
+
+    mockKeyFindOne.mockResolvedValueOnce(buildKey({ expiresAt: new Date(Date.now() - 1000) }));
+    await expect(apiKeyService.verify('bpk_x', '10.0.0.1')).rejects.toThrow('API key has expired');
+
+    mockKeyFindOne.mockResolvedValueOnce(buildKey({ ipAllowlist: ['10.0.0.0/24'] }));
+    await expect(apiKeyService.verify('bpk_x', '10.0.1.1')).rejects.toMatchObject({ statusCode: 403 });
+
+    mockKeyFindOne.mockResolvedValueOnce(buildKey({ ipAllowlist: ['10.0.0.0/24'] }));
+    await expect(apiKeyService.verify('bpk_x', '::ffff:10.0.0.9')).resolves.toMatchObject({ _id: 'key-1' });
+
+    expect(mockKeyFindOne).toHaveBeenCalledWith({ keyHash: hashApiKey('bpk_x') });
+  });
+});
+
+describe('api key middleware', () => {
+  test('authenticates as the key user within its scopes and logs the request', async () => {
+    const req = buildReq();
+    const res = createMockRes();
+
+    expect((await run(apiKeyAuth, req, res)).passed).toBe(true);
+    expect((await run(authenticate, req)).passed).toBe(true);
+    expect(req.user).toBe(partner);
+
+    res.statusCode = 200;
+    res.emit('finish');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(mockLogCreate).toHaveBeenCalledWith(expect.objectContaining({
+      apiKey: 'key-1',
+      method: 'GET',
+      path: '/articles/my',
+      statusCode: 200,
+    }));
+    expect(mockKeyUpdateOne).toHaveBeenCalledWith(
+      { _id: 'key-1' },
+      expect.objectContaining({ $inc: { requestCount: 1 } })
+    );
+  });
+
+  test('refuses endpoints outside the scopes', async () => {
+    const write = buildReq({ method: 'POST', originalUrl: '/api/articles', headers: { 'x-api-key': 'bpk_scope' } });
+    await run(apiKeyAuth, write);
+    const denied = await run(authenticate, write);
+
+    const approve = buildReq({
+      method: 'PUT',
+      originalUrl: '/api/articles/abc/workflow/final-approve',
+      headers: { 'x-api-key': 'bpk_scope' },
+    });
+    await run(apiKeyAuth, approve);
+    const workflowDenied = await run(authenticate, approve);
+
+    const users = buildReq({ originalUrl: '/api/users', headers: { 'x-api-key': 'bpk_scope' } });
+    await run(apiKeyAuth, users);
+    const notForKeys = await run(authenticate, users);
+
+    // optionalAuth routes stay reachable, just anonymously
+    const anonymous = await run(optionalAuth, users);
+
+    expect(denied.passed).toBe(false);
+    expect(denied.res.status).toHaveBeenCalledWith(403);
+    expect(denied.res.json.mock.calls[0][0].message).toContain('articles:write');
+    expect(workflowDenied.res.json.mock.calls[0][0].message).toContain('articles:workflow');
+    expect(notForKeys.res.json.mock.calls[0][0].message).toBe('This endpoint is not available to API keys');
+    expect(anonymous.passed).toBe(true);
+    expect(users.user).toBeNull();
+  });
+
+  test('rejects unknown keys and enforces the per-key rate limit', async () => {
+    mockKeyFindOne.mockResolvedValueOnce(null);
+    const unknown = await run(apiKeyAuth, buildReq({ headers: { 'x-api-key': 'bpk_unknown' } }));
+    expect(unknown.res.status).toHaveBeenCalledWith(401);
+
+    mockKeyFindOne.mockResolvedValue(buildKey({ _id: 'key-limited', rateLimitPerMinute: 2 }));
+    const results = [];
+    for (let i = 0; i < 3; i += 1) {
+      results.push(await run(apiKeyAuth, buildReq()));
+    }
+
+    expect(results.map((result) => result.passed)).toEqual([true, true, false]);
+    expect(results[2].res.status).toHaveBeenCalledWith(429);
+  });
+});
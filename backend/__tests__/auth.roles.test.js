@@ -8,6 +8,11 @@ jest.unstable_mockModule('../src/models/index.js', () => ({
   User: {
     findById: jest.fn(),
   },
+  Session: {
+    exists: jest.fn(),
+  },
+  ApiKey: {},
+  ApiKeyRequestLog: {},
 }));
 
 let authorize;
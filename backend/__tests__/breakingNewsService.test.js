@@ -0,0 +1,184 @@
+import { jest } from '@jest/globals';
+
+const mockEmit = jest.fn();
+const mockSendToChatGroup = jest.fn();
+const mockEmailSend = jest.fn();
+const mockNewsletterFind = jest.fn();
+const mockCacheDel = jest.fn();
+const mockUpdateOne = jest.fn();
+
+jest.unstable_mockModule('../src/models/index.js', async () => {
+  const { default: BreakingNews } = await import('../src/models/BreakingNews.js');
+  BreakingNews.prototype.save = async function save() { return this; };
+  BreakingNews.prototype.populate = async function populate() { return this; };
+  BreakingNews.updateOne = async (...args) => mockUpdateOne(...args);
+
+  return {
+    BreakingNews,
+    Newsletter: {
+      find: (...args) => {
+        mockNewsletterFind(...args);
+        return {
+          select: () => ({
+            lean: async () => [
+              { email: 'a@example.com', unsubscribeToken: 'tok-a' },
+              { email: 'b@example.com', unsubscribeToken: 'tok-b' },
+            ],
+          }),
+        };
+      },
+    },
+  };
+});
+
+jest.unstable_mockModule('../src/services/notificationService.js', () => ({
+  default: {
+    io: { emit: (...args) => mockEmit(...args), engine: { clientsCount: 12 } },
+  },
+}));
+
+jest.unstable_mockModule('../src/services/telegramService.js', () => ({
+  default: {
+    getChatIdsByRole: (role) => (role === 'channel' ? ['@bassacpost'] : []),
+    sendToChatGroup: (...args) => mockSendToChatGroup(...args),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/emailService.js', () => ({
+  default: {
+    send: (...args) => mockEmailSend(...args),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/cacheService.js', () => ({
+  default: {
+    key: (prefix, ...parts) => `bassac:${prefix}:${parts.join(':')}`,
+    get: async () => null,
+    set: async () => true,
+    del: async (key) => mockCacheDel(key),
+  },
+}));
+
+const { BreakingNews } = await import('../src/models/index.js');
+const { default: breakingNewsService } = await import('../src/services/breakingNewsService.js');
+
+const buildAlert = (overrides = {}) => new BreakingNews({
+  title: 'Floods close National Road 5',
+  summary: 'Traffic diverted near Kampong Chhnang.',
+  url: '/article/floods-nr5',
+  priority: 'high',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  createdBy: '64b000000000000000000002',
+  ...overrides,
+});
+
+beforeEach(() => {
+  mockEmit.mockReset();
+  mockSendToChatGroup.mockReset().mockResolvedValue([{ ok: true }]);
+  mockEmailSend.mockReset().mockResolvedValue({ messageId: 'm1' });
+  mockNewsletterFind.mockReset();
+  mockCacheDel.mockReset();
+  mockUpdateOne.mockReset().mockResolvedValue({ matchedCount: 1 });
+});
+
+/** Wait for the background newsletter started by publish, if any. */
+const emailsSent = async (dispatch) => {
+  await Promise.all(dispatch.mock.results.map((result) => result.value));
+};
+
+describe('breakingNewsService.publish', () => {
+  it('fans the alert out to sockets, Telegram and opted-in subscribers', async () => {
+    const dispatch = jest.spyOn(breakingNewsService, 'dispatchNewsletter');
+    const alert = buildAlert();
+
+    await breakingNewsService.publish(alert);
+
+    expect(alert.stats.delivery.toObject()).toEqual({ socket: 12, telegram: 1, email: 0 });
+    expect(alert.stats.sent).toBe(13);
+    await emailsSent(dispatch);
+
+    expect(alert.status).toBe('active');
+    expect(alert.publishedAt).toBeInstanceOf(Date);
+    expect(mockEmit).toHaveBeenCalledWith('breaking-news', expect.objectContaining({
+      title: 'Floods close National Road 5',
+      url: expect.stringMatching(/\/article\/floods-nr5$/),
+      priority: 'high',
+    }));
+    expect(mockSendToChatGroup).toHaveBeenCalledWith(
+      ['@bassacpost'],
+      expect.stringContaining('BREAKING (HIGH): Floods close National Road 5'),
+      expect.objectContaining({ parseMode: 'HTML' })
+    );
+    expect(mockNewsletterFind).toHaveBeenCalledWith({ status: 'confirmed', 'preferences.breakingNews': true });
+    expect(mockEmailSend.mock.calls[0][0].html).toContain('/newsletter/unsubscribe?token=tok-a');
+    expect(mockUpdateOne).toHaveBeenCalledWith(
+      { _id: alert._id },
+      { $set: { 'stats.delivery.email': 2 }, $inc: { 'stats.sent': 2 } }
+    );
+    expect(mockCacheDel).toHaveBeenCalledWith('bassac:breaking-news:active');
+    dispatch.mockRestore();
+  });
+
+  it('does not wait for the newsletter before returning', async () => {
+    let finishEmail;
+    mockEmailSend.mockReturnValue(new Promise((resolve) => { finishEmail = resolve; }));
+    const alert = buildAlert();
+
+    await breakingNewsService.publish(alert);
+
+    expect(alert.status).toBe('active');
+    expect(mockEmit).toHaveBeenCalled();
+    expect(mockUpdateOne).not.toHaveBeenCalled();
+    finishEmail({ messageId: 'm1' });
+  });
+
+  it('only uses the channels chosen for the alert', async () => {
+    const alert = buildAlert({ channels: ['telegram'] });
+
+    await breakingNewsService.publish(alert);
+
+    expect(mockEmit).not.toHaveBeenCalled();
+    expect(mockEmailSend).not.toHaveBeenCalled();
+    expect(alert.stats.sent).toBe(1);
+  });
+
+  it('keeps delivering when one channel fails', async () => {
+    mockSendToChatGroup.mockRejectedValue(new Error('Telegram down'));
+    mockEmailSend.mockResolvedValueOnce({ messageId: 'm1' }).mockRejectedValueOnce(new Error('SMTP error'));
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const dispatch = jest.spyOn(breakingNewsService, 'dispatchNewsletter');
+    const alert = buildAlert();
+
+    await breakingNewsService.publish(alert);
+    await emailsSent(dispatch);
+
+    expect(alert.stats.delivery.toObject()).toEqual({ socket: 12, telegram: 0, email: 0 });
+    expect(mockUpdateOne).toHaveBeenCalledWith(
+      { _id: alert._id },
+      { $set: { 'stats.delivery.email': 1 }, $inc: { 'stats.sent': 1 } }
+    );
+    expect(consoleError).toHaveBeenCalledWith('Breaking news Telegram delivery failed:', expect.any(Error));
+    dispatch.mockRestore();
+    consoleError.mockRestore();
+  });
+
+  it('refuses alerts that are not drafts or already past expiry', async () => {
+    await expect(breakingNewsService.publish(buildAlert({ status: 'active' })))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(breakingNewsService.publish(buildAlert({ expiresAt: new Date(Date.now() - 1000) })))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(mockEmit).not.toHaveBeenCalled();
+  });
+});
+
+describe('breakingNewsService.expire', () => {
+  it('retires a live alert and tells connected clients', async () => {
+    const alert = buildAlert({ status: 'active' });
+
+    await breakingNewsService.expire(alert);
+
+    expect(alert.status).toBe('expired');
+    expect(mockEmit).toHaveBeenCalledWith('breaking-news:expired', { _id: alert._id });
+    expect(mockCacheDel).toHaveBeenCalledWith('bassac:breaking-news:active');
+  });
+});
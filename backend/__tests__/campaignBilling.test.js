@@ -0,0 +1,268 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+jest.unstable_mockModule('isomorphic-dompurify', () => ({
+  default: {
+    sanitize: (input) => input,
+  },
+}));
+
+const { default: Campaign } = await import('../src/models/Campaign.js');
+const { default: CampaignSpendDaily } = await import('../src/models/CampaignSpendDaily.js');
+const { default: campaignBillingService } = await import('../src/services/campaignBillingService.js');
+const { default: cacheService } = await import('../src/services/cacheService.js');
+const { getCampaignSpendReport } = await import('../src/controllers/campaignController.js');
+const { ForbiddenError } = await import('../src/utils/errors.js');
+
+const NOW = new Date('2026-10-11T05:00:00Z'); // 12:00 in Phnom Penh
+
+const buildCampaign = ({ billing = {}, stats = {}, schedule = {} } = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Mekong Bank launch',
+  status: 'active',
+  billing: {
+    pricingModel: 'cpm',
+    rate: 4,
+    currency: 'USD',
+    dailyCap: 0,
+    pacing: 'even',
+    pausedReason: null,
+    ...billing,
+  },
+  stats: { budget: 1000, spent: 0, ...stats },
+  schedule: {
+    startDate: new Date('2026-10-01T05:00:00Z'),
+    endDate: new Date('2026-10-21T05:00:00Z'),
+    timezone: 'Asia/Phnom_Penh',
+    ...schedule,
+  },
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  cacheService.memoryCache.clear();
+});
+
+describe('pricing', () => {
+  test('charges CPM per impression and CPC per click', () => {
+    expect(campaignBillingService.getEventCost({ pricingModel: 'cpm', rate: 4 }, 'impression')).toBe(0.004);
+    expect(campaignBillingService.getEventCost({ pricingModel: 'cpm', rate: 4 }, 'click')).toBe(0);
+    expect(campaignBillingService.getEventCost({ pricingModel: 'cpc', rate: 0.35 }, 'click')).toBe(0.35);
+    expect(campaignBillingService.getEventCost({ pricingModel: 'flat', rate: 500 }, 'impression')).toBe(0);
+  });
+
+  test('uses the campaign timezone for day boundaries', () => {
+    const lateEvening = new Date('2026-10-11T18:30:00Z');
+    expect(campaignBillingService.getDayKey(lateEvening, 'Asia/Phnom_Penh')).toBe('2026-10-12');
+    expect(campaignBillingService.getDayKey(lateEvening, 'UTC')).toBe('2026-10-11');
+    expect(campaignBillingService.getDayKey(lateEvening, 'Not/A_Zone')).toBe('2026-10-11');
+    expect(campaignBillingService.getDayProgress(NOW, 'Asia/Phnom_Penh')).toBe(0.5);
+  });
+
+  test('accrues a flat fee across the schedule', () => {
+    const campaign = buildCampaign({ billing: { pricingModel: 'flat', rate: 600 } });
+    expect(campaignBillingService.getFlatFeeAccrued(campaign, NOW)).toBe(300);
+  });
+});
+
+describe('pacing', () => {
+  test('serves campaigns on pace and blocks exhausted or capped ones', () => {
+    expect(campaignBillingService.getPacing(buildCampaign({ stats: { spent: 480 } }), { now: NOW }))
+      .toMatchObject({ servable: true, reason: null, expectedSpend: 500, remaining: 520 });
+
+    expect(campaignBillingService.getPacing(buildCampaign({ stats: { spent: 1000 } }), { now: NOW }))
+      .toMatchObject({ servable: false, reason: 'budget_exhausted' });
+
+    const capped = buildCampaign({ billing: { dailyCap: 50 } });
+    expect(campaignBillingService.getPacing(capped, { spentToday: 50, now: NOW }))
+      .toMatchObject({ servable: false, reason: 'daily_cap_reached' });
+  });
+
+  test('holds back spend that runs ahead of an even schedule', () => {
+    const ahead = buildCampaign({ stats: { spent: 600 } });
+    expect(campaignBillingService.getPacing(ahead, { now: NOW }).reason).toBe('ahead_of_pace');
+
+    const asap = buildCampaign({ billing: { pacing: 'asap' }, stats: { spent: 600 } });
+    expect(campaignBillingService.getPacing(asap, { now: NOW }).servable).toBe(true);
+
+    // Half the day gone, 40 of a 50 cap spent
+    const openEnded = buildCampaign({ billing: { dailyCap: 50 }, schedule: { endDate: null } });
+    expect(campaignBillingService.getPacing(openEnded, { spentToday: 40, now: NOW }).reason).toBe('ahead_of_pace');
+    expect(campaignBillingService.getPacing(openEnded, { spentToday: 20, now: NOW }).servable).toBe(true);
+  });
+
+  test('filters display candidates and pauses exhausted campaigns', async () => {
+    const onPace = buildCampaign({ stats: { spent: 100 } });
+    const exhausted = buildCampaign({ stats: { spent: 1000 } });
+    const flat = buildCampaign({ billing: { pricingModel: 'flat' }, stats: { spent: 5000 } });
+    const update = jest.spyOn(Campaign, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const servable = await campaignBillingService.filterServable([onPace, exhausted, flat], NOW);
+
+    expect(servable).toEqual([onPace, flat]);
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update.mock.calls[0][0]).toEqual({ _id: exhausted._id, status: 'active' });
+  });
+});
+
+describe('recordEvent', () => {
+  test('charges the campaign and pauses it when the budget runs out', async () => {
+    const campaign = buildCampaign({ billing: { pricingModel: 'cpc', rate: 0.5 }, stats: { budget: 10, spent: 9.5 } });
+    const daily = jest.spyOn(CampaignSpendDaily, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Campaign, 'findByIdAndUpdate').mockReturnValue({
+      select: () => ({ lean: async () => ({ ...campaign, stats: { budget: 10, spent: 10 } }) }),
+    });
+    const pause = jest.spyOn(Campaign, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(campaignBillingService.recordEvent(campaign, 'click', NOW))
+      .resolves.toEqual({ cost: 0.5, paused: true });
+
+    expect(daily).toHaveBeenCalledWith(
+      { campaign: campaign._id, day: '2026-10-11' },
+      { $inc: { clicks: 1, spend: 0.5 } },
+      { upsert: true }
+    );
+    expect(Campaign.findByIdAndUpdate).toHaveBeenCalledWith(
+      campaign._id,
+      { $inc: { 'stats.spent': 0.5 } },
+      { new: true }
+    );
+    expect(pause.mock.calls[0][1].$set).toMatchObject({
+      status: 'paused',
+      'billing.pausedReason': 'budget_exhausted',
+    });
+  });
+
+  test('counts free events without touching the campaign', async () => {
+    const daily = jest.spyOn(CampaignSpendDaily, 'updateOne').mockResolvedValue({});
+    const charge = jest.spyOn(Campaign, 'findByIdAndUpdate');
+
+    await expect(campaignBillingService.recordEvent(buildCampaign(), 'click', NOW))
+      .resolves.toEqual({ cost: 0, paused: false });
+
+    expect(daily.mock.calls[0][1]).toEqual({ $inc: { clicks: 1, spend: 0 } });
+    expect(charge).not.toHaveBeenCalled();
+  });
+});
+
+describe('admitEvent', () => {
+  const ad = { adId: 'ad-1', isActive: true };
+  const visitor = (sessionId, ip = '203.0.113.9') => ({ sessionId, ip });
+
+  test('counts one event of each type per session and ad', async () => {
+    const campaign = buildCampaign({ stats: { spent: 100 } });
+    const admit = (event, sessionId) => campaignBillingService.admitEvent(campaign, ad, event, visitor(sessionId), NOW);
+
+    await expect(admit('impression', 'session-1')).resolves.toEqual({ admitted: true, reason: null });
+    await expect(admit('impression', 'session-1')).resolves.toEqual({ admitted: false, reason: 'duplicate' });
+    await expect(admit('click', 'session-1')).resolves.toEqual({ admitted: true, reason: null });
+    await expect(admit('impression', 'session-2')).resolves.toEqual({ admitted: true, reason: null });
+  });
+
+  test('admits only one of several concurrent requests for the same event', async () => {
+    const campaign = buildCampaign({ stats: { spent: 100 } });
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => (
+      campaignBillingService.admitEvent(campaign, ad, 'impression', visitor('session-1'), NOW)
+    )));
+
+    expect(results.filter((result) => result.admitted)).toHaveLength(1);
+    expect(results.filter((result) => result.reason === 'duplicate')).toHaveLength(4);
+  });
+
+  test('refuses paused, finished and exhausted campaigns and disabled ads', async () => {
+    jest.spyOn(Campaign, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const admit = (campaign, variation = ad) => campaignBillingService.admitEvent(
+      campaign, variation, 'impression', visitor('session-1'), NOW
+    );
+
+    const paused = { ...buildCampaign(), status: 'paused' };
+    const finished = buildCampaign({ schedule: { endDate: new Date('2026-10-10T05:00:00Z') } });
+    const exhausted = buildCampaign({ stats: { spent: 1000 } });
+
+    for (const result of await Promise.all([
+      admit(paused),
+      admit(finished),
+      admit(exhausted),
+      admit(buildCampaign(), { ...ad, isActive: false }),
+    ])) {
+      expect(result).toEqual({ admitted: false, reason: 'not_serving' });
+    }
+  });
+
+  test('runs the click fraud check across sessions sharing an IP', async () => {
+    const campaign = buildCampaign({ billing: { pricingModel: 'cpc', rate: 0.5 } });
+    const clickAfterView = async (sessionId) => {
+      await campaignBillingService.admitEvent(campaign, ad, 'impression', visitor(sessionId), NOW);
+      return campaignBillingService.admitEvent(campaign, ad, 'click', visitor(sessionId), NOW);
+    };
+
+    await expect(clickAfterView('session-1')).resolves.toMatchObject({ admitted: true });
+    await expect(clickAfterView('session-2')).resolves.toMatchObject({ admitted: true });
+    await expect(clickAfterView('session-3')).resolves.toEqual({ admitted: false, reason: 'fraud' });
+
+    const elsewhere = await campaignBillingService.admitEvent(campaign, ad, 'click', visitor('session-4', '198.51.100.20'), NOW);
+    expect(elsewhere.admitted).toBe(true);
+  });
+});
+
+describe('spend report', () => {
+  test('summarizes daily spend and renders CSV', async () => {
+    const campaign = buildCampaign({ stats: { spent: 12 } });
+    jest.spyOn(CampaignSpendDaily, 'find').mockReturnValue({
+      sort: () => ({
+        lean: async () => [
+          { day: '2026-10-10', impressions: 2000, clicks: 30, conversions: 2, spend: 8 },
+          { day: '2026-10-11', impressions: 1000, clicks: 10, conversions: 0, spend: 4 },
+        ],
+      }),
+    });
+
+    const report = await campaignBillingService.getSpendReport(campaign, { from: '2026-10-10', now: NOW });
+
+    expect(CampaignSpendDaily.find.mock.calls[0][0].day).toEqual({ $gte: '2026-10-10', $lte: '2026-10-11' });
+    expect(report.totals).toEqual({
+      impressions: 3000,
+      clicks: 40,
+      conversions: 2,
+      ctr: 1.33,
+      spend: 12,
+      effectiveCpm: 4,
+      effectiveCpc: 0.3,
+    });
+    expect(report.pacing).toMatchObject({ spentToday: 4, remaining: 988 });
+    expect(report.flatFee).toBeNull();
+
+    const csv = campaignBillingService.toCsv(report).split('\n');
+    expect(csv[0]).toBe('Day,Impressions,Clicks,CTR %,Conversions,Spend (USD),eCPM,eCPC');
+    expect(csv[1]).toBe('2026-10-10,2000,30,1.5,2,8,4,0.27');
+    expect(csv[3]).toBe('Total,3000,40,1.33,2,12,4,0.3');
+  });
+});
+
+describe('getCampaignSpendReport', () => {
+  const createMockRes = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  });
+
+  test('lets advertisers read spend only for their own campaigns', async () => {
+    const campaign = buildCampaign();
+    const advertiser = { role: 'advertiser', advertiser: { campaigns: [campaign._id] } };
+    jest.spyOn(Campaign, 'findById').mockReturnValue({ lean: async () => campaign });
+    jest.spyOn(campaignBillingService, 'getSpendReport').mockResolvedValue({ totals: { spend: 12 } });
+
+    const other = jest.fn();
+    await getCampaignSpendReport(
+      { params: { id: new mongoose.Types.ObjectId().toString() }, query: {}, user: advertiser },
+      createMockRes(),
+      other
+    );
+    expect(other.mock.calls[0][0]).toBeInstanceOf(ForbiddenError);
+    expect(Campaign.findById).not.toHaveBeenCalled();
+
+    const res = createMockRes();
+    await getCampaignSpendReport({ params: { id: campaign._id.toString() }, query: {}, user: advertiser }, res, jest.fn());
+    expect(res.json.mock.calls[0][0].data.report).toEqual({ totals: { spend: 12 } });
+  });
+});
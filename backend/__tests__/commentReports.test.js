@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+
+const mockFindById = jest.fn();
+const mockFindOneAndUpdate = jest.fn();
+const mockUpdateOne = jest.fn();
+const mockFind = jest.fn();
+const mockCountDocuments = jest.fn();
+const mockAggregate = jest.fn();
+
+const Comment = {
+  findById: (...args) => mockFindById(...args),
+  findOneAndUpdate: (...args) => mockFindOneAndUpdate(...args),
+  updateOne: (...args) => mockUpdateOne(...args),
+  find: (...args) => mockFind(...args),
+  countDocuments: (...args) => mockCountDocuments(...args),
+  aggregate: (...args) => mockAggregate(...args),
+};
+
+jest.unstable_mockModule('../src/models/Comment.js', () => ({
+  default: Comment,
+  COMMENT_REPORT_REASONS: ['spam', 'harassment', 'hate_speech', 'misinformation', 'off_topic', 'other'],
+}));
+jest.unstable_mockModule('../src/models/index.js', () => ({ Comment }));
+jest.unstable_mockModule('../src/models/Article.js', () => ({ default: { findById: jest.fn() } }));
+jest.unstable_mockModule('../src/models/GuestCommenter.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/services/notificationService.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/services/emailService.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/services/commenterSanctionService.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/services/webhookService.js', () => ({ default: { emit: jest.fn() } }));
+
+process.env.COMMENT_REPORT_HIDE_THRESHOLD = '3';
+
+const { reportComment, getAllComments, moderateComment } = await import('../src/controllers/commentController.js');
+
+const createMockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+const selectable = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+const reportReq = (body, userId = 'reader-1') => ({
+  params: { id: 'comment-1' },
+  body,
+  user: { _id: userId },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockFindById.mockReturnValue(selectable({ _id: 'comment-1', author: 'writer-1', status: 'approved' }));
+  mockUpdateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('reportComment', () => {
+  test('rejects unknown reasons and reports on your own comment', async () => {
+    const invalid = createMockRes();
+    await reportComment(reportReq({ reason: 'boring' }), invalid, jest.fn());
+    expect(invalid.status).toHaveBeenCalledWith(400);
+
+    const own = createMockRes();
+    await reportComment(reportReq({ reason: 'spam' }, 'writer-1'), own, jest.fn());
+    expect(own.status).toHaveBeenCalledWith(400);
+    expect(own.json.mock.calls[0][0].message).toBe('You cannot report your own comment');
+    expect(mockFindOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('records one report per reader', async () => {
+    mockFindOneAndUpdate.mockReturnValue(selectable(null));
+    const res = createMockRes();
+
+    await reportComment(reportReq({ reason: 'harassment', note: '  rude  ' }), res, jest.fn());
+
+    const [filter, update] = mockFindOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'comment-1', 'reports.reporter': { $ne: 'reader-1' } });
+    expect(update.$push.reports).toEqual({ reporter: 'reader-1', reason: 'harassment', note: 'rude' });
+    expect(update.$set).toEqual({ reportStatus: 'open' });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toBe('You have already reported this comment');
+  });
+
+  test('hides an approved comment once the report threshold is reached', async () => {
+    mockFindOneAndUpdate
+      .mockReturnValueOnce(selectable({ status: 'approved', reportCount: 2 }))
+      .mockReturnValueOnce(selectable({ status: 'approved', reportCount: 3 }));
+
+    await reportComment(reportReq({ reason: 'spam' }), createMockRes(), jest.fn());
+    expect(mockUpdateOne).not.toHaveBeenCalled();
+
+    const res = createMockRes();
+    await reportComment(reportReq({ reason: 'spam' }, 'reader-2'), res, jest.fn());
+
+    expect(mockUpdateOne).toHaveBeenCalledWith(
+      { _id: 'comment-1', status: 'approved' },
+      {
+        $set: { status: 'pending' },
+        $push: {
+          moderationLog: expect.objectContaining({ action: 'auto_hidden', fromStatus: 'approved', toStatus: 'pending' }),
+        },
+      }
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe('moderation queue', () => {
+  test('lists open reports most reported first', async () => {
+    const query = {
+      select: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([]),
+    };
+    mockFind.mockReturnValue(query);
+    mockCountDocuments.mockResolvedValueOnce(0).mockResolvedValueOnce(4);
+    mockAggregate.mockResolvedValue([{ _id: 'approved', count: 10 }]);
+    const res = createMockRes();
+
+    await getAllComments({ query: { status: 'reported' } }, res, jest.fn());
+
+    expect(mockFind).toHaveBeenCalledWith({ reportStatus: 'open' });
+    expect(query.sort).toHaveBeenCalledWith({ reportCount: -1, createdAt: -1 });
+    expect(query.populate).toHaveBeenCalledWith('reports.reporter', 'firstName lastName email');
+    expect(res.json.mock.calls[0][0].data.counts).toMatchObject({ approved: 10, reported: 4 });
+  });
+
+  test('logs the moderator decision and resolves open reports', async () => {
+    const comment = {
+      status: 'pending',
+      reportStatus: 'open',
+      reportCount: 3,
+      moderationLog: [],
+      save: jest.fn().mockResolvedValue(undefined),
+      populate: jest.fn().mockResolvedValue(undefined),
+    };
+    mockFindById.mockReturnValue(selectable(comment));
+
+    await moderateComment(
+      { params: { id: 'comment-1' }, body: { status: 'approved', note: 'Fair criticism' }, user: { _id: 'editor-1' } },
+      createMockRes(),
+      jest.fn()
+    );
+
+    expect(comment.moderationLog).toEqual([{
+      action: 'moderated',
+      fromStatus: 'pending',
+      toStatus: 'approved',
+      actor: 'editor-1',
+      note: 'Fair criticism',
+    }]);
+    expect(comment).toMatchObject({ status: 'approved', reportStatus: 'resolved', reportCount: 0 });
+    expect(comment.save).toHaveBeenCalled();
+  });
+});
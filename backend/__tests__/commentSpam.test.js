@@ -0,0 +1,387 @@
+import { jest } from '@jest/globals';
+
+const mockCountDocuments = jest.fn();
+const mockCommentCreate = jest.fn();
+const mockCommentUpdateMany = jest.fn();
+const mockCommentFind = jest.fn();
+const mockCommentFindById = jest.fn();
+const mockArticleFindById = jest.fn();
+const mockGuestFindOne = jest.fn();
+const mockGuestIsTrusted = jest.fn();
+const mockGuestFindByToken = jest.fn();
+const mockSendVerification = jest.fn();
+const mockWebhookEmit = jest.fn();
+const mockNotifyCommentReceived = jest.fn();
+
+const Comment = {
+  countDocuments: (...args) => mockCountDocuments(...args),
+  create: (...args) => mockCommentCreate(...args),
+  updateMany: (...args) => mockCommentUpdateMany(...args),
+  find: (...args) => ({
+    populate: () => ({ populate: async () => mockCommentFind(...args) }),
+  }),
+  findById: (...args) => mockCommentFindById(...args),
+};
+
+class MockGuestCommenter {
+  constructor(data) {
+    Object.assign(this, data);
+    this.verificationSentAt = null;
+    this.save = jest.fn().mockResolvedValue(this);
+  }
+
+  createVerificationToken() {
+    this.verificationSentAt = new Date();
+    return 'verify-token';
+  }
+
+  static findOne(...args) {
+    return mockGuestFindOne(...args);
+  }
+
+  static findByVerificationToken(...args) {
+    return mockGuestFindByToken(...args);
+  }
+
+  static isTrustedBrowser(...args) {
+    return mockGuestIsTrusted(...args);
+  }
+}
+
+jest.unstable_mockModule('../src/models/index.js', () => ({ Comment }));
+jest.unstable_mockModule('../src/models/Comment.js', () => ({ default: Comment, COMMENT_REPORT_REASONS: [] }));
+jest.unstable_mockModule('../src/models/Article.js', () => ({
+  default: { findById: (...args) => mockArticleFindById(...args) },
+}));
+jest.unstable_mockModule('../src/models/GuestCommenter.js', () => ({ default: MockGuestCommenter }));
+
+jest.unstable_mockModule('../src/services/notificationService.js', () => ({
+  default: {
+    notifyCommentReceived: (...args) => mockNotifyCommentReceived(...args),
+    notifyCommentReply: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/commenterSanctionService.js', () => ({
+  default: { findActive: jest.fn().mockResolvedValue(null) },
+}));
+
+jest.unstable_mockModule('../src/services/emailService.js', () => ({
+  default: {
+    sendCommentVerificationEmail: (...args) => mockSendVerification(...args),
+  },
+}));
+jest.unstable_mockModule('../src/services/webhookService.js', () => ({
+  default: { emit: (...args) => mockWebhookEmit(...args) },
+}));
+
+process.env.COMMENT_BLOCKED_WORDS = 'casino,Cheap Pills';
+process.env.COMMENT_BLOCKED_DOMAINS = 'spam.example';
+
+const { default: commentSpamService, linkCountCheck, blocklistCheck } = await import('../src/services/commentSpamService.js');
+const {
+  createComment,
+  verifyGuestCommenter,
+  moderateComment,
+  bulkModerate,
+} = await import('../src/controllers/commentController.js');
+
+const createMockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+const article = { _id: 'article-1', title: 'Dry season rice prices', slug: 'rice', status: 'published', author: 'writer-1' };
+
+const buildReq = (body, user = null) => ({
+  params: { articleId: 'article-1' },
+  body,
+  user,
+  // Express resolves req.ip from trusted proxies; the forwarded header here is spoofed
+  headers: { 'user-agent': 'jest', 'x-forwarded-for': '198.51.100.66' },
+  ip: '203.0.113.9',
+  socket: { remoteAddress: '127.0.0.1' },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockCountDocuments.mockResolvedValue(0);
+  mockArticleFindById.mockResolvedValue(article);
+  mockGuestFindOne.mockResolvedValue(null);
+  mockGuestIsTrusted.mockResolvedValue(false);
+  mockSendVerification.mockResolvedValue(undefined);
+  mockCommentUpdateMany.mockResolvedValue({ modifiedCount: 0 });
+  mockCommentFind.mockResolvedValue([]);
+  mockCommentCreate.mockImplementation(async (data) => {
+    const stored = { ...data, _id: 'comment-1' };
+    return {
+      ...stored,
+      populate: jest.fn().mockResolvedValue(undefined),
+      toJSON: () => ({ ...stored }),
+    };
+  });
+});
+
+describe('comment spam checks', () => {
+  test('scores links beyond the allowance and blocklisted words or domains', () => {
+    expect(linkCountCheck({ content: 'see https://a.test and www.b.test' }).score).toBe(0);
+    expect(linkCountCheck({ content: 'http://a.test http://b.test http://c.test http://d.test' })).toEqual({
+      score: 4,
+      reason: '4 links',
+    });
+
+    const blocked = blocklistCheck({ content: 'Best CASINO bonus at https://promo.spam.example/x', guestEmail: 'a@b.test' });
+    expect(blocked.score).toBe(3 + 6);
+    expect(blocked.reason).toBe('blocked word "casino", blocked domain spam.example');
+    expect(blocklistCheck({ content: 'Casinos are mentioned in passing' }).score).toBe(0);
+  });
+
+  test('maps scores to statuses and always holds untrusted commenters', () => {
+    expect(commentSpamService.resolveStatus(0, { trusted: true })).toBe('approved');
+    expect(commentSpamService.resolveStatus(0, { trusted: false })).toBe('pending');
+    expect(commentSpamService.resolveStatus(3, { trusted: true })).toBe('pending');
+    expect(commentSpamService.resolveStatus(6, { trusted: true })).toBe('spam');
+  });
+
+  test('adds up rate limit hits per IP and per commenter', async () => {
+    mockCountDocuments.mockResolvedValueOnce(5).mockResolvedValueOnce(3);
+
+    const result = await commentSpamService.evaluate(
+      { content: 'Fair point', ipAddress: '203.0.113.9', guestEmail: 'guest@example.com' },
+      { trusted: true }
+    );
+
+    expect(mockCountDocuments.mock.calls[1][0]).toMatchObject({ guestEmail: 'guest@example.com' });
+    expect(result.status).toBe('spam');
+    expect(result.spamCheck.score).toBe(6);
+    expect(result.spamCheck.reasons[0]).toMatch(/^rateLimit: 5 comments from this IP/);
+  });
+});
+
+describe('createComment', () => {
+  test('holds an unverified guest comment and emails a verification link', async () => {
+    const res = createMockRes();
+
+    await createComment(buildReq({ content: 'Thanks for the report', guestName: 'Dara', guestEmail: 'Dara@Example.com' }), res, jest.fn());
+
+    const data = mockCommentCreate.mock.calls[0][0];
+    expect(data).toMatchObject({
+      status: 'pending',
+      guestEmail: 'dara@example.com',
+      guestVerified: false,
+      ipAddress: '203.0.113.9',
+      spamCheck: expect.objectContaining({ score: 0, heldForVerification: true }),
+    });
+    expect(mockSendVerification).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'dara@example.com', name: 'Dara' }),
+      'verify-token',
+      article
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+    const body = res.json.mock.calls[0][0];
+    expect(body.data.verificationSent).toBe(true);
+    expect(body.data.comment.spamCheck).toBeUndefined();
+    expect(body.data.comment.ipAddress).toBeUndefined();
+    expect(data.announcedAt).toBeUndefined();
+    expect(mockWebhookEmit).not.toHaveBeenCalled();
+  });
+
+  test('stores honeypot submissions as spam but answers as if pending', async () => {
+    const res = createMockRes();
+
+    await createComment(buildReq({ content: 'Great post', website: 'http://bot.test' }, { _id: 'user-1' }), res, jest.fn());
+
+    expect(mockCommentCreate.mock.calls[0][0].status).toBe('spam');
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      message: 'Your comment is awaiting moderation',
+      data: { comment: { status: 'pending' } },
+    });
+    expect(mockNotifyCommentReceived).not.toHaveBeenCalled();
+    expect(mockWebhookEmit).not.toHaveBeenCalled();
+  });
+
+  test('publishes clean comments from signed-in users and verified guests', async () => {
+    await createComment(buildReq({ content: 'Well reported' }, { _id: 'user-1' }), createMockRes(), jest.fn());
+    mockGuestIsTrusted.mockResolvedValue(true);
+    const guestReq = buildReq({ content: 'Agreed', guestName: 'Sok', guestEmail: 'sok@example.com' });
+    guestReq.cookies = { guest_commenter: 'browser-token' };
+    await createComment(guestReq, createMockRes(), jest.fn());
+
+    expect(mockGuestIsTrusted).toHaveBeenCalledWith('sok@example.com', 'browser-token');
+
+    expect(mockCommentCreate.mock.calls.map(([data]) => data.status)).toEqual(['approved', 'approved']);
+    expect(mockCommentCreate.mock.calls[1][0].guestVerified).toBe(true);
+    expect(mockCommentCreate.mock.calls[1][0].announcedAt).toBeInstanceOf(Date);
+    expect(mockSendVerification).not.toHaveBeenCalled();
+    expect(mockWebhookEmit).toHaveBeenCalledWith('comment.created', expect.objectContaining({
+      status: 'approved',
+      authorName: 'Sok',
+    }));
+    expect(JSON.stringify(mockWebhookEmit.mock.calls)).not.toContain('sok@example.com');
+  });
+
+  test('holds a verified email typed in from a browser that never verified it', async () => {
+    mockGuestIsTrusted.mockImplementation(async (email, token) => email === 'sok@example.com' && token === 'browser-token');
+
+    await createComment(
+      buildReq({ content: 'Agreed', guestName: 'Not Sok', guestEmail: 'sok@example.com' }),
+      createMockRes(),
+      jest.fn()
+    );
+
+    expect(mockCommentCreate.mock.calls[0][0]).toMatchObject({ status: 'pending', guestVerified: false });
+  });
+});
+
+describe('verifyGuestCommenter', () => {
+  test('marks the email verified and publishes comments held only for verification', async () => {
+    const expiresAt = new Date('2027-10-19T00:00:00Z');
+    const guest = {
+      email: 'dara@example.com',
+      verifiedAt: null,
+      trustBrowser: jest.fn(() => ({ token: 'browser-token', expiresAt })),
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    mockGuestFindByToken.mockResolvedValue(guest);
+    mockCommentUpdateMany.mockResolvedValueOnce({ modifiedCount: 2 }).mockResolvedValueOnce({ modifiedCount: 2 });
+    const res = { ...createMockRes(), cookie: jest.fn() };
+
+    await verifyGuestCommenter({ body: { token: 'verify-token' } }, res, jest.fn());
+
+    expect(mockGuestFindByToken).toHaveBeenCalledWith('verify-token');
+    expect(guest.verifiedAt).toBeInstanceOf(Date);
+    expect(guest.verificationToken).toBeUndefined();
+    expect(res.cookie).toHaveBeenCalledWith('guest_commenter', 'browser-token', expect.objectContaining({
+      httpOnly: true,
+      expires: expiresAt,
+    }));
+    expect(mockCommentUpdateMany.mock.calls[0]).toEqual([
+      { guestEmail: 'dara@example.com', status: 'pending', 'spamCheck.heldForVerification': true },
+      { $set: { status: 'approved', guestVerified: true } },
+    ]);
+    expect(res.json.mock.calls[0][0].data).toEqual({ email: 'dara@example.com', published: 2 });
+    expect(mockCommentUpdateMany.mock.calls[2][0]).toEqual({
+      guestEmail: 'dara@example.com',
+      'spamCheck.heldForVerification': true,
+      status: 'approved',
+      shadowHidden: { $ne: true },
+      announcedAt: null,
+    });
+  });
+});
+
+describe('comment.created webhook on approval', () => {
+  const heldComment = (overrides = {}) => ({
+    _id: 'comment-1',
+    article: { _id: 'article-1', slug: 'rice', title: 'Dry season rice prices' },
+    parent: null,
+    status: 'approved',
+    content: 'Thanks for the report',
+    guestName: 'Dara',
+    guestEmail: 'dara@example.com',
+    createdAt: new Date('2026-10-01T00:00:00Z'),
+    ...overrides,
+  });
+
+  const storedComment = (status) => ({
+    _id: 'comment-1',
+    status,
+    moderationLog: [],
+    save: jest.fn().mockResolvedValue(undefined),
+    populate: jest.fn().mockResolvedValue(undefined),
+  });
+
+  const moderator = { _id: 'moderator-1' };
+
+  test('announces a pending comment once a moderator approves it', async () => {
+    mockCommentFindById.mockReturnValue({ select: async () => storedComment('pending') });
+    mockCommentUpdateMany.mockResolvedValue({ modifiedCount: 1 });
+    mockCommentFind.mockResolvedValue([heldComment()]);
+
+    await moderateComment(
+      { params: { id: 'comment-1' }, body: { status: 'approved' }, user: moderator },
+      createMockRes(),
+      jest.fn()
+    );
+
+    const [claimFilter, claimUpdate] = mockCommentUpdateMany.mock.calls[0];
+    expect(claimFilter).toEqual({
+      _id: 'comment-1',
+      status: 'approved',
+      shadowHidden: { $ne: true },
+      announcedAt: null,
+    });
+    expect(mockCommentFind).toHaveBeenCalledWith({ _id: 'comment-1', announcedAt: claimUpdate.$set.announcedAt });
+    expect(mockWebhookEmit).toHaveBeenCalledTimes(1);
+    expect(mockWebhookEmit).toHaveBeenCalledWith('comment.created', {
+      id: 'comment-1',
+      article: { id: 'article-1', slug: 'rice', title: 'Dry season rice prices' },
+      parent: null,
+      status: 'approved',
+      content: 'Thanks for the report',
+      authorName: 'Dara',
+      createdAt: new Date('2026-10-01T00:00:00Z'),
+    });
+    expect(JSON.stringify(mockWebhookEmit.mock.calls)).not.toContain('dara@example.com');
+  });
+
+  test('does not announce rejections or comments that were already public', async () => {
+    mockCommentFindById.mockReturnValue({ select: async () => storedComment('pending') });
+    await moderateComment(
+      { params: { id: 'comment-1' }, body: { status: 'rejected' }, user: moderator },
+      createMockRes(),
+      jest.fn()
+    );
+
+    mockCommentFindById.mockReturnValue({ select: async () => storedComment('approved') });
+    await moderateComment(
+      { params: { id: 'comment-1' }, body: { status: 'approved' }, user: moderator },
+      createMockRes(),
+      jest.fn()
+    );
+
+    expect(mockCommentUpdateMany).not.toHaveBeenCalled();
+    expect(mockWebhookEmit).not.toHaveBeenCalled();
+  });
+
+  test('announces only the bulk-approved comments that had not been announced yet', async () => {
+    mockCommentUpdateMany
+      .mockResolvedValueOnce({ modifiedCount: 3 })
+      .mockResolvedValueOnce({ modifiedCount: 0 })
+      .mockResolvedValueOnce({ modifiedCount: 2 });
+    mockCommentFind.mockResolvedValue([
+      heldComment(),
+      heldComment({ _id: 'comment-2', parent: 'comment-1', author: { firstName: 'Sok', lastName: 'Chan' } }),
+    ]);
+
+    await bulkModerate(
+      { body: { ids: ['comment-1', 'comment-2', 'comment-3'], status: 'approved' }, user: moderator },
+      createMockRes(),
+      jest.fn()
+    );
+
+    expect(mockCommentUpdateMany.mock.calls[2][0]).toEqual({
+      _id: { $in: ['comment-1', 'comment-2', 'comment-3'] },
+      status: 'approved',
+      shadowHidden: { $ne: true },
+      announcedAt: null,
+    });
+    expect(mockWebhookEmit).toHaveBeenCalledTimes(2);
+    expect(mockWebhookEmit.mock.calls[1]).toEqual(['comment.created', expect.objectContaining({
+      id: 'comment-2',
+      parent: 'comment-1',
+      authorName: 'Sok Chan',
+    })]);
+  });
+
+  test('sends nothing when another moderator already announced the comments', async () => {
+    await bulkModerate(
+      { body: { ids: ['comment-1'], status: 'approved' }, user: moderator },
+      createMockRes(),
+      jest.fn()
+    );
+
+    expect(mockCommentFind).not.toHaveBeenCalled();
+    expect(mockWebhookEmit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,204 @@
+import { jest } from '@jest/globals';
+
+const mockSanctionFind = jest.fn();
+const mockSanctionCreate = jest.fn();
+const mockCommentCreate = jest.fn();
+const mockCommentFind = jest.fn();
+const mockArticleFindById = jest.fn();
+const mockNotifyCommentReceived = jest.fn();
+const mockSendVerification = jest.fn();
+
+const CommenterSanction = {
+  find: (...args) => mockSanctionFind(...args),
+  create: (...args) => mockSanctionCreate(...args),
+  activeFilter: () => ({ liftedAt: null }),
+};
+
+const Comment = {
+  create: (...args) => mockCommentCreate(...args),
+  find: (...args) => mockCommentFind(...args),
+  countDocuments: jest.fn().mockResolvedValue(0),
+  findById: jest.fn(),
+};
+
+jest.unstable_mockModule('../src/models/index.js', () => ({ Comment, CommenterSanction }));
+jest.unstable_mockModule('../src/models/Comment.js', () => ({ default: Comment, COMMENT_REPORT_REASONS: [] }));
+jest.unstable_mockModule('../src/models/CommenterSanction.js', () => ({ default: CommenterSanction }));
+jest.unstable_mockModule('../src/models/Article.js', () => ({
+  default: { findById: (...args) => mockArticleFindById(...args) },
+}));
+jest.unstable_mockModule('../src/models/GuestCommenter.js', () => ({
+  default: { isTrustedBrowser: jest.fn().mockResolvedValue(false), findOne: jest.fn() },
+}));
+jest.unstable_mockModule('../src/services/notificationService.js', () => ({
+  default: { notifyCommentReceived: (...args) => mockNotifyCommentReceived(...args) },
+}));
+jest.unstable_mockModule('../src/services/emailService.js', () => ({
+  default: { sendCommentVerificationEmail: (...args) => mockSendVerification(...args) },
+}));
+jest.unstable_mockModule('../src/services/webhookService.js', () => ({ default: { emit: jest.fn() } }));
+
+process.env.COMMENT_IDENTITY_SALT = 'test-salt';
+
+const {
+  default: commenterSanctionService,
+  hashCommenterIdentity,
+  maskEmail,
+} = await import('../src/services/commenterSanctionService.js');
+const { createComment, getArticleComments } = await import('../src/controllers/commentController.js');
+
+const createMockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+const article = { _id: 'article-1', slug: 'ferry', status: 'published', author: 'writer-1' };
+
+const buildReq = (body, user = null) => ({
+  params: { articleId: 'article-1' },
+  query: {},
+  body,
+  user,
+  // Express resolves req.ip from trusted proxies; the forwarded header here is spoofed
+  headers: { 'user-agent': 'jest', 'x-forwarded-for': '203.0.113.50' },
+  ip: '198.51.100.7',
+  socket: { remoteAddress: '127.0.0.1' },
+});
+
+const sanctionsFound = (sanctions) => mockSanctionFind.mockReturnValue({ lean: async () => sanctions });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sanctionsFound([]);
+  mockArticleFindById.mockResolvedValue(article);
+  mockCommentCreate.mockImplementation(async (data) => {
+    const stored = { ...data, _id: 'comment-1' };
+    return {
+      ...stored,
+      populate: jest.fn().mockResolvedValue(undefined),
+      toJSON: () => ({ ...stored }),
+    };
+  });
+});
+
+describe('commenter sanction service', () => {
+  test('stores guests by salted hashes and a masked label only', async () => {
+    mockSanctionCreate.mockImplementation(async (data) => data);
+
+    const sanction = await commenterSanctionService.issue({
+      email: 'Dara@Example.com',
+      ip: '198.51.100.7',
+      type: 'shadow_ban',
+      issuedBy: 'editor-1',
+    });
+
+    expect(sanction.user).toBeUndefined();
+    expect(sanction).toMatchObject({
+      emailHash: hashCommenterIdentity('dara@example.com'),
+      ipHash: hashCommenterIdentity('198.51.100.7'),
+      label: 'd***@example.com',
+      expiresAt: null,
+    });
+    expect(JSON.stringify(sanction)).not.toContain('dara@example.com');
+    expect(hashCommenterIdentity(' DARA@example.com ')).toBe(sanction.emailHash);
+    expect(maskEmail('not-an-email')).toBe('');
+  });
+
+  test('requires a duration for suspensions and sets the expiry', async () => {
+    mockSanctionCreate.mockImplementation(async (data) => data);
+    const now = new Date('2026-03-01T00:00:00Z');
+
+    await expect(commenterSanctionService.issue({ userId: 'user-1', type: 'suspension', issuedBy: 'editor-1' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const sanction = await commenterSanctionService.issue({
+      userId: 'user-1',
+      type: 'suspension',
+      durationHours: 48,
+      issuedBy: 'editor-1',
+      now,
+    });
+    expect(sanction.expiresAt).toEqual(new Date('2026-03-03T00:00:00Z'));
+  });
+
+  test('returns the strictest active sanction across account, email and IP', async () => {
+    sanctionsFound([{ type: 'shadow_ban' }, { type: 'ban' }, { type: 'suspension' }]);
+
+    const sanction = await commenterSanctionService.findActive({ email: 'a@b.test', ip: '1.2.3.4' });
+
+    expect(sanction.type).toBe('ban');
+    expect(mockSanctionFind.mock.calls[0][0].$and[0].$or).toEqual([
+      { emailHash: hashCommenterIdentity('a@b.test') },
+      { ipHash: hashCommenterIdentity('1.2.3.4') },
+    ]);
+  });
+});
+
+describe('createComment with sanctions', () => {
+  test('refuses comments from banned and suspended commenters', async () => {
+    sanctionsFound([{ type: 'ban' }]);
+    const banned = createMockRes();
+    await createComment(buildReq({ content: 'Hello' }, { _id: 'user-1' }), banned, jest.fn());
+
+    sanctionsFound([{ type: 'suspension', expiresAt: new Date('2026-03-03T00:00:00Z') }]);
+    const suspended = createMockRes();
+    await createComment(buildReq({ content: 'Hello' }, { _id: 'user-1' }), suspended, jest.fn());
+
+    expect(banned.status).toHaveBeenCalledWith(403);
+    expect(suspended.json.mock.calls[0][0].message).toContain('2026-03-03T00:00:00.000Z');
+    expect(mockCommentCreate).not.toHaveBeenCalled();
+    expect(mockSanctionFind.mock.calls[0][0].$and[0].$or).toEqual([{ user: 'user-1' }]);
+  });
+
+  test('publishes shadow-banned guest comments hidden, without telling anyone', async () => {
+    sanctionsFound([{ type: 'shadow_ban' }]);
+    const res = createMockRes();
+
+    await createComment(buildReq({ content: 'Again', guestName: 'Dara', guestEmail: 'dara@example.com' }), res, jest.fn());
+
+    expect(mockSanctionFind.mock.calls[0][0].$and[0].$or).toEqual([
+      { emailHash: hashCommenterIdentity('dara@example.com') },
+      { ipHash: hashCommenterIdentity('198.51.100.7') },
+    ]);
+    expect(mockCommentCreate.mock.calls[0][0]).toMatchObject({ status: 'approved', shadowHidden: true });
+    expect(mockNotifyCommentReceived).not.toHaveBeenCalled();
+    expect(mockSendVerification).not.toHaveBeenCalled();
+    const body = res.json.mock.calls[0][0];
+    expect(body.message).toBe('Comment submitted successfully');
+    expect(body.data.comment.status).toBe('approved');
+    expect(body.data.comment.shadowHidden).toBeUndefined();
+  });
+
+  test('lets trusted commenters skip pre-moderation but not the spam threshold', async () => {
+    const trusted = { _id: 'user-2', commentTrusted: true };
+    const links = 'http://a.test http://b.test http://c.test http://d.test';
+
+    await createComment(buildReq({ content: links }, trusted), createMockRes(), jest.fn());
+    await createComment(buildReq({ content: links }, { _id: 'user-3' }), createMockRes(), jest.fn());
+    await createComment(buildReq({ content: 'Nice', website: 'bot' }, trusted), createMockRes(), jest.fn());
+
+    expect(mockCommentCreate.mock.calls.map(([data]) => data.status)).toEqual(['approved', 'pending', 'spam']);
+  });
+});
+
+describe('getArticleComments', () => {
+  test('shows shadow-hidden comments only to their author', async () => {
+    const query = {
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([]),
+    };
+    mockCommentFind.mockReturnValue(query);
+
+    await getArticleComments(buildReq({}), createMockRes(), jest.fn());
+    await getArticleComments(buildReq({}, { _id: 'user-1' }), createMockRes(), jest.fn());
+
+    expect(mockCommentFind.mock.calls[0][0].$or).toEqual([
+      { shadowHidden: { $ne: true } },
+      { shadowHidden: true, author: null, ipAddress: '198.51.100.7' },
+    ]);
+    expect(mockCommentFind.mock.calls[1][0].$or[1]).toEqual({ shadowHidden: true, author: 'user-1' });
+    expect(query.populate.mock.calls[1][0].match.$or).toEqual(mockCommentFind.mock.calls[0][0].$or);
+  });
+});
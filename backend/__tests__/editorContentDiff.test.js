@@ -0,0 +1,53 @@
+import { diffEditorContent, diffSnapshotFields } from '../src/utils/editorContentDiff.js';
+
+const paragraph = (id, text) => ({ id, type: 'paragraph', data: { text } });
+
+describe('Editor.js content diff', () => {
+  it('classifies added, removed, modified, moved and unchanged blocks', () => {
+    const from = {
+      blocks: [
+        paragraph('a', 'Intro'),
+        paragraph('b', 'Body'),
+        paragraph('c', 'Quote'),
+        paragraph('d', 'Old ending'),
+      ],
+    };
+    const to = {
+      blocks: [
+        paragraph('c', 'Quote'),
+        paragraph('a', 'Intro'),
+        paragraph('b', 'Body, edited'),
+        paragraph('e', 'New ending'),
+      ],
+    };
+
+    const { summary, blocks } = diffEditorContent(from, to);
+
+    expect(summary).toEqual({ unchanged: 1, modified: 1, added: 1, removed: 1, moved: 1 });
+    expect(blocks.map((block) => [block.id, block.status])).toEqual([
+      ['c', 'moved'],
+      ['a', 'unchanged'],
+      ['b', 'modified'],
+      ['d', 'removed'],
+      ['e', 'added'],
+    ]);
+    expect(blocks.find((block) => block.id === 'c')).toMatchObject({ fromIndex: 2, toIndex: 0 });
+  });
+
+  it('matches blocks without ids by their content', () => {
+    const block = { type: 'header', data: { text: 'Title', level: 2 } };
+    const { summary } = diffEditorContent({ blocks: [block] }, { blocks: [{ ...block }] });
+
+    expect(summary.unchanged).toBe(1);
+  });
+
+  it('reports changed plain fields only', () => {
+    const changes = diffSnapshotFields(
+      { title: 'Old', tags: ['a', 'b'], excerpt: 'Same' },
+      { title: 'New', tags: ['a', 'b'], excerpt: 'Same' },
+      ['title', 'tags', 'excerpt']
+    );
+
+    expect(changes).toEqual([{ field: 'title', before: 'Old', after: 'New' }]);
+  });
+});
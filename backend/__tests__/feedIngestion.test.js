@@ -0,0 +1,235 @@
+import { jest } from '@jest/globals';
+
+const mockFindExisting = jest.fn();
+const mockFeedItemCreate = jest.fn();
+const mockArticleSave = jest.fn();
+const mockSendWorkflowUpdate = jest.fn();
+const mockSafeFetch = jest.fn();
+
+jest.unstable_mockModule('../src/utils/safeFetch.js', () => ({
+  safeFetch: (...args) => mockSafeFetch(...args),
+}));
+
+jest.unstable_mockModule('../src/models/index.js', async () => {
+  const { default: FeedSource } = await import('../src/models/FeedSource.js');
+  const { default: FeedIngestionLog } = await import('../src/models/FeedIngestionLog.js');
+  FeedSource.prototype.save = async function save() { return this; };
+  FeedIngestionLog.prototype.save = async function save() { return this; };
+
+  class Article {
+    constructor(data) {
+      Object.assign(this, data);
+      this._id = `article-${mockArticleSave.mock.calls.length + 1}`;
+    }
+
+    markModified() {}
+
+    async save() {
+      mockArticleSave(this);
+      return this;
+    }
+  }
+
+  return {
+    Article,
+    FeedSource,
+    FeedIngestionLog,
+    FeedItem: {
+      findExisting: (...args) => mockFindExisting(...args),
+      create: async (data) => {
+        mockFeedItemCreate(data);
+        return { ...data, _id: `item-${data.guid}`, save: async () => true };
+      },
+      deleteOne: async () => ({ deletedCount: 1 }),
+    },
+    User: {
+      find: () => ({ select: async () => [] }),
+    },
+  };
+});
+
+jest.unstable_mockModule('../src/services/articlePublishService.js', () => ({
+  default: {
+    sendWorkflowUpdate: (...args) => mockSendWorkflowUpdate(...args),
+  },
+}));
+
+const { parseFeed } = await import('../src/utils/feedParser.js');
+const { FeedSource } = await import('../src/models/index.js');
+const { default: feedIngestionService } = await import('../src/services/feedIngestionService.js');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>Phnom Penh Wire</title>
+    <item>
+      <title><![CDATA[Rice prices rise &amp; exports grow]]></title>
+      <link>https://wire.example.com/rice</link>
+      <guid isPermaLink="false">wire-1</guid>
+      <description>&lt;p&gt;Prices rose 4%.&lt;/p&gt;</description>
+      <content:encoded><![CDATA[<p>Prices rose 4%.</p><p>Exports grew.</p>]]></content:encoded>
+      <category>Economy</category>
+      <pubDate>Mon, 05 Jan 2026 08:00:00 GMT</pubDate>
+      <media:thumbnail url="https://wire.example.com/rice.jpg" />
+    </item>
+    <item>
+      <title>Mekong water levels</title>
+      <link>https://wire.example.com/mekong</link>
+      <description>Levels fall.</description>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Atom Desk</title>
+  <entry>
+    <title>Election results</title>
+    <id>urn:uuid:1234</id>
+    <link rel="self" href="https://desk.example.com/api/1" />
+    <link rel="alternate" href="https://desk.example.com/election" />
+    <summary>Counting continues.</summary>
+    <author><name>Sophea</name></author>
+    <category term="politics" />
+    <published>2026-01-05T10:00:00Z</published>
+  </entry>
+</feed>`;
+
+const buildSource = (overrides = {}) => new FeedSource({
+  name: 'Phnom Penh Wire',
+  url: 'https://wire.example.com/rss',
+  category: '64b000000000000000000001',
+  defaultAuthor: '64b000000000000000000002',
+  tags: ['wire'],
+  ...overrides,
+});
+
+const mockFetchResponse = (body, { status = 200, headers = {} } = {}) => {
+  mockSafeFetch.mockResolvedValue({ status, headers, body: Buffer.from(body) });
+};
+
+describe('parseFeed', () => {
+  it('parses RSS items with content, categories and media', () => {
+    const feed = parseFeed(RSS);
+
+    expect(feed.format).toBe('rss');
+    expect(feed.title).toBe('Phnom Penh Wire');
+    expect(feed.items).toHaveLength(2);
+    expect(feed.items[0]).toMatchObject({
+      guid: 'wire-1',
+      link: 'https://wire.example.com/rice',
+      title: 'Rice prices rise & exports grow',
+      summary: 'Prices rose 4%.',
+      categories: ['Economy'],
+      image: 'https://wire.example.com/rice.jpg',
+    });
+    expect(feed.items[0].contentHtml).toContain('<p>Exports grew.</p>');
+    expect(feed.items[0].publishedAt.toISOString()).toBe('2026-01-05T08:00:00.000Z');
+    // Items without a <guid> fall back to their link
+    expect(feed.items[1].guid).toBe('https://wire.example.com/mekong');
+  });
+
+  it('parses Atom entries and prefers the alternate link', () => {
+    const feed = parseFeed(ATOM);
+
+    expect(feed.format).toBe('atom');
+    expect(feed.items[0]).toMatchObject({
+      guid: 'urn:uuid:1234',
+      link: 'https://desk.example.com/election',
+      author: 'Sophea',
+      categories: ['politics'],
+      summary: 'Counting continues.',
+    });
+  });
+
+  it('leaves out-of-range numeric entities as written', () => {
+    const feed = parseFeed(RSS.replace('Levels fall.', 'Levels &#99999999; fall &#8212; again.'));
+
+    expect(feed.items[1].summary).toBe('Levels &#99999999; fall \u2014 again.');
+  });
+
+  it('reports unknown documents', () => {
+    expect(parseFeed('<html><body>Not a feed</body></html>').format).toBe('unknown');
+  });
+});
+
+describe('feedIngestionService.ingestSource', () => {
+  beforeEach(() => {
+    mockSafeFetch.mockReset();
+    mockFindExisting.mockReset().mockResolvedValue([]);
+    mockFeedItemCreate.mockReset();
+    mockArticleSave.mockReset();
+    mockSendWorkflowUpdate.mockReset();
+  });
+
+  it('imports new items as drafts and skips ones already seen by link', async () => {
+    mockFindExisting.mockResolvedValue([{ guid: 'other-guid', link: 'https://wire.example.com/mekong' }]);
+    mockFetchResponse(RSS, { headers: { etag: '"v2"' } });
+    const source = buildSource();
+
+    const log = await feedIngestionService.ingestSource(source);
+
+    expect(mockSafeFetch).toHaveBeenCalledWith('https://wire.example.com/rss', expect.objectContaining({
+      maxBytes: 5 * 1024 * 1024,
+    }));
+    expect(log.status).toBe('success');
+    expect(log.itemsFound).toBe(2);
+    expect(log.itemsImported).toBe(1);
+    expect(log.itemsDuplicate).toBe(1);
+    expect(mockFeedItemCreate).toHaveBeenCalledTimes(1);
+
+    const article = mockArticleSave.mock.calls[0][0];
+    expect(article.status).toBe('draft');
+    expect(article.tags).toEqual(['wire', 'economy']);
+    expect(article.content.blocks.map((block) => block.data.text)).toEqual([
+      'Prices rose 4%.',
+      'Exports grew.',
+      'Source: <a href="https://wire.example.com/rice">Phnom Penh Wire</a>',
+    ]);
+    expect(source.etag).toBe('"v2"');
+    expect(source.totalImported).toBe(1);
+    expect(mockSendWorkflowUpdate).not.toHaveBeenCalled();
+  });
+
+  it('submits items for source review in submit mode', async () => {
+    mockFetchResponse(ATOM);
+    const source = buildSource({ ingestMode: 'submit' });
+
+    await feedIngestionService.ingestSource(source, { trigger: 'manual' });
+
+    const article = mockArticleSave.mock.calls[0][0];
+    expect(article.status).toBe('pending');
+    expect(article.workflow.sourceReviewState).toBe('submitted');
+    expect(article.workflow.auditTrail[0]).toMatchObject({
+      action: 'source_submitted',
+      metadata: { via: 'feed_ingestion' },
+    });
+    expect(mockSendWorkflowUpdate).toHaveBeenCalledWith(article, expect.objectContaining({
+      stage: 'SOURCE SUBMITTED',
+      submittedBy: 'Phnom Penh Wire',
+    }));
+  });
+
+  it('backs off after a failed fetch', async () => {
+    mockFetchResponse('', { status: 503 });
+    const source = buildSource({ consecutiveFailures: 1, pollIntervalMinutes: 10 });
+
+    const log = await feedIngestionService.ingestSource(source);
+
+    expect(log.status).toBe('error');
+    expect(log.httpStatus).toBe(503);
+    expect(source.consecutiveFailures).toBe(2);
+    expect(source.nextPollAt.getTime() - log.finishedAt.getTime()).toBe(20 * 60 * 1000);
+  });
+
+  it('sends conditional headers and records not-modified polls', async () => {
+    mockFetchResponse('', { status: 304 });
+    const source = buildSource({ etag: '"v1"' });
+
+    const log = await feedIngestionService.ingestSource(source);
+
+    expect(mockSafeFetch.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+    expect(log.status).toBe('not_modified');
+    expect(mockArticleSave).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+
+const mockArticleFind = jest.fn();
+const mockTranslationFind = jest.fn();
+const mockCategoryFindOne = jest.fn();
+
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => Promise.resolve(result),
+  };
+  return query;
+};
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  Article: {
+    find: (...args) => mockArticleFind(...args),
+  },
+  ArticleTranslation: {
+    find: (...args) => mockTranslationFind(...args),
+  },
+  Category: {
+    findOne: (...args) => mockCategoryFindOne(...args),
+  },
+  SiteSettings: {
+    getSettings: async () => ({ siteName: 'Bassac Post', siteDescription: 'News' }),
+  },
+  User: {},
+}));
+
+jest.unstable_mockModule('../src/services/cacheService.js', () => ({
+  default: {
+    key: (prefix, ...parts) => `bassac:${prefix}:${parts.join(':')}`,
+    get: async () => null,
+    set: async () => true,
+    delPattern: async () => true,
+  },
+}));
+
+const { default: feedService } = await import('../src/services/feedService.js');
+
+const SITE_URL = 'https://news.example.com';
+const API_URL = 'https://api.example.com';
+
+const baseArticle = {
+  _id: 'a1',
+  slug: 'rice-harvest',
+  title: 'Rice harvest & prices',
+  excerpt: 'Prices rise',
+  language: 'en',
+  featuredImage: '/uploads/rice.jpg',
+  tags: ['economy'],
+  publishedAt: new Date('2026-01-02T08:00:00Z'),
+  updatedAt: new Date('2026-01-02T09:00:00Z'),
+  author: { firstName: 'Dara', lastName: 'Sok' },
+  category: { name: 'Business', slug: 'business' },
+  content: {
+    blocks: [
+      { id: 'b1', type: 'header', data: { text: 'Harvest', level: 2 } },
+      { id: 'b2', type: 'paragraph', data: { text: 'Farmers <b>report</b> gains.' } },
+      { id: 'b3', type: 'image', data: { file: { url: '/uploads/field.jpg' }, caption: 'Field' } },
+    ],
+  },
+};
+
+const feedOptions = (overrides = {}) => ({
+  scope: 'site',
+  format: 'rss',
+  siteUrl: SITE_URL,
+  mediaBaseUrl: API_URL,
+  feedUrl: `${SITE_URL}/feeds/rss`,
+  ...overrides,
+});
+
+describe('feedService', () => {
+  beforeEach(() => {
+    mockArticleFind.mockReset();
+    mockTranslationFind.mockReset();
+    mockCategoryFindOne.mockReset();
+  });
+
+  it('renders RSS with full-content HTML from Editor.js blocks', async () => {
+    mockArticleFind.mockReturnValue(chain([baseArticle]));
+
+    const rss = await feedService.getFeed(feedOptions());
+
+    expect(rss).toContain('<title>Rice harvest &amp; prices</title>');
+    expect(rss).toContain('<link>https://news.example.com/article/rice-harvest</link>');
+    expect(rss).toContain('<content:encoded><![CDATA[<h2>Harvest</h2>');
+    expect(rss).toContain('<p>Farmers <b>report</b> gains.</p>');
+    expect(rss).toContain('<img src="https://api.example.com/uploads/field.jpg"');
+    expect(rss).toContain('<dc:creator>Dara Sok</dc:creator>');
+  });
+
+  it('uses published translations for the ?lang= variant', async () => {
+    mockArticleFind.mockReturnValue(chain([{ ...baseArticle, availableLanguages: ['en', 'km'] }]));
+    mockTranslationFind.mockReturnValue(chain([
+      {
+        articleId: 'a1',
+        slug: 'rice-harvest-km',
+        title: 'Khmer title',
+        excerpt: 'Khmer excerpt',
+        content: { blocks: [{ id: 'k1', type: 'paragraph', data: { text: 'Khmer body' } }] },
+      },
+    ]));
+
+    const json = JSON.parse(await feedService.getFeed(feedOptions({ format: 'json', language: 'km' })));
+
+    expect(mockArticleFind.mock.calls[0][0].$or).toEqual([{ language: 'km' }, { availableLanguages: 'km' }]);
+    expect(json.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(json.language).toBe('km');
+    expect(json.items[0]).toMatchObject({
+      url: 'https://news.example.com/article/rice-harvest-km',
+      title: 'Khmer title',
+      content_html: '<p>Khmer body</p>',
+      authors: [{ name: 'Dara Sok' }],
+    });
+  });
+
+  it('returns null for unknown categories', async () => {
+    mockCategoryFindOne.mockReturnValue(chain(null));
+
+    const atom = await feedService.getFeed(feedOptions({ scope: 'category', value: 'missing', format: 'atom' }));
+
+    expect(atom).toBeNull();
+    expect(mockArticleFind).not.toHaveBeenCalled();
+  });
+});
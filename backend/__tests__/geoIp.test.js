@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import express from 'express';
+
+const records = {
+  '203.0.113.7': {
+    country: { iso_code: 'KH', names: { en: 'Cambodia' } },
+    subdivisions: [{ iso_code: '12', names: { en: 'Phnom Penh' } }],
+    city: { names: { en: 'Phnom Penh' } },
+    location: { time_zone: 'Asia/Phnom_Penh', latitude: 11.56, longitude: 104.92 },
+  },
+  '198.51.100.20': {
+    registered_country: { iso_code: 'TH', names: { en: 'Thailand' } },
+  },
+};
+
+const mockOpen = jest.fn();
+
+jest.unstable_mockModule('maxmind', () => ({
+  default: { open: (...args) => mockOpen(...args) },
+}));
+
+const { default: geoIpService, anonymizeIp } = await import('../src/services/geoIpService.js');
+const { geoIpMiddleware } = await import('../src/middleware/geoIp.js');
+
+const requestGeo = (trustProxy, headers) => new Promise((resolve, reject) => {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.use(geoIpMiddleware);
+  app.get('/', (req, res) => res.json(req.geo));
+
+  const server = app.listen(0, '127.0.0.1', () => {
+    http.get({ port: server.address().port, host: '127.0.0.1', path: '/', headers }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => server.close(() => resolve(JSON.parse(body))));
+    }).on('error', (error) => server.close(() => reject(error)));
+  });
+});
+
+beforeAll(async () => {
+  mockOpen.mockResolvedValue({ get: (ip) => records[ip] || null });
+  await geoIpService.init('/data/GeoLite2-City.mmdb');
+});
+
+describe('geoIpService', () => {
+  test('opens the configured database and watches it for updates', () => {
+    expect(mockOpen).toHaveBeenCalledWith('/data/GeoLite2-City.mmdb', expect.objectContaining({
+      watchForUpdates: true,
+      watchForUpdatesNonPersistent: true,
+    }));
+    expect(geoIpService.isEnabled()).toBe(true);
+  });
+
+  test('maps City records to country and region', () => {
+    expect(geoIpService.lookup('::ffff:203.0.113.7')).toEqual({
+      countryCode: 'KH',
+      country: 'Cambodia',
+      regionCode: 'KH-12',
+      region: 'Phnom Penh',
+      city: 'Phnom Penh',
+      timezone: 'Asia/Phnom_Penh',
+      latitude: 11.56,
+      longitude: 104.92,
+    });
+    expect(geoIpService.lookup('198.51.100.20')).toMatchObject({ countryCode: 'TH', regionCode: '', region: '' });
+    expect(geoIpService.lookup('192.0.2.1')).toBeNull();
+    expect(geoIpService.lookup('not-an-ip')).toBeNull();
+  });
+
+  test('falls back to the Cloudflare header when the database has no answer', () => {
+    expect(geoIpService.resolve({ ip: '192.0.2.1', headers: { 'cf-ipcountry': 'us' } }))
+      .toMatchObject({ ip: '192.0.2.1', source: 'header', countryCode: 'US', country: 'United States' });
+    expect(geoIpService.resolve({ ip: '192.0.2.1', headers: { 'cf-ipcountry': 'XX' } }))
+      .toEqual({ ip: '192.0.2.1', source: null });
+    expect(geoIpService.resolve({ ip: '203.0.113.7', headers: { 'cf-ipcountry': 'US' } }))
+      .toMatchObject({ source: 'geoip', countryCode: 'KH' });
+  });
+
+  test('builds targeting contexts and anonymized analytics locations', () => {
+    const geo = geoIpService.resolve({ ip: '203.0.113.7' });
+
+    expect(geoIpService.toTargetingContext(geo)).toEqual({ country: 'KH', region: 'KH-12' });
+    expect(geoIpService.toTargetingContext({ ip: '192.0.2.1', source: null })).toEqual({ country: null, region: null });
+    expect(geoIpService.toAnalyticsLocation(geo)).toMatchObject({
+      countryCode: 'KH',
+      region: 'Phnom Penh',
+      ip: '203.0.113.0',
+      coordinates: { latitude: 11.56, longitude: 104.92 },
+    });
+    expect(anonymizeIp('2001:db8:85a3::8a2e:370:7334')).toBe('2001:db8:85a3::');
+    expect(anonymizeIp('2001:db8::1')).toBe('2001:db8:0::');
+  });
+});
+
+describe('geoIpMiddleware', () => {
+  test('uses X-Forwarded-For only from trusted proxies', async () => {
+    const headers = { 'X-Forwarded-For': '203.0.113.7' };
+
+    await expect(requestGeo('loopback', headers))
+      .resolves.toMatchObject({ ip: '203.0.113.7', countryCode: 'KH', regionCode: 'KH-12' });
+    await expect(requestGeo(false, headers))
+      .resolves.toEqual({ ip: '127.0.0.1', source: null });
+  });
+});
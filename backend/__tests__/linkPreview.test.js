@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+
+const mockSafeFetch = jest.fn();
+const mockUpload = jest.fn();
+const mockCache = new Map();
+
+jest.unstable_mockModule('../src/utils/safeFetch.js', () => ({
+  safeFetch: (...args) => mockSafeFetch(...args),
+}));
+
+jest.unstable_mockModule('../src/services/storageService.js', () => ({
+  default: {
+    upload: (...args) => mockUpload(...args),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/cacheService.js', () => ({
+  default: {
+    key: (prefix, ...parts) => `bassac:${prefix}:${parts.join(':')}`,
+    get: async (key) => (mockCache.has(key) ? mockCache.get(key) : null),
+    set: async (key, value) => {
+      mockCache.set(key, value);
+      return true;
+    },
+  },
+}));
+
+const { parseLinkMetadata } = await import('../src/utils/linkMetadata.js');
+const { default: linkPreviewService } = await import('../src/services/linkPreviewService.js');
+
+const PAGE = `<!doctype html>
+<html><head>
+  <title>Fallback title</title>
+  <meta property="og:title" content="Mekong &amp; Tonle Sap levels rise">
+  <meta name="twitter:title" content="Twitter title">
+  <meta name="description" content="Plain description">
+  <meta property="og:image" content="/images/river.jpg">
+  <meta property="og:site_name" content='River Watch'>
+  <link rel="alternate" type="application/json+oembed" href="/oembed?url=story">
+</head><body><meta property="og:title" content="Body meta is ignored"></body></html>`;
+
+const respond = (body, { status = 200, contentType = 'text/html; charset=utf-8', url } = {}) => ({
+  status,
+  url,
+  headers: { 'content-type': contentType },
+  body: Buffer.from(body),
+});
+
+describe('parseLinkMetadata', () => {
+  it('prefers OpenGraph, falls back to Twitter and HTML tags, and resolves relative URLs', () => {
+    const metadata = parseLinkMetadata(PAGE, 'https://river.example.com/story');
+
+    expect(metadata).toMatchObject({
+      title: 'Mekong & Tonle Sap levels rise',
+      description: 'Plain description',
+      image: 'https://river.example.com/images/river.jpg',
+      siteName: 'River Watch',
+      oembedUrl: 'https://river.example.com/oembed?url=story',
+    });
+
+    expect(parseLinkMetadata('<head><title>Only &quot;title&quot;</title></head>', 'https://x.example').title)
+      .toBe('Only "title"');
+  });
+});
+
+describe('linkPreviewService.unfurl', () => {
+  beforeEach(() => {
+    mockCache.clear();
+    mockSafeFetch.mockReset();
+    mockUpload.mockReset().mockResolvedValue({ url: '/uploads/link-previews/abc.jpg' });
+  });
+
+  it('merges oEmbed data, mirrors the image and caches the preview', async () => {
+    mockSafeFetch.mockImplementation(async (url) => {
+      if (url === 'https://river.example.com/story') return respond(PAGE, { url });
+      if (url.includes('/oembed')) {
+        return respond(JSON.stringify({ type: 'rich', author_name: 'Dara', html: '<script>x</script>' }), { url, contentType: 'application/json' });
+      }
+      return respond('jpeg-bytes', { url, contentType: 'image/jpeg' });
+    });
+
+    const preview = await linkPreviewService.unfurl('https://river.example.com/story');
+
+    expect(preview).toEqual({
+      link: 'https://river.example.com/story',
+      meta: {
+        title: 'Mekong & Tonle Sap levels rise',
+        description: 'Plain description',
+        site_name: 'River Watch',
+        author: 'Dara',
+        canonical: 'https://river.example.com/story',
+        image: { url: '/uploads/link-previews/abc.jpg' },
+      },
+    });
+    expect(mockUpload).toHaveBeenCalledWith(
+      expect.objectContaining({ mimetype: 'image/jpeg', originalname: 'preview.jpg' }),
+      { folder: 'link-previews' }
+    );
+
+    await linkPreviewService.unfurl('https://river.example.com/story');
+    expect(mockSafeFetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('keeps the source image URL when it cannot be mirrored', async () => {
+    mockSafeFetch.mockImplementation(async (url) => (url.endsWith('.jpg')
+      ? respond('<html></html>', { url, contentType: 'text/html' })
+      : respond('<head><meta property="og:image" content="https://cdn.example.com/a.jpg"></head>', { url })));
+
+    const preview = await linkPreviewService.unfurl('https://news.example.com/a');
+
+    expect(preview.meta.title).toBe('news.example.com');
+    expect(preview.meta.image.url).toBe('https://cdn.example.com/a.jpg');
+    expect(mockUpload).not.toHaveBeenCalled();
+  });
+
+  it('surfaces upstream errors without caching them', async () => {
+    mockSafeFetch.mockResolvedValue(respond('gone', { status: 404, url: 'https://news.example.com/missing' }));
+
+    await expect(linkPreviewService.unfurl('https://news.example.com/missing'))
+      .rejects.toMatchObject({ statusCode: 502 });
+    expect(mockCache.size).toBe(0);
+  });
+});
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+const mockMediaFind = jest.fn();
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  Media: {
+    find: (filter) => ({
+      select: () => ({
+        lean: async () => mockMediaFind(filter),
+      }),
+    }),
+  },
+}));
+
+const uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'bassac-variants-'));
+process.env.UPLOAD_PATH = uploadRoot;
+process.env.STORAGE_PROVIDER = 'local';
+
+const { selectVariantWidths, buildSrcset, buildResponsiveImage } = await import('../src/utils/responsiveImage.js');
+const { default: storageService } = await import('../src/services/storageService.js');
+const { default: responsiveImageService } = await import('../src/services/responsiveImageService.js');
+
+const WIDTHS = [320, 640, 960, 1280, 1920];
+
+afterAll(() => {
+  fs.rmSync(uploadRoot, { recursive: true, force: true });
+});
+
+describe('responsive image helpers', () => {
+  test('picks configured widths below the original plus the original size', () => {
+    expect(selectVariantWidths(1100, WIDTHS)).toEqual([320, 640, 960, 1100]);
+    expect(selectVariantWidths(4000, WIDTHS)).toEqual([320, 640, 960, 1280, 1920]);
+    expect(selectVariantWidths(200, WIDTHS)).toEqual([200]);
+    expect(selectVariantWidths(0, WIDTHS)).toEqual([]);
+  });
+
+  test('builds a srcset per format, narrowest first', () => {
+    const variants = [
+      { width: 640, format: 'webp', url: '/uploads/a-640w.webp' },
+      { width: 320, format: 'webp', url: '/uploads/a-320w.webp' },
+      { width: 320, format: 'avif', url: '/uploads/a-320w.avif' },
+    ];
+
+    expect(buildSrcset(variants, 'webp')).toBe('/uploads/a-320w.webp 320w, /uploads/a-640w.webp 640w');
+    expect(buildResponsiveImage({ variants, placeholder: 'data:x' })).toEqual({
+      srcset: { avif: '/uploads/a-320w.avif 320w', webp: '/uploads/a-320w.webp 320w, /uploads/a-640w.webp 640w' },
+      placeholder: 'data:x',
+    });
+    expect(buildResponsiveImage({})).toBeNull();
+  });
+});
+
+describe('local variant pipeline', () => {
+  test('stores WebP and AVIF variants and a placeholder, and deletes them with the original', async () => {
+    const buffer = await sharp({
+      create: { width: 700, height: 350, channels: 3, background: { r: 20, g: 90, b: 160 } },
+    }).jpeg().toBuffer();
+
+    const result = await storageService.uploadToLocal(
+      { buffer, mimetype: 'image/jpeg', originalname: 'river.jpg', size: buffer.length },
+      'river.jpg',
+      'articles'
+    );
+
+    const { variants, placeholder } = result.thumbnails;
+    expect(variants.map((variant) => `${variant.format}:${variant.width}`)).toEqual([
+      'avif:320', 'webp:320', 'avif:640', 'webp:640', 'avif:700', 'webp:700',
+    ]);
+    expect(variants[1]).toMatchObject({ height: 160, url: '/uploads/articles/river-320w.webp' });
+    expect(placeholder).toMatch(/^data:image\/webp;base64,/);
+    expect(fs.existsSync(path.join(uploadRoot, 'articles', 'river-640w.avif'))).toBe(true);
+
+    await storageService.delete(result.storageKey, 'local');
+
+    expect(fs.readdirSync(path.join(uploadRoot, 'articles'))).toEqual([]);
+  });
+
+  test('leaves GIFs without variants', async () => {
+    const buffer = await sharp({
+      create: { width: 40, height: 40, channels: 3, background: '#ffffff' },
+    }).gif().toBuffer();
+
+    const result = await storageService.uploadToLocal(
+      { buffer, mimetype: 'image/gif', originalname: 'spinner.gif', size: buffer.length },
+      'spinner.gif',
+      'general'
+    );
+
+    expect(result.thumbnails).toEqual({});
+  });
+});
+
+describe('responsiveImageService', () => {
+  test('attaches srcsets to articles whose featured image has variants', async () => {
+    mockMediaFind.mockResolvedValue([{
+      url: '/uploads/articles/a.jpg',
+      thumbnails: {
+        variants: [{ width: 320, format: 'webp', url: '/uploads/articles/a-320w.webp' }],
+        placeholder: 'data:image/webp;base64,AAA',
+      },
+    }]);
+    const articles = [
+      { _id: '1', featuredImage: '/uploads/articles/a.jpg' },
+      { _id: '2', featuredImage: 'https://example.com/b.jpg' },
+      { _id: '3', featuredImage: null },
+    ];
+
+    const result = await responsiveImageService.attachToArticles(articles);
+
+    expect(mockMediaFind.mock.calls[0][0].url).toEqual({ $in: ['/uploads/articles/a.jpg', 'https://example.com/b.jpg'] });
+    expect(result[0]).toMatchObject({
+      featuredImageSrcset: { webp: '/uploads/articles/a-320w.webp 320w', avif: '' },
+      featuredImagePlaceholder: 'data:image/webp;base64,AAA',
+    });
+    expect(result[1]).toBe(articles[1]);
+    expect(articles[0].featuredImageSrcset).toBeUndefined();
+  });
+});
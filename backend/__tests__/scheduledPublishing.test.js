@@ -0,0 +1,266 @@
+import { jest } from '@jest/globals';
+
+const mockArticleFind = jest.fn();
+const mockPendingFind = jest.fn();
+const mockArticleClaim = jest.fn();
+const mockArticleUpdateOne = jest.fn();
+const mockNotifyPublished = jest.fn();
+const mockWebhookEmit = jest.fn();
+const mockTelegramUpdate = jest.fn();
+const mockInvalidateArticle = jest.fn();
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  Article: {
+    find: (filter) => ({
+      select: () => ({
+        sort: () => ({
+          limit: () => ({
+            lean: async () => (filter['scheduledTransition.action']
+              ? mockPendingFind(filter)
+              : mockArticleFind(filter)),
+          }),
+        }),
+      }),
+    }),
+    findOneAndUpdate: async (...args) => mockArticleClaim(...args),
+    updateOne: async (...args) => mockArticleUpdateOne(...args),
+  },
+  Category: {
+    findById: async () => ({ updateArticleCount: async () => 1 }),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/cacheService.js', () => ({
+  default: {
+    invalidateArticle: async (slug) => mockInvalidateArticle(slug),
+    invalidateArticleLists: async () => true,
+  },
+}));
+
+jest.unstable_mockModule('../src/services/sitemapService.js', () => ({
+  default: { invalidate: async () => true },
+}));
+
+jest.unstable_mockModule('../src/services/feedService.js', () => ({
+  default: { invalidate: async () => true },
+}));
+
+jest.unstable_mockModule('../src/services/telegramService.js', () => ({
+  default: {
+    sendWorkflowUpdateNonBlocking: (...args) => mockTelegramUpdate(...args),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/notificationService.js', () => ({
+  default: {
+    notifyArticlePublished: async (...args) => mockNotifyPublished(...args),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/webhookService.js', () => ({
+  default: {
+    emit: async (...args) => mockWebhookEmit(...args),
+  },
+  toArticleWebhookData: (article) => ({ id: article._id, slug: article.slug }),
+}));
+
+const { publishScheduledArticles } = await import('../src/jobs/publishScheduledArticles.js');
+const { default: articlePublishService } = await import('../src/services/articlePublishService.js');
+
+const NOW = new Date('2026-03-01T08:00:00Z');
+
+const buildArticle = (overrides = {}) => ({
+  _id: 'article-1',
+  slug: 'ferry-fares',
+  title: 'Mekong ferry fares rise',
+  language: 'en',
+  author: 'author-1',
+  category: 'category-1',
+  workflow: {},
+  markModified: jest.fn(),
+  save: jest.fn(async function save() { return this; }),
+  ...overrides,
+});
+
+describe('scheduled publishing job', () => {
+  beforeEach(() => {
+    mockArticleFind.mockReset();
+    mockPendingFind.mockReset().mockResolvedValue([]);
+    mockArticleClaim.mockReset();
+    mockArticleUpdateOne.mockReset().mockResolvedValue({ modifiedCount: 1 });
+    mockNotifyPublished.mockReset();
+    mockWebhookEmit.mockReset();
+    mockTelegramUpdate.mockReset();
+    mockInvalidateArticle.mockReset();
+  });
+
+  test('publishes due articles and archives expired ones', async () => {
+    const scheduledPublishAt = new Date('2026-03-01T07:55:00Z');
+    const scheduledUnpublishAt = new Date('2026-03-01T07:00:00Z');
+    const toPublish = buildArticle({
+      status: 'published',
+      publishedAt: scheduledPublishAt,
+      scheduledPublishAt: null,
+      scheduledTransition: { action: 'publish', scheduledAt: scheduledPublishAt, claimedAt: NOW, audited: false },
+    });
+    const toArchive = buildArticle({
+      _id: 'article-2',
+      slug: 'election-live',
+      status: 'archived',
+      scheduledUnpublishAt: null,
+      scheduledTransition: { action: 'unpublish', scheduledAt: scheduledUnpublishAt, claimedAt: NOW, audited: false },
+    });
+    mockArticleFind.mockImplementation((filter) => (
+      filter.status === 'scheduled' ? [{ _id: 'article-1' }] : [{ _id: 'article-2' }]
+    ));
+    mockArticleClaim.mockImplementation(async (filter) => (filter._id === 'article-1' ? toPublish : toArchive));
+
+    const result = await publishScheduledArticles(NOW);
+
+    expect(result).toEqual({ published: 1, unpublished: 1, skipped: false });
+    expect(mockArticleClaim).toHaveBeenCalledWith(
+      { _id: 'article-1', status: 'scheduled', scheduledPublishAt: { $lte: NOW } },
+      [{
+        $set: {
+          status: 'published',
+          publishedAt: { $ifNull: ['$publishedAt', '$scheduledPublishAt'] },
+          scheduledPublishAt: null,
+          scheduledTransition: {
+            action: 'publish',
+            scheduledAt: '$scheduledPublishAt',
+            claimedAt: NOW,
+            audited: false,
+          },
+        },
+      }],
+      { new: true }
+    );
+    expect(mockArticleClaim).toHaveBeenCalledWith(
+      { _id: 'article-2', status: 'published', scheduledUnpublishAt: { $lte: NOW } },
+      [{
+        $set: {
+          status: 'archived',
+          scheduledUnpublishAt: null,
+          scheduledTransition: {
+            action: 'unpublish',
+            scheduledAt: '$scheduledUnpublishAt',
+            claimedAt: NOW,
+            audited: false,
+          },
+        },
+      }],
+      { new: true }
+    );
+
+    expect(toPublish.workflow.auditTrail.at(-1)).toMatchObject({
+      action: 'scheduled_published',
+      metadata: { via: 'scheduled_publisher', scheduledPublishAt },
+    });
+    expect(toArchive.workflow.auditTrail.at(-1)).toMatchObject({
+      action: 'scheduled_unpublished',
+      metadata: { via: 'scheduled_publisher', scheduledUnpublishAt },
+    });
+    expect(toPublish.save).toHaveBeenCalled();
+    expect(toArchive.save).toHaveBeenCalled();
+
+    expect(mockNotifyPublished).toHaveBeenCalledWith(toPublish, 'author-1');
+    expect(mockWebhookEmit).toHaveBeenCalledWith('article.published', expect.objectContaining({ publishedBy: 'Scheduler' }));
+    expect(mockInvalidateArticle).toHaveBeenCalledWith('ferry-fares');
+    expect(mockInvalidateArticle).toHaveBeenCalledWith('election-live');
+
+    // Pending markers are cleared once the side effects have run
+    expect(mockArticleUpdateOne).toHaveBeenCalledWith(
+      { _id: 'article-1', 'scheduledTransition.claimedAt': NOW },
+      { $set: { scheduledTransition: null } }
+    );
+    expect(mockArticleUpdateOne).toHaveBeenCalledWith(
+      { _id: 'article-2', 'scheduledTransition.claimedAt': NOW },
+      { $set: { scheduledTransition: null } }
+    );
+  });
+
+  test('keeps the pending marker when the save fails and finishes the publish on a later tick', async () => {
+    const scheduledPublishAt = new Date('2026-03-01T07:55:00Z');
+    const claimed = () => buildArticle({
+      status: 'published',
+      publishedAt: scheduledPublishAt,
+      scheduledPublishAt: null,
+      scheduledTransition: { action: 'publish', scheduledAt: scheduledPublishAt, claimedAt: NOW, audited: false },
+    });
+    const firstAttempt = claimed();
+    firstAttempt.save.mockRejectedValue(new Error('write conflict'));
+    mockArticleFind.mockImplementation((filter) => (filter.status === 'scheduled' ? [{ _id: 'article-1' }] : []));
+    mockArticleClaim.mockResolvedValueOnce(firstAttempt);
+
+    await expect(publishScheduledArticles(NOW)).resolves.toEqual({ published: 0, unpublished: 0, skipped: false });
+    expect(mockNotifyPublished).not.toHaveBeenCalled();
+    expect(mockArticleUpdateOne).not.toHaveBeenCalled();
+
+    // The article is already published, so only the pending marker brings it back
+    const LATER = new Date(NOW.getTime() + 6 * 60 * 1000);
+    const retried = claimed();
+    mockArticleFind.mockResolvedValue([]);
+    mockPendingFind.mockImplementation((filter) => (
+      filter['scheduledTransition.action'] === 'publish' ? [{ _id: 'article-1' }] : []
+    ));
+    mockArticleClaim.mockResolvedValueOnce(retried);
+
+    await expect(publishScheduledArticles(LATER)).resolves.toEqual({ published: 1, unpublished: 0, skipped: false });
+    expect(mockPendingFind).toHaveBeenCalledWith({
+      'scheduledTransition.action': 'publish',
+      'scheduledTransition.claimedAt': { $lte: new Date(LATER.getTime() - 5 * 60 * 1000) },
+    });
+    expect(mockArticleClaim).toHaveBeenLastCalledWith(
+      {
+        _id: 'article-1',
+        'scheduledTransition.action': 'publish',
+        'scheduledTransition.claimedAt': { $lte: new Date(LATER.getTime() - 5 * 60 * 1000) },
+      },
+      { $set: { 'scheduledTransition.claimedAt': LATER } },
+      { new: true }
+    );
+    expect(retried.save).toHaveBeenCalled();
+    expect(retried.workflow.auditTrail).toHaveLength(1);
+    expect(mockNotifyPublished).toHaveBeenCalledTimes(1);
+    expect(mockWebhookEmit).toHaveBeenCalledWith('article.published', expect.objectContaining({ publishedBy: 'Scheduler' }));
+    expect(mockArticleUpdateOne).toHaveBeenCalledWith(
+      { _id: 'article-1', 'scheduledTransition.claimedAt': NOW },
+      { $set: { scheduledTransition: null } }
+    );
+  });
+
+  test('drops a pending marker when the article has since been moved on', async () => {
+    mockArticleFind.mockResolvedValue([]);
+    mockPendingFind.mockImplementation((filter) => (
+      filter['scheduledTransition.action'] === 'publish' ? [{ _id: 'article-1' }] : []
+    ));
+    mockArticleClaim.mockResolvedValue(buildArticle({
+      status: 'draft',
+      scheduledTransition: { action: 'publish', scheduledAt: NOW, claimedAt: NOW, audited: true },
+    }));
+
+    await expect(publishScheduledArticles(NOW)).resolves.toEqual({ published: 0, unpublished: 0, skipped: false });
+    expect(mockArticleUpdateOne).toHaveBeenCalledWith({ _id: 'article-1' }, { $set: { scheduledTransition: null } });
+    expect(mockNotifyPublished).not.toHaveBeenCalled();
+  });
+
+  test('skips articles another instance already claimed', async () => {
+    mockArticleFind.mockImplementation((filter) => (filter.status === 'scheduled' ? [{ _id: 'article-1' }] : []));
+    mockArticleClaim.mockResolvedValue(null);
+
+    const result = await publishScheduledArticles(NOW);
+
+    expect(result).toEqual({ published: 0, unpublished: 0, skipped: false });
+    expect(mockNotifyPublished).not.toHaveBeenCalled();
+  });
+
+  test('skips a tick while the previous one is still running', async () => {
+    articlePublishService.isRunning = true;
+    try {
+      await expect(publishScheduledArticles(NOW)).resolves.toEqual({ published: 0, unpublished: 0, skipped: true });
+      expect(mockArticleFind).not.toHaveBeenCalled();
+    } finally {
+      articlePublishService.isRunning = false;
+    }
+  });
+});
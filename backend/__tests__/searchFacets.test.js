@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+
+const mockCategoryFind = jest.fn();
+const mockUserFind = jest.fn();
+const mockEsSearch = jest.fn();
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  Category: { find: (...args) => mockCategoryFind(...args) },
+  User: { find: (...args) => mockUserFind(...args) },
+}));
+
+jest.unstable_mockModule('../src/services/elasticsearchService.js', () => ({
+  default: {
+    search: (...args) => mockEsSearch(...args),
+  },
+}));
+
+const {
+  parseFacetFilters,
+  buildMongoFacetMatch,
+  buildMongoFacetStages,
+  normalizeMongoFacets,
+  markSelectedFacets,
+  labelSearchFacets,
+} = await import('../src/utils/searchFacets.js');
+const { default: articleSearchService } = await import('../src/services/articleSearchService.js');
+
+const CATEGORY_ID = '64b7f0c2a1b2c3d4e5f60718';
+const AUTHOR_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+const emptyFacets = () => ({
+  categories: [], tags: [], authors: [], languages: [], postTypes: [], months: [],
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('parseFacetFilters', () => {
+  test('accepts comma lists and repeated params, dropping invalid values', () => {
+    const filters = parseFacetFilters({
+      categories: `${CATEGORY_ID},not-an-id`,
+      tags: ['Mekong', 'mekong', ' Floods '],
+      languages: 'KM',
+      months: '2026-10,2026-13',
+    });
+
+    expect(filters).toEqual({
+      categories: [CATEGORY_ID],
+      tags: ['mekong', 'floods'],
+      authors: [],
+      languages: ['km'],
+      postTypes: [],
+      months: ['2026-10'],
+    });
+  });
+});
+
+describe('MongoDB facets', () => {
+  test('each facet pipeline applies every selection except its own', () => {
+    const filters = parseFacetFilters({ tags: 'mekong', months: '2026-10' });
+    const stages = buildMongoFacetStages(filters);
+
+    expect(buildMongoFacetMatch(filters).$and).toHaveLength(2);
+    expect(stages.tags[0].$match).toEqual({
+      $and: [{
+        $or: [{
+          publishedAt: {
+            $gte: new Date('2026-10-01T00:00:00Z'),
+            $lt: new Date('2026-11-01T00:00:00Z'),
+          },
+        }],
+      }],
+    });
+    expect(stages.tags[1]).toEqual({ $unwind: '$tags' });
+    expect(stages.months[0].$match).toEqual({ $and: [{ tags: { $in: ['mekong'] } }] });
+    expect(stages.categories[0].$match.$and).toHaveLength(2);
+  });
+
+  test('normalizes $facet output to value/count buckets', () => {
+    const facets = normalizeMongoFacets({
+      categories: [{ _id: { toString: () => CATEGORY_ID }, count: 4 }],
+      months: [{ _id: '2026-10', count: 2 }],
+    });
+
+    expect(facets.categories).toEqual([{ value: CATEGORY_ID, count: 4 }]);
+    expect(facets.months).toEqual([{ value: '2026-10', count: 2 }]);
+    expect(facets.tags).toEqual([]);
+  });
+});
+
+describe('Elasticsearch facets', () => {
+  test('filters hits with post_filter and returns aggregation buckets', async () => {
+    mockEsSearch.mockResolvedValue({
+      hits: { total: { value: 1 }, hits: [{ _id: 'a1', _score: 2, _source: { title: 'Floods' } }] },
+      aggregations: {
+        languages: { doc_count: 3, values: { buckets: [{ key: 'km', doc_count: 2 }, { key: 'en', doc_count: 1 }] } },
+        months: { doc_count: 3, values: { buckets: [{ key: 1790812800000, key_as_string: '2026-10', doc_count: 3 }] } },
+      },
+    });
+
+    const filters = parseFacetFilters({ languages: 'km', postTypes: 'video' });
+    const result = await articleSearchService.search({ query: 'floods', filters });
+
+    const [index, request] = mockEsSearch.mock.calls[0];
+    expect(index).toBe('articles');
+    expect(request.post_filter.bool.filter).toEqual([
+      { terms: { language: ['km'] } },
+      { terms: { postType: ['video'] } },
+    ]);
+    expect(request.aggs.languages.filter.bool.filter).toEqual([{ terms: { postType: ['video'] } }]);
+    expect(request.aggs.months.aggs.values.date_histogram).toMatchObject({ calendar_interval: 'month' });
+    expect(result.facets.languages).toEqual([{ value: 'km', count: 2 }, { value: 'en', count: 1 }]);
+    expect(result.facets.months).toEqual([{ value: '2026-10', count: 3 }]);
+  });
+});
+
+describe('facet responses', () => {
+  test('keeps selected values listed even without matches', () => {
+    const facets = markSelectedFacets(
+      { ...emptyFacets(), tags: [{ value: 'mekong', count: 5 }] },
+      parseFacetFilters({ tags: 'mekong,floods' })
+    );
+
+    expect(facets.tags).toEqual([
+      { value: 'mekong', count: 5, selected: true },
+      { value: 'floods', count: 0, selected: true },
+    ]);
+  });
+
+  test('labels categories and authors', async () => {
+    mockCategoryFind.mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: CATEGORY_ID, name: 'Politics', slug: 'politics', color: '#f00' }] }),
+    });
+    mockUserFind.mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: AUTHOR_ID, firstName: 'Sophea', lastName: 'Chan' }] }),
+    });
+
+    const facets = await labelSearchFacets({
+      ...emptyFacets(),
+      categories: [{ value: CATEGORY_ID, count: 2, selected: false }],
+      authors: [{ value: AUTHOR_ID, count: 1, selected: true }],
+    });
+
+    expect(facets.categories[0]).toMatchObject({ label: 'Politics', slug: 'politics', color: '#f00' });
+    expect(facets.authors[0]).toMatchObject({ label: 'Sophea Chan', selected: true });
+  });
+});
@@ -0,0 +1,209 @@
+import { jest } from '@jest/globals';
+
+const mockUserFindById = jest.fn();
+const mockUserExists = jest.fn();
+const mockSessionSave = jest.fn();
+const mockSessionFindById = jest.fn();
+const mockSessionFindOneAndUpdate = jest.fn();
+const mockSessionUpdateOne = jest.fn();
+const mockSessionUpdateMany = jest.fn();
+const mockSessionExists = jest.fn();
+const mockSessionFind = jest.fn();
+
+const SESSION_ID = '64b000000000000000000001';
+const OTHER_SESSION_ID = '64b000000000000000000002';
+
+class Session {
+  constructor(data) {
+    Object.assign(this, data, { _id: SESSION_ID });
+  }
+
+  async save() {
+    mockSessionSave({ ...this });
+    return this;
+  }
+
+  static findById(...args) { return mockSessionFindById(...args); }
+  static findOneAndUpdate(...args) { return mockSessionFindOneAndUpdate(...args); }
+  static updateOne(...args) { return mockSessionUpdateOne(...args); }
+  static updateMany(...args) { return mockSessionUpdateMany(...args); }
+  static exists(...args) { return mockSessionExists(...args); }
+  static find(...args) { return mockSessionFind(...args); }
+}
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  User: {
+    findById: (...args) => mockUserFindById(...args),
+    exists: (...args) => mockUserExists(...args),
+  },
+  Session,
+  ApiKey: {},
+  ApiKeyRequestLog: {},
+  SiteSettings: { getSettings: jest.fn() },
+  SecurityAuditLog: { create: jest.fn() },
+}));
+jest.unstable_mockModule('../src/services/emailService.js', () => ({ default: {} }));
+
+const { default: sessionService } = await import('../src/services/sessionService.js');
+const { verifyAccessToken, verifyRefreshToken } = await import('../src/utils/jwt.js');
+const { authenticate } = await import('../src/middleware/auth.js');
+const { getSessions, revokeSession, revokeSessions } = await import('../src/controllers/authController.js');
+
+const user = { _id: 'user-1', email: 'reader@example.com', role: 'user', status: 'active' };
+const context = { ip: '203.0.113.9', userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0)' };
+
+const createMockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+const run = async (handler, req) => {
+  const res = createMockRes();
+  await handler(req, res, jest.fn());
+  return { status: res.status.mock.calls[0]?.[0], body: res.json.mock.calls[0]?.[0] };
+};
+
+// Start a session and make findById return what was saved
+const startSession = async () => {
+  const tokens = await sessionService.start(user, context);
+  const stored = { ...mockSessionSave.mock.calls.at(-1)[0], user: 'user-1', revokedAt: null };
+  mockSessionFindById.mockReturnValue({ select: jest.fn().mockResolvedValue(stored) });
+  return { tokens, stored };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockUserFindById.mockResolvedValue(user);
+  mockSessionFindOneAndUpdate.mockImplementation(async (filter) => ({ _id: filter._id }));
+  mockSessionUpdateOne.mockResolvedValue({ modifiedCount: 1 });
+  mockSessionUpdateMany.mockResolvedValue({ modifiedCount: 2 });
+});
+
+describe('session service', () => {
+  test('records the device and ties both tokens to the session', async () => {
+    const { tokens, stored } = await startSession();
+
+    expect(verifyAccessToken(tokens.accessToken).sid).toBe(SESSION_ID);
+    expect(verifyRefreshToken(tokens.refreshToken).sid).toBe(SESSION_ID);
+    expect(stored).toMatchObject({ deviceType: 'mobile', userAgent: context.userAgent });
+    expect(stored.ipHash).not.toContain('203.0.113.9');
+    expect(stored.tokenHash).not.toBe(tokens.refreshToken);
+    expect(stored.expiresAt).toBeInstanceOf(Date);
+  });
+
+  test('rotates the refresh token by claiming the current hash', async () => {
+    const { tokens, stored } = await startSession();
+
+    const { tokens: rotated } = await sessionService.rotate(tokens.refreshToken, context);
+
+    const [filter, update] = mockSessionFindOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: SESSION_ID, tokenHash: stored.tokenHash, revokedAt: null });
+    expect(update.$set.tokenHash).not.toBe(stored.tokenHash);
+    expect(update.$inc).toEqual({ rotationCount: 1 });
+    expect(verifyRefreshToken(rotated.refreshToken).sid).toBe(SESSION_ID);
+  });
+
+  test('revokes the session when a superseded token is replayed', async () => {
+    const { tokens, stored } = await startSession();
+    stored.tokenHash = 'hash-of-a-newer-token';
+
+    await expect(sessionService.rotate(tokens.refreshToken, context)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(mockSessionFindOneAndUpdate).not.toHaveBeenCalled();
+    expect(mockSessionUpdateOne).toHaveBeenCalledWith(
+      { _id: SESSION_ID, revokedAt: null },
+      { $set: expect.objectContaining({ revokeReason: 'token_reuse' }) }
+    );
+  });
+
+  test('treats losing a concurrent rotation as reuse', async () => {
+    const { tokens } = await startSession();
+    mockSessionFindOneAndUpdate.mockResolvedValue(null);
+
+    await expect(sessionService.rotate(tokens.refreshToken, context)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(mockSessionUpdateOne.mock.calls[0][1].$set.revokeReason).toBe('token_reuse');
+  });
+
+  test('refuses revoked sessions and tokens without one', async () => {
+    const { tokens, stored } = await startSession();
+    stored.revokedAt = new Date();
+
+    await expect(sessionService.rotate(tokens.refreshToken)).rejects.toThrow('Session has been revoked');
+    await expect(sessionService.rotate('not-a-token')).rejects.toThrow('Invalid or expired refresh token');
+  });
+});
+
+describe('authenticate', () => {
+  test('rejects access tokens of a revoked session and exposes the session id otherwise', async () => {
+    const { tokens } = await startSession();
+    const req = { headers: { authorization: `Bearer ${tokens.accessToken}` } };
+
+    mockSessionExists.mockResolvedValue(null);
+    const revoked = createMockRes();
+    const blocked = jest.fn();
+    await authenticate(req, revoked, blocked);
+
+    mockSessionExists.mockResolvedValue({ _id: SESSION_ID });
+    const next = jest.fn();
+    await authenticate(req, createMockRes(), next);
+
+    expect(revoked.status).toHaveBeenCalledWith(401);
+    expect(blocked).not.toHaveBeenCalled();
+    expect(mockSessionExists).toHaveBeenCalledWith({ _id: SESSION_ID, revokedAt: null });
+    expect(next).toHaveBeenCalled();
+    expect(req.sessionId).toBe(SESSION_ID);
+  });
+});
+
+describe('session endpoints', () => {
+  test('lists sessions and marks the current one', async () => {
+    mockSessionFind.mockReturnValue({
+      sort: () => ({
+        lean: async () => [
+          { _id: SESSION_ID, deviceType: 'mobile', tokenHash: 'secret' },
+          { _id: OTHER_SESSION_ID, deviceType: 'desktop' },
+        ],
+      }),
+    });
+
+    const { status, body } = await run(getSessions, { user, query: {}, sessionId: SESSION_ID });
+
+    expect(status).toBe(200);
+    expect(body.data.sessions.map((session) => session.current)).toEqual([true, false]);
+    expect(body.data.sessions[0]).not.toHaveProperty('tokenHash');
+  });
+
+  test("only admins may manage another user's sessions", async () => {
+    const asReader = await run(revokeSession, {
+      user,
+      query: { user: 'user-2' },
+      params: { id: OTHER_SESSION_ID },
+    });
+
+    mockUserExists.mockResolvedValue({ _id: 'user-2' });
+    const asAdmin = await run(revokeSession, {
+      user: { _id: 'admin-1', role: 'admin' },
+      query: { user: 'user-2' },
+      params: { id: OTHER_SESSION_ID },
+    });
+
+    expect(asReader.status).toBe(403);
+    expect(asAdmin.status).toBe(200);
+    expect(mockSessionUpdateOne).toHaveBeenCalledTimes(1);
+    expect(mockSessionUpdateOne).toHaveBeenCalledWith(
+      { _id: OTHER_SESSION_ID, revokedAt: null, user: 'user-2' },
+      { $set: expect.objectContaining({ revokeReason: 'admin', revokedBy: 'admin-1' }) }
+    );
+  });
+
+  test('signing out other devices keeps the current session', async () => {
+    const { body } = await run(revokeSessions, { user, query: {}, sessionId: SESSION_ID });
+
+    expect(body.data).toEqual({ revoked: 2 });
+    expect(mockSessionUpdateMany).toHaveBeenCalledWith(
+      { user: 'user-1', revokedAt: null, _id: { $ne: SESSION_ID } },
+      { $set: expect.objectContaining({ revokeReason: 'revoked' }) }
+    );
+  });
+});
@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+
+const mockArticleFind = jest.fn();
+const mockTranslationFind = jest.fn();
+const mockGetSettings = jest.fn();
+const mockCacheStore = new Map();
+
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    lean: () => Promise.resolve(result),
+  };
+  return query;
+};
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  Article: {
+    find: (...args) => mockArticleFind(...args),
+  },
+  ArticleTranslation: {
+    find: (...args) => mockTranslationFind(...args),
+  },
+  Category: {},
+  SiteSettings: {
+    getSettings: (...args) => mockGetSettings(...args),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/cacheService.js', () => ({
+  default: {
+    key: (prefix, ...parts) => `bassac:${prefix}:${parts.join(':')}`,
+    get: async (key) => (mockCacheStore.has(key) ? mockCacheStore.get(key) : null),
+    set: async (key, value) => mockCacheStore.set(key, value),
+    delPattern: async () => mockCacheStore.clear(),
+  },
+}));
+
+const { default: sitemapService } = await import('../src/services/sitemapService.js');
+
+const SITE_URL = 'https://news.example.com';
+
+describe('sitemapService', () => {
+  beforeEach(() => {
+    mockCacheStore.clear();
+    mockArticleFind.mockReset();
+    mockTranslationFind.mockReset();
+    mockGetSettings.mockResolvedValue({
+      siteName: 'Bassac Post',
+      seo: { enableSitemap: true, enableRobotsTxt: true },
+    });
+  });
+
+  it('builds a news sitemap with hreflang alternates for published translations', async () => {
+    mockArticleFind.mockReturnValue(chain([
+      {
+        _id: 'a1',
+        slug: 'flood-update',
+        title: 'Flood update',
+        language: 'en',
+        availableLanguages: ['en', 'km', 'zh'],
+        publishedAt: new Date('2026-01-01T10:00:00Z'),
+      },
+    ]));
+    mockTranslationFind.mockReturnValue(chain([
+      { articleId: 'a1', language: 'km', slug: 'flood-update-km', title: 'Khmer title' },
+    ]));
+
+    const xml = await sitemapService.getNewsSitemap(SITE_URL);
+
+    expect(xml).toContain('<loc>https://news.example.com/article/flood-update</loc>');
+    expect(xml).toContain('<loc>https://news.example.com/article/flood-update-km</loc>');
+    expect(xml).toContain('hreflang="km" href="https://news.example.com/article/flood-update-km"');
+    expect(xml).toContain('hreflang="x-default" href="https://news.example.com/article/flood-update"');
+    // zh is listed but has no published translation
+    expect(xml).not.toContain('hreflang="zh"');
+    expect(xml).toContain('<news:title>Khmer title</news:title>');
+    expect(xml).toContain('<news:language>km</news:language>');
+  });
+
+  it('serves cached documents until invalidated', async () => {
+    mockArticleFind.mockReturnValue(chain([]));
+    mockTranslationFind.mockReturnValue(chain([]));
+
+    await sitemapService.getNewsSitemap(SITE_URL);
+    await sitemapService.getNewsSitemap(SITE_URL);
+    expect(mockArticleFind).toHaveBeenCalledTimes(1);
+
+    await sitemapService.invalidate();
+    await sitemapService.getNewsSitemap(SITE_URL);
+    expect(mockArticleFind).toHaveBeenCalledTimes(2);
+  });
+
+  it('builds robots.txt from settings', async () => {
+    const robots = await sitemapService.getRobotsTxt(SITE_URL);
+    expect(robots).toContain('Disallow: /dashboard');
+    expect(robots).toContain('Sitemap: https://news.example.com/sitemap.xml');
+
+    await sitemapService.invalidate();
+    mockGetSettings.mockResolvedValue({ seo: { enableSitemap: false, enableRobotsTxt: true } });
+    expect(await sitemapService.getRobotsTxt(SITE_URL)).not.toContain('Sitemap:');
+
+    mockGetSettings.mockResolvedValue({ seo: { enableSitemap: true, enableRobotsTxt: false } });
+    expect(await sitemapService.getRobotsTxt(SITE_URL)).toBeNull();
+  });
+});
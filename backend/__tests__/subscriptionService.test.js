@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+
+const mockSubscriptionFindOne = jest.fn();
+const mockCache = new Map();
+
+jest.unstable_mockModule('../src/models/index.js', async () => {
+  const { default: Subscription, getSubscriptionPlans } = await import('../src/models/Subscription.js');
+  Subscription.prototype.save = async function save() { return this; };
+  Subscription.findOne = (...args) => mockSubscriptionFindOne(...args);
+  Subscription.getOrCreate = async (userId) => (await mockSubscriptionFindOne({ userId }))
+    || new Subscription({ userId, plan: 'free', status: 'active' });
+
+  return { Subscription, getSubscriptionPlans };
+});
+
+jest.unstable_mockModule('../src/services/cacheService.js', () => ({
+  default: {
+    key: (prefix, ...parts) => `bassac:${prefix}:${parts.join(':')}`,
+    get: async (key) => (mockCache.has(key) ? mockCache.get(key) : null),
+    set: async (key, value) => {
+      mockCache.set(key, value);
+      return true;
+    },
+    del: async (key) => mockCache.delete(key),
+  },
+}));
+
+const { Subscription } = await import('../src/models/index.js');
+const { default: subscriptionService } = await import('../src/services/subscriptionService.js');
+
+const USER_ID = '64b0000000000000000000aa';
+const reader = { _id: USER_ID, role: 'user' };
+
+const buildArticle = (id, accessLevel = 'metered') => ({
+  _id: id,
+  accessLevel,
+  author: { _id: '64b0000000000000000000ff' },
+  content: {
+    blocks: [1, 2, 3, 4, 5].map((n) => ({ id: `b${n}`, type: 'paragraph', data: { text: `Paragraph ${n}` } })),
+  },
+});
+
+beforeEach(() => {
+  mockCache.clear();
+  mockSubscriptionFindOne.mockReset().mockResolvedValue(null);
+});
+
+describe('subscriptionService.checkArticleAccess', () => {
+  it('always allows free articles and staff', async () => {
+    await expect(subscriptionService.checkArticleAccess(buildArticle('a1', 'free'), { readerId: 's1' }))
+      .resolves.toEqual({ allowed: true });
+    await expect(subscriptionService.checkArticleAccess(buildArticle('a1', 'premium'), { user: { _id: USER_ID, role: 'editor' } }))
+      .resolves.toEqual({ allowed: true });
+  });
+
+  it('meters anonymous readers per session and counts each article once', async () => {
+    const results = [];
+    for (const id of ['a1', 'a2', 'a3', 'a1', 'a4']) {
+      results.push(await subscriptionService.checkArticleAccess(buildArticle(id), { readerId: 'session-1' }));
+    }
+
+    expect(results.map((result) => result.allowed)).toEqual([true, true, true, true, false]);
+    expect(results[2].remaining).toBe(0);
+    expect(results[4]).toMatchObject({ reason: 'meter_exhausted', limit: 3 });
+
+    // Another session has its own meter
+    const other = await subscriptionService.checkArticleAccess(buildArticle('a4'), { readerId: 'session-2' });
+    expect(other.allowed).toBe(true);
+  });
+
+  it('uses the free plan quota stored on the subscription', async () => {
+    const subscription = new Subscription({ userId: USER_ID, plan: 'free', status: 'active' });
+    subscription.limits.currentArticlesRead = 5;
+    mockSubscriptionFindOne.mockResolvedValue(subscription);
+
+    const access = await subscriptionService.checkArticleAccess(buildArticle('a9'), { user: reader });
+
+    expect(access).toMatchObject({ allowed: false, reason: 'meter_exhausted', limit: 5 });
+  });
+
+  it('requires premium access for premium articles', async () => {
+    const subscription = new Subscription({ userId: USER_ID, plan: 'free', status: 'active' });
+    mockSubscriptionFindOne.mockResolvedValue(subscription);
+
+    const denied = await subscriptionService.checkArticleAccess(buildArticle('p1', 'premium'), { user: reader });
+    expect(denied).toEqual({ allowed: false, reason: 'premium_required' });
+
+    await subscription.upgradePlan('basic');
+    const allowed = await subscriptionService.checkArticleAccess(buildArticle('p1', 'premium'), { user: reader });
+    expect(allowed).toEqual({ allowed: true });
+  });
+});
+
+describe('subscriptionService.applyPaywall', () => {
+  it('truncates the body to the preview once access is denied', () => {
+    const article = buildArticle('a1');
+    const locked = subscriptionService.applyPaywall(article, { allowed: false, reason: 'meter_exhausted', limit: 3 });
+
+    expect(locked.content.blocks.map((block) => block.id)).toEqual(['b1', 'b2', 'b3']);
+    expect(locked.paywall).toEqual({ locked: true, reason: 'meter_exhausted', limit: 3, remaining: 0 });
+    expect(article.content.blocks).toHaveLength(5);
+  });
+});
+
+describe('subscriptionService checkout and entitlements', () => {
+  it('activates a paid plan through the fake provider and turns on ad-free', async () => {
+    let stored = null;
+    mockSubscriptionFindOne.mockImplementation(async () => stored);
+    stored = new Subscription({ userId: USER_ID, plan: 'free', status: 'active' });
+
+    await expect(subscriptionService.isAdFree(USER_ID)).resolves.toBe(false);
+
+    const { subscription, checkout } = await subscriptionService.startCheckout(reader, { plan: 'premium', interval: 'yearly' });
+
+    expect(checkout.status).toBe('completed');
+    expect(subscription.plan).toBe('premium');
+    expect(subscription.paymentProvider).toBe('fake');
+    expect(subscription.billing.amount).toBe(199);
+    // Entitlement cache is dropped on activation
+    await expect(subscriptionService.isAdFree(USER_ID)).resolves.toBe(true);
+  });
+
+  it('rejects checkout for the free plan', async () => {
+    await expect(subscriptionService.startCheckout(reader, { plan: 'free' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,377 @@
+import { jest } from '@jest/globals';
+
+const mockArticleFindById = jest.fn();
+const mockUserFind = jest.fn();
+const mockUserFindById = jest.fn();
+const mockTranslationGetByArticleAndLanguage = jest.fn();
+
+const mockNotifyTranslationAssigned = jest.fn();
+const mockNotifyAdminReviewPending = jest.fn();
+const mockTelegramWorkflowUpdate = jest.fn();
+const mockWebhookEmit = jest.fn().mockResolvedValue([]);
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  Article: {
+    findById: (...args) => mockArticleFindById(...args),
+  },
+  ArticleRevision: {
+    ensureBaseline: jest.fn().mockResolvedValue(null),
+    recordRevision: jest.fn().mockResolvedValue(null),
+  },
+  ArticleTranslation: {
+    getByArticleAndLanguage: (...args) => mockTranslationGetByArticleAndLanguage(...args),
+  },
+  Category: {
+    findById: jest.fn(),
+  },
+  Media: {},
+  SiteSettings: {},
+  Subscription: {},
+  getSubscriptionPlans: () => ({}),
+  User: {
+    find: (...args) => mockUserFind(...args),
+    findById: (...args) => mockUserFindById(...args),
+  },
+}));
+
+jest.unstable_mockModule('../src/models/Analytics.js', () => ({
+  analyticsHelpers: {
+    recordPageView: jest.fn().mockResolvedValue(undefined),
+  },
+  PageView: {
+    find: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../src/utils/helpers.js', () => ({
+  sanitizeEditorContent: (value) => value,
+  parsePaginationParams: () => ({ page: 1, limit: 20, skip: 0 }),
+  generateHash: () => 'mock-hash',
+  getClientIp: () => '127.0.0.1',
+  ensureSessionId: () => 'mock-session',
+  escapeXml: (value) => value,
+  normalizeLanguageCode: (value) => value,
+}));
+
+jest.unstable_mockModule('../src/services/cacheService.js', () => ({
+  default: {
+    key: (...parts) => parts.join(':'),
+    delPattern: jest.fn().mockResolvedValue(true),
+    invalidateArticle: jest.fn().mockResolvedValue(undefined),
+    invalidateArticleLists: jest.fn().mockResolvedValue(undefined),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/notificationService.js', () => ({
+  default: {
+    notifySourceApproved: jest.fn().mockResolvedValue(undefined),
+    notifyTranslationAssigned: (...args) => mockNotifyTranslationAssigned(...args),
+    notifyAdminReviewPending: (...args) => mockNotifyAdminReviewPending(...args),
+  },
+}));
+
+jest.unstable_mockModule('../src/config/index.js', () => ({
+  default: {
+    frontendUrl: 'http://localhost:5173',
+    paywall: { previewBlocks: 1 },
+    siteUrl: 'http://localhost:5173',
+    workflow: {
+      defaultTranslationLanguages: ['zh'],
+      slaHours: { sourceReview: 12, translation: 24, translationReview: 12, finalReview: 6 },
+      escalateAfterHours: 4,
+    },
+    telegram: {
+      enabled: false,
+      botToken: '',
+      chatIds: { editor: [], translator: [], admin: [] },
+    },
+  },
+}));
+
+jest.unstable_mockModule('../src/services/telegramService.js', () => ({
+  default: {
+    sendWorkflowUpdateNonBlocking: (...args) => mockTelegramWorkflowUpdate(...args),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/webhookService.js', () => ({
+  default: { emit: (...args) => mockWebhookEmit(...args) },
+  toArticleWebhookData: (article) => ({ id: String(article._id), slug: article.slug }),
+}));
+
+const {
+  syncTranslationState,
+  buildTranslationProgress,
+  resolveTranslationAssignment,
+} = await import('../src/utils/articleWorkflow.js');
+const { default: articleController } = await import('../src/controllers/articleController.js');
+const { getArticleTranslation } = await import('../src/controllers/translationController.js');
+const { default: subscriptionService } = await import('../src/services/subscriptionService.js');
+const { default: ArticleModel } = await import('../src/models/Article.js');
+const { default: ArticleTranslationModel } = await import('../src/models/ArticleTranslation.js');
+
+const assignment = (language, state, translator = null) => ({
+  language,
+  state,
+  translator,
+  assignedAt: new Date('2026-01-01T00:00:00Z'),
+  submittedAt: null,
+  reviewedAt: null,
+  reviewer: null,
+  reviewNotes: '',
+});
+
+const createArticleDoc = (workflow = {}) => ({
+  _id: 'article-1',
+  title: 'Tonle Sap water levels',
+  language: 'en',
+  status: 'pending',
+  author: { _id: 'writer-1', firstName: 'Writer', lastName: 'User' },
+  workflow: {
+    sourceReviewState: 'approved',
+    translationState: 'in_translation',
+    adminApprovalState: 'not_ready',
+    assignedTranslator: null,
+    translationAssignments: [],
+    timestamps: {},
+    reviewedBy: {},
+    auditTrail: [],
+    ...workflow,
+  },
+  markModified: jest.fn(),
+  save: jest.fn().mockResolvedValue(undefined),
+});
+
+const createSubmittedTranslationDoc = () => ({
+  _id: 'translation-zh',
+  workflow: {
+    translationState: 'submitted',
+    timestamps: { submittedAt: new Date(), reviewedAt: null },
+    reviewedBy: { submittedBy: 'translator-2', reviewer: null },
+    reviewNotes: '',
+  },
+  translatedBy: 'translator-2',
+  translationStatus: 'review',
+  markModified: jest.fn(),
+  save: jest.fn().mockResolvedValue(undefined),
+});
+
+const createMockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockUserFind.mockReturnValue({
+    select: jest.fn().mockResolvedValue([{ _id: 'translator-open' }]),
+  });
+  mockUserFindById.mockImplementation((id) => ({
+    select: jest.fn().mockResolvedValue({ _id: id, role: 'translator', status: 'active' }),
+  }));
+});
+
+describe('translation assignment helpers', () => {
+  test('rolls per-language states up into the article translation state', () => {
+    const workflow = {
+      adminApprovalState: 'not_ready',
+      translationAssignments: [assignment('km', 'submitted'), assignment('zh', 'approved')],
+    };
+
+    syncTranslationState(workflow);
+    expect(workflow.translationState).toBe('submitted');
+    expect(workflow.adminApprovalState).toBe('not_ready');
+
+    workflow.translationAssignments.push(assignment('fr', 'changes_requested'));
+    syncTranslationState(workflow);
+    expect(workflow.translationState).toBe('changes_requested');
+
+    workflow.translationAssignments = [assignment('km', 'approved'), assignment('zh', 'approved')];
+    syncTranslationState(workflow);
+    expect(workflow.translationState).toBe('approved');
+    expect(workflow.adminApprovalState).toBe('pending_final_review');
+  });
+
+  test('reports which languages block final approval', () => {
+    const progress = buildTranslationProgress({
+      translationAssignments: [
+        assignment('km', 'in_translation', 'translator-1'),
+        assignment('zh', 'submitted'),
+        assignment('fr', 'approved'),
+      ],
+    });
+
+    expect(progress.blockingLanguages).toEqual(['km', 'zh']);
+    expect(progress.awaitingTranslator).toEqual(['km']);
+    expect(progress.awaitingReview).toEqual(['zh']);
+    expect(progress.readyForFinalApproval).toBe(false);
+    expect(progress.languages.find((entry) => entry.language === 'fr').isBlocking).toBe(false);
+  });
+
+  test('adopts legacy single-translator articles but never invents uncommissioned languages', () => {
+    const legacy = { translationState: 'changes_requested', assignedTranslator: 'translator-1', translationAssignments: [] };
+    expect(resolveTranslationAssignment(legacy, 'km')).toMatchObject({
+      language: 'km',
+      translator: 'translator-1',
+      state: 'changes_requested',
+    });
+
+    const commissioned = { translationAssignments: [assignment('zh', 'in_translation')] };
+    expect(resolveTranslationAssignment(commissioned, 'km')).toBeNull();
+  });
+});
+
+describe('parallel translation workflow', () => {
+  test('commissions each requested language with its own translator', async () => {
+    const article = createArticleDoc({ sourceReviewState: 'submitted', translationState: 'draft' });
+    mockArticleFindById.mockReturnValue({ populate: jest.fn().mockResolvedValue(article) });
+
+    const req = {
+      params: { id: article._id },
+      user: { _id: 'editor-1', role: 'editor' },
+      body: { translations: [{ language: 'km', translatorId: 'translator-1' }, { language: 'zh' }] },
+    };
+    const res = createMockRes();
+
+    await articleController.approveSourceForWorkflow(req, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(article.workflow.translationAssignments).toEqual([
+      expect.objectContaining({ language: 'km', translator: 'translator-1', state: 'in_translation' }),
+      expect.objectContaining({ language: 'zh', translator: null, state: 'in_translation' }),
+    ]);
+    expect(article.workflow.translationState).toBe('in_translation');
+    expect(mockNotifyTranslationAssigned).toHaveBeenCalledWith(article, 'translator-1', 'km');
+    expect(mockNotifyTranslationAssigned).toHaveBeenCalledWith(article, 'translator-open', 'zh');
+    expect(mockTelegramWorkflowUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects commissioning the source language', async () => {
+    const article = createArticleDoc({ sourceReviewState: 'submitted', translationState: 'draft' });
+    mockArticleFindById.mockReturnValue({ populate: jest.fn().mockResolvedValue(article) });
+
+    const req = {
+      params: { id: article._id },
+      user: { _id: 'editor-1', role: 'editor' },
+      body: { translations: [{ language: 'en' }] },
+    };
+    const res = createMockRes();
+
+    await articleController.approveSourceForWorkflow(req, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(article.save).not.toHaveBeenCalled();
+  });
+
+  test('approves one language while others keep final approval blocked', async () => {
+    const article = createArticleDoc({
+      translationAssignments: [
+        assignment('km', 'in_translation', 'translator-1'),
+        assignment('zh', 'submitted', 'translator-2'),
+      ],
+    });
+    const translation = createSubmittedTranslationDoc();
+    mockArticleFindById.mockReturnValue({ populate: jest.fn().mockResolvedValue(article) });
+    mockTranslationGetByArticleAndLanguage.mockResolvedValue(translation);
+
+    const req = {
+      params: { id: article._id },
+      user: { _id: 'editor-1', role: 'editor' },
+      body: { language: 'zh', notes: 'Reads well' },
+    };
+    const res = createMockRes();
+
+    await articleController.approveTranslationForWorkflow(req, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Translation approved; still waiting on km',
+    }));
+    expect(article.workflow.translationAssignments[1]).toMatchObject({
+      state: 'approved',
+      reviewer: 'editor-1',
+      reviewNotes: 'Reads well',
+    });
+    expect(article.workflow.adminApprovalState).toBe('not_ready');
+    expect(mockNotifyAdminReviewPending).not.toHaveBeenCalled();
+    expect(mockWebhookEmit).toHaveBeenCalledWith('translation.approved', expect.objectContaining({
+      translation: expect.objectContaining({ language: 'zh' }),
+      readyForFinalReview: false,
+    }));
+
+    const finalReq = { params: { id: article._id }, user: { _id: 'admin-1', role: 'admin' }, body: {} };
+    const finalRes = createMockRes();
+    article.save.mockClear();
+
+    await articleController.finalApproveForWorkflow(finalReq, finalRes, jest.fn());
+
+    expect(finalRes.status).toHaveBeenCalledWith(400);
+    expect(finalRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: expect.stringContaining('Still waiting on: km'),
+    }));
+    expect(article.save).not.toHaveBeenCalled();
+  });
+
+  test('hands the article to admins once the last language is approved', async () => {
+    const article = createArticleDoc({
+      translationState: 'submitted',
+      translationAssignments: [
+        assignment('km', 'approved', 'translator-1'),
+        assignment('zh', 'submitted', 'translator-2'),
+      ],
+    });
+    mockArticleFindById.mockReturnValue({ populate: jest.fn().mockResolvedValue(article) });
+    mockTranslationGetByArticleAndLanguage.mockResolvedValue(createSubmittedTranslationDoc());
+
+    const req = { params: { id: article._id }, user: { _id: 'editor-1', role: 'editor' }, body: { language: 'zh' } };
+    const res = createMockRes();
+
+    await articleController.approveTranslationForWorkflow(req, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(article.workflow.translationState).toBe('approved');
+    expect(article.workflow.adminApprovalState).toBe('pending_final_review');
+    expect(mockNotifyAdminReviewPending).toHaveBeenCalledTimes(1);
+    expect(mockTelegramWorkflowUpdate).toHaveBeenCalledWith(expect.objectContaining({
+      targetRole: 'admin',
+      stage: 'ADMIN REVIEW PENDING',
+    }));
+  });
+});
+
+describe('public translation reads', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const translationDoc = () => ({
+    toObject: () => ({
+      _id: 'translation-zh',
+      language: 'zh',
+      title: '洞里萨湖水位',
+      content: { blocks: [{ type: 'paragraph' }, { type: 'paragraph' }, { type: 'paragraph' }, { type: 'paragraph' }] },
+    }),
+  });
+
+  test('meters anonymous readers of a premium article translation', async () => {
+    jest.spyOn(ArticleTranslationModel, 'getByArticleAndLanguage').mockResolvedValue(translationDoc());
+    jest.spyOn(ArticleModel, 'findById').mockReturnValue({
+      select: () => ({ lean: jest.fn().mockResolvedValue({ _id: 'article-1', accessLevel: 'premium', author: 'writer-1' }) }),
+    });
+    const checkAccess = jest.spyOn(subscriptionService, 'checkArticleAccess')
+      .mockResolvedValue({ allowed: false, reason: 'premium_required' });
+
+    const req = { params: { articleId: 'article-1', language: 'zh' }, user: null };
+    const res = createMockRes();
+
+    await getArticleTranslation(req, res, jest.fn());
+
+    expect(checkAccess).toHaveBeenCalledWith(
+      expect.objectContaining({ accessLevel: 'premium' }),
+      { user: null, readerId: 'mock-session' }
+    );
+    const { translation } = res.json.mock.calls[0][0].data;
+    expect(translation.content.blocks).toHaveLength(1);
+    expect(translation.paywall).toMatchObject({ locked: true, reason: 'premium_required' });
+  });
+});
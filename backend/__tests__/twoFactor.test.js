@@ -0,0 +1,246 @@
+import { jest } from '@jest/globals';
+
+const mockFindOne = jest.fn();
+const mockFindById = jest.fn();
+const mockUpdateOne = jest.fn();
+const mockAuditCreate = jest.fn();
+const mockGetSettings = jest.fn();
+const mockSessionUpdateMany = jest.fn();
+
+const User = {
+  findOne: (...args) => mockFindOne(...args),
+  findById: (...args) => mockFindById(...args),
+  updateOne: (...args) => mockUpdateOne(...args),
+};
+
+class Session {
+  constructor(data) {
+    Object.assign(this, data, { _id: 'session-1' });
+  }
+
+  async save() {
+    return this;
+  }
+
+  static updateMany(...args) {
+    return mockSessionUpdateMany(...args);
+  }
+}
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  User,
+  Session,
+  SiteSettings: { getSettings: (...args) => mockGetSettings(...args) },
+  SecurityAuditLog: { create: (...args) => mockAuditCreate(...args) },
+}));
+jest.unstable_mockModule('../src/services/emailService.js', () => ({ default: {} }));
+
+const { generateHotp, generateTotp, verifyTotp, base32Encode } = await import('../src/utils/totp.js');
+const { verifyAccessToken } = await import('../src/utils/jwt.js');
+const {
+  default: twoFactorService,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+} = await import('../src/services/twoFactorService.js');
+const { login, verifyTwoFactor } = await import('../src/controllers/authController.js');
+
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const createMockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn().mockReturnThis(),
+  cookie: jest.fn(),
+});
+
+// Mongoose queries are awaited directly or after .select()
+const found = (value) => {
+  const query = Promise.resolve(value);
+  query.select = jest.fn().mockResolvedValue(value);
+  return query;
+};
+
+const buildUser = (overrides = {}) => ({
+  _id: 'user-1',
+  email: 'editor@example.com',
+  role: 'editor',
+  status: 'active',
+  twoFactor: { enabled: false },
+  comparePassword: jest.fn().mockResolvedValue(true),
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides,
+});
+
+const enrolledUser = (overrides = {}) => buildUser({
+  twoFactor: {
+    enabled: true,
+    secret: encryptSecret(SECRET),
+    recoveryCodes: [hashRecoveryCode('abcde-12345'), hashRecoveryCode('fghij-67890')],
+    lastUsedStep: 0,
+  },
+  ...overrides,
+});
+
+const buildReq = (body, overrides = {}) => ({
+  body,
+  ip: '203.0.113.9',
+  cookies: {},
+  headers: { 'user-agent': 'jest' },
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockGetSettings.mockResolvedValue({ security: { requireStaffTwoFactor: false } });
+  mockUpdateOne.mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+  mockAuditCreate.mockImplementation(async (data) => data);
+  mockSessionUpdateMany.mockResolvedValue({ modifiedCount: 2 });
+});
+
+describe('totp and qr helpers', () => {
+  test('match the RFC 6238 test vectors and tolerate one step of drift', () => {
+    const key = Buffer.from('12345678901234567890');
+    expect(generateHotp(key, 1, 8)).toBe('94287082');
+    expect(generateHotp(key, Math.floor(1111111109 / 30), 8)).toBe('07081804');
+
+    const time = 1_700_000_000_000;
+    const code = generateTotp(SECRET, { time });
+    expect(verifyTotp(SECRET, code, { time: time + 30_000 })).toBe(Math.floor(time / 30_000));
+    expect(verifyTotp(SECRET, code, { time: time + 90_000 })).toBeNull();
+    expect(verifyTotp(SECRET, 'abcdef', { time })).toBeNull();
+  });
+});
+
+describe('two-factor service', () => {
+  test('encrypts secrets at rest and keeps challenge tokens out of the access-token keyspace', () => {
+    const stored = encryptSecret(SECRET);
+    expect(stored).not.toContain(SECRET);
+    expect(decryptSecret(stored)).toBe(SECRET);
+
+    const challenge = twoFactorService.createChallenge({ _id: 'user-1' }, { setup: true });
+    expect(twoFactorService.verifyChallenge(challenge)).toMatchObject({ id: 'user-1', setup: true });
+    expect(() => verifyAccessToken(challenge)).toThrow('Invalid token');
+    expect(twoFactorService.verifyChallenge('not-a-token')).toBeNull();
+  });
+
+  test('starts enrollment with a pending secret and a QR code of the otpauth URI', async () => {
+    mockFindById.mockReturnValue(found(buildUser()));
+
+    const enrollment = await twoFactorService.beginEnrollment('user-1');
+
+    expect(enrollment.otpauthUrl).toMatch(new RegExp(`^otpauth://totp/.+\\?secret=${enrollment.secret}&`));
+    expect(mockUpdateOne).toHaveBeenCalledWith(
+      { _id: 'user-1' },
+      { $set: { 'twoFactor.pendingSecret': expect.any(String) } }
+    );
+    expect(enrollment.qrCode).toMatch(/^data:image\/svg\+xml;base64,/);
+    const svg = Buffer.from(enrollment.qrCode.split(',')[1], 'base64').toString();
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+  });
+
+  test('uses a recovery code once and records it in the audit log', async () => {
+    mockFindById.mockReturnValue(found(enrolledUser()));
+
+    const result = await twoFactorService.verifyCode('user-1', 'ABCDE 12345', { ip: '203.0.113.9' });
+
+    expect(result).toEqual({ method: 'recovery_code', recoveryCodesRemaining: 1 });
+    expect(mockUpdateOne).toHaveBeenCalledWith(
+      { _id: 'user-1', 'twoFactor.recoveryCodes': hashRecoveryCode('abcde-12345') },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode('abcde-12345') } }
+    );
+    expect(mockAuditCreate).toHaveBeenCalledWith(expect.objectContaining({
+      action: '2fa_recovery_code_used',
+      subject: 'user-1',
+      ip: '203.0.113.9',
+    }));
+
+    mockUpdateOne.mockResolvedValueOnce({ matchedCount: 0, modifiedCount: 0 });
+    expect(await twoFactorService.verifyCode('user-1', generateTotp(SECRET))).toBeNull();
+  });
+
+  test('admin reset clears the factor, ends sessions and is audited', async () => {
+    mockFindById.mockReturnValue(found(enrolledUser()));
+
+    await twoFactorService.reset('user-1', { actor: 'admin-1', reason: 'Lost phone' });
+
+    const [, clearUpdate] = mockUpdateOne.mock.calls[0];
+    expect(clearUpdate.$set).toMatchObject({ 'twoFactor.enabled': false, trustedDevices: [] });
+    expect(clearUpdate.$unset).toHaveProperty(['twoFactor.secret']);
+    expect(mockSessionUpdateMany).toHaveBeenCalledWith(
+      { user: 'user-1', revokedAt: null },
+      { $set: expect.objectContaining({ revokeReason: '2fa_reset', revokedBy: 'admin-1' }) }
+    );
+    expect(mockAuditCreate).toHaveBeenCalledWith(expect.objectContaining({
+      action: '2fa_reset',
+      actor: 'admin-1',
+      subject: 'user-1',
+      reason: 'Lost phone',
+    }));
+  });
+});
+
+describe('login with two-factor', () => {
+  test('withholds tokens until the second step and sends unenrolled staff to setup', async () => {
+    mockFindOne.mockReturnValue(found(enrolledUser({ email: 'enrolled@example.com' })));
+    mockUpdateOne.mockResolvedValue({ matchedCount: 0, modifiedCount: 0 }); // no trusted device
+    const enrolled = createMockRes();
+    await login(buildReq({ email: 'enrolled@example.com', password: 'secret123' }), enrolled, jest.fn());
+
+    mockGetSettings.mockResolvedValue({ security: { requireStaffTwoFactor: true } });
+    mockFindOne.mockReturnValue(found(buildUser({ email: 'new-editor@example.com' })));
+    const staff = createMockRes();
+    await login(buildReq({ email: 'new-editor@example.com', password: 'secret123' }), staff, jest.fn());
+
+    const enrolledBody = enrolled.json.mock.calls[0][0].data;
+    expect(enrolledBody).toMatchObject({ twoFactorRequired: true, setupRequired: false });
+    expect(enrolledBody.accessToken).toBeUndefined();
+    expect(staff.json.mock.calls[0][0].data).toMatchObject({ twoFactorRequired: true, setupRequired: true });
+  });
+
+  test('skips the second step on a trusted device', async () => {
+    const user = enrolledUser({ email: 'trusted@example.com' });
+    mockFindOne.mockReturnValue(found(user));
+    const res = createMockRes();
+
+    await login(
+      buildReq({ email: 'trusted@example.com', password: 'secret123' }, { cookies: { tfa_trusted_device: 'device-token' } }),
+      res,
+      jest.fn()
+    );
+
+    expect(res.json.mock.calls[0][0].data.accessToken).toEqual(expect.any(String));
+    expect(mockUpdateOne.mock.calls[0][0].trustedDevices.$elemMatch.tokenHash).not.toBe('device-token');
+  });
+
+  test('rejects a wrong code and issues tokens plus a trusted-device cookie for a right one', async () => {
+    const user = enrolledUser({ email: 'verify@example.com' });
+    mockFindById.mockReturnValue(found(user));
+    const challengeToken = twoFactorService.createChallenge(user);
+
+    const wrong = createMockRes();
+    await verifyTwoFactor(buildReq({ challengeToken, code: '000000' }), wrong, jest.fn());
+    expect(wrong.status).toHaveBeenCalledWith(401);
+    expect(wrong.json.mock.calls[0][0].message).toContain('attempts remaining');
+
+    const right = createMockRes();
+    await verifyTwoFactor(buildReq({ challengeToken, code: generateTotp(SECRET), trustDevice: true }), right, jest.fn());
+
+    expect(right.status).toHaveBeenCalledWith(200);
+    expect(right.json.mock.calls[0][0].data).toMatchObject({ accessToken: expect.any(String), user: { twoFactorEnabled: true } });
+    expect(right.cookie).toHaveBeenCalledWith(
+      'tfa_trusted_device',
+      expect.stringMatching(/^[a-f0-9]{64}$/),
+      expect.objectContaining({ httpOnly: true, path: '/api/auth' })
+    );
+  });
+
+  test('refuses setup challenges at the verify step', async () => {
+    const challengeToken = twoFactorService.createChallenge(buildUser(), { setup: true });
+    const res = createMockRes();
+
+    await verifyTwoFactor(buildReq({ challengeToken, code: '123456' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(mockFindById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,198 @@
+import http from 'http';
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+
+const mockWebhookFind = jest.fn();
+const mockWebhookFindById = jest.fn();
+const mockWebhookCreate = jest.fn();
+const mockWebhookUpdateOne = jest.fn();
+const mockDeliveryInsertMany = jest.fn();
+const mockDeliveryFindOneAndUpdate = jest.fn();
+const mockDeliveryFindByIdAndUpdate = jest.fn();
+const mockDeliveryExists = jest.fn();
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  Webhook: {
+    find: (...args) => mockWebhookFind(...args),
+    findById: (...args) => mockWebhookFindById(...args),
+    create: (...args) => mockWebhookCreate(...args),
+    updateOne: (...args) => mockWebhookUpdateOne(...args),
+  },
+  WebhookDelivery: {
+    insertMany: (...args) => mockDeliveryInsertMany(...args),
+    findOneAndUpdate: (...args) => mockDeliveryFindOneAndUpdate(...args),
+    findByIdAndUpdate: (...args) => mockDeliveryFindByIdAndUpdate(...args),
+    exists: (...args) => mockDeliveryExists(...args),
+  },
+}));
+
+const { default: config } = await import('../src/config/index.js');
+const {
+  default: webhookService,
+  signWebhookPayload,
+  getRetryDelay,
+} = await import('../src/services/webhookService.js');
+
+// Local receiver standing in for a partner endpoint
+const received = [];
+let receiverStatus = 200;
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(receiverStatus).end('ok');
+  });
+});
+let receiverUrl;
+
+beforeAll(async () => {
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+
+afterAll(() => new Promise((resolve) => receiver.close(resolve)));
+
+const buildDelivery = (overrides = {}) => ({
+  _id: 'delivery-1',
+  webhook: 'webhook-1',
+  event: 'article.published',
+  eventId: 'event-1',
+  payload: { id: 'event-1', event: 'article.published', data: { article: { slug: 'floods-recede' } } },
+  attempts: 0,
+  ...overrides,
+});
+
+const stubWebhook = (overrides = {}) => {
+  mockWebhookFindById.mockReturnValue({
+    select: jest.fn().mockResolvedValue({
+      _id: 'webhook-1',
+      url: receiverUrl,
+      secret: 'whsec_test',
+      active: true,
+      ...overrides,
+    }),
+  });
+};
+
+const lastUpdate = () => mockDeliveryFindByIdAndUpdate.mock.calls.at(-1)[1];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  received.length = 0;
+  receiverStatus = 200;
+  config.webhooks.allowPrivateUrls = true;
+  stubWebhook();
+  mockDeliveryFindOneAndUpdate.mockResolvedValue(buildDelivery());
+  mockDeliveryFindByIdAndUpdate.mockImplementation(async (id, update) => ({ _id: id, ...update.$set }));
+  mockWebhookUpdateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('webhook delivery', () => {
+  test('posts a signed payload the receiver can verify', async () => {
+    const delivery = await webhookService.attempt('delivery-1');
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    const expected = `sha256=${crypto.createHmac('sha256', 'whsec_test')
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex')}`;
+    expect(headers['x-webhook-signature']).toBe(expected);
+    expect(signWebhookPayload('whsec_test', headers['x-webhook-timestamp'], body)).toBe(expected);
+    expect(headers['x-webhook-event']).toBe('article.published');
+    expect(headers['x-webhook-delivery']).toBe('delivery-1');
+    expect(JSON.parse(body)).toEqual(buildDelivery().payload);
+
+    expect(delivery).toMatchObject({ status: 'succeeded', attempts: 1, lastStatusCode: 200 });
+    expect(mockWebhookUpdateOne).toHaveBeenCalledWith(
+      { _id: 'webhook-1' },
+      { $set: expect.objectContaining({ lastDeliveryStatus: 'succeeded' }) }
+    );
+  });
+
+  test('schedules retries with exponential backoff, then dead-letters', async () => {
+    receiverStatus = 500;
+    const before = Date.now();
+
+    const retried = await webhookService.attempt('delivery-1');
+
+    expect(retried.status).toBeUndefined();
+    expect(retried.lastError).toBe('Receiver responded with HTTP 500');
+    expect(retried.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + config.webhooks.retryBaseDelayMs);
+    expect(lastUpdate().$push.attemptLog.$each[0]).toMatchObject({ statusCode: 500 });
+
+    mockDeliveryFindOneAndUpdate.mockResolvedValue(buildDelivery({ attempts: config.webhooks.maxAttempts - 1 }));
+    const dead = await webhookService.attempt('delivery-1');
+
+    expect(dead).toMatchObject({ status: 'dead', attempts: config.webhooks.maxAttempts });
+    expect(getRetryDelay(2)).toBe(config.webhooks.retryBaseDelayMs * 2);
+    expect(getRetryDelay(100)).toBe(config.webhooks.retryMaxDelayMs);
+  });
+
+  test('claims the delivery first and skips ones that are not due', async () => {
+    mockDeliveryFindOneAndUpdate.mockResolvedValue(null);
+
+    await expect(webhookService.attempt('delivery-1')).resolves.toBeNull();
+
+    expect(mockDeliveryFindOneAndUpdate.mock.calls[0][0]).toMatchObject({ _id: 'delivery-1', status: 'pending' });
+    expect(received).toHaveLength(0);
+  });
+
+  test('dead-letters deliveries for disabled webhooks without sending', async () => {
+    stubWebhook({ active: false });
+
+    const delivery = await webhookService.attempt('delivery-1');
+
+    expect(delivery).toMatchObject({ status: 'dead', lastError: 'Webhook is disabled' });
+    expect(received).toHaveLength(0);
+  });
+});
+
+describe('webhook service', () => {
+  test('queues one delivery per subscribed webhook with a shared event id', async () => {
+    mockWebhookFind.mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: 'webhook-1' }, { _id: 'webhook-2' }] }),
+    });
+    mockDeliveryInsertMany.mockImplementation(async (docs) => docs.map((doc, index) => ({ ...doc, _id: `d-${index}` })));
+    mockDeliveryFindOneAndUpdate.mockResolvedValue(null);
+
+    const deliveries = await webhookService.emit('comment.created', { id: 'comment-1' });
+
+    expect(mockWebhookFind).toHaveBeenCalledWith({ active: true, events: 'comment.created' });
+    expect(deliveries.map((delivery) => delivery.webhook)).toEqual(['webhook-1', 'webhook-2']);
+    expect(new Set(deliveries.map((delivery) => delivery.payload.id)).size).toBe(1);
+    expect(deliveries[0].payload).toMatchObject({ event: 'comment.created', data: { id: 'comment-1' } });
+  });
+
+  test('never throws from emit', async () => {
+    mockWebhookFind.mockImplementation(() => { throw new Error('db down'); });
+
+    await expect(webhookService.emit('article.published', {})).resolves.toEqual([]);
+  });
+
+  test('redelivers a dead delivery with fresh attempts', async () => {
+    const delivery = await webhookService.redeliver('delivery-1');
+
+    expect(mockDeliveryFindOneAndUpdate.mock.calls[0]).toEqual([
+      { _id: 'delivery-1', status: { $ne: 'pending' } },
+      { $set: expect.objectContaining({ status: 'pending', attempts: 0 }) },
+      { new: true },
+    ]);
+    expect(delivery.status).toBe('succeeded');
+    expect(received).toHaveLength(1);
+
+    mockDeliveryFindOneAndUpdate.mockResolvedValue(null);
+    mockDeliveryExists.mockResolvedValue({ _id: 'delivery-1' });
+    await expect(webhookService.redeliver('delivery-1')).rejects.toThrow('Delivery is already queued');
+  });
+
+  test('refuses private receiver URLs unless explicitly allowed', async () => {
+    config.webhooks.allowPrivateUrls = false;
+
+    await expect(webhookService.create(
+      { name: 'Local', url: receiverUrl, events: ['article.published'] },
+      { _id: 'admin-1' }
+    )).rejects.toMatchObject({ statusCode: 400 });
+    expect(mockWebhookCreate).not.toHaveBeenCalled();
+  });
+});
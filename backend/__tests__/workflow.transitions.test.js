@@ -10,11 +10,16 @@ const mockNotifyArticleSubmitted = jest.fn();
 const mockNotifyTranslationSubmitted = jest.fn();
 const mockNotifyArticlePublished = jest.fn();
 const mockTelegramWorkflowUpdate = jest.fn();
+const mockWebhookEmit = jest.fn().mockResolvedValue([]);
 
 jest.unstable_mockModule('../src/models/index.js', () => ({
   Article: {
     findById: (...args) => mockArticleFindById(...args),
   },
+  ArticleRevision: {
+    ensureBaseline: jest.fn().mockResolvedValue(null),
+    recordRevision: jest.fn().mockResolvedValue(null),
+  },
   ArticleTranslation: {
     getByArticleAndLanguage: (...args) => mockTranslationGetByArticleAndLanguage(...args),
   },
@@ -22,6 +27,9 @@ jest.unstable_mockModule('../src/models/index.js', () => ({
     findById: (...args) => mockCategoryFindById(...args),
   },
   Media: {},
+  SiteSettings: {},
+  Subscription: {},
+  getSubscriptionPlans: () => ({}),
   User: {
     find: (...args) => mockUserFind(...args),
     findById: (...args) => mockUserFindById(...args),
@@ -42,6 +50,9 @@ jest.unstable_mockModule('../src/utils/helpers.js', () => ({
   parsePaginationParams: () => ({ page: 1, limit: 20, skip: 0 }),
   generateHash: () => 'mock-hash',
   getClientIp: () => '127.0.0.1',
+  ensureSessionId: () => 'mock-session',
+  escapeXml: (value) => value,
+  normalizeLanguageCode: (value) => value,
 }));
 
 jest.unstable_mockModule('../src/services/emailService.js', () => ({
@@ -52,6 +63,9 @@ jest.unstable_mockModule('../src/services/emailService.js', () => ({
 
 jest.unstable_mockModule('../src/services/cacheService.js', () => ({
   default: {
+    key: (...parts) => parts.join(':'),
+    delPattern: jest.fn().mockResolvedValue(true),
+    invalidateArticle: jest.fn().mockResolvedValue(undefined),
     invalidateArticleLists: jest.fn().mockResolvedValue(undefined),
     bufferViewCount: jest.fn().mockResolvedValue(1),
   },
@@ -74,6 +88,11 @@ jest.unstable_mockModule('../src/config/index.js', () => ({
   default: {
     frontendUrl: 'http://localhost:5173',
     siteUrl: 'http://localhost:5173',
+    workflow: {
+      defaultTranslationLanguages: ['zh'],
+      slaHours: { sourceReview: 12, translation: 24, translationReview: 12, finalReview: 6 },
+      escalateAfterHours: 4,
+    },
     telegram: {
       enabled: false,
       botToken: '',
@@ -88,6 +107,11 @@ jest.unstable_mockModule('../src/services/telegramService.js', () => ({
   },
 }));
 
+jest.unstable_mockModule('../src/services/webhookService.js', () => ({
+  default: { emit: (...args) => mockWebhookEmit(...args) },
+  toArticleWebhookData: (article) => ({ id: String(article._id), slug: article.slug }),
+}));
+
 const createMockRes = () => {
   const res = {
     status: jest.fn().mockReturnThis(),
@@ -326,7 +350,9 @@ describe('workflow transitions', () => {
     expect(article.workflow.translationState).toBe('submitted');
     expect(article.workflow.adminApprovalState).toBe('not_ready');
     expect(article.workflow.reviewedBy.translationReviewer).toBeNull();
-    expect(article.workflow.assignedTranslator).toBe('writer-1');
+    expect(article.workflow.translationAssignments).toEqual([
+      expect.objectContaining({ language: 'km', translator: 'writer-1', state: 'submitted' }),
+    ]);
     expect(mockNotifyTranslationSubmitted).toHaveBeenCalledWith(
       article,
       ['editor-1'],
@@ -406,6 +432,9 @@ describe('workflow transitions', () => {
     expect(article.workflow.adminApprovalState).toBe('approved');
     expect(res.status).toHaveBeenCalledWith(200);
     expect(mockNotifyArticlePublished).toHaveBeenCalled();
+    expect(mockWebhookEmit).toHaveBeenCalledWith('article.published', expect.objectContaining({
+      article: expect.objectContaining({ slug: article.slug }),
+    }));
     expect(mockTelegramWorkflowUpdate).toHaveBeenCalledTimes(3);
     expect(mockTelegramWorkflowUpdate).toHaveBeenNthCalledWith(
       1,
@@ -420,4 +449,42 @@ describe('workflow transitions', () => {
       expect.objectContaining({ targetRole: 'admin', stage: 'PUBLISHED' })
     );
   });
+
+  it('schedules publication when final approval carries a future publish time', async () => {
+    const article = createArticleDoc({
+      status: 'pending',
+      workflow: {
+        sourceReviewState: 'approved',
+        translationState: 'approved',
+        adminApprovalState: 'pending_final_review',
+      },
+    });
+    mockArticleFindById.mockReturnValue({
+      populate: jest.fn().mockResolvedValue(article),
+    });
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const req = {
+      params: { id: article._id },
+      user: { _id: 'admin-1', role: 'admin' },
+      body: { notes: 'embargoed', scheduledPublishAt: publishAt },
+    };
+    const res = createMockRes();
+    const next = jest.fn();
+
+    await articleController.finalApproveForWorkflow(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(article.save).toHaveBeenCalledTimes(1);
+    expect(article.status).toBe('scheduled');
+    expect(article.publishedAt).toBeNull();
+    expect(article.scheduledPublishAt.toISOString()).toBe(publishAt);
+    expect(article.workflow.adminApprovalState).toBe('approved');
+    expect(article.workflow.auditTrail.at(-1)).toEqual(expect.objectContaining({ action: 'final_scheduled' }));
+    expect(mockNotifyArticlePublished).not.toHaveBeenCalled();
+    expect(mockTelegramWorkflowUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ targetRole: 'admin', stage: 'SCHEDULED' })
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
 });
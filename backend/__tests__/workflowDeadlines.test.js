@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+
+const mockArticleFind = jest.fn();
+const mockArticleUpdateOne = jest.fn();
+const mockNotifyOverdue = jest.fn();
+const mockTelegramUpdate = jest.fn();
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  Article: {
+    find: (filter) => ({
+      select: () => ({
+        limit: () => ({
+          lean: async () => mockArticleFind(filter),
+        }),
+      }),
+    }),
+    updateOne: async (...args) => mockArticleUpdateOne(...args),
+  },
+  User: {
+    find: () => ({
+      select: async () => [{ _id: 'editor-1' }, { _id: 'editor-2' }],
+    }),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/notificationService.js', () => ({
+  default: {
+    notifyWorkflowOverdue: async (...args) => mockNotifyOverdue(...args),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/telegramService.js', () => ({
+  default: {
+    sendWorkflowUpdateNonBlocking: (...args) => mockTelegramUpdate(...args),
+  },
+}));
+
+const { default: config } = await import('../src/config/index.js');
+const {
+  WORKFLOW_STAGES,
+  resolveWorkflowStage,
+  startWorkflowStage,
+  buildWorkflowDeadlineInfo,
+} = await import('../src/utils/articleWorkflow.js');
+const { default: workflowDeadlineService } = await import('../src/services/workflowDeadlineService.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const buildQueuedArticle = (stage, sla = {}) => ({
+  _id: { toString: () => '64b0000000000000000000aa' },
+  title: 'Mekong ferry fares rise',
+  language: 'en',
+  workflow: {
+    assignedTranslator: null,
+    sla: { stage, enteredAt: new Date('2026-01-01T00:00:00Z'), dueAt: new Date('2026-01-01T12:00:00Z'), remindedAt: null, escalatedAt: null, ...sla },
+  },
+});
+
+describe('workflow deadlines', () => {
+  beforeEach(() => {
+    mockArticleFind.mockReset();
+    mockArticleUpdateOne.mockReset();
+    mockNotifyOverdue.mockReset();
+    mockTelegramUpdate.mockReset();
+    mockArticleUpdateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('resolves the queue stage from workflow states', () => {
+    const approved = { sourceReviewState: 'approved' };
+    expect(resolveWorkflowStage({ status: 'pending', workflow: { sourceReviewState: 'submitted' } })).toBe('sourceReview');
+    expect(resolveWorkflowStage({ status: 'pending', workflow: { ...approved, translationState: 'changes_requested' } })).toBe('translation');
+    expect(resolveWorkflowStage({ status: 'pending', workflow: { ...approved, translationState: 'submitted' } })).toBe('translationReview');
+    expect(resolveWorkflowStage({
+      status: 'pending',
+      workflow: { ...approved, translationState: 'approved', adminApprovalState: 'pending_final_review' },
+    })).toBe('finalReview');
+    expect(resolveWorkflowStage({ status: 'rejected', workflow: { sourceReviewState: 'changes_requested' } })).toBeNull();
+  });
+
+  test('starts the stage clock with the category override or the site default', () => {
+    const now = new Date('2026-03-01T08:00:00Z');
+    const workflow = { dueDates: {}, sla: { stage: 'sourceReview', remindedAt: now } };
+
+    startWorkflowStage(workflow, WORKFLOW_STAGES.TRANSLATION, { categorySla: { translation: 2 }, now });
+    expect(workflow.sla).toEqual({
+      stage: 'translation',
+      enteredAt: now,
+      dueAt: new Date(now.getTime() + 2 * HOUR_MS),
+      remindedAt: null,
+      escalatedAt: null,
+    });
+    expect(workflow.dueDates.translation).toEqual(workflow.sla.dueAt);
+
+    startWorkflowStage(workflow, WORKFLOW_STAGES.FINAL_REVIEW, { categorySla: { translation: 2 }, now });
+    expect(workflow.sla.dueAt).toEqual(new Date(now.getTime() + config.workflow.slaHours.finalReview * HOUR_MS));
+  });
+
+  test('flags overdue queue items and reports time in stage', () => {
+    const now = new Date('2026-03-01T20:00:00Z');
+    const article = {
+      status: 'pending',
+      workflow: {
+        sourceReviewState: 'submitted',
+        sla: { stage: 'sourceReview', enteredAt: new Date('2026-03-01T06:00:00Z'), dueAt: new Date('2026-03-01T18:00:00Z') },
+      },
+    };
+
+    expect(buildWorkflowDeadlineInfo(article, now)).toMatchObject({
+      stage: 'sourceReview',
+      isOverdue: true,
+      timeInStageMs: 14 * HOUR_MS,
+    });
+
+    // Records from before the SLA clock fall back to the stage timestamps and are never overdue
+    const legacy = {
+      status: 'pending',
+      workflow: { sourceReviewState: 'submitted', timestamps: { sourceSubmittedAt: new Date('2026-03-01T19:00:00Z') } },
+    };
+    expect(buildWorkflowDeadlineInfo(legacy, now)).toMatchObject({ dueAt: null, isOverdue: false, timeInStageMs: HOUR_MS });
+  });
+
+  test('reminds stage owners first, then escalates to the next role up', async () => {
+    const now = new Date('2026-01-01T13:00:00Z');
+    const article = buildQueuedArticle('sourceReview');
+    mockArticleFind.mockImplementation((filter) => (filter['workflow.sla.dueAt'] ? [article] : []));
+
+    const firstRun = await workflowDeadlineService.runEscalations(now);
+
+    expect(firstRun).toEqual({ reminded: 1, escalated: 0 });
+    expect(mockNotifyOverdue).toHaveBeenCalledWith(article, ['editor-1', 'editor-2'], expect.objectContaining({
+      stageLabel: 'Source Review',
+    }));
+    expect(mockArticleUpdateOne.mock.calls[0][1]).toEqual({ $set: { 'workflow.sla.remindedAt': now } });
+    expect(mockTelegramUpdate).not.toHaveBeenCalled();
+
+    const reminded = buildQueuedArticle('sourceReview', { remindedAt: now });
+    mockArticleFind.mockImplementation((filter) => (filter['workflow.sla.escalatedAt'] === null ? [reminded] : []));
+    const later = new Date(now.getTime() + config.workflow.escalateAfterHours * HOUR_MS);
+
+    const secondRun = await workflowDeadlineService.runEscalations(later);
+
+    expect(secondRun).toEqual({ reminded: 0, escalated: 1 });
+    expect(mockTelegramUpdate).toHaveBeenCalledWith(expect.objectContaining({
+      targetRole: 'admin',
+      articleId: '64b0000000000000000000aa',
+      dueAt: '2026-01-01T12:00:00.000Z',
+    }));
+  });
+
+  test('skips items another run already claimed and reminds the assigned translator only', async () => {
+    const now = new Date('2026-01-02T00:00:00Z');
+    const claimed = buildQueuedArticle('sourceReview');
+    const translation = buildQueuedArticle('translation');
+    translation.workflow.assignedTranslator = 'translator-9';
+    mockArticleFind.mockImplementation((filter) => (filter['workflow.sla.dueAt'] ? [claimed, translation] : []));
+    mockArticleUpdateOne
+      .mockResolvedValueOnce({ modifiedCount: 0 })
+      .mockResolvedValueOnce({ modifiedCount: 1 });
+
+    const result = await workflowDeadlineService.runEscalations(now);
+
+    expect(result.reminded).toBe(1);
+    expect(mockNotifyOverdue).toHaveBeenCalledTimes(1);
+    expect(mockNotifyOverdue).toHaveBeenCalledWith(translation, ['translator-9'], expect.any(Object));
+  });
+
+  test('reminds the translators of every language still being translated', async () => {
+    const translation = buildQueuedArticle('translation');
+    translation.workflow.translationAssignments = [
+      { language: 'km', state: 'in_translation', translator: 'translator-1' },
+      { language: 'zh', state: 'changes_requested', translator: 'translator-2' },
+      { language: 'fr', state: 'submitted', translator: 'translator-3' },
+    ];
+    mockArticleFind.mockImplementation((filter) => (filter['workflow.sla.dueAt'] ? [translation] : []));
+
+    await workflowDeadlineService.runEscalations(new Date('2026-01-02T00:00:00Z'));
+
+    expect(mockNotifyOverdue).toHaveBeenCalledWith(translation, ['translator-1', 'translator-2'], expect.any(Object));
+  });
+});
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import cacheService from '../src/services/cacheService.js';
+import storageMigrationService, { STORAGE_PROVIDERS } from '../src/services/storageMigrationService.js';
+
+/**
+ * Move Media between storage providers and rewrite article URLs.
+ *
+ *   npm run migrate:storage -- --from=local --to=s3 [--dry-run] [--delete-source]
+ *
+ * Source files are kept unless --delete-source is passed, so a run can be
+ * repeated or rolled back by migrating in the other direction.
+ */
+
+const BATCH_SIZE = 100;
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter((arg) => !arg.includes('=')));
+const options = Object.fromEntries(
+  args
+    .filter((arg) => arg.startsWith('--') && arg.includes('='))
+    .map((arg) => {
+      const [name, ...value] = arg.slice(2).split('=');
+      return [name, value.join('=').toLowerCase()];
+    })
+);
+
+const dryRun = flags.has('--dry-run');
+const deleteSource = flags.has('--delete-source');
+const { from, to } = options;
+
+const run = async () => {
+  if (!STORAGE_PROVIDERS.includes(from) || !STORAGE_PROVIDERS.includes(to) || from === to) {
+    console.error(`Usage: node scripts/migrateStorageProvider.js --from=<${STORAGE_PROVIDERS.join('|')}> --to=<${STORAGE_PROVIDERS.join('|')}> [--dry-run] [--delete-source]`);
+    process.exit(1);
+  }
+
+  await connectDB();
+  await cacheService.connect();
+
+  try {
+    console.log(`Migrating media from ${from} to ${to}${dryRun ? ' (dry-run)' : ''}...`);
+
+    const summary = await storageMigrationService.migrate({
+      from,
+      to,
+      dryRun,
+      deleteSource,
+      batchSize: BATCH_SIZE,
+      onProgress: ({ media }) => {
+        console.log(`  ${media.migrated} migrated, ${media.failed} failed (${media.scanned} scanned)`);
+      },
+    });
+
+    console.log(JSON.stringify(summary, null, 2));
+    process.exitCode = summary.media.failed ? 1 : 0;
+  } finally {
+    await mongoose.connection.close();
+    process.exit();
+  }
+};
+
+run().catch(async (error) => {
+  console.error('Storage migration failed:', error);
+  try {
+    await mongoose.connection.close();
+  } catch {
+    // ignore close errors
+  }
+  process.exit(1);
+});
@@ -8,6 +8,17 @@ const parseChatIds = (value = '') =>
     .map((id) => id.trim())
     .filter(Boolean);
 
+const parseLowercaseList = (value = '') => parseChatIds(value).map((item) => item.toLowerCase());
+
+// Express `trust proxy`: a hop count, true/false, or comma-separated addresses/subnets
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return 1;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return parseChatIds(value);
+};
+
 // Security: Validate JWT secrets in production
 const isProduction = process.env.NODE_ENV === 'production';
 const jwtSecret = process.env.JWT_SECRET || 'default-secret-change-me';
@@ -33,6 +44,8 @@ const config = {
   // Server
   env: process.env.NODE_ENV || 'development',
   port: parseInt(process.env.PORT, 10) || 8888,
+  // Reverse proxies whose X-Forwarded-For is believed for req.ip
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   
   // Site Info (for SEO & Open Graph)
   siteUrl: process.env.SITE_URL || process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -60,6 +73,41 @@ const config = {
     refreshSecret: jwtRefreshSecret,
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
   },
+
+  // Two-factor authentication (TOTP + recovery codes)
+  twoFactor: {
+    // Name shown next to the account in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || process.env.SITE_NAME || 'Bassac Post',
+    // Key for encrypting TOTP secrets at rest; derived from JWT_SECRET when unset
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || '',
+    // How long the password step stays valid while the code is entered
+    challengeMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES, 10) || 10,
+    trustedDeviceDays: parseInt(process.env.TWO_FACTOR_TRUSTED_DEVICE_DAYS, 10) || 30,
+    recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES, 10) || 10,
+  },
+
+  // API keys for machine clients and partner integrations
+  apiKeys: {
+    // Requests per minute for keys created without their own limit
+    defaultRateLimit: parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60,
+    // Per-key request log retention
+    logRetentionDays: parseInt(process.env.API_KEY_LOG_RETENTION_DAYS, 10) || 30,
+  },
+
+  // Outbound webhooks for content and workflow events
+  webhooks: {
+    // Attempts before a delivery is dead-lettered
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    // First retry delay; doubles after each failed attempt
+    retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 30 * 1000,
+    retryMaxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS, 10) || 6 * 60 * 60 * 1000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000,
+    // How often the delivery queue is checked for due retries
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 15 * 1000,
+    deliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30,
+    // Allow localhost/private receivers; for local development only
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true',
+  },
   
   // Email
   email: {
@@ -83,6 +131,8 @@ const config = {
       editor: parseChatIds(process.env.TELEGRAM_EDITOR_CHAT_ID),
       translator: parseChatIds(process.env.TELEGRAM_TRANSLATOR_CHAT_ID),
       admin: parseChatIds(process.env.TELEGRAM_ADMIN_CHAT_ID),
+      // Public channel that receives breaking news alerts
+      channel: parseChatIds(process.env.TELEGRAM_CHANNEL_CHAT_ID),
     },
   },
 
@@ -104,16 +154,38 @@ const config = {
       'image/webp',
       'application/pdf',
     ],
+    // Responsive variants generated for every raster image upload (srcset widths in px)
+    imageVariants: {
+      widths: (process.env.IMAGE_VARIANT_WIDTHS || '320,640,960,1280,1920')
+        .split(',')
+        .map((width) => parseInt(width, 10))
+        .filter((width) => width > 0)
+        .sort((a, b) => a - b),
+      formats: ['avif', 'webp'],
+      quality: {
+        webp: parseInt(process.env.IMAGE_VARIANT_WEBP_QUALITY, 10) || 75,
+        avif: parseInt(process.env.IMAGE_VARIANT_AVIF_QUALITY, 10) || 50,
+      },
+      // Width of the blurred inline placeholder shown while variants load
+      placeholderWidth: 16,
+    },
   },
   
   // Storage Provider (for cloud-ready design)
   storage: {
     provider: process.env.STORAGE_PROVIDER || 'local',
-    aws: {
-      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      bucketName: process.env.AWS_BUCKET_NAME,
-      region: process.env.AWS_REGION,
+    // Any S3-compatible service (AWS S3, MinIO, R2); leave S3_ENDPOINT empty for AWS
+    s3: {
+      endpoint: process.env.S3_ENDPOINT || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+      bucketName: process.env.S3_BUCKET || process.env.AWS_BUCKET_NAME,
+      region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      keyPrefix: process.env.S3_KEY_PREFIX || 'bassac-media',
+      // Base URL for public reads (bucket policy or CDN); when empty, reads use signed URLs
+      publicUrl: (process.env.S3_PUBLIC_URL || '').replace(/\/+$/, ''),
+      signedUrlTtlSeconds: parseInt(process.env.S3_SIGNED_URL_TTL_SECONDS, 10) || 3600,
     },
     cloudinary: {
       cloudName: process.env.CLOUDINARY_CLOUD_NAME,
@@ -142,6 +214,78 @@ const config = {
     homepageTTL: 120,     // 2 min for homepage data
   },
   
+  // Background jobs
+  scheduler: {
+    // How often the scheduled publisher checks for due publish/unpublish times
+    publishIntervalMs: parseInt(process.env.SCHEDULED_PUBLISH_INTERVAL_MS, 10) || 60 * 1000,
+    // How often the feed poller looks for sources due for ingestion
+    feedPollIntervalMs: parseInt(process.env.FEED_POLL_INTERVAL_MS, 10) || 60 * 1000,
+    // How often active breaking news alerts past their expiry are retired
+    breakingNewsExpiryIntervalMs: parseInt(process.env.BREAKING_NEWS_EXPIRY_INTERVAL_MS, 10) || 60 * 1000,
+    // How often overdue workflow items are checked for reminders/escalation
+    workflowDeadlineIntervalMs: parseInt(process.env.WORKFLOW_DEADLINE_INTERVAL_MS, 10) || 5 * 60 * 1000,
+    // How often A/B-tested ad collections are checked for a winner to auto-promote
+    adExperimentIntervalMs: parseInt(process.env.AD_EXPERIMENT_INTERVAL_MS, 10) || 60 * 60 * 1000,
+  },
+
+  // Editorial workflow deadlines (hours per stage; categories can override)
+  workflow: {
+    slaHours: {
+      sourceReview: parseFloat(process.env.WORKFLOW_SLA_SOURCE_REVIEW_HOURS) || 12,
+      translation: parseFloat(process.env.WORKFLOW_SLA_TRANSLATION_HOURS) || 24,
+      translationReview: parseFloat(process.env.WORKFLOW_SLA_TRANSLATION_REVIEW_HOURS) || 12,
+      finalReview: parseFloat(process.env.WORKFLOW_SLA_FINAL_REVIEW_HOURS) || 6,
+    },
+    // Hours after the overdue reminder before the next role up is pinged on Telegram
+    escalateAfterHours: parseFloat(process.env.WORKFLOW_ESCALATE_AFTER_HOURS) || 4,
+    // Languages commissioned when an editor approves a source without choosing any
+    defaultTranslationLanguages: (process.env.WORKFLOW_TRANSLATION_LANGUAGES || 'zh')
+      .split(',')
+      .map((language) => language.trim().toLowerCase())
+      .filter(Boolean),
+  },
+
+  // Comment spam scoring: checks add points, thresholds pick pending or spam
+  comments: {
+    pendingScore: parseFloat(process.env.COMMENT_PENDING_SCORE) || 3,
+    spamScore: parseFloat(process.env.COMMENT_SPAM_SCORE) || 6,
+    maxLinks: parseInt(process.env.COMMENT_MAX_LINKS, 10) || 2,
+    blockedWords: parseLowercaseList(process.env.COMMENT_BLOCKED_WORDS),
+    blockedDomains: parseLowercaseList(process.env.COMMENT_BLOCKED_DOMAINS),
+    rateLimit: {
+      windowMinutes: parseInt(process.env.COMMENT_RATE_WINDOW_MINUTES, 10) || 10,
+      maxPerIp: parseInt(process.env.COMMENT_RATE_MAX_PER_IP, 10) || 5,
+      maxPerEmail: parseInt(process.env.COMMENT_RATE_MAX_PER_EMAIL, 10) || 3,
+    },
+    // Reader reports after which an approved comment is hidden until a moderator reviews it
+    reportHideThreshold: parseInt(process.env.COMMENT_REPORT_HIDE_THRESHOLD, 10) || 3,
+    // Lifetime of the link that verifies a guest commenter's email
+    guestVerificationHours: parseInt(process.env.COMMENT_GUEST_VERIFICATION_HOURS, 10) || 48,
+    // How long a browser that verified a guest email keeps skipping pre-moderation
+    guestTrustDays: parseInt(process.env.COMMENT_GUEST_TRUST_DAYS, 10) || 365,
+    // Salt for the hashed guest email/IP that commenter sanctions match on
+    identityHashSalt: process.env.COMMENT_IDENTITY_SALT || process.env.IP_HASH_SALT || 'default-salt-change-me',
+  },
+
+  // Offline GeoIP lookups (MaxMind GeoLite2/GeoIP2 City or Country .mmdb file)
+  geoip: {
+    databasePath: process.env.GEOIP_DATABASE_PATH || '',
+    // Fall back to Cloudflare's CF-IPCountry header when the database has no answer
+    trustCloudflareHeader: process.env.GEOIP_TRUST_CF_HEADER !== 'false',
+  },
+
+  // Paywall and subscriptions
+  paywall: {
+    // Blocks shown before the paywall on gated articles
+    previewBlocks: parseInt(process.env.PAYWALL_PREVIEW_BLOCKS, 10) || 3,
+    // Metered articles per month for readers who are not signed in
+    anonymousArticlesPerMonth: parseInt(process.env.PAYWALL_ANONYMOUS_LIMIT, 10) || 3,
+  },
+  payments: {
+    // "fake" completes checkouts immediately and is never the production default
+    provider: process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? '' : 'fake'),
+  },
+
   // Pagination (for 1M+ articles)
   pagination: {
     defaultLimit: 20,
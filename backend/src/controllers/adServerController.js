@@ -0,0 +1,53 @@
+import adServerService, { AD_SOURCE_PRECEDENCE } from '../services/adServerService.js';
+import geoIpService from '../services/geoIpService.js';
+import { successResponse } from '../utils/apiResponse.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ensureSessionId } from '../utils/helpers.js';
+
+const DEBUG_ROLES = ['admin', 'editor'];
+
+/**
+ * Decide which ad fills a placement, across campaigns, ad collections and
+ * SiteSettings slots. Staff can add `debug=true` to get the decision trace;
+ * debug requests are evaluated as a signed-out reader (so admin and ad-free
+ * hiding does not mask the answer) and may override `country`.
+ * GET /api/ad-server/decision
+ */
+export const getAdDecision = asyncHandler(async (req, res) => {
+  const {
+    placement,
+    pageType,
+    page,
+    device,
+    categoryId,
+    articleId,
+    pageUrl,
+    placementId,
+    sectionIndex,
+    country,
+    debug,
+  } = req.query;
+  const explain = debug === true && DEBUG_ROLES.includes(req.user?.role);
+  const geo = geoIpService.toTargetingContext(req.geo);
+
+  const { ad, trace } = await adServerService.decide({
+    placement,
+    pageType: pageType || page,
+    device,
+    categoryId,
+    articleId,
+    pageUrl,
+    placementId,
+    sectionIndex,
+    country: (explain && country) || geo.country || country,
+    region: geo.region,
+    sessionId: ensureSessionId(req, res),
+    user: explain ? null : req.user,
+  }, { explain });
+
+  return successResponse(res, explain ? { ad, precedence: AD_SOURCE_PRECEDENCE, trace } : { ad });
+});
+
+export default {
+  getAdDecision,
+};
@@ -1,4 +1,3 @@
-import crypto from 'crypto';
 import Ad from '../models/Ad.js';
 import AdCollection from '../models/AdCollection.js';
 import AdEvent from '../models/AdEvent.js';
@@ -12,6 +11,10 @@ import {
   normalizePageType,
 } from '../utils/adTracking.js';
 import { getClientIp, hashIp } from '../utils/fraudDetection.js';
+import { ensureSessionId } from '../utils/helpers.js';
+import subscriptionService from '../services/subscriptionService.js';
+import adExperimentService from '../services/adExperimentService.js';
+import { getVisitorKey, pickAbTestVariant } from '../utils/abTestStats.js';
 
 /**
  * COMPLETE ADS CONTROLLER - FIXED VERSION 6/6
@@ -32,23 +35,21 @@ import { getClientIp, hashIp } from '../utils/fraudDetection.js';
  * ✅ Added proper error messages and reasons
  */
 
-const ensureSessionId = (req, res) => {
-  let sessionId = req.cookies?.sessionId || req.headers['x-session-id'];
-  if (!sessionId) {
-    sessionId = crypto.randomBytes(16).toString('hex');
-    res.cookie('sessionId', sessionId, {
-      httpOnly: true,
-      sameSite: 'lax',
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 30 * 24 * 60 * 60 * 1000,
-      path: '/',
-    });
-  }
-  return sessionId;
-};
-
 // ==================== COLLECTIONS ====================
 
+// A/B test settings editable through the collection forms; status, winner and
+// history only change through the experiment endpoints
+const pickAbTestSettings = (abTest = {}) => Object.fromEntries(
+  ['autoPromote', 'confidenceLevel', 'minImpressionsPerVariant']
+    .filter((key) => abTest?.[key] !== undefined)
+    .map((key) => [key, abTest[key]])
+);
+
+const buildAbTestFields = (abTest) => {
+  const settings = pickAbTestSettings(abTest);
+  return Object.fromEntries(Object.entries(settings).map(([key, value]) => [`abTest.${key}`, value]));
+};
+
 /**
  * Get all collections
  * GET /api/ad-collections
@@ -167,8 +168,13 @@ export const createCollection = async (req, res) => {
   try {
     const collectionData = {
       ...req.body,
+      abTest: pickAbTestSettings(req.body.abTest),
       createdBy: req.user._id,
     };
+    if (collectionData.rotationType === 'ab_test') {
+      collectionData.abTest.startedAt = new Date();
+      collectionData.abTest.history = [{ action: 'started', by: req.user._id }];
+    }
 
     const collection = await AdCollection.create(collectionData);
 
@@ -193,10 +199,14 @@ export const createCollection = async (req, res) => {
  */
 export const updateCollection = async (req, res) => {
   try {
-    const collection = await AdCollection.findByIdAndUpdate(
+    const { abTest, ...updates } = req.body;
+    const previous = await AdCollection.findById(req.params.id).select('rotationType').lean();
+
+    let collection = await AdCollection.findByIdAndUpdate(
       req.params.id,
       {
-        ...req.body,
+        ...updates,
+        ...buildAbTestFields(abTest),
         updatedBy: req.user._id,
       },
       { new: true, runValidators: true }
@@ -209,6 +219,10 @@ export const updateCollection = async (req, res) => {
       });
     }
 
+    if (collection.rotationType === 'ab_test' && previous?.rotationType !== 'ab_test') {
+      collection = await adExperimentService.start(collection._id, { by: req.user._id });
+    }
+
     res.json({
       success: true,
       message: 'Collection updated successfully',
@@ -279,6 +293,13 @@ export const duplicateCollection = async (req, res) => {
       ...original,
       _id: undefined,
       name: `${original.name} (Copy)`,
+      // The copy starts its own experiment
+      abTest: {
+        ...pickAbTestSettings(original.abTest),
+        ...(original.rotationType === 'ab_test'
+          ? { startedAt: new Date(), history: [{ action: 'started', by: req.user._id }] }
+          : {}),
+      },
       createdBy: req.user._id,
       createdAt: undefined,
       updatedAt: undefined,
@@ -431,6 +452,77 @@ export const getCollectionAnalytics = async (req, res) => {
   }
 };
 
+const sendExperimentError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+};
+
+/**
+ * Get A/B test results and history
+ * GET /api/ad-collections/:id/experiment
+ *
+ * Per-variant impressions, clicks and CTR with confidence intervals since
+ * the experiment (re)started, from AdStatsDaily.
+ */
+export const getCollectionExperiment = async (req, res) => {
+  try {
+    const experiment = await adExperimentService.getExperiment(req.params.id);
+    res.json({ success: true, experiment });
+  } catch (error) {
+    sendExperimentError(res, error, 'Failed to fetch experiment');
+  }
+};
+
+/**
+ * Update A/B test settings (auto-promote rule)
+ * PUT /api/ad-collections/:id/experiment
+ */
+export const updateCollectionExperiment = async (req, res) => {
+  try {
+    const experiment = await adExperimentService.updateSettings(req.params.id, pickAbTestSettings(req.body));
+    res.json({ success: true, message: 'Experiment settings updated', experiment });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    sendExperimentError(res, error, 'Failed to update experiment');
+  }
+};
+
+/**
+ * Promote a variant as the winner
+ * POST /api/ad-collections/:id/experiment/promote
+ */
+export const promoteExperimentWinner = async (req, res) => {
+  try {
+    if (!req.body.adId) {
+      return res.status(400).json({ success: false, message: 'adId is required' });
+    }
+    await adExperimentService.promote(req.params.id, req.body.adId, { by: req.user._id });
+    const experiment = await adExperimentService.getExperiment(req.params.id);
+    res.json({ success: true, message: 'Winner promoted', experiment });
+  } catch (error) {
+    sendExperimentError(res, error, 'Failed to promote winner');
+  }
+};
+
+/**
+ * Clear the winner and restart the experiment
+ * POST /api/ad-collections/:id/experiment/restart
+ */
+export const restartExperiment = async (req, res) => {
+  try {
+    await adExperimentService.restart(req.params.id, { by: req.user._id });
+    const experiment = await adExperimentService.getExperiment(req.params.id);
+    res.json({ success: true, message: 'Experiment restarted', experiment });
+  } catch (error) {
+    sendExperimentError(res, error, 'Failed to restart experiment');
+  }
+};
+
 /**
  * Select collection for serving (PUBLIC)
  * GET /api/ad-collections/select
@@ -458,7 +550,7 @@ export const selectCollection = async (req, res) => {
       excludeAdIds,
     } = req.query;
     const resolvedPageType = pageType || page || 'other';
-    const country = req.headers['cf-ipcountry'] || req.query.country || 'all';
+    const country = req.geo?.countryCode || req.query.country || 'all';
     const resolvedLimit = Math.max(1, Math.min(10, parseInt(limit, 10) || 1));
     const resolvedSectionIndex = sectionIndex === undefined || sectionIndex === null || sectionIndex === ''
       ? null
@@ -471,6 +563,15 @@ export const selectCollection = async (req, res) => {
       });
     }
 
+    // Ad-free subscribers never get ads
+    if (req.user && await subscriptionService.isAdFree(req.user._id)) {
+      return res.json({
+        success: true,
+        ad: null,
+        reason: 'ad_free_subscription',
+      });
+    }
+
     // ✅ FIX #1: Ensure sessionId exists (for frequency control)
     const sessionId = ensureSessionId(req, res);
     const userId = req.user?._id;
@@ -479,6 +580,7 @@ export const selectCollection = async (req, res) => {
       pageType: resolvedPageType,
       device,
       country,
+      region: req.geo?.regionCode || null,
       isLoggedIn: !!req.user,
       categoryId,
       placementId,
@@ -587,7 +689,7 @@ export const selectCollection = async (req, res) => {
           break;
         }
         case 'ab_test':
-          selectedAd = ads[Math.floor(Math.random() * ads.length)];
+          selectedAd = pickAbTestVariant(collection, ads, getVisitorKey(identity));
           break;
         default:
           selectedAd = ads[0];
@@ -676,7 +778,7 @@ export const getAds = async (req, res) => {
 export const getAd = async (req, res) => {
   try {
     const ad = await Ad.findById(req.params.id)
-      .populate('collectionId', 'name placement')
+      .populate('collectionId', 'name placement rotationType')
       .populate('createdBy', 'fullName email')
       .lean();
 
@@ -1086,9 +1188,9 @@ export const trackEvent = async (req, res) => {
         eventId,
       })
       : null;
-    const clientIp = getClientIp(req);
+    const clientIp = req.geo?.ip || getClientIp(req);
     const ipHash = clientIp ? hashIp(clientIp) : '';
-    const resolvedCountry = country || req.headers['cf-ipcountry'] || '';
+    const resolvedCountry = req.geo?.countryCode || country || '';
     const referrer = req.headers.referer || req.headers.referrer || '';
 
     // Create event
@@ -1106,6 +1208,7 @@ export const trackEvent = async (req, res) => {
       categoryId,
       placement: placement || '',
       country: resolvedCountry,
+      region: req.geo?.region || '',
       referrer,
       ip: clientIp,
       ipHash,
@@ -1292,6 +1395,10 @@ export default {
   duplicateCollection,
   updateCollectionStats,
   getCollectionAnalytics,
+  getCollectionExperiment,
+  updateCollectionExperiment,
+  promoteExperimentWinner,
+  restartExperiment,
   selectCollection,
   
   // Ads
@@ -1,4 +1,5 @@
 import analyticsService from '../services/analyticsService.js';
+import geoIpService from '../services/geoIpService.js';
 import AnalyticsEvent from '../models/AnalyticsEvent.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { successResponse, errorResponse } from '../utils/apiResponse.js';
@@ -15,7 +16,10 @@ import { successResponse, errorResponse } from '../utils/apiResponse.js';
  */
 export const trackEvent = asyncHandler(async (req, res) => {
   try {
-    const event = await analyticsService.trackEvent(req.body);
+    // Location comes from the request IP, not the client
+    const { location: _clientLocation, ...eventData } = req.body;
+    const location = geoIpService.toAnalyticsLocation(req.geo);
+    const event = await analyticsService.trackEvent(location ? { ...eventData, location } : eventData);
     return res.status(201).json({ success: true, eventId: event._id });
   } catch (error) {
     console.error('Track event error:', error);
@@ -254,14 +258,19 @@ export const getLocationBreakdown = asyncHandler(async (req, res) => {
     {
       $match: {
         timestamp: { $gte: start, $lte: end },
-        'location.country': { $exists: true },
+        $or: [
+          { 'location.countryCode': { $nin: [null, ''] } },
+          // Events tracked before IP geolocation only carry location.country
+          { 'location.country': { $nin: [null, ''] } },
+        ],
       },
     },
     {
       $group: {
         _id: {
           country: '$location.country',
-          countryCode: '$location.countryCode',
+          countryCode: { $ifNull: ['$location.countryCode', ''] },
+          region: { $ifNull: ['$location.region', ''] },
         },
         count: { $sum: 1 },
       },
@@ -269,6 +278,23 @@ export const getLocationBreakdown = asyncHandler(async (req, res) => {
     {
       $sort: { count: -1 },
     },
+    {
+      $group: {
+        _id: {
+          country: '$_id.country',
+          countryCode: '$_id.countryCode',
+        },
+        count: { $sum: '$count' },
+        regions: {
+          $push: {
+            $cond: [{ $eq: ['$_id.region', ''] }, '$$REMOVE', { region: '$_id.region', count: '$count' }],
+          },
+        },
+      },
+    },
+    {
+      $sort: { count: -1 },
+    },
     {
       $limit: 50,
     },
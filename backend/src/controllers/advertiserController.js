@@ -0,0 +1,92 @@
+import advertiserPortalService from '../services/advertiserPortalService.js';
+import { successResponse, createdResponse } from '../utils/apiResponse.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * Campaigns and ad collections linked to the signed-in advertiser
+ * GET /api/advertiser/portal
+ */
+export const getPortal = asyncHandler(async (req, res) => {
+  const scope = await advertiserPortalService.getScope(req.user);
+  return successResponse(res, scope);
+});
+
+/**
+ * Delivery report by day, device and placement; ?format=csv&breakdown= or ?format=pdf to export
+ * GET /api/advertiser/report
+ */
+export const getReport = asyncHandler(async (req, res) => {
+  const { from, to, campaignId, collectionId, format = 'json', breakdown = 'day' } = req.query;
+  const report = await advertiserPortalService.getReport(req.user, { from, to, campaignId, collectionId });
+  const filename = `ad-report-${report.from}-to-${report.to}`;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}-by-${breakdown}.csv`);
+    return res.send(advertiserPortalService.toCsv(report, breakdown));
+  }
+
+  if (format === 'pdf') {
+    const pdf = await advertiserPortalService.toPdf(report);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.pdf`);
+    return res.send(pdf);
+  }
+
+  return successResponse(res, { report });
+});
+
+/**
+ * The advertiser's creative submissions and their review status
+ * GET /api/advertiser/creatives
+ */
+export const getMyCreatives = asyncHandler(async (req, res) => {
+  const creatives = await advertiserPortalService.listCreatives(req.user);
+  return successResponse(res, { creatives });
+});
+
+/**
+ * Upload a creative (multipart `image`, optional `mobileImage`) for staff review
+ * POST /api/advertiser/creatives
+ */
+export const submitCreative = asyncHandler(async (req, res) => {
+  const creative = await advertiserPortalService.submitCreative(req.user, req.body, req.files);
+  return createdResponse(res, { creative }, 'Creative submitted for review');
+});
+
+/**
+ * Creative submissions for staff, oldest pending first
+ * GET /api/advertiser/creatives/review
+ */
+export const getCreativesForReview = asyncHandler(async (req, res) => {
+  const creatives = await advertiserPortalService.listForReview({ status: req.query.status });
+  return successResponse(res, { creatives });
+});
+
+/**
+ * Approve a creative and put it live
+ * POST /api/advertiser/creatives/:id/approve
+ */
+export const approveCreative = asyncHandler(async (req, res) => {
+  const creative = await advertiserPortalService.approveCreative(req.params.id, req.user, req.body.note);
+  return successResponse(res, { creative }, 'Creative approved and live');
+});
+
+/**
+ * Reject a creative with a note for the advertiser
+ * POST /api/advertiser/creatives/:id/reject
+ */
+export const rejectCreative = asyncHandler(async (req, res) => {
+  const creative = await advertiserPortalService.rejectCreative(req.params.id, req.user, req.body.note);
+  return successResponse(res, { creative }, 'Creative rejected');
+});
+
+export default {
+  getPortal,
+  getReport,
+  getMyCreatives,
+  submitCreative,
+  getCreativesForReview,
+  approveCreative,
+  rejectCreative,
+};
@@ -0,0 +1,63 @@
+import apiKeyService from '../services/apiKeyService.js';
+import { API_KEY_SCOPES } from '../models/index.js';
+import {
+  successResponse,
+  createdResponse,
+  paginatedResponse,
+} from '../utils/apiResponse.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { parsePaginationParams } from '../utils/helpers.js';
+
+/**
+ * List API keys
+ * GET /api/api-keys
+ */
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await apiKeyService.list();
+  return successResponse(res, { apiKeys, scopes: API_KEY_SCOPES });
+});
+
+/**
+ * Create an API key; the key itself is only returned here
+ * POST /api/api-keys
+ */
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { apiKey, key } = await apiKeyService.create(req.body, req.user);
+  return createdResponse(res, { apiKey, key }, 'API key created. Copy it now; it will not be shown again.');
+});
+
+/**
+ * Update name, scopes, allowlist, rate limit or expiry
+ * PUT /api/api-keys/:id
+ */
+export const updateApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await apiKeyService.update(req.params.id, req.body);
+  return successResponse(res, { apiKey }, 'API key updated');
+});
+
+/**
+ * Revoke an API key
+ * POST /api/api-keys/:id/revoke
+ */
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await apiKeyService.revoke(req.params.id, req.user);
+  return successResponse(res, { apiKey }, 'API key revoked');
+});
+
+/**
+ * Request log for a key
+ * GET /api/api-keys/:id/requests
+ */
+export const getApiKeyRequests = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePaginationParams(req.query);
+  const { requests, total } = await apiKeyService.getRequests(req.params.id, { skip, limit });
+  return paginatedResponse(res, requests, { page, limit, total });
+});
+
+export default {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  getApiKeyRequests,
+};
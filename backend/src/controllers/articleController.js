@@ -1,10 +1,51 @@
-import {Article, ArticleTranslation, Category, Media, User} from '../models/index.js';
+import {Article, ArticleRevision, ArticleTranslation, Category, Media, User} from '../models/index.js';
 import {analyticsHelpers, PageView} from '../models/Analytics.js';
-import {sanitizeEditorContent, parsePaginationParams, generateHash, getClientIp} from '../utils/helpers.js';
+import {sanitizeEditorContent, parsePaginationParams, generateHash, getClientIp, ensureSessionId} from '../utils/helpers.js';
 import emailService from '../services/emailService.js';
 import cacheService from '../services/cacheService.js';
 import config from '../config/index.js';
 import telegramService from '../services/telegramService.js';
+import articlePublishService from '../services/articlePublishService.js';
+import sitemapService from '../services/sitemapService.js';
+import feedService from '../services/feedService.js';
+import responsiveImageService from '../services/responsiveImageService.js';
+import subscriptionService from '../services/subscriptionService.js';
+import elasticsearchService from '../services/elasticsearchService.js';
+import articleSearchService from '../services/articleSearchService.js';
+import webhookService, {toArticleWebhookData} from '../services/webhookService.js';
+import {isGatedArticle} from '../utils/paywall.js';
+import {
+    parseFacetFilters,
+    buildMongoFacetMatch,
+    buildMongoFacetStages,
+    normalizeMongoFacets,
+    markSelectedFacets,
+    labelSearchFacets,
+} from '../utils/searchFacets.js';
+import {REVISION_TRACKED_FIELDS} from '../models/ArticleRevision.js';
+import {TRANSLATION_LANGUAGES} from '../models/ArticleTranslation.js';
+import {diffEditorContent, diffSnapshotFields} from '../utils/editorContentDiff.js';
+import {
+    WORKFLOW_SOURCE_STATES,
+    WORKFLOW_TRANSLATION_STATES,
+    WORKFLOW_ADMIN_STATES,
+    ensureArticleWorkflow,
+    markSourceSubmitted,
+    buildWorkflowActorName,
+    buildWorkflowArticleLink,
+    captureWorkflowSnapshot,
+    appendWorkflowAuditEntry,
+    buildWorkflowDeadlineInfo,
+    TRANSLATION_ASSIGNMENT_STATES,
+    OPEN_ASSIGNMENT_STATES,
+    findTranslationAssignment,
+    upsertTranslationAssignment,
+    resolveTranslationAssignment,
+    canWorkOnTranslationAssignment,
+    getBlockingTranslationLanguages,
+    syncTranslationState,
+    buildTranslationProgress,
+} from '../utils/articleWorkflow.js';
 import {
     successResponse,
     createdResponse,
@@ -181,65 +222,6 @@ const applyPreferredLanguageToArticles = async (articles, requestedLanguageInput
     });
 };
 
-const WORKFLOW_SOURCE_STATES = Object.freeze({
-    DRAFT: 'draft',
-    SUBMITTED: 'submitted',
-    APPROVED: 'approved',
-    CHANGES_REQUESTED: 'changes_requested',
-});
-
-const WORKFLOW_TRANSLATION_STATES = Object.freeze({
-    NOT_REQUIRED: 'not_required',
-    IN_TRANSLATION: 'in_translation',
-    SUBMITTED: 'submitted',
-    APPROVED: 'approved',
-    CHANGES_REQUESTED: 'changes_requested',
-});
-
-const WORKFLOW_ADMIN_STATES = Object.freeze({
-    NOT_READY: 'not_ready',
-    PENDING_FINAL_REVIEW: 'pending_final_review',
-    APPROVED: 'approved',
-    REJECTED: 'rejected',
-});
-
-const WORKFLOW_AUDIT_MAX_ITEMS = 300;
-
-const ensureArticleWorkflow = (article) => {
-    if (!article.workflow) {
-        article.workflow = {};
-    }
-
-    const workflow = article.workflow;
-    workflow.sourceReviewState = workflow.sourceReviewState || WORKFLOW_SOURCE_STATES.DRAFT;
-    workflow.translationState = workflow.translationState || WORKFLOW_TRANSLATION_STATES.NOT_REQUIRED;
-    workflow.adminApprovalState = workflow.adminApprovalState || WORKFLOW_ADMIN_STATES.NOT_READY;
-    workflow.assignedTranslator = workflow.assignedTranslator || null;
-
-    if (!workflow.timestamps) {
-        workflow.timestamps = {};
-    }
-    workflow.timestamps.sourceSubmittedAt = workflow.timestamps.sourceSubmittedAt || null;
-    workflow.timestamps.sourceReviewedAt = workflow.timestamps.sourceReviewedAt || null;
-    workflow.timestamps.translationSubmittedAt = workflow.timestamps.translationSubmittedAt || null;
-    workflow.timestamps.translationReviewedAt = workflow.timestamps.translationReviewedAt || null;
-    workflow.timestamps.adminReviewedAt = workflow.timestamps.adminReviewedAt || null;
-
-    if (!workflow.reviewedBy) {
-        workflow.reviewedBy = {};
-    }
-    workflow.reviewedBy.sourceReviewer = workflow.reviewedBy.sourceReviewer || null;
-    workflow.reviewedBy.translationReviewer = workflow.reviewedBy.translationReviewer || null;
-    workflow.reviewedBy.adminReviewer = workflow.reviewedBy.adminReviewer || null;
-
-    workflow.sourceReviewNotes = workflow.sourceReviewNotes || '';
-    workflow.translationReviewNotes = workflow.translationReviewNotes || '';
-    workflow.adminReviewNotes = workflow.adminReviewNotes || '';
-    workflow.auditTrail = Array.isArray(workflow.auditTrail) ? workflow.auditTrail : [];
-
-    return workflow;
-};
-
 const ensureTranslationWorkflow = (translation) => {
     if (!translation.workflow) {
         translation.workflow = {};
@@ -283,27 +265,6 @@ const enforceWorkflowTransition = (res, currentState, allowedCurrentStates, erro
     return true;
 };
 
-const buildWorkflowActorName = (user = null, fallback = 'System') => {
-    const firstName = String(user?.firstName || '').trim();
-    const lastName = String(user?.lastName || '').trim();
-    const fullName = `${firstName} ${lastName}`.trim();
-    return fullName || String(user?.username || user?.email || fallback);
-};
-
-const buildWorkflowArticleLink = (articleId = '') => {
-    const normalizedId = String(articleId || '').trim();
-    if (!normalizedId) {
-        return '';
-    }
-
-    const baseUrl = String(config.frontendUrl || config.siteUrl || '').trim().replace(/\/+$/, '');
-    if (!baseUrl) {
-        return '';
-    }
-
-    return `${baseUrl}/dashboard/articles/${normalizedId}/edit`;
-};
-
 const sendTelegramWorkflowUpdate = ({
     targetRole = '',
     stage = '',
@@ -328,40 +289,106 @@ const sendTelegramWorkflowUpdate = ({
     });
 };
 
-const captureWorkflowSnapshot = (article, workflow) => ({
-    status: String(article?.status || 'draft'),
-    sourceReviewState: String(workflow?.sourceReviewState || WORKFLOW_SOURCE_STATES.DRAFT),
-    translationState: String(workflow?.translationState || WORKFLOW_TRANSLATION_STATES.NOT_REQUIRED),
-    adminApprovalState: String(workflow?.adminApprovalState || WORKFLOW_ADMIN_STATES.NOT_READY),
-});
+/**
+ * Validate requested translation commissions ([{ language, translatorId }]).
+ * Without a request, the configured default languages are commissioned
+ * (minus the source language), all open to any translator unless the legacy
+ * single translatorId is given.
+ *
+ * @returns {Promise<{ commissions?: Array<{ language: string, translator: * }>, error?: string }>}
+ */
+const resolveTranslationCommissions = async (article, { translations = null, translatorId = null } = {}) => {
+    const sourceLanguage = normalizeArticleLanguage(article.language);
+    const isExplicit = Array.isArray(translations) && translations.length > 0;
+    const requested = isExplicit
+        ? translations
+        : config.workflow.defaultTranslationLanguages.map((language) => ({ language, translatorId }));
+
+    const commissions = new Map();
+    for (const entry of requested) {
+        const language = normalizeArticleLanguage(entry?.language);
+        if (!TRANSLATION_LANGUAGES.includes(language)) {
+            return { error: `Unsupported translation language "${entry?.language || ''}"` };
+        }
+        if (language === sourceLanguage) {
+            if (isExplicit) {
+                return { error: `The source is already written in "${language}"` };
+            }
+            continue;
+        }
+        commissions.set(language, entry?.translatorId || null);
+    }
 
-const appendWorkflowAuditEntry = ({
-    article,
-    workflow,
-    action,
-    actor = null,
-    notes = '',
-    metadata = {},
-    beforeSnapshot = null,
-} = {}) => {
-    if (!article || !workflow || !action) {
-        return;
+    if (!commissions.size) {
+        return { error: 'Select at least one translation language' };
     }
 
-    const trail = Array.isArray(workflow.auditTrail) ? workflow.auditTrail : [];
-    trail.push({
-        action: String(action).trim(),
-        actor: actor?._id || actor || null,
-        actorRole: String(actor?.role || '').trim(),
-        notes: String(notes || '').trim(),
-        before: beforeSnapshot,
-        after: captureWorkflowSnapshot(article, workflow),
-        metadata: metadata && typeof metadata === 'object' ? metadata : {},
-        at: new Date(),
-    });
+    const translators = new Map();
+    for (const id of new Set([...commissions.values()].filter(Boolean).map(String))) {
+        const translator = await User.findById(id).select('_id role status');
+        if (!translator || translator.role !== 'translator' || translator.status !== 'active') {
+            return { error: 'Assigned translator must be an active translator account' };
+        }
+        translators.set(id, translator._id);
+    }
 
-    workflow.auditTrail = trail.slice(-WORKFLOW_AUDIT_MAX_ITEMS);
-    article.markModified('workflow');
+    return {
+        commissions: [...commissions].map(([language, id]) => ({
+            language,
+            translator: id ? translators.get(String(id)) : null,
+        })),
+    };
+};
+
+/**
+ * Notify translators about newly commissioned languages: the assigned
+ * translator, or every active translator when the language is open.
+ */
+const notifyTranslationCommissions = async (article, assignments = [], { actor = null, stage = 'SOURCE APPROVED' } = {}) => {
+    try {
+        const { default: notificationService } = await import('../services/notificationService.js');
+        let openTranslators = null;
+        for (const assignment of assignments) {
+            if (assignment.translator) {
+                await notificationService.notifyTranslationAssigned(article, assignment.translator, assignment.language);
+                continue;
+            }
+            openTranslators = openTranslators || await User.find({ role: 'translator', status: 'active' }).select('_id');
+            for (const translator of openTranslators) {
+                await notificationService.notifyTranslationAssigned(article, translator._id, assignment.language);
+            }
+        }
+    } catch (error) {
+        console.error('Failed to send translation assignment notifications:', error);
+    }
+
+    for (const assignment of assignments) {
+        sendTelegramWorkflowUpdate({
+            targetRole: 'translator',
+            stage,
+            article,
+            language: assignment.language,
+            submittedBy: buildWorkflowActorName(actor, 'Editor'),
+        });
+    }
+};
+
+const notifyFinalReviewPending = async (article, { actor = null, language = '' } = {}) => {
+    try {
+        const admins = await User.find({ role: 'admin' }).select('_id');
+        const { default: notificationService } = await import('../services/notificationService.js');
+        await notificationService.notifyAdminReviewPending(article, admins.map((admin) => admin._id));
+    } catch (error) {
+        console.error('Failed to notify admins for final review:', error);
+    }
+
+    sendTelegramWorkflowUpdate({
+        targetRole: 'admin',
+        stage: 'ADMIN REVIEW PENDING',
+        article,
+        language,
+        submittedBy: buildWorkflowActorName(actor, 'Editor'),
+    });
 };
 
 const buildQueuePagination = ({ total = 0, limit = 20 } = {}) => ({
@@ -370,6 +397,38 @@ const buildQueuePagination = ({ total = 0, limit = 20 } = {}) => ({
     totalPages: Math.max(1, Math.ceil(total / Math.max(limit, 1))),
 });
 
+/**
+ * Queue options shared by the workflow queues:
+ * - overdue=true: only items past their stage deadline
+ * - sort=due: soonest deadline first (instead of oldest submission first)
+ */
+const parseQueueDeadlineOptions = (query = {}) => ({
+    overdueOnly: query.overdue === 'true',
+    sortByDue: query.sort === 'due',
+    now: new Date(),
+});
+
+const applyQueueDeadlineFilter = (filter, { overdueOnly, now }) => (
+    overdueOnly ? { ...filter, 'workflow.sla.dueAt': { $lt: now } } : filter
+);
+
+const buildQueueSort = (defaultSort, { sortByDue }) => (
+    sortByDue ? { 'workflow.sla.dueAt': 1, ...defaultSort } : defaultSort
+);
+
+const countOverdue = (filter, { now }) => Article.countDocuments({ ...filter, 'workflow.sla.dueAt': { $lt: now } });
+
+// Adds workflowStage, stageEnteredAt, dueAt, isOverdue, timeInStageMs and escalatedAt
+const attachWorkflowDeadlines = (articles = [], { now }) => articles.map((article) => {
+    const { stage, ...deadline } = buildWorkflowDeadlineInfo(article, now);
+    return { ...article, workflowStage: stage, ...deadline };
+});
+
+const attachTranslationProgress = (articles = []) => articles.map((article) => ({
+    ...article,
+    translationProgress: buildTranslationProgress(article.workflow),
+}));
+
 const attachSubmittedTranslationLanguages = async (articles = []) => {
     const normalizedArticles = Array.isArray(articles) ? articles.filter(Boolean) : [];
     if (!normalizedArticles.length) {
@@ -431,6 +490,7 @@ export const createArticle = asyncHandler(async (req, res) => {
         status,
         isFeatured,
         isBreaking,
+        accessLevel,
         postType,
         videoUrl,
     } = req.body;
@@ -578,6 +638,7 @@ export const createArticle = asyncHandler(async (req, res) => {
         workflow,
         isFeatured: isFeatured || false,
         isBreaking: isBreaking || false,
+        accessLevel: accessLevel || 'free',
     });
 
     await article.populate('author', 'firstName lastName avatar');
@@ -586,6 +647,10 @@ export const createArticle = asyncHandler(async (req, res) => {
 
     // Invalidate article list caches
     await cacheService.invalidateArticleLists();
+    if (articleStatus === 'published') {
+        await sitemapService.invalidate();
+        await feedService.invalidate();
+    }
 
     if (articleStatus === 'pending') {
         try {
@@ -675,7 +740,9 @@ export const getArticles = asyncHandler(async (req, res) => {
         Article.countDocuments(filter),
     ]);
 
-    const localizedArticles = await applyPreferredLanguageToArticles(articles, requestedLanguage);
+    const localizedArticles = await responsiveImageService.attachToArticles(
+        await applyPreferredLanguageToArticles(articles, requestedLanguage)
+    );
 
     // Cache the result
     const pagination = {page, limit, total};
@@ -707,7 +774,9 @@ export const getFeaturedArticles = asyncHandler(async (req, res) => {
         .select('-content')
         .lean();
 
-    const localizedArticles = await applyPreferredLanguageToArticles(articles, requestedLanguage);
+    const localizedArticles = await responsiveImageService.attachToArticles(
+        await applyPreferredLanguageToArticles(articles, requestedLanguage)
+    );
 
     // Cache for 5 minutes
     await cacheService.setArticleList(cacheKey, localizedArticles, config.cache.featuredTTL);
@@ -738,7 +807,9 @@ export const getLatestArticles = asyncHandler(async (req, res) => {
         .select('-content')
         .lean();
 
-    const localizedArticles = await applyPreferredLanguageToArticles(articles, requestedLanguage);
+    const localizedArticles = await responsiveImageService.attachToArticles(
+        await applyPreferredLanguageToArticles(articles, requestedLanguage)
+    );
 
     // Cache for 3 minutes
     await cacheService.setArticleList(cacheKey, localizedArticles, config.cache.listTTL);
@@ -746,6 +817,22 @@ export const getLatestArticles = asyncHandler(async (req, res) => {
     return successResponse(res, {articles: localizedArticles});
 });
 
+/**
+ * Meter gated articles and truncate the body once the reader's quota is spent.
+ * Runs per request, after the (shared) article cache.
+ */
+const applyArticlePaywall = async (req, res, article) => {
+    if (!isGatedArticle(article)) {
+        return article;
+    }
+
+    const access = await subscriptionService.checkArticleAccess(article, {
+        user: req.user || null,
+        readerId: req.user ? '' : ensureSessionId(req, res),
+    });
+    return subscriptionService.applyPaywall(article, access);
+};
+
 /**
  * Get article by slug (public) - WITH CACHING
  * GET /api/articles/:slug
@@ -756,22 +843,23 @@ export const getArticleBySlug = asyncHandler(async (req, res) => {
     // Try cache first
     const cached = await cacheService.getArticle(slug);
     if (cached) {
-        return successResponse(res, {article: cached});
+        return successResponse(res, {article: await applyArticlePaywall(req, res, cached)});
     }
 
-    const article = await Article.findOne({slug, status: 'published'})
+    const publishedArticle = await Article.findOne({slug, status: 'published'})
         .populate('author', 'firstName lastName avatar bio')
         .populate('category', 'name slug color')
         .lean();
 
-    if (!article) {
+    if (!publishedArticle) {
         return notFoundResponse(res, 'Article not found');
     }
+    const article = await responsiveImageService.attachToArticle(publishedArticle);
 
     // Cache for 10 minutes
     await cacheService.setArticle(slug, article, config.cache.articleTTL);
 
-    return successResponse(res, {article});
+    return successResponse(res, {article: await applyArticlePaywall(req, res, article)});
 });
 
 /**
@@ -884,9 +972,10 @@ export const resolveArticleBySlug = asyncHandler(async (req, res) => {
 
     const resolvedLanguage = resolvedArticle.language || baseLanguage;
     const resolvedSlug = resolvedArticle.slug || article.slug;
+    const articleWithImages = await responsiveImageService.attachToArticle(resolvedArticle);
 
     return successResponse(res, {
-        article: resolvedArticle,
+        article: await applyArticlePaywall(req, res, articleWithImages),
         language: {
             requested: requestedLanguage || null,
             resolved: resolvedLanguage,
@@ -911,6 +1000,8 @@ export const getArticleById = asyncHandler(async (req, res) => {
         .populate('workflow.reviewedBy.translationReviewer', 'firstName lastName role')
         .populate('workflow.reviewedBy.adminReviewer', 'firstName lastName role')
         .populate('workflow.assignedTranslator', 'firstName lastName role')
+        .populate('workflow.translationAssignments.translator', 'firstName lastName role')
+        .populate('workflow.translationAssignments.reviewer', 'firstName lastName role')
         .populate('workflow.auditTrail.actor', 'firstName lastName username email role');
 
     if (!article) {
@@ -926,6 +1017,11 @@ export const getArticleById = asyncHandler(async (req, res) => {
         return forbiddenResponse(res, 'You do not have access to this article');
     }
 
+    // Readers reaching a published article by id are metered like the slug endpoints
+    if (!isOwner && !isEditorOrAdmin && !isTranslator && isGatedArticle(article)) {
+        return successResponse(res, {article: await applyArticlePaywall(req, res, article.toObject())});
+    }
+
     return successResponse(res, {article});
 });
 
@@ -949,18 +1045,25 @@ export const updateArticle = asyncHandler(async (req, res) => {
         return forbiddenResponse(res, 'You do not have permission to edit this article');
     }
 
-    // If article is published and user is only the owner (not admin/editor), restrict editing
-    if (article.status === 'published' && !isAdminOrEditor) {
+    // If article is published (or scheduled) and user is only the owner (not admin/editor), restrict editing
+    if (['published', 'scheduled'].includes(article.status) && !isAdminOrEditor) {
         return badRequestResponse(res, 'Cannot edit published article. Please contact an editor.');
     }
 
+    // Keep the pre-edit state for articles that have no revision history yet
+    try {
+        await ArticleRevision.ensureBaseline(article);
+    } catch (error) {
+        console.error('Failed to record baseline revision:', error);
+    }
+
     const oldSlug = article.slug;
     const {
         language,
         title, content, excerpt, category, tags, 
         metaTitle, metaDescription, featuredImage, featuredImagePosition,
-        featuredImagePositionY, featuredImageAlt, status, isFeatured, isBreaking,
-        postType, videoUrl
+        featuredImagePositionY, featuredImageAlt, status, isFeatured, isBreaking, accessLevel,
+        postType, videoUrl, scheduledPublishAt, scheduledUnpublishAt
     } = req.body;
 
     if (language !== undefined) {
@@ -1012,10 +1115,28 @@ export const updateArticle = asyncHandler(async (req, res) => {
         }
     }
 
-    // Featured and breaking flags - only admin/editor can change
+    // Featured, breaking and paywall flags - only admin/editor can change
     if (isAdminOrEditor) {
         if (isFeatured !== undefined) article.isFeatured = isFeatured;
         if (isBreaking !== undefined) article.isBreaking = isBreaking;
+        if (accessLevel !== undefined) article.accessLevel = accessLevel;
+    }
+
+    // Publish/unpublish schedule - only admin/editor can change
+    if (isAdminOrEditor) {
+        if (scheduledPublishAt !== undefined) {
+            article.scheduledPublishAt = scheduledPublishAt ? new Date(scheduledPublishAt) : null;
+        }
+        if (scheduledUnpublishAt !== undefined) {
+            article.scheduledUnpublishAt = scheduledUnpublishAt ? new Date(scheduledUnpublishAt) : null;
+        }
+    }
+    if (
+        isAdminOrEditor &&
+        status === 'scheduled' &&
+        !(article.scheduledPublishAt && article.scheduledPublishAt.getTime() > Date.now())
+    ) {
+        return badRequestResponse(res, 'A future scheduledPublishAt is required to schedule an article');
     }
 
     const workflow = ensureArticleWorkflow(article);
@@ -1029,18 +1150,7 @@ export const updateArticle = asyncHandler(async (req, res) => {
     if (status) {
         if (status === 'pending' && article.status === 'draft') {
             // Writers can submit for review
-            article.status = 'pending';
-            workflow.sourceReviewState = WORKFLOW_SOURCE_STATES.SUBMITTED;
-            workflow.translationState = WORKFLOW_TRANSLATION_STATES.NOT_REQUIRED;
-            workflow.adminApprovalState = WORKFLOW_ADMIN_STATES.NOT_READY;
-            workflow.timestamps.sourceSubmittedAt = new Date();
-            workflow.sourceReviewNotes = '';
-            workflow.translationReviewNotes = '';
-            workflow.adminReviewNotes = '';
-            workflow.reviewedBy.sourceReviewer = null;
-            workflow.reviewedBy.translationReviewer = null;
-            workflow.reviewedBy.adminReviewer = null;
-            workflow.assignedTranslator = null;
+            markSourceSubmitted(article, workflow);
             workflowAuditAction = 'source_submitted';
             workflowAuditMetadata = { via: 'update_article' };
         } else if (status === 'draft' && article.status === 'rejected' && isOwner) {
@@ -1061,8 +1171,11 @@ export const updateArticle = asyncHandler(async (req, res) => {
             if (status === 'published' && !article.publishedAt) {
                 article.publishedAt = new Date();
             }
-
             if (status === 'published') {
+                article.scheduledPublishAt = null;
+            }
+
+            if (status === 'published' || status === 'scheduled') {
                 workflow.sourceReviewState = WORKFLOW_SOURCE_STATES.APPROVED;
                 workflow.translationState = hasApprovedTranslations(article)
                     ? WORKFLOW_TRANSLATION_STATES.APPROVED
@@ -1072,8 +1185,10 @@ export const updateArticle = asyncHandler(async (req, res) => {
                 workflow.timestamps.adminReviewedAt = article.publishedAt || new Date();
                 workflow.reviewedBy.sourceReviewer = req.user._id;
                 workflow.reviewedBy.adminReviewer = req.user._id;
-                workflowAuditAction = 'final_published';
-                workflowAuditMetadata = { via: 'update_article' };
+                workflowAuditAction = status === 'scheduled' ? 'final_scheduled' : 'final_published';
+                workflowAuditMetadata = status === 'scheduled'
+                    ? { via: 'update_article', scheduledPublishAt: article.scheduledPublishAt }
+                    : { via: 'update_article' };
             }
 
             if (status === 'rejected') {
@@ -1107,12 +1222,14 @@ export const updateArticle = asyncHandler(async (req, res) => {
     await article.save();
     await syncFeaturedImageUsage(article._id, article.featuredImage, previousFeaturedImage);
 
-    // Invalidate caches
-    await cacheService.invalidateArticle(oldSlug);
-    if (article.slug !== oldSlug) {
-        await cacheService.invalidateArticle(article.slug);
+    try {
+        await ArticleRevision.recordRevision(article, { editedBy: req.user._id });
+    } catch (error) {
+        console.error('Failed to record article revision:', error);
     }
-    await cacheService.invalidateArticleLists();
+
+    // Invalidate caches (article, lists and sitemaps)
+    await articlePublishService.invalidateArticleCaches(article, oldSlug);
 
     await article.populate('author', 'firstName lastName avatar');
     await article.populate('category', 'name slug color');
@@ -1272,8 +1389,9 @@ export const getPendingArticles = asyncHandler(async (req, res) => {
 export const getEditorWorkflowQueue = asyncHandler(async (req, res) => {
     const sourceLimit = Math.min(Math.max(parseInt(req.query.sourceLimit, 10) || 20, 1), 100);
     const translationLimit = Math.min(Math.max(parseInt(req.query.translationLimit, 10) || 20, 1), 100);
+    const deadlineOptions = parseQueueDeadlineOptions(req.query);
 
-    const sourceFilter = {
+    const sourceBaseFilter = {
         status: 'pending',
         $or: [
             { 'workflow.sourceReviewState': WORKFLOW_SOURCE_STATES.SUBMITTED },
@@ -1281,18 +1399,35 @@ export const getEditorWorkflowQueue = asyncHandler(async (req, res) => {
         ],
     };
 
-    const translationFilter = {
+    // Any submitted language is reviewable, even while other languages are still being translated
+    const translationBaseFilter = {
         status: 'pending',
         'workflow.sourceReviewState': WORKFLOW_SOURCE_STATES.APPROVED,
-        'workflow.translationState': WORKFLOW_TRANSLATION_STATES.SUBMITTED,
+        $or: [
+            { 'workflow.translationAssignments.state': TRANSLATION_ASSIGNMENT_STATES.SUBMITTED },
+            {
+                'workflow.translationAssignments.0': { $exists: false },
+                'workflow.translationState': WORKFLOW_TRANSLATION_STATES.SUBMITTED,
+            },
+        ],
     };
-
-    const [sourceReview, sourceTotal, translationReviewRaw, translationTotal] = await Promise.all([
+    const sourceFilter = applyQueueDeadlineFilter(sourceBaseFilter, deadlineOptions);
+    const translationFilter = applyQueueDeadlineFilter(translationBaseFilter, deadlineOptions);
+
+    const [
+        sourceReviewRaw,
+        sourceTotal,
+        translationReviewRaw,
+        translationTotal,
+        sourceOverdue,
+        translationOverdue,
+    ] = await Promise.all([
         Article.find(sourceFilter)
             .populate('author', 'firstName lastName email avatar')
             .populate('category', 'name slug color')
             .populate('workflow.assignedTranslator', 'firstName lastName email')
-            .sort({ 'workflow.timestamps.sourceSubmittedAt': 1, createdAt: 1 })
+            .populate('workflow.translationAssignments.translator', 'firstName lastName email')
+            .sort(buildQueueSort({ 'workflow.timestamps.sourceSubmittedAt': 1, createdAt: 1 }, deadlineOptions))
             .limit(sourceLimit)
             .select('-content')
             .lean(),
@@ -1301,14 +1436,21 @@ export const getEditorWorkflowQueue = asyncHandler(async (req, res) => {
             .populate('author', 'firstName lastName email avatar')
             .populate('category', 'name slug color')
             .populate('workflow.assignedTranslator', 'firstName lastName email')
-            .sort({ 'workflow.timestamps.translationSubmittedAt': 1, updatedAt: 1 })
+            .populate('workflow.translationAssignments.translator', 'firstName lastName email')
+            .sort(buildQueueSort({ 'workflow.timestamps.translationSubmittedAt': 1, updatedAt: 1 }, deadlineOptions))
             .limit(translationLimit)
             .select('-content')
             .lean(),
         Article.countDocuments(translationFilter),
+        countOverdue(sourceBaseFilter, deadlineOptions),
+        countOverdue(translationBaseFilter, deadlineOptions),
     ]);
 
-    const translationReview = await attachSubmittedTranslationLanguages(translationReviewRaw);
+    const sourceReview = attachWorkflowDeadlines(sourceReviewRaw, deadlineOptions);
+    const translationReview = attachTranslationProgress(attachWorkflowDeadlines(
+        await attachSubmittedTranslationLanguages(translationReviewRaw),
+        deadlineOptions
+    ));
 
     return successResponse(res, {
         sourceReview,
@@ -1316,6 +1458,10 @@ export const getEditorWorkflowQueue = asyncHandler(async (req, res) => {
         counts: {
             sourceReview: sourceTotal,
             translationReview: translationTotal,
+            overdue: {
+                sourceReview: sourceOverdue,
+                translationReview: translationOverdue,
+            },
         },
         pagination: {
             sourceReview: buildQueuePagination({ total: sourceTotal, limit: sourceLimit }),
@@ -1332,19 +1478,34 @@ export const getEditorWorkflowQueue = asyncHandler(async (req, res) => {
  */
 export const getTranslatorWorkflowQueue = asyncHandler(async (req, res) => {
     const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
+    const deadlineOptions = parseQueueDeadlineOptions(req.query);
     const isWriterRole = req.user?.role === 'writer';
-    const translationAssigneeFilter = isWriterRole
-        ? [
-            { author: req.user._id },
-            { 'workflow.assignedTranslator': req.user._id },
-        ]
+    const assignableTranslators = isWriterRole ? [req.user._id] : [req.user._id, null];
+    // Per-language assignments decide who picks up work; articles without them use the legacy single assignee
+    const legacyAssigneeFilter = isWriterRole
+        ? [{ 'workflow.assignedTranslator': req.user._id }]
         : [
             { 'workflow.assignedTranslator': req.user._id },
             { 'workflow.assignedTranslator': null },
             { 'workflow.assignedTranslator': { $exists: false } },
         ];
+    const translationAssigneeFilter = [
+        ...(isWriterRole ? [{ author: req.user._id }] : []),
+        {
+            'workflow.translationAssignments': {
+                $elemMatch: {
+                    state: { $in: OPEN_ASSIGNMENT_STATES },
+                    translator: { $in: assignableTranslators },
+                },
+            },
+        },
+        {
+            'workflow.translationAssignments.0': { $exists: false },
+            $or: legacyAssigneeFilter,
+        },
+    ];
 
-    const filter = {
+    const baseFilter = {
         status: 'pending',
         'workflow.sourceReviewState': WORKFLOW_SOURCE_STATES.APPROVED,
         'workflow.translationState': {
@@ -1352,22 +1513,25 @@ export const getTranslatorWorkflowQueue = asyncHandler(async (req, res) => {
         },
         $or: translationAssigneeFilter,
     };
+    const filter = applyQueueDeadlineFilter(baseFilter, deadlineOptions);
 
-    const [assignedTasks, total] = await Promise.all([
+    const [assignedTasksRaw, total, overdue] = await Promise.all([
         Article.find(filter)
             .populate('author', 'firstName lastName email avatar')
             .populate('category', 'name slug color')
             .populate('workflow.assignedTranslator', 'firstName lastName email')
-            .sort({ 'workflow.timestamps.sourceReviewedAt': 1, updatedAt: 1 })
+            .populate('workflow.translationAssignments.translator', 'firstName lastName email')
+            .sort(buildQueueSort({ 'workflow.timestamps.sourceReviewedAt': 1, updatedAt: 1 }, deadlineOptions))
             .limit(limit)
             .select('-content')
             .lean(),
         Article.countDocuments(filter),
+        countOverdue(baseFilter, deadlineOptions),
     ]);
 
     return successResponse(res, {
-        assignedTasks,
-        counts: { assignedTasks: total },
+        assignedTasks: attachTranslationProgress(attachWorkflowDeadlines(assignedTasksRaw, deadlineOptions)),
+        counts: { assignedTasks: total, overdue: { assignedTasks: overdue } },
         pagination: { assignedTasks: buildQueuePagination({ total, limit }) },
     });
 });
@@ -1378,28 +1542,32 @@ export const getTranslatorWorkflowQueue = asyncHandler(async (req, res) => {
  */
 export const getAdminWorkflowQueue = asyncHandler(async (req, res) => {
     const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
-    const filter = {
+    const deadlineOptions = parseQueueDeadlineOptions(req.query);
+    const baseFilter = {
         status: 'pending',
         'workflow.sourceReviewState': WORKFLOW_SOURCE_STATES.APPROVED,
         'workflow.translationState': WORKFLOW_TRANSLATION_STATES.APPROVED,
         'workflow.adminApprovalState': WORKFLOW_ADMIN_STATES.PENDING_FINAL_REVIEW,
     };
+    const filter = applyQueueDeadlineFilter(baseFilter, deadlineOptions);
 
-    const [finalReview, total] = await Promise.all([
+    const [finalReviewRaw, total, overdue] = await Promise.all([
         Article.find(filter)
             .populate('author', 'firstName lastName email avatar')
             .populate('category', 'name slug color')
             .populate('workflow.assignedTranslator', 'firstName lastName email')
-            .sort({ 'workflow.timestamps.translationReviewedAt': 1, updatedAt: 1 })
+            .populate('workflow.translationAssignments.translator', 'firstName lastName email')
+            .sort(buildQueueSort({ 'workflow.timestamps.translationReviewedAt': 1, updatedAt: 1 }, deadlineOptions))
             .limit(limit)
             .select('-content')
             .lean(),
         Article.countDocuments(filter),
+        countOverdue(baseFilter, deadlineOptions),
     ]);
 
     return successResponse(res, {
-        finalReview,
-        counts: { finalReview: total },
+        finalReview: attachTranslationProgress(attachWorkflowDeadlines(finalReviewRaw, deadlineOptions)),
+        counts: { finalReview: total, overdue: { finalReview: overdue } },
         pagination: { finalReview: buildQueuePagination({ total, limit }) },
     });
 });
@@ -1439,13 +1607,22 @@ export const approveArticle = asyncHandler(async (req, res) => {
         return;
     }
 
+    const { commissions, error: commissionError } = await resolveTranslationCommissions(article);
+    if (commissionError) {
+        return badRequestResponse(res, commissionError);
+    }
+
     article.status = 'pending';
     article.reviewedBy = req.user._id;
     article.reviewedAt = new Date();
     article.reviewNotes = notes || '';
     workflow.sourceReviewState = WORKFLOW_SOURCE_STATES.APPROVED;
-    workflow.translationState = WORKFLOW_TRANSLATION_STATES.IN_TRANSLATION;
-    workflow.adminApprovalState = WORKFLOW_ADMIN_STATES.NOT_READY;
+    workflow.translationAssignments = [];
+    const assignments = commissions.map((commission) => upsertTranslationAssignment(workflow, {
+        ...commission,
+        assignedBy: req.user._id,
+    }));
+    syncTranslationState(workflow);
     workflow.timestamps.sourceReviewedAt = article.reviewedAt;
     workflow.timestamps.adminReviewedAt = null;
     workflow.reviewedBy.sourceReviewer = req.user._id;
@@ -1460,7 +1637,10 @@ export const approveArticle = asyncHandler(async (req, res) => {
         action: 'source_approved',
         actor: req.user,
         notes: notes || '',
-        metadata: { via: 'legacy_approve_endpoint' },
+        metadata: {
+            via: 'legacy_approve_endpoint',
+            languages: assignments.map((assignment) => assignment.language),
+        },
         beforeSnapshot: workflowBeforeSnapshot,
     });
     article.markModified('content');
@@ -1471,26 +1651,10 @@ export const approveArticle = asyncHandler(async (req, res) => {
     try {
         const { default: notificationService } = await import('../services/notificationService.js');
         await notificationService.notifySourceApproved(article, article.author._id);
-
-        if (workflow.assignedTranslator) {
-            await notificationService.notifyTranslationAssigned(article, workflow.assignedTranslator, 'zh');
-        } else {
-            const translators = await User.find({ role: 'translator', status: 'active' }).select('_id');
-            for (const translator of translators) {
-                await notificationService.notifyTranslationAssigned(article, translator._id, 'zh');
-            }
-        }
     } catch (error) {
         console.error('Failed to send source approval notifications:', error);
     }
-
-    sendTelegramWorkflowUpdate({
-        targetRole: 'translator',
-        stage: 'SOURCE APPROVED',
-        article,
-        language: 'zh',
-        submittedBy: buildWorkflowActorName(req.user, 'Editor'),
-    });
+    await notifyTranslationCommissions(article, assignments, { actor: req.user });
 
     return successResponse(res, {article}, 'Source approved and moved to translation');
 });
@@ -1599,19 +1763,7 @@ export const submitSourceForWorkflow = asyncHandler(async (req, res) => {
         return;
     }
 
-    workflow.sourceReviewState = WORKFLOW_SOURCE_STATES.SUBMITTED;
-    workflow.translationState = WORKFLOW_TRANSLATION_STATES.NOT_REQUIRED;
-    workflow.adminApprovalState = WORKFLOW_ADMIN_STATES.NOT_READY;
-    workflow.timestamps.sourceSubmittedAt = new Date();
-    workflow.sourceReviewNotes = '';
-    workflow.translationReviewNotes = '';
-    workflow.adminReviewNotes = '';
-    workflow.reviewedBy.sourceReviewer = null;
-    workflow.reviewedBy.translationReviewer = null;
-    workflow.reviewedBy.adminReviewer = null;
-    workflow.assignedTranslator = null;
-
-    article.status = 'pending';
+    markSourceSubmitted(article, workflow);
     article.reviewedBy = null;
     article.reviewedAt = null;
     article.reviewNotes = '';
@@ -1656,7 +1808,7 @@ export const submitSourceForWorkflow = asyncHandler(async (req, res) => {
  * PUT /api/articles/:id/workflow/source-approve
  */
 export const approveSourceForWorkflow = asyncHandler(async (req, res) => {
-    const { notes = '', translatorId = null } = req.body;
+    const { notes = '', translatorId = null, translations = null } = req.body;
 
     const article = await Article.findById(req.params.id).populate('author');
     if (!article) {
@@ -1676,17 +1828,21 @@ export const approveSourceForWorkflow = asyncHandler(async (req, res) => {
         return;
     }
 
-    if (translatorId) {
-        const translator = await User.findById(translatorId).select('_id role status');
-        if (!translator || translator.role !== 'translator' || translator.status !== 'active') {
-            return badRequestResponse(res, 'Assigned translator must be an active translator account');
-        }
-        workflow.assignedTranslator = translator._id;
+    const { commissions, error: commissionError } = await resolveTranslationCommissions(article, {
+        translations,
+        translatorId,
+    });
+    if (commissionError) {
+        return badRequestResponse(res, commissionError);
     }
 
     workflow.sourceReviewState = WORKFLOW_SOURCE_STATES.APPROVED;
-    workflow.translationState = WORKFLOW_TRANSLATION_STATES.IN_TRANSLATION;
-    workflow.adminApprovalState = WORKFLOW_ADMIN_STATES.NOT_READY;
+    workflow.translationAssignments = [];
+    const assignments = commissions.map((commission) => upsertTranslationAssignment(workflow, {
+        ...commission,
+        assignedBy: req.user._id,
+    }));
+    syncTranslationState(workflow);
     workflow.timestamps.sourceReviewedAt = new Date();
     workflow.reviewedBy.sourceReviewer = req.user._id;
     workflow.sourceReviewNotes = notes || '';
@@ -1706,7 +1862,10 @@ export const approveSourceForWorkflow = asyncHandler(async (req, res) => {
         notes: notes || '',
         metadata: {
             via: 'workflow_source_approve',
-            assignedTranslator: workflow.assignedTranslator ? workflow.assignedTranslator.toString() : '',
+            translations: assignments.map((assignment) => ({
+                language: assignment.language,
+                translator: assignment.translator ? assignment.translator.toString() : '',
+            })),
         },
         beforeSnapshot: workflowBeforeSnapshot,
     });
@@ -1716,26 +1875,10 @@ export const approveSourceForWorkflow = asyncHandler(async (req, res) => {
     try {
         const { default: notificationService } = await import('../services/notificationService.js');
         await notificationService.notifySourceApproved(article, article.author._id);
-
-        if (workflow.assignedTranslator) {
-            await notificationService.notifyTranslationAssigned(article, workflow.assignedTranslator, 'zh');
-        } else {
-            const translators = await User.find({ role: 'translator', status: 'active' }).select('_id');
-            for (const translator of translators) {
-                await notificationService.notifyTranslationAssigned(article, translator._id, 'zh');
-            }
-        }
     } catch (error) {
-        console.error('Failed to send source-approval/translation-assignment notifications:', error);
+        console.error('Failed to send source-approval notification:', error);
     }
-
-    sendTelegramWorkflowUpdate({
-        targetRole: 'translator',
-        stage: 'SOURCE APPROVED',
-        article,
-        language: 'zh',
-        submittedBy: buildWorkflowActorName(req.user, 'Editor'),
-    });
+    await notifyTranslationCommissions(article, assignments, { actor: req.user });
 
     return successResponse(res, { article }, 'Source approved and moved to translation stage');
 });
@@ -1769,6 +1912,7 @@ export const requestSourceChangesForWorkflow = asyncHandler(async (req, res) =>
     workflow.translationState = WORKFLOW_TRANSLATION_STATES.NOT_REQUIRED;
     workflow.adminApprovalState = WORKFLOW_ADMIN_STATES.NOT_READY;
     workflow.assignedTranslator = null;
+    workflow.translationAssignments = [];
     workflow.timestamps.sourceReviewedAt = new Date();
     workflow.reviewedBy.sourceReviewer = req.user._id;
     workflow.sourceReviewNotes = reason;
@@ -1841,25 +1985,35 @@ export const submitTranslationForWorkflow = asyncHandler(async (req, res) => {
         return;
     }
 
+    const assignment = resolveTranslationAssignment(workflow, language);
+    if (!assignment) {
+        return badRequestResponse(res, `Translation into "${language}" has not been commissioned for this article`);
+    }
+
     if (req.user.role === 'writer') {
         const articleAuthorId =
             article.author?._id?.toString?.() ||
             article.author?.toString?.() ||
             article.author;
         const isOwner = articleAuthorId && articleAuthorId.toString() === req.user._id.toString();
-        const isAssignedWriter =
-            (workflow.assignedTranslator?._id?.toString?.() || workflow.assignedTranslator?.toString?.() || workflow.assignedTranslator) ===
-            req.user._id.toString();
+        const isAssignedWriter = (assignment.translator?._id || assignment.translator)?.toString() === req.user._id.toString();
         if (!isOwner && !isAssignedWriter) {
             return forbiddenResponse(res, 'Writers can only submit translation for their own articles');
         }
     }
 
-    if (workflow.assignedTranslator && workflow.assignedTranslator.toString() !== req.user._id.toString()) {
-        return forbiddenResponse(res, 'This article is assigned to another translator');
+    if (!canWorkOnTranslationAssignment(assignment, req.user._id)) {
+        return forbiddenResponse(res, `The "${language}" translation is assigned to another translator`);
     }
-    if (!workflow.assignedTranslator) {
-        workflow.assignedTranslator = req.user._id;
+    if (
+        !enforceWorkflowTransition(
+            res,
+            assignment.state,
+            [TRANSLATION_ASSIGNMENT_STATES.IN_TRANSLATION, TRANSLATION_ASSIGNMENT_STATES.CHANGES_REQUESTED],
+            `The "${language}" translation cannot be submitted from this state`
+        )
+    ) {
+        return;
     }
 
     const translation = await ArticleTranslation.getByArticleAndLanguage(article._id, language);
@@ -1882,8 +2036,13 @@ export const submitTranslationForWorkflow = asyncHandler(async (req, res) => {
     translation.markModified('workflow');
     await translation.save();
 
-    workflow.translationState = WORKFLOW_TRANSLATION_STATES.SUBMITTED;
-    workflow.adminApprovalState = WORKFLOW_ADMIN_STATES.NOT_READY;
+    assignment.translator = assignment.translator || req.user._id;
+    assignment.state = TRANSLATION_ASSIGNMENT_STATES.SUBMITTED;
+    assignment.submittedAt = now;
+    assignment.reviewedAt = null;
+    assignment.reviewer = null;
+    assignment.reviewNotes = '';
+    syncTranslationState(workflow);
     workflow.timestamps.translationSubmittedAt = now;
     workflow.timestamps.translationReviewedAt = null;
     workflow.reviewedBy.translationReviewer = null;
@@ -1952,22 +2111,31 @@ export const approveTranslationForWorkflow = asyncHandler(async (req, res) => {
         return;
     }
 
+    const translation = await ArticleTranslation.getByArticleAndLanguage(article._id, language);
+    if (!translation) {
+        return badRequestResponse(res, `No translation found for language "${language}"`);
+    }
+
+    const assignment = resolveTranslationAssignment(workflow, language, {
+        translator: translation.translatedBy,
+        state: workflow.translationState === WORKFLOW_TRANSLATION_STATES.SUBMITTED
+            ? TRANSLATION_ASSIGNMENT_STATES.SUBMITTED
+            : null,
+    });
+    if (!assignment) {
+        return badRequestResponse(res, `Translation into "${language}" has not been commissioned for this article`);
+    }
     if (
         !enforceWorkflowTransition(
             res,
-            workflow.translationState,
-            [WORKFLOW_TRANSLATION_STATES.SUBMITTED],
+            assignment.state,
+            [TRANSLATION_ASSIGNMENT_STATES.SUBMITTED],
             'Translation approval requires submitted translation'
         )
     ) {
         return;
     }
 
-    const translation = await ArticleTranslation.getByArticleAndLanguage(article._id, language);
-    if (!translation) {
-        return badRequestResponse(res, `No translation found for language "${language}"`);
-    }
-
     const translationWorkflow = ensureTranslationWorkflow(translation);
     if (
         !enforceWorkflowTransition(
@@ -1990,9 +2158,15 @@ export const approveTranslationForWorkflow = asyncHandler(async (req, res) => {
     translation.markModified('workflow');
     await translation.save();
 
-    workflow.translationState = WORKFLOW_TRANSLATION_STATES.APPROVED;
-    workflow.adminApprovalState = WORKFLOW_ADMIN_STATES.PENDING_FINAL_REVIEW;
-    workflow.timestamps.translationReviewedAt = new Date();
+    const reviewedAt = new Date();
+    assignment.state = TRANSLATION_ASSIGNMENT_STATES.APPROVED;
+    assignment.reviewedAt = reviewedAt;
+    assignment.reviewer = req.user._id;
+    assignment.reviewNotes = notes || '';
+    syncTranslationState(workflow);
+    const blockingLanguages = getBlockingTranslationLanguages(workflow);
+    const readyForFinalReview = workflow.adminApprovalState === WORKFLOW_ADMIN_STATES.PENDING_FINAL_REVIEW;
+    workflow.timestamps.translationReviewedAt = reviewedAt;
     workflow.reviewedBy.translationReviewer = req.user._id;
     workflow.translationReviewNotes = notes || '';
     article.status = 'pending';
@@ -2005,29 +2179,40 @@ export const approveTranslationForWorkflow = asyncHandler(async (req, res) => {
         metadata: {
             via: 'workflow_translation_approve',
             language,
+            blockingLanguages,
         },
         beforeSnapshot: workflowBeforeSnapshot,
     });
     article.markModified('workflow');
     await article.save();
 
-    try {
-        const admins = await User.find({ role: 'admin' }).select('_id');
-        const { default: notificationService } = await import('../services/notificationService.js');
-        await notificationService.notifyAdminReviewPending(article, admins.map((admin) => admin._id));
-    } catch (error) {
-        console.error('Failed to notify admins for final review:', error);
+    await webhookService.emit('translation.approved', {
+        article: toArticleWebhookData(article),
+        translation: {
+            id: String(translation._id),
+            language,
+            title: translation.title,
+            slug: translation.slug,
+        },
+        approvedBy: String(req.user._id),
+        readyForFinalReview,
+    });
+
+    if (!readyForFinalReview) {
+        return successResponse(
+            res,
+            { article, translation, translationProgress: buildTranslationProgress(workflow) },
+            `Translation approved; still waiting on ${blockingLanguages.join(', ')}`
+        );
     }
 
-    sendTelegramWorkflowUpdate({
-        targetRole: 'admin',
-        stage: 'ADMIN REVIEW PENDING',
-        article,
-        language,
-        submittedBy: buildWorkflowActorName(req.user, 'Editor'),
-    });
+    await notifyFinalReviewPending(article, { actor: req.user, language });
 
-    return successResponse(res, { article, translation }, 'Translation approved and moved to admin final review');
+    return successResponse(
+        res,
+        { article, translation, translationProgress: buildTranslationProgress(workflow) },
+        'Translation approved and moved to admin final review'
+    );
 });
 
 /**
@@ -2048,22 +2233,31 @@ export const requestTranslationChangesForWorkflow = asyncHandler(async (req, res
 
     const workflow = ensureArticleWorkflow(article);
     const workflowBeforeSnapshot = captureWorkflowSnapshot(article, workflow);
+    const translation = await ArticleTranslation.getByArticleAndLanguage(article._id, language);
+    if (!translation) {
+        return badRequestResponse(res, `No translation found for language "${language}"`);
+    }
+
+    const assignment = resolveTranslationAssignment(workflow, language, {
+        translator: translation.translatedBy,
+        state: workflow.translationState === WORKFLOW_TRANSLATION_STATES.SUBMITTED
+            ? TRANSLATION_ASSIGNMENT_STATES.SUBMITTED
+            : null,
+    });
+    if (!assignment) {
+        return badRequestResponse(res, `Translation into "${language}" has not been commissioned for this article`);
+    }
     if (
         !enforceWorkflowTransition(
             res,
-            workflow.translationState,
-            [WORKFLOW_TRANSLATION_STATES.SUBMITTED],
+            assignment.state,
+            [TRANSLATION_ASSIGNMENT_STATES.SUBMITTED],
             'Translation changes can only be requested for submitted translation'
         )
     ) {
         return;
     }
 
-    const translation = await ArticleTranslation.getByArticleAndLanguage(article._id, language);
-    if (!translation) {
-        return badRequestResponse(res, `No translation found for language "${language}"`);
-    }
-
     const translationWorkflow = ensureTranslationWorkflow(translation);
     translationWorkflow.translationState = 'changes_requested';
     translationWorkflow.timestamps.reviewedAt = new Date();
@@ -2073,8 +2267,11 @@ export const requestTranslationChangesForWorkflow = asyncHandler(async (req, res
     translation.markModified('workflow');
     await translation.save();
 
-    workflow.translationState = WORKFLOW_TRANSLATION_STATES.CHANGES_REQUESTED;
-    workflow.adminApprovalState = WORKFLOW_ADMIN_STATES.NOT_READY;
+    assignment.state = TRANSLATION_ASSIGNMENT_STATES.CHANGES_REQUESTED;
+    assignment.reviewedAt = new Date();
+    assignment.reviewer = req.user._id;
+    assignment.reviewNotes = reason;
+    syncTranslationState(workflow);
     workflow.timestamps.translationReviewedAt = new Date();
     workflow.reviewedBy.translationReviewer = req.user._id;
     workflow.translationReviewNotes = reason;
@@ -2094,7 +2291,7 @@ export const requestTranslationChangesForWorkflow = asyncHandler(async (req, res
     article.markModified('workflow');
     await article.save();
 
-    const targetTranslatorId = workflow.assignedTranslator || translation.translatedBy;
+    const targetTranslatorId = assignment.translator || translation.translatedBy;
     if (targetTranslatorId) {
         try {
             const { default: notificationService } = await import('../services/notificationService.js');
@@ -2115,12 +2312,168 @@ export const requestTranslationChangesForWorkflow = asyncHandler(async (req, res
     return successResponse(res, { article, translation }, 'Translation changes requested');
 });
 
+/**
+ * Workflow: Per-language translation status for an article, including the
+ * languages still blocking final approval
+ * GET /api/articles/:id/workflow/translations
+ */
+export const getTranslationProgress = asyncHandler(async (req, res) => {
+    const article = await Article.findById(req.params.id)
+        .select('title language status author workflow.sourceReviewState workflow.translationState workflow.adminApprovalState workflow.translationAssignments')
+        .populate('workflow.translationAssignments.translator', 'firstName lastName email role')
+        .populate('workflow.translationAssignments.reviewer', 'firstName lastName role')
+        .lean();
+    if (!article) {
+        return notFoundResponse(res, 'Article not found');
+    }
+
+    const isOwner = article.author?.toString() === req.user._id.toString();
+    if (!isOwner && req.user.role === 'writer') {
+        return forbiddenResponse(res, 'You do not have access to this article');
+    }
+
+    const translations = await ArticleTranslation.find({ articleId: article._id })
+        .select('language title translationStatus workflow.translationState updatedAt')
+        .lean();
+
+    return successResponse(res, {
+        article: {
+            _id: article._id,
+            title: article.title,
+            language: article.language,
+            status: article.status,
+            sourceReviewState: article.workflow?.sourceReviewState,
+            translationState: article.workflow?.translationState,
+            adminApprovalState: article.workflow?.adminApprovalState,
+        },
+        translationProgress: buildTranslationProgress(article.workflow),
+        translations,
+    });
+});
+
+/**
+ * Workflow: Commission more languages or reassign translators (editor/admin)
+ * PUT /api/articles/:id/workflow/translation-assignments
+ */
+export const updateTranslationAssignments = asyncHandler(async (req, res) => {
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+        return notFoundResponse(res, 'Article not found');
+    }
+
+    const workflow = ensureArticleWorkflow(article);
+    const workflowBeforeSnapshot = captureWorkflowSnapshot(article, workflow);
+    if (article.status !== 'pending' || workflow.sourceReviewState !== WORKFLOW_SOURCE_STATES.APPROVED) {
+        return badRequestResponse(res, 'Translations can only be assigned after source approval and before publishing');
+    }
+
+    const { commissions, error: commissionError } = await resolveTranslationCommissions(article, {
+        translations: req.body.translations,
+    });
+    if (commissionError) {
+        return badRequestResponse(res, commissionError);
+    }
+
+    const changed = [];
+    for (const { language, translator } of commissions) {
+        const existing = findTranslationAssignment(workflow, language);
+        if (existing?.state === TRANSLATION_ASSIGNMENT_STATES.APPROVED) {
+            return badRequestResponse(res, `The "${language}" translation is already approved`);
+        }
+        if (existing && String(existing.translator || '') === String(translator || '')) {
+            continue;
+        }
+        changed.push(upsertTranslationAssignment(workflow, { language, translator, assignedBy: req.user._id }));
+    }
+
+    if (!changed.length) {
+        return successResponse(res, { article, translationProgress: buildTranslationProgress(workflow) }, 'No assignment changes');
+    }
+
+    syncTranslationState(workflow);
+    appendWorkflowAuditEntry({
+        article,
+        workflow,
+        action: 'translation_assignments_updated',
+        actor: req.user,
+        metadata: {
+            via: 'workflow_translation_assignments',
+            translations: changed.map((assignment) => ({
+                language: assignment.language,
+                translator: assignment.translator ? assignment.translator.toString() : '',
+            })),
+        },
+        beforeSnapshot: workflowBeforeSnapshot,
+    });
+    article.markModified('workflow');
+    await article.save();
+
+    await notifyTranslationCommissions(article, changed, { actor: req.user, stage: 'TRANSLATION ASSIGNED' });
+
+    return successResponse(
+        res,
+        { article, translationProgress: buildTranslationProgress(workflow) },
+        'Translation assignments updated'
+    );
+});
+
+/**
+ * Workflow: Withdraw a commissioned language (editor/admin)
+ * DELETE /api/articles/:id/workflow/translation-assignments/:language
+ */
+export const removeTranslationAssignment = asyncHandler(async (req, res) => {
+    const language = normalizeArticleLanguage(req.params.language);
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+        return notFoundResponse(res, 'Article not found');
+    }
+
+    const workflow = ensureArticleWorkflow(article);
+    const workflowBeforeSnapshot = captureWorkflowSnapshot(article, workflow);
+    if (article.status !== 'pending' || workflow.sourceReviewState !== WORKFLOW_SOURCE_STATES.APPROVED) {
+        return badRequestResponse(res, 'Translations can only be changed after source approval and before publishing');
+    }
+    if (!findTranslationAssignment(workflow, language)) {
+        return notFoundResponse(res, `No "${language}" translation has been commissioned`);
+    }
+    if (workflow.translationAssignments.length === 1) {
+        return badRequestResponse(res, 'At least one translation language is required');
+    }
+
+    workflow.translationAssignments = workflow.translationAssignments.filter((assignment) => assignment.language !== language);
+    const wasAwaitingTranslations = workflow.adminApprovalState !== WORKFLOW_ADMIN_STATES.PENDING_FINAL_REVIEW;
+    syncTranslationState(workflow);
+    appendWorkflowAuditEntry({
+        article,
+        workflow,
+        action: 'translation_assignment_removed',
+        actor: req.user,
+        metadata: { via: 'workflow_translation_assignments', language },
+        beforeSnapshot: workflowBeforeSnapshot,
+    });
+    article.markModified('workflow');
+    await article.save();
+
+    // Withdrawing the last outstanding language hands the article to the admins
+    if (wasAwaitingTranslations && workflow.adminApprovalState === WORKFLOW_ADMIN_STATES.PENDING_FINAL_REVIEW) {
+        await notifyFinalReviewPending(article, { actor: req.user });
+    }
+
+    return successResponse(
+        res,
+        { article, translationProgress: buildTranslationProgress(workflow) },
+        `The "${language}" translation was withdrawn`
+    );
+});
+
 /**
  * Workflow: Final approve by admin
  * PUT /api/articles/:id/workflow/final-approve
  */
 export const finalApproveForWorkflow = asyncHandler(async (req, res) => {
-    const { notes = '' } = req.body;
+    const { notes = '', scheduledPublishAt = null, scheduledUnpublishAt } = req.body;
+    const publishAt = scheduledPublishAt ? new Date(scheduledPublishAt) : null;
+    const isScheduled = Boolean(publishAt && publishAt.getTime() > Date.now());
 
     const article = await Article.findById(req.params.id).populate('author');
     if (!article) {
@@ -2139,6 +2492,13 @@ export const finalApproveForWorkflow = asyncHandler(async (req, res) => {
     ) {
         return;
     }
+    const blockingLanguages = getBlockingTranslationLanguages(workflow);
+    if (blockingLanguages.length) {
+        return badRequestResponse(
+            res,
+            `Final approval requires editor-approved translation. Still waiting on: ${blockingLanguages.join(', ')}`
+        );
+    }
     if (
         !enforceWorkflowTransition(
             res,
@@ -2165,8 +2525,18 @@ export const finalApproveForWorkflow = asyncHandler(async (req, res) => {
     workflow.reviewedBy.adminReviewer = req.user._id;
     workflow.adminReviewNotes = notes || '';
 
-    article.status = 'published';
-    article.publishedAt = article.publishedAt || new Date();
+    if (scheduledUnpublishAt !== undefined) {
+        article.scheduledUnpublishAt = scheduledUnpublishAt ? new Date(scheduledUnpublishAt) : null;
+    }
+
+    if (isScheduled) {
+        article.status = 'scheduled';
+        article.scheduledPublishAt = publishAt;
+    } else {
+        article.status = 'published';
+        article.publishedAt = article.publishedAt || new Date();
+        article.scheduledPublishAt = null;
+    }
     article.reviewedBy = req.user._id;
     article.reviewedAt = new Date();
     article.reviewNotes = notes || '';
@@ -2174,43 +2544,31 @@ export const finalApproveForWorkflow = asyncHandler(async (req, res) => {
     appendWorkflowAuditEntry({
         article,
         workflow,
-        action: 'final_published',
+        action: isScheduled ? 'final_scheduled' : 'final_published',
         actor: req.user,
         notes: notes || '',
-        metadata: { via: 'workflow_final_approve' },
+        metadata: {
+            via: 'workflow_final_approve',
+            ...(isScheduled ? { scheduledPublishAt: publishAt } : {}),
+        },
         beforeSnapshot: workflowBeforeSnapshot,
     });
     article.markModified('workflow');
     await article.save();
 
-    await Category.findById(article.category).then((cat) => cat?.updateArticleCount());
+    const approvedBy = buildWorkflowActorName(req.user, 'Admin');
 
-    try {
-        const { default: notificationService } = await import('../services/notificationService.js');
-        await notificationService.notifyArticlePublished(article, article.author._id);
-    } catch (error) {
-        console.error('Failed to send final approval notifications:', error);
+    if (isScheduled) {
+        articlePublishService.sendWorkflowUpdate(article, {
+            stage: 'SCHEDULED',
+            submittedBy: approvedBy,
+            dueAt: publishAt.toISOString(),
+        });
+
+        return successResponse(res, { article }, `Article approved and scheduled for ${publishAt.toISOString()}`);
     }
 
-    const publishedBy = buildWorkflowActorName(req.user, 'Admin');
-    sendTelegramWorkflowUpdate({
-        targetRole: 'editor',
-        stage: 'PUBLISHED',
-        article,
-        submittedBy: publishedBy,
-    });
-    sendTelegramWorkflowUpdate({
-        targetRole: 'translator',
-        stage: 'PUBLISHED',
-        article,
-        submittedBy: publishedBy,
-    });
-    sendTelegramWorkflowUpdate({
-        targetRole: 'admin',
-        stage: 'PUBLISHED',
-        article,
-        submittedBy: publishedBy,
-    });
+    await articlePublishService.runPublishSideEffects(article, { publishedBy: approvedBy });
 
     return successResponse(res, { article }, 'Article finalized and published');
 });
@@ -2311,14 +2669,68 @@ export const getRelatedArticles = asyncHandler(async (req, res) => {
     const requestedLanguage = normalizeArticleLanguage(req.query.language || req.query.lang);
 
     const articles = await Article.findRelated(req.params.id, limit);
-    const localizedArticles = await applyPreferredLanguageToArticles(articles, requestedLanguage);
+    const localizedArticles = await responsiveImageService.attachToArticles(
+        await applyPreferredLanguageToArticles(articles, requestedLanguage)
+    );
 
     return successResponse(res, {articles: localizedArticles});
 });
 
+// Load search hits by ID, keeping the ranking order
+const loadSearchResults = async (ids) => {
+    if (!ids.length) return [];
+    const articles = await Article.find({_id: {$in: ids}, status: 'published'})
+        .populate('author', 'firstName lastName avatar')
+        .populate('category', 'name slug color')
+        .select('-content')
+        .lean();
+    const byId = new Map(articles.map((article) => [String(article._id), article]));
+    return ids.map((id) => byId.get(String(id))).filter(Boolean);
+};
+
+const searchWithElasticsearch = async (q, filters, {page, limit}) => {
+    const results = await articleSearchService.search({query: q, page, limit, filters});
+    return {
+        articles: await loadSearchResults(results.hits.map((hit) => hit._id)),
+        total: results.total,
+        facets: results.facets,
+    };
+};
+
+// MongoDB text search; one $facet pass returns the page, the total and every facet's counts
+const searchWithMongo = async (q, filters, {skip, limit}) => {
+    const selectionMatch = buildMongoFacetMatch(filters);
+    const [result = {}] = await Article.aggregate([
+        {$match: {status: 'published', $text: {$search: q}}},
+        {$addFields: {score: {$meta: 'textScore'}}},
+        {
+            $facet: {
+                results: [
+                    {$match: selectionMatch},
+                    {$sort: {score: -1, publishedAt: -1}},
+                    {$skip: skip},
+                    {$limit: limit},
+                    {$project: {_id: 1}},
+                ],
+                total: [{$match: selectionMatch}, {$count: 'count'}],
+                ...buildMongoFacetStages(filters),
+            },
+        },
+    ]);
+
+    return {
+        articles: await loadSearchResults((result.results || []).map((item) => item._id)),
+        total: result.total?.[0]?.count || 0,
+        facets: normalizeMongoFacets(result),
+    };
+};
+
 /**
  * Search articles
  * GET /api/articles/search
+ *
+ * Uses Elasticsearch when it is connected and MongoDB text search otherwise.
+ * Both accept the same multi-select facet filters and return facet counts.
  */
 export const searchArticles = asyncHandler(async (req, res) => {
     const {q} = req.query;
@@ -2329,26 +2741,25 @@ export const searchArticles = asyncHandler(async (req, res) => {
         return badRequestResponse(res, 'Search query must be at least 2 characters');
     }
 
-    const filter = {
-        status: 'published',
-        $text: {$search: q},
-    };
-
-    const [articles, total] = await Promise.all([
-        Article.find(filter, {score: {$meta: 'textScore'}})
-            .populate('author', 'firstName lastName avatar')
-            .populate('category', 'name slug color')
-            .sort({score: {$meta: 'textScore'}})
-            .skip(skip)
-            .limit(limit)
-            .select('-content')
-            .lean(),
-        Article.countDocuments(filter),
-    ]);
+    const filters = parseFacetFilters(req.query);
+    let result = null;
+    if (elasticsearchService.isHealthy()) {
+        try {
+            result = await searchWithElasticsearch(q, filters, {page, limit});
+        } catch (error) {
+            console.error('Elasticsearch search failed, falling back to MongoDB:', error.message);
+        }
+    }
+    if (!result) {
+        result = await searchWithMongo(q, filters, {skip, limit});
+    }
 
-    const localizedArticles = await applyPreferredLanguageToArticles(articles, requestedLanguage);
+    const localizedArticles = await responsiveImageService.attachToArticles(
+        await applyPreferredLanguageToArticles(result.articles, requestedLanguage)
+    );
+    const facets = await labelSearchFacets(markSelectedFacets(result.facets, filters));
 
-    return paginatedResponse(res, localizedArticles, {page, limit, total});
+    return paginatedResponse(res, localizedArticles, {page, limit, total: result.total}, 'Success', {facets});
 });
 
 /**
@@ -2379,7 +2790,9 @@ export const getArticlesByCategory = asyncHandler(async (req, res) => {
         Article.countDocuments(filter),
     ]);
 
-    const localizedArticles = await applyPreferredLanguageToArticles(articles, requestedLanguage);
+    const localizedArticles = await responsiveImageService.attachToArticles(
+        await applyPreferredLanguageToArticles(articles, requestedLanguage)
+    );
 
     // Return category in data, articles for pagination wrapper
     return successResponse(res, {
@@ -2444,6 +2857,194 @@ export const getArticleInsights = asyncHandler(async (req, res) => {
     return successResponse(res, {article, stats, daily});
 });
 
+const REVISION_LIST_FIELDS = 'revisionNumber articleVersion action restoredFrom editedBy status title createdAt';
+
+const canViewArticleRevisions = (article, user) =>
+    article.author.toString() === user._id.toString() ||
+    ['admin', 'editor', 'translator'].includes(user.role);
+
+const describeRevision = (revision) => ({
+    _id: revision._id,
+    revisionNumber: revision.revisionNumber,
+    articleVersion: revision.articleVersion,
+    action: revision.action,
+    editedBy: revision.editedBy,
+    createdAt: revision.createdAt,
+});
+
+/**
+ * List revisions of an article (newest first, without content)
+ * GET /api/articles/:id/revisions
+ */
+export const getArticleRevisions = asyncHandler(async (req, res) => {
+    const article = await Article.findById(req.params.id).select('author status version');
+    if (!article) {
+        return notFoundResponse(res, 'Article not found');
+    }
+    if (!canViewArticleRevisions(article, req.user)) {
+        return forbiddenResponse(res, 'You do not have access to this article');
+    }
+
+    const {page, limit, skip} = parsePaginationParams(req.query);
+    const filter = {articleId: article._id};
+    const [revisions, total] = await Promise.all([
+        ArticleRevision.find(filter)
+            .select(REVISION_LIST_FIELDS)
+            .populate('editedBy', 'firstName lastName role')
+            .sort({revisionNumber: -1})
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        ArticleRevision.countDocuments(filter),
+    ]);
+
+    return paginatedResponse(res, {revisions, currentVersion: article.version}, {page, limit, total});
+});
+
+/**
+ * Get a single revision with its full snapshot
+ * GET /api/articles/:id/revisions/:revisionId
+ */
+export const getArticleRevision = asyncHandler(async (req, res) => {
+    const article = await Article.findById(req.params.id).select('author status');
+    if (!article) {
+        return notFoundResponse(res, 'Article not found');
+    }
+    if (!canViewArticleRevisions(article, req.user)) {
+        return forbiddenResponse(res, 'You do not have access to this article');
+    }
+
+    const revision = await ArticleRevision.findOne({_id: req.params.revisionId, articleId: article._id})
+        .populate('editedBy', 'firstName lastName role')
+        .populate('category', 'name slug color');
+    if (!revision) {
+        return notFoundResponse(res, 'Revision not found');
+    }
+
+    return successResponse(res, {revision});
+});
+
+/**
+ * Block-level diff between two revisions (or a revision and the live article)
+ * GET /api/articles/:id/revisions/diff?from=<revisionId>&to=<revisionId|current>
+ */
+export const diffArticleRevisions = asyncHandler(async (req, res) => {
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+        return notFoundResponse(res, 'Article not found');
+    }
+    if (!canViewArticleRevisions(article, req.user)) {
+        return forbiddenResponse(res, 'You do not have access to this article');
+    }
+
+    const toCurrent = !req.query.to || req.query.to === 'current';
+    const revisionIds = toCurrent ? [req.query.from] : [req.query.from, req.query.to];
+    const revisions = await ArticleRevision.find({_id: {$in: revisionIds}, articleId: article._id})
+        .populate('editedBy', 'firstName lastName role');
+
+    const fromRevision = revisions.find((revision) => revision._id.toString() === req.query.from);
+    const toRevision = toCurrent
+        ? null
+        : revisions.find((revision) => revision._id.toString() === req.query.to);
+    if (!fromRevision || (!toCurrent && !toRevision)) {
+        return notFoundResponse(res, 'Revision not found');
+    }
+
+    const fromSnapshot = ArticleRevision.buildSnapshot(fromRevision);
+    const toSnapshot = ArticleRevision.buildSnapshot(toRevision || article);
+    const plainFields = REVISION_TRACKED_FIELDS.filter((field) => field !== 'content');
+
+    return successResponse(res, {
+        from: describeRevision(fromRevision),
+        to: toRevision
+            ? describeRevision(toRevision)
+            : {current: true, articleVersion: article.version, updatedAt: article.updatedAt},
+        fields: diffSnapshotFields(fromSnapshot, toSnapshot, plainFields),
+        content: diffEditorContent(fromSnapshot.content, toSnapshot.content),
+    });
+});
+
+/**
+ * Restore an article's content from a revision
+ * POST /api/articles/:id/revisions/:revisionId/restore
+ */
+export const restoreArticleRevision = asyncHandler(async (req, res) => {
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+        return notFoundResponse(res, 'Article not found');
+    }
+
+    // Same rules as updateArticle
+    const isOwner = article.author.toString() === req.user._id.toString();
+    const isAdminOrEditor = ['admin', 'editor'].includes(req.user.role);
+    if (!isOwner && !isAdminOrEditor) {
+        return forbiddenResponse(res, 'You do not have permission to edit this article');
+    }
+    if (['published', 'scheduled'].includes(article.status) && !isAdminOrEditor) {
+        return badRequestResponse(res, 'Cannot edit published article. Please contact an editor.');
+    }
+
+    const revision = await ArticleRevision.findOne({_id: req.params.revisionId, articleId: article._id});
+    if (!revision) {
+        return notFoundResponse(res, 'Revision not found');
+    }
+
+    await ArticleRevision.ensureBaseline(article);
+
+    const oldSlug = article.slug;
+    const previousFeaturedImage = article.featuredImage;
+    const workflow = ensureArticleWorkflow(article);
+    const workflowBeforeSnapshot = captureWorkflowSnapshot(article, workflow);
+
+    for (const field of REVISION_TRACKED_FIELDS) {
+        if (field === 'category') continue;
+        article[field] = revision[field];
+    }
+    // The category may have been deleted since the revision was taken
+    if (revision.category && (await Category.exists({_id: revision.category}))) {
+        article.category = revision.category;
+    }
+    if (article.postType !== 'video') {
+        article.videoUrl = '';
+    }
+
+    appendWorkflowAuditEntry({
+        article,
+        workflow,
+        action: 'revision_restored',
+        actor: req.user,
+        notes: req.body.notes || '',
+        metadata: {
+            revisionId: revision._id,
+            revisionNumber: revision.revisionNumber,
+            articleVersion: revision.articleVersion,
+        },
+        beforeSnapshot: workflowBeforeSnapshot,
+    });
+
+    article.lastEditedBy = req.user._id;
+    article.markModified('workflow');
+    await article.save();
+    await syncFeaturedImageUsage(article._id, article.featuredImage, previousFeaturedImage);
+
+    const restoredRevision = await ArticleRevision.recordRevision(article, {
+        editedBy: req.user._id,
+        action: 'restore',
+        restoredFrom: revision._id,
+    });
+
+    await articlePublishService.invalidateArticleCaches(article, oldSlug);
+
+    await article.populate('author', 'firstName lastName avatar');
+    await article.populate('category', 'name slug color');
+
+    return successResponse(
+        res,
+        {article, revision: restoredRevision ? describeRevision(restoredRevision) : null},
+        `Article restored to revision ${revision.revisionNumber}`
+    );
+});
+
 export default {
     createArticle,
     getArticles,
@@ -2468,6 +3069,9 @@ export default {
     submitTranslationForWorkflow,
     approveTranslationForWorkflow,
     requestTranslationChangesForWorkflow,
+    getTranslationProgress,
+    updateTranslationAssignments,
+    removeTranslationAssignment,
     finalApproveForWorkflow,
     finalRejectForWorkflow,
     recordView,
@@ -2475,4 +3079,8 @@ export default {
     searchArticles,
     getArticlesByCategory,
     getArticleInsights,
+    getArticleRevisions,
+    getArticleRevision,
+    diffArticleRevisions,
+    restoreArticleRevision,
 };
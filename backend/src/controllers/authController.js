@@ -1,9 +1,17 @@
 import { User } from '../models/index.js';
-import { generateTokens, verifyRefreshToken, generateEmailVerificationToken, generatePasswordResetToken } from '../utils/jwt.js';
+import { generateEmailVerificationToken, generatePasswordResetToken } from '../utils/jwt.js';
 import { getDefaultAvatarByGender, isAvatarMissing } from '../utils/userProfile.js';
 import emailService from '../services/emailService.js';
-import { recordFailedAttempt, clearFailedAttempts } from '../middleware/loginLimiter.js';
+import {
+  recordFailedAttempt,
+  clearFailedAttempts,
+  isAccountLocked,
+  getLockoutRemaining,
+} from '../middleware/loginLimiter.js';
+import twoFactorService from '../services/twoFactorService.js';
+import sessionService from '../services/sessionService.js';
 import logger from '../services/loggerService.js';
+import { getClientIp } from '../utils/helpers.js';
 import config from '../config/index.js';
 import crypto from 'crypto';
 import {
@@ -11,6 +19,8 @@ import {
   createdResponse,
   badRequestResponse,
   unauthorizedResponse,
+  forbiddenResponse,
+  notFoundResponse,
   conflictResponse,
 } from '../utils/apiResponse.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
@@ -34,6 +44,16 @@ const SOCIAL_STATE_COOKIE_OPTIONS = {
   path: '/api/auth/social',
 };
 
+// Lets a browser skip the second factor after "trust this device"
+const TRUSTED_DEVICE_COOKIE = 'tfa_trusted_device';
+
+const TRUSTED_DEVICE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: config.env === 'production',
+  sameSite: 'lax',
+  path: '/api/auth',
+};
+
 const GOOGLE_SCOPES = [
   'openid',
   'email',
@@ -152,11 +172,63 @@ const toAuthUser = (user) => ({
   avatar: resolveAvatar(user),
   bio: user.bio,
   isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
   profileCompletionRequired: Boolean(user.profileNeedsCompletion),
   profileMissingFields: Array.isArray(user.profileMissingFields) ? user.profileMissingFields : [],
   createdAt: user.createdAt,
 });
 
+const getAuditContext = (req) => ({
+  ip: getClientIp(req) || '',
+  userAgent: req.headers?.['user-agent'] || '',
+});
+
+const lockedResponse = (res, remainingSeconds) => res.status(423).json({
+  success: false,
+  message: `Too many failed attempts. Account locked for ${Math.ceil(remainingSeconds / 60)} minutes.`,
+  retryAfter: remainingSeconds,
+});
+
+/**
+ * Second step needed to finish signing in, or null when tokens can be issued.
+ * Enrolled users are asked for a code unless this browser is trusted; staff
+ * that site policy requires 2FA for are sent to enroll first.
+ */
+const getTwoFactorChallenge = async (req, user) => {
+  const enabled = Boolean(user.twoFactor?.enabled);
+  if (!enabled && !(await twoFactorService.isRequiredFor(user))) return null;
+  if (enabled && await twoFactorService.isTrustedDevice(user._id, req.cookies?.[TRUSTED_DEVICE_COOKIE])) return null;
+
+  return {
+    twoFactorRequired: true,
+    setupRequired: !enabled,
+    challengeToken: twoFactorService.createChallenge(user, { setup: !enabled }),
+  };
+};
+
+/**
+ * Issue tokens once every login step has passed.
+ */
+const issueSession = async (req, res, user, extra = {}) => {
+  clearFailedAttempts(user.email, req.ip);
+
+  user.lastLogin = new Date();
+  await user.save();
+  const tokens = await sessionService.start(user, getAuditContext(req));
+
+  logger.info('User logged in', {
+    userId: user._id,
+    email: user.email,
+    requestId: req.requestId,
+  });
+
+  return successResponse(res, {
+    user: toAuthUser(user),
+    ...tokens,
+    ...extra,
+  }, 'Login successful');
+};
+
 const createSocialPassword = () => {
   // Random generated password is only a placeholder for social accounts.
   return `${crypto.randomBytes(24).toString('hex')}Aa1!`;
@@ -474,12 +546,7 @@ export const register = asyncHandler(async (req, res) => {
     });
   }
 
-  // Generate tokens
-  const tokens = generateTokens(user);
-
-  // Save refresh token
-  user.refreshToken = tokens.refreshToken;
-  await user.save();
+  const tokens = await sessionService.start(user, getAuditContext(req));
 
   logger.info('New user registered', { 
     userId: user._id, 
@@ -620,10 +687,14 @@ export const socialAuthCallback = asyncHandler(async (req, res) => {
       throw new Error('Your account has been deactivated. Please contact support.');
     }
 
+    const challenge = await getTwoFactorChallenge(req, user);
+    if (challenge) {
+      return res.redirect(buildSocialCallbackUrl({ code: createSocialSession(challenge) }));
+    }
+
     user.lastLogin = new Date();
-    const tokens = generateTokens(user);
-    user.refreshToken = tokens.refreshToken;
     await user.save();
+    const tokens = await sessionService.start(user, getAuditContext(req));
 
     const sessionCode = createSocialSession({
       user: toAuthUser(user),
@@ -680,11 +751,7 @@ export const login = asyncHandler(async (req, res) => {
     const result = recordFailedAttempt(email, clientIp);
     
     if (result.locked) {
-      return res.status(423).json({
-        success: false,
-        message: `Too many failed attempts. Account locked for ${Math.ceil(result.remainingSeconds / 60)} minutes.`,
-        retryAfter: result.remainingSeconds,
-      });
+      return lockedResponse(res, result.remainingSeconds);
     }
     
     return unauthorizedResponse(res, `Invalid email or password. ${result.attemptsRemaining} attempts remaining.`);
@@ -700,27 +767,137 @@ export const login = asyncHandler(async (req, res) => {
     return unauthorizedResponse(res, 'Your account has been deactivated. Please contact support.');
   }
 
-  // Clear failed attempts on successful login
-  clearFailedAttempts(email, clientIp);
+  // Password is right; failed attempts are cleared once every step has passed
+  const challenge = await getTwoFactorChallenge(req, user);
+  if (challenge) {
+    return successResponse(
+      res,
+      challenge,
+      challenge.setupRequired ? 'Set up two-factor authentication to continue' : 'Enter your verification code'
+    );
+  }
 
-  // Update last login
-  user.lastLogin = new Date();
+  return issueSession(req, res, user);
+});
 
-  // Generate tokens
-  const tokens = generateTokens(user);
-  user.refreshToken = tokens.refreshToken;
-  await user.save();
+/**
+ * Finish signing in with a TOTP or recovery code
+ * POST /api/auth/2fa/verify
+ */
+export const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, trustDevice } = req.body;
 
-  logger.info('User logged in', { 
-    userId: user._id, 
-    email: user.email,
-    requestId: req.requestId 
-  });
+  const challenge = twoFactorService.verifyChallenge(challengeToken);
+  const user = challenge && !challenge.setup ? await User.findById(challenge.id) : null;
+  if (!user || user.status !== 'active') {
+    return unauthorizedResponse(res, 'Your sign-in session has expired. Please sign in again.');
+  }
 
-  return successResponse(res, {
-    user: toAuthUser(user),
-    ...tokens,
-  }, 'Login successful');
+  if (isAccountLocked(user.email)) {
+    return lockedResponse(res, getLockoutRemaining(user.email));
+  }
+
+  const result = await twoFactorService.verifyCode(user._id, code, getAuditContext(req));
+  if (!result) {
+    const attempt = recordFailedAttempt(user.email, req.ip);
+    if (attempt.locked) {
+      return lockedResponse(res, attempt.remainingSeconds);
+    }
+    return unauthorizedResponse(res, `Invalid verification code. ${attempt.attemptsRemaining} attempts remaining.`);
+  }
+
+  if (trustDevice) {
+    const device = await twoFactorService.trustDevice(user._id, { label: req.headers['user-agent'] || '' });
+    res.cookie(TRUSTED_DEVICE_COOKIE, device.token, { ...TRUSTED_DEVICE_COOKIE_OPTIONS, expires: device.expiresAt });
+  }
+
+  return issueSession(
+    req,
+    res,
+    user,
+    result.method === 'recovery_code' ? { recoveryCodesRemaining: result.recoveryCodesRemaining } : {}
+  );
+});
+
+/**
+ * Enrollment is open to signed-in users and to staff holding a setup
+ * challenge from login (policy requires 2FA before they get tokens).
+ */
+const resolveEnrollingUser = async (req) => {
+  if (req.user) return { user: req.user, viaChallenge: false };
+
+  const challenge = twoFactorService.verifyChallenge(req.body.challengeToken);
+  if (!challenge?.setup) return {};
+
+  const user = await User.findById(challenge.id);
+  return user?.status === 'active' ? { user, viaChallenge: true } : {};
+};
+
+/**
+ * Start two-factor enrollment (secret + QR code)
+ * POST /api/auth/2fa/setup
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const { user } = await resolveEnrollingUser(req);
+  if (!user) {
+    return unauthorizedResponse(res, 'Your sign-in session has expired. Please sign in again.');
+  }
+
+  const enrollment = await twoFactorService.beginEnrollment(user._id);
+  return successResponse(res, enrollment, 'Scan the QR code with your authenticator app');
+});
+
+/**
+ * Confirm enrollment with a code; returns recovery codes. When enrolling
+ * during login this also completes the sign-in.
+ * POST /api/auth/2fa/enable
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { user, viaChallenge } = await resolveEnrollingUser(req);
+  if (!user) {
+    return unauthorizedResponse(res, 'Your sign-in session has expired. Please sign in again.');
+  }
+
+  const { recoveryCodes } = await twoFactorService.confirmEnrollment(user._id, req.body.code, getAuditContext(req));
+
+  if (viaChallenge) {
+    const enrolled = await User.findById(user._id);
+    return issueSession(req, res, enrolled, { recoveryCodes });
+  }
+
+  return successResponse(res, { recoveryCodes }, 'Two-factor authentication enabled');
+});
+
+/**
+ * Two-factor status for the current user
+ * GET /api/auth/2fa
+ */
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user);
+  return successResponse(res, status);
+});
+
+/**
+ * Turn off two-factor authentication
+ * POST /api/auth/2fa/disable
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  await twoFactorService.disable(req.user, req.body.code, getAuditContext(req));
+  res.clearCookie(TRUSTED_DEVICE_COOKIE, TRUSTED_DEVICE_COOKIE_OPTIONS);
+  return successResponse(res, null, 'Two-factor authentication disabled');
+});
+
+/**
+ * Replace recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(
+    req.user._id,
+    req.body.code,
+    getAuditContext(req)
+  );
+  return successResponse(res, { recoveryCodes }, 'New recovery codes generated');
 });
 
 /**
@@ -746,23 +923,10 @@ export const refreshToken = asyncHandler(async (req, res) => {
     return badRequestResponse(res, 'Refresh token is required');
   }
 
-  try {
-    const decoded = verifyRefreshToken(token);
-    const user = await User.findById(decoded.id).select('+refreshToken');
-
-    if (!user || user.refreshToken !== token) {
-      return unauthorizedResponse(res, 'Invalid refresh token');
-    }
-
-    // Generate new tokens
-    const tokens = generateTokens(user);
-    user.refreshToken = tokens.refreshToken;
-    await user.save();
+  // Rotates the token; errors are 401s
+  const { tokens } = await sessionService.rotate(token, getAuditContext(req));
 
-    return successResponse(res, tokens, 'Token refreshed');
-  } catch (error) {
-    return unauthorizedResponse(res, 'Invalid or expired refresh token');
-  }
+  return successResponse(res, tokens, 'Token refreshed');
 });
 
 /**
@@ -770,9 +934,9 @@ export const refreshToken = asyncHandler(async (req, res) => {
  * POST /api/auth/logout
  */
 export const logout = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id);
-  user.refreshToken = null;
-  await user.save();
+  if (req.sessionId) {
+    await sessionService.revoke(req.sessionId, { userId: req.user._id, reason: 'logout' });
+  }
 
   return successResponse(res, null, 'Logged out successfully');
 });
@@ -872,8 +1036,8 @@ export const resetPassword = asyncHandler(async (req, res) => {
   user.password = password;
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
-  user.refreshToken = null; // Invalidate all sessions
   await user.save();
+  await sessionService.revokeAllForUser(user._id, { reason: 'password_reset' });
 
   return successResponse(res, null, 'Password reset successful. Please login with your new password.');
 });
@@ -894,10 +1058,111 @@ export const changePassword = asyncHandler(async (req, res) => {
 
   user.password = newPassword;
   await user.save();
+  // Keep this device signed in, sign out the rest
+  await sessionService.revokeAllForUser(user._id, {
+    reason: 'password_reset',
+    exceptSessionId: req.sessionId,
+  });
 
   return successResponse(res, null, 'Password changed successfully');
 });
 
+/**
+ * Whose sessions a request manages: the caller's own, or with `?user=<id>`
+ * any user's for admins. Returns null after responding when not allowed.
+ */
+const resolveSessionSubject = async (req, res) => {
+  const requested = req.query.user;
+  if (!requested || requested === String(req.user._id)) {
+    return { userId: req.user._id, self: true };
+  }
+  if (req.user.role !== 'admin') {
+    forbiddenResponse(res, "Only admins can manage other users' sessions");
+    return null;
+  }
+  if (!(await User.exists({ _id: requested }))) {
+    notFoundResponse(res, 'User not found');
+    return null;
+  }
+  return { userId: requested, self: false };
+};
+
+const toSessionResponse = (session, currentSessionId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  deviceType: session.deviceType,
+  ipHash: session.ipHash,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && String(session._id) === String(currentSessionId),
+});
+
+/**
+ * List active sessions
+ * GET /api/auth/sessions?user=
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const subject = await resolveSessionSubject(req, res);
+  if (!subject) return undefined;
+
+  const sessions = await sessionService.listForUser(subject.userId);
+  const currentSessionId = subject.self ? req.sessionId : null;
+
+  return successResponse(res, {
+    sessions: sessions.map((session) => toSessionResponse(session, currentSessionId)),
+  });
+});
+
+/**
+ * Revoke one session
+ * DELETE /api/auth/sessions/:id?user=
+ */
+export const revokeSession = asyncHandler(async (req, res) => {
+  const subject = await resolveSessionSubject(req, res);
+  if (!subject) return undefined;
+
+  const revoked = await sessionService.revoke(req.params.id, {
+    userId: subject.userId,
+    reason: subject.self ? 'revoked' : 'admin',
+    revokedBy: req.user._id,
+  });
+  if (!revoked) {
+    return notFoundResponse(res, 'Session not found');
+  }
+
+  logger.logSecurity('Session revoked', {
+    sessionId: req.params.id,
+    userId: subject.userId,
+    revokedBy: req.user._id,
+  });
+
+  return successResponse(res, null, 'Session revoked');
+});
+
+/**
+ * Revoke all sessions except the caller's own
+ * DELETE /api/auth/sessions?user=
+ */
+export const revokeSessions = asyncHandler(async (req, res) => {
+  const subject = await resolveSessionSubject(req, res);
+  if (!subject) return undefined;
+
+  const count = await sessionService.revokeAllForUser(subject.userId, {
+    reason: subject.self ? 'revoked' : 'admin',
+    revokedBy: req.user._id,
+    exceptSessionId: subject.self ? req.sessionId : undefined,
+  });
+
+  logger.logSecurity('Sessions revoked', {
+    userId: subject.userId,
+    revokedBy: req.user._id,
+    count,
+  });
+
+  return successResponse(res, { revoked: count }, subject.self ? 'Signed out of other devices' : 'Sessions revoked');
+});
+
 export default {
   register,
   checkEmailAvailability,
@@ -905,6 +1170,12 @@ export default {
   socialAuthCallback,
   socialExchange,
   login,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  getTwoFactorStatus,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   getMe,
   refreshToken,
   logout,
@@ -913,4 +1184,7 @@ export default {
   forgotPassword,
   resetPassword,
   changePassword,
+  getSessions,
+  revokeSession,
+  revokeSessions,
 };
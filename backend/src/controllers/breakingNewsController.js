@@ -0,0 +1,234 @@
+import { BreakingNews, Article } from '../models/index.js';
+import breakingNewsService from '../services/breakingNewsService.js';
+import {
+  successResponse,
+  createdResponse,
+  paginatedResponse,
+  notFoundResponse,
+  badRequestResponse,
+} from '../utils/apiResponse.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { parsePaginationParams } from '../utils/helpers.js';
+
+const EDITABLE_FIELDS = [
+  'title',
+  'summary',
+  'article',
+  'url',
+  'imageUrl',
+  'priority',
+  'channels',
+  'expiresAt',
+];
+
+const ALERT_POPULATE = [
+  { path: 'article', select: 'title slug status' },
+  { path: 'createdBy', select: 'firstName lastName email' },
+];
+
+// Alerts may only link to published articles; returns an error message or null
+const checkArticle = async (articleId) => {
+  if (!articleId) return null;
+  const article = await Article.findById(articleId).select('status');
+  if (!article) return 'Linked article not found';
+  if (article.status !== 'published') return 'Linked article must be published';
+  return null;
+};
+
+/**
+ * Active alerts for the public ticker
+ * GET /api/breaking-news/active
+ */
+export const getActiveBreakingNews = asyncHandler(async (req, res) => {
+  const alerts = await breakingNewsService.getActive();
+  return successResponse(res, { alerts });
+});
+
+/**
+ * Record an alert view
+ * POST /api/breaking-news/:id/view
+ */
+export const trackBreakingNewsView = asyncHandler(async (req, res) => {
+  const tracked = await breakingNewsService.track(req.params.id, 'views');
+  if (!tracked) {
+    return notFoundResponse(res, 'Alert not found or no longer active');
+  }
+  return successResponse(res, null, 'View recorded');
+});
+
+/**
+ * Record an alert click
+ * POST /api/breaking-news/:id/click
+ */
+export const trackBreakingNewsClick = asyncHandler(async (req, res) => {
+  const tracked = await breakingNewsService.track(req.params.id, 'clicks');
+  if (!tracked) {
+    return notFoundResponse(res, 'Alert not found or no longer active');
+  }
+  return successResponse(res, null, 'Click recorded');
+});
+
+/**
+ * List alerts
+ * GET /api/breaking-news
+ */
+export const getBreakingNewsList = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePaginationParams(req.query);
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const [alerts, total] = await Promise.all([
+    BreakingNews.find(filter).populate(ALERT_POPULATE).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    BreakingNews.countDocuments(filter),
+  ]);
+
+  return paginatedResponse(res, alerts, { page, limit, total });
+});
+
+/**
+ * Alert totals (sent, views, clicks) over an optional date range
+ * GET /api/breaking-news/stats
+ */
+export const getBreakingNewsStats = asyncHandler(async (req, res) => {
+  const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+  const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+  const stats = await BreakingNews.getStats(startDate, endDate);
+  return successResponse(res, { stats });
+});
+
+/**
+ * Get alert
+ * GET /api/breaking-news/:id
+ */
+export const getBreakingNews = asyncHandler(async (req, res) => {
+  const alert = await BreakingNews.findById(req.params.id).populate(ALERT_POPULATE);
+  if (!alert) {
+    return notFoundResponse(res, 'Alert not found');
+  }
+  return successResponse(res, { alert });
+});
+
+/**
+ * Create alert, optionally publishing it straight away
+ * POST /api/breaking-news
+ */
+export const createBreakingNews = asyncHandler(async (req, res) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  }
+
+  const articleError = await checkArticle(data.article);
+  if (articleError) {
+    return badRequestResponse(res, articleError);
+  }
+
+  let alert = await BreakingNews.create({ ...data, createdBy: req.user._id });
+  if (req.body.publish) {
+    alert = await breakingNewsService.publish(alert);
+  }
+  await alert.populate(ALERT_POPULATE);
+
+  return createdResponse(
+    res,
+    { alert },
+    req.body.publish ? 'Alert published successfully' : 'Alert created successfully'
+  );
+});
+
+/**
+ * Update alert (drafts and live alerts; expired alerts are read-only)
+ * PUT /api/breaking-news/:id
+ */
+export const updateBreakingNews = asyncHandler(async (req, res) => {
+  const alert = await BreakingNews.findById(req.params.id);
+  if (!alert) {
+    return notFoundResponse(res, 'Alert not found');
+  }
+  if (alert.status === 'expired') {
+    return badRequestResponse(res, 'Expired alerts cannot be edited');
+  }
+
+  const articleError = await checkArticle(req.body.article);
+  if (articleError) {
+    return badRequestResponse(res, articleError);
+  }
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) alert[field] = req.body[field];
+  }
+  await alert.save();
+
+  if (alert.status === 'active') {
+    await breakingNewsService.invalidateActive();
+  }
+  await alert.populate(ALERT_POPULATE);
+
+  return successResponse(res, { alert }, 'Alert updated successfully');
+});
+
+/**
+ * Delete alert
+ * DELETE /api/breaking-news/:id
+ */
+export const deleteBreakingNews = asyncHandler(async (req, res) => {
+  const alert = await BreakingNews.findById(req.params.id);
+  if (!alert) {
+    return notFoundResponse(res, 'Alert not found');
+  }
+
+  await alert.deleteOne();
+  if (alert.status === 'active') {
+    await breakingNewsService.invalidateActive();
+  }
+
+  return successResponse(res, null, 'Alert deleted successfully');
+});
+
+/**
+ * Publish a draft alert and fan it out
+ * POST /api/breaking-news/:id/publish
+ */
+export const publishBreakingNews = asyncHandler(async (req, res) => {
+  const alert = await BreakingNews.findById(req.params.id);
+  if (!alert) {
+    return notFoundResponse(res, 'Alert not found');
+  }
+
+  await breakingNewsService.publish(alert);
+  await alert.populate(ALERT_POPULATE);
+
+  return successResponse(res, { alert }, 'Alert published successfully');
+});
+
+/**
+ * Expire a live alert now
+ * POST /api/breaking-news/:id/expire
+ */
+export const expireBreakingNews = asyncHandler(async (req, res) => {
+  const alert = await BreakingNews.findById(req.params.id);
+  if (!alert) {
+    return notFoundResponse(res, 'Alert not found');
+  }
+
+  await breakingNewsService.expire(alert);
+  await alert.populate(ALERT_POPULATE);
+
+  return successResponse(res, { alert }, 'Alert expired');
+});
+
+export default {
+  getActiveBreakingNews,
+  trackBreakingNewsView,
+  trackBreakingNewsClick,
+  getBreakingNewsList,
+  getBreakingNewsStats,
+  getBreakingNews,
+  createBreakingNews,
+  updateBreakingNews,
+  deleteBreakingNews,
+  publishBreakingNews,
+  expireBreakingNews,
+};
@@ -1,8 +1,29 @@
 import Campaign from '../models/Campaign.js';
+import campaignBillingService from '../services/campaignBillingService.js';
+import advertiserPortalService from '../services/advertiserPortalService.js';
+import { ensureSessionId } from '../utils/helpers.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { successResponse, errorResponse, createdResponse, notFoundResponse } from '../utils/apiResponse.js';
 import { nanoid } from 'nanoid';
 
+const BILLING_FIELDS = ['pricingModel', 'rate', 'currency', 'dailyCap', 'pacing'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BUDGET_EXHAUSTED_MESSAGE = 'Campaign budget is exhausted. Raise the budget before activating it.';
+
+// Billing settings from a request body; pausedReason/pausedAt belong to the billing service
+const pickBillingSettings = (billing = {}) => BILLING_FIELDS.reduce((settings, field) => {
+  if (billing?.[field] !== undefined) settings[field] = billing[field];
+  return settings;
+}, {});
+
+// Activating clears an automatic pause, but an exhausted budget has to be raised first
+const prepareActivation = (campaign) => {
+  if (campaignBillingService.isBudgetExhausted(campaign)) return false;
+  campaign.billing.pausedReason = null;
+  campaign.billing.pausedAt = null;
+  return true;
+};
+
 // ==================== CAMPAIGN CRUD ====================
 
 /**
@@ -90,6 +111,8 @@ export const createCampaign = asyncHandler(async (req, res) => {
     settings,
     frequency,
     status,
+    billing,
+    budget,
   } = req.body;
 
   // Generate unique adIds for each ad
@@ -109,6 +132,8 @@ export const createCampaign = asyncHandler(async (req, res) => {
     settings: settings || {},
     frequency: frequency || {},
     status: status || 'draft',
+    billing: pickBillingSettings(billing),
+    stats: { budget: budget || 0 },
     createdBy: req.user._id,
   });
 
@@ -138,6 +163,8 @@ export const updateCampaign = asyncHandler(async (req, res) => {
     settings,
     frequency,
     status,
+    billing,
+    budget,
   } = req.body;
 
   // Update fields
@@ -149,6 +176,12 @@ export const updateCampaign = asyncHandler(async (req, res) => {
   if (settings !== undefined) campaign.settings = settings;
   if (frequency !== undefined) campaign.frequency = frequency;
   if (status !== undefined) campaign.status = status;
+  if (billing !== undefined) Object.assign(campaign.billing, pickBillingSettings(billing));
+  if (budget !== undefined) campaign.stats.budget = budget;
+
+  if (campaign.status === 'active' && !prepareActivation(campaign)) {
+    return errorResponse(res, BUDGET_EXHAUSTED_MESSAGE, 400);
+  }
 
   // Update ads (preserve existing adIds or generate new ones)
   if (ads !== undefined) {
@@ -217,6 +250,7 @@ export const duplicateCampaign = asyncHandler(async (req, res) => {
     settings: original.settings,
     frequency: original.frequency,
     status: 'draft',
+    billing: pickBillingSettings(original.billing),
     createdBy: req.user._id,
     stats: {
       totalImpressions: 0,
@@ -251,6 +285,9 @@ export const toggleCampaignStatus = asyncHandler(async (req, res) => {
   if (campaign.status === 'active') {
     campaign.status = 'paused';
   } else if (campaign.status === 'paused' || campaign.status === 'draft') {
+    if (!prepareActivation(campaign)) {
+      return errorResponse(res, BUDGET_EXHAUSTED_MESSAGE, 400);
+    }
     campaign.status = 'active';
   }
 
@@ -277,6 +314,10 @@ export const updateCampaignStatus = asyncHandler(async (req, res) => {
     return notFoundResponse(res, 'Campaign not found');
   }
 
+  if (status === 'active' && !prepareActivation(campaign)) {
+    return errorResponse(res, BUDGET_EXHAUSTED_MESSAGE, 400);
+  }
+
   campaign.status = status;
   campaign.updatedBy = req.user._id;
   await campaign.save();
@@ -441,6 +482,42 @@ export const getCampaignAnalytics = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get campaign spend report (by day, in the campaign timezone)
+ * GET /api/campaigns/:id/spend?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv
+ */
+export const getCampaignSpendReport = asyncHandler(async (req, res) => {
+  const { from, to, format = 'json' } = req.query;
+
+  if ((from && !DAY_PATTERN.test(from)) || (to && !DAY_PATTERN.test(to))) {
+    return errorResponse(res, 'from and to must be dates in YYYY-MM-DD format', 400);
+  }
+  if (from && to && from > to) {
+    return errorResponse(res, 'from must not be after to', 400);
+  }
+
+  // Advertisers only see spend for campaigns linked to their account
+  if (req.user.role === 'advertiser') {
+    advertiserPortalService.assertAccess(req.user, { campaignId: req.params.id });
+  }
+
+  const campaign = await Campaign.findById(req.params.id).lean();
+
+  if (!campaign) {
+    return notFoundResponse(res, 'Campaign not found');
+  }
+
+  const report = await campaignBillingService.getSpendReport(campaign, { from, to });
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=campaign-${campaign._id}-spend.csv`);
+    return res.send(campaignBillingService.toCsv(report));
+  }
+
+  return successResponse(res, { report });
+});
+
 /**
  * Get dashboard summary
  * GET /api/campaigns/dashboard/summary
@@ -535,12 +612,15 @@ export const getCampaignForDisplay = asyncHandler(async (req, res) => {
     return started && notEnded;
   });
 
-  if (runningCampaigns.length === 0) {
+  // Skip campaigns out of budget, at their daily cap or ahead of pace
+  const servableCampaigns = await campaignBillingService.filterServable(runningCampaigns, now);
+
+  if (servableCampaigns.length === 0) {
     return successResponse(res, { campaign: null });
   }
 
   // Select one campaign (weighted random if multiple)
-  const selectedCampaign = runningCampaigns[Math.floor(Math.random() * runningCampaigns.length)];
+  const selectedCampaign = servableCampaigns[Math.floor(Math.random() * servableCampaigns.length)];
 
   // Select ad from campaign
   const campaign = await Campaign.findById(selectedCampaign._id);
@@ -565,6 +645,8 @@ export const getCampaignForDisplay = asyncHandler(async (req, res) => {
 /**
  * Track ad event (impression/click)
  * POST /api/campaigns/track
+ *
+ * Duplicate and suspicious events are acknowledged but not counted or billed.
  */
 export const trackAdEvent = asyncHandler(async (req, res) => {
   const { campaignId, adId, event } = req.body;
@@ -585,6 +667,18 @@ export const trackAdEvent = asyncHandler(async (req, res) => {
     return notFoundResponse(res, 'Ad not found');
   }
 
+  const { admitted, reason } = await campaignBillingService.admitEvent(campaign, ad, event, {
+    sessionId: ensureSessionId(req, res),
+    ip: req.ip,
+  });
+
+  if (reason === 'not_serving') {
+    return errorResponse(res, 'Campaign is not serving', 409);
+  }
+  if (!admitted) {
+    return successResponse(res, { message: 'Event not recorded', recorded: false });
+  }
+
   // Update stats
   if (event === 'impression') {
     ad.stats.impressions += 1;
@@ -602,7 +696,10 @@ export const trackAdEvent = asyncHandler(async (req, res) => {
   await campaign.save();
   await campaign.updateStats();
 
-  return successResponse(res, { message: 'Event tracked successfully' });
+  // Charge the event and pause the campaign once its budget is spent
+  await campaignBillingService.recordEvent(campaign, event);
+
+  return successResponse(res, { message: 'Event tracked successfully', recorded: true });
 });
 
 export default {
@@ -619,6 +716,7 @@ export default {
   deleteAdVariation,
   toggleAdVariation,
   getCampaignAnalytics,
+  getCampaignSpendReport,
   getDashboardSummary,
   getCampaignForDisplay,
   trackAdEvent,
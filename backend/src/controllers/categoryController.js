@@ -9,12 +9,22 @@ import {
 } from '../utils/apiResponse.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
+const WORKFLOW_SLA_STAGES = ['sourceReview', 'translation', 'translationReview', 'finalReview'];
+
+// Keep only known stages; blank values clear the override
+const normalizeWorkflowSla = (value) => Object.fromEntries(
+  WORKFLOW_SLA_STAGES.map((stage) => {
+    const hours = parseFloat(value?.[stage]);
+    return [stage, Number.isFinite(hours) && hours > 0 ? hours : null];
+  })
+);
+
 /**
  * Create category (admin)
  * POST /api/categories
  */
 export const createCategory = asyncHandler(async (req, res) => {
-  const { name, description, color, image, parent, order, metaTitle, metaDescription } = req.body;
+  const { name, description, color, image, parent, order, metaTitle, metaDescription, workflowSlaHours } = req.body;
 
   // Check if name exists
   const existingCategory = await Category.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
@@ -39,6 +49,7 @@ export const createCategory = asyncHandler(async (req, res) => {
     order: order || 0,
     metaTitle,
     metaDescription,
+    workflowSlaHours: normalizeWorkflowSla(workflowSlaHours),
   });
 
   return createdResponse(res, { category }, 'Category created successfully');
@@ -113,7 +124,9 @@ export const updateCategory = asyncHandler(async (req, res) => {
     return notFoundResponse(res, 'Category not found');
   }
 
-  const { name, description, color, image, parent, order, isActive, metaTitle, metaDescription } = req.body;
+  const {
+    name, description, color, image, parent, order, isActive, metaTitle, metaDescription, workflowSlaHours,
+  } = req.body;
 
   // Check name uniqueness if changed
   if (name && name !== category.name) {
@@ -151,6 +164,7 @@ export const updateCategory = asyncHandler(async (req, res) => {
   if (isActive !== undefined) category.isActive = isActive;
   if (metaTitle !== undefined) category.metaTitle = metaTitle;
   if (metaDescription !== undefined) category.metaDescription = metaDescription;
+  if (workflowSlaHours !== undefined) category.workflowSlaHours = normalizeWorkflowSla(workflowSlaHours);
 
   await category.save();
 
@@ -1,8 +1,136 @@
-import Comment from '../models/Comment.js';
+import Comment, { COMMENT_REPORT_REASONS } from '../models/Comment.js';
 import Article from '../models/Article.js';
+import GuestCommenter from '../models/GuestCommenter.js';
+import CommenterSanction from '../models/CommenterSanction.js';
+import config from '../config/index.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { successResponse, notFoundResponse, badRequestResponse, forbiddenResponse } from '../utils/apiResponse.js';
+import {
+  successResponse,
+  paginatedResponse,
+  notFoundResponse,
+  badRequestResponse,
+  forbiddenResponse,
+} from '../utils/apiResponse.js';
+import { parsePaginationParams } from '../utils/helpers.js';
 import notificationService from '../services/notificationService.js';
+import commentSpamService from '../services/commentSpamService.js';
+import commenterSanctionService from '../services/commenterSanctionService.js';
+import emailService from '../services/emailService.js';
+import webhookService from '../services/webhookService.js';
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+// Minimum gap between verification emails to the same guest address
+const VERIFICATION_RESEND_MS = 10 * 60 * 1000;
+
+// Proof that this browser verified the guest email; the email alone is not enough
+const GUEST_TRUST_COOKIE = 'guest_commenter';
+
+const GUEST_TRUST_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: config.env === 'production',
+  sameSite: 'lax',
+  path: '/api',
+};
+
+/**
+ * Comment as returned to the commenter: no spam internals, and spam is
+ * reported as pending so bots cannot tell they were caught.
+ */
+const toSubmittedComment = (comment) => {
+  const {
+    spamCheck: _spamCheck,
+    ipAddress: _ipAddress,
+    userAgent: _userAgent,
+    shadowHidden: _shadowHidden,
+    announcedAt: _announcedAt,
+    ...rest
+  } = comment.toJSON();
+  return { ...rest, status: rest.status === 'spam' ? 'pending' : rest.status };
+};
+
+/**
+ * Public visibility: everything not shadow-hidden, plus the viewer's own
+ * shadow-hidden comments (matched by account, or by IP for guests).
+ */
+const visibleToViewer = (req) => ({
+  $or: [
+    { shadowHidden: { $ne: true } },
+    req.user
+      ? { shadowHidden: true, author: req.user._id }
+      : { shadowHidden: true, author: null, ipAddress: req.ip },
+  ],
+});
+
+const sanctionMessage = (sanction) => (
+  sanction.type === 'suspension'
+    ? `Your commenting privileges are suspended until ${sanction.expiresAt.toISOString()}`
+    : 'Your commenting privileges have been revoked'
+);
+
+/**
+ * Payload of the comment.created webhook (no guest email or IP).
+ */
+const toCommentCreatedData = (comment, article) => ({
+  id: String(comment._id),
+  article: { id: String(article._id), slug: article.slug, title: article.title },
+  parent: comment.parent ? String(comment.parent._id || comment.parent) : null,
+  status: comment.status,
+  content: comment.content,
+  authorName: comment.author
+    ? `${comment.author.firstName || ''} ${comment.author.lastName || ''}`.trim()
+    : comment.guestName,
+  createdAt: comment.createdAt,
+});
+
+/**
+ * Send comment.created for comments matching `filter` that have just become
+ * public. Each comment is stamped with announcedAt before its event goes out,
+ * so concurrent moderators (or a later re-approval) never announce it twice.
+ */
+const announceApprovedComments = async (filter) => {
+  const announcedAt = new Date();
+  const claimed = await Comment.updateMany(
+    { ...filter, status: 'approved', shadowHidden: { $ne: true }, announcedAt: null },
+    { $set: { announcedAt } }
+  );
+  if (!claimed.modifiedCount) return;
+
+  const comments = await Comment.find({ ...filter, announcedAt })
+    .populate('author', 'firstName lastName')
+    .populate('article', 'slug title');
+  for (const comment of comments) {
+    if (!comment.article) continue;
+    await webhookService.emit('comment.created', toCommentCreatedData(comment, comment.article));
+  }
+};
+
+/**
+ * Email a verification link to an unverified guest. Returns true when an
+ * email went out (it is skipped while a recent one is still fresh).
+ */
+const sendGuestVerification = async ({ email, name }, article) => {
+  let guest = await GuestCommenter.findOne({ email });
+  if (!guest) {
+    guest = new GuestCommenter({ email, name });
+  }
+
+  if (guest.verificationSentAt && Date.now() - guest.verificationSentAt.getTime() < VERIFICATION_RESEND_MS) {
+    return false;
+  }
+
+  const token = guest.createVerificationToken(config.comments.guestVerificationHours);
+  guest.name = name || guest.name;
+  await guest.save();
+
+  try {
+    await emailService.sendCommentVerificationEmail(guest, token, article);
+    return true;
+  } catch (error) {
+    console.error('Failed to send comment verification email:', error.message);
+    return false;
+  }
+};
 
 /**
  * Get comments for an article
@@ -21,9 +149,11 @@ export const getArticleComments = asyncHandler(async (req, res) => {
   const skip = (page - 1) * limit;
   
   // Build query - show only approved comments for all users
+  const visibility = visibleToViewer(req);
   const query = {
     article: articleId,
     parent: null,
+    ...visibility,
   };
   query.status = 'approved';
   
@@ -31,7 +161,7 @@ export const getArticleComments = asyncHandler(async (req, res) => {
     .populate('author', 'firstName lastName avatar')
     .populate({
       path: 'replies',
-      match: { status: 'approved' },
+      match: { status: 'approved', ...visibility },
       populate: { path: 'author', select: 'firstName lastName avatar' },
       options: { sort: { createdAt: 1 } },
     })
@@ -58,7 +188,8 @@ export const getArticleComments = asyncHandler(async (req, res) => {
  */
 export const createComment = asyncHandler(async (req, res) => {
   const { articleId } = req.params;
-  const { content, parentId, guestName, guestEmail } = req.body;
+  // "website" is a honeypot: hidden from people, filled in by bots
+  const { content, parentId, guestName, guestEmail, website } = req.body;
   
   const article = await Article.findById(articleId);
   if (!article) {
@@ -85,26 +216,85 @@ export const createComment = asyncHandler(async (req, res) => {
     article: articleId,
     content,
     parent: parentId || null,
+    // req.ip honours the trust proxy setting; raw forwarding headers are client-controlled
     ipAddress: req.ip,
     userAgent: req.headers['user-agent'],
   };
   
-  // Authenticated user comment
+  // Signed-in users and verified guests are trusted; everyone else is held for moderation
+  let trusted = false;
   if (req.user) {
     commentData.author = req.user._id;
-    // Auto-approve comments from any authenticated user
-    commentData.status = 'approved';
+    trusted = true;
   } else {
     // Guest comment
     if (!guestName || !guestEmail) {
       return badRequestResponse(res, 'Name and email are required for guest comments');
     }
+    if (!EMAIL_PATTERN.test(String(guestEmail).trim())) {
+      return badRequestResponse(res, 'Please provide a valid email');
+    }
     commentData.guestName = guestName;
-    commentData.guestEmail = guestEmail;
+    commentData.guestEmail = String(guestEmail).toLowerCase().trim();
+    trusted = await GuestCommenter.isTrustedBrowser(commentData.guestEmail, req.cookies?.[GUEST_TRUST_COOKIE]);
+    commentData.guestVerified = trusted;
+  }
+
+  // Accounts are matched by ID; guests by email and IP
+  const sanction = await commenterSanctionService.findActive(
+    req.user
+      ? { userId: req.user._id }
+      : { email: commentData.guestEmail, ip: commentData.ipAddress }
+  );
+  if (sanction && sanction.type !== 'shadow_ban') {
+    return forbiddenResponse(res, sanctionMessage(sanction));
+  }
+  const shadowBanned = sanction?.type === 'shadow_ban';
+
+  const { status, spamCheck } = await commentSpamService.evaluate({
+    content,
+    guestEmail: commentData.guestEmail,
+    ipAddress: commentData.ipAddress,
+    authorId: req.user?._id,
+    honeypot: website,
+  }, {
+    trusted: trusted || shadowBanned,
+    skipPreModeration: Boolean(req.user?.commentTrusted),
+  });
+  commentData.status = status;
+  commentData.spamCheck = spamCheck;
+  // Shadow-banned comments look published to their author and to nobody else
+  commentData.shadowHidden = shadowBanned && status !== 'spam';
+  if (status === 'approved' && !commentData.shadowHidden) {
+    commentData.announcedAt = new Date();
   }
   
   const comment = await Comment.create(commentData);
   await comment.populate('author', 'firstName lastName avatar');
+
+  if (commentData.shadowHidden) {
+    return successResponse(res, {
+      comment: toSubmittedComment(comment),
+      verificationSent: false,
+    }, status === 'pending' ? 'Your comment is awaiting moderation' : 'Comment submitted successfully', 201);
+  }
+
+  let verificationSent = false;
+  if (!req.user && !trusted && status !== 'spam') {
+    verificationSent = await sendGuestVerification(
+      { email: commentData.guestEmail, name: commentData.guestName },
+      article
+    );
+  }
+
+  if (status === 'spam') {
+    return successResponse(res, { comment: toSubmittedComment(comment) }, 'Your comment is awaiting moderation', 201);
+  }
+
+  // Held comments are announced when a moderator (or the guest's verification) approves them
+  if (status === 'approved') {
+    await webhookService.emit('comment.created', toCommentCreatedData(comment, article));
+  }
   
   // Send notification to article author (if not the same person)
   try {
@@ -128,7 +318,57 @@ export const createComment = asyncHandler(async (req, res) => {
     // Don't fail the request if notification fails
   }
   
-  return successResponse(res, { comment }, 'Comment submitted successfully', 201);
+  let message = 'Comment submitted successfully';
+  if (status === 'pending') {
+    message = verificationSent
+      ? 'Your comment is awaiting moderation. Check your email to confirm your address and skip moderation next time.'
+      : 'Your comment is awaiting moderation';
+  }
+
+  return successResponse(res, {
+    comment: toSubmittedComment(comment),
+    verificationSent,
+  }, message, 201);
+});
+
+/**
+ * Verify a guest commenter's email and publish the comments held only for that
+ * POST /api/comments/verify-guest
+ */
+export const verifyGuestCommenter = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return badRequestResponse(res, 'Verification token is required');
+  }
+
+  const guest = await GuestCommenter.findByVerificationToken(token);
+
+  if (!guest) {
+    return notFoundResponse(res, 'Invalid or expired verification link');
+  }
+
+  guest.verifiedAt = guest.verifiedAt || new Date();
+  guest.verificationToken = undefined;
+  guest.verificationExpires = undefined;
+  const browser = guest.trustBrowser(config.comments.guestTrustDays);
+  await guest.save();
+  res.cookie(GUEST_TRUST_COOKIE, browser.token, { ...GUEST_TRUST_COOKIE_OPTIONS, expires: browser.expiresAt });
+
+  const released = await Comment.updateMany(
+    { guestEmail: guest.email, status: 'pending', 'spamCheck.heldForVerification': true },
+    { $set: { status: 'approved', guestVerified: true } }
+  );
+  await Comment.updateMany({ guestEmail: guest.email, guestVerified: false }, { $set: { guestVerified: true } });
+  if (released.modifiedCount) {
+    await announceApprovedComments({ guestEmail: guest.email, 'spamCheck.heldForVerification': true });
+  }
+
+  return successResponse(
+    res,
+    { email: guest.email, published: released.modifiedCount || 0 },
+    'Your email is confirmed. Future comments from this browser will appear right away.'
+  );
 });
 
 /**
@@ -224,6 +464,69 @@ export const toggleLike = asyncHandler(async (req, res) => {
   return successResponse(res, { liked, likes: comment.likes });
 });
 
+/**
+ * Report a comment for moderation
+ * POST /api/comments/:id/report
+ */
+export const reportComment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason, note } = req.body;
+
+  if (!COMMENT_REPORT_REASONS.includes(reason)) {
+    return badRequestResponse(res, 'Invalid report reason');
+  }
+
+  const comment = await Comment.findById(id).select('author status');
+  if (!comment) {
+    return notFoundResponse(res, 'Comment not found');
+  }
+
+  if (comment.author && comment.author.toString() === req.user._id.toString()) {
+    return badRequestResponse(res, 'You cannot report your own comment');
+  }
+
+  // One report per reader; the filter makes concurrent duplicates a no-op
+  const reported = await Comment.findOneAndUpdate(
+    { _id: id, 'reports.reporter': { $ne: req.user._id } },
+    {
+      $push: {
+        reports: {
+          reporter: req.user._id,
+          reason,
+          note: typeof note === 'string' ? note.trim().slice(0, 500) : '',
+        },
+      },
+      $inc: { reportCount: 1 },
+      $set: { reportStatus: 'open' },
+    },
+    { new: true }
+  ).select('status reportCount');
+
+  if (!reported) {
+    return badRequestResponse(res, 'You have already reported this comment');
+  }
+
+  const threshold = config.comments.reportHideThreshold;
+  if (reported.status === 'approved' && reported.reportCount >= threshold) {
+    await Comment.updateOne(
+      { _id: id, status: 'approved' },
+      {
+        $set: { status: 'pending' },
+        $push: {
+          moderationLog: {
+            action: 'auto_hidden',
+            fromStatus: 'approved',
+            toStatus: 'pending',
+            note: `Hidden after ${reported.reportCount} reports`,
+          },
+        },
+      }
+    );
+  }
+
+  return successResponse(res, null, 'Thanks for letting us know. A moderator will review this comment.');
+});
+
 // ==================== ADMIN/MODERATION ROUTES ====================
 
 /**
@@ -234,23 +537,32 @@ export const getAllComments = asyncHandler(async (req, res) => {
   const { page = 1, limit = 20, status, articleId } = req.query;
   const skip = (page - 1) * limit;
   
+  // "reported" is the queue of comments with open reader reports, most reported first
+  const isReportQueue = status === 'reported';
   const filter = {};
-  if (status) filter.status = status;
+  if (isReportQueue) filter.reportStatus = 'open';
+  else if (status) filter.status = status;
   if (articleId) filter.article = articleId;
   
   const comments = await Comment.find(filter)
+    .select('+spamCheck +reports +moderationLog +shadowHidden')
     .populate('author', 'firstName lastName avatar email')
     .populate('article', 'title slug')
     .populate('moderatedBy', 'firstName lastName')
-    .sort({ createdAt: -1 })
+    .populate('reports.reporter', 'firstName lastName email')
+    .populate('moderationLog.actor', 'firstName lastName')
+    .sort(isReportQueue ? { reportCount: -1, createdAt: -1 } : { createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
     
   const total = await Comment.countDocuments(filter);
   
   // Get status counts
-  const statusCounts = await Comment.aggregate([
-    { $group: { _id: '$status', count: { $sum: 1 } } }
+  const [statusCounts, reported] = await Promise.all([
+    Comment.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Comment.countDocuments({ reportStatus: 'open' }),
   ]);
   
   const counts = {
@@ -258,6 +570,7 @@ export const getAllComments = asyncHandler(async (req, res) => {
     approved: 0,
     rejected: 0,
     spam: 0,
+    reported,
   };
   statusCounts.forEach(s => { counts[s._id] = s.count; });
   
@@ -285,17 +598,33 @@ export const moderateComment = asyncHandler(async (req, res) => {
     return badRequestResponse(res, 'Invalid status');
   }
   
-  const comment = await Comment.findById(id);
+  const comment = await Comment.findById(id).select('+moderationLog');
   if (!comment) {
     return notFoundResponse(res, 'Comment not found');
   }
   
+  const previousStatus = comment.status;
+  comment.moderationLog.push({
+    action: 'moderated',
+    fromStatus: previousStatus,
+    toStatus: status,
+    actor: req.user._id,
+    note: note || '',
+  });
   comment.status = status;
   comment.moderatedBy = req.user._id;
   comment.moderatedAt = new Date();
   if (note) comment.moderationNote = note;
+  // A moderator decision closes the open reports
+  if (comment.reportStatus === 'open') {
+    comment.reportStatus = 'resolved';
+    comment.reportCount = 0;
+  }
   
   await comment.save();
+  if (status === 'approved' && previousStatus !== 'approved') {
+    await announceApprovedComments({ _id: comment._id });
+  }
   await comment.populate('author', 'firstName lastName avatar');
   await comment.populate('moderatedBy', 'firstName lastName');
   
@@ -320,22 +649,125 @@ export const bulkModerate = asyncHandler(async (req, res) => {
   await Comment.updateMany(
     { _id: { $in: ids } },
     {
-      status,
-      moderatedBy: req.user._id,
-      moderatedAt: new Date(),
+      $set: {
+        status,
+        moderatedBy: req.user._id,
+        moderatedAt: new Date(),
+      },
+      $push: {
+        moderationLog: { action: 'bulk_moderated', toStatus: status, actor: req.user._id },
+      },
     }
   );
+  await Comment.updateMany(
+    { _id: { $in: ids }, reportStatus: 'open' },
+    { $set: { reportStatus: 'resolved', reportCount: 0 } }
+  );
+  if (status === 'approved') {
+    await announceApprovedComments({ _id: { $in: ids } });
+  }
   
   return successResponse(res, null, `${ids.length} comments ${status}`);
 });
 
+// ==================== COMMENTER SANCTIONS ====================
+
+/**
+ * Ban, suspend or shadow-ban a commenter
+ * POST /api/comments/sanctions
+ * Body: { userId } for an account, or { commentId } to act on whoever wrote
+ * that comment (guests are matched on their hashed email and IP)
+ */
+export const sanctionCommenter = asyncHandler(async (req, res) => {
+  const { userId, commentId, type, durationHours, reason } = req.body;
+
+  const target = { userId, commentId: commentId || null };
+  if (commentId) {
+    const comment = await Comment.findById(commentId).select('+ipAddress author guestEmail');
+    if (!comment) {
+      return notFoundResponse(res, 'Comment not found');
+    }
+    if (comment.author) {
+      target.userId = comment.author;
+    } else {
+      target.email = comment.guestEmail;
+      target.ip = comment.ipAddress;
+    }
+  }
+
+  if (!target.userId && !target.email && !target.ip) {
+    return badRequestResponse(res, 'A user or comment is required');
+  }
+  if (target.userId && target.userId.toString() === req.user._id.toString()) {
+    return badRequestResponse(res, 'You cannot sanction yourself');
+  }
+
+  const sanction = await commenterSanctionService.issue({
+    ...target,
+    type,
+    durationHours,
+    reason: typeof reason === 'string' ? reason.trim() : '',
+    issuedBy: req.user._id,
+  });
+
+  return successResponse(res, { sanction }, 'Commenter sanctioned', 201);
+});
+
+/**
+ * Commenter sanctions log
+ * GET /api/comments/sanctions?user=&active=true
+ */
+export const getCommenterSanctions = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePaginationParams(req.query);
+  const { user, active } = req.query;
+
+  const filter = {};
+  if (user) filter.user = user;
+  if (active === 'true') Object.assign(filter, CommenterSanction.activeFilter());
+
+  const [sanctions, total] = await Promise.all([
+    CommenterSanction.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('issuedBy', 'firstName lastName')
+      .populate('liftedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    CommenterSanction.countDocuments(filter),
+  ]);
+
+  return paginatedResponse(res, sanctions, { page, limit, total });
+});
+
+/**
+ * Lift a sanction before it expires
+ * POST /api/comments/sanctions/:id/lift
+ */
+export const liftCommenterSanction = asyncHandler(async (req, res) => {
+  const sanction = await commenterSanctionService.lift(req.params.id, {
+    liftedBy: req.user._id,
+    reason: typeof req.body.reason === 'string' ? req.body.reason.trim() : '',
+  });
+
+  if (!sanction) {
+    return notFoundResponse(res, 'No active sanction found');
+  }
+
+  return successResponse(res, { sanction }, 'Sanction lifted');
+});
+
 export default {
   getArticleComments,
   createComment,
+  verifyGuestCommenter,
   updateComment,
   deleteComment,
   toggleLike,
+  reportComment,
   getAllComments,
   moderateComment,
   bulkModerate,
+  sanctionCommenter,
+  getCommenterSanctions,
+  liftCommenterSanction,
 };
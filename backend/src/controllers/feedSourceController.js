@@ -0,0 +1,248 @@
+import { FeedSource, FeedItem, FeedIngestionLog, Category, User } from '../models/index.js';
+import feedIngestionService from '../services/feedIngestionService.js';
+import {
+  successResponse,
+  createdResponse,
+  paginatedResponse,
+  notFoundResponse,
+  conflictResponse,
+  badRequestResponse,
+} from '../utils/apiResponse.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { parsePaginationParams } from '../utils/helpers.js';
+import { assertPublicUrl } from '../utils/safeFetch.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'url',
+  'category',
+  'defaultAuthor',
+  'language',
+  'tags',
+  'pollIntervalMinutes',
+  'ingestMode',
+  'maxItemsPerPoll',
+  'isActive',
+];
+
+const populateSource = (query) => query
+  .populate('category', 'name slug')
+  .populate('defaultAuthor', 'firstName lastName email role');
+
+// Validate the referenced category and default author; returns an error message or null
+const checkReferences = async ({ category, defaultAuthor }) => {
+  if (category) {
+    const exists = await Category.exists({ _id: category });
+    if (!exists) return 'Target category not found';
+  }
+  if (defaultAuthor) {
+    const author = await User.findById(defaultAuthor).select('role status');
+    if (!author || author.status !== 'active') return 'Default author not found or inactive';
+    if (!['writer', 'editor', 'admin'].includes(author.role)) {
+      return 'Default author must be a writer, editor or admin';
+    }
+  }
+  return null;
+};
+
+/**
+ * List feed sources
+ * GET /api/feed-sources
+ */
+export const getFeedSources = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePaginationParams(req.query);
+  const { isActive, search } = req.query;
+
+  const filter = {};
+  if (isActive === 'true' || isActive === 'false') {
+    filter.isActive = isActive === 'true';
+  }
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ name: pattern }, { url: pattern }];
+  }
+
+  const [sources, total] = await Promise.all([
+    populateSource(FeedSource.find(filter)).sort({ name: 1 }).skip(skip).limit(limit),
+    FeedSource.countDocuments(filter),
+  ]);
+
+  return paginatedResponse(res, sources, { page, limit, total });
+});
+
+/**
+ * Get feed source
+ * GET /api/feed-sources/:id
+ */
+export const getFeedSource = asyncHandler(async (req, res) => {
+  const source = await populateSource(FeedSource.findById(req.params.id));
+  if (!source) {
+    return notFoundResponse(res, 'Feed source not found');
+  }
+
+  return successResponse(res, { source });
+});
+
+/**
+ * Create feed source (admin)
+ * POST /api/feed-sources
+ */
+export const createFeedSource = asyncHandler(async (req, res) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  }
+
+  assertPublicUrl(data.url);
+  if (await FeedSource.exists({ url: data.url })) {
+    return conflictResponse(res, 'A feed source with this URL already exists');
+  }
+
+  const referenceError = await checkReferences(data);
+  if (referenceError) {
+    return badRequestResponse(res, referenceError);
+  }
+
+  const source = await FeedSource.create({ ...data, createdBy: req.user._id });
+  await source.populate([
+    { path: 'category', select: 'name slug' },
+    { path: 'defaultAuthor', select: 'firstName lastName email role' },
+  ]);
+
+  return createdResponse(res, { source }, 'Feed source created successfully');
+});
+
+/**
+ * Update feed source (admin)
+ * PUT /api/feed-sources/:id
+ */
+export const updateFeedSource = asyncHandler(async (req, res) => {
+  const source = await FeedSource.findById(req.params.id);
+  if (!source) {
+    return notFoundResponse(res, 'Feed source not found');
+  }
+
+  if (req.body.url && req.body.url !== source.url) {
+    assertPublicUrl(req.body.url);
+    if (await FeedSource.exists({ url: req.body.url, _id: { $ne: source._id } })) {
+      return conflictResponse(res, 'A feed source with this URL already exists');
+    }
+    // New URL: drop conditional GET validators from the old one
+    source.etag = '';
+    source.lastModified = '';
+  }
+
+  const referenceError = await checkReferences(req.body);
+  if (referenceError) {
+    return badRequestResponse(res, referenceError);
+  }
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) source[field] = req.body[field];
+  }
+
+  // Re-activating a failing source starts it fresh
+  if (req.body.isActive === true && source.isModified('isActive')) {
+    source.consecutiveFailures = 0;
+    source.nextPollAt = new Date();
+  }
+
+  await source.save();
+  await source.populate([
+    { path: 'category', select: 'name slug' },
+    { path: 'defaultAuthor', select: 'firstName lastName email role' },
+  ]);
+
+  return successResponse(res, { source }, 'Feed source updated successfully');
+});
+
+/**
+ * Delete feed source (admin)
+ * Imported articles and the dedup registry are kept, so re-adding the feed
+ * does not import the same items again.
+ * DELETE /api/feed-sources/:id
+ */
+export const deleteFeedSource = asyncHandler(async (req, res) => {
+  const source = await FeedSource.findById(req.params.id);
+  if (!source) {
+    return notFoundResponse(res, 'Feed source not found');
+  }
+
+  await FeedIngestionLog.deleteMany({ feedSource: source._id });
+  await source.deleteOne();
+
+  return successResponse(res, null, 'Feed source deleted successfully');
+});
+
+/**
+ * Poll a feed source now
+ * POST /api/feed-sources/:id/poll
+ */
+export const pollFeedSource = asyncHandler(async (req, res) => {
+  const source = await FeedSource.findById(req.params.id);
+  if (!source) {
+    return notFoundResponse(res, 'Feed source not found');
+  }
+
+  const log = await feedIngestionService.ingestSource(source, {
+    trigger: 'manual',
+    triggeredBy: req.user._id,
+  });
+
+  return successResponse(res, { log, source }, 'Feed source polled');
+});
+
+/**
+ * Ingestion log for a feed source
+ * GET /api/feed-sources/:id/logs
+ */
+export const getFeedSourceLogs = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePaginationParams(req.query);
+  const filter = { feedSource: req.params.id };
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const [logs, total] = await Promise.all([
+    FeedIngestionLog.find(filter)
+      .populate('triggeredBy', 'firstName lastName email')
+      .populate('items.article', 'title slug status')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    FeedIngestionLog.countDocuments(filter),
+  ]);
+
+  return paginatedResponse(res, logs, { page, limit, total });
+});
+
+/**
+ * Items imported from a feed source
+ * GET /api/feed-sources/:id/items
+ */
+export const getFeedSourceItems = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePaginationParams(req.query);
+  const filter = { feedSource: req.params.id };
+
+  const [items, total] = await Promise.all([
+    FeedItem.find(filter)
+      .populate('article', 'title slug status workflow.sourceReviewState')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    FeedItem.countDocuments(filter),
+  ]);
+
+  return paginatedResponse(res, items, { page, limit, total });
+});
+
+export default {
+  getFeedSources,
+  getFeedSource,
+  createFeedSource,
+  updateFeedSource,
+  deleteFeedSource,
+  pollFeedSource,
+  getFeedSourceLogs,
+  getFeedSourceItems,
+};
@@ -1,6 +1,7 @@
 import articleSearchService from '../services/articleSearchService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { successResponse, errorResponse } from '../utils/apiResponse.js';
+import { parseFacetFilters, markSelectedFacets, labelSearchFacets } from '../utils/searchFacets.js';
 
 /**
  * Search Controller
@@ -9,8 +10,12 @@ import { successResponse, errorResponse } from '../utils/apiResponse.js';
  */
 
 /**
- * Advanced search
+ * Advanced search with multi-select facets
  * GET /api/search
+ *
+ * Facets: categories, tags, authors, languages, postTypes and months
+ * ("YYYY-MM"), each a comma-separated list. The older single-value
+ * category, author, tags and language parameters still work.
  */
 export const search = asyncHandler(async (req, res) => {
   const {
@@ -20,22 +25,21 @@ export const search = asyncHandler(async (req, res) => {
     category,
     author,
     tags,
+    language,
     dateFrom,
     dateTo,
     isFeatured,
     isBreaking,
     sortBy = 'relevance',
-    language = 'en',
   } = req.query;
 
-  // Parse tags if provided
-  const parsedTags = tags ? tags.split(',').map(t => t.trim()) : [];
-
-  // Build filters
-  const filters = {};
-  if (category) filters.category = category;
-  if (author) filters.author = author;
-  if (parsedTags.length > 0) filters.tags = parsedTags;
+  const filters = parseFacetFilters({
+    ...req.query,
+    categories: [req.query.categories, category].filter(Boolean).join(','),
+    authors: [req.query.authors, author].filter(Boolean).join(','),
+    tags: [tags].filter(Boolean).join(','),
+    languages: [req.query.languages, language].filter(Boolean).join(','),
+  });
   if (dateFrom) filters.dateFrom = dateFrom;
   if (dateTo) filters.dateTo = dateTo;
   if (isFeatured === 'true') filters.isFeatured = true;
@@ -48,7 +52,6 @@ export const search = asyncHandler(async (req, res) => {
       limit: parseInt(limit),
       filters,
       sortBy,
-      language,
     });
 
     return successResponse(res, {
@@ -58,12 +61,7 @@ export const search = asyncHandler(async (req, res) => {
       page: results.page,
       limit: results.limit,
       pages: results.pages,
-      facets: {
-        categories: results.aggregations?.categories?.buckets || [],
-        authors: results.aggregations?.authors?.buckets || [],
-        tags: results.aggregations?.tags?.buckets || [],
-        dateHistogram: results.aggregations?.date_histogram?.buckets || [],
-      },
+      facets: await labelSearchFacets(markSelectedFacets(results.facets, filters)),
       suggestions: results.suggestions.map(s => s.text),
     });
   } catch (error) {
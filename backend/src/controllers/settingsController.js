@@ -3,6 +3,7 @@ import { Category } from '../models/index.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { successResponse, badRequestResponse } from '../utils/apiResponse.js';
 import sanitizationService from '../services/sanitizationService.js';
+import sitemapService from '../services/sitemapService.js';
 import { normalizeSection, validateHomepageSections } from '../validators/homepageValidator.js';
 
 /**
@@ -21,6 +22,7 @@ export const getSettings = asyncHandler(async (req, res) => {
 export const updateSettings = asyncHandler(async (req, res) => {
   const payload = { ...req.body };
   const settings = await SiteSettings.updateSettings(payload);
+  await sitemapService.invalidate();
   return successResponse(res, { settings }, 'Settings updated successfully');
 });
 
@@ -157,6 +159,7 @@ export const updateSEOSettings = asyncHandler(async (req, res) => {
   const settings = await SiteSettings.getSettings();
   settings.seo = { ...settings.seo, ...req.body };
   await settings.save();
+  await sitemapService.invalidate();
   
   return successResponse(res, { seo: settings.seo }, 'SEO settings updated');
 });
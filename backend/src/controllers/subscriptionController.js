@@ -0,0 +1,123 @@
+import { Subscription, User } from '../models/index.js';
+import subscriptionService from '../services/subscriptionService.js';
+import {
+  successResponse,
+  paginatedResponse,
+  notFoundResponse,
+  badRequestResponse,
+} from '../utils/apiResponse.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { parsePaginationParams } from '../utils/helpers.js';
+
+/**
+ * List plans (public)
+ * GET /api/subscriptions/plans
+ */
+export const getPlans = asyncHandler(async (req, res) => {
+  return successResponse(res, { plans: subscriptionService.getPlans() });
+});
+
+/**
+ * Current user's subscription
+ * GET /api/subscriptions/me
+ */
+export const getMySubscription = asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.getForUser(req.user._id);
+  const entitlements = await subscriptionService.getEntitlements(req.user._id);
+
+  return successResponse(res, { subscription, entitlements });
+});
+
+/**
+ * Start a checkout for a paid plan
+ * POST /api/subscriptions/checkout
+ */
+export const checkout = asyncHandler(async (req, res) => {
+  const { plan, interval = 'monthly' } = req.body;
+  const { subscription, checkout: session } = await subscriptionService.startCheckout(req.user, { plan, interval });
+
+  const message = session.status === 'completed'
+    ? 'Subscription activated'
+    : 'Checkout started';
+  return successResponse(res, {
+    subscription,
+    checkout: {
+      status: session.status,
+      checkoutUrl: session.checkoutUrl || null,
+      reference: session.reference,
+    },
+  }, message);
+});
+
+/**
+ * Cancel at the end of the current term
+ * POST /api/subscriptions/cancel
+ */
+export const cancelSubscription = asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.cancel(req.user._id, req.body.reason || null);
+  if (!subscription) {
+    return badRequestResponse(res, 'No active paid subscription to cancel');
+  }
+
+  return successResponse(res, { subscription }, 'Subscription cancelled');
+});
+
+/**
+ * Payment provider webhook
+ * POST /api/subscriptions/webhooks/:provider
+ */
+export const handleWebhook = asyncHandler(async (req, res) => {
+  const result = await subscriptionService.handleWebhook(req.params.provider, req);
+  return successResponse(res, result);
+});
+
+/**
+ * List subscriptions (admin)
+ * GET /api/subscriptions
+ */
+export const getSubscriptions = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePaginationParams(req.query);
+  const filter = {};
+  if (req.query.plan) filter.plan = req.query.plan;
+  if (req.query.status) filter.status = req.query.status;
+
+  const [subscriptions, total] = await Promise.all([
+    Subscription.find(filter)
+      .populate('userId', 'firstName lastName email')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Subscription.countDocuments(filter),
+  ]);
+
+  return paginatedResponse(res, subscriptions, { page, limit, total });
+});
+
+/**
+ * Grant a plan without payment (admin)
+ * PUT /api/subscriptions/users/:userId
+ */
+export const grantSubscription = asyncHandler(async (req, res) => {
+  const { plan, interval = 'monthly' } = req.body;
+
+  const user = await User.findById(req.params.userId).select('_id');
+  if (!user) {
+    return notFoundResponse(res, 'User not found');
+  }
+
+  const subscription = await Subscription.getOrCreate(user._id);
+  subscription.paymentProvider = plan === 'free' ? 'free' : 'manual';
+  await subscriptionService.activate(subscription, { plan, interval });
+
+  return successResponse(res, { subscription }, 'Subscription updated');
+});
+
+export default {
+  getPlans,
+  getMySubscription,
+  checkout,
+  cancelSubscription,
+  handleWebhook,
+  getSubscriptions,
+  grantSubscription,
+};
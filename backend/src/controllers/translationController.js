@@ -5,6 +5,10 @@ import Category from '../models/Category.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { successResponse, errorResponse, createdResponse, badRequestResponse, forbiddenResponse } from '../utils/apiResponse.js';
 import slugify from 'slugify';
+import { findTranslationAssignment, canWorkOnTranslationAssignment, OPEN_ASSIGNMENT_STATES } from '../utils/articleWorkflow.js';
+import { isGatedArticle } from '../utils/paywall.js';
+import { ensureSessionId } from '../utils/helpers.js';
+import subscriptionService from '../services/subscriptionService.js';
 
 const mapTranslationStatusToWorkflowState = (translationStatus = '') => {
   switch (translationStatus) {
@@ -74,10 +78,32 @@ const getArticleWorkflow = (article = {}) => {
     sourceReviewState: workflow.sourceReviewState || 'draft',
     translationState: workflow.translationState || 'not_required',
     assignedTranslator: workflow.assignedTranslator || null,
+    translationAssignments: workflow.translationAssignments || [],
   };
 };
 
-const enforceTranslatorWorkflowAccess = (res, article, user) => {
+// Per-language check for articles commissioned into several languages
+const enforceTranslationAssignmentAccess = (res, workflow, language, currentUserId) => {
+  const assignment = findTranslationAssignment(workflow, language);
+  if (!assignment) {
+    badRequestResponse(res, `No ${language} translation was commissioned for this article`);
+    return false;
+  }
+
+  if (!OPEN_ASSIGNMENT_STATES.includes(assignment.state)) {
+    badRequestResponse(res, `The ${language} translation is not in an active translation stage`);
+    return false;
+  }
+
+  if (!canWorkOnTranslationAssignment(assignment, currentUserId)) {
+    forbiddenResponse(res, 'This translation is assigned to another translator');
+    return false;
+  }
+
+  return true;
+};
+
+const enforceTranslatorWorkflowAccess = (res, article, user, language) => {
   if (!WORKFLOW_TRANSLATION_CONTRIBUTOR_ROLES.includes(user?.role)) {
     return true;
   }
@@ -93,9 +119,14 @@ const enforceTranslatorWorkflowAccess = (res, article, user) => {
     article?.author?.toString?.() ||
     article?.author;
 
+  const isOwner = Boolean(articleAuthorId && currentUserId && articleAuthorId === currentUserId);
+  const languageAssignment = findTranslationAssignment(workflow, language);
+
   if (user?.role === 'writer') {
-    const isOwner = Boolean(articleAuthorId && currentUserId && articleAuthorId === currentUserId);
-    const isAssignedWriter = Boolean(assignedTranslatorId && currentUserId && assignedTranslatorId === currentUserId);
+    const assignedToWriter = languageAssignment ? languageAssignment.translator : assignedTranslatorId;
+    const isAssignedWriter = Boolean(
+      assignedToWriter && currentUserId && (assignedToWriter?._id || assignedToWriter).toString() === currentUserId
+    );
     if (!isOwner && !isAssignedWriter) {
       forbiddenResponse(res, 'Writers can only translate their own articles');
       return false;
@@ -107,6 +138,10 @@ const enforceTranslatorWorkflowAccess = (res, article, user) => {
     return false;
   }
 
+  if (workflow.translationAssignments.length) {
+    return enforceTranslationAssignmentAccess(res, workflow, language, currentUserId);
+  }
+
   if (![WORKFLOW_TRANSLATION_STATES.IN_TRANSLATION, WORKFLOW_TRANSLATION_STATES.CHANGES_REQUESTED].includes(workflow.translationState)) {
     badRequestResponse(res, 'This article is not in an active translation stage');
     return false;
@@ -120,6 +155,23 @@ const enforceTranslatorWorkflowAccess = (res, article, user) => {
   return true;
 };
 
+/**
+ * Meter the reader against the original article and truncate the translations
+ * when access is denied, exactly as the article read path does.
+ */
+const applyTranslationPaywall = async (req, res, article, translations) => {
+  const plain = translations.map((translation) => translation.toObject?.() || translation);
+  if (!isGatedArticle(article)) {
+    return plain;
+  }
+
+  const access = await subscriptionService.checkArticleAccess(article, {
+    user: req.user || null,
+    readerId: req.user ? '' : ensureSessionId(req, res),
+  });
+  return plain.map((translation) => subscriptionService.applyPaywall(translation, access));
+};
+
 // ==================== ARTICLE TRANSLATIONS ====================
 
 /**
@@ -134,7 +186,12 @@ export const getArticleTranslations = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Article not found', 404);
   }
 
-  const translations = await ArticleTranslation.getAllByArticle(articleId);
+  const translations = await applyTranslationPaywall(
+    req,
+    res,
+    article,
+    await ArticleTranslation.getAllByArticle(articleId)
+  );
 
   return successResponse(res, {
     article: {
@@ -153,12 +210,15 @@ export const getArticleTranslations = asyncHandler(async (req, res) => {
 export const getArticleTranslation = asyncHandler(async (req, res) => {
   const { articleId, language } = req.params;
 
-  const translation = await ArticleTranslation.getByArticleAndLanguage(articleId, language);
+  const found = await ArticleTranslation.getByArticleAndLanguage(articleId, language);
 
-  if (!translation) {
+  if (!found) {
     return errorResponse(res, 'Translation not found', 404);
   }
 
+  const article = await Article.findById(articleId).select('accessLevel author').lean();
+  const [translation] = await applyTranslationPaywall(req, res, article, [found]);
+
   return successResponse(res, { translation });
 });
 
@@ -190,7 +250,7 @@ export const createArticleTranslation = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Article not found', 404);
   }
 
-  if (!enforceTranslatorWorkflowAccess(res, article, req.user)) {
+  if (!enforceTranslatorWorkflowAccess(res, article, req.user, normalizedLanguage)) {
     return;
   }
 
@@ -278,7 +338,7 @@ export const updateArticleTranslation = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Article not found', 404);
   }
 
-  if (!enforceTranslatorWorkflowAccess(res, article, req.user)) {
+  if (!enforceTranslatorWorkflowAccess(res, article, req.user, normalizedLanguage)) {
     return;
   }
 
@@ -1,5 +1,6 @@
 import { Media, Article } from '../models/index.js';
 import storageService from '../services/storageService.js';
+import config from '../config/index.js';
 import { parsePaginationParams } from '../utils/helpers.js';
 import {
   successResponse,
@@ -312,6 +313,22 @@ export const deleteMedia = asyncHandler(async (req, res) => {
   return successResponse(res, null, 'Media deleted successfully');
 });
 
+/**
+ * Redirect to a signed URL for an object in a private S3 bucket
+ * GET /media/*
+ */
+export const redirectToSignedMedia = asyncHandler(async (req, res) => {
+  const storageKey = storageService.resolveS3RouteKey(req.params[0]);
+  if (!storageKey) {
+    return notFoundResponse(res, 'Media not found');
+  }
+
+  const expiresIn = config.storage.s3.signedUrlTtlSeconds;
+  // Let browsers reuse the redirect, but never past the signature's lifetime
+  res.set('Cache-Control', `private, max-age=${Math.max(expiresIn - 60, 0)}`);
+  return res.redirect(302, storageService.getSignedUrl(storageKey, 's3', { expiresIn }));
+});
+
 /**
  * Get my uploads
  * GET /api/uploads/my
@@ -338,4 +355,5 @@ export default {
   updateMedia,
   deleteMedia,
   getMyUploads,
+  redirectToSignedMedia,
 };
@@ -1,7 +1,9 @@
-import { User, Article } from '../models/index.js';
-import { parsePaginationParams } from '../utils/helpers.js';
+import { User, Article, SecurityAuditLog, SECURITY_AUDIT_ACTIONS } from '../models/index.js';
+import { parsePaginationParams, getClientIp } from '../utils/helpers.js';
 import { getDefaultAvatarByGender, isDefaultAvatar } from '../utils/userProfile.js';
 import storageService from '../services/storageService.js';
+import commenterSanctionService from '../services/commenterSanctionService.js';
+import twoFactorService from '../services/twoFactorService.js';
 import {
   successResponse,
   paginatedResponse,
@@ -75,11 +77,18 @@ export const getUsers = asyncHandler(async (req, res) => {
       .sort(sort)
       .skip(skip)
       .limit(limit)
-      .select('-password -refreshToken'),
+      .select('-password'),
     User.countDocuments(filter),
   ]);
 
-  return paginatedResponse(res, users, { page, limit, total });
+  // Active commenting sanction per user, for the moderation column
+  const sanctions = await commenterSanctionService.findActiveForUsers(users.map((user) => user._id));
+  const data = users.map((user) => ({
+    ...user.toJSON(),
+    commentSanction: sanctions.get(String(user._id)) || null,
+  }));
+
+  return paginatedResponse(res, data, { page, limit, total });
 });
 
 /**
@@ -87,7 +96,7 @@ export const getUsers = asyncHandler(async (req, res) => {
  * GET /api/users/:id
  */
 export const getUserById = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id).select('-password -refreshToken');
+  const user = await User.findById(req.params.id).select('-password');
 
   if (!user) {
     return notFoundResponse(res, 'User not found');
@@ -125,6 +134,8 @@ export const updateUser = asyncHandler(async (req, res) => {
     status,
     gender,
     birthday,
+    commentTrusted,
+    advertiser,
   } = req.body;
 
   if (firstName) user.firstName = firstName;
@@ -134,6 +145,12 @@ export const updateUser = asyncHandler(async (req, res) => {
   if (status) user.status = status;
   if (gender) user.gender = gender;
   if (birthday !== undefined) user.birthday = birthday || null;
+  if (commentTrusted !== undefined) user.commentTrusted = commentTrusted;
+  if (advertiser) {
+    ['company', 'campaigns', 'collections']
+      .filter((key) => advertiser[key] !== undefined)
+      .forEach((key) => user.set(`advertiser.${key}`, advertiser[key]));
+  }
 
   if (user.profileNeedsCompletion || (Array.isArray(user.profileMissingFields) && user.profileMissingFields.length > 0)) {
     const missing = new Set(Array.isArray(user.profileMissingFields) ? user.profileMissingFields : []);
@@ -344,6 +361,45 @@ export const getUserStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Reset a user's two-factor authentication (admin)
+ * POST /api/users/:id/2fa/reset
+ */
+export const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await twoFactorService.reset(req.params.id, {
+    actor: req.user._id,
+    reason: typeof req.body.reason === 'string' ? req.body.reason.trim() : '',
+    context: { ip: getClientIp(req) || '', userAgent: req.headers['user-agent'] || '' },
+  });
+
+  return successResponse(res, { userId: user._id }, 'Two-factor authentication reset');
+});
+
+/**
+ * Security audit log (admin)
+ * GET /api/users/security-audit
+ */
+export const getSecurityAuditLog = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePaginationParams(req.query);
+  const { user, action } = req.query;
+
+  const filter = {};
+  if (user) filter.subject = user;
+  if (SECURITY_AUDIT_ACTIONS.includes(action)) filter.action = action;
+
+  const [entries, total] = await Promise.all([
+    SecurityAuditLog.find(filter)
+      .populate('actor', 'firstName lastName email')
+      .populate('subject', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    SecurityAuditLog.countDocuments(filter),
+  ]);
+
+  return paginatedResponse(res, entries, { page, limit, total });
+});
+
 export default {
   getUsers,
   getUserById,
@@ -354,4 +410,6 @@ export default {
   deleteAvatar,
   getPublicProfile,
   getUserStats,
+  resetUserTwoFactor,
+  getSecurityAuditLog,
 };
@@ -0,0 +1,97 @@
+import webhookService from '../services/webhookService.js';
+import { WEBHOOK_EVENTS } from '../models/index.js';
+import {
+  successResponse,
+  createdResponse,
+  paginatedResponse,
+} from '../utils/apiResponse.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { parsePaginationParams } from '../utils/helpers.js';
+
+/**
+ * List webhooks with their pending and dead-letter counts
+ * GET /api/webhooks
+ */
+export const getWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await webhookService.list();
+  return successResponse(res, { webhooks, events: WEBHOOK_EVENTS });
+});
+
+/**
+ * Create a webhook; the signing secret is only returned here
+ * POST /api/webhooks
+ */
+export const createWebhook = asyncHandler(async (req, res) => {
+  const { webhook, secret } = await webhookService.create(req.body, req.user);
+  return createdResponse(res, { webhook, secret }, 'Webhook created. Copy the signing secret now; it will not be shown again.');
+});
+
+/**
+ * Update name, URL, events or active flag
+ * PUT /api/webhooks/:id
+ */
+export const updateWebhook = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.update(req.params.id, req.body);
+  return successResponse(res, { webhook }, 'Webhook updated');
+});
+
+/**
+ * Delete a webhook and its delivery history
+ * DELETE /api/webhooks/:id
+ */
+export const deleteWebhook = asyncHandler(async (req, res) => {
+  await webhookService.remove(req.params.id, req.user);
+  return successResponse(res, null, 'Webhook deleted');
+});
+
+/**
+ * Replace the signing secret
+ * POST /api/webhooks/:id/rotate-secret
+ */
+export const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const { webhook, secret } = await webhookService.rotateSecret(req.params.id, req.user);
+  return successResponse(res, { webhook, secret }, 'Signing secret rotated');
+});
+
+/**
+ * Send a test ping
+ * POST /api/webhooks/:id/ping
+ */
+export const pingWebhook = asyncHandler(async (req, res) => {
+  const delivery = await webhookService.ping(req.params.id, req.user);
+  return successResponse(res, { delivery }, delivery.status === 'succeeded' ? 'Ping delivered' : 'Ping failed; it will be retried');
+});
+
+/**
+ * Delivery log for a webhook
+ * GET /api/webhooks/:id/deliveries
+ */
+export const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePaginationParams(req.query);
+  const { deliveries, total } = await webhookService.getDeliveries(req.params.id, {
+    status: req.query.status,
+    skip,
+    limit,
+  });
+  return paginatedResponse(res, deliveries, { page, limit, total });
+});
+
+/**
+ * Queue a delivery again with fresh attempts and send it now
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ */
+export const redeliverWebhookDelivery = asyncHandler(async (req, res) => {
+  const delivery = await webhookService.redeliver(req.params.deliveryId);
+  return successResponse(res, { delivery }, delivery.status === 'succeeded' ? 'Delivery succeeded' : 'Delivery queued for retry');
+});
+
+export default {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  pingWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery,
+};
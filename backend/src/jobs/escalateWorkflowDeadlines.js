@@ -0,0 +1,12 @@
+import workflowDeadlineService from '../services/workflowDeadlineService.js';
+
+/**
+ * Remind stage owners about overdue workflow items and escalate the ones
+ * that stay overdue. Runs every five minutes from server.js, which logs
+ * the counts.
+ */
+export const escalateWorkflowDeadlines = () => workflowDeadlineService.runEscalations();
+
+export default {
+  escalateWorkflowDeadlines,
+};
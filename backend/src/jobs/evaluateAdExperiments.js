@@ -0,0 +1,13 @@
+import adExperimentService from '../services/adExperimentService.js';
+
+/**
+ * Promote A/B test winners for collections with auto-promotion enabled once
+ * the result is significant and every variant has enough impressions.
+ * Runs hourly from server.js, which logs the count (results come from the
+ * daily AdStatsDaily rollup).
+ */
+export const evaluateAdExperiments = () => adExperimentService.evaluateAll();
+
+export default {
+  evaluateAdExperiments,
+};
@@ -0,0 +1,14 @@
+import breakingNewsService from '../services/breakingNewsService.js';
+
+/**
+ * Retire active breaking news alerts whose expiresAt has passed.
+ * Runs every minute from server.js, which logs the count.
+ */
+export const expireBreakingNews = async () => {
+  const expired = await breakingNewsService.expireDue();
+  return { expired };
+};
+
+export default {
+  expireBreakingNews,
+};
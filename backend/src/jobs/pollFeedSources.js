@@ -0,0 +1,14 @@
+import feedIngestionService from '../services/feedIngestionService.js';
+
+/**
+ * Poll RSS/Atom feed sources whose nextPollAt has passed and import new items.
+ * Runs every minute from server.js, which logs the counts.
+ *
+ * @param {Date} now - Reference time (defaults to now)
+ */
+export const pollFeedSources = (now = new Date()) =>
+  feedIngestionService.runScheduledPoll(now);
+
+export default {
+  pollFeedSources,
+};
@@ -0,0 +1,11 @@
+import webhookService from '../services/webhookService.js';
+
+/**
+ * Retry webhook deliveries whose next attempt is due.
+ * Runs every 15 seconds by default from server.js, which logs the counts.
+ */
+export const processWebhookDeliveries = () => webhookService.processDue();
+
+export default {
+  processWebhookDeliveries,
+};
@@ -0,0 +1,15 @@
+import articlePublishService from '../services/articlePublishService.js';
+
+/**
+ * Publish articles whose scheduledPublishAt has passed and archive articles
+ * whose scheduledUnpublishAt has passed.
+ * Runs every minute from server.js, which logs the counts.
+ *
+ * @param {Date} now - Reference time (defaults to now)
+ */
+export const publishScheduledArticles = (now = new Date()) =>
+  articlePublishService.runScheduledTransitions(now);
+
+export default {
+  publishScheduledArticles,
+};
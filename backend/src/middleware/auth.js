@@ -1,11 +1,87 @@
 import { verifyAccessToken } from '../utils/jwt.js';
-import { User } from '../models/index.js';
+import { User, Session } from '../models/index.js';
 import { unauthorizedResponse, forbiddenResponse } from '../utils/apiResponse.js';
+import apiKeyService, { extractApiKey, getApiPath, getRequiredScope, hasScope } from '../services/apiKeyService.js';
+import { apiKeyLimiter } from './rateLimiter.js';
+import logger from '../services/loggerService.js';
 
 /**
- * Authenticate user via JWT token
+ * Access tokens outlive a revoked session by up to their expiry, so the
+ * session is checked on every request. Tokens without a sid predate sessions.
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) return true;
+  return Boolean(await Session.exists({ _id: decoded.sid, revokedAt: null }));
+};
+
+/**
+ * Validate an API key when one is presented: revocation, expiry, IP
+ * allowlist and the key's own rate limit. Sets req.apiKey and logs the
+ * request. Mounted on /api ahead of CSRF and the per-IP limiter; which
+ * endpoints the key may use is decided later by authenticate/optionalAuth.
+ */
+export const apiKeyAuth = async (req, res, next) => {
+  const key = extractApiKey(req);
+  if (!key) return next();
+
+  let apiKey;
+  try {
+    // req.ip honours `trust proxy`; forwarded headers could be spoofed
+    apiKey = await apiKeyService.verify(key, req.ip);
+  } catch (error) {
+    if (error.statusCode === 403) return forbiddenResponse(res, error.message);
+    if (error.statusCode === 401) return unauthorizedResponse(res, error.message);
+    return next(error);
+  }
+
+  req.apiKey = apiKey;
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    apiKeyService.recordUsage(apiKey, {
+      method: req.method,
+      path: getApiPath(req),
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ip: req.ip,
+    }).catch((error) => {
+      logger.warn('Failed to record API key usage', { apiKeyId: apiKey._id, error: error.message });
+    });
+  });
+
+  return apiKeyLimiter(req, res, next);
+};
+
+/**
+ * The account an API key acts as for this request, or an error message when
+ * the key's scopes don't cover the endpoint.
+ */
+const resolveApiKeyUser = async (req) => {
+  const scope = getRequiredScope(req.method, getApiPath(req));
+  if (!scope) return { error: 'This endpoint is not available to API keys' };
+  if (!hasScope(req.apiKey, scope)) return { error: `API key is missing the "${scope}" scope` };
+
+  const user = await User.findById(req.apiKey.user);
+  if (!user || user.status !== 'active') {
+    return { error: 'The account this API key acts as is deactivated' };
+  }
+  return { user };
+};
+
+/**
+ * Authenticate user via JWT token or API key
  */
 export const authenticate = async (req, res, next) => {
+  if (req.apiKey) {
+    try {
+      const { user, error } = await resolveApiKeyUser(req);
+      if (error) return forbiddenResponse(res, error);
+      req.user = user;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
@@ -19,6 +95,10 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = verifyAccessToken(token);
 
+    if (!(await isSessionActive(decoded))) {
+      return unauthorizedResponse(res, 'Session has been revoked. Please login again.');
+    }
+
     // Get user from database
     const user = await User.findById(decoded.id);
 
@@ -32,6 +112,7 @@ export const authenticate = async (req, res, next) => {
 
     // Attach user to request
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.message === 'Token has expired') {
@@ -44,10 +125,21 @@ export const authenticate = async (req, res, next) => {
 /**
  * Optional authentication - doesn't fail if no token or invalid token
  * This middleware NEVER returns an error - it either sets req.user or doesn't
+ * (an API key outside its scopes is treated as anonymous)
  */
 export const optionalAuth = async (req, res, next) => {
   // Default: no user
   req.user = null;
+
+  if (req.apiKey) {
+    try {
+      const { user } = await resolveApiKeyUser(req);
+      req.user = user || null;
+    } catch (error) {
+      console.warn('optionalAuth API key lookup failed:', error.message);
+    }
+    return next();
+  }
   
   try {
     const authHeader = req.headers.authorization;
@@ -74,11 +166,16 @@ export const optionalAuth = async (req, res, next) => {
       return next();
     }
     
+    if (!(await isSessionActive(decoded))) {
+      return next();
+    }
+
     // Try to find user
     const user = await User.findById(decoded.id);
 
     if (user && user.status === 'active') {
       req.user = user;
+      req.sessionId = decoded.sid || null;
     }
 
     next();
@@ -140,6 +237,11 @@ export const isTranslator = authorize('admin', 'editor', 'translator', 'writer')
  */
 export const isContentStaff = authorize('admin', 'editor', 'writer', 'translator');
 
+/**
+ * Check if user is an advertiser (self-service ad reporting)
+ */
+export const isAdvertiser = authorize('advertiser');
+
 /**
  * Check if user owns the resource or is admin
  */
@@ -181,5 +283,6 @@ export default {
   isWriter,
   isTranslator,
   isContentStaff,
+  isAdvertiser,
   isOwnerOrAdmin,
 };
@@ -41,6 +41,7 @@ const CONFIG = {
   // Paths that don't require CSRF protection (without /api prefix as it's stripped)
   excludePaths: [
     '/auth/login',
+    '/auth/2fa/verify',
     '/auth/register',
     '/auth/refresh',
     '/auth/social/exchange',
@@ -50,6 +51,7 @@ const CONFIG = {
     '/contact',
     '/newsletter/subscribe',
     '/newsletter/unsubscribe',
+    '/subscriptions/webhooks/*',
     '/health',
   ],
 };
@@ -139,6 +141,11 @@ export function csrfProtection(req, res, next) {
   if (hasBearerAuth(req)) {
     return next();
   }
+
+  // Same for requests already authenticated with an API key (see apiKeyAuth)
+  if (req.apiKey) {
+    return next();
+  }
   
   // Skip excluded paths
   if (isExcludedPath(req.path, req.method)) {
@@ -0,0 +1,18 @@
+/**
+ * GeoIP Middleware
+ * Resolves the client location once per request into `req.geo`
+ * ({ ip, source, countryCode, country, regionCode, region, city, ... }).
+ */
+
+import geoIpService from '../services/geoIpService.js';
+
+/**
+ * Uses req.ip, which follows the `trust proxy` setting (TRUST_PROXY), so
+ * X-Forwarded-For from untrusted hops can't pick the country.
+ */
+export function geoIpMiddleware(req, res, next) {
+  req.geo = geoIpService.resolve({ ip: req.ip, headers: req.headers });
+  next();
+}
+
+export default geoIpMiddleware;
@@ -13,8 +13,8 @@ export const apiLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  // Skip rate limiting in development
-  skip: () => config.env === 'development',
+  // Skip rate limiting in development; API keys have their own per-key limit
+  skip: (req) => config.env === 'development' || Boolean(req.apiKey),
 });
 
 /**
@@ -99,8 +99,24 @@ export const adEventLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Per-key limiter for API key requests; each key sets its own per-minute limit
+ */
+export const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey?.rateLimitPerMinute || config.apiKeys.defaultRateLimit,
+  keyGenerator: (req) => `api-key:${req.apiKey?._id}`,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded. Please slow down.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 export default {
   apiLimiter,
+  apiKeyLimiter,
   authLimiter,
   passwordResetLimiter,
   aiLimiter,
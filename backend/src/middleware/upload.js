@@ -114,6 +114,14 @@ export const avatarUpload = uploadImage.single('avatar');
  */
 export const featuredImageUpload = uploadImage.single('featuredImage');
 
+/**
+ * Advertiser creative upload (desktop image plus optional mobile image)
+ */
+export const adCreativeUpload = uploadImage.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'mobileImage', maxCount: 1 },
+]);
+
 /**
  * Handle multer errors
  */
@@ -156,5 +164,6 @@ export default {
   singleFile,
   avatarUpload,
   featuredImageUpload,
+  adCreativeUpload,
   handleUploadError,
 };
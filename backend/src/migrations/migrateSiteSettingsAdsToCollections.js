@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script: SiteSettings ad slots → AdCollection + Ad
+ *
+ * Moves the enabled hard-coded slots (in-article ad, floating banner, mobile
+ * sticky bottom and interstitial) into ad collections, so the ad server finds
+ * them with targeting, frequency caps and tracking. Each migrated slot is
+ * switched off in SiteSettings; its settings are left in place.
+ *
+ * The exit popup and scroll ad have no collection placement and stay in
+ * SiteSettings, where the ad server still serves them.
+ *
+ * Usage:
+ *   node src/migrations/migrateSiteSettingsAdsToCollections.js
+ *   node src/migrations/migrateSiteSettingsAdsToCollections.js --dry-run
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import AdCollection from '../models/AdCollection.js';
+import Ad from '../models/Ad.js';
+import SiteSettings from '../models/SiteSettings.js';
+import User from '../models/User.js';
+import { describeSiteSettingsAdSlots } from '../utils/siteSettingsAdSlots.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../../.env') });
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const COLLECTION_PLACEMENTS = AdCollection.schema.path('placement').enumValues;
+const AD_STYLES = Ad.schema.path('style').enumValues;
+
+async function connectDB() {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bassac_media_center';
+    await mongoose.connect(mongoURI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
+
+const collectionName = (slot) => `Site settings: ${slot.key}`;
+
+function buildCollection(slot, createdBy) {
+  return {
+    name: collectionName(slot),
+    description: `Migrated from SiteSettings.${slot.key}`,
+    placement: slot.placement,
+    targetPages: slot.pages,
+    targetDevices: slot.devices,
+    targetUserTypes: ['all'],
+    targetCountries: ['all'],
+    rotationType: 'sequential',
+    frequency: { type: slot.frequency, maxImpressions: 0, maxClicks: 0 },
+    // Below any collection ops set up by hand
+    priority: 1,
+    status: 'active',
+    createdBy,
+  };
+}
+
+function buildAd(slot, collectionId, createdBy) {
+  const { creative } = slot;
+  return {
+    collectionId,
+    name: slot.key,
+    type: creative.type,
+    imageUrl: creative.imageUrl || '',
+    mobileImageUrl: creative.mobileImageUrl || '',
+    htmlContent: creative.htmlContent || '',
+    linkUrl: creative.linkUrl || '',
+    ctaText: creative.ctaText || 'Learn More',
+    style: AD_STYLES.includes(creative.style) ? creative.style : 'banner',
+    backgroundColor: creative.backgroundColor || '',
+    showLabel: creative.showLabel !== false,
+    status: 'active',
+    createdBy,
+  };
+}
+
+async function migrate() {
+  console.log(`\n🚀 Starting migration: SiteSettings ad slots → AdCollection + Ad${DRY_RUN ? ' (dry run)' : ''}\n`);
+
+  try {
+    await connectDB();
+
+    const settings = await SiteSettings.getSettings();
+    const slots = describeSiteSettingsAdSlots(settings).filter((slot) => slot.enabled);
+    console.log(`📊 Found ${slots.length} enabled SiteSettings ad slots\n`);
+
+    const admin = await User.findOne({ role: 'admin' }).sort({ createdAt: 1 }).select('_id');
+    if (!admin) {
+      console.error('❌ No admin user found to own the new collections');
+      return;
+    }
+
+    let migratedCount = 0;
+    let skipCount = 0;
+    let keptCount = 0;
+    const disabledPaths = [];
+
+    for (const slot of slots) {
+      console.log(`📦 ${slot.key} → ${slot.placement}`);
+
+      if (!COLLECTION_PLACEMENTS.includes(slot.placement)) {
+        console.log('   ⏭️  No collection placement - stays in SiteSettings');
+        keptCount++;
+        continue;
+      }
+
+      if (!slot.creative.imageUrl && !slot.creative.htmlContent) {
+        console.log('   ⚠️  Enabled but has no image or content - skipping');
+        skipCount++;
+        continue;
+      }
+
+      const existing = await AdCollection.findOne({ name: collectionName(slot) });
+      if (existing) {
+        console.log(`   ⚠️  Collection "${existing.name}" already exists - skipping`);
+        skipCount++;
+        continue;
+      }
+
+      if (DRY_RUN) {
+        console.log(`   📝 Would create collection "${collectionName(slot)}" and disable ${slot.enabledPath}`);
+        migratedCount++;
+        continue;
+      }
+
+      const collection = await AdCollection.create(buildCollection(slot, admin._id));
+      await Ad.create(buildAd(slot, collection._id, admin._id));
+      disabledPaths.push(slot.enabledPath);
+      console.log(`   ✅ Created collection "${collection.name}"`);
+      migratedCount++;
+    }
+
+    // Turn the slots off only after their collections exist
+    if (disabledPaths.length) {
+      await SiteSettings.updateOne(
+        { _id: settings._id },
+        { $set: Object.fromEntries(disabledPaths.map((path) => [path, false])) }
+      );
+      console.log(`\n🔕 Disabled in SiteSettings: ${disabledPaths.join(', ')}`);
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   ✅ ${DRY_RUN ? 'Would migrate' : 'Migrated'}: ${migratedCount}`);
+    console.log(`   ⏭️  Kept in SiteSettings: ${keptCount}`);
+    console.log(`   ⚠️  Skipped: ${skipCount}`);
+    console.log(`   📦 Total enabled slots: ${slots.length}\n`);
+
+    if (migratedCount > 0 && !DRY_RUN) {
+      console.log('📝 Next steps:');
+      console.log('   1. Check the new collections in /dashboard/ad-collections');
+      console.log('   2. Use GET /api/ad-server/decision?placement=...&debug=true to confirm what serves\n');
+    }
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB\n');
+  }
+}
+
+// Run migration
+migrate().catch(console.error);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import DOMPurify from 'isomorphic-dompurify';
+import { pickAbTestVariant } from '../utils/abTestStats.js';
 
 /**
  * Ad Model - Individual ads within a collection
@@ -248,7 +249,8 @@ adSchema.methods.incrementClick = async function() {
 };
 
 // STATICS
-adSchema.statics.selectFromCollection = async function(collectionId, rotationType = 'weighted') {
+// `visitorKey` (see getVisitorKey) keeps ab_test assignment sticky per visitor
+adSchema.statics.selectFromCollection = async function(collectionId, rotationType = 'weighted', visitorKey = null) {
   const ads = await this.find({
     collectionId,
     status: 'active',
@@ -278,9 +280,14 @@ adSchema.statics.selectFromCollection = async function(collectionId, rotationTyp
       return ads[0]; // Fallback
     }
 
-    case 'ab_test':
-      // Equal split for A/B testing
-      return ads[Math.floor(Math.random() * ads.length)];
+    case 'ab_test': {
+      // Equal split, deterministic per visitor; a promoted winner takes over
+      const collection = await mongoose.model('AdCollection')
+        .findById(collectionId)
+        .select('abTest.winnerAdId')
+        .lean();
+      return pickAbTestVariant(collection || { _id: collectionId }, ads, visitorKey);
+    }
 
     default:
       return ads[0];
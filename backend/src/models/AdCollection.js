@@ -78,6 +78,20 @@ const adCollectionSchema = new mongoose.Schema({
     default: ['all'],
   }],
 
+  // Region targeting, ISO 3166-2 codes as resolved by geoIpService ('KH-12').
+  // Empty targetRegions = every region of the targeted countries.
+  targetRegions: [{
+    type: String,
+    trim: true,
+    uppercase: true,
+  }],
+
+  excludeRegions: [{
+    type: String,
+    trim: true,
+    uppercase: true,
+  }],
+
   // Category targeting (optional)
   targetCategories: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -91,6 +105,79 @@ const adCollectionSchema = new mongoose.Schema({
     default: 'weighted',
   },
 
+  // A/B TEST (rotationType = 'ab_test')
+  abTest: {
+    // Promote the leading variant once the result is significant
+    autoPromote: {
+      type: Boolean,
+      default: false,
+    },
+    confidenceLevel: {
+      type: Number,
+      enum: [0.9, 0.95, 0.99],
+      default: 0.95,
+    },
+    minImpressionsPerVariant: {
+      type: Number,
+      default: 1000,
+      min: 100,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'concluded'],
+      default: 'running',
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    // Once set, every visitor is served this ad
+    winnerAdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ad',
+      default: null,
+    },
+    concludedAt: {
+      type: Date,
+      default: null,
+    },
+    // Started/restarted/promoted entries with a snapshot of the results
+    history: [{
+      _id: false,
+      action: {
+        type: String,
+        enum: ['started', 'promoted', 'auto_promoted', 'restarted'],
+        required: true,
+      },
+      at: {
+        type: Date,
+        default: Date.now,
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      winnerAdId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ad',
+        default: null,
+      },
+      pValue: Number,
+      confidenceLevel: Number,
+      variants: [{
+        _id: false,
+        adId: mongoose.Schema.Types.ObjectId,
+        name: String,
+        impressions: Number,
+        clicks: Number,
+        ctr: Number,
+        ctrLow: Number,
+        ctrHigh: Number,
+      }],
+    }],
+  },
+
   // FREQUENCY CONTROL (Collection-level)
   frequency: {
     type: {
@@ -259,6 +346,7 @@ adCollectionSchema.methods.matchesContext = function(context) {
     device = 'desktop',
     isLoggedIn = false,
     country = 'all',
+    region = null,
     categoryId = null,
     placementId = null,
     sectionIndex = null,
@@ -296,6 +384,14 @@ adCollectionSchema.methods.matchesContext = function(context) {
   if (!this.targetCountries.includes('all') && !this.targetCountries.includes(country)) {
     return false;
   }
+
+  // Check region; an unresolved region only passes collections without region targeting
+  if (region && this.excludeRegions?.includes(region)) {
+    return false;
+  }
+  if (this.targetRegions?.length && !this.targetRegions.includes(region)) {
+    return false;
+  }
   
   // Check category (if targeting specific categories)
   if (this.targetCategories && this.targetCategories.length > 0 && categoryId) {
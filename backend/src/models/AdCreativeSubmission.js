@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+export const AD_CREATIVE_STATUSES = Object.freeze(['pending', 'approved', 'rejected']);
+
+/**
+ * AdCreativeSubmission Model
+ *
+ * A creative uploaded by an advertiser for one of their campaigns or ad
+ * collections. Nothing is served until staff approve it; approval adds it
+ * as a campaign ad variation or a collection ad (`liveAdId`).
+ */
+const adCreativeSubmissionSchema = new mongoose.Schema(
+  {
+    advertiser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      default: null,
+    },
+    collectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdCollection',
+      default: null,
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [200, 'Name cannot exceed 200 characters'],
+    },
+    imageUrl: {
+      type: String,
+      required: true,
+    },
+    imageStorageKey: {
+      type: String,
+      default: '',
+    },
+    mobileImageUrl: {
+      type: String,
+      default: '',
+    },
+    mobileImageStorageKey: {
+      type: String,
+      default: '',
+    },
+    linkUrl: {
+      type: String,
+      required: [true, 'Link URL is required'],
+      trim: true,
+      maxlength: [2000, 'Link URL cannot exceed 2000 characters'],
+    },
+    ctaText: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'CTA text cannot exceed 50 characters'],
+      default: 'Learn More',
+    },
+    altText: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Alt text cannot exceed 200 characters'],
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: AD_CREATIVE_STATUSES,
+      default: 'pending',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Review note cannot exceed 500 characters'],
+      default: '',
+    },
+    // Campaign variation adId or collection Ad _id once approved
+    liveAdId: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+adCreativeSubmissionSchema.index({ advertiser: 1, createdAt: -1 });
+adCreativeSubmissionSchema.index({ status: 1, createdAt: 1 });
+
+const AdCreativeSubmission = mongoose.model('AdCreativeSubmission', adCreativeSubmissionSchema);
+
+export default AdCreativeSubmission;
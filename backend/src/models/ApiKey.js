@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+export const API_KEY_SCOPES = Object.freeze([
+  'articles:read',
+  'articles:write',
+  'articles:workflow',
+  'analytics:read',
+  'ads:track',
+]);
+
+/**
+ * ApiKey Model
+ *
+ * Admin-issued credentials for machine clients. Only a SHA-256 hash of the
+ * key is stored; `prefix` is kept so admins can tell keys apart. Requests
+ * made with a key act as `user`, limited to the key's scopes.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+      default: '',
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    // Account the key acts as; its role still applies to every request
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // IPv4/IPv6 addresses or IPv4 CIDR ranges; empty allows any address
+    ipAllowlist: {
+      type: [String],
+      default: [],
+    },
+    rateLimitPerMinute: {
+      type: Number,
+      min: 1,
+      max: 10000,
+      default: () => config.apiKeys.defaultRateLimit,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIpHash: {
+      type: String,
+      default: '',
+    },
+    requestCount: {
+      type: Number,
+      default: 0,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
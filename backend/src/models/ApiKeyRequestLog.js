@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+/**
+ * ApiKeyRequestLog Model
+ *
+ * One entry per request made with an API key, kept for
+ * `config.apiKeys.logRetentionDays`.
+ */
+const apiKeyRequestLogSchema = new mongoose.Schema(
+  {
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    ipHash: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+apiKeyRequestLogSchema.index({ apiKey: 1, createdAt: -1 });
+apiKeyRequestLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.apiKeys.logRetentionDays * 24 * 60 * 60 }
+);
+
+const ApiKeyRequestLog = mongoose.model('ApiKeyRequestLog', apiKeyRequestLogSchema);
+
+export default ApiKeyRequestLog;
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import slugify from 'slugify';
+import { WORKFLOW_STAGES, resolveWorkflowStage, startWorkflowStage } from '../utils/articleWorkflow.js';
+import { TRANSLATION_LANGUAGES } from './ArticleTranslation.js';
 
 // Editor.js block schema - supports various block types
 const editorBlockSchema = new mongoose.Schema(
@@ -63,6 +65,72 @@ const workflowTimestampsSchema = new mongoose.Schema(
     { _id: false }
 );
 
+// One commissioned translation: each language has its own translator, state and review
+const translationAssignmentSchema = new mongoose.Schema(
+    {
+        language: {
+            type: String,
+            required: true,
+            lowercase: true,
+            enum: TRANSLATION_LANGUAGES,
+        },
+        translator: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null, // null = open for any translator to pick up
+        },
+        state: {
+            type: String,
+            enum: ['in_translation', 'submitted', 'approved', 'changes_requested'],
+            default: 'in_translation',
+        },
+        assignedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        assignedAt: { type: Date, default: Date.now },
+        submittedAt: { type: Date, default: null },
+        reviewedAt: { type: Date, default: null },
+        reviewer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        reviewNotes: {
+            type: String,
+            default: '',
+        },
+    },
+    { _id: false }
+);
+
+const workflowDueDatesSchema = new mongoose.Schema(
+    {
+        sourceReview: { type: Date, default: null },
+        translation: { type: Date, default: null },
+        translationReview: { type: Date, default: null },
+        finalReview: { type: Date, default: null },
+    },
+    { _id: false }
+);
+
+// Deadline clock for the stage the article is currently waiting in
+const workflowSlaSchema = new mongoose.Schema(
+    {
+        stage: {
+            type: String,
+            enum: [...Object.values(WORKFLOW_STAGES), null],
+            default: null,
+        },
+        enteredAt: { type: Date, default: null },
+        dueAt: { type: Date, default: null },
+        remindedAt: { type: Date, default: null },
+        escalatedAt: { type: Date, default: null },
+    },
+    { _id: false }
+);
+
 const workflowReviewedBySchema = new mongoose.Schema(
     {
         sourceReviewer: {
@@ -88,7 +156,7 @@ const workflowStateSnapshotSchema = new mongoose.Schema(
     {
         status: {
             type: String,
-            enum: ['draft', 'pending', 'published', 'rejected', 'archived'],
+            enum: ['draft', 'pending', 'scheduled', 'published', 'rejected', 'archived'],
             default: 'draft',
         },
         sourceReviewState: {
@@ -172,15 +240,28 @@ const articleWorkflowSchema = new mongoose.Schema(
             default: 'not_ready',
             index: true,
         },
+        // Legacy single translator; superseded by translationAssignments
         assignedTranslator: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
             default: null,
         },
+        translationAssignments: {
+            type: [translationAssignmentSchema],
+            default: [],
+        },
         timestamps: {
             type: workflowTimestampsSchema,
             default: () => ({}),
         },
+        dueDates: {
+            type: workflowDueDatesSchema,
+            default: () => ({}),
+        },
+        sla: {
+            type: workflowSlaSchema,
+            default: () => ({}),
+        },
         reviewedBy: {
             type: workflowReviewedBySchema,
             default: () => ({}),
@@ -205,6 +286,18 @@ const articleWorkflowSchema = new mongoose.Schema(
     { _id: false }
 );
 
+// A scheduled publish/unpublish that has been applied but whose side effects
+// (audit entry, caches, notifications) have not finished yet
+const scheduledTransitionSchema = new mongoose.Schema(
+    {
+        action: { type: String, enum: ['publish', 'unpublish'], required: true },
+        scheduledAt: { type: Date, default: null },
+        claimedAt: { type: Date, default: null },
+        audited: { type: Boolean, default: false },
+    },
+    { _id: false }
+);
+
 const articleSchema = new mongoose.Schema(
     {
         // Language support (default/original language)
@@ -306,13 +399,26 @@ const articleSchema = new mongoose.Schema(
         },
         status: {
             type: String,
-            enum: ['draft', 'pending', 'published', 'rejected', 'archived'],
+            enum: ['draft', 'pending', 'scheduled', 'published', 'rejected', 'archived'],
             default: 'draft',
         },
         publishedAt: {
             type: Date,
             default: null,
         },
+        // Scheduled publishing (picked up by the scheduled publisher job)
+        scheduledPublishAt: {
+            type: Date,
+            default: null,
+        },
+        scheduledUnpublishAt: {
+            type: Date,
+            default: null,
+        },
+        scheduledTransition: {
+            type: scheduledTransitionSchema,
+            default: null,
+        },
         isFeatured: {
             type: Boolean,
             default: false,
@@ -321,6 +427,13 @@ const articleSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
         },
+        // Paywall: free (always open), metered (counts toward the monthly quota),
+        // premium (subscribers with premiumArticles only)
+        accessLevel: {
+            type: String,
+            enum: ['free', 'metered', 'premium'],
+            default: 'free',
+        },
         viewCount: {
             type: Number,
             default: 0,
@@ -403,10 +516,17 @@ articleSchema.index({ status: 1, viewCount: -1 });
 // Pending articles for review (editors)
 articleSchema.index({ status: 1, createdAt: -1 });
 
+// Scheduled publisher (due publish / unpublish lookups)
+articleSchema.index({ status: 1, scheduledPublishAt: 1 });
+articleSchema.index({ status: 1, scheduledUnpublishAt: 1 });
+articleSchema.index({ 'scheduledTransition.action': 1 }, { sparse: true });
+
 // Workflow queues
 articleSchema.index({ 'workflow.sourceReviewState': 1, updatedAt: -1 });
 articleSchema.index({ 'workflow.translationState': 1, 'workflow.assignedTranslator': 1, updatedAt: -1 });
+articleSchema.index({ 'workflow.translationAssignments.state': 1, 'workflow.translationAssignments.translator': 1 });
 articleSchema.index({ 'workflow.adminApprovalState': 1, updatedAt: -1 });
+articleSchema.index({ status: 1, 'workflow.sla.dueAt': 1 }); // Deadline escalation
 
 // Full-text search with weights
 articleSchema.index(
@@ -452,6 +572,28 @@ articleSchema.pre('save', function (next) {
     next();
 });
 
+// Restart the deadline clock whenever the article moves to another workflow stage
+articleSchema.pre('save', async function () {
+    if (!this.isNew && !this.isModified('status') && !this.isModified('workflow')) {
+        return;
+    }
+
+    const stage = resolveWorkflowStage(this);
+    if ((this.workflow?.sla?.stage || null) === stage) {
+        return;
+    }
+
+    let categorySla = null;
+    if (stage && this.category) {
+        const categoryId = this.category._id || this.category;
+        const category = await mongoose.model('Category').findById(categoryId).select('workflowSlaHours').lean();
+        categorySla = category?.workflowSlaHours || null;
+    }
+
+    startWorkflowStage(this.workflow, stage, { categorySla });
+    this.markModified('workflow');
+});
+
 // Method to calculate word count from Editor.js blocks
 articleSchema.methods.calculateWordCount = function () {
     if (!this.content || !this.content.blocks) return 0;
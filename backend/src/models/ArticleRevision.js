@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * ArticleRevision Model
+ *
+ * Immutable snapshots of an article's editable content. A revision is
+ * recorded every time the article is updated (or restored), so editors can
+ * review what changed between versions and roll back a bad edit.
+ */
+
+// Fields copied from the article into every revision
+export const REVISION_TRACKED_FIELDS = Object.freeze([
+    'title',
+    'excerpt',
+    'content',
+    'featuredImage',
+    'featuredImageAlt',
+    'category',
+    'tags',
+    'metaTitle',
+    'metaDescription',
+    'postType',
+    'videoUrl',
+]);
+
+const articleRevisionSchema = new mongoose.Schema(
+    {
+        articleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Article',
+            required: true,
+        },
+        // Sequential per article (1, 2, 3...)
+        revisionNumber: {
+            type: Number,
+            required: true,
+        },
+        // Article.version at the time of the snapshot
+        articleVersion: {
+            type: Number,
+            default: 1,
+        },
+        action: {
+            type: String,
+            enum: ['baseline', 'update', 'restore'],
+            default: 'update',
+        },
+        restoredFrom: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ArticleRevision',
+            default: null,
+        },
+        editedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        status: {
+            type: String,
+            default: '',
+        },
+        // Snapshot
+        title: { type: String, default: '' },
+        excerpt: { type: String, default: '' },
+        content: {
+            type: mongoose.Schema.Types.Mixed,
+            default: () => ({ blocks: [] }),
+        },
+        featuredImage: { type: String, default: null },
+        featuredImageAlt: { type: String, default: '' },
+        category: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category',
+            default: null,
+        },
+        tags: [String],
+        metaTitle: { type: String, default: '' },
+        metaDescription: { type: String, default: '' },
+        postType: { type: String, default: 'news' },
+        videoUrl: { type: String, default: '' },
+        // Hash of the tracked fields, used to skip no-op snapshots
+        snapshotHash: {
+            type: String,
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+articleRevisionSchema.index({ articleId: 1, revisionNumber: -1 }, { unique: true });
+
+const toSnapshot = (article) => {
+    const source = typeof article?.toObject === 'function' ? article.toObject({ depopulate: true }) : article || {};
+    const snapshot = {};
+    for (const field of REVISION_TRACKED_FIELDS) {
+        snapshot[field] = source[field] ?? null;
+    }
+    snapshot.category = snapshot.category?._id || snapshot.category || null;
+    snapshot.tags = Array.isArray(snapshot.tags) ? snapshot.tags : [];
+    snapshot.content = {
+        time: snapshot.content?.time || Date.now(),
+        blocks: Array.isArray(snapshot.content?.blocks) ? snapshot.content.blocks : [],
+        version: snapshot.content?.version || '2.28.2',
+    };
+    return snapshot;
+};
+
+const hashSnapshot = (snapshot) => {
+    // content.time changes on every editor save, so it is left out of the hash
+    const { content, ...rest } = snapshot;
+    const payload = JSON.stringify({ ...rest, category: String(rest.category || ''), blocks: content.blocks });
+    return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+// Static: Snapshot of the tracked fields (used to diff against the live article)
+articleRevisionSchema.statics.buildSnapshot = function (article) {
+    return toSnapshot(article);
+};
+
+// Static: Latest revision for an article
+articleRevisionSchema.statics.getLatest = async function (articleId) {
+    return this.findOne({ articleId }).sort({ revisionNumber: -1 });
+};
+
+/**
+ * Static: Record a snapshot of the article's current state.
+ * Returns null when the tracked fields are identical to the latest revision.
+ */
+articleRevisionSchema.statics.recordRevision = async function (
+    article,
+    { editedBy = null, action = 'update', restoredFrom = null } = {}
+) {
+    const snapshot = toSnapshot(article);
+    const snapshotHash = hashSnapshot(snapshot);
+
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+        const latest = await this.getLatest(article._id);
+        if (latest && latest.snapshotHash === snapshotHash && action !== 'restore') {
+            return null;
+        }
+
+        try {
+            return await this.create({
+                ...snapshot,
+                articleId: article._id,
+                revisionNumber: (latest?.revisionNumber || 0) + 1,
+                articleVersion: article.version || 1,
+                action,
+                restoredFrom,
+                editedBy: editedBy?._id || editedBy || null,
+                status: article.status || '',
+                snapshotHash,
+            });
+        } catch (error) {
+            // Concurrent save took the same revision number - retry once
+            if (error?.code !== 11000 || attempt > 0) {
+                throw error;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Static: Record the pre-edit state of an article that has no revisions yet
+ * (articles created before revision history existed, or never edited).
+ */
+articleRevisionSchema.statics.ensureBaseline = async function (article) {
+    const exists = await this.exists({ articleId: article._id });
+    if (exists) {
+        return null;
+    }
+    return this.recordRevision(article, {
+        editedBy: article.lastEditedBy || article.author,
+        action: 'baseline',
+    });
+};
+
+const ArticleRevision = mongoose.model('ArticleRevision', articleRevisionSchema);
+
+export default ArticleRevision;
@@ -58,6 +58,24 @@ const editorContentSchema = new mongoose.Schema(
     { _id: false }
 );
 
+// Languages an article can be translated into (ISO 639-1)
+export const TRANSLATION_LANGUAGES = Object.freeze([
+    'en', // English
+    'km', // Khmer
+    'zh', // Chinese
+    'ja', // Japanese
+    'ko', // Korean
+    'th', // Thai
+    'vi', // Vietnamese
+    'fr', // French
+    'de', // German
+    'es', // Spanish
+    'pt', // Portuguese
+    'ru', // Russian
+    'ar', // Arabic
+    'hi', // Hindi
+]);
+
 const translationWorkflowTimestampsSchema = new mongoose.Schema(
     {
         submittedAt: { type: Date, default: null },
@@ -121,22 +139,7 @@ const articleTranslationSchema = new mongoose.Schema(
             type: String,
             required: true,
             lowercase: true,
-            enum: [
-                'en', // English
-                'km', // Khmer
-                'zh', // Chinese
-                'ja', // Japanese
-                'ko', // Korean
-                'th', // Thai
-                'vi', // Vietnamese
-                'fr', // French
-                'de', // German
-                'es', // Spanish
-                'pt', // Portuguese
-                'ru', // Russian
-                'ar', // Arabic
-                'hi', // Hindi
-            ],
+            enum: TRANSLATION_LANGUAGES,
             // index: true, // Removed - covered by compound indexes below
         },
 
@@ -4,9 +4,11 @@ import mongoose from 'mongoose';
  * Breaking News Model
  * 
  * Real-time breaking news alerts
- * Pushed to all users via Socket.IO
+ * Fanned out by breakingNewsService to Socket.IO, Telegram and newsletter subscribers
  */
 
+export const BREAKING_NEWS_CHANNELS = ['socket', 'telegram', 'email'];
+
 const breakingNewsSchema = new mongoose.Schema({
   // Title
   title: {
@@ -48,6 +50,12 @@ const breakingNewsSchema = new mongoose.Schema({
     default: 'draft',
   },
 
+  // Where the alert is delivered when published
+  channels: {
+    type: [{ type: String, enum: BREAKING_NEWS_CHANNELS }],
+    default: () => [...BREAKING_NEWS_CHANNELS],
+  },
+
   // Auto-expire after this date
   expiresAt: {
     type: Date,
@@ -62,6 +70,11 @@ const breakingNewsSchema = new mongoose.Schema({
     views: { type: Number, default: 0 },
     clicks: { type: Number, default: 0 },
     sent: { type: Number, default: 0 },
+    delivery: {
+      socket: { type: Number, default: 0 },
+      telegram: { type: Number, default: 0 },
+      email: { type: Number, default: 0 },
+    },
   },
 
   // Created by
@@ -80,29 +93,11 @@ breakingNewsSchema.index({ expiresAt: 1 });
 
 // METHODS
 
-// Publish breaking news
+// Publish breaking news (delivery is handled by breakingNewsService)
 breakingNewsSchema.methods.publish = async function() {
   this.status = 'active';
   this.publishedAt = new Date();
   await this.save();
-
-  // Send to all users via Socket.IO
-  if (global.socketService) {
-    global.socketService.sendBreakingNews({
-      id: this._id,
-      title: this.title,
-      summary: this.summary,
-      url: this.url || `/articles/${this.article}`,
-      imageUrl: this.imageUrl,
-      priority: this.priority,
-      publishedAt: this.publishedAt,
-    });
-
-    // Update sent count
-    this.stats.sent = global.socketService.getOnlineCount();
-    await this.save();
-  }
-
   return this;
 };
 
@@ -113,18 +108,6 @@ breakingNewsSchema.methods.expire = async function() {
   return this;
 };
 
-// Increment view count
-breakingNewsSchema.methods.incrementViews = async function() {
-  this.stats.views += 1;
-  await this.save();
-};
-
-// Increment click count
-breakingNewsSchema.methods.incrementClicks = async function() {
-  this.stats.clicks += 1;
-  await this.save();
-};
-
 // STATICS
 
 // Get active breaking news
@@ -140,6 +123,17 @@ breakingNewsSchema.statics.getActive = async function() {
     .lean();
 };
 
+// Count a view or click atomically; only live alerts are tracked
+breakingNewsSchema.statics.incrementStat = async function(id, stat) {
+  const now = new Date();
+  const result = await this.updateOne(
+    { _id: id, status: 'active', expiresAt: { $gt: now } },
+    { $inc: { [`stats.${stat}`]: 1 } }
+  );
+
+  return result.matchedCount > 0;
+};
+
 // Auto-expire old breaking news
 breakingNewsSchema.statics.expireOld = async function() {
   const now = new Date();
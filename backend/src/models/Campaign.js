@@ -276,6 +276,49 @@ const campaignSchema = new mongoose.Schema({
     index: true,
   },
 
+  // BILLING (direct-sold inventory)
+  billing: {
+    pricingModel: {
+      type: String,
+      enum: ['cpm', 'cpc', 'flat'],
+      default: 'flat',
+    },
+    // Per 1,000 impressions (cpm), per click (cpc) or for the whole flight (flat)
+    rate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+      uppercase: true,
+      trim: true,
+      maxLength: 3,
+    },
+    dailyCap: {
+      type: Number,
+      default: 0, // 0 = no daily cap
+      min: 0,
+    },
+    // even = spread the budget over the schedule (or the day), asap = spend as fast as served
+    pacing: {
+      type: String,
+      enum: ['even', 'asap'],
+      default: 'even',
+    },
+    // Set when the campaign was paused automatically
+    pausedReason: {
+      type: String,
+      enum: ['budget_exhausted', null],
+      default: null,
+    },
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+
   // CAMPAIGN STATS (Aggregated from all ads)
   stats: {
     totalImpressions: {
@@ -294,10 +337,11 @@ const campaignSchema = new mongoose.Schema({
       type: Number,
       default: 0,
     },
-    // Budget tracking (optional)
+    // Lifetime budget (0 = no cap); spent is charged per event by campaignBillingService
     budget: {
       type: Number,
       default: 0,
+      min: 0,
     },
     spent: {
       type: Number,
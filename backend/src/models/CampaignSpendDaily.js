@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * CampaignSpendDaily Model - Per-day delivery and spend for a campaign
+ *
+ * `day` is the calendar day (YYYY-MM-DD) in the campaign's schedule timezone,
+ * so daily caps and spend reports line up with the advertiser's day.
+ * Written by campaignBillingService on every tracked event.
+ */
+const campaignSpendDailySchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true,
+  },
+  day: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/,
+  },
+
+  impressions: { type: Number, default: 0 },
+  clicks: { type: Number, default: 0 },
+  conversions: { type: Number, default: 0 },
+  spend: { type: Number, default: 0 },
+}, {
+  timestamps: true,
+});
+
+campaignSpendDailySchema.index({ campaign: 1, day: 1 }, { unique: true });
+
+const CampaignSpendDaily = mongoose.model('CampaignSpendDaily', campaignSpendDailySchema);
+
+export default CampaignSpendDaily;
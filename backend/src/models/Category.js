@@ -72,6 +72,13 @@ const categorySchema = new mongoose.Schema(
       type: String,
       maxlength: [160, 'Meta description cannot exceed 160 characters'],
     },
+    // Per-stage workflow deadlines in hours; null falls back to config.workflow.slaHours
+    workflowSlaHours: {
+      sourceReview: { type: Number, min: 0.25, max: 720, default: null },
+      translation: { type: Number, min: 0.25, max: 720, default: null },
+      translationReview: { type: Number, min: 0.25, max: 720, default: null },
+      finalReview: { type: Number, min: 0.25, max: 720, default: null },
+    },
   },
   {
     timestamps: true,
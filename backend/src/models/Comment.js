@@ -1,5 +1,91 @@
 import mongoose from 'mongoose';
 
+export const COMMENT_REPORT_REASONS = Object.freeze([
+  'spam',
+  'harassment',
+  'hate_speech',
+  'misinformation',
+  'off_topic',
+  'other',
+]);
+
+const commentReportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: COMMENT_REPORT_REASONS,
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Report note cannot exceed 500 characters'],
+      default: '',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Audit trail of moderation decisions (manual, bulk and automatic)
+const moderationEntrySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['moderated', 'bulk_moderated', 'auto_hidden'],
+      required: true,
+    },
+    fromStatus: String,
+    toStatus: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // null for automatic actions
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Result of the spam pipeline when the comment was submitted
+const spamCheckSchema = new mongoose.Schema(
+  {
+    score: {
+      type: Number,
+      default: 0,
+    },
+    reasons: {
+      type: [String],
+      default: [],
+    },
+    // Held only because the guest had not verified their email yet
+    heldForVerification: {
+      type: Boolean,
+      default: false,
+    },
+    checkedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const commentSchema = new mongoose.Schema(
   {
     article: {
@@ -23,6 +109,10 @@ const commentSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    guestVerified: {
+      type: Boolean,
+      default: false,
+    },
     content: {
       type: String,
       required: [true, 'Comment content is required'],
@@ -71,6 +161,43 @@ const commentSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    spamCheck: {
+      type: spamCheckSchema,
+      default: undefined,
+      select: false,
+    },
+    // Reader reports; "open" until a moderator acts on the comment
+    reports: {
+      type: [commentReportSchema],
+      default: [],
+      select: false,
+    },
+    reportCount: {
+      type: Number,
+      default: 0,
+    },
+    reportStatus: {
+      type: String,
+      enum: ['none', 'open', 'resolved'],
+      default: 'none',
+    },
+    moderationLog: {
+      type: [moderationEntrySchema],
+      default: [],
+      select: false,
+    },
+    // Posted while the commenter was shadow-banned: shown only to its author
+    shadowHidden: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
+    // When the comment.created webhook went out, i.e. when the comment first became public
+    announcedAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
     // For tracking IP and preventing abuse
     ipAddress: {
       type: String,
@@ -93,6 +220,10 @@ commentSchema.index({ article: 1, status: 1, createdAt: -1 });
 commentSchema.index({ author: 1 });
 commentSchema.index({ parent: 1 });
 commentSchema.index({ status: 1 });
+commentSchema.index({ reportStatus: 1, reportCount: -1 });
+// Per-IP and per-email rate limits look back over recent comments
+commentSchema.index({ ipAddress: 1, createdAt: -1 });
+commentSchema.index({ guestEmail: 1, createdAt: -1 });
 
 // Virtual for replies
 commentSchema.virtual('replies', {
@@ -114,6 +245,7 @@ commentSchema.statics.findByArticle = function (articleId, includeReplies = true
   const query = this.find({
     article: articleId,
     status: 'approved',
+    shadowHidden: { $ne: true },
     parent: null, // Top-level comments only
   })
     .populate('author', 'firstName lastName avatar')
@@ -122,7 +254,7 @@ commentSchema.statics.findByArticle = function (articleId, includeReplies = true
   if (includeReplies) {
     query.populate({
       path: 'replies',
-      match: { status: 'approved' },
+      match: { status: 'approved', shadowHidden: { $ne: true } },
       populate: { path: 'author', select: 'firstName lastName avatar' },
       options: { sort: { createdAt: 1 } },
     });
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+export const COMMENTER_SANCTION_TYPES = Object.freeze(['ban', 'suspension', 'shadow_ban']);
+
+/**
+ * CommenterSanction Model
+ *
+ * One document per ban, timed suspension or shadow-ban. Registered users are
+ * matched by account; guests by hashed email and/or IP. Documents are never
+ * deleted: lifting a sanction stamps liftedAt, so the collection doubles as
+ * the commenter moderation log.
+ */
+const commenterSanctionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    emailHash: {
+      type: String,
+      default: null,
+    },
+    ipHash: {
+      type: String,
+      default: null,
+    },
+    // Masked guest identity ("d***@example.com") so moderators can tell entries apart
+    label: {
+      type: String,
+      default: '',
+    },
+    type: {
+      type: String,
+      enum: COMMENTER_SANCTION_TYPES,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: '',
+    },
+    // null = until lifted; suspensions always expire
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Comment the moderator acted from, if any
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    liftedAt: {
+      type: Date,
+      default: null,
+    },
+    liftedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    liftReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+commenterSanctionSchema.index({ user: 1, createdAt: -1 });
+commenterSanctionSchema.index({ emailHash: 1 }, { sparse: true });
+commenterSanctionSchema.index({ ipHash: 1 }, { sparse: true });
+commenterSanctionSchema.index({ createdAt: -1 });
+
+commenterSanctionSchema.virtual('isActive').get(function () {
+  return !this.liftedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Filter for sanctions in force at `now`
+commenterSanctionSchema.statics.activeFilter = function (now = new Date()) {
+  return {
+    liftedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  };
+};
+
+const CommenterSanction = mongoose.model('CommenterSanction', commenterSanctionSchema);
+
+export default CommenterSanction;
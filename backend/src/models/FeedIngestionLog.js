@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+/**
+ * FeedIngestionLog Model
+ *
+ * One document per poll of a feed source, with the outcome of each item so
+ * editors can review what was imported, skipped or failed.
+ */
+
+const LOG_ITEM_LIMIT = 100;
+
+const ingestionLogItemSchema = new mongoose.Schema({
+  guid: { type: String, default: '' },
+  link: { type: String, default: '' },
+  title: { type: String, default: '' },
+  outcome: {
+    type: String,
+    enum: ['imported', 'duplicate', 'skipped', 'failed'],
+    required: true,
+  },
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    default: null,
+  },
+  message: { type: String, default: '' },
+}, { _id: false });
+
+const feedIngestionLogSchema = new mongoose.Schema({
+  feedSource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedSource',
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduler', 'manual'],
+    default: 'scheduler',
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'partial', 'not_modified', 'error'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: () => new Date(),
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+  httpStatus: {
+    type: Number,
+    default: null,
+  },
+  itemsFound: { type: Number, default: 0 },
+  itemsImported: { type: Number, default: 0 },
+  itemsDuplicate: { type: Number, default: 0 },
+  itemsFailed: { type: Number, default: 0 },
+  error: {
+    type: String,
+    default: '',
+  },
+  items: {
+    type: [ingestionLogItemSchema],
+    default: [],
+  },
+}, {
+  timestamps: true,
+});
+
+feedIngestionLogSchema.index({ feedSource: 1, startedAt: -1 });
+// Logs are kept for 90 days
+feedIngestionLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Method: record the outcome of one feed item
+feedIngestionLogSchema.methods.addItem = function (item) {
+  const counters = {
+    imported: 'itemsImported',
+    duplicate: 'itemsDuplicate',
+    failed: 'itemsFailed',
+  };
+  if (counters[item.outcome]) {
+    this[counters[item.outcome]] += 1;
+  }
+  if (this.items.length < LOG_ITEM_LIMIT) {
+    this.items.push(item);
+  }
+};
+
+const FeedIngestionLog = mongoose.model('FeedIngestionLog', feedIngestionLogSchema);
+
+export default FeedIngestionLog;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * FeedItem Model
+ *
+ * Registry of every feed item the poller has seen, used to deduplicate on
+ * GUID and link across polls and sources (even after the article is deleted).
+ */
+
+const feedItemSchema = new mongoose.Schema({
+  feedSource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedSource',
+    required: true,
+  },
+  guid: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  link: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  title: {
+    type: String,
+    default: '',
+  },
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    default: null,
+  },
+  itemPublishedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+feedItemSchema.index({ guid: 1 }, { unique: true });
+feedItemSchema.index({ link: 1 });
+feedItemSchema.index({ feedSource: 1, createdAt: -1 });
+
+// Static: Items (by guid or link) that have already been ingested
+feedItemSchema.statics.findExisting = async function (items = []) {
+  const guids = items.map((item) => item.guid).filter(Boolean);
+  const links = items.map((item) => item.link).filter(Boolean);
+  if (!guids.length && !links.length) return [];
+
+  return this.find({
+    $or: [
+      { guid: { $in: guids } },
+      { link: { $in: links } },
+    ],
+  })
+    .select('guid link')
+    .lean();
+};
+
+const FeedItem = mongoose.model('FeedItem', feedItemSchema);
+
+export default FeedItem;
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+
+/**
+ * FeedSource Model
+ *
+ * An external RSS/Atom feed polled on a schedule. New items become articles
+ * owned by the source's default author, either as drafts or submitted
+ * straight into editor review.
+ */
+
+const feedSourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Source name is required'],
+    trim: true,
+    maxlength: [120, 'Source name cannot exceed 120 characters'],
+  },
+  url: {
+    type: String,
+    required: [true, 'Feed URL is required'],
+    trim: true,
+    unique: true,
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Target category is required'],
+  },
+  defaultAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Default author is required'],
+  },
+  language: {
+    type: String,
+    default: 'en',
+    trim: true,
+    lowercase: true,
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+  }],
+  pollIntervalMinutes: {
+    type: Number,
+    default: 30,
+    min: [5, 'Polling interval must be at least 5 minutes'],
+    max: [1440, 'Polling interval cannot exceed 24 hours'],
+  },
+  // draft: items land as drafts; submit: items go through source submission
+  ingestMode: {
+    type: String,
+    enum: ['draft', 'submit'],
+    default: 'draft',
+  },
+  maxItemsPerPoll: {
+    type: Number,
+    default: 20,
+    min: 1,
+    max: 100,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+
+  // Polling state
+  nextPollAt: {
+    type: Date,
+    default: () => new Date(),
+  },
+  lastPolledAt: {
+    type: Date,
+    default: null,
+  },
+  lastStatus: {
+    type: String,
+    enum: ['never', 'success', 'partial', 'not_modified', 'error'],
+    default: 'never',
+  },
+  lastError: {
+    type: String,
+    default: '',
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0,
+  },
+  // Conditional GET validators from the last successful fetch
+  etag: {
+    type: String,
+    default: '',
+  },
+  lastModified: {
+    type: String,
+    default: '',
+  },
+  totalImported: {
+    type: Number,
+    default: 0,
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+feedSourceSchema.index({ isActive: 1, nextPollAt: 1 });
+
+// Method: schedule the next poll, backing off after repeated failures
+feedSourceSchema.methods.scheduleNextPoll = function (from = new Date()) {
+  const backoff = Math.min(2 ** Math.max(0, this.consecutiveFailures - 1), 8);
+  this.nextPollAt = new Date(from.getTime() + this.pollIntervalMinutes * 60 * 1000 * backoff);
+  return this.nextPollAt;
+};
+
+const FeedSource = mongoose.model('FeedSource', feedSourceSchema);
+
+export default FeedSource;
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Guest comment emails; once verified, later comments from the address are
+// trusted when they come from a browser that proved it owns the address
+const MAX_TRUSTED_BROWSERS = 10;
+
+const hashGuestToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const guestCommenterSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+      default: '',
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // SHA-256 of the emailed token; the raw token is never stored
+    verificationToken: {
+      type: String,
+      select: false,
+    },
+    verificationExpires: {
+      type: Date,
+      select: false,
+    },
+    verificationSentAt: {
+      type: Date,
+      default: null,
+    },
+    // Browsers that opened the verification link, by hashed cookie token
+    trustedBrowsers: {
+      type: [{
+        _id: false,
+        tokenHash: { type: String, required: true },
+        expiresAt: { type: Date, required: true },
+      }],
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+guestCommenterSchema.index({ verificationToken: 1 }, { sparse: true });
+
+guestCommenterSchema.virtual('isVerified').get(function () {
+  return Boolean(this.verifiedAt);
+});
+
+// Issue a fresh verification token; returns it so it can be emailed
+guestCommenterSchema.methods.createVerificationToken = function (ttlHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.verificationToken = hashGuestToken(token);
+  this.verificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  this.verificationSentAt = new Date();
+  return token;
+};
+
+// Remember the verifying browser; returns the raw token for its cookie
+guestCommenterSchema.methods.trustBrowser = function (ttlDays, now = new Date()) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(now.getTime() + ttlDays * 24 * 60 * 60 * 1000);
+  this.trustedBrowsers = (this.trustedBrowsers || [])
+    .filter((browser) => browser.expiresAt > now)
+    .slice(-(MAX_TRUSTED_BROWSERS - 1))
+    .concat({ tokenHash: hashGuestToken(token), expiresAt });
+  return { token, expiresAt };
+};
+
+guestCommenterSchema.statics.findByVerificationToken = function (token, now = new Date()) {
+  return this.findOne({
+    verificationToken: hashGuestToken(token),
+    verificationExpires: { $gt: now },
+  }).select('+verificationToken +verificationExpires +trustedBrowsers');
+};
+
+// A verified email counts only together with the cookie its verification issued
+guestCommenterSchema.statics.isTrustedBrowser = async function (email, token, now = new Date()) {
+  if (!email || !token) return false;
+  const guest = await this.exists({
+    email: String(email).toLowerCase().trim(),
+    verifiedAt: { $ne: null },
+    trustedBrowsers: { $elemMatch: { tokenHash: hashGuestToken(token), expiresAt: { $gt: now } } },
+  });
+  return Boolean(guest);
+};
+
+const GuestCommenter = mongoose.model('GuestCommenter', guestCommenterSchema);
+
+export default GuestCommenter;
@@ -1,5 +1,20 @@
 import mongoose from 'mongoose';
 
+const imageVariantSchema = new mongoose.Schema(
+  {
+    width: Number,
+    height: Number,
+    format: {
+      type: String,
+      enum: ['webp', 'avif'],
+    },
+    url: String,
+    storageKey: String,
+    size: Number,
+  },
+  { _id: false }
+);
+
 const mediaSchema = new mongoose.Schema(
   {
     filename: {
@@ -50,6 +65,12 @@ const mediaSchema = new mongoose.Schema(
       small: String, // 150x150
       medium: String, // 300x300
       large: String, // 600x600
+      // Responsive width variants (srcset) and a blurred inline placeholder
+      variants: {
+        type: [imageVariantSchema],
+        default: undefined,
+      },
+      placeholder: String,
     },
     alt: {
       type: String,
@@ -91,6 +112,7 @@ mediaSchema.index({ uploadedBy: 1, createdAt: -1 });
 mediaSchema.index({ mimeType: 1 });
 mediaSchema.index({ storageProvider: 1 });
 mediaSchema.index({ tags: 1 });
+mediaSchema.index({ url: 1 });
 
 // Virtual for checking if it's an image
 mediaSchema.virtual('isImage').get(function () {
@@ -21,6 +21,7 @@ const notificationSchema = new mongoose.Schema({
       'translation_assigned',   // Translation task assigned
       'translation_submitted',  // Translation submitted for review
       'admin_review_pending',   // Waiting for final admin review
+      'workflow_overdue',       // Workflow item is past its stage deadline
       'comment_received',       // Someone commented on your article
       'comment_reply',          // Someone replied to your comment
       'comment_approved',       // Your comment was approved
@@ -31,6 +32,8 @@ const notificationSchema = new mongoose.Schema({
       'system_announcement',    // System-wide announcement
       'newsletter_subscribed',  // New newsletter subscriber (admin)
       'contact_message',        // New contact message (admin)
+      'creative_approved',      // Your ad creative is live (advertiser)
+      'creative_rejected',      // Your ad creative was not approved (advertiser)
     ],
     required: true,
   },
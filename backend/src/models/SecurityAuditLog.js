@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+export const SECURITY_AUDIT_ACTIONS = Object.freeze([
+  '2fa_enabled',
+  '2fa_disabled',
+  '2fa_reset',
+  '2fa_recovery_code_used',
+  '2fa_recovery_codes_regenerated',
+]);
+
+/**
+ * SecurityAuditLog Model
+ *
+ * Append-only record of account security changes. `actor` is who did it,
+ * `subject` whose account it affected; they differ when an admin resets
+ * someone else's two-factor authentication.
+ */
+const securityAuditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: SECURITY_AUDIT_ACTIONS,
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: '',
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+securityAuditLogSchema.index({ subject: 1, createdAt: -1 });
+securityAuditLogSchema.index({ action: 1, createdAt: -1 });
+securityAuditLogSchema.index({ createdAt: -1 });
+
+const SecurityAuditLog = mongoose.model('SecurityAuditLog', securityAuditLogSchema);
+
+export default SecurityAuditLog;
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+export const SESSION_REVOKE_REASONS = Object.freeze([
+  'logout',
+  'revoked',
+  'admin',
+  'token_reuse',
+  'password_reset',
+  '2fa_reset',
+]);
+
+/**
+ * Session Model
+ *
+ * One document per signed-in device. The refresh token rotates on every use
+ * and only the hash of the current one is kept; presenting any earlier token
+ * from the same session is treated as theft and revokes the session.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    deviceType: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+      default: 'unknown',
+    },
+    ipHash: {
+      type: String,
+      default: '',
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
+    // Expiry of the current refresh token; the document is removed after it
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    revokeReason: {
+      type: String,
+      enum: [...SESSION_REVOKE_REASONS, null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
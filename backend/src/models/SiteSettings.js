@@ -199,6 +199,12 @@ const siteSettingsSchema = new mongoose.Schema({
     maintenanceMode: { type: Boolean, default: false },
     maintenanceMessage: { type: String, default: 'Site is under maintenance. Please check back later.' }
   },
+
+  // Account security policy
+  security: {
+    // Admins and editors must enroll in two-factor authentication before they can sign in
+    requireStaffTwoFactor: { type: Boolean, default: false }
+  },
   
   // Custom Code
   customCode: {
@@ -53,7 +53,7 @@ const subscriptionSchema = new mongoose.Schema({
   // Payment provider
   paymentProvider: {
     type: String,
-    enum: ['stripe', 'paypal', 'manual', 'free'],
+    enum: ['stripe', 'paypal', 'manual', 'free', 'fake'],
     default: 'free',
   },
 
@@ -62,6 +62,9 @@ const subscriptionSchema = new mongoose.Schema({
   stripeSubscriptionId: String,
   stripePriceId: String,
 
+  // Reference of the latest checkout/subscription at the payment provider
+  providerReference: String,
+
   // Trial
   trial: {
     isActive: {
@@ -141,12 +144,12 @@ const subscriptionSchema = new mongoose.Schema({
 });
 
 // Indexes
-subscriptionSchema.index({ userId: 1 });
 subscriptionSchema.index({ status: 1 });
 subscriptionSchema.index({ plan: 1 });
 subscriptionSchema.index({ 'billing.nextBillingDate': 1 });
 subscriptionSchema.index({ stripeCustomerId: 1 });
 subscriptionSchema.index({ stripeSubscriptionId: 1 });
+subscriptionSchema.index({ providerReference: 1 });
 
 // VIRTUAL FIELDS
 
@@ -165,43 +168,48 @@ subscriptionSchema.virtual('isTrialActive').get(function() {
 
 // Check if user has reached article limit
 subscriptionSchema.virtual('hasReachedLimit').get(function() {
-  // Unlimited for paid plans
-  if (this.plan !== 'free') return false;
+  // Unlimited for paid plans and running trials
+  if ((this.plan !== 'free' && this.isActive) || this.isTrialActive) return false;
+  if (this.limits.articlesPerMonth < 0) return false;
   
   return this.limits.currentArticlesRead >= this.limits.articlesPerMonth;
 });
 
 // METHODS
 
-// Check if user can access article
+// Check if user can access article (metered articles also need a read recorded)
 subscriptionSchema.methods.canAccessArticle = function(article) {
+  const accessLevel = article.accessLevel || 'free';
+
   // Free articles are accessible to everyone
-  if (!article.isPremium) {
+  if (accessLevel === 'free') {
     return true;
   }
 
-  // Premium articles require subscription
-  if (this.plan === 'free') {
-    // Check if user has free articles remaining
-    if (this.hasReachedLimit) {
-      return false;
-    }
+  // Premium articles require a subscription with premium access
+  if (accessLevel === 'premium') {
+    return this.isActive && Boolean(this.features?.premiumArticles);
   }
 
-  return true;
+  // Metered articles count against the monthly quota
+  return !this.hasReachedLimit;
 };
 
-// Increment article read count
-subscriptionSchema.methods.incrementArticleRead = async function() {
-  // Reset counter if month has passed
-  const now = new Date();
+// Reset the monthly counter once a new month has started
+subscriptionSchema.methods.resetMonthlyLimitIfDue = function(now = new Date()) {
   const lastReset = new Date(this.limits.lastResetDate);
-  
+
   if (now.getMonth() !== lastReset.getMonth() || now.getFullYear() !== lastReset.getFullYear()) {
     this.limits.currentArticlesRead = 0;
     this.limits.lastResetDate = now;
+    return true;
   }
+  return false;
+};
 
+// Increment article read count
+subscriptionSchema.methods.incrementArticleRead = async function() {
+  this.resetMonthlyLimitIfDue();
   this.limits.currentArticlesRead += 1;
   await this.save();
 };
@@ -37,7 +37,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['admin', 'editor', 'writer', 'translator', 'user'],
+      enum: ['admin', 'editor', 'writer', 'translator', 'advertiser', 'user'],
       default: 'user',
     },
     googleId: {
@@ -85,6 +85,28 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Trusted commenters skip pre-moderation; only a spam-level score holds them
+    commentTrusted: {
+      type: Boolean,
+      default: false,
+    },
+    // Advertiser accounts only see reporting for the records linked here
+    advertiser: {
+      company: {
+        type: String,
+        trim: true,
+        maxlength: [120, 'Company cannot exceed 120 characters'],
+        default: '',
+      },
+      campaigns: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+      }],
+      collections: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdCollection',
+      }],
+    },
     profileNeedsCompletion: {
       type: Boolean,
       default: false,
@@ -116,8 +138,45 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
-    refreshToken: {
-      type: String,
+    // TOTP two-factor authentication. Secrets are encrypted at rest and
+    // recovery codes are stored as hashes, each removed once used.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret shown during enrollment, promoted to `secret` once a code confirms it
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Browsers that may skip the second step ("trust this device")
+    trustedDevices: {
+      type: [{
+        _id: false,
+        tokenHash: { type: String, required: true },
+        label: { type: String, default: '' },
+        expiresAt: { type: Date, required: true },
+        lastUsedAt: { type: Date, default: null },
+      }],
       select: false,
     },
   },
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENTS = Object.freeze([
+  'article.published',
+  'translation.approved',
+  'comment.created',
+]);
+
+/**
+ * Webhook Model
+ *
+ * An outbound subscription: matching events are POSTed to `url` as JSON,
+ * signed with HMAC-SHA256 using `secret`. Deliveries are queued in
+ * WebhookDelivery and retried there.
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+      default: '',
+    },
+    url: {
+      type: String,
+      required: [true, 'URL is required'],
+      trim: true,
+      maxlength: [2000, 'URL cannot exceed 2000 characters'],
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'At least one event is required',
+      },
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ['succeeded', 'failed', null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
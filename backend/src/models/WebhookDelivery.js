@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+export const WEBHOOK_DELIVERY_STATUSES = Object.freeze(['pending', 'succeeded', 'dead']);
+
+/**
+ * WebhookDelivery Model
+ *
+ * The persistent delivery queue. A delivery stays `pending` while it has
+ * attempts left (`nextAttemptAt` is when the next one is due), then ends as
+ * `succeeded` or `dead`. Dead deliveries can be redelivered by hand.
+ * Kept for `config.webhooks.deliveryRetentionDays`.
+ */
+const attemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+    statusCode: { type: Number, default: null },
+    error: { type: String, default: '' },
+    durationMs: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Shared by every delivery of the same event so receivers can de-duplicate
+    eventId: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: WEBHOOK_DELIVERY_STATUSES,
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastStatusCode: {
+      type: Number,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: '',
+    },
+    // Most recent attempts, newest last
+    attemptLog: {
+      type: [attemptSchema],
+      default: [],
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.webhooks.deliveryRetentionDays * 24 * 60 * 60 }
+);
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -1,9 +1,18 @@
 export { default as User } from './User.js';
+export { default as Session, SESSION_REVOKE_REASONS } from './Session.js';
+export { default as ApiKey, API_KEY_SCOPES } from './ApiKey.js';
+export { default as ApiKeyRequestLog } from './ApiKeyRequestLog.js';
+export { default as Webhook, WEBHOOK_EVENTS } from './Webhook.js';
+export { default as WebhookDelivery, WEBHOOK_DELIVERY_STATUSES } from './WebhookDelivery.js';
 export { default as Article } from './Article.js';
 export { default as ArticleTranslation } from './ArticleTranslation.js';
+export { default as ArticleRevision } from './ArticleRevision.js';
 export { default as Category } from './Category.js';
 export { default as CategoryTranslation } from './CategoryTranslation.js';
 export { default as Comment } from './Comment.js';
+export { default as GuestCommenter } from './GuestCommenter.js';
+export { default as CommenterSanction, COMMENTER_SANCTION_TYPES } from './CommenterSanction.js';
+export { default as SecurityAuditLog, SECURITY_AUDIT_ACTIONS } from './SecurityAuditLog.js';
 export { default as Media } from './Media.js';
 export { default as SiteSettings } from './SiteSettings.js';
 export { default as Newsletter } from './Newsletter.js';
@@ -13,6 +22,13 @@ export { default as AdCollection } from './AdCollection.js';
 export { default as AdEvent } from './AdEvent.js';
 export { default as AdStatsDaily } from './AdStatsDaily.js';
 export { default as Campaign } from './Campaign.js';
+export { default as CampaignSpendDaily } from './CampaignSpendDaily.js';
+export { default as AdCreativeSubmission, AD_CREATIVE_STATUSES } from './AdCreativeSubmission.js';
+export { default as FeedSource } from './FeedSource.js';
+export { default as FeedItem } from './FeedItem.js';
+export { default as FeedIngestionLog } from './FeedIngestionLog.js';
+export { default as Subscription, getSubscriptionPlans } from './Subscription.js';
+export { default as BreakingNews, BREAKING_NEWS_CHANNELS } from './BreakingNews.js';
 export {
   PageView,
   SiteAnalytics,
@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import rateLimit from 'express-rate-limit';
+import adServerController from '../controllers/adServerController.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { adDecisionValidator } from '../validators/adServerValidator.js';
+
+const router = Router();
+
+const decisionLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 60, // 60 decisions per minute per IP, same as /ad-collections/select
+  message: { success: false, message: 'Too many ad requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.get('/decision', decisionLimiter, optionalAuth, adDecisionValidator, validate, adServerController.getAdDecision);
+
+export default router;
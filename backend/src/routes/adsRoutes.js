@@ -9,6 +9,10 @@ import {
   duplicateCollection,
   updateCollectionStats,
   getCollectionAnalytics,
+  getCollectionExperiment,
+  updateCollectionExperiment,
+  promoteExperimentWinner,
+  restartExperiment,
   selectCollection,
   getAds,
   getAd,
@@ -25,6 +29,7 @@ import {
   bulkDeleteAds,
 } from '../controllers/adsControllerComplete.js';
 import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
+import { hasScope } from '../services/apiKeyService.js';
 
 const router = express.Router();
 
@@ -43,6 +48,8 @@ const trackingLimiter = rateLimit({
   message: { success: false, message: 'Too many tracking requests, please slow down' },
   standardHeaders: true,
   legacyHeaders: false,
+  // Server-side partners send for many visitors from one IP; their key's own limit applies
+  skip: (req) => hasScope(req.apiKey, 'ads:track'),
 });
 
 // ==================== COLLECTION ROUTES ====================
@@ -60,6 +67,12 @@ router.post('/ad-collections/:id/duplicate', authenticate, authorize('admin'), d
 router.post('/ad-collections/:id/update-stats', authenticate, authorize('admin'), updateCollectionStats);
 router.get('/ad-collections/:id/analytics', authenticate, authorize('admin', 'editor'), getCollectionAnalytics);
 
+// A/B test results, auto-promote settings and winner promotion
+router.get('/ad-collections/:id/experiment', authenticate, authorize('admin', 'editor'), getCollectionExperiment);
+router.put('/ad-collections/:id/experiment', authenticate, authorize('admin'), updateCollectionExperiment);
+router.post('/ad-collections/:id/experiment/promote', authenticate, authorize('admin'), promoteExperimentWinner);
+router.post('/ad-collections/:id/experiment/restart', authenticate, authorize('admin'), restartExperiment);
+
 // Bulk operations for collections
 router.post('/ad-collections/bulk-update', authenticate, authorize('admin'), bulkUpdateCollections);
 router.post('/ad-collections/bulk-delete', authenticate, authorize('admin'), bulkDeleteCollections);
@@ -0,0 +1,39 @@
+import { Router } from 'express';
+import advertiserController from '../controllers/advertiserController.js';
+import { authenticate, isAdmin, isAdvertiser, isEditor } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { uploadLimiter } from '../middleware/rateLimiter.js';
+import { adCreativeUpload, handleUploadError } from '../middleware/upload.js';
+import {
+  advertiserReportValidator,
+  submitCreativeValidator,
+  reviewCreativesValidator,
+  approveCreativeValidator,
+  rejectCreativeValidator,
+} from '../validators/advertiserValidator.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+// Advertiser portal (read-only reporting, creative uploads)
+router.get('/portal', isAdvertiser, advertiserController.getPortal);
+router.get('/report', isAdvertiser, advertiserReportValidator, validate, advertiserController.getReport);
+router.get('/creatives', isAdvertiser, advertiserController.getMyCreatives);
+router.post(
+  '/creatives',
+  isAdvertiser,
+  uploadLimiter,
+  adCreativeUpload,
+  handleUploadError,
+  submitCreativeValidator,
+  validate,
+  advertiserController.submitCreative
+);
+
+// Staff review of uploaded creatives
+router.get('/creatives/review', isEditor, reviewCreativesValidator, validate, advertiserController.getCreativesForReview);
+router.post('/creatives/:id/approve', isAdmin, approveCreativeValidator, validate, advertiserController.approveCreative);
+router.post('/creatives/:id/reject', isAdmin, rejectCreativeValidator, validate, advertiserController.rejectCreative);
+
+export default router;
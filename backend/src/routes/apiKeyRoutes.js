@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import apiKeyController from '../controllers/apiKeyController.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
+import { validate, validateObjectId } from '../middleware/validation.js';
+import {
+  createApiKeyValidator,
+  updateApiKeyValidator,
+  apiKeyRequestsValidator,
+} from '../validators/apiKeyValidator.js';
+
+const router = Router();
+
+// Admin only
+router.use(authenticate, isAdmin);
+
+router.get('/', apiKeyController.getApiKeys);
+router.post('/', createApiKeyValidator, validate, apiKeyController.createApiKey);
+router.put('/:id', updateApiKeyValidator, validate, apiKeyController.updateApiKey);
+router.post('/:id/revoke', validateObjectId(), apiKeyController.revokeApiKey);
+router.get('/:id/requests', apiKeyRequestsValidator, validate, apiKeyController.getApiKeyRequests);
+
+export default router;
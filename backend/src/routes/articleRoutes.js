@@ -15,8 +15,15 @@ import {
   submitTranslationWorkflowValidator,
   approveTranslationWorkflowValidator,
   requestTranslationChangesWorkflowValidator,
+  translationProgressValidator,
+  updateTranslationAssignmentsValidator,
+  removeTranslationAssignmentValidator,
   finalApproveWorkflowValidator,
   finalRejectWorkflowValidator,
+  listArticleRevisionsValidator,
+  articleRevisionValidator,
+  diffArticleRevisionsValidator,
+  restoreArticleRevisionValidator,
 } from '../validators/articleValidator.js';
 
 const router = Router();
@@ -44,6 +51,18 @@ router.get('/:id/insights', isContentStaff, validateObjectId(), articleControlle
 router.post('/', isContentStaff, createArticleValidator, validate, articleController.createArticle);
 router.get('/id/:id', validateObjectId('id'), articleController.getArticleById);
 
+// Revision history
+router.get('/:id/revisions', isContentStaff, listArticleRevisionsValidator, validate, articleController.getArticleRevisions);
+router.get('/:id/revisions/diff', isContentStaff, diffArticleRevisionsValidator, validate, articleController.diffArticleRevisions);
+router.get('/:id/revisions/:revisionId', isContentStaff, articleRevisionValidator, validate, articleController.getArticleRevision);
+router.post(
+  '/:id/revisions/:revisionId/restore',
+  isContentStaff,
+  restoreArticleRevisionValidator,
+  validate,
+  articleController.restoreArticleRevision
+);
+
 // Workflow routes
 router.post(
   '/:id/workflow/source-submit',
@@ -87,6 +106,27 @@ router.put(
   validate,
   articleController.requestTranslationChangesForWorkflow
 );
+router.get(
+  '/:id/workflow/translations',
+  isContentStaff,
+  translationProgressValidator,
+  validate,
+  articleController.getTranslationProgress
+);
+router.put(
+  '/:id/workflow/translation-assignments',
+  authorize(['editor', 'admin']),
+  updateTranslationAssignmentsValidator,
+  validate,
+  articleController.updateTranslationAssignments
+);
+router.delete(
+  '/:id/workflow/translation-assignments/:language',
+  authorize(['editor', 'admin']),
+  removeTranslationAssignmentValidator,
+  validate,
+  articleController.removeTranslationAssignment
+);
 router.put(
   '/:id/workflow/final-approve',
   authorize('admin'),
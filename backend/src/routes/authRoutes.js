@@ -1,6 +1,6 @@
 import { Router } from 'express';
 import authController from '../controllers/authController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
 import { validate } from '../middleware/validation.js';
 import { authLimiter, passwordResetLimiter } from '../middleware/rateLimiter.js';
 import { loginRateLimiter, checkAccountLockout } from '../middleware/loginLimiter.js';
@@ -11,10 +11,14 @@ import {
   socialProviderValidator,
   socialExchangeValidator,
   loginValidator,
+  twoFactorCodeValidator,
+  twoFactorVerifyValidator,
   forgotPasswordValidator,
   resetPasswordValidator,
   changePasswordValidator,
   verifyEmailValidator,
+  sessionsValidator,
+  revokeSessionValidator,
 } from '../validators/authValidator.js';
 
 const router = Router();
@@ -73,6 +77,27 @@ router.post(
   authController.login
 );
 
+// Second login step, and enrollment for signed-in users or staff holding a setup challenge
+router.post(
+  '/2fa/verify',
+  authLimiter,
+  loginRateLimiter,
+  twoFactorVerifyValidator,
+  validate,
+  authController.verifyTwoFactor
+);
+
+router.post('/2fa/setup', authLimiter, optionalAuth, authController.setupTwoFactor);
+
+router.post(
+  '/2fa/enable',
+  authLimiter,
+  optionalAuth,
+  twoFactorCodeValidator,
+  validate,
+  authController.enableTwoFactor
+);
+
 router.post(
   '/forgot-password',
   passwordResetLimiter,
@@ -111,4 +136,13 @@ router.post(
   authController.changePassword
 );
 
+router.get('/2fa', authController.getTwoFactorStatus);
+router.post('/2fa/disable', twoFactorCodeValidator, validate, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', twoFactorCodeValidator, validate, authController.regenerateRecoveryCodes);
+
+// Signed-in devices; admins may pass ?user=<id> to manage someone else's
+router.get('/sessions', sessionsValidator, validate, authController.getSessions);
+router.delete('/sessions', sessionsValidator, validate, authController.revokeSessions);
+router.delete('/sessions/:id', revokeSessionValidator, validate, authController.revokeSession);
+
 export default router;
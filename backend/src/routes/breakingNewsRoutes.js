@@ -0,0 +1,40 @@
+import { Router } from 'express';
+import rateLimit from 'express-rate-limit';
+import breakingNewsController from '../controllers/breakingNewsController.js';
+import { authenticate, isEditor } from '../middleware/auth.js';
+import { validate, validateObjectId } from '../middleware/validation.js';
+import {
+  createBreakingNewsValidator,
+  updateBreakingNewsValidator,
+  listBreakingNewsValidator,
+  breakingNewsStatsValidator,
+} from '../validators/breakingNewsValidator.js';
+
+const router = Router();
+
+const trackingLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 60, // 60 tracking events per minute per IP
+  message: { success: false, message: 'Too many tracking requests, please slow down' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Public ticker and view/click tracking
+router.get('/active', breakingNewsController.getActiveBreakingNews);
+router.post('/:id/view', trackingLimiter, validateObjectId(), breakingNewsController.trackBreakingNewsView);
+router.post('/:id/click', trackingLimiter, validateObjectId(), breakingNewsController.trackBreakingNewsClick);
+
+// Managing alerts - Editors and admins
+router.use(authenticate, isEditor);
+
+router.get('/', listBreakingNewsValidator, validate, breakingNewsController.getBreakingNewsList);
+router.get('/stats', breakingNewsStatsValidator, validate, breakingNewsController.getBreakingNewsStats);
+router.get('/:id', validateObjectId(), breakingNewsController.getBreakingNews);
+router.post('/', createBreakingNewsValidator, validate, breakingNewsController.createBreakingNews);
+router.put('/:id', updateBreakingNewsValidator, validate, breakingNewsController.updateBreakingNews);
+router.delete('/:id', validateObjectId(), breakingNewsController.deleteBreakingNews);
+router.post('/:id/publish', validateObjectId(), breakingNewsController.publishBreakingNews);
+router.post('/:id/expire', validateObjectId(), breakingNewsController.expireBreakingNews);
+
+export default router;
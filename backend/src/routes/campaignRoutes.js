@@ -1,4 +1,5 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import {
   getCampaigns,
   getCampaign,
@@ -13,6 +14,7 @@ import {
   deleteAdVariation,
   toggleAdVariation,
   getCampaignAnalytics,
+  getCampaignSpendReport,
   getDashboardSummary,
   getCampaignForDisplay,
   trackAdEvent,
@@ -21,13 +23,22 @@ import { authenticate, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Keyed on req.ip, which honours the trust proxy setting
+const trackingLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 100, // 100 tracking events per minute per IP
+  message: { success: false, message: 'Too many tracking requests, please slow down' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // ==================== PUBLIC ROUTES ====================
 
 // Get campaign for display (public endpoint)
 router.post('/display', getCampaignForDisplay);
 
 // Track ad events (public endpoint)
-router.post('/track', trackAdEvent);
+router.post('/track', trackingLimiter, trackAdEvent);
 
 // ==================== PROTECTED ROUTES ====================
 
@@ -61,5 +72,6 @@ router.post('/:id/ads/:adId/toggle', authorize(['admin', 'editor']), toggleAdVar
 
 // Analytics
 router.get('/:id/analytics', authorize(['admin', 'editor']), getCampaignAnalytics);
+router.get('/:id/spend', authorize(['admin', 'editor', 'advertiser']), getCampaignSpendReport);
 
 export default router;
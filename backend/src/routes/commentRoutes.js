@@ -4,12 +4,17 @@ import { validateObjectId } from '../middleware/validation.js';
 import {
   getArticleComments,
   createComment,
+  verifyGuestCommenter,
   updateComment,
   deleteComment,
   toggleLike,
+  reportComment,
   getAllComments,
   moderateComment,
   bulkModerate,
+  sanctionCommenter,
+  getCommenterSanctions,
+  liftCommenterSanction,
 } from '../controllers/commentController.js';
 
 const router = Router();
@@ -18,14 +23,23 @@ const router = Router();
 router.get('/articles/:articleId/comments', optionalAuth, validateObjectId('articleId'), getArticleComments);
 router.post('/articles/:articleId/comments', optionalAuth, validateObjectId('articleId'), createComment);
 
+// Guest email verification (link from the comment confirmation email)
+router.post('/comments/verify-guest', verifyGuestCommenter);
+
 // Individual comment routes
 router.put('/comments/:id', authenticate, validateObjectId(), updateComment);
 router.delete('/comments/:id', authenticate, validateObjectId(), deleteComment);
 router.post('/comments/:id/like', authenticate, validateObjectId(), toggleLike);
+router.post('/comments/:id/report', authenticate, validateObjectId(), reportComment);
 
 // Admin/Moderation routes
 router.get('/comments', authenticate, isEditor, getAllComments);
 router.put('/comments/:id/moderate', authenticate, isEditor, validateObjectId(), moderateComment);
 router.post('/comments/bulk-moderate', authenticate, isEditor, bulkModerate);
 
+// Commenter bans, suspensions and shadow-bans
+router.get('/comments/sanctions', authenticate, isEditor, getCommenterSanctions);
+router.post('/comments/sanctions', authenticate, isEditor, sanctionCommenter);
+router.post('/comments/sanctions/:id/lift', authenticate, isEditor, validateObjectId(), liftCommenterSanction);
+
 export default router;
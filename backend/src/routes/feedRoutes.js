@@ -0,0 +1,61 @@
+import { Router } from 'express';
+import feedService, { FEED_FORMATS } from '../services/feedService.js';
+import {
+  getRequestOrigin,
+  resolvePublicSiteUrl,
+  resolvePublicApiUrl,
+  resolveUrl,
+} from '../utils/siteUrl.js';
+
+const router = Router();
+
+/**
+ * Feeds are mounted at /feeds:
+ *   /feeds/:format
+ *   /feeds/category/:slug/:format
+ *   /feeds/tag/:tag/:format
+ *   /feeds/author/:id/:format
+ * where format is rss | atom | json, with optional ?lang=km&limit=50.
+ */
+const serveFeed = (scope, valueParam = '') => async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!FEED_FORMATS.includes(format)) {
+      return res.status(404).type('text/plain').send('Feed not found');
+    }
+
+    const requestOrigin = getRequestOrigin(req);
+    const siteUrl = resolvePublicSiteUrl(requestOrigin);
+    const language = String(req.query.lang || '').trim();
+    const feedPath = `/feeds${req.path}${language ? `?lang=${encodeURIComponent(language)}` : ''}`;
+
+    const document = await feedService.getFeed({
+      scope,
+      value: valueParam ? req.params[valueParam] : '',
+      format,
+      language,
+      limit: req.query.limit,
+      siteUrl,
+      mediaBaseUrl: resolvePublicApiUrl(requestOrigin),
+      feedUrl: resolveUrl(siteUrl, feedPath),
+    });
+
+    if (document === null) {
+      return res.status(404).type('text/plain').send('Feed not found');
+    }
+
+    res.setHeader('Content-Type', feedService.getContentType(format));
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.send(document);
+  } catch (error) {
+    console.error('Feed error:', error);
+    return res.status(500).type('text/plain').send('Failed to generate feed');
+  }
+};
+
+router.get('/category/:slug/:format', serveFeed('category', 'slug'));
+router.get('/tag/:tag/:format', serveFeed('tag', 'tag'));
+router.get('/author/:id/:format', serveFeed('author', 'id'));
+router.get('/:format', serveFeed('site'));
+
+export default router;
@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import feedSourceController from '../controllers/feedSourceController.js';
+import { authenticate, isAdmin, isEditor } from '../middleware/auth.js';
+import { validate, validateObjectId } from '../middleware/validation.js';
+import {
+  createFeedSourceValidator,
+  updateFeedSourceValidator,
+  feedSourceLogsValidator,
+} from '../validators/feedSourceValidator.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+// Editors can review sources, their ingestion logs and trigger a poll
+router.get('/', isEditor, feedSourceController.getFeedSources);
+router.get('/:id', isEditor, validateObjectId(), feedSourceController.getFeedSource);
+router.get('/:id/logs', isEditor, feedSourceLogsValidator, validate, feedSourceController.getFeedSourceLogs);
+router.get('/:id/items', isEditor, validateObjectId(), feedSourceController.getFeedSourceItems);
+router.post('/:id/poll', isEditor, validateObjectId(), feedSourceController.pollFeedSource);
+
+// Managing sources - Admin only
+router.post('/', isAdmin, createFeedSourceValidator, validate, feedSourceController.createFeedSource);
+router.put('/:id', isAdmin, validateObjectId(), updateFeedSourceValidator, validate, feedSourceController.updateFeedSource);
+router.delete('/:id', isAdmin, validateObjectId(), feedSourceController.deleteFeedSource);
+
+export default router;
@@ -1,4 +1,5 @@
 import { Router } from 'express';
+import rateLimit from 'express-rate-limit';
 import authRoutes from './authRoutes.js';
 import articleRoutes from './articleRoutes.js';
 import categoryRoutes from './categoryRoutes.js';
@@ -16,7 +17,16 @@ import translationRoutes from './translationRoutes.js';
 import campaignRoutes from './campaignRoutes.js';
 import searchRoutes from './searchRoutes.js';
 import advancedAnalyticsRoutes from './advancedAnalyticsRoutes.js';
-import { optionalAuth } from '../middleware/auth.js';
+import feedSourceRoutes from './feedSourceRoutes.js';
+import subscriptionRoutes from './subscriptionRoutes.js';
+import breakingNewsRoutes from './breakingNewsRoutes.js';
+import apiKeyRoutes from './apiKeyRoutes.js';
+import webhookRoutes from './webhookRoutes.js';
+import adServerRoutes from './adServerRoutes.js';
+import advertiserRoutes from './advertiserRoutes.js';
+import { authenticate, isContentStaff } from '../middleware/auth.js';
+import linkPreviewService from '../services/linkPreviewService.js';
+import { getRequestOrigin, resolvePublicApiUrl, resolveUrl } from '../utils/siteUrl.js';
 
 const router = Router();
 
@@ -30,38 +40,45 @@ router.get('/health', (req, res) => {
   });
 });
 
-// Fetch URL endpoint for EditorJS LinkTool
-router.get('/fetch-url', optionalAuth, async (req, res) => {
-  try {
-    const { url } = req.query;
-    
-    if (!url) {
-      return res.status(400).json({ success: 0, message: 'URL is required' });
-    }
+// Link previews for the EditorJS LinkTool (newsroom only: the server fetches the URL)
+const linkPreviewLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30, // 30 previews per minute per IP
+  message: { success: 0, message: 'Too many link preview requests, please slow down' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-    // Basic URL validation
-    let parsedUrl;
-    try {
-      parsedUrl = new URL(url);
-    } catch (e) {
-      return res.status(400).json({ success: 0, message: 'Invalid URL' });
-    }
+router.get('/fetch-url', linkPreviewLimiter, authenticate, isContentStaff, async (req, res) => {
+  const { url } = req.query;
+  if (!url || typeof url !== 'string') {
+    return res.status(400).json({ success: 0, message: 'URL is required' });
+  }
+
+  try {
+    const preview = await linkPreviewService.unfurl(url.trim());
+    const imageUrl = preview.meta.image.url;
 
-    // Return basic link data (in production, you might want to fetch meta tags)
     return res.json({
       success: 1,
-      link: url,
+      link: preview.link,
       meta: {
-        title: parsedUrl.hostname,
-        description: '',
+        ...preview.meta,
+        // Locally mirrored images are served by the API
         image: {
-          url: ''
-        }
-      }
+          url: imageUrl.startsWith('/') ? resolveUrl(resolvePublicApiUrl(getRequestOrigin(req)), imageUrl) : imageUrl,
+        },
+      },
     });
   } catch (error) {
-    console.error('Fetch URL error:', error);
-    return res.status(500).json({ success: 0, message: 'Failed to fetch URL' });
+    const statusCode = error.statusCode || 502;
+    if (statusCode >= 500) {
+      console.error('Fetch URL error:', error.message);
+    }
+    return res.status(statusCode).json({
+      success: 0,
+      message: error.statusCode ? error.message : 'Failed to fetch URL',
+    });
   }
 });
 
@@ -95,6 +112,27 @@ router.use('/search', searchRoutes);
 // Advanced analytics routes (real-time, cohorts, funnels, etc.)
 router.use('/advanced-analytics', advancedAnalyticsRoutes);
 
+// Feed source routes (RSS/Atom ingestion)
+router.use('/feed-sources', feedSourceRoutes);
+
+// Subscription routes (plans, checkout, paywall entitlements)
+router.use('/subscriptions', subscriptionRoutes);
+
+// Breaking news alerts (public ticker, newsroom management)
+router.use('/breaking-news', breakingNewsRoutes);
+
+// API keys for machine clients and partners (admin)
+router.use('/api-keys', apiKeyRoutes);
+
+// Outbound webhooks for content and workflow events (admin)
+router.use('/webhooks', webhookRoutes);
+
+// Ad server (one decision across campaigns, collections and SiteSettings slots)
+router.use('/ad-server', adServerRoutes);
+
+// Advertiser self-service portal and staff creative review
+router.use('/advertiser', advertiserRoutes);
+
 // Ads routes (legacy collection-based ads system)
 router.use(adsRoutes);
 
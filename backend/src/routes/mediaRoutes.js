@@ -0,0 +1,9 @@
+import { Router } from 'express';
+import uploadController from '../controllers/uploadController.js';
+
+const router = Router();
+
+// Private S3 objects: /media/<folder>/<file> redirects to a short-lived signed URL
+router.get('/*', uploadController.redirectToSignedMedia);
+
+export default router;
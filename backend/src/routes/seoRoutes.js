@@ -0,0 +1,48 @@
+import { Router } from 'express';
+import sitemapService from '../services/sitemapService.js';
+import { getRequestOrigin, resolvePublicSiteUrl } from '../utils/siteUrl.js';
+
+const router = Router();
+
+const sendDocument = (res, document, contentType) => {
+  if (document === null) {
+    return res.status(404).type('text/plain').send('Not found');
+  }
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.send(document);
+};
+
+const withSiteUrl = (handler) => async (req, res) => {
+  try {
+    await handler(req, res, resolvePublicSiteUrl(getRequestOrigin(req)));
+  } catch (error) {
+    console.error('SEO document error:', error);
+    res.status(500).type('text/plain').send('Failed to generate document');
+  }
+};
+
+router.get('/robots.txt', withSiteUrl(async (req, res, siteUrl) => {
+  const document = await sitemapService.getRobotsTxt(siteUrl);
+  return sendDocument(res, document, 'text/plain; charset=utf-8');
+}));
+
+router.get('/sitemap.xml', withSiteUrl(async (req, res, siteUrl) => {
+  const document = await sitemapService.getSitemapIndex(siteUrl);
+  return sendDocument(res, document, 'application/xml; charset=utf-8');
+}));
+
+router.get('/news-sitemap.xml', withSiteUrl(async (req, res, siteUrl) => {
+  const document = await sitemapService.getNewsSitemap(siteUrl);
+  return sendDocument(res, document, 'application/xml; charset=utf-8');
+}));
+
+router.get('/sitemaps/:file', withSiteUrl(async (req, res, siteUrl) => {
+  const match = /^([a-z]+)-(\d+)\.xml$/.exec(req.params.file);
+  const document = match
+    ? await sitemapService.getSitemapPage(match[1], parseInt(match[2], 10), siteUrl)
+    : null;
+  return sendDocument(res, document, 'application/xml; charset=utf-8');
+}));
+
+export default router;
@@ -1,6 +1,13 @@
 import { Router } from 'express';
 import config from '../config/index.js';
 import { Article, ArticleTranslation } from '../models/index.js';
+import {
+  normalizeBaseUrl,
+  resolveUrl,
+  getRequestOrigin,
+  resolvePublicSiteUrl,
+  resolvePublicApiUrl,
+} from '../utils/siteUrl.js';
 
 const router = Router();
 
@@ -11,33 +18,6 @@ const escapeHtml = (value = '') => String(value)
   .replace(/"/g, '&quot;')
   .replace(/'/g, '&#39;');
 
-const normalizeBaseUrl = (value) => String(value || '').replace(/\/+$/, '');
-
-const resolveUrl = (baseUrl, pathValue) => {
-  if (!pathValue) return '';
-  if (pathValue.startsWith('http://') || pathValue.startsWith('https://')) return pathValue;
-  if (!pathValue.startsWith('/')) return `${baseUrl}/${pathValue}`;
-  return `${baseUrl}${pathValue}`;
-};
-
-const isLocalhostBaseUrl = (value) => {
-  if (!value) return true;
-  try {
-    const { hostname } = new URL(value);
-    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '0.0.0.0';
-  } catch {
-    return true;
-  }
-};
-
-const getRequestOrigin = (req) => {
-  const forwardedProto = req.get('x-forwarded-proto');
-  const forwardedHost = req.get('x-forwarded-host');
-  const host = (forwardedHost || req.get('host') || '').split(',')[0].trim();
-  const protocol = (forwardedProto || req.protocol || 'http').split(',')[0].trim();
-  return host ? `${protocol}://${host}` : '';
-};
-
 const SOCIAL_CRAWLER_SIGNATURES = [
   'facebookexternalhit',
   'facebot',
@@ -141,15 +121,9 @@ router.get('/:slug', async (req, res) => {
     }
 
     const requestOrigin = normalizeBaseUrl(getRequestOrigin(req));
-    const configuredApiBaseUrl = normalizeBaseUrl(config.apiBaseUrl);
-    const configuredSiteUrl = normalizeBaseUrl(config.siteUrl);
     const configuredFrontendUrl = normalizeBaseUrl(config.frontendUrl);
-    const siteUrl = !isLocalhostBaseUrl(configuredSiteUrl)
-      ? configuredSiteUrl
-      : (!isLocalhostBaseUrl(configuredFrontendUrl) ? configuredFrontendUrl : requestOrigin || configuredSiteUrl);
-    const imageBaseUrl = !isLocalhostBaseUrl(configuredApiBaseUrl)
-      ? configuredApiBaseUrl
-      : requestOrigin || siteUrl;
+    const siteUrl = resolvePublicSiteUrl(requestOrigin);
+    const imageBaseUrl = resolvePublicApiUrl(requestOrigin);
     const title = article.metaTitle || article.title || config.siteName || 'Article';
     const fallbackExcerpt = getContentExcerpt(article.content);
     const description = truncateText(
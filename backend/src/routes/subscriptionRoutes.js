@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import subscriptionController from '../controllers/subscriptionController.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import {
+  checkoutValidator,
+  cancelSubscriptionValidator,
+  listSubscriptionsValidator,
+  grantSubscriptionValidator,
+} from '../validators/subscriptionValidator.js';
+
+const router = Router();
+
+// Public routes
+router.get('/plans', subscriptionController.getPlans);
+// Providers authenticate their own webhooks
+router.post('/webhooks/:provider', subscriptionController.handleWebhook);
+
+// Subscriber routes
+router.use(authenticate);
+
+router.get('/me', subscriptionController.getMySubscription);
+router.post('/checkout', checkoutValidator, validate, subscriptionController.checkout);
+router.post('/cancel', cancelSubscriptionValidator, validate, subscriptionController.cancelSubscription);
+
+// Admin routes
+router.get('/', isAdmin, listSubscriptionsValidator, validate, subscriptionController.getSubscriptions);
+router.put('/users/:userId', isAdmin, grantSubscriptionValidator, validate, subscriptionController.grantSubscription);
+
+export default router;
@@ -14,7 +14,7 @@ import {
   publishCategoryTranslation,
   getSupportedLanguages,
 } from '../controllers/translationController.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -25,11 +25,11 @@ router.get('/languages', getSupportedLanguages);
 
 // ==================== ARTICLE TRANSLATIONS ====================
 
-// Get all translations for an article
-router.get('/articles/:articleId', getArticleTranslations);
+// Get all translations for an article (paywalled like the article itself)
+router.get('/articles/:articleId', optionalAuth, getArticleTranslations);
 
 // Get specific article translation
-router.get('/articles/:articleId/:language', getArticleTranslation);
+router.get('/articles/:articleId/:language', optionalAuth, getArticleTranslation);
 
 // Create article translation (admin/editor/translator/writer)
 router.post(
@@ -25,8 +25,10 @@ router.delete('/avatar', userController.deleteAvatar);
 // Admin only routes
 router.get('/', isAdmin, listUsersValidator, validate, userController.getUsers);
 router.get('/stats', isAdmin, userController.getUserStats);
+router.get('/security-audit', isAdmin, userController.getSecurityAuditLog);
 router.get('/:id', isAdmin, validateObjectId(), userController.getUserById);
 router.put('/:id', isAdmin, validateObjectId(), updateUserValidator, validate, userController.updateUser);
 router.delete('/:id', isAdmin, validateObjectId(), userController.deleteUser);
+router.post('/:id/2fa/reset', isAdmin, validateObjectId(), userController.resetUserTwoFactor);
 
 export default router;
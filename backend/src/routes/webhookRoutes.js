@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import webhookController from '../controllers/webhookController.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
+import { validate, validateObjectId } from '../middleware/validation.js';
+import {
+  createWebhookValidator,
+  updateWebhookValidator,
+  webhookDeliveriesValidator,
+  redeliverValidator,
+} from '../validators/webhookValidator.js';
+
+const router = Router();
+
+// Admin only
+router.use(authenticate, isAdmin);
+
+router.get('/', webhookController.getWebhooks);
+router.post('/', createWebhookValidator, validate, webhookController.createWebhook);
+router.post('/deliveries/:deliveryId/redeliver', redeliverValidator, validate, webhookController.redeliverWebhookDelivery);
+router.put('/:id', updateWebhookValidator, validate, webhookController.updateWebhook);
+router.delete('/:id', validateObjectId(), webhookController.deleteWebhook);
+router.post('/:id/rotate-secret', validateObjectId(), webhookController.rotateWebhookSecret);
+router.post('/:id/ping', validateObjectId(), webhookController.pingWebhook);
+router.get('/:id/deliveries', webhookDeliveriesValidator, validate, webhookController.getWebhookDeliveries);
+
+export default router;
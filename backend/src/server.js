@@ -11,13 +11,19 @@ import config from './config/index.js';
 import connectDB from './config/database.js';
 import routes from './routes/index.js';
 import shareRoutes from './routes/shareRoutes.js';
+import seoRoutes from './routes/seoRoutes.js';
+import feedRoutes from './routes/feedRoutes.js';
+import mediaRoutes from './routes/mediaRoutes.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
 import { notFound, errorHandler } from './middleware/errorHandler.js';
 import { sanitizeQuery } from './middleware/validation.js';
 import { requestIdMiddleware } from './middleware/requestId.js';
 import { csrfTokenGenerator, csrfProtection } from './middleware/csrf.js';
+import { apiKeyAuth } from './middleware/auth.js';
+import { geoIpMiddleware } from './middleware/geoIp.js';
 import setupSocketIO from './config/socket.js';
 import cacheService from './services/cacheService.js';
+import geoIpService from './services/geoIpService.js';
 import logger from './services/loggerService.js';
 import backfillUserProfileFields from './utils/backfillUserProfileFields.js';
 
@@ -31,8 +37,8 @@ const app = express();
 // Create HTTP server for Socket.io
 const server = http.createServer(app);
 
-// Trust proxy (for rate limiting behind reverse proxy)
-app.set('trust proxy', 1);
+// Trust proxy (for rate limiting and GeoIP behind reverse proxy)
+app.set('trust proxy', config.trustProxy);
 
 // ==================== SECURITY MIDDLEWARE ====================
 
@@ -90,7 +96,7 @@ app.use(cors({
   origin: config.frontendUrl,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'X-Request-ID'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-CSRF-Token', 'X-Request-ID'],
   exposedHeaders: ['X-Request-ID'],
 }));
 
@@ -104,6 +110,12 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Sanitize query params
 app.use(sanitizeQuery);
 
+// Client country/region from the local GeoIP database
+app.use('/api', geoIpMiddleware);
+
+// API keys for machine clients (validated before CSRF and IP rate limits)
+app.use('/api', apiKeyAuth);
+
 // CSRF protection (generate token on all requests, validate on mutations)
 app.use(csrfTokenGenerator);
 app.use('/api', csrfProtection);
@@ -117,12 +129,19 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads'), {
   etag: true,
   lastModified: true,
 }));
+// S3 media in private buckets (signed-URL redirects)
+app.use('/media', mediaRoutes);
 
 // Share pages (server-rendered Open Graph for social previews)
 app.use('/share', shareRoutes);
 // Backward-compatible share landing (supports legacy /article/:slug links on API origin)
 app.use('/article', shareRoutes);
 
+// robots.txt and XML sitemaps
+app.use(seoRoutes);
+// RSS / Atom / JSON feeds
+app.use('/feeds', feedRoutes);
+
 // API Routes
 app.use('/api', routes);
 
@@ -183,6 +202,84 @@ const aggregateAdStatsJob = async () => {
   }
 };
 
+// Publish scheduled articles and archive expired ones
+const publishScheduledArticlesJob = async () => {
+  try {
+    const { publishScheduledArticles } = await import('./jobs/publishScheduledArticles.js');
+    const result = await publishScheduledArticles();
+    if (result.published || result.unpublished) {
+      logger.info('Scheduled publishing run complete', result);
+    }
+  } catch (error) {
+    logger.error('Error running scheduled publisher', { error });
+  }
+};
+
+// Poll RSS/Atom feed sources that are due
+const pollFeedSourcesJob = async () => {
+  try {
+    const { pollFeedSources } = await import('./jobs/pollFeedSources.js');
+    const result = await pollFeedSources();
+    if (result.polled) {
+      logger.info('Feed ingestion run complete', result);
+    }
+  } catch (error) {
+    logger.error('Error polling feed sources', { error });
+  }
+};
+
+// Retire breaking news alerts past their expiry
+const expireBreakingNewsJob = async () => {
+  try {
+    const { expireBreakingNews } = await import('./jobs/expireBreakingNews.js');
+    const result = await expireBreakingNews();
+    if (result.expired) {
+      logger.info('Breaking news expiry run complete', result);
+    }
+  } catch (error) {
+    logger.error('Error expiring breaking news', { error });
+  }
+};
+
+// Chase workflow items past their stage deadline
+const escalateWorkflowDeadlinesJob = async () => {
+  try {
+    const { escalateWorkflowDeadlines } = await import('./jobs/escalateWorkflowDeadlines.js');
+    const result = await escalateWorkflowDeadlines();
+    if (result.reminded || result.escalated) {
+      logger.info('Workflow deadline run complete', result);
+    }
+  } catch (error) {
+    logger.error('Error escalating workflow deadlines', { error });
+  }
+};
+
+// Retry queued webhook deliveries
+const processWebhookDeliveriesJob = async () => {
+  try {
+    const { processWebhookDeliveries } = await import('./jobs/processWebhookDeliveries.js');
+    const result = await processWebhookDeliveries();
+    if (result.attempted) {
+      logger.info('Webhook delivery run complete', result);
+    }
+  } catch (error) {
+    logger.error('Error processing webhook deliveries', { error });
+  }
+};
+
+// Promote A/B test winners that reached significance
+const evaluateAdExperimentsJob = async () => {
+  try {
+    const { evaluateAdExperiments } = await import('./jobs/evaluateAdExperiments.js');
+    const result = await evaluateAdExperiments();
+    if (result.promoted) {
+      logger.info('Ad experiment evaluation complete', result);
+    }
+  } catch (error) {
+    logger.error('Error evaluating ad experiments', { error });
+  }
+};
+
 // Schedule ad stats aggregation at 1 AM daily
 const scheduleAdStatsAggregation = () => {
   const now = new Date();
@@ -215,6 +312,9 @@ const startServer = async () => {
     await cacheService.connect();
     logger.info(`Cache connected (${config.redisUrl ? 'Redis' : 'In-Memory'})`);
 
+    // Load the GeoIP database (optional; lookups fall back to CF-IPCountry)
+    await geoIpService.init();
+
     // Setup Socket.io for real-time notifications
     const io = setupSocketIO(server);
     logger.info('Socket.io initialized');
@@ -226,6 +326,24 @@ const startServer = async () => {
     // Flush view counts every 5 minutes
     setInterval(flushViewCounts, 5 * 60 * 1000);
 
+    // Publish/unpublish scheduled articles (every minute by default)
+    setInterval(publishScheduledArticlesJob, config.scheduler.publishIntervalMs);
+
+    // Poll due feed sources (every minute by default; each source has its own interval)
+    setInterval(pollFeedSourcesJob, config.scheduler.feedPollIntervalMs);
+
+    // Expire breaking news alerts (every minute by default)
+    setInterval(expireBreakingNewsJob, config.scheduler.breakingNewsExpiryIntervalMs);
+
+    // Remind/escalate overdue workflow items (every five minutes by default)
+    setInterval(escalateWorkflowDeadlinesJob, config.scheduler.workflowDeadlineIntervalMs);
+
+    // Retry failed webhook deliveries (every 15 seconds by default)
+    setInterval(processWebhookDeliveriesJob, config.webhooks.pollIntervalMs);
+
+    // Auto-promote A/B test winners (hourly by default)
+    setInterval(evaluateAdExperimentsJob, config.scheduler.adExperimentIntervalMs);
+
     // Schedule daily ad stats aggregation (1 AM)
     if (config.env === 'production') {
       scheduleAdStatsAggregation();
@@ -0,0 +1,270 @@
+import mongoose from 'mongoose';
+import Ad from '../models/Ad.js';
+import AdCollection from '../models/AdCollection.js';
+import AdStatsDaily from '../models/AdStatsDaily.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import { twoProportionPValue, wilsonInterval } from '../utils/abTestStats.js';
+
+const HISTORY_LIMIT = 50;
+
+const toPercent = (value) => Number((value * 100).toFixed(2));
+
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Ad Experiment Service
+ *
+ * A/B tests for collections with `rotationType: 'ab_test'`: per-variant CTR
+ * with confidence intervals from AdStatsDaily, and promotion of a winner
+ * (manually or automatically). Visitor assignment is `pickAbTestVariant`.
+ */
+class AdExperimentService {
+  /**
+   * Per-variant results since the experiment (re)started.
+   */
+  async getResults(collection) {
+    const settings = collection.abTest || {};
+    const confidenceLevel = settings.confidenceLevel || 0.95;
+    const minImpressions = settings.minImpressionsPerVariant || 1000;
+    const startedAt = settings.startedAt || collection.createdAt || new Date(0);
+
+    const ads = await Ad.find({ collectionId: collection._id, status: { $ne: 'deleted' } })
+      .select('name status')
+      .sort({ order: 1, createdAt: 1 })
+      .lean();
+
+    const totals = ads.length
+      ? await AdStatsDaily.aggregate([
+        {
+          $match: {
+            adId: { $in: ads.map((ad) => new mongoose.Types.ObjectId(ad._id)) },
+            date: { $gte: startOfUtcDay(startedAt) },
+          },
+        },
+        { $group: { _id: '$adId', impressions: { $sum: '$impressions' }, clicks: { $sum: '$clicks' } } },
+      ])
+      : [];
+    const totalsById = new Map(totals.map((row) => [row._id.toString(), row]));
+
+    const variants = ads.map((ad) => {
+      const { impressions = 0, clicks = 0 } = totalsById.get(ad._id.toString()) || {};
+      const interval = wilsonInterval(clicks, impressions, confidenceLevel);
+      return {
+        adId: ad._id,
+        name: ad.name,
+        status: ad.status,
+        impressions,
+        clicks,
+        ctr: impressions ? toPercent(clicks / impressions) : 0,
+        ctrLow: toPercent(interval.low),
+        ctrHigh: toPercent(interval.high),
+      };
+    });
+
+    // Only ads still in rotation compete
+    const contenders = variants.filter((variant) => variant.status === 'active');
+    const rate = (variant) => (variant.impressions ? variant.clicks / variant.impressions : 0);
+    const leader = contenders.reduce((best, variant) => (!best || rate(variant) > rate(best) ? variant : best), null);
+
+    // Leader vs. each other variant, Bonferroni-adjusted for the number of comparisons
+    const comparisons = contenders.length - 1;
+    const pValue = comparisons > 0
+      ? Math.min(1, Math.max(...contenders
+        .filter((variant) => variant !== leader)
+        .map((variant) => twoProportionPValue(leader, variant))) * comparisons)
+      : null;
+    const significant = pValue !== null && pValue < 1 - confidenceLevel;
+    const sampleSizeReached = contenders.length > 1
+      && contenders.every((variant) => variant.impressions >= minImpressions);
+
+    return {
+      status: settings.status || 'running',
+      startedAt,
+      concludedAt: settings.concludedAt || null,
+      winnerAdId: settings.winnerAdId || null,
+      autoPromote: Boolean(settings.autoPromote),
+      confidenceLevel,
+      minImpressionsPerVariant: minImpressions,
+      leaderAdId: leader?.adId || null,
+      pValue: pValue === null ? null : Number(pValue.toFixed(4)),
+      significant,
+      sampleSizeReached,
+      canPromote: significant && sampleSizeReached,
+      variants,
+    };
+  }
+
+  async getExperiment(collectionId) {
+    const collection = await this.findCollection(collectionId);
+    const results = await this.getResults(collection);
+    const history = [...(collection.abTest?.history || [])].reverse();
+    return { collectionId: collection._id, rotationType: collection.rotationType, ...results, history };
+  }
+
+  /**
+   * Fields for `$set` when an experiment (re)starts.
+   */
+  buildStartUpdate(now = new Date()) {
+    return {
+      'abTest.status': 'running',
+      'abTest.startedAt': now,
+      'abTest.winnerAdId': null,
+      'abTest.concludedAt': null,
+    };
+  }
+
+  buildHistoryPush(entry) {
+    return { 'abTest.history': { $each: [{ at: new Date(), ...entry }], $slice: -HISTORY_LIMIT } };
+  }
+
+  /**
+   * Record the start of an experiment when a collection switches to `ab_test`.
+   */
+  async start(collectionId, { by = null } = {}) {
+    return AdCollection.findByIdAndUpdate(
+      collectionId,
+      {
+        $set: this.buildStartUpdate(),
+        $push: this.buildHistoryPush({ action: 'started', by }),
+      },
+      { new: true }
+    );
+  }
+
+  async updateSettings(collectionId, { autoPromote, confidenceLevel, minImpressionsPerVariant } = {}) {
+    const update = {};
+    if (autoPromote !== undefined) update['abTest.autoPromote'] = Boolean(autoPromote);
+    if (confidenceLevel !== undefined) update['abTest.confidenceLevel'] = Number(confidenceLevel);
+    if (minImpressionsPerVariant !== undefined) {
+      update['abTest.minImpressionsPerVariant'] = Number.parseInt(minImpressionsPerVariant, 10);
+    }
+
+    const collection = await AdCollection.findByIdAndUpdate(
+      collectionId,
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    if (!collection) throw new NotFoundError('Collection not found');
+
+    await this.evaluate(collection);
+    return this.getExperiment(collectionId);
+  }
+
+  /**
+   * Serve `adId` to every visitor from now on and log the decision.
+   */
+  async promote(collectionId, adId, { by = null, auto = false, results = null } = {}) {
+    const collection = await this.findCollection(collectionId);
+    if (collection.rotationType !== 'ab_test') {
+      throw new BadRequestError('Collection is not running an A/B test');
+    }
+
+    const snapshot = results || await this.getResults(collection);
+    const variant = snapshot.variants.find((item) => item.adId.toString() === String(adId));
+    if (!variant || variant.status !== 'active') {
+      throw new BadRequestError('Winner must be an active ad in this collection');
+    }
+
+    const filter = { _id: collection._id };
+    // Automatic promotion never overrides a concluded experiment
+    if (auto) filter['abTest.status'] = { $ne: 'concluded' };
+
+    return AdCollection.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          'abTest.status': 'concluded',
+          'abTest.winnerAdId': variant.adId,
+          'abTest.concludedAt': new Date(),
+        },
+        $push: this.buildHistoryPush({
+          action: auto ? 'auto_promoted' : 'promoted',
+          by,
+          winnerAdId: variant.adId,
+          pValue: snapshot.pValue,
+          confidenceLevel: snapshot.confidenceLevel,
+          variants: snapshot.variants,
+        }),
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Clear the winner and start counting again from today.
+   */
+  async restart(collectionId, { by = null } = {}) {
+    const collection = await this.findCollection(collectionId);
+    const snapshot = await this.getResults(collection);
+
+    return AdCollection.findByIdAndUpdate(
+      collection._id,
+      {
+        $set: this.buildStartUpdate(),
+        $push: this.buildHistoryPush({
+          action: 'restarted',
+          by,
+          winnerAdId: snapshot.winnerAdId,
+          pValue: snapshot.pValue,
+          confidenceLevel: snapshot.confidenceLevel,
+          variants: snapshot.variants,
+        }),
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Apply the auto-promote rule to one collection.
+   *
+   * @returns {Promise<boolean>} Whether a winner was promoted
+   */
+  async evaluate(collection) {
+    const settings = collection.abTest || {};
+    if (collection.rotationType !== 'ab_test' || !settings.autoPromote || settings.status === 'concluded') {
+      return false;
+    }
+
+    const results = await this.getResults(collection);
+    if (!results.canPromote) return false;
+
+    const promoted = await this.promote(collection._id, results.leaderAdId, { auto: true, results });
+    return Boolean(promoted);
+  }
+
+  /**
+   * Evaluate every running experiment with auto-promotion enabled.
+   */
+  async evaluateAll() {
+    const collections = await AdCollection.find({
+      status: 'active',
+      rotationType: 'ab_test',
+      'abTest.autoPromote': true,
+      'abTest.status': { $ne: 'concluded' },
+    });
+
+    let promoted = 0;
+    for (const collection of collections) {
+      try {
+        if (await this.evaluate(collection)) promoted += 1;
+      } catch (error) {
+        console.error(`[AdExperiments] Failed to evaluate collection ${collection._id}:`, error.message);
+      }
+    }
+
+    return { evaluated: collections.length, promoted };
+  }
+
+  async findCollection(collectionId) {
+    if (!mongoose.isValidObjectId(collectionId)) throw new NotFoundError('Collection not found');
+    const collection = await AdCollection.findById(collectionId);
+    if (!collection) throw new NotFoundError('Collection not found');
+    return collection;
+  }
+}
+
+export default new AdExperimentService();
@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 import Ad from '../models/Ad.js';
 import AdEvent from '../models/AdEvent.js';
 import cacheService from './cacheService.js';
+import subscriptionService from './subscriptionService.js';
 import {
   buildDedupeKey,
   buildIdentityKey,
@@ -42,6 +43,11 @@ class AdSelectionService {
       pageUrl = ''
     } = context;
 
+    // Ad-free subscribers never get ads
+    if (userId && await subscriptionService.isAdFree(userId)) {
+      return [];
+    }
+
     const pageUrlValue = normalizePagePath(pageUrl);
     const hasPageUrl = pageUrlValue.length > 0;
     const now = new Date();
@@ -0,0 +1,376 @@
+import Ad from '../models/Ad.js';
+import AdCollection from '../models/AdCollection.js';
+import AdEvent from '../models/AdEvent.js';
+import Campaign from '../models/Campaign.js';
+import SiteSettings from '../models/SiteSettings.js';
+import campaignBillingService from './campaignBillingService.js';
+import subscriptionService from './subscriptionService.js';
+import { buildPageKey, normalizePagePath, normalizePageType } from '../utils/adTracking.js';
+import { getVisitorKey } from '../utils/abTestStats.js';
+import { describeSiteSettingsAdSlots } from '../utils/siteSettingsAdSlots.js';
+
+/**
+ * Sources in the order they win a placement: sold campaigns, then ad
+ * collections, then the fixed SiteSettings slots as house fallback.
+ */
+export const AD_SOURCE_PRECEDENCE = Object.freeze(['campaign', 'collection', 'site_settings']);
+
+// Collection placements plus the SiteSettings-only slots
+export const AD_SERVER_PLACEMENTS = Object.freeze([
+  ...AdCollection.schema.path('placement').enumValues,
+  'exit_popup',
+  'scroll',
+]);
+
+// Same mapping as migrations/migrateAdsToCampaigns.js
+const CAMPAIGN_PLACEMENTS = {
+  popup: 'popup',
+  header: 'top_banner',
+  footer: 'footer_banner',
+  sidebar: 'sidebar',
+  in_article: 'in_content',
+  after_article: 'in_content',
+  between_sections: 'in_content',
+  floating_banner: 'floating',
+};
+
+const COLLECTION_PLACEMENTS = new Set(AdCollection.schema.path('placement').enumValues);
+
+const traceEntry = (source, record, decision, reason = null) => ({
+  source,
+  id: record?._id?.toString() || record?.key || null,
+  name: record?.name || record?.key || null,
+  decision,
+  reason,
+});
+
+// Why a campaign's schedule or targeting excludes this request, or null
+const getCampaignMismatch = (campaign, context, now) => {
+  const { schedule = {}, targeting = {} } = campaign;
+  if (schedule.startDate && new Date(schedule.startDate) > now) return 'not_started';
+  if (schedule.endDate && new Date(schedule.endDate) < now) return 'ended';
+
+  if (targeting.pages?.length && !targeting.pages.includes(context.pageType)) return 'page_not_targeted';
+  if (targeting.devices?.length && !targeting.devices.includes(context.device)) return 'device_not_targeted';
+  if (targeting.countries?.length && !targeting.countries.includes(context.country)) return 'country_not_targeted';
+  if (targeting.categories?.length
+    && !targeting.categories.some((categoryId) => categoryId.toString() === String(context.categoryId))) {
+    return 'category_not_targeted';
+  }
+  return null;
+};
+
+const getSlotMismatch = (slot, context) => {
+  if (!slot.enabled) return 'disabled';
+  if (!slot.pages.includes('all') && !slot.pages.includes(context.pageType)) return 'page_not_targeted';
+  if (!slot.devices.includes(context.device)) return 'device_not_targeted';
+  if (!slot.creative.imageUrl && !slot.creative.htmlContent) return 'no_creative';
+  return null;
+};
+
+/**
+ * Ad Server
+ *
+ * One decision for a placement across campaigns, ad collections and the
+ * SiteSettings slots. Every candidate that was looked at ends up in the
+ * trace with the reason it was picked, passed over or outranked, so ad ops
+ * can answer "why this ad" from one response.
+ */
+class AdServerService {
+  /**
+   * @param {Object} context
+   * @param {string} context.placement - One of AD_SERVER_PLACEMENTS
+   * @param {Object} [context.user] - Signed-in reader, if any
+   * @param {boolean} [options.explain] - Keep evaluating lower-precedence
+   *   sources after a winner so the trace shows what it outranked
+   * @returns {Promise<{ ad: Object|null, trace: Object[] }>}
+   */
+  async decide(context, { explain = false, now = new Date() } = {}) {
+    const request = {
+      ...context,
+      pageType: normalizePageType(context.pageType),
+      device: context.device || 'desktop',
+      country: context.country || null,
+    };
+    const trace = [];
+    const settings = await SiteSettings.getSettings();
+
+    const blockedBy = await this.getGlobalBlock(settings, request.user);
+    if (blockedBy) {
+      trace.push(traceEntry('global', null, 'blocked', blockedBy));
+      return { ad: null, trace };
+    }
+
+    let ad = null;
+    for (const source of AD_SOURCE_PRECEDENCE) {
+      if (ad && !explain) break;
+      const result = await this.evaluateSource(source, request, settings, now, Boolean(ad));
+      trace.push(...result.trace);
+      if (!ad && result.ad) ad = result.ad;
+    }
+
+    return { ad, trace };
+  }
+
+  /**
+   * `adsGlobal` switches and ad-free subscriptions, matching the checks the
+   * frontend applies before asking for ads.
+   */
+  async getGlobalBlock(settings, user) {
+    const adsGlobal = settings.adsGlobal || {};
+    if (adsGlobal.masterSwitch === false) return 'master_switch_off';
+    if (user && adsGlobal.hideForLoggedIn) return 'hidden_for_logged_in';
+    if (user?.role === 'admin' && adsGlobal.hideForAdmin) return 'hidden_for_admin';
+    if (user && await subscriptionService.isAdFree(user._id)) return 'ad_free_subscription';
+    return null;
+  }
+
+  evaluateSource(source, request, settings, now, outranked) {
+    if (source === 'campaign') return this.evaluateCampaigns(request, now, outranked);
+    if (source === 'collection') return this.evaluateCollections(request, outranked);
+    return this.evaluateSiteSettings(request, settings, outranked);
+  }
+
+  async evaluateCampaigns(request, now, outranked) {
+    const placement = CAMPAIGN_PLACEMENTS[request.placement];
+    if (!placement) {
+      return { ad: null, trace: [traceEntry('campaign', null, 'unavailable', 'placement_not_supported')] };
+    }
+
+    const campaigns = await Campaign.find({ status: 'active', placement }).lean();
+    if (!campaigns.length) {
+      return { ad: null, trace: [traceEntry('campaign', null, 'unavailable', 'no_active_campaigns')] };
+    }
+
+    const trace = [];
+    const matching = campaigns.filter((campaign) => {
+      const mismatch = getCampaignMismatch(campaign, request, now);
+      if (mismatch) trace.push(traceEntry('campaign', campaign, 'rejected', mismatch));
+      return !mismatch;
+    });
+
+    const spentToday = await campaignBillingService.getSpentToday(
+      matching.filter((campaign) => campaign.billing?.dailyCap > 0),
+      now
+    );
+    const servable = [];
+    for (const campaign of matching) {
+      const pacing = campaignBillingService.getPacing(campaign, {
+        spentToday: spentToday.get(campaign._id.toString()) || 0,
+        now,
+      });
+      if (pacing.servable) {
+        servable.push(campaign);
+        continue;
+      }
+      if (pacing.reason === 'budget_exhausted') await campaignBillingService.pauseExhausted(campaign._id, now);
+      trace.push(traceEntry('campaign', campaign, 'rejected', pacing.reason));
+    }
+
+    // Campaigns have no priority; like /campaigns/display, pick one at random
+    while (servable.length) {
+      const [campaign] = servable.splice(Math.floor(Math.random() * servable.length), 1);
+      const variation = Campaign.hydrate(campaign).selectAd();
+      if (!variation) {
+        trace.push(traceEntry('campaign', campaign, 'rejected', 'no_active_variations'));
+        continue;
+      }
+
+      trace.push(traceEntry('campaign', campaign, outranked ? 'outranked' : 'selected',
+        outranked ? 'higher_precedence_source' : 'eligible'));
+      servable.forEach((other) => trace.push(traceEntry('campaign', other, 'outranked', 'not_picked_in_rotation')));
+      return { ad: outranked ? null : this.fromCampaign(campaign, variation, request.placement), trace };
+    }
+
+    return { ad: null, trace };
+  }
+
+  async evaluateCollections(request, outranked) {
+    if (!COLLECTION_PLACEMENTS.has(request.placement)) {
+      return { ad: null, trace: [traceEntry('collection', null, 'unavailable', 'placement_not_supported')] };
+    }
+
+    const collections = await AdCollection.find({ status: 'active', placement: request.placement })
+      .sort({ priority: -1, createdAt: -1 });
+    if (!collections.length) {
+      return { ad: null, trace: [traceEntry('collection', null, 'unavailable', 'no_active_collections')] };
+    }
+
+    const identity = { sessionId: request.sessionId, userId: request.user?._id };
+    const pageKey = buildPageKey({
+      pageType: request.pageType,
+      pageUrl: normalizePagePath(request.pageUrl || ''),
+      fallback: request.articleId || request.categoryId || request.pageType,
+    });
+    const targetingContext = {
+      pageType: request.pageType,
+      device: request.device,
+      country: request.country || 'all',
+      region: request.region || null,
+      isLoggedIn: Boolean(request.user),
+      categoryId: request.categoryId,
+      placementId: request.placementId,
+      sectionIndex: request.sectionIndex ?? null,
+    };
+
+    const trace = [];
+    let ad = null;
+    for (const collection of collections) {
+      const reject = (reason) => trace.push(traceEntry('collection', collection, 'rejected', reason));
+
+      if (ad || outranked) {
+        trace.push(traceEntry('collection', collection, 'outranked',
+          outranked ? 'higher_precedence_source' : 'lower_priority'));
+        continue;
+      }
+      if (!collection.isActive()) { reject('outside_schedule'); continue; }
+      if (!collection.matchesContext(targetingContext)) { reject('targeting_mismatch'); continue; }
+
+      const frequency = collection.frequency?.type || 'once_per_session';
+      if (await AdEvent.hasSeenCollection(identity, collection._id, frequency, pageKey)) {
+        reject(`frequency_${frequency}`);
+        continue;
+      }
+
+      if (collection.frequency?.maxImpressions > 0 || collection.frequency?.maxClicks > 0) {
+        const stats = await AdEvent.getCollectionStats(collection._id);
+        if (collection.frequency.maxImpressions > 0 && stats.impressions >= collection.frequency.maxImpressions) {
+          reject('impression_cap_reached');
+          continue;
+        }
+        if (collection.frequency.maxClicks > 0 && stats.clicks >= collection.frequency.maxClicks) {
+          reject('click_cap_reached');
+          continue;
+        }
+      }
+
+      const selected = await Ad.selectFromCollection(collection._id, collection.rotationType, getVisitorKey(identity));
+      if (!selected) { reject('no_active_ads'); continue; }
+
+      trace.push(traceEntry('collection', collection, 'selected', `priority_${collection.priority}`));
+      ad = this.fromCollection(collection, selected, request.placement);
+    }
+
+    return { ad, trace };
+  }
+
+  evaluateSiteSettings(request, settings, outranked) {
+    const slots = describeSiteSettingsAdSlots(settings).filter((slot) => slot.placement === request.placement);
+    if (!slots.length) {
+      return { ad: null, trace: [traceEntry('site_settings', null, 'unavailable', 'placement_not_supported')] };
+    }
+
+    const trace = [];
+    let ad = null;
+    for (const slot of slots) {
+      const mismatch = getSlotMismatch(slot, request);
+      if (mismatch) {
+        trace.push(traceEntry('site_settings', slot, 'rejected', mismatch));
+      } else if (ad || outranked) {
+        trace.push(traceEntry('site_settings', slot, 'outranked',
+          outranked ? 'higher_precedence_source' : 'earlier_slot'));
+      } else {
+        trace.push(traceEntry('site_settings', slot, 'selected', 'enabled'));
+        ad = this.fromSiteSettings(slot, request.placement);
+      }
+    }
+
+    return { ad, trace };
+  }
+
+  /**
+   * Unified creative payloads. `tracking` says where the client reports
+   * impressions and clicks; `eventKey` is the body field for the event name.
+   */
+  fromCampaign(campaign, variation, placement) {
+    return {
+      source: 'campaign',
+      sourceId: campaign._id.toString(),
+      sourceName: campaign.name,
+      placement,
+      adId: variation.adId,
+      type: variation.type,
+      imageUrl: variation.imageUrl,
+      mobileImageUrl: variation.mobileImageUrl,
+      htmlContent: variation.htmlContent,
+      videoUrl: variation.videoUrl,
+      linkUrl: variation.linkUrl,
+      linkTarget: variation.linkTarget,
+      ctaText: variation.ctaText,
+      altText: variation.altText,
+      showLabel: true,
+      labelText: 'Advertisement',
+      frequency: campaign.frequency?.type || 'once_per_session',
+      settings: campaign.settings || {},
+      tracking: {
+        endpoint: '/api/campaigns/track',
+        eventKey: 'event',
+        body: { campaignId: campaign._id.toString(), adId: variation.adId },
+      },
+    };
+  }
+
+  fromCollection(collection, ad, placement) {
+    return {
+      source: 'collection',
+      sourceId: collection._id.toString(),
+      sourceName: collection.name,
+      placement,
+      adId: ad._id.toString(),
+      type: ad.type,
+      imageUrl: ad.imageUrl,
+      mobileImageUrl: ad.mobileImageUrl,
+      htmlContent: ad.htmlContent,
+      videoUrl: ad.videoUrl,
+      linkUrl: ad.linkUrl,
+      linkTarget: ad.linkTarget,
+      ctaText: ad.ctaText,
+      altText: ad.altText,
+      showLabel: ad.showLabel,
+      labelText: ad.labelText,
+      frequency: collection.frequency?.type || 'once_per_session',
+      settings: {
+        popup: collection.popupSettings,
+        style: ad.style,
+        size: ad.size,
+        alignment: ad.alignment,
+        imageUrls: ad.imageUrls,
+        slideIntervalMs: ad.slideIntervalMs,
+      },
+      tracking: {
+        endpoint: '/api/ads/track',
+        eventKey: 'type',
+        body: { adId: ad._id.toString(), placement },
+      },
+    };
+  }
+
+  fromSiteSettings(slot, placement) {
+    const { creative } = slot;
+    return {
+      source: 'site_settings',
+      sourceId: slot.key,
+      sourceName: slot.key,
+      placement,
+      adId: null,
+      type: creative.type,
+      title: creative.title || '',
+      imageUrl: creative.imageUrl || '',
+      mobileImageUrl: creative.mobileImageUrl || '',
+      htmlContent: creative.htmlContent || '',
+      videoUrl: '',
+      linkUrl: creative.linkUrl || '',
+      linkTarget: '_blank',
+      ctaText: creative.ctaText || '',
+      altText: '',
+      showLabel: creative.showLabel !== false,
+      labelText: 'Advertisement',
+      frequency: slot.frequency,
+      settings: { ...slot.settings, style: creative.style, backgroundColor: creative.backgroundColor },
+      // SiteSettings slots have no impression or click tracking
+      tracking: null,
+    };
+  }
+}
+
+export default new AdServerService();
@@ -0,0 +1,407 @@
+import PDFDocument from 'pdfkit';
+import { nanoid } from 'nanoid';
+import Ad from '../models/Ad.js';
+import AdCollection from '../models/AdCollection.js';
+import AdCreativeSubmission from '../models/AdCreativeSubmission.js';
+import AdStatsDaily from '../models/AdStatsDaily.js';
+import Campaign from '../models/Campaign.js';
+import CampaignSpendDaily from '../models/CampaignSpendDaily.js';
+import storageService from './storageService.js';
+import notificationService from './notificationService.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+export const REPORT_BREAKDOWNS = Object.freeze(['day', 'device', 'placement']);
+
+const DEVICES = ['desktop', 'mobile', 'tablet'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BREAKDOWN_LABELS = { day: 'Day', device: 'Device', placement: 'Placement' };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// AdStatsDaily dates are local midnight (see jobs/aggregateAdStats.js)
+const toLocalDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const toCents = (value) => Number(value.toFixed(2));
+
+const summarize = ({ impressions = 0, clicks = 0, spend = 0 }) => ({
+  impressions,
+  clicks,
+  ctr: impressions ? Number(((clicks / impressions) * 100).toFixed(2)) : 0,
+  spend: toCents(spend),
+});
+
+const addTo = (map, key, { impressions = 0, clicks = 0, spend = 0 }) => {
+  const row = map.get(key) || { impressions: 0, clicks: 0, spend: 0 };
+  row.impressions += impressions;
+  row.clicks += clicks;
+  row.spend += spend;
+  map.set(key, row);
+};
+
+const toRows = (map, key) => [...map.entries()].map(([value, row]) => ({ [key]: value, ...summarize(row) }));
+
+const hasId = (ids = [], id) => ids.some((linked) => linked.toString() === String(id));
+
+/**
+ * Advertiser Portal Service
+ *
+ * Read-only reporting for advertiser accounts over the campaigns and ad
+ * collections linked to them (`User.advertiser`), plus creative uploads
+ * that wait for staff approval before they are served.
+ *
+ * Collection ads report from AdStatsDaily, which has device breakdowns but
+ * no spend. Campaigns report from CampaignSpendDaily, which has spend but
+ * no devices; their delivery shows up as `unattributed` in the device view.
+ */
+class AdvertiserPortalService {
+  /**
+   * Campaigns and collections linked to the advertiser.
+   */
+  async getScope(user) {
+    const { campaigns = [], collections = [] } = user.advertiser || {};
+
+    const [campaignDocs, collectionDocs] = await Promise.all([
+      campaigns.length
+        ? Campaign.find({ _id: { $in: campaigns } })
+          .select('name placement status schedule billing stats.budget stats.spent')
+          .sort({ createdAt: -1 })
+          .lean()
+        : [],
+      collections.length
+        ? AdCollection.find({ _id: { $in: collections } })
+          .select('name placement status schedule')
+          .sort({ createdAt: -1 })
+          .lean()
+        : [],
+    ]);
+
+    return { company: user.advertiser?.company || '', campaigns: campaignDocs, collections: collectionDocs };
+  }
+
+  assertAccess(user, { campaignId, collectionId }) {
+    const { campaigns = [], collections = [] } = user.advertiser || {};
+    if (campaignId && !hasId(campaigns, campaignId)) {
+      throw new ForbiddenError('This campaign is not linked to your account');
+    }
+    if (collectionId && !hasId(collections, collectionId)) {
+      throw new ForbiddenError('This ad collection is not linked to your account');
+    }
+  }
+
+  /**
+   * Impressions, clicks, CTR and spend between two days (inclusive, default
+   * the last 30), in total and by day, device, placement and record.
+   * `campaignId` or `collectionId` narrows the report to one record.
+   */
+  async getReport(user, { from, to, campaignId, collectionId, now = new Date() } = {}) {
+    this.assertAccess(user, { campaignId, collectionId });
+
+    const toDay = to || toLocalDay(now);
+    const fromDay = from || toLocalDay(new Date(new Date(`${toDay}T00:00:00`).getTime() - 29 * DAY_MS));
+    if (fromDay > toDay) throw new BadRequestError('from must not be after to');
+
+    const scope = await this.getScope(user);
+    const narrowed = campaignId || collectionId;
+    const campaigns = narrowed
+      ? scope.campaigns.filter((campaign) => campaign._id.toString() === String(campaignId))
+      : scope.campaigns;
+    const collections = narrowed
+      ? scope.collections.filter((collection) => collection._id.toString() === String(collectionId))
+      : scope.collections;
+
+    const byDay = new Map();
+    const byDevice = new Map(DEVICES.map((device) => [device, { impressions: 0, clicks: 0, spend: 0 }]));
+    const byPlacement = new Map();
+    const items = new Map();
+    const totals = { impressions: 0, clicks: 0, spend: 0 };
+
+    const record = (row, { day, placement, item }) => {
+      addTo(byDay, day, row);
+      addTo(byPlacement, placement, row);
+      addTo(items, item, row);
+      totals.impressions += row.impressions || 0;
+      totals.clicks += row.clicks || 0;
+      totals.spend += row.spend || 0;
+    };
+
+    if (collections.length) {
+      const ads = await Ad.find({ collectionId: { $in: collections.map((collection) => collection._id) } })
+        .select('_id collectionId')
+        .lean();
+      const collectionByAd = new Map(ads.map((ad) => [
+        ad._id.toString(),
+        collections.find((collection) => collection._id.toString() === ad.collectionId.toString()),
+      ]));
+
+      const rows = ads.length
+        ? await AdStatsDaily.find({
+          adId: { $in: ads.map((ad) => ad._id) },
+          date: { $gte: new Date(`${fromDay}T00:00:00`), $lte: new Date(`${toDay}T23:59:59.999`) },
+        })
+          .select('adId date impressions clicks byDevice')
+          .lean()
+        : [];
+
+      rows.forEach((row) => {
+        const collection = collectionByAd.get(row.adId.toString());
+        record({ impressions: row.impressions || 0, clicks: row.clicks || 0 }, {
+          day: toLocalDay(new Date(row.date)),
+          placement: collection.placement,
+          item: `collection:${collection._id}`,
+        });
+        DEVICES.forEach((device) => addTo(byDevice, device, {
+          impressions: row.byDevice?.[device]?.impressions || 0,
+          clicks: row.byDevice?.[device]?.clicks || 0,
+        }));
+      });
+    }
+
+    if (campaigns.length) {
+      const rows = await CampaignSpendDaily.find({
+        campaign: { $in: campaigns.map((campaign) => campaign._id) },
+        day: { $gte: fromDay, $lte: toDay },
+      }).lean();
+
+      rows.forEach((row) => {
+        const campaign = campaigns.find((candidate) => candidate._id.toString() === row.campaign.toString());
+        const values = { impressions: row.impressions || 0, clicks: row.clicks || 0, spend: row.spend || 0 };
+        record(values, { day: row.day, placement: campaign.placement, item: `campaign:${campaign._id}` });
+        addTo(byDevice, 'unattributed', values);
+      });
+    }
+
+    const describeItem = (type, doc) => ({
+      type,
+      _id: doc._id,
+      name: doc.name,
+      placement: doc.placement,
+      status: doc.status,
+      ...summarize(items.get(`${type}:${doc._id}`) || {}),
+    });
+
+    return {
+      company: scope.company,
+      currency: campaigns[0]?.billing?.currency || 'USD',
+      from: fromDay,
+      to: toDay,
+      totals: summarize(totals),
+      byDay: toRows(byDay, 'day').sort((a, b) => a.day.localeCompare(b.day)),
+      byDevice: toRows(byDevice, 'device'),
+      byPlacement: toRows(byPlacement, 'placement').sort((a, b) => b.impressions - a.impressions),
+      items: [
+        ...campaigns.map((campaign) => describeItem('campaign', campaign)),
+        ...collections.map((collection) => describeItem('collection', collection)),
+      ],
+    };
+  }
+
+  /**
+   * One breakdown of `getReport` as CSV, with a total line.
+   */
+  toCsv(report, breakdown = 'day') {
+    const rows = report[`by${breakdown[0].toUpperCase()}${breakdown.slice(1)}`];
+    const line = (label, row) => [label, row.impressions, row.clicks, row.ctr, row.spend].join(',');
+
+    return [
+      `${BREAKDOWN_LABELS[breakdown]},Impressions,Clicks,CTR %,Spend (${report.currency})`,
+      ...rows.map((row) => line(row[breakdown], row)),
+      line('Total', report.totals),
+    ].join('\n');
+  }
+
+  /**
+   * The whole report as a PDF.
+   * @returns {Promise<Buffer>}
+   */
+  toPdf(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 48 });
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const columns = [48, 210, 300, 380, 450];
+      const tableRow = (cells, { bold = false } = {}) => {
+        if (doc.y > doc.page.height - 72) doc.addPage();
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        cells.forEach((cell, index) => doc.text(String(cell), columns[index], y, { width: 150, lineBreak: false }));
+        doc.moveDown(0.6);
+      };
+      const table = (title, label, rows, key) => {
+        doc.moveDown().font('Helvetica-Bold').fontSize(13).text(title, columns[0]);
+        doc.moveDown(0.4);
+        tableRow([label, 'Impressions', 'Clicks', 'CTR %', `Spend (${report.currency})`], { bold: true });
+        rows.forEach((row) => tableRow([row[key], row.impressions, row.clicks, row.ctr, row.spend]));
+        tableRow(['Total', report.totals.impressions, report.totals.clicks, report.totals.ctr, report.totals.spend],
+          { bold: true });
+      };
+
+      doc.font('Helvetica-Bold').fontSize(18).text(`Advertising report${report.company ? `: ${report.company}` : ''}`);
+      doc.font('Helvetica').fontSize(11).text(`${report.from} to ${report.to}`);
+      doc.moveDown(0.4);
+      report.items.forEach((item) => doc.fontSize(10).text(
+        `${item.type === 'campaign' ? 'Campaign' : 'Collection'}: ${item.name} (${item.placement}, ${item.status})`
+      ));
+
+      table('By day', 'Day', report.byDay, 'day');
+      table('By device', 'Device', report.byDevice, 'device');
+      table('By placement', 'Placement', report.byPlacement, 'placement');
+      doc.end();
+    });
+  }
+
+  listCreatives(user) {
+    return AdCreativeSubmission.find({ advertiser: user._id })
+      .populate('campaign', 'name placement')
+      .populate('collectionId', 'name placement')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Store an uploaded creative for staff review. `files.image` is required,
+   * `files.mobileImage` optional (multer `fields` shape).
+   */
+  async submitCreative(user, { campaignId, collectionId, name, linkUrl, ctaText, altText }, files = {}) {
+    if (Boolean(campaignId) === Boolean(collectionId)) {
+      throw new BadRequestError('Choose either a campaign or an ad collection');
+    }
+    this.assertAccess(user, { campaignId, collectionId });
+
+    const [image] = files.image || [];
+    const [mobileImage] = files.mobileImage || [];
+    if (!image) throw new BadRequestError('An image is required');
+
+    const uploads = [];
+    for (const file of [image, mobileImage].filter(Boolean)) {
+      const [error] = storageService.validateFile(file);
+      if (error) throw new BadRequestError(error);
+      uploads.push(await storageService.upload(file, { folder: 'ad-creatives' }));
+    }
+    const [desktop, mobile] = uploads;
+
+    return AdCreativeSubmission.create({
+      advertiser: user._id,
+      campaign: campaignId || null,
+      collectionId: collectionId || null,
+      name,
+      imageUrl: desktop.url,
+      imageStorageKey: desktop.storageKey || '',
+      mobileImageUrl: mobile?.url || '',
+      mobileImageStorageKey: mobile?.storageKey || '',
+      linkUrl,
+      ctaText: ctaText || undefined,
+      altText: altText || '',
+    });
+  }
+
+  listForReview({ status = 'pending' } = {}) {
+    return AdCreativeSubmission.find(status === 'all' ? {} : { status })
+      .populate('advertiser', 'firstName lastName email advertiser.company')
+      .populate('campaign', 'name placement')
+      .populate('collectionId', 'name placement')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .limit(200)
+      .lean();
+  }
+
+  /**
+   * Move a pending submission to its review outcome. The status check and the
+   * update are one findOneAndUpdate, so two reviewers cannot both act on it.
+   */
+  async claimSubmission(id, reviewer, status, note = '') {
+    const submission = await AdCreativeSubmission.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      {
+        $set: {
+          status,
+          reviewedBy: reviewer._id,
+          reviewedAt: new Date(),
+          reviewNote: note || '',
+        },
+      },
+      { new: true }
+    );
+    if (submission) return submission;
+
+    if (!(await AdCreativeSubmission.exists({ _id: id }))) {
+      throw new NotFoundError('Creative submission not found');
+    }
+    throw new ConflictError('This creative has already been reviewed');
+  }
+
+  /**
+   * Put an approved creative live: a new variation on the campaign or a new
+   * ad in the collection. If that fails the submission goes back to pending.
+   */
+  async approveCreative(id, reviewer, note = '') {
+    const submission = await this.claimSubmission(id, reviewer, 'approved', note);
+
+    let liveAdId;
+    try {
+      liveAdId = await this.createLiveAd(submission, reviewer);
+    } catch (error) {
+      await AdCreativeSubmission.updateOne(
+        { _id: submission._id, status: 'approved' },
+        { $set: { status: 'pending', reviewNote: '' }, $unset: { reviewedBy: 1, reviewedAt: 1 } }
+      );
+      throw error;
+    }
+
+    await AdCreativeSubmission.updateOne({ _id: submission._id }, { $set: { liveAdId } });
+    submission.liveAdId = liveAdId;
+    return this.notifyReviewed(submission);
+  }
+
+  async rejectCreative(id, reviewer, note) {
+    const submission = await this.claimSubmission(id, reviewer, 'rejected', note);
+    return this.notifyReviewed(submission);
+  }
+
+  /**
+   * @returns {Promise<string>} The campaign variation adId or the new Ad's id
+   */
+  async createLiveAd(submission, reviewer) {
+    const creative = {
+      type: 'image',
+      imageUrl: submission.imageUrl,
+      mobileImageUrl: submission.mobileImageUrl,
+      linkUrl: submission.linkUrl,
+      ctaText: submission.ctaText,
+      altText: submission.altText,
+    };
+
+    if (submission.campaign) {
+      const campaign = await Campaign.findById(submission.campaign);
+      if (!campaign) throw new NotFoundError('Campaign not found');
+      const adId = nanoid(10);
+      campaign.ads.push({ ...creative, adId, stats: { impressions: 0, clicks: 0, ctr: 0, conversions: 0 } });
+      campaign.updatedBy = reviewer._id;
+      await campaign.save();
+      return adId;
+    }
+
+    const collection = await AdCollection.findById(submission.collectionId).select('_id');
+    if (!collection) throw new NotFoundError('Ad collection not found');
+    const ad = await Ad.create({
+      ...creative,
+      collectionId: collection._id,
+      name: submission.name,
+      status: 'active',
+      createdBy: reviewer._id,
+    });
+    return ad._id.toString();
+  }
+
+  notifyReviewed(submission) {
+    // The review stands even if the advertiser cannot be notified
+    notificationService.notifyCreativeReviewed(submission).catch((error) => {
+      console.error('Failed to notify advertiser about creative review:', error.message);
+    });
+    return submission;
+  }
+}
+
+export default new AdvertiserPortalService();
@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import { ApiKey, ApiKeyRequestLog, User } from '../models/index.js';
+import { hashIp } from '../utils/fraudDetection.js';
+import { isIpAllowed } from '../utils/helpers.js';
+import { NotFoundError, UnauthorizedError, ForbiddenError } from '../utils/errors.js';
+import logger from './loggerService.js';
+
+const KEY_PREFIX = 'bpk_';
+
+/**
+ * "PUT /articles/:id/workflow/*" -> { method, pattern } matching a request path.
+ */
+const toRouteMatcher = (route) => {
+  const [method, path] = route.split(' ');
+  const source = path
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') return '.+';
+      return segment.startsWith(':') ? '[^/]+' : segment;
+    })
+    .join('/');
+  return { method, pattern: new RegExp(`^${source}$`) };
+};
+
+// Endpoints each scope opens (paths without /api). `paths` are prefixes for the
+// listed methods; `routes` are single endpoints, with :params and a trailing *.
+// Anything not listed here cannot be reached with an API key.
+const SCOPE_ROUTES = [
+  { scope: 'articles:read', methods: ['GET'], paths: ['/articles'] },
+  {
+    scope: 'articles:write',
+    routes: ['POST /articles', 'PUT /articles/:id', 'DELETE /articles/:id'],
+    methods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+    paths: ['/uploads'],
+  },
+  {
+    scope: 'articles:workflow',
+    routes: [
+      'POST /articles/:id/workflow/*',
+      'PUT /articles/:id/workflow/*',
+      'DELETE /articles/:id/workflow/*',
+      'PUT /articles/:id/approve',
+      'PUT /articles/:id/reject',
+    ],
+  },
+  { scope: 'analytics:read', methods: ['GET'], paths: ['/analytics', '/advanced-analytics', '/dashboard'] },
+  { scope: 'ads:track', methods: ['POST'], paths: ['/ads/track'] },
+].map(({ routes = [], methods = [], paths = [], ...entry }) => ({
+  ...entry,
+  methods,
+  paths,
+  routes: routes.map(toRouteMatcher),
+}));
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Raw key from `X-API-Key` or an `Authorization: Bearer bpk_...` header.
+ */
+export const extractApiKey = (req) => {
+  const header = req.headers?.['x-api-key'];
+  if (header) return String(header).trim();
+
+  const authHeader = req.headers?.authorization || '';
+  const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '';
+  return bearer.startsWith(KEY_PREFIX) ? bearer : null;
+};
+
+/**
+ * Request path relative to the API mount, without the query string.
+ */
+export const getApiPath = (req) => (req.originalUrl || req.url || '').split('?')[0].replace(/^\/api(?=\/|$)/, '') || '/';
+
+/**
+ * Scope an endpoint requires from API keys, or null when keys may not use it.
+ */
+export const getRequiredScope = (method, path) => {
+  const route = SCOPE_ROUTES.find((entry) => (
+    entry.routes.some((candidate) => candidate.method === method && candidate.pattern.test(path))
+    || (entry.methods.includes(method)
+      && entry.paths.some((prefix) => path === prefix || path.startsWith(`${prefix}/`)))
+  ));
+  return route?.scope || null;
+};
+
+export const hasScope = (apiKey, scope) => Boolean(scope && apiKey?.scopes?.includes(scope));
+
+/**
+ * API Key Service
+ * Issuing, verifying and auditing keys for machine clients.
+ */
+class ApiKeyService {
+  /**
+   * Create a key. The plain key is returned once and never stored.
+   *
+   * @returns {Promise<{ apiKey: object, key: string }>}
+   */
+  async create(data, createdBy) {
+    const actingUserId = data.user || createdBy._id;
+    const actingUser = await User.findById(actingUserId);
+    if (!actingUser) throw new NotFoundError('User not found');
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      name: data.name,
+      description: data.description,
+      scopes: data.scopes,
+      ipAllowlist: data.ipAllowlist,
+      rateLimitPerMinute: data.rateLimitPerMinute,
+      expiresAt: data.expiresAt || null,
+      user: actingUser._id,
+      createdBy: createdBy._id,
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashApiKey(key),
+    });
+
+    logger.logSecurity('API key created', { apiKeyId: apiKey._id, createdBy: createdBy._id, scopes: apiKey.scopes });
+    return { apiKey, key };
+  }
+
+  /**
+   * Resolve a presented key, enforcing revocation, expiry and the IP allowlist.
+   * `ip` must be the proxy-aware `req.ip`, never a client-supplied header.
+   */
+  async verify(key, ip, now = new Date()) {
+    const apiKey = key ? await ApiKey.findOne({ keyHash: hashApiKey(key) }) : null;
+    if (!apiKey || apiKey.revokedAt) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= now) {
+      throw new UnauthorizedError('API key has expired');
+    }
+    if (apiKey.ipAllowlist?.length && !isIpAllowed(ip, apiKey.ipAllowlist)) {
+      logger.logSecurity('API key used from a disallowed IP', { apiKeyId: apiKey._id, ip });
+      throw new ForbiddenError('API key is not allowed from this IP address');
+    }
+    return apiKey;
+  }
+
+  /**
+   * Update last-used details and append to the request log.
+   */
+  async recordUsage(apiKey, { method, path, statusCode, durationMs, ip }) {
+    const ipHash = ip ? hashIp(ip) : '';
+    await Promise.all([
+      ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIpHash: ipHash }, $inc: { requestCount: 1 } }
+      ),
+      ApiKeyRequestLog.create({
+        apiKey: apiKey._id,
+        method,
+        path: path.slice(0, 500),
+        statusCode,
+        durationMs,
+        ipHash,
+      }),
+    ]);
+  }
+
+  async list() {
+    return ApiKey.find()
+      .sort({ revokedAt: 1, createdAt: -1 })
+      .populate('user', 'firstName lastName email role')
+      .populate('createdBy', 'firstName lastName email')
+      .lean();
+  }
+
+  async update(id, data) {
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) throw new NotFoundError('API key not found');
+
+    ['name', 'description', 'scopes', 'ipAllowlist', 'rateLimitPerMinute', 'expiresAt'].forEach((field) => {
+      if (data[field] !== undefined) apiKey[field] = data[field];
+    });
+    await apiKey.save();
+    return apiKey;
+  }
+
+  async revoke(id, revokedBy) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: revokedBy._id } },
+      { new: true }
+    );
+    if (!apiKey) throw new NotFoundError('API key not found or already revoked');
+
+    logger.logSecurity('API key revoked', { apiKeyId: apiKey._id, revokedBy: revokedBy._id });
+    return apiKey;
+  }
+
+  async getRequests(id, { skip, limit }) {
+    const filter = { apiKey: id };
+    const [requests, total] = await Promise.all([
+      ApiKeyRequestLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      ApiKeyRequestLog.countDocuments(filter),
+    ]);
+    return { requests, total };
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+export default apiKeyService;
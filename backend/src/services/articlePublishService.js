@@ -0,0 +1,302 @@
+import { Article, Category } from '../models/index.js';
+import cacheService from './cacheService.js';
+import telegramService from './telegramService.js';
+import sitemapService from './sitemapService.js';
+import feedService from './feedService.js';
+import {
+    ensureArticleWorkflow,
+    buildWorkflowArticleLink,
+    captureWorkflowSnapshot,
+    appendWorkflowAuditEntry,
+} from '../utils/articleWorkflow.js';
+
+const SCHEDULER_BATCH_SIZE = 50;
+// How long a claimed scheduled transition may stay unfinished before another tick retries it
+const SCHEDULED_RETRY_AFTER_MS = 5 * 60 * 1000;
+const WORKFLOW_ROLES = ['editor', 'translator', 'admin'];
+
+/**
+ * Article Publish Service
+ * Owns the side effects of taking an article live (or pulling it down), so the
+ * workflow endpoints and the scheduled publisher behave exactly the same.
+ */
+class ArticlePublishService {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    async invalidateArticleCaches(article, previousSlug = '') {
+        if (previousSlug && previousSlug !== article.slug) {
+            await cacheService.invalidateArticle(previousSlug);
+        }
+        await cacheService.invalidateArticle(article.slug);
+        await cacheService.invalidateArticleLists();
+        await sitemapService.invalidate();
+        await feedService.invalidate();
+    }
+
+    async refreshCategoryCount(article) {
+        const categoryId = article.category?._id || article.category;
+        if (!categoryId) return;
+        const category = await Category.findById(categoryId);
+        await category?.updateArticleCount();
+    }
+
+    sendWorkflowUpdate(article, { stage, submittedBy = 'System', roles = WORKFLOW_ROLES, dueAt = '' } = {}) {
+        for (const targetRole of roles) {
+            telegramService.sendWorkflowUpdateNonBlocking({
+                targetRole,
+                stage,
+                articleId: article._id.toString(),
+                title: article.title || '',
+                language: article.language || '',
+                submittedBy,
+                dueAt,
+                link: buildWorkflowArticleLink(article._id),
+            });
+        }
+    }
+
+    /**
+     * Run after an article has been saved with status "published".
+     * The Elasticsearch sync happens in Article's post('save') hook.
+     */
+    async runPublishSideEffects(article, { publishedBy = 'System' } = {}) {
+        await this.invalidateArticleCaches(article);
+        await this.refreshCategoryCount(article);
+
+        try {
+            const { default: notificationService } = await import('./notificationService.js');
+            await notificationService.notifyArticlePublished(article, article.author?._id || article.author);
+        } catch (error) {
+            console.error('Failed to send publish notifications:', error);
+        }
+
+        try {
+            const { default: webhookService, toArticleWebhookData } = await import('./webhookService.js');
+            await webhookService.emit('article.published', {
+                article: toArticleWebhookData(article),
+                publishedBy,
+            });
+        } catch (error) {
+            console.error('Failed to queue publish webhooks:', error);
+        }
+
+        this.sendWorkflowUpdate(article, { stage: 'PUBLISHED', submittedBy: publishedBy });
+    }
+
+    /**
+     * Run after a published article has been taken down by its unpublish time.
+     */
+    async runUnpublishSideEffects(article, { unpublishedBy = 'System' } = {}) {
+        await this.invalidateArticleCaches(article);
+        await this.refreshCategoryCount(article);
+        this.sendWorkflowUpdate(article, {
+            stage: 'UNPUBLISHED',
+            submittedBy: unpublishedBy,
+            roles: ['editor', 'admin'],
+        });
+    }
+
+    /**
+     * Record the audit entry for a claimed scheduled transition, run its side
+     * effects and clear the article's pending marker. Safe to call again for an
+     * article whose previous attempt failed part-way.
+     */
+    async completeScheduledTransition(article) {
+        const { action, scheduledAt, claimedAt } = article.scheduledTransition;
+        const publishing = action === 'publish';
+
+        if (!article.scheduledTransition.audited) {
+            const workflow = ensureArticleWorkflow(article);
+            const beforeSnapshot = {
+                ...captureWorkflowSnapshot(article, workflow),
+                status: publishing ? 'scheduled' : 'published',
+            };
+            appendWorkflowAuditEntry({
+                article,
+                workflow,
+                action: publishing ? 'scheduled_published' : 'scheduled_unpublished',
+                metadata: {
+                    via: 'scheduled_publisher',
+                    [publishing ? 'scheduledPublishAt' : 'scheduledUnpublishAt']: scheduledAt,
+                },
+                beforeSnapshot,
+            });
+            article.scheduledTransition.audited = true;
+            await article.save();
+        }
+
+        if (publishing) {
+            await this.runPublishSideEffects(article, { publishedBy: 'Scheduler' });
+        } else {
+            await this.runUnpublishSideEffects(article, { unpublishedBy: 'Scheduler' });
+        }
+
+        await Article.updateOne(
+            { _id: article._id, 'scheduledTransition.claimedAt': claimedAt },
+            { $set: { scheduledTransition: null } }
+        );
+    }
+
+    /**
+     * Pick up scheduled transitions that were applied but never finished
+     * (the save or a side effect threw, or the process died). A transition is
+     * only retried once its claim is older than SCHEDULED_RETRY_AFTER_MS so
+     * another instance that is still working on it is left alone.
+     */
+    async retryScheduledTransitions(action, now = new Date()) {
+        const expectedStatus = action === 'publish' ? 'published' : 'archived';
+        const staleBefore = new Date(now.getTime() - SCHEDULED_RETRY_AFTER_MS);
+        const pending = await Article.find({
+            'scheduledTransition.action': action,
+            'scheduledTransition.claimedAt': { $lte: staleBefore },
+        })
+            .select('_id')
+            .sort({ 'scheduledTransition.claimedAt': 1 })
+            .limit(SCHEDULER_BATCH_SIZE)
+            .lean();
+
+        let completed = 0;
+        for (const { _id } of pending) {
+            try {
+                const article = await Article.findOneAndUpdate(
+                    {
+                        _id,
+                        'scheduledTransition.action': action,
+                        'scheduledTransition.claimedAt': { $lte: staleBefore },
+                    },
+                    { $set: { 'scheduledTransition.claimedAt': now } },
+                    { new: true }
+                );
+                if (!article) continue;
+
+                // An editor has moved the article on since; its side effects no longer apply
+                if (article.status !== expectedStatus) {
+                    await Article.updateOne({ _id }, { $set: { scheduledTransition: null } });
+                    continue;
+                }
+
+                await this.completeScheduledTransition(article);
+                completed += 1;
+            } catch (error) {
+                console.error(`[Scheduler] Failed to finish scheduled ${action} of article ${_id}:`, error.message);
+            }
+        }
+
+        return completed;
+    }
+
+    /**
+     * Publish scheduled articles whose publish time has passed.
+     * Each article is claimed with a single conditional update that publishes it
+     * and marks its side effects as pending, so only one API instance publishes
+     * it and a failure after the claim is retried on a later tick.
+     */
+    async publishDueArticles(now = new Date()) {
+        let published = await this.retryScheduledTransitions('publish', now);
+
+        const due = await Article.find({ status: 'scheduled', scheduledPublishAt: { $lte: now } })
+            .select('_id')
+            .sort({ scheduledPublishAt: 1 })
+            .limit(SCHEDULER_BATCH_SIZE)
+            .lean();
+
+        for (const { _id } of due) {
+            try {
+                const article = await Article.findOneAndUpdate(
+                    { _id, status: 'scheduled', scheduledPublishAt: { $lte: now } },
+                    [
+                        {
+                            $set: {
+                                status: 'published',
+                                publishedAt: { $ifNull: ['$publishedAt', '$scheduledPublishAt'] },
+                                scheduledPublishAt: null,
+                                scheduledTransition: {
+                                    action: 'publish',
+                                    scheduledAt: '$scheduledPublishAt',
+                                    claimedAt: now,
+                                    audited: false,
+                                },
+                            },
+                        },
+                    ],
+                    { new: true }
+                );
+                if (!article) continue;
+
+                await this.completeScheduledTransition(article);
+                published += 1;
+            } catch (error) {
+                console.error(`[Scheduler] Failed to publish article ${_id}:`, error.message);
+            }
+        }
+
+        return published;
+    }
+
+    /**
+     * Archive published articles whose unpublish time has passed.
+     */
+    async unpublishDueArticles(now = new Date()) {
+        let unpublished = await this.retryScheduledTransitions('unpublish', now);
+
+        const due = await Article.find({ status: 'published', scheduledUnpublishAt: { $lte: now } })
+            .select('_id')
+            .sort({ scheduledUnpublishAt: 1 })
+            .limit(SCHEDULER_BATCH_SIZE)
+            .lean();
+
+        for (const { _id } of due) {
+            try {
+                const article = await Article.findOneAndUpdate(
+                    { _id, status: 'published', scheduledUnpublishAt: { $lte: now } },
+                    [
+                        {
+                            $set: {
+                                status: 'archived',
+                                scheduledUnpublishAt: null,
+                                scheduledTransition: {
+                                    action: 'unpublish',
+                                    scheduledAt: '$scheduledUnpublishAt',
+                                    claimedAt: now,
+                                    audited: false,
+                                },
+                            },
+                        },
+                    ],
+                    { new: true }
+                );
+                if (!article) continue;
+
+                await this.completeScheduledTransition(article);
+                unpublished += 1;
+            } catch (error) {
+                console.error(`[Scheduler] Failed to unpublish article ${_id}:`, error.message);
+            }
+        }
+
+        return unpublished;
+    }
+
+    /**
+     * One scheduler tick. Skips the tick if the previous one is still running.
+     */
+    async runScheduledTransitions(now = new Date()) {
+        if (this.isRunning) {
+            return { published: 0, unpublished: 0, skipped: true };
+        }
+
+        this.isRunning = true;
+        try {
+            const published = await this.publishDueArticles(now);
+            const unpublished = await this.unpublishDueArticles(now);
+            return { published, unpublished, skipped: false };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+const articlePublishService = new ArticlePublishService();
+export default articlePublishService;
@@ -1,4 +1,5 @@
 import elasticsearchService from './elasticsearchService.js';
+import { buildEsFacetAggs, buildEsFacetClauses, normalizeEsFacets } from '../utils/searchFacets.js';
 
 /**
  * Article Search Service
@@ -124,6 +125,9 @@ const ARTICLES_MAPPING = {
       language: {
         type: 'keyword',
       },
+      postType: {
+        type: 'keyword',
+      },
       createdAt: {
         type: 'date',
       },
@@ -189,6 +193,7 @@ class ArticleSearchService {
       viewCount: article.viewCount || 0,
       readTime: article.readTime || 0,
       language: article.language || 'en',
+      postType: article.postType || 'news',
       createdAt: article.createdAt,
       updatedAt: article.updatedAt,
     };
@@ -255,6 +260,10 @@ class ArticleSearchService {
 
   /**
    * Advanced search with all features
+   *
+   * `filters` takes the multi-select facets from `parseFacetFilters`
+   * (categories, tags, authors, languages, postTypes, months) plus
+   * dateFrom, dateTo, isFeatured and isBreaking.
    */
   async search(options = {}) {
     const {
@@ -263,7 +272,6 @@ class ArticleSearchService {
       limit = 20,
       filters = {},
       sortBy = 'relevance',
-      language = 'en',
     } = options;
 
     const from = (page - 1) * limit;
@@ -299,26 +307,6 @@ class ArticleSearchService {
     // Status filter (always published)
     filter.push({ term: { status: 'published' } });
 
-    // Language filter
-    if (language) {
-      filter.push({ term: { language } });
-    }
-
-    // Category filter
-    if (filters.category) {
-      filter.push({ term: { 'category._id': filters.category } });
-    }
-
-    // Author filter
-    if (filters.author) {
-      filter.push({ term: { 'author._id': filters.author } });
-    }
-
-    // Tags filter
-    if (filters.tags && filters.tags.length > 0) {
-      filter.push({ terms: { tags: filters.tags } });
-    }
-
     // Date range filter
     if (filters.dateFrom || filters.dateTo) {
       const dateRange = {};
@@ -364,6 +352,11 @@ class ArticleSearchService {
           filter,
         },
       },
+      // Facet selections narrow the hits but not the aggregations,
+      // which re-apply every selection except their own
+      post_filter: {
+        bool: { filter: buildEsFacetClauses(filters) },
+      },
       sort,
       highlight: {
         fields: {
@@ -374,33 +367,7 @@ class ArticleSearchService {
         pre_tags: ['<mark>'],
         post_tags: ['</mark>'],
       },
-      aggs: {
-        // Aggregations for faceted search
-        categories: {
-          terms: {
-            field: 'category._id',
-            size: 20,
-          },
-        },
-        authors: {
-          terms: {
-            field: 'author._id',
-            size: 20,
-          },
-        },
-        tags: {
-          terms: {
-            field: 'tags',
-            size: 50,
-          },
-        },
-        date_histogram: {
-          date_histogram: {
-            field: 'publishedAt',
-            calendar_interval: 'month',
-          },
-        },
-      },
+      aggs: buildEsFacetAggs(filters),
       suggest: query ? {
         // "Did you mean..." suggestions
         text: query,
@@ -428,7 +395,7 @@ class ArticleSearchService {
         page,
         limit,
         pages: Math.ceil(result.hits.total.value / limit),
-        aggregations: result.aggregations,
+        facets: normalizeEsFacets(result.aggregations),
         suggestions: result.suggest?.title_suggestion?.[0]?.options || [],
       };
     } catch (error) {
@@ -0,0 +1,222 @@
+import { BreakingNews, Newsletter } from '../models/index.js';
+import cacheService from './cacheService.js';
+import notificationService from './notificationService.js';
+import telegramService from './telegramService.js';
+import emailService from './emailService.js';
+import config from '../config/index.js';
+import { resolvePublicSiteUrl, resolveUrl } from '../utils/siteUrl.js';
+import { BadRequestError } from '../utils/errors.js';
+
+const ACTIVE_CACHE_TTL = 30; // Short: alerts must show up (and go away) quickly
+const EMAIL_BATCH_SIZE = 20;
+
+const escapeHtml = (value = '') => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Breaking News Service
+ * Publishes breaking news alerts and fans them out to connected Socket.IO
+ * clients, the public Telegram channel and newsletter subscribers who opted
+ * in to breaking news. Alerts retire themselves at expiresAt.
+ */
+class BreakingNewsService {
+  activeKey() {
+    return cacheService.key('breaking-news', 'active');
+  }
+
+  async invalidateActive() {
+    return cacheService.del(this.activeKey());
+  }
+
+  /**
+   * Public link for an alert: its external URL, else the linked article.
+   */
+  resolveLink(news) {
+    const siteUrl = resolvePublicSiteUrl();
+    if (news.url) return resolveUrl(siteUrl, news.url);
+    if (news.article?.slug) return resolveUrl(siteUrl, `/article/${news.article.slug}`);
+    return siteUrl;
+  }
+
+  toPublic(news) {
+    return {
+      _id: news._id,
+      title: news.title,
+      summary: news.summary,
+      url: this.resolveLink(news),
+      imageUrl: news.imageUrl || '',
+      priority: news.priority,
+      publishedAt: news.publishedAt,
+      expiresAt: news.expiresAt,
+    };
+  }
+
+  async getActive() {
+    const key = this.activeKey();
+    const cached = await cacheService.get(key);
+    if (cached) return cached;
+
+    const alerts = await BreakingNews.find({ status: 'active', expiresAt: { $gt: new Date() } })
+      .populate('article', 'slug')
+      .sort({ publishedAt: -1 })
+      .limit(5)
+      .lean();
+    const payload = alerts.map((news) => this.toPublic(news));
+
+    await cacheService.set(key, payload, ACTIVE_CACHE_TTL);
+    return payload;
+  }
+
+  // Connected clients (every authenticated socket); returns how many were reached
+  sendSocket(payload) {
+    const io = notificationService.io;
+    if (!io) return 0;
+
+    io.emit('breaking-news', payload);
+    return io.engine?.clientsCount || 0;
+  }
+
+  async sendTelegram(payload) {
+    const chatIds = telegramService.getChatIdsByRole('channel');
+    if (!chatIds.length) return 0;
+
+    const prefix = payload.priority === 'normal' ? 'BREAKING' : `BREAKING (${payload.priority.toUpperCase()})`;
+    const text = [
+      `<b>${escapeHtml(prefix)}: ${escapeHtml(payload.title)}</b>`,
+      escapeHtml(payload.summary),
+      `<a href="${escapeHtml(payload.url)}">Read more</a>`,
+    ].join('\n\n');
+
+    const results = await telegramService.sendToChatGroup(chatIds, text, {
+      parseMode: 'HTML',
+      disableWebPagePreview: false,
+      silent: payload.priority === 'normal',
+    });
+    return results.filter((result) => result.ok).length;
+  }
+
+  buildEmail(payload, subscriber) {
+    const unsubscribeUrl = `${config.frontendUrl}/newsletter/unsubscribe?token=${subscriber.unsubscribeToken}`;
+    return {
+      to: subscriber.email,
+      subject: `Breaking: ${payload.title}`,
+      html: `
+        <h1>${escapeHtml(payload.title)}</h1>
+        <p>${escapeHtml(payload.summary)}</p>
+        <p><a href="${escapeHtml(payload.url)}">Read more</a></p>
+        <p style="font-size:12px;color:#666">
+          You receive this because you subscribed to breaking news alerts.
+          <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>
+        </p>
+      `,
+    };
+  }
+
+  async sendNewsletter(payload) {
+    const subscribers = await Newsletter.find({ status: 'confirmed', 'preferences.breakingNews': true })
+      .select('email +unsubscribeToken')
+      .lean();
+
+    let sent = 0;
+    for (let i = 0; i < subscribers.length; i += EMAIL_BATCH_SIZE) {
+      const batch = subscribers.slice(i, i + EMAIL_BATCH_SIZE);
+      const results = await Promise.allSettled(
+        batch.map((subscriber) => emailService.send(this.buildEmail(payload, subscriber)))
+      );
+      sent += results.filter((result) => result.status === 'fulfilled').length;
+    }
+    return sent;
+  }
+
+  /**
+   * Email the alert in the background so a long subscriber list never holds
+   * up the publish request. The sent count lands on the alert once done.
+   */
+  dispatchNewsletter(news, payload) {
+    return this.sendNewsletter(payload)
+      .then((sent) => BreakingNews.updateOne(
+        { _id: news._id },
+        { $set: { 'stats.delivery.email': sent }, $inc: { 'stats.sent': sent } }
+      ))
+      .catch((error) => console.error('Breaking news email delivery failed:', error));
+  }
+
+  /**
+   * Publish an alert and push it to sockets and Telegram right away.
+   * A failing channel never blocks the others; its delivery count stays 0.
+   * Email goes out afterwards via dispatchNewsletter.
+   *
+   * @param {Object} news - BreakingNews document
+   * @returns {Object} The published alert with delivery stats
+   */
+  async publish(news) {
+    if (news.status !== 'draft') {
+      throw new BadRequestError('Only draft alerts can be published');
+    }
+    if (news.expiresAt <= new Date()) {
+      throw new BadRequestError('Alert expiry must be in the future');
+    }
+
+    await news.publish();
+    await news.populate('article', 'slug');
+    await this.invalidateActive();
+
+    const payload = this.toPublic(news);
+    const channels = new Set(news.channels);
+    const delivery = { socket: 0, telegram: 0, email: 0 };
+
+    if (channels.has('socket')) {
+      delivery.socket = this.sendSocket(payload);
+    }
+
+    if (channels.has('telegram')) {
+      try {
+        delivery.telegram = await this.sendTelegram(payload);
+      } catch (error) {
+        console.error('Breaking news Telegram delivery failed:', error);
+      }
+    }
+
+    news.stats.delivery = delivery;
+    news.stats.sent = delivery.socket + delivery.telegram;
+    await news.save();
+
+    if (channels.has('email')) {
+      this.dispatchNewsletter(news, payload);
+    }
+
+    return news;
+  }
+
+  async expire(news) {
+    if (news.status !== 'active') {
+      throw new BadRequestError('Only active alerts can be expired');
+    }
+
+    await news.expire();
+    await this.invalidateActive();
+    notificationService.io?.emit('breaking-news:expired', { _id: news._id });
+    return news;
+  }
+
+  /**
+   * Retire active alerts whose expiresAt has passed.
+   */
+  async expireDue() {
+    const expired = await BreakingNews.expireOld();
+    if (expired) {
+      await this.invalidateActive();
+    }
+    return expired;
+  }
+
+  async track(id, stat) {
+    return BreakingNews.incrementStat(id, stat);
+  }
+}
+
+const breakingNewsService = new BreakingNewsService();
+export default breakingNewsService;
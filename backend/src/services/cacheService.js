@@ -217,6 +217,31 @@ class CacheService {
     return this.del(this.key('settings'));
   }
 
+  // Count hits in a window that opens with the first one
+  async increment(key, ttl = this.defaultTTL) {
+    try {
+      if (this.isRedis && this.client) {
+        const count = await this.client.incr(key);
+        if (count === 1) {
+          await this.client.expire(key, ttl);
+        }
+        return count;
+      }
+
+      const cached = this.memoryCache.get(key);
+      const live = cached && cached.expires > Date.now();
+      const count = (live ? cached.data : 0) + 1;
+      this.memoryCache.set(key, {
+        data: count,
+        expires: live ? cached.expires : Date.now() + (ttl * 1000),
+      });
+      return count;
+    } catch (error) {
+      console.error('Cache increment error:', error);
+      return 0;
+    }
+  }
+
   // ==================== VIEW COUNT BUFFER ====================
   // Buffer view counts to reduce DB writes (write every 5 min)
   
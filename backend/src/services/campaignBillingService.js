@@ -0,0 +1,389 @@
+import Campaign from '../models/Campaign.js';
+import CampaignSpendDaily from '../models/CampaignSpendDaily.js';
+import cacheService from './cacheService.js';
+import { hashIp, detectClickFraud, detectImpressionFraud } from '../utils/fraudDetection.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_SECONDS = 24 * 60 * 60;
+// One billable event per session, ad and type in this window
+const EVENT_DEDUPE_SECONDS = 30 * 60;
+// Fraud checks look back one minute
+const EVENT_RATE_SECONDS = 60;
+
+const EVENT_FIELDS = {
+  impression: 'impressions',
+  click: 'clicks',
+  conversion: 'conversions',
+};
+
+const roundMoney = (value) => Math.round(value * 1e6) / 1e6;
+const toCents = (value) => Number(value.toFixed(2));
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Falls back to UTC for a missing or unknown timezone
+const getDateParts = (date, timeZone) => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timeZone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    });
+  } catch {
+    return getDateParts(date, 'UTC');
+  }
+  return Object.fromEntries(formatter.formatToParts(date).map((part) => [part.type, part.value]));
+};
+
+/**
+ * Campaign Billing Service
+ *
+ * Charges direct-sold campaigns per tracked event (CPM, CPC or a flat fee),
+ * keeps daily spend in CampaignSpendDaily, decides whether a campaign may be
+ * served right now (lifetime budget, daily cap, even pacing) and pauses
+ * campaigns whose budget is spent.
+ */
+class CampaignBillingService {
+  /**
+   * Calendar day (YYYY-MM-DD) of `date` in the campaign timezone.
+   */
+  getDayKey(date = new Date(), timeZone = 'UTC') {
+    const parts = getDateParts(date, timeZone);
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+
+  // Share of the local day that has passed, 0..1
+  getDayProgress(date = new Date(), timeZone = 'UTC') {
+    const parts = getDateParts(date, timeZone);
+    const seconds = Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second);
+    return clamp01(seconds / DAY_SECONDS);
+  }
+
+  /**
+   * What one event costs. Flat-fee campaigns are not charged per event.
+   */
+  getEventCost(billing = {}, event) {
+    const rate = billing.rate || 0;
+    if (billing.pricingModel === 'cpm' && event === 'impression') return roundMoney(rate / 1000);
+    if (billing.pricingModel === 'cpc' && event === 'click') return roundMoney(rate);
+    return 0;
+  }
+
+  isBudgetExhausted(campaign) {
+    const { budget = 0, spent = 0 } = campaign.stats || {};
+    return campaign.billing?.pricingModel !== 'flat' && budget > 0 && spent >= budget;
+  }
+
+  /**
+   * Whether a campaign may be served now, and why not.
+   *
+   * Even pacing lets spend run at most one hour ahead of a straight line
+   * from the schedule start to its end (or through the day when there is no
+   * end date and only a daily cap).
+   *
+   * @returns {{ servable: boolean, reason: string|null, expectedSpend: number|null }}
+   */
+  getPacing(campaign, { spentToday = 0, now = new Date() } = {}) {
+    const billing = campaign.billing || {};
+    const budget = campaign.stats?.budget || 0;
+    const spent = campaign.stats?.spent || 0;
+    const dailyCap = billing.dailyCap || 0;
+    const state = {
+      servable: true,
+      reason: null,
+      budget,
+      spent: toCents(spent),
+      remaining: budget > 0 ? toCents(Math.max(0, budget - spent)) : null,
+      dailyCap,
+      spentToday: toCents(spentToday),
+      expectedSpend: null,
+    };
+    const block = (reason) => ({ ...state, servable: false, reason });
+
+    if (billing.pricingModel === 'flat' || !billing.pricingModel) return state;
+    if (this.isBudgetExhausted(campaign)) return block('budget_exhausted');
+    if (dailyCap > 0 && spentToday >= dailyCap) return block('daily_cap_reached');
+    if (billing.pacing === 'asap') return state;
+
+    const start = campaign.schedule?.startDate ? new Date(campaign.schedule.startDate).getTime() : null;
+    const end = campaign.schedule?.endDate ? new Date(campaign.schedule.endDate).getTime() : null;
+
+    if (budget > 0 && start !== null && end !== null && end > start) {
+      const duration = end - start;
+      state.expectedSpend = toCents(budget * clamp01((now.getTime() - start) / duration));
+      const headroom = budget * Math.min(1, HOUR_MS / duration);
+      if (spent > state.expectedSpend + headroom) return block('ahead_of_pace');
+    }
+
+    if (dailyCap > 0) {
+      const expectedToday = dailyCap * this.getDayProgress(now, campaign.schedule?.timezone);
+      if (spentToday > expectedToday + dailyCap / 24) return block('ahead_of_pace');
+    }
+
+    return state;
+  }
+
+  /**
+   * Today's spend per campaign ID, in each campaign's own timezone.
+   */
+  async getSpentToday(campaigns, now = new Date()) {
+    if (!campaigns.length) return new Map();
+
+    const rows = await CampaignSpendDaily.find({
+      $or: campaigns.map((campaign) => ({
+        campaign: campaign._id,
+        day: this.getDayKey(now, campaign.schedule?.timezone),
+      })),
+    })
+      .select('campaign spend')
+      .lean();
+
+    return new Map(rows.map((row) => [row.campaign.toString(), row.spend || 0]));
+  }
+
+  /**
+   * Drop campaigns that are out of budget, at their daily cap or ahead of
+   * pace. Campaigns found with an exhausted budget are paused.
+   */
+  async filterServable(campaigns, now = new Date()) {
+    const billable = campaigns.filter((campaign) => campaign.billing?.pricingModel
+      && campaign.billing.pricingModel !== 'flat');
+    if (!billable.length) return campaigns;
+
+    const spentToday = await this.getSpentToday(
+      billable.filter((campaign) => campaign.billing.dailyCap > 0),
+      now
+    );
+
+    const exhausted = [];
+    const servable = campaigns.filter((campaign) => {
+      const pacing = this.getPacing(campaign, {
+        spentToday: spentToday.get(campaign._id.toString()) || 0,
+        now,
+      });
+      if (pacing.reason === 'budget_exhausted') exhausted.push(campaign._id);
+      return pacing.servable;
+    });
+
+    await Promise.all(exhausted.map((campaignId) => this.pauseExhausted(campaignId, now)));
+    return servable;
+  }
+
+  /**
+   * Active and inside its schedule at `now`.
+   */
+  isRunning(campaign, now = new Date()) {
+    if (campaign.status !== 'active') return false;
+    const start = campaign.schedule?.startDate ? new Date(campaign.schedule.startDate) : null;
+    const end = campaign.schedule?.endDate ? new Date(campaign.schedule.endDate) : null;
+    return (!start || start <= now) && (!end || end >= now);
+  }
+
+  /**
+   * Recent events for one ad, from the per-minute counters admitEvent keeps.
+   * Shaped for the `countEvents` option of the fraud detectors.
+   */
+  async countRecentEvents({ adId, type, sessionId, ipHash }) {
+    const bySession = await cacheService.get(cacheService.key('campaign-events', adId, type, 'session', sessionId));
+    if (ipHash === undefined) return bySession || 0;
+    const byIp = await cacheService.get(cacheService.key('campaign-events', adId, type, 'ip', ipHash));
+    return Math.max(bySession || 0, byIp || 0);
+  }
+
+  /**
+   * Decide whether a tracked event may be counted and billed. The track
+   * endpoint is public, so the campaign must be serving, the event must be
+   * the first of its type for this session and ad, and the fraud checks
+   * must pass.
+   *
+   * @param {Object} campaign - Campaign document
+   * @param {Object} ad - Ad variation from campaign.ads
+   * @param {string} event - impression, click or conversion
+   * @param {Object} visitor - { sessionId, ip } from the server-issued cookie and req.ip
+   * @returns {Promise<{ admitted: boolean, reason: string|null }>}
+   */
+  async admitEvent(campaign, ad, event, { sessionId, ip }, now = new Date()) {
+    if (!ad.isActive || !this.isRunning(campaign, now)) {
+      return { admitted: false, reason: 'not_serving' };
+    }
+    const [servable] = await this.filterServable([campaign], now);
+    if (!servable) {
+      return { admitted: false, reason: 'not_serving' };
+    }
+
+    const adKey = `${campaign._id}:${ad.adId}`;
+    // Counted atomically so concurrent requests for the same session cannot all pass
+    const seen = await cacheService.increment(
+      cacheService.key('campaign-event', adKey, event, sessionId),
+      EVENT_DEDUPE_SECONDS
+    );
+    if (seen > 1) {
+      return { admitted: false, reason: 'duplicate' };
+    }
+
+    const ipHash = ip ? hashIp(ip) : '';
+    const detect = { click: detectClickFraud, impression: detectImpressionFraud }[event];
+    if (detect) {
+      const fraud = await detect(adKey, sessionId, ipHash, {
+        countEvents: (query) => this.countRecentEvents(query),
+      });
+      if (fraud.isFraud) {
+        return { admitted: false, reason: 'fraud' };
+      }
+    }
+
+    await Promise.all([
+      cacheService.increment(cacheService.key('campaign-events', adKey, event, 'session', sessionId), EVENT_RATE_SECONDS),
+      cacheService.increment(cacheService.key('campaign-events', adKey, event, 'ip', ipHash), EVENT_RATE_SECONDS),
+    ]);
+    return { admitted: true, reason: null };
+  }
+
+  /**
+   * Count a tracked event for the day and charge it to the campaign.
+   *
+   * Events already in flight when the budget runs out are still charged, so
+   * spend can end slightly above the budget.
+   *
+   * @returns {Promise<{ cost: number, paused: boolean }>}
+   */
+  async recordEvent(campaign, event, now = new Date()) {
+    const field = EVENT_FIELDS[event];
+    if (!field) return { cost: 0, paused: false };
+
+    const cost = this.getEventCost(campaign.billing, event);
+    await CampaignSpendDaily.updateOne(
+      { campaign: campaign._id, day: this.getDayKey(now, campaign.schedule?.timezone) },
+      { $inc: { [field]: 1, spend: cost } },
+      { upsert: true }
+    );
+
+    if (!cost) return { cost, paused: false };
+
+    const updated = await Campaign.findByIdAndUpdate(
+      campaign._id,
+      { $inc: { 'stats.spent': cost } },
+      { new: true }
+    )
+      .select('status stats billing')
+      .lean();
+
+    if (!updated || !this.isBudgetExhausted(updated)) return { cost, paused: false };
+    return { cost, paused: await this.pauseExhausted(campaign._id, now) };
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the campaign was active and is now paused
+   */
+  async pauseExhausted(campaignId, now = new Date()) {
+    const result = await Campaign.updateOne(
+      { _id: campaignId, status: 'active' },
+      {
+        $set: {
+          status: 'paused',
+          'billing.pausedReason': 'budget_exhausted',
+          'billing.pausedAt': now,
+        },
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Flat fee earned so far: spread evenly over the schedule, or all of it
+   * once the campaign has started when there is no end date.
+   */
+  getFlatFeeAccrued(campaign, now = new Date()) {
+    const fee = campaign.billing?.rate || 0;
+    const start = campaign.schedule?.startDate ? new Date(campaign.schedule.startDate).getTime() : null;
+    const end = campaign.schedule?.endDate ? new Date(campaign.schedule.endDate).getTime() : null;
+
+    if (start === null || now.getTime() < start) return 0;
+    if (end === null || end <= start) return toCents(fee);
+    return toCents(fee * clamp01((now.getTime() - start) / (end - start)));
+  }
+
+  /**
+   * Day-by-day delivery and spend between two local days (inclusive).
+   */
+  async getSpendReport(campaign, { from, to, now = new Date() } = {}) {
+    const timeZone = campaign.schedule?.timezone;
+    const toDay = to || this.getDayKey(now, timeZone);
+    const fromDay = from || this.getDayKey(new Date(now.getTime() - 29 * 24 * HOUR_MS), timeZone);
+
+    const rows = await CampaignSpendDaily.find({
+      campaign: campaign._id,
+      day: { $gte: fromDay, $lte: toDay },
+    })
+      .sort({ day: 1 })
+      .lean();
+
+    const summarize = (row) => ({
+      impressions: row.impressions || 0,
+      clicks: row.clicks || 0,
+      conversions: row.conversions || 0,
+      ctr: row.impressions ? Number(((row.clicks / row.impressions) * 100).toFixed(2)) : 0,
+      spend: toCents(row.spend || 0),
+      effectiveCpm: row.impressions ? toCents(((row.spend || 0) / row.impressions) * 1000) : 0,
+      effectiveCpc: row.clicks ? toCents((row.spend || 0) / row.clicks) : 0,
+    });
+
+    const totals = rows.reduce((acc, row) => ({
+      impressions: acc.impressions + (row.impressions || 0),
+      clicks: acc.clicks + (row.clicks || 0),
+      conversions: acc.conversions + (row.conversions || 0),
+      spend: acc.spend + (row.spend || 0),
+    }), { impressions: 0, clicks: 0, conversions: 0, spend: 0 });
+
+    const todayRow = rows.find((row) => row.day === this.getDayKey(now, timeZone));
+    const billing = campaign.billing || {};
+
+    return {
+      campaign: {
+        _id: campaign._id,
+        name: campaign.name,
+        status: campaign.status,
+        pausedReason: billing.pausedReason || null,
+        schedule: campaign.schedule,
+      },
+      billing: {
+        pricingModel: billing.pricingModel || 'flat',
+        rate: billing.rate || 0,
+        currency: billing.currency || 'USD',
+        dailyCap: billing.dailyCap || 0,
+        pacing: billing.pacing || 'even',
+      },
+      pacing: this.getPacing(campaign, { spentToday: todayRow?.spend || 0, now }),
+      flatFee: billing.pricingModel === 'flat'
+        ? { amount: billing.rate || 0, accrued: this.getFlatFeeAccrued(campaign, now) }
+        : null,
+      from: fromDay,
+      to: toDay,
+      totals: summarize(totals),
+      days: rows.map((row) => ({ day: row.day, ...summarize(row) })),
+    };
+  }
+
+  /**
+   * CSV rendering of `getSpendReport`.
+   */
+  toCsv(report) {
+    const header = `Day,Impressions,Clicks,CTR %,Conversions,Spend (${report.billing.currency}),eCPM,eCPC`;
+    const line = (label, row) => [
+      label, row.impressions, row.clicks, row.ctr, row.conversions, row.spend, row.effectiveCpm, row.effectiveCpc,
+    ].join(',');
+
+    return [
+      header,
+      ...report.days.map((row) => line(row.day, row)),
+      line('Total', report.totals),
+    ].join('\n');
+  }
+}
+
+export default new CampaignBillingService();
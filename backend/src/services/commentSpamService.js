@@ -0,0 +1,167 @@
+import config from '../config/index.js';
+import { Comment } from '../models/index.js';
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"')]+/gi;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const extractLinks = (content = '') => String(content).match(URL_PATTERN) || [];
+
+const linkHostname = (link) => {
+  try {
+    return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+};
+
+const matchesDomain = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+/**
+ * Spam checks. Each receives the submission and returns the points it adds
+ * plus a short reason for moderators ({ score: 0 } when it has nothing to say).
+ *
+ * Submission: { content, guestEmail, ipAddress, authorId, honeypot, now }
+ */
+
+// Bots fill every field, including the hidden "website" input people never see
+export const honeypotCheck = ({ honeypot }) => (
+  honeypot && String(honeypot).trim()
+    ? { score: config.comments.spamScore, reason: 'honeypot field filled' }
+    : { score: 0 }
+);
+
+export const linkCountCheck = ({ content }) => {
+  const links = extractLinks(content).length;
+  const extra = links - config.comments.maxLinks;
+  return extra > 0
+    ? { score: extra * 2, reason: `${links} links` }
+    : { score: 0 };
+};
+
+export const blocklistCheck = ({ content, guestEmail }) => {
+  const { blockedWords, blockedDomains } = config.comments;
+  const text = String(content || '').toLowerCase();
+  const reasons = [];
+  let score = 0;
+
+  for (const word of blockedWords) {
+    if (new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i').test(text)) {
+      score += 3;
+      reasons.push(`blocked word "${word}"`);
+    }
+  }
+
+  const hostnames = extractLinks(content).map(linkHostname).filter(Boolean);
+  const emailDomain = String(guestEmail || '').toLowerCase().split('@')[1];
+  if (emailDomain) hostnames.push(emailDomain);
+
+  for (const domain of blockedDomains) {
+    if (hostnames.some((hostname) => matchesDomain(hostname, domain))) {
+      score += config.comments.spamScore;
+      reasons.push(`blocked domain ${domain}`);
+    }
+  }
+
+  return score ? { score, reason: reasons.join(', ') } : { score: 0 };
+};
+
+export const rateLimitCheck = async ({ ipAddress, guestEmail, authorId, now = new Date() }) => {
+  const { windowMinutes, maxPerIp, maxPerEmail } = config.comments.rateLimit;
+  const since = new Date(now.getTime() - windowMinutes * 60 * 1000);
+  const identity = authorId ? { author: authorId } : guestEmail ? { guestEmail } : null;
+
+  const [ipCount, identityCount] = await Promise.all([
+    ipAddress ? Comment.countDocuments({ ipAddress, createdAt: { $gte: since } }) : 0,
+    identity ? Comment.countDocuments({ ...identity, createdAt: { $gte: since } }) : 0,
+  ]);
+
+  const reasons = [];
+  let score = 0;
+  if (ipCount >= maxPerIp) {
+    score += config.comments.pendingScore;
+    reasons.push(`${ipCount} comments from this IP in ${windowMinutes} min`);
+  }
+  if (identityCount >= maxPerEmail) {
+    score += config.comments.pendingScore;
+    reasons.push(`${identityCount} comments from this commenter in ${windowMinutes} min`);
+  }
+
+  return score ? { score, reason: reasons.join(', ') } : { score: 0 };
+};
+
+/**
+ * Comment Spam Service
+ * Runs every registered check over a new comment, adds up the score and maps
+ * it to a moderation status. Further checks (e.g. Akismet) plug in via use().
+ */
+class CommentSpamService {
+  constructor() {
+    this.checks = [
+      { name: 'honeypot', run: honeypotCheck },
+      { name: 'links', run: linkCountCheck },
+      { name: 'blocklist', run: blocklistCheck },
+      { name: 'rateLimit', run: rateLimitCheck },
+    ];
+  }
+
+  /**
+   * @param {string} name
+   * @param {(submission: Object) => ({ score: number, reason?: string } | Promise<Object>)} run
+   */
+  use(name, run) {
+    this.checks = this.checks.filter((check) => check.name !== name);
+    this.checks.push({ name, run });
+    return this;
+  }
+
+  /**
+   * Status for a score: the spam threshold applies to everyone; the pending
+   * threshold to everyone but trusted commenters (skipPreModeration), and
+   * untrusted commenters (unverified guests) are always held.
+   */
+  resolveStatus(score, { trusted = false, skipPreModeration = false } = {}) {
+    if (score >= config.comments.spamScore) return 'spam';
+    if (skipPreModeration) return 'approved';
+    if (score >= config.comments.pendingScore || !trusted) return 'pending';
+    return 'approved';
+  }
+
+  /**
+   * @param {Object} submission - { content, guestEmail, ipAddress, authorId, honeypot }
+   * @param {{ trusted?: boolean, skipPreModeration?: boolean }} [options]
+   * @returns {Promise<{ status: string, spamCheck: Object }>}
+   */
+  async evaluate(submission, { trusted = false, skipPreModeration = false } = {}) {
+    let score = 0;
+    const reasons = [];
+
+    for (const check of this.checks) {
+      try {
+        const result = await check.run(submission);
+        if (result?.score > 0) {
+          score += result.score;
+          reasons.push(`${check.name}: ${result.reason || `+${result.score}`}`);
+        }
+      } catch (error) {
+        // A failing check must not block commenting
+        console.error(`Comment spam check "${check.name}" failed:`, error.message);
+      }
+    }
+
+    const status = this.resolveStatus(score, { trusted, skipPreModeration });
+
+    return {
+      status,
+      spamCheck: {
+        score,
+        reasons,
+        heldForVerification: status === 'pending' && score < config.comments.pendingScore,
+        checkedAt: new Date(),
+      },
+    };
+  }
+}
+
+const commentSpamService = new CommentSpamService();
+export default commentSpamService;
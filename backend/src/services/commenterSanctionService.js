@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { CommenterSanction } from '../models/index.js';
+import { BadRequestError } from '../utils/errors.js';
+
+// When several sanctions match, the strictest one decides
+const SEVERITY = Object.freeze({ ban: 3, suspension: 2, shadow_ban: 1 });
+
+const MAX_SUSPENSION_HOURS = 24 * 365;
+
+/**
+ * Salted hash of a guest email or IP. Sanctions store only this, so the
+ * collection does not become a list of banned readers' addresses.
+ */
+export const hashCommenterIdentity = (value) => {
+  const normalized = String(value || '').toLowerCase().trim();
+  if (!normalized) return null;
+  return crypto
+    .createHash('sha256')
+    .update(`${config.comments.identityHashSalt}:${normalized}`)
+    .digest('hex');
+};
+
+// "dara@example.com" -> "d***@example.com"
+export const maskEmail = (email) => {
+  const [local, domain] = String(email || '').toLowerCase().split('@');
+  if (!local || !domain) return '';
+  return `${local[0]}***@${domain}`;
+};
+
+/**
+ * Commenter Sanction Service
+ * Bans, timed suspensions and shadow-bans for registered and guest commenters.
+ */
+class CommenterSanctionService {
+  /**
+   * Strictest sanction in force for a commenter, or null.
+   *
+   * @param {Object} identity
+   * @param {string} [identity.userId]
+   * @param {string} [identity.email] - guest email (plain; hashed here)
+   * @param {string} [identity.ip]
+   * @param {Date} [identity.now]
+   */
+  async findActive({ userId, email, ip, now = new Date() } = {}) {
+    const identities = [];
+    if (userId) identities.push({ user: userId });
+    const emailHash = hashCommenterIdentity(email);
+    if (emailHash) identities.push({ emailHash });
+    const ipHash = hashCommenterIdentity(ip);
+    if (ipHash) identities.push({ ipHash });
+    if (!identities.length) return null;
+
+    const sanctions = await CommenterSanction.find({
+      $and: [{ $or: identities }, CommenterSanction.activeFilter(now)],
+    }).lean();
+
+    return sanctions.reduce(
+      (strictest, sanction) => (!strictest || SEVERITY[sanction.type] > SEVERITY[strictest.type] ? sanction : strictest),
+      null
+    );
+  }
+
+  /**
+   * Active sanction per user, for annotating user lists.
+   *
+   * @param {Array<string>} userIds
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async findActiveForUsers(userIds, now = new Date()) {
+    const byUser = new Map();
+    if (!userIds.length) return byUser;
+
+    const sanctions = await CommenterSanction.find({
+      user: { $in: userIds },
+      ...CommenterSanction.activeFilter(now),
+    })
+      .select('user type expiresAt reason createdAt')
+      .lean();
+
+    for (const sanction of sanctions) {
+      const key = String(sanction.user);
+      const current = byUser.get(key);
+      if (!current || SEVERITY[sanction.type] > SEVERITY[current.type]) {
+        byUser.set(key, sanction);
+      }
+    }
+    return byUser;
+  }
+
+  /**
+   * Record a sanction. Pass `userId` for a registered commenter, or `email`
+   * and/or `ip` for a guest.
+   *
+   * @param {Object} options
+   * @param {string} options.type - ban | suspension | shadow_ban
+   * @param {number} [options.durationHours] - required for suspensions, optional otherwise
+   * @param {string} options.issuedBy
+   */
+  async issue({ userId, email, ip, type, durationHours, reason = '', commentId = null, issuedBy, now = new Date() }) {
+    if (!SEVERITY[type]) {
+      throw new BadRequestError(`Sanction type must be one of: ${Object.keys(SEVERITY).join(', ')}`);
+    }
+
+    const hours = Number(durationHours);
+    const hasDuration = Number.isFinite(hours) && hours > 0;
+    if (type === 'suspension' && !hasDuration) {
+      throw new BadRequestError('Suspensions need a duration');
+    }
+    if (hasDuration && hours > MAX_SUSPENSION_HOURS) {
+      throw new BadRequestError(`Duration cannot exceed ${MAX_SUSPENSION_HOURS} hours`);
+    }
+
+    const subject = userId
+      ? { user: userId }
+      : { emailHash: hashCommenterIdentity(email), ipHash: hashCommenterIdentity(ip), label: maskEmail(email) || 'Guest' };
+    if (!subject.user && !subject.emailHash && !subject.ipHash) {
+      throw new BadRequestError('A sanction needs a user, email or IP');
+    }
+
+    return CommenterSanction.create({
+      ...subject,
+      type,
+      reason,
+      comment: commentId,
+      expiresAt: hasDuration ? new Date(now.getTime() + hours * 60 * 60 * 1000) : null,
+      issuedBy,
+    });
+  }
+
+  /**
+   * Lift a sanction early. Returns null when it does not exist or is no longer active.
+   */
+  async lift(sanctionId, { liftedBy, reason = '', now = new Date() }) {
+    return CommenterSanction.findOneAndUpdate(
+      { _id: sanctionId, ...CommenterSanction.activeFilter(now) },
+      { $set: { liftedAt: now, liftedBy, liftReason: reason } },
+      { new: true }
+    );
+  }
+}
+
+const commenterSanctionService = new CommenterSanctionService();
+export default commenterSanctionService;
@@ -1,6 +1,12 @@
 import nodemailer from 'nodemailer';
 import config from '../config/index.js';
 
+const escapeHtml = (value = '') => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -258,6 +264,55 @@ class EmailService {
     });
   }
 
+  /**
+   * Send guest commenter email verification
+   */
+  async sendCommentVerificationEmail(guest, token, article) {
+    const verificationUrl = `${config.frontendUrl}/comments/verify?token=${token}`;
+    const articleTitle = escapeHtml(article?.title || '');
+
+    await this.send({
+      to: guest.email,
+      subject: 'Confirm your email to publish your comments - Bassac Post',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #1e40af; color: white; padding: 20px; text-align: center; }
+            .content { padding: 20px; background: #f9fafb; }
+            .button { display: inline-block; padding: 12px 24px; background: #1e40af; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Bassac Post</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${escapeHtml(guest.name) || 'there'},</h2>
+              <p>Thanks for your comment${articleTitle ? ` on "<strong>${articleTitle}</strong>"` : ''}. Confirm your email address and your comments will appear without waiting for a moderator:</p>
+              <p style="text-align: center;">
+                <a href="${verificationUrl}" class="button">Confirm Email</a>
+              </p>
+              <p>Or copy and paste this link in your browser:</p>
+              <p style="word-break: break-all; color: #1e40af;">${verificationUrl}</p>
+              <p>This link will expire in ${config.comments.guestVerificationHours} hours.</p>
+              <p>If you didn't comment on Bassac Post, please ignore this email.</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Bassac Post. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    });
+  }
+
   /**
    * Send contact form submission notification
    */
@@ -0,0 +1,342 @@
+import { Article, FeedSource, FeedItem, FeedIngestionLog, User } from '../models/index.js';
+import articlePublishService from './articlePublishService.js';
+import sanitizationService from './sanitizationService.js';
+import { parseFeed, decodeEntities, stripHtml } from '../utils/feedParser.js';
+import { safeFetch } from '../utils/safeFetch.js';
+import {
+  ensureArticleWorkflow,
+  markSourceSubmitted,
+  captureWorkflowSnapshot,
+  appendWorkflowAuditEntry,
+} from '../utils/articleWorkflow.js';
+
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const POLL_BATCH_SIZE = 10;
+const MAX_PARAGRAPHS = 30;
+const USER_AGENT = 'BassacPostFeedIngestion/1.0';
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const blockId = (prefix, index) => `${prefix}-${Date.now().toString(36)}-${index}`;
+
+// Plain-text paragraphs from the item's HTML body (falls back to the summary)
+const extractParagraphs = (item) => {
+  const html = item.contentHtml || '';
+  const paragraphs = (html.match(/<p\b[^>]*>[\s\S]*?<\/p>/gi) || [])
+    .map((paragraph) => stripHtml(decodeEntities(paragraph)))
+    .filter(Boolean);
+
+  if (paragraphs.length) return paragraphs.slice(0, MAX_PARAGRAPHS);
+  const text = stripHtml(html) || item.summary;
+  return text ? [text] : [];
+};
+
+/**
+ * Feed Ingestion Service
+ * Polls managed RSS/Atom feed sources and turns new items into articles,
+ * either as drafts or submitted straight into source review.
+ */
+class FeedIngestionService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  buildArticleContent(item, source) {
+    const paragraphs = extractParagraphs(item);
+    const blocks = paragraphs.map((text, index) => ({
+      id: blockId('p', index),
+      type: 'paragraph',
+      data: { text: escapeHtml(text) },
+    }));
+
+    const link = sanitizationService.url(item.link || '');
+    blocks.push({
+      id: blockId('src', blocks.length),
+      type: 'paragraph',
+      data: {
+        text: link
+          ? `Source: <a href="${escapeHtml(link)}">${escapeHtml(source.name)}</a>`
+          : `Source: ${escapeHtml(source.name)}`,
+      },
+    });
+
+    return { time: Date.now(), blocks, version: '2.28.2' };
+  }
+
+  /**
+   * Conditional GET of the feed through the SSRF-guarded client, which also
+   * caps the body at MAX_FEED_BYTES while it streams.
+   */
+  async fetchFeed(source) {
+    const headers = {
+      'User-Agent': USER_AGENT,
+      Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml;q=0.9, */*;q=0.8',
+    };
+    if (source.etag) headers['If-None-Match'] = source.etag;
+    if (source.lastModified) headers['If-Modified-Since'] = source.lastModified;
+
+    const response = await safeFetch(source.url, {
+      headers,
+      timeoutMs: FETCH_TIMEOUT_MS,
+      maxBytes: MAX_FEED_BYTES,
+    });
+
+    if (response.status === 304) {
+      return { status: 304, notModified: true };
+    }
+    if (response.status < 200 || response.status >= 300) {
+      const error = new Error(`Feed responded with HTTP ${response.status}`);
+      error.httpStatus = response.status;
+      throw error;
+    }
+
+    return {
+      status: response.status,
+      xml: response.body.toString('utf8'),
+      etag: response.headers.etag || '',
+      lastModified: response.headers['last-modified'] || '',
+    };
+  }
+
+  /**
+   * Drop items already seen (by GUID or link) or repeated within the feed itself.
+   */
+  async partitionItems(items) {
+    const existing = await FeedItem.findExisting(items);
+    const seenGuids = new Set(existing.map((item) => item.guid));
+    const seenLinks = new Set(existing.map((item) => item.link).filter(Boolean));
+
+    const fresh = [];
+    const duplicates = [];
+    for (const item of items) {
+      if (seenGuids.has(item.guid) || (item.link && seenLinks.has(item.link))) {
+        duplicates.push(item);
+        continue;
+      }
+      seenGuids.add(item.guid);
+      if (item.link) seenLinks.add(item.link);
+      fresh.push(item);
+    }
+    return { fresh, duplicates };
+  }
+
+  async createArticle(item, source) {
+    const summary = item.summary || stripHtml(item.contentHtml);
+    const tags = [...new Set([...(source.tags || []), ...item.categories.map((tag) => tag.toLowerCase())])]
+      .slice(0, 10);
+
+    const article = new Article({
+      title: item.title.slice(0, 200),
+      excerpt: summary.slice(0, 500),
+      content: this.buildArticleContent(item, source),
+      category: source.category,
+      author: source.defaultAuthor,
+      language: source.language || 'en',
+      tags,
+      featuredImage: sanitizationService.url(item.image || '', 'image') || null,
+      featuredImageAlt: item.image ? item.title.slice(0, 200) : '',
+      status: 'draft',
+    });
+
+    if (source.ingestMode === 'submit') {
+      const workflow = ensureArticleWorkflow(article);
+      const beforeSnapshot = captureWorkflowSnapshot(article, workflow);
+      markSourceSubmitted(article, workflow);
+      appendWorkflowAuditEntry({
+        article,
+        workflow,
+        action: 'source_submitted',
+        actor: null,
+        notes: '',
+        metadata: { via: 'feed_ingestion', feedSource: source._id.toString() },
+        beforeSnapshot,
+      });
+      article.markModified('workflow');
+    }
+
+    await article.save();
+    return article;
+  }
+
+  async notifySubmitted(articles, source) {
+    if (!articles.length) return;
+
+    try {
+      const reviewers = await User.find({ role: { $in: ['editor', 'admin'] } }).select('_id');
+      const reviewerIds = reviewers.map((user) => user._id);
+      if (reviewerIds.length) {
+        const { default: notificationService } = await import('./notificationService.js');
+        for (const article of articles) {
+          await notificationService.notifyArticleSubmitted(article, reviewerIds);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to send feed ingestion notifications:', error);
+    }
+
+    for (const article of articles) {
+      articlePublishService.sendWorkflowUpdate(article, {
+        stage: 'SOURCE SUBMITTED',
+        submittedBy: source.name,
+        roles: ['editor'],
+      });
+    }
+  }
+
+  /**
+   * Poll one source and import its new items.
+   *
+   * @param {Object} source - FeedSource document
+   * @param {Object} options
+   * @param {string} options.trigger - "scheduler" or "manual"
+   * @param {string} options.triggeredBy - User id for manual polls
+   * @returns {Object} The saved FeedIngestionLog
+   */
+  async ingestSource(source, { trigger = 'scheduler', triggeredBy = null } = {}) {
+    const startedAt = new Date();
+    const log = new FeedIngestionLog({
+      feedSource: source._id,
+      trigger,
+      triggeredBy,
+      startedAt,
+    });
+
+    try {
+      const fetched = await this.fetchFeed(source);
+      log.httpStatus = fetched.status;
+
+      if (fetched.notModified) {
+        log.status = 'not_modified';
+      } else {
+        const feed = parseFeed(fetched.xml);
+        if (feed.format === 'unknown') {
+          throw new Error('Response is not an RSS or Atom feed');
+        }
+
+        const items = feed.items
+          .filter((item) => item.guid && item.title)
+          .slice(0, source.maxItemsPerPoll);
+        log.itemsFound = items.length;
+
+        const { fresh, duplicates } = await this.partitionItems(items);
+        for (const item of duplicates) {
+          log.addItem({ guid: item.guid, link: item.link, title: item.title, outcome: 'duplicate' });
+        }
+
+        const submitted = [];
+        for (const item of fresh) {
+          try {
+            // Claim the GUID first so a concurrent poll cannot import it twice
+            const feedItem = await FeedItem.create({
+              feedSource: source._id,
+              guid: item.guid,
+              link: item.link,
+              title: item.title,
+              itemPublishedAt: item.publishedAt,
+            });
+
+            try {
+              const article = await this.createArticle(item, source);
+              feedItem.article = article._id;
+              await feedItem.save();
+              if (source.ingestMode === 'submit') submitted.push(article);
+              log.addItem({
+                guid: item.guid,
+                link: item.link,
+                title: item.title,
+                outcome: 'imported',
+                article: article._id,
+              });
+            } catch (error) {
+              // Release the GUID so the item is retried on the next poll
+              await FeedItem.deleteOne({ _id: feedItem._id });
+              throw error;
+            }
+          } catch (error) {
+            const outcome = error.code === 11000 ? 'duplicate' : 'failed';
+            log.addItem({
+              guid: item.guid,
+              link: item.link,
+              title: item.title,
+              outcome,
+              message: outcome === 'failed' ? error.message : '',
+            });
+          }
+        }
+
+        await this.notifySubmitted(submitted, source);
+
+        source.etag = fetched.etag;
+        source.lastModified = fetched.lastModified;
+        log.status = log.itemsFailed ? 'partial' : 'success';
+      }
+
+      source.consecutiveFailures = 0;
+      source.lastError = '';
+    } catch (error) {
+      log.status = 'error';
+      log.error = error.name === 'TimeoutError' ? 'Feed request timed out' : error.message;
+      log.httpStatus = error.httpStatus || log.httpStatus;
+      source.consecutiveFailures += 1;
+      source.lastError = log.error;
+    }
+
+    log.finishedAt = new Date();
+    await log.save();
+
+    source.lastPolledAt = startedAt;
+    source.lastStatus = log.status;
+    source.totalImported += log.itemsImported;
+    source.scheduleNextPoll(log.finishedAt);
+    await source.save();
+
+    return log;
+  }
+
+  /**
+   * Poll every active source whose nextPollAt has passed.
+   * Each source is claimed atomically so overlapping runs never poll it twice.
+   */
+  async pollDueSources(now = new Date()) {
+    const summary = { polled: 0, imported: 0, failed: 0 };
+
+    for (let i = 0; i < POLL_BATCH_SIZE; i += 1) {
+      const source = await FeedSource.findOneAndUpdate(
+        { isActive: true, nextPollAt: { $lte: now } },
+        // Pushed forward while the poll runs; rescheduled properly afterwards
+        { $set: { nextPollAt: new Date(now.getTime() + FETCH_TIMEOUT_MS * 4) } },
+        { sort: { nextPollAt: 1 }, new: true }
+      );
+      if (!source) break;
+
+      const log = await this.ingestSource(source, { trigger: 'scheduler' });
+      summary.polled += 1;
+      summary.imported += log.itemsImported;
+      if (log.status === 'error') summary.failed += 1;
+    }
+
+    return summary;
+  }
+
+  async runScheduledPoll(now = new Date()) {
+    if (this.isRunning) {
+      return { polled: 0, imported: 0, failed: 0, skipped: true };
+    }
+
+    this.isRunning = true;
+    try {
+      const summary = await this.pollDueSources(now);
+      return { ...summary, skipped: false };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+const feedIngestionService = new FeedIngestionService();
+export default feedIngestionService;
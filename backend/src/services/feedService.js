@@ -0,0 +1,317 @@
+import mongoose from 'mongoose';
+import { Article, ArticleTranslation, Category, SiteSettings, User } from '../models/index.js';
+import cacheService from './cacheService.js';
+import { renderEditorContentToHtml } from '../utils/editorContentHtml.js';
+import { resolveUrl } from '../utils/siteUrl.js';
+import { escapeXml, normalizeLanguageCode } from '../utils/helpers.js';
+import { isGatedArticle, buildContentPreview } from '../utils/paywall.js';
+import config from '../config/index.js';
+
+const FEED_TTL = 600; // 10 minutes (invalidated on publish)
+const FEED_DEFAULT_LIMIT = 30;
+const FEED_MAX_LIMIT = 100;
+export const FEED_FORMATS = ['rss', 'atom', 'json'];
+export const FEED_SCOPES = ['site', 'category', 'tag', 'author'];
+
+const FEED_CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+
+// "]]>" cannot appear inside a CDATA section
+const cdata = (value = '') => `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const buildAuthorName = (author) => {
+  if (!author) return '';
+  return author.fullName || `${author.firstName || ''} ${author.lastName || ''}`.trim();
+};
+
+const toDate = (value) => (value ? new Date(value) : new Date());
+
+/**
+ * Feed Service
+ * Publishes RSS 2.0, Atom 1.0 and JSON Feed 1.1 for the whole site or a single
+ * category, tag or author, optionally in a translated language.
+ */
+class FeedService {
+  normalizeLimit(value) {
+    const limit = parseInt(value, 10);
+    if (!Number.isFinite(limit) || limit < 1) return FEED_DEFAULT_LIMIT;
+    return Math.min(limit, FEED_MAX_LIMIT);
+  }
+
+  getContentType(format) {
+    return FEED_CONTENT_TYPES[format];
+  }
+
+  async invalidate() {
+    return cacheService.delPattern(cacheService.key('feed', '*'));
+  }
+
+  /**
+   * Resolve the article filter and channel metadata for a scope.
+   * Returns null when the category or author does not exist.
+   */
+  async resolveScope(scope, value, siteName) {
+    const filter = { status: 'published' };
+
+    if (scope === 'site') {
+      return { filter, title: siteName, path: '/' };
+    }
+
+    if (scope === 'category') {
+      const category = await Category.findOne({ slug: value, isActive: true })
+        .select('name slug description')
+        .lean();
+      if (!category) return null;
+      return {
+        filter: { ...filter, category: category._id },
+        title: `${siteName} - ${category.name}`,
+        description: category.description || '',
+        path: `/category/${category.slug}`,
+      };
+    }
+
+    if (scope === 'tag') {
+      const tag = String(value || '').trim().toLowerCase();
+      if (!tag) return null;
+      return {
+        filter: { ...filter, tags: tag },
+        title: `${siteName} - #${tag}`,
+        path: `/articles?q=${encodeURIComponent(tag)}`,
+      };
+    }
+
+    if (scope === 'author') {
+      if (!mongoose.Types.ObjectId.isValid(value)) return null;
+      const author = await User.findById(value).select('firstName lastName bio').lean();
+      if (!author) return null;
+      return {
+        filter: { ...filter, author: author._id },
+        title: `${siteName} - ${buildAuthorName(author)}`,
+        description: author.bio || '',
+        path: `/author/${author._id}`,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Load articles for the feed. With a language, articles written in that
+   * language are used as-is and others are swapped for their published translation
+   * (articles without one are left out).
+   */
+  async loadItems(filter, { language, limit }) {
+    const query = language
+      ? { ...filter, $or: [{ language }, { availableLanguages: language }] }
+      : filter;
+
+    const articles = await Article.find(query)
+      .select('title slug excerpt content featuredImage language tags accessLevel publishedAt updatedAt author category')
+      .populate('author', 'firstName lastName')
+      .populate('category', 'name slug')
+      .sort({ publishedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    if (!language) return articles;
+
+    const needsTranslation = articles.filter((article) => normalizeLanguageCode(article.language) !== language);
+    const translations = needsTranslation.length
+      ? await ArticleTranslation.find({
+        articleId: { $in: needsTranslation.map((article) => article._id) },
+        language,
+        translationStatus: 'published',
+      })
+        .select('articleId slug title excerpt content updatedAt')
+        .lean()
+      : [];
+    const translationByArticle = new Map(
+      translations.map((translation) => [translation.articleId.toString(), translation])
+    );
+
+    return articles
+      .map((article) => {
+        if (normalizeLanguageCode(article.language) === language) return article;
+        const translation = translationByArticle.get(article._id.toString());
+        if (!translation) return null;
+        return {
+          ...article,
+          language,
+          slug: translation.slug || article.slug,
+          title: translation.title || article.title,
+          excerpt: translation.excerpt ?? article.excerpt,
+          content: translation.content || article.content,
+          updatedAt: translation.updatedAt || article.updatedAt,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Build a feed document.
+   *
+   * @param {Object} options
+   * @param {string} options.scope - site | category | tag | author
+   * @param {string} [options.value] - Category slug, tag or author id
+   * @param {string} options.format - rss | atom | json
+   * @param {string} [options.language] - Translation language (e.g. km)
+   * @param {number} [options.limit]
+   * @param {string} options.siteUrl - Public frontend origin
+   * @param {string} options.mediaBaseUrl - Origin serving /uploads
+   * @param {string} options.feedUrl - Absolute URL of this feed
+   * @returns {Promise<string|null>} Serialized feed, or null when the scope does not exist
+   */
+  async getFeed({ scope, value = '', format, language = '', limit, siteUrl, mediaBaseUrl, feedUrl }) {
+    if (!FEED_SCOPES.includes(scope) || !FEED_FORMATS.includes(format)) return null;
+
+    const normalizedLanguage = normalizeLanguageCode(language);
+    const normalizedLimit = this.normalizeLimit(limit);
+    const key = cacheService.key(
+      'feed',
+      siteUrl,
+      scope,
+      String(value).toLowerCase(),
+      format,
+      normalizedLanguage || 'default',
+      normalizedLimit
+    );
+    const cached = await cacheService.get(key);
+    if (cached !== null) return cached;
+
+    const settings = await SiteSettings.getSettings();
+    const siteName = settings.siteName || 'Bassac Post';
+    const resolvedScope = await this.resolveScope(scope, value, siteName);
+    if (!resolvedScope) return null;
+
+    const articles = await this.loadItems(resolvedScope.filter, {
+      language: normalizedLanguage,
+      limit: normalizedLimit,
+    });
+
+    const channel = {
+      title: resolvedScope.title,
+      description: resolvedScope.description || settings.siteDescription || settings.siteTagline || '',
+      homeUrl: resolveUrl(siteUrl, resolvedScope.path),
+      feedUrl,
+      language: normalizedLanguage || normalizeLanguageCode(articles[0]?.language) || 'en',
+      updatedAt: articles.reduce(
+        (latest, article) => (toDate(article.updatedAt) > latest ? toDate(article.updatedAt) : latest),
+        articles.length ? toDate(articles[0].publishedAt) : new Date()
+      ),
+    };
+    const items = articles.map((article) => ({
+      id: article._id.toString(),
+      url: resolveUrl(siteUrl, `/article/${article.slug}`),
+      title: article.title || '',
+      summary: article.excerpt || '',
+      // Paywalled articles only syndicate their preview
+      contentHtml: renderEditorContentToHtml(
+        isGatedArticle(article)
+          ? buildContentPreview(article.content, config.paywall.previewBlocks)
+          : article.content,
+        { mediaBaseUrl }
+      ),
+      image: article.featuredImage ? resolveUrl(mediaBaseUrl, article.featuredImage) : '',
+      publishedAt: toDate(article.publishedAt),
+      updatedAt: toDate(article.updatedAt || article.publishedAt),
+      authorName: buildAuthorName(article.author),
+      category: article.category?.name || '',
+      tags: Array.isArray(article.tags) ? article.tags : [],
+      language: normalizeLanguageCode(article.language) || channel.language,
+    }));
+
+    let document;
+    if (format === 'rss') document = this.renderRss(channel, items);
+    else if (format === 'atom') document = this.renderAtom(channel, items);
+    else document = this.renderJsonFeed(channel, items);
+
+    await cacheService.set(key, document, FEED_TTL);
+    return document;
+  }
+
+  renderRss(channel, items) {
+    const entries = items.map((item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${item.publishedAt.toUTCString()}</pubDate>${item.authorName ? `
+      <dc:creator>${escapeXml(item.authorName)}</dc:creator>` : ''}${item.category ? `
+      <category>${escapeXml(item.category)}</category>` : ''}${item.tags.map((tag) => `
+      <category>${escapeXml(tag)}</category>`).join('')}
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${cdata(item.contentHtml)}</content:encoded>${item.image ? `
+      <media:content url="${escapeXml(item.image)}" medium="image" />` : ''}
+    </item>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(channel.title)}</title>
+    <link>${escapeXml(channel.homeUrl)}</link>
+    <description>${escapeXml(channel.description)}</description>
+    <language>${escapeXml(channel.language)}</language>
+    <lastBuildDate>${channel.updatedAt.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(channel.feedUrl)}" rel="self" type="application/rss+xml" />
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+  }
+
+  renderAtom(channel, items) {
+    const entries = items.map((item) => `  <entry>
+    <id>${escapeXml(item.url)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    <published>${item.publishedAt.toISOString()}</published>
+    <updated>${item.updatedAt.toISOString()}</updated>${item.authorName ? `
+    <author><name>${escapeXml(item.authorName)}</name></author>` : ''}${[item.category, ...item.tags].filter(Boolean).map((term) => `
+    <category term="${escapeXml(term)}" />`).join('')}
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html" xml:lang="${escapeXml(item.language)}">${escapeXml(item.contentHtml)}</content>
+  </entry>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(channel.language)}">
+  <id>${escapeXml(channel.feedUrl)}</id>
+  <title>${escapeXml(channel.title)}</title>
+  <subtitle>${escapeXml(channel.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(channel.feedUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(channel.homeUrl)}" />
+  <updated>${channel.updatedAt.toISOString()}</updated>
+${entries.join('\n')}
+</feed>
+`;
+  }
+
+  renderJsonFeed(channel, items) {
+    const feed = {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: channel.title,
+      home_page_url: channel.homeUrl,
+      feed_url: channel.feedUrl,
+      description: channel.description,
+      language: channel.language,
+      items: items.map((item) => ({
+        id: item.url,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        content_html: item.contentHtml,
+        ...(item.image ? { image: item.image } : {}),
+        date_published: item.publishedAt.toISOString(),
+        date_modified: item.updatedAt.toISOString(),
+        ...(item.authorName ? { authors: [{ name: item.authorName }] } : {}),
+        tags: [item.category, ...item.tags].filter(Boolean),
+        language: item.language,
+      })),
+    };
+    return JSON.stringify(feed, null, 2);
+  }
+}
+
+const feedService = new FeedService();
+export default feedService;
@@ -0,0 +1,166 @@
+import net from 'net';
+import maxmind from 'maxmind';
+import config from '../config/index.js';
+
+// "::ffff:203.0.113.7" -> "203.0.113.7"
+const normalizeIp = (ip = '') => {
+  const value = String(ip).trim();
+  return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+};
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+const countryName = (code) => {
+  try {
+    return regionNames.of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+const expandIpv6 = (ip) => {
+  if (!ip.includes('::')) return ip.split(':');
+  const [head, tail] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  return [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+};
+
+/**
+ * Drop the host part of an address before it is stored: the last octet of
+ * IPv4, everything after the /48 prefix of IPv6.
+ */
+export const anonymizeIp = (ip) => {
+  const value = normalizeIp(ip);
+  if (net.isIPv4(value)) return value.replace(/\.\d+$/, '.0');
+  if (net.isIPv6(value)) return `${expandIpv6(value).slice(0, 3).join(':')}::`;
+  return '';
+};
+
+/**
+ * GeoIP Service
+ *
+ * Country and region lookups against a local MaxMind-format database
+ * (`GEOIP_DATABASE_PATH`, GeoLite2/GeoIP2 City or Country). Without a
+ * database, lookups return null and callers fall back to `CF-IPCountry`.
+ * The file is re-read when it is replaced, so updates need no restart.
+ */
+class GeoIpService {
+  constructor() {
+    this.reader = null;
+  }
+
+  async init(databasePath = config.geoip.databasePath) {
+    if (!databasePath) return false;
+
+    try {
+      this.reader = await maxmind.open(databasePath, {
+        watchForUpdates: true,
+        watchForUpdatesNonPersistent: true,
+      });
+      console.log(`✅ GeoIP database loaded (${databasePath})`);
+      return true;
+    } catch (error) {
+      this.reader = null;
+      console.error(`[GeoIP] Failed to open ${databasePath}:`, error.message);
+      return false;
+    }
+  }
+
+  isEnabled() {
+    return Boolean(this.reader);
+  }
+
+  /**
+   * @returns {{ countryCode: string, country: string, regionCode: string, region: string,
+   *   city: string, timezone: string, latitude: number|null, longitude: number|null }|null}
+   */
+  lookup(ip) {
+    const address = normalizeIp(ip);
+    if (!this.reader || !net.isIP(address)) return null;
+
+    let record;
+    try {
+      record = this.reader.get(address);
+    } catch {
+      return null;
+    }
+
+    // Country databases have no subdivisions; anycast/satellite ranges only have a registered country
+    const country = record?.country || record?.registered_country;
+    if (!country?.iso_code) return null;
+
+    const [subdivision] = record.subdivisions || [];
+    return {
+      countryCode: country.iso_code,
+      country: country.names?.en || country.iso_code,
+      regionCode: subdivision?.iso_code ? `${country.iso_code}-${subdivision.iso_code}` : '',
+      region: subdivision?.names?.en || '',
+      city: record.city?.names?.en || '',
+      timezone: record.location?.time_zone || '',
+      latitude: record.location?.latitude ?? null,
+      longitude: record.location?.longitude ?? null,
+    };
+  }
+
+  /**
+   * Location for a request: the database first, then the Cloudflare header.
+   * `ip` must be the proxy-aware `req.ip`.
+   */
+  resolve({ ip, headers = {} }) {
+    const address = normalizeIp(ip);
+    const location = this.lookup(address);
+    if (location) return { ip: address, source: 'geoip', ...location };
+
+    const headerCountry = String(headers['cf-ipcountry'] || '').toUpperCase();
+    // XX = unknown, T1 = Tor
+    if (config.geoip.trustCloudflareHeader && /^[A-Z]{2}$/.test(headerCountry)
+      && !['XX', 'T1'].includes(headerCountry)) {
+      return {
+        ip: address,
+        source: 'header',
+        countryCode: headerCountry,
+        country: countryName(headerCountry),
+        regionCode: '',
+        region: '',
+        city: '',
+        timezone: '',
+        latitude: null,
+        longitude: null,
+      };
+    }
+
+    return { ip: address, source: null };
+  }
+
+  /**
+   * `country`/`region` for ad targeting contexts (AdCollection.matchesContext).
+   */
+  toTargetingContext(geo) {
+    return {
+      country: geo?.countryCode || null,
+      region: geo?.regionCode || null,
+    };
+  }
+
+  /**
+   * `AnalyticsEvent.location` for a resolved request location.
+   */
+  toAnalyticsLocation(geo) {
+    if (!geo?.countryCode) return null;
+    const location = {
+      country: geo.country,
+      countryCode: geo.countryCode,
+      region: geo.region,
+      city: geo.city,
+      timezone: geo.timezone,
+      ip: anonymizeIp(geo.ip),
+    };
+    if (geo.latitude !== null && geo.longitude !== null) {
+      location.coordinates = { latitude: geo.latitude, longitude: geo.longitude };
+    }
+    return location;
+  }
+}
+
+export default new GeoIpService();
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import path from 'path';
+import cacheService from './cacheService.js';
+import storageService from './storageService.js';
+import { safeFetch } from '../utils/safeFetch.js';
+import { parseLinkMetadata, mergeOEmbed } from '../utils/linkMetadata.js';
+import { AppError } from '../utils/errors.js';
+
+const PREVIEW_TTL = 24 * 60 * 60; // 1 day
+const MIRRORED_IMAGE_TTL = 30 * 24 * 60 * 60; // Mirrored files are permanent; this only dedupes uploads
+const MAX_HTML_BYTES = 1024 * 1024;
+const MAX_OEMBED_BYTES = 256 * 1024;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const USER_AGENT = 'BassacPostLinkPreview/1.0 (+https://bassacpost.com)';
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+};
+
+const hashUrl = (url) => crypto.createHash('sha256').update(url).digest('hex').slice(0, 32);
+
+const contentTypeOf = (headers = {}) => String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Link Preview Service
+ * Unfurls URLs pasted into the editor (EditorJS LinkTool): fetches the page
+ * through the SSRF guard, reads OpenGraph/Twitter/oEmbed metadata and mirrors
+ * the preview image into our own storage so embeds outlive the source site.
+ */
+class LinkPreviewService {
+  previewKey(url) {
+    return cacheService.key('link-preview', hashUrl(url));
+  }
+
+  imageKey(url) {
+    return cacheService.key('link-preview-image', hashUrl(url));
+  }
+
+  async fetchDocument(url) {
+    const response = await safeFetch(url, {
+      maxBytes: MAX_HTML_BYTES,
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5',
+      },
+    });
+
+    if (response.status >= 400) {
+      throw new AppError(`Link responded with HTTP ${response.status}`, 502);
+    }
+    return response;
+  }
+
+  async fetchOEmbed(oembedUrl) {
+    try {
+      const response = await safeFetch(oembedUrl, {
+        maxBytes: MAX_OEMBED_BYTES,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'application/json' },
+      });
+      if (response.status >= 400) return null;
+      return JSON.parse(response.body.toString('utf8'));
+    } catch (error) {
+      console.warn('oEmbed lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Copy a remote preview image into storage. Returns the stored URL, or the
+   * original URL when the image cannot be mirrored.
+   */
+  async mirrorImage(imageUrl) {
+    if (!imageUrl) return '';
+
+    const key = this.imageKey(imageUrl);
+    const cached = await cacheService.get(key);
+    if (cached) return cached;
+
+    try {
+      const response = await safeFetch(imageUrl, {
+        maxBytes: MAX_IMAGE_BYTES,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'image/*' },
+      });
+      const mimetype = contentTypeOf(response.headers);
+      if (response.status >= 400 || !IMAGE_EXTENSIONS[mimetype]) {
+        return imageUrl;
+      }
+
+      const stored = await storageService.upload({
+        buffer: response.body,
+        size: response.body.length,
+        mimetype,
+        originalname: `preview${IMAGE_EXTENSIONS[mimetype]}`,
+      }, { folder: 'link-previews' });
+
+      await cacheService.set(key, stored.url, MIRRORED_IMAGE_TTL);
+      return stored.url;
+    } catch (error) {
+      console.warn('Failed to mirror link preview image:', error.message);
+      return imageUrl;
+    }
+  }
+
+  /**
+   * Unfurl a URL into LinkTool metadata. Cached per URL.
+   *
+   * @param {string} url
+   * @returns {Promise<{ link: string, meta: Object }>}
+   */
+  async unfurl(url) {
+    const key = this.previewKey(url);
+    const cached = await cacheService.get(key);
+    if (cached) return cached;
+
+    const response = await this.fetchDocument(url);
+    const finalUrl = response.url;
+    const contentType = contentTypeOf(response.headers);
+
+    let metadata;
+    if (IMAGE_EXTENSIONS[contentType]) {
+      // Direct image links preview as themselves
+      metadata = { title: path.basename(new URL(finalUrl).pathname), description: '', image: finalUrl, siteName: '' };
+    } else {
+      metadata = parseLinkMetadata(response.body.toString('utf8'), finalUrl);
+      if (metadata.oembedUrl) {
+        const oembed = await this.fetchOEmbed(metadata.oembedUrl);
+        if (oembed) metadata = mergeOEmbed(metadata, oembed);
+      }
+    }
+
+    const preview = {
+      link: url,
+      meta: {
+        title: metadata.title || new URL(finalUrl).hostname,
+        description: metadata.description || '',
+        site_name: metadata.siteName || '',
+        author: metadata.author || '',
+        canonical: metadata.canonicalUrl || finalUrl,
+        image: { url: await this.mirrorImage(metadata.image) },
+      },
+    };
+
+    await cacheService.set(key, preview, PREVIEW_TTL);
+    return preview;
+  }
+}
+
+const linkPreviewService = new LinkPreviewService();
+export default linkPreviewService;
@@ -269,6 +269,21 @@ class NotificationService {
     }
   }
 
+  async notifyWorkflowOverdue(article, recipientIds = [], { stageLabel = 'Review', dueAt = null } = {}) {
+    for (const recipientId of recipientIds) {
+      await this.notify({
+        recipientId,
+        type: 'workflow_overdue',
+        title: `${stageLabel} Overdue`,
+        message: `"${article.title}" is past its ${stageLabel.toLowerCase()} deadline.`,
+        link: `/dashboard/articles/${article._id}/edit`,
+        relatedArticle: article._id,
+        priority: 'high',
+        metadata: { dueAt },
+      });
+    }
+  }
+
   async notifyCommentReceived(article, comment, authorId) {
     const commenterName = comment.author 
       ? `${comment.author.firstName} ${comment.author.lastName}` 
@@ -368,6 +383,21 @@ class NotificationService {
     }
     return notifications;
   }
+
+  async notifyCreativeReviewed(submission) {
+    const approved = submission.status === 'approved';
+    return this.notify({
+      recipientId: submission.advertiser,
+      type: approved ? 'creative_approved' : 'creative_rejected',
+      title: approved ? 'Creative Approved ✅' : 'Creative Not Approved',
+      message: approved
+        ? `Your creative "${submission.name}" was approved and is now live.`
+        : `Your creative "${submission.name}" was not approved. ${submission.reviewNote || ''}`.trim(),
+      link: '/dashboard/advertiser',
+      metadata: { submissionId: submission._id, reason: submission.reviewNote },
+      sendEmail: true,
+    });
+  }
 }
 
 // Export singleton instance
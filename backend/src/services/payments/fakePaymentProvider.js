@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+import { BadRequestError } from '../../utils/errors.js';
+
+/**
+ * Fake payment provider for local development and tests.
+ * Every checkout succeeds immediately; webhooks take the JSON body as-is.
+ */
+const fakePaymentProvider = {
+  name: 'fake',
+
+  async createCheckout({ plan, interval, amount, currency }) {
+    return {
+      status: 'completed',
+      reference: `fake_${crypto.randomBytes(8).toString('hex')}`,
+      checkoutUrl: null,
+      plan,
+      interval,
+      amount,
+      currency,
+    };
+  },
+
+  async cancel() {
+    return { cancelled: true };
+  },
+
+  async parseWebhook(req) {
+    const { type, reference } = req.body || {};
+    if (!type || !reference) {
+      throw new BadRequestError('Invalid webhook payload');
+    }
+    return { type, reference };
+  },
+};
+
+export default fakePaymentProvider;
@@ -0,0 +1,32 @@
+import config from '../../config/index.js';
+import fakePaymentProvider from './fakePaymentProvider.js';
+
+/**
+ * Payment provider registry.
+ *
+ * A provider implements:
+ *   name: string (stored on Subscription.paymentProvider)
+ *   createCheckout({ user, subscription, plan, interval, amount, currency })
+ *     -> { status: 'completed' | 'pending', reference, checkoutUrl }
+ *   cancel(subscription) -> { cancelled }
+ *   parseWebhook(req) -> { type: 'payment_succeeded' | 'payment_failed' | 'subscription_cancelled', reference }
+ *
+ * Register real providers (Stripe, ABA PayWay, ...) here.
+ */
+const providers = new Map([
+  [fakePaymentProvider.name, fakePaymentProvider],
+]);
+
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+export const getPaymentProvider = (name = config.payments.provider) => {
+  if (!name) return null;
+  return providers.get(name) || null;
+};
+
+export default {
+  registerPaymentProvider,
+  getPaymentProvider,
+};
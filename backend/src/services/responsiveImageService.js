@@ -0,0 +1,60 @@
+import { Media } from '../models/index.js';
+import { buildResponsiveImage } from '../utils/responsiveImage.js';
+
+/**
+ * Responsive Image Service
+ * Looks up the Media record behind an article's featured image and exposes
+ * its WebP/AVIF srcsets and placeholder on public article responses.
+ */
+class ResponsiveImageService {
+  /**
+   * @param {string[]} urls
+   * @returns {Promise<Map<string, { srcset: Object, placeholder: string }>>}
+   */
+  async findByUrls(urls = []) {
+    const unique = [...new Set(urls.filter(Boolean))];
+    if (!unique.length) return new Map();
+
+    const media = await Media.find({ url: { $in: unique }, 'thumbnails.variants.0': { $exists: true } })
+      .select('url thumbnails')
+      .lean();
+
+    return new Map(media.map((item) => [item.url, buildResponsiveImage(item.thumbnails)]));
+  }
+
+  /**
+   * Adds featuredImageSrcset ({ avif, webp }) and featuredImagePlaceholder to
+   * each article whose featured image has variants. Articles are not mutated.
+   */
+  async attachToArticles(articles = []) {
+    if (!Array.isArray(articles) || !articles.length) return articles;
+
+    let images;
+    try {
+      images = await this.findByUrls(articles.map((article) => article?.featuredImage));
+    } catch (error) {
+      // Responsive images are an enhancement; the plain featuredImage still works
+      console.error('Failed to load responsive image variants:', error.message);
+      return articles;
+    }
+
+    return articles.map((article) => {
+      const image = images.get(article?.featuredImage);
+      if (!image) return article;
+      return {
+        ...article,
+        featuredImageSrcset: image.srcset,
+        featuredImagePlaceholder: image.placeholder,
+      };
+    });
+  }
+
+  async attachToArticle(article) {
+    if (!article) return article;
+    const [withImage] = await this.attachToArticles([article]);
+    return withImage;
+  }
+}
+
+const responsiveImageService = new ResponsiveImageService();
+export default responsiveImageService;
@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import { Session, User } from '../models/index.js';
+import { generateTokens, verifyRefreshToken, getTokenExpiration } from '../utils/jwt.js';
+import { getDeviceType } from '../utils/helpers.js';
+import { hashIp } from '../utils/fraudDetection.js';
+import { UnauthorizedError } from '../utils/errors.js';
+import logger from './loggerService.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const describeClient = ({ ip = '', userAgent = '' } = {}) => ({
+  userAgent: userAgent.slice(0, 500),
+  deviceType: getDeviceType(userAgent),
+  ipHash: ip ? hashIp(ip) : '',
+});
+
+/**
+ * Session Service
+ * Per-device sessions with refresh-token rotation. Each refresh replaces the
+ * session's token; replaying a superseded one revokes the session (the whole
+ * token family), since only a copied token can be presented twice.
+ */
+class SessionService {
+  /**
+   * Open a session for a fully signed-in user and return its tokens.
+   */
+  async start(user, context = {}) {
+    const session = new Session({
+      user: user._id,
+      ...describeClient(context),
+      lastSeenAt: new Date(),
+    });
+
+    const tokens = generateTokens(user, session._id);
+    session.tokenHash = hashToken(tokens.refreshToken);
+    session.expiresAt = getTokenExpiration(tokens.refreshToken);
+    await session.save();
+
+    return tokens;
+  }
+
+  /**
+   * Exchange a refresh token for a new pair.
+   *
+   * @returns {Promise<{ user: object, tokens: { accessToken: string, refreshToken: string } }>}
+   */
+  async rotate(refreshToken, context = {}) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch {
+      throw new UnauthorizedError('Invalid or expired refresh token');
+    }
+    // Tokens issued before sessions existed carry no sid
+    if (!decoded.sid) {
+      throw new UnauthorizedError('Session expired. Please login again.');
+    }
+
+    const session = await Session.findById(decoded.sid).select('+tokenHash');
+    if (!session || session.revokedAt || String(session.user) !== String(decoded.id)) {
+      throw new UnauthorizedError('Session has been revoked');
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (session.tokenHash !== presentedHash) {
+      await this.revokeReused(session, context);
+      throw new UnauthorizedError('Session has been revoked');
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.status !== 'active') {
+      await this.revoke(session._id, { reason: 'revoked' });
+      throw new UnauthorizedError('Session has been revoked');
+    }
+
+    const tokens = generateTokens(user, session._id);
+    // Claim the old hash atomically; a concurrent rotation with the same token loses
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: hashToken(tokens.refreshToken),
+          expiresAt: getTokenExpiration(tokens.refreshToken),
+          lastSeenAt: new Date(),
+          ...describeClient(context),
+        },
+        $inc: { rotationCount: 1 },
+      }
+    );
+    if (!rotated) {
+      await this.revokeReused(session, context);
+      throw new UnauthorizedError('Session has been revoked');
+    }
+
+    return { user, tokens };
+  }
+
+  async revokeReused(session, context = {}) {
+    await this.revoke(session._id, { reason: 'token_reuse' });
+    logger.logSecurity('Refresh token reuse detected', {
+      userId: session.user,
+      sessionId: session._id,
+      ip: context.ip,
+    });
+  }
+
+  async listForUser(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Revoke one session. Pass `userId` to only match that user's sessions.
+   *
+   * @returns {Promise<boolean>} false when no active session matched
+   */
+  async revoke(sessionId, { userId, reason = 'revoked', revokedBy = null } = {}) {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) filter.user = userId;
+
+    const result = await Session.updateOne(filter, {
+      $set: { revokedAt: new Date(), revokeReason: reason, revokedBy },
+    });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one.
+   *
+   * @returns {Promise<number>} how many sessions were revoked
+   */
+  async revokeAllForUser(userId, { reason = 'revoked', revokedBy = null, exceptSessionId } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokeReason: reason, revokedBy },
+    });
+    return result.modifiedCount;
+  }
+}
+
+const sessionService = new SessionService();
+export default sessionService;
@@ -0,0 +1,288 @@
+import { Article, ArticleTranslation, Category, SiteSettings } from '../models/index.js';
+import cacheService from './cacheService.js';
+import { resolveUrl } from '../utils/siteUrl.js';
+import { escapeXml, normalizeLanguageCode } from '../utils/helpers.js';
+
+const SITEMAP_PAGE_SIZE = 5000; // Protocol limit is 50,000 URLs per file
+const SITEMAP_TTL = 3600; // 1 hour (invalidated on publish)
+const NEWS_SITEMAP_WINDOW_HOURS = 48;
+const NEWS_SITEMAP_MAX_URLS = 1000; // Google News limit
+const SITEMAP_TYPES = ['articles', 'categories', 'authors'];
+
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : '');
+
+const renderAlternates = (alternates = []) => {
+  if (alternates.length < 2) return '';
+  const links = alternates.map(
+    ({ language, url }) => `    <xhtml:link rel="alternate" hreflang="${escapeXml(language)}" href="${escapeXml(url)}" />`
+  );
+  links.push(`    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeXml(alternates[0].url)}" />`);
+  return `\n${links.join('\n')}`;
+};
+
+const renderUrl = ({ loc, lastmod, alternates = [], extra = '' }) => `  <url>
+    <loc>${escapeXml(loc)}</loc>${lastmod ? `\n    <lastmod>${toIsoDate(lastmod)}</lastmod>` : ''}${renderAlternates(alternates)}${extra}
+  </url>`;
+
+const renderUrlSet = (urls, { news = false } = {}) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${news ? ' xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"' : ''} xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join('\n')}
+</urlset>
+`;
+
+/**
+ * Sitemap Service
+ * Builds sitemap.xml (index + paginated children), the Google News sitemap and
+ * robots.txt. Rendered documents are cached and dropped when an article
+ * publishes or the SEO settings change.
+ */
+class SitemapService {
+  cacheKey(name, siteUrl) {
+    return cacheService.key('sitemap', siteUrl, name);
+  }
+
+  async cached(name, siteUrl, build) {
+    const key = this.cacheKey(name, siteUrl);
+    const hit = await cacheService.get(key);
+    if (hit !== null) {
+      return hit;
+    }
+    const document = await build();
+    if (document !== null) {
+      await cacheService.set(key, document, SITEMAP_TTL);
+    }
+    return document;
+  }
+
+  async invalidate() {
+    return cacheService.delPattern(cacheService.key('sitemap', '*'));
+  }
+
+  async getSeoSettings() {
+    const settings = await SiteSettings.getSettings();
+    return {
+      siteName: settings.siteName || 'Bassac Post',
+      enableSitemap: settings.seo?.enableSitemap !== false,
+      enableRobotsTxt: settings.seo?.enableRobotsTxt !== false,
+    };
+  }
+
+  /**
+   * hreflang alternates for a set of articles, keyed by article id.
+   * Only languages listed in `availableLanguages` with a published translation are included.
+   */
+  async buildArticleAlternates(articles, siteUrl) {
+    const articleIds = articles.map((article) => article._id);
+    const translations = articleIds.length
+      ? await ArticleTranslation.find({ articleId: { $in: articleIds }, translationStatus: 'published' })
+        .select('articleId language slug title')
+        .lean()
+      : [];
+
+    const translationsByArticle = new Map();
+    for (const translation of translations) {
+      const articleKey = translation.articleId.toString();
+      const language = normalizeLanguageCode(translation.language);
+      if (!language || !translation.slug) continue;
+      if (!translationsByArticle.has(articleKey)) {
+        translationsByArticle.set(articleKey, new Map());
+      }
+      translationsByArticle.get(articleKey).set(language, translation);
+    }
+
+    const alternatesByArticle = new Map();
+    for (const article of articles) {
+      const articleKey = article._id.toString();
+      const baseLanguage = normalizeLanguageCode(article.language) || 'en';
+      const articleTranslations = translationsByArticle.get(articleKey) || new Map();
+      const alternates = [{
+        language: baseLanguage,
+        url: resolveUrl(siteUrl, `/article/${article.slug}`),
+        title: article.title,
+      }];
+
+      for (const value of article.availableLanguages || []) {
+        const language = normalizeLanguageCode(value);
+        const translation = articleTranslations.get(language);
+        if (!translation || alternates.some((alternate) => alternate.language === language)) continue;
+        alternates.push({
+          language,
+          url: resolveUrl(siteUrl, `/article/${translation.slug}`),
+          title: translation.title || article.title,
+        });
+      }
+
+      alternatesByArticle.set(articleKey, alternates);
+    }
+
+    return alternatesByArticle;
+  }
+
+  async countEntries(type) {
+    if (type === 'articles') {
+      return Article.countDocuments({ status: 'published' });
+    }
+    if (type === 'categories') {
+      return Category.countDocuments({ isActive: true });
+    }
+    const authors = await Article.distinct('author', { status: 'published' });
+    return authors.length;
+  }
+
+  async getLatestUpdate(type) {
+    const model = type === 'categories' ? Category : Article;
+    const filter = type === 'categories' ? { isActive: true } : { status: 'published' };
+    const latest = await model.findOne(filter).sort({ updatedAt: -1 }).select('updatedAt').lean();
+    return latest?.updatedAt || null;
+  }
+
+  /**
+   * GET /sitemap.xml
+   */
+  async getSitemapIndex(siteUrl) {
+    const { enableSitemap } = await this.getSeoSettings();
+    if (!enableSitemap) return null;
+
+    return this.cached('index', siteUrl, async () => {
+      const entries = [];
+      for (const type of SITEMAP_TYPES) {
+        const [total, lastmod] = await Promise.all([this.countEntries(type), this.getLatestUpdate(type)]);
+        const pages = Math.max(1, Math.ceil(total / SITEMAP_PAGE_SIZE));
+        for (let page = 1; page <= pages; page += 1) {
+          entries.push(`  <sitemap>
+    <loc>${escapeXml(resolveUrl(siteUrl, `/sitemaps/${type}-${page}.xml`))}</loc>${lastmod ? `\n    <lastmod>${toIsoDate(lastmod)}</lastmod>` : ''}
+  </sitemap>`);
+        }
+      }
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</sitemapindex>
+`;
+    });
+  }
+
+  /**
+   * GET /sitemaps/:type-:page.xml
+   * Returns null for unknown types or pages past the end.
+   */
+  async getSitemapPage(type, page, siteUrl) {
+    if (!SITEMAP_TYPES.includes(type) || !Number.isInteger(page) || page < 1) return null;
+    const { enableSitemap } = await this.getSeoSettings();
+    if (!enableSitemap) return null;
+
+    return this.cached(`${type}-${page}`, siteUrl, async () => {
+      const skip = (page - 1) * SITEMAP_PAGE_SIZE;
+      let urls = [];
+
+      if (type === 'articles') {
+        // Oldest first so existing pages stay stable as new articles are added
+        const articles = await Article.find({ status: 'published' })
+          .select('slug title language availableLanguages updatedAt')
+          .sort({ _id: 1 })
+          .skip(skip)
+          .limit(SITEMAP_PAGE_SIZE)
+          .lean();
+        const alternatesByArticle = await this.buildArticleAlternates(articles, siteUrl);
+        urls = articles.flatMap((article) => {
+          const alternates = alternatesByArticle.get(article._id.toString()) || [];
+          // Every language version gets its own <url> with the full alternate set
+          return alternates.map(({ url }) => renderUrl({ loc: url, lastmod: article.updatedAt, alternates }));
+        });
+      } else if (type === 'categories') {
+        const categories = await Category.find({ isActive: true })
+          .select('slug updatedAt')
+          .sort({ _id: 1 })
+          .skip(skip)
+          .limit(SITEMAP_PAGE_SIZE)
+          .lean();
+        urls = categories.map((category) => renderUrl({
+          loc: resolveUrl(siteUrl, `/category/${category.slug}`),
+          lastmod: category.updatedAt,
+        }));
+      } else {
+        const authors = await Article.aggregate([
+          { $match: { status: 'published' } },
+          { $group: { _id: '$author', lastmod: { $max: '$updatedAt' } } },
+          { $sort: { _id: 1 } },
+          { $skip: skip },
+          { $limit: SITEMAP_PAGE_SIZE },
+        ]);
+        urls = authors.map((author) => renderUrl({
+          loc: resolveUrl(siteUrl, `/author/${author._id}`),
+          lastmod: author.lastmod,
+        }));
+      }
+
+      return urls.length || page === 1 ? renderUrlSet(urls) : null;
+    });
+  }
+
+  /**
+   * GET /news-sitemap.xml
+   * Articles published in the last 48 hours, in Google News format.
+   */
+  async getNewsSitemap(siteUrl) {
+    const { enableSitemap, siteName } = await this.getSeoSettings();
+    if (!enableSitemap) return null;
+
+    return this.cached('news', siteUrl, async () => {
+      const since = new Date(Date.now() - NEWS_SITEMAP_WINDOW_HOURS * 60 * 60 * 1000);
+      const articles = await Article.find({ status: 'published', publishedAt: { $gte: since } })
+        .select('slug title language availableLanguages publishedAt updatedAt')
+        .sort({ publishedAt: -1 })
+        .limit(NEWS_SITEMAP_MAX_URLS)
+        .lean();
+      const alternatesByArticle = await this.buildArticleAlternates(articles, siteUrl);
+
+      const urls = [];
+      for (const article of articles) {
+        const alternates = alternatesByArticle.get(article._id.toString()) || [];
+        for (const alternate of alternates) {
+          if (urls.length >= NEWS_SITEMAP_MAX_URLS) break;
+          const extra = `
+    <news:news>
+      <news:publication>
+        <news:name>${escapeXml(siteName)}</news:name>
+        <news:language>${escapeXml(alternate.language)}</news:language>
+      </news:publication>
+      <news:publication_date>${toIsoDate(article.publishedAt)}</news:publication_date>
+      <news:title>${escapeXml(alternate.title)}</news:title>
+    </news:news>`;
+          urls.push(renderUrl({ loc: alternate.url, alternates, extra }));
+        }
+      }
+
+      return renderUrlSet(urls, { news: true });
+    });
+  }
+
+  /**
+   * GET /robots.txt
+   */
+  async getRobotsTxt(siteUrl) {
+    const { enableRobotsTxt, enableSitemap } = await this.getSeoSettings();
+    if (!enableRobotsTxt) return null;
+
+    return this.cached('robots', siteUrl, async () => {
+      const lines = [
+        'User-agent: *',
+        'Allow: /',
+        'Disallow: /api/',
+        'Disallow: /dashboard',
+        'Disallow: /account',
+        'Disallow: /preview',
+        'Disallow: /share/',
+      ];
+      if (enableSitemap) {
+        lines.push('', `Sitemap: ${resolveUrl(siteUrl, '/sitemap.xml')}`);
+        lines.push(`Sitemap: ${resolveUrl(siteUrl, '/news-sitemap.xml')}`);
+      }
+      return `${lines.join('\n')}\n`;
+    });
+  }
+}
+
+const sitemapService = new SitemapService();
+export default sitemapService;
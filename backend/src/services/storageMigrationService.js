@@ -0,0 +1,268 @@
+import path from 'path';
+import config from '../config/index.js';
+import { Media, Article, ArticleTranslation } from '../models/index.js';
+import storageService from './storageService.js';
+import cacheService from './cacheService.js';
+
+export const STORAGE_PROVIDERS = Object.freeze(['local', 'cloudinary', 's3']);
+
+// Editor.js fields that hold media URLs: image tool, simple image/embeds, link tool previews
+const CONTENT_URL_PATHS = Object.freeze([
+  'content.blocks.data.file.url',
+  'content.blocks.data.url',
+  'content.blocks.data.meta.image.url',
+]);
+
+// Cloudinary public IDs live under this folder (see StorageService.uploadToCloudinary)
+const CLOUDINARY_ROOT = 'bassac-media';
+
+/**
+ * Replace every string in an Editor.js document (or any nested value) that
+ * exactly matches an old URL. Returns the same reference when nothing changed.
+ *
+ * @param {*} value
+ * @param {Map<string, string>} urlMap - old URL -> new URL
+ */
+export const rewriteUrls = (value, urlMap) => {
+  if (typeof value === 'string') {
+    return urlMap.has(value) ? urlMap.get(value) : value;
+  }
+
+  if (Array.isArray(value)) {
+    let changed = false;
+    const next = value.map((item) => {
+      const rewritten = rewriteUrls(item, urlMap);
+      if (rewritten !== item) changed = true;
+      return rewritten;
+    });
+    return changed ? next : value;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    let changed = false;
+    const next = {};
+    for (const [key, item] of Object.entries(value)) {
+      next[key] = rewriteUrls(item, urlMap);
+      if (next[key] !== item) changed = true;
+    }
+    return changed ? next : value;
+  }
+
+  return value;
+};
+
+/**
+ * Folder a stored file was uploaded to ("articles", "general", ...), recovered
+ * from its storage key so the file lands in the same folder on the new provider.
+ */
+export const resolveMediaFolder = (media) => {
+  const key = String(media?.storageKey || media?.path || '').replace(/^\/+/, '');
+  let dir = path.posix.dirname(key);
+
+  const roots = [config.storage?.s3?.keyPrefix, CLOUDINARY_ROOT]
+    .map((root) => (root || '').replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean);
+  for (const root of roots) {
+    if (dir === root) {
+      dir = '.';
+      break;
+    }
+    if (dir.startsWith(`${root}/`)) {
+      dir = dir.slice(root.length + 1);
+      break;
+    }
+  }
+
+  return dir && dir !== '.' ? dir : 'general';
+};
+
+/**
+ * Storage Migration Service
+ * Moves Media between storage providers and rewrites the article URLs that
+ * still point at the old location. Driven by scripts/migrateStorageProvider.js.
+ */
+class StorageMigrationService {
+  /**
+   * Copy one media item to the target provider. Nothing is written to the
+   * database here; the caller decides when to commit the returned update.
+   *
+   * @returns {Promise<{ update: Object, urlMap: Map<string, string> }>}
+   */
+  async copyMedia(media, to) {
+    const buffer = await storageService.read(media);
+    const result = await storageService.upload(
+      {
+        buffer,
+        mimetype: media.mimeType,
+        originalname: media.originalName || media.filename,
+        size: buffer.length,
+      },
+      {
+        folder: resolveMediaFolder(media),
+        provider: to,
+        filename: media.filename,
+        fallbackToLocal: false,
+      }
+    );
+
+    const urlMap = new Map();
+    if (media.url && media.url !== result.url) {
+      urlMap.set(media.url, result.url);
+    }
+
+    return {
+      urlMap,
+      update: {
+        filename: result.filename,
+        path: result.path,
+        url: result.url,
+        storageProvider: result.storageProvider,
+        storageKey: result.storageKey,
+        width: result.width ?? media.width ?? null,
+        height: result.height ?? media.height ?? null,
+        thumbnails: result.thumbnails || {},
+      },
+    };
+  }
+
+  /**
+   * Articles and translations whose featured image or Editor.js blocks use any of the URLs.
+   */
+  async findReferences(urls) {
+    if (!urls.length) return { articles: [], translations: [] };
+
+    const contentFilters = CONTENT_URL_PATHS.map((field) => ({ [field]: { $in: urls } }));
+    const [articles, translations] = await Promise.all([
+      Article.find({ $or: [{ featuredImage: { $in: urls } }, ...contentFilters] })
+        .select('_id slug featuredImage content')
+        .lean(),
+      ArticleTranslation.find({ $or: contentFilters })
+        .select('_id content')
+        .lean(),
+    ]);
+
+    return { articles, translations };
+  }
+
+  /**
+   * Point article featured images and Editor.js blocks (source and
+   * translations) at the new URLs.
+   *
+   * @returns {Promise<{ articles: number, translations: number }>}
+   */
+  async rewriteReferences(urlMap) {
+    const { articles, translations } = await this.findReferences([...urlMap.keys()]);
+
+    const buildOps = (docs, fields) => docs.reduce((ops, doc) => {
+      const $set = {};
+      for (const field of fields) {
+        const rewritten = rewriteUrls(doc[field], urlMap);
+        if (rewritten !== doc[field]) $set[field] = rewritten;
+      }
+      if (Object.keys($set).length) {
+        // A storage move is not an editorial change
+        ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set }, timestamps: false } });
+      }
+      return ops;
+    }, []);
+
+    const articleOps = buildOps(articles, ['featuredImage', 'content']);
+    const translationOps = buildOps(translations, ['content']);
+
+    if (articleOps.length) await Article.bulkWrite(articleOps, { ordered: false });
+    if (translationOps.length) await ArticleTranslation.bulkWrite(translationOps, { ordered: false });
+
+    if (articleOps.length || translationOps.length) {
+      const updatedIds = new Set(articleOps.map((op) => String(op.updateOne.filter._id)));
+      await Promise.all(articles
+        .filter((article) => updatedIds.has(String(article._id)) && article.slug)
+        .map((article) => cacheService.invalidateArticle(article.slug)));
+      await cacheService.invalidateArticleLists();
+    }
+
+    return { articles: articleOps.length, translations: translationOps.length };
+  }
+
+  /**
+   * Move every Media document stored on `from` to `to`.
+   *
+   * @param {Object} options
+   * @param {string} options.from
+   * @param {string} options.to
+   * @param {boolean} [options.dryRun] - Count what would move without copying or writing
+   * @param {boolean} [options.deleteSource] - Remove the old files once references are rewritten
+   * @param {number} [options.batchSize]
+   * @param {(progress: Object) => void} [options.onProgress]
+   */
+  async migrate({ from, to, dryRun = false, deleteSource = false, batchSize = 100, onProgress } = {}) {
+    if (!STORAGE_PROVIDERS.includes(from) || !STORAGE_PROVIDERS.includes(to)) {
+      throw new Error(`Storage providers must be one of: ${STORAGE_PROVIDERS.join(', ')}`);
+    }
+    if (from === to) {
+      throw new Error('Source and target storage providers must differ');
+    }
+
+    const summary = {
+      from,
+      to,
+      dryRun,
+      media: { scanned: 0, migrated: 0, failed: 0 },
+      references: { articles: 0, translations: 0 },
+      sourcesDeleted: 0,
+      errors: [],
+    };
+
+    let lastId = null;
+    for (;;) {
+      const filter = { storageProvider: from };
+      if (lastId) filter._id = { $gt: lastId };
+
+      const batch = await Media.find(filter).sort({ _id: 1 }).limit(batchSize).lean();
+      if (!batch.length) break;
+      lastId = batch[batch.length - 1]._id;
+      summary.media.scanned += batch.length;
+
+      if (dryRun) {
+        const { articles, translations } = await this.findReferences(batch.map((media) => media.url).filter(Boolean));
+        summary.references.articles += articles.length;
+        summary.references.translations += translations.length;
+        continue;
+      }
+
+      const urlMap = new Map();
+      const moved = [];
+
+      for (const media of batch) {
+        try {
+          const { update, urlMap: mediaUrls } = await this.copyMedia(media, to);
+          await Media.updateOne({ _id: media._id }, { $set: update });
+          mediaUrls.forEach((newUrl, oldUrl) => urlMap.set(oldUrl, newUrl));
+          moved.push(media);
+          summary.media.migrated += 1;
+        } catch (error) {
+          summary.media.failed += 1;
+          summary.errors.push({ mediaId: String(media._id), error: error.message });
+        }
+      }
+
+      const references = await this.rewriteReferences(urlMap);
+      summary.references.articles += references.articles;
+      summary.references.translations += references.translations;
+
+      // Old files go only after nothing references them any more
+      if (deleteSource) {
+        for (const media of moved) {
+          await storageService.delete(media.storageKey, from);
+          summary.sourcesDeleted += 1;
+        }
+      }
+
+      onProgress?.(summary);
+    }
+
+    return summary;
+  }
+}
+
+const storageMigrationService = new StorageMigrationService();
+export default storageMigrationService;
@@ -6,11 +6,27 @@ import { v4 as uuidv4 } from 'uuid';
 import sharp from 'sharp';
 import { v2 as cloudinary } from 'cloudinary';
 import config from '../config/index.js';
+import { VARIANT_SOURCE_TYPES, selectVariantWidths } from '../utils/responsiveImage.js';
+import { createS3Client } from '../utils/s3Client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const backendRoot = path.resolve(__dirname, '../..');
 
+// Variants sit next to the original as <name>-<width>w.<format>
+const VARIANT_FILE_PATTERN = /-\d+w\.(webp|avif)$/;
+
+// Private S3 objects are served through /media/<folder>/<file>, which redirects to a signed URL
+const S3_MEDIA_ROUTE = '/media';
+
+// Upload names are UUIDs, so stored objects never change
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+const VARIANT_CONTENT_TYPES = {
+    webp: 'image/webp',
+    avif: 'image/avif',
+};
+
 const parseCloudinaryUrl = (rawUrl = '') => {
     const value = (rawUrl || '').trim();
     if (!value) return null;
@@ -44,6 +60,10 @@ class StorageService {
             this.initCloudinary();
         }
 
+        if (this.provider === 's3') {
+            this.initS3();
+        }
+
         console.log(`📦 Storage provider: ${this.provider}`);
     }
 
@@ -57,6 +77,10 @@ class StorageService {
             return 'cloudinary';
         }
 
+        if (requested === 's3') {
+            return 's3';
+        }
+
         if (requested === 'local') {
             if (!process.env.STORAGE_PROVIDER && hasCloudinaryCredentials) {
                 console.log('ℹ️ Cloudinary credentials detected; auto-selecting cloudinary. Set STORAGE_PROVIDER=local to force local uploads.');
@@ -99,18 +123,62 @@ class StorageService {
         }
     }
 
-    async upload(file, options = {}) {
-        const { folder = 'general' } = options;
-        const filename = `${uuidv4()}${path.extname(file.originalname)}`;
+    initS3() {
+        try {
+            this.getS3Client();
+            console.log('✅ S3 storage initialized');
+        } catch (error) {
+            console.warn(`⚠️ ${error.message}, falling back to local storage`);
+            console.warn('   Required: S3_BUCKET + S3_ACCESS_KEY_ID + S3_SECRET_ACCESS_KEY (and S3_ENDPOINT for MinIO)');
+            this.provider = 'local';
+        }
+    }
 
-        if (this.provider === 'cloudinary') {
+    /**
+     * Created on first use so the storage migration can target S3 while
+     * uploads still go to another provider.
+     */
+    getS3Client() {
+        if (!this.s3Client) {
+            const s3Config = config.storage?.s3 || {};
+            this.s3Client = createS3Client({
+                endpoint: s3Config.endpoint,
+                region: s3Config.region,
+                bucket: s3Config.bucketName,
+                accessKeyId: s3Config.accessKeyId,
+                secretAccessKey: s3Config.secretAccessKey,
+                forcePathStyle: s3Config.forcePathStyle,
+            });
+        }
+        return this.s3Client;
+    }
+
+    /**
+     * @param {Object} file - multer file ({ buffer, mimetype, originalname, size })
+     * @param {Object} [options]
+     * @param {string} [options.folder]
+     * @param {string} [options.provider] - Defaults to the configured provider
+     * @param {string} [options.filename] - Defaults to a fresh UUID name
+     * @param {boolean} [options.fallbackToLocal] - Store locally when the cloud upload fails
+     */
+    async upload(file, options = {}) {
+        const {
+            folder = 'general',
+            provider = this.provider,
+            filename = `${uuidv4()}${path.extname(file.originalname)}`,
+            fallbackToLocal = this.localFallback,
+        } = options;
+
+        if (provider === 'cloudinary' || provider === 's3') {
             try {
-                return await this.uploadToCloudinary(file, filename, folder);
+                return provider === 's3'
+                    ? await this.uploadToS3(file, filename, folder)
+                    : await this.uploadToCloudinary(file, filename, folder);
             } catch (error) {
-                if (!this.localFallback) {
+                if (!fallbackToLocal) {
                     throw error;
                 }
-                console.warn(`⚠️ Cloudinary upload failed, falling back to local storage: ${error.message}`);
+                console.warn(`⚠️ ${provider} upload failed, falling back to local storage: ${error.message}`);
             }
         }
 
@@ -172,6 +240,7 @@ class StorageService {
                 thumbnails: {
                     small: cloudinary.url(result.public_id, { width: 150, height: 150, crop: 'fill' }),
                     medium: cloudinary.url(result.public_id, { width: 300, height: 300, crop: 'fill' }),
+                    ...(await this.buildCloudinaryVariants(file, buffer, result)),
                 },
             };
         } catch (error) {
@@ -180,6 +249,180 @@ class StorageService {
         }
     }
 
+    /**
+     * Tiny blurred WebP as a data URI, shown while the real image loads.
+     */
+    async createPlaceholder(buffer) {
+        const placeholder = await sharp(buffer)
+            .rotate()
+            .resize({ width: config.upload.imageVariants.placeholderWidth })
+            .blur()
+            .webp({ quality: 40 })
+            .toBuffer();
+        return `data:image/webp;base64,${placeholder.toString('base64')}`;
+    }
+
+    /**
+     * Render WebP/AVIF width variants of an image and hand each one to `store`,
+     * which saves it and returns its { url, storageKey }.
+     *
+     * @param {Buffer} buffer
+     * @param {{ filename: string, width: number }} source
+     * @param {(variantName: string, data: Buffer, format: string) => Promise<{ url: string, storageKey: string }>} store
+     * @returns {Promise<{ variants: Array, placeholder: string }>}
+     */
+    async createVariants(buffer, { filename, width }, store) {
+        const { widths, formats, quality } = config.upload.imageVariants;
+        const baseName = filename.replace(/\.[^/.]+$/, '');
+        const variants = [];
+
+        for (const variantWidth of selectVariantWidths(width, widths)) {
+            for (const format of formats) {
+                const variantName = `${baseName}-${variantWidth}w.${format}`;
+                const { data, info } = await sharp(buffer)
+                    .rotate()
+                    .resize({ width: variantWidth, withoutEnlargement: true })
+                    .toFormat(format, { quality: quality[format] })
+                    .toBuffer({ resolveWithObject: true });
+
+                const { url, storageKey } = await store(variantName, data, format);
+                variants.push({
+                    width: info.width,
+                    height: info.height,
+                    format,
+                    url,
+                    storageKey,
+                    size: info.size,
+                });
+            }
+        }
+
+        return { variants, placeholder: await this.createPlaceholder(buffer) };
+    }
+
+    // Local variants are written next to the original
+    async createLocalVariants(buffer, { uploadDir, folder, filename, width }) {
+        return this.createVariants(buffer, { filename, width }, async (variantName, data) => {
+            await fs.promises.writeFile(path.join(uploadDir, variantName), data);
+            const relativePath = `/${folder}/${variantName}`;
+            return { url: `/uploads${relativePath}`, storageKey: relativePath };
+        });
+    }
+
+    // Cloudinary renders variants on demand; only the URLs are recorded
+    async buildCloudinaryVariants(file, buffer, result) {
+        if (!VARIANT_SOURCE_TYPES.includes(file.mimetype)) {
+            return {};
+        }
+
+        const { widths, formats } = config.upload.imageVariants;
+        const variants = selectVariantWidths(result.width, widths).flatMap((width) => formats.map((format) => ({
+            width,
+            height: result.height ? Math.round((result.height * width) / result.width) : null,
+            format,
+            url: cloudinary.url(result.public_id, { width, crop: 'limit', format, quality: 'auto', secure: true }),
+            storageKey: null,
+            size: null,
+        })));
+
+        try {
+            return { variants, placeholder: await this.createPlaceholder(buffer) };
+        } catch (error) {
+            console.warn(`⚠️ Failed to build image placeholder: ${error.message}`);
+            return { variants };
+        }
+    }
+
+    getS3Key(folder, filename) {
+        const prefix = (config.storage?.s3?.keyPrefix || '').replace(/^\/+|\/+$/g, '');
+        return [prefix, folder, filename].filter(Boolean).join('/');
+    }
+
+    /**
+     * Stored URL for an S3 object: the public bucket/CDN URL when configured,
+     * otherwise the signed-read route on this API.
+     */
+    getS3Url(storageKey) {
+        const publicUrl = config.storage?.s3?.publicUrl;
+        if (publicUrl) {
+            return `${publicUrl}/${storageKey}`;
+        }
+
+        const prefix = (config.storage?.s3?.keyPrefix || '').replace(/^\/+|\/+$/g, '');
+        const routeKey = prefix && storageKey.startsWith(`${prefix}/`) ? storageKey.slice(prefix.length + 1) : storageKey;
+        return `${S3_MEDIA_ROUTE}/${routeKey}`;
+    }
+
+    /**
+     * Map a path under the signed-read route back to its object key. Returns
+     * null for paths that escape the configured key prefix.
+     */
+    resolveS3RouteKey(routePath = '') {
+        const relative = String(routePath).replace(/^\/+/, '');
+        if (!relative || relative.split('/').some((segment) => !segment || segment === '.' || segment === '..')) {
+            return null;
+        }
+        return this.getS3Key('', relative);
+    }
+
+    async uploadToS3(file, filename, folder) {
+        const client = this.getS3Client();
+        let buffer = file.buffer;
+        let width, height;
+        let thumbnails = {};
+
+        if (file.mimetype.startsWith('image/')) {
+            const image = sharp(file.buffer);
+            const metadata = await image.metadata();
+            width = metadata.width;
+            height = metadata.height;
+
+            // Resize if too large
+            if (width > 1920 || height > 1080) {
+                const { data, info } = await image
+                    .resize(1920, 1080, { fit: 'inside', withoutEnlargement: true })
+                    .jpeg({ quality: 85 })
+                    .toBuffer({ resolveWithObject: true });
+                buffer = data;
+                width = info.width;
+                height = info.height;
+            }
+        }
+
+        const storageKey = this.getS3Key(folder, filename);
+        await client.putObject(storageKey, buffer, {
+            contentType: file.mimetype,
+            cacheControl: IMMUTABLE_CACHE_CONTROL,
+        });
+
+        if (VARIANT_SOURCE_TYPES.includes(file.mimetype)) {
+            try {
+                thumbnails = await this.createVariants(file.buffer, { filename, width }, async (variantName, data, format) => {
+                    const variantKey = this.getS3Key(folder, variantName);
+                    await client.putObject(variantKey, data, {
+                        contentType: VARIANT_CONTENT_TYPES[format],
+                        cacheControl: IMMUTABLE_CACHE_CONTROL,
+                    });
+                    return { url: this.getS3Url(variantKey), storageKey: variantKey };
+                });
+            } catch (error) {
+                // The original is already stored; pages fall back to it without a srcset
+                console.warn(`⚠️ Failed to generate image variants for ${filename}: ${error.message}`);
+            }
+        }
+
+        return {
+            filename,
+            path: storageKey,
+            url: this.getS3Url(storageKey),
+            storageProvider: 's3',
+            storageKey,
+            width,
+            height,
+            thumbnails,
+        };
+    }
+
     async uploadToLocal(file, filename, folder) {
         const uploadDir = path.join(this.getLocalUploadRoot(), folder);
 
@@ -190,6 +433,7 @@ class StorageService {
 
         const filepath = path.join(uploadDir, filename);
         let width, height;
+        let thumbnails = {};
 
         // Process image
         if (file.mimetype.startsWith('image/')) {
@@ -207,6 +451,15 @@ class StorageService {
             } else {
                 await fs.promises.writeFile(filepath, file.buffer);
             }
+
+            if (VARIANT_SOURCE_TYPES.includes(file.mimetype)) {
+                try {
+                    thumbnails = await this.createLocalVariants(file.buffer, { uploadDir, folder, filename, width });
+                } catch (error) {
+                    // The original is already stored; pages fall back to it without a srcset
+                    console.warn(`⚠️ Failed to generate image variants for ${filename}: ${error.message}`);
+                }
+            }
         } else {
             await fs.promises.writeFile(filepath, file.buffer);
         }
@@ -222,7 +475,7 @@ class StorageService {
             storageKey: relativePath,
             width,
             height,
-            thumbnails: {},
+            thumbnails,
         };
     }
 
@@ -236,6 +489,12 @@ class StorageService {
             } catch (error) {
                 console.error('Error deleting from Cloudinary:', error);
             }
+        } else if (provider === 's3' && !storageKey.startsWith('/')) {
+            try {
+                await this.deleteS3Object(storageKey);
+            } catch (error) {
+                console.error('Error deleting from S3:', error);
+            }
         } else {
             // Local delete
             const normalizedKey = storageKey.startsWith('/') ? storageKey.slice(1) : storageKey;
@@ -243,9 +502,83 @@ class StorageService {
             if (fs.existsSync(filepath)) {
                 fs.unlinkSync(filepath);
             }
+            this.deleteLocalVariants(filepath);
+        }
+    }
+
+    deleteLocalVariants(filepath) {
+        const dir = path.dirname(filepath);
+        const prefix = `${path.basename(filepath).replace(/\.[^/.]+$/, '')}-`;
+        if (!fs.existsSync(dir)) return;
+
+        for (const name of fs.readdirSync(dir)) {
+            if (name.startsWith(prefix) && VARIANT_FILE_PATTERN.test(name)) {
+                fs.unlinkSync(path.join(dir, name));
+            }
+        }
+    }
+
+    async deleteS3Object(storageKey) {
+        const client = this.getS3Client();
+        const prefix = `${storageKey.replace(/\.[^/.]+$/, '')}-`;
+        const variantKeys = (await client.listKeys(prefix))
+            .filter((key) => VARIANT_FILE_PATTERN.test(key));
+
+        for (const key of [storageKey, ...variantKeys]) {
+            await client.deleteObject(key);
         }
     }
 
+    /**
+     * URL that can read a stored file right now. S3 objects get a presigned
+     * URL (private buckets); other providers return their regular URL.
+     *
+     * @param {string} storageKey
+     * @param {string} [providerOverride]
+     * @param {{ expiresIn?: number }} [options] - expiresIn in seconds
+     */
+    getSignedUrl(storageKey, providerOverride = this.provider, { expiresIn } = {}) {
+        if (!storageKey) return null;
+        const provider = (providerOverride || this.provider || 'local').toLowerCase();
+
+        if (provider === 's3' && !storageKey.startsWith('/')) {
+            return this.getS3Client().presignGetUrl(storageKey, {
+                expiresIn: expiresIn || config.storage?.s3?.signedUrlTtlSeconds,
+            });
+        }
+
+        if (provider === 'cloudinary' && !storageKey.startsWith('/')) {
+            return cloudinary.url(storageKey, { secure: true, sign_url: true });
+        }
+
+        return `/uploads${storageKey.startsWith('/') ? storageKey : `/${storageKey}`}`;
+    }
+
+    /**
+     * Read a stored original back into memory (used when moving media between providers).
+     *
+     * @param {{ storageKey: string, storageProvider: string, url: string }} media
+     * @returns {Promise<Buffer>}
+     */
+    async read({ storageKey, storageProvider, url }) {
+        const provider = (storageProvider || 'local').toLowerCase();
+
+        if (provider === 's3' && storageKey && !storageKey.startsWith('/')) {
+            return this.getS3Client().getObject(storageKey);
+        }
+
+        if (provider === 'cloudinary' && storageKey && !storageKey.startsWith('/')) {
+            const response = await fetch(url, { signal: AbortSignal.timeout(30000) });
+            if (!response.ok) {
+                throw new Error(`Failed to download ${url}: ${response.status}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        }
+
+        const normalizedKey = (storageKey || '').replace(/^\/+/, '');
+        return fs.promises.readFile(path.join(this.getLocalUploadRoot(), normalizedKey));
+    }
+
     validateFile(file) {
         const errors = [];
         const allowedTypes = config.upload.allowedMimeTypes || [
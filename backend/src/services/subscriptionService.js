@@ -0,0 +1,295 @@
+import { Subscription, getSubscriptionPlans } from '../models/index.js';
+import cacheService from './cacheService.js';
+import { getPaymentProvider } from './payments/index.js';
+import config from '../config/index.js';
+import { isGatedArticle, buildContentPreview } from '../utils/paywall.js';
+import { AppError, BadRequestError, NotFoundError } from '../utils/errors.js';
+
+const ENTITLEMENTS_TTL = 300; // 5 min (dropped on every subscription change)
+const METER_TTL = 32 * 24 * 60 * 60; // Outlives the calendar month it counts
+const STAFF_ROLES = ['admin', 'editor', 'writer', 'translator'];
+
+const currentPeriod = (now = new Date()) => `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+const FREE_ENTITLEMENTS = Object.freeze({
+  plan: 'free',
+  status: 'active',
+  adFree: false,
+  premiumArticles: false,
+});
+
+/**
+ * Subscription Service
+ * Plans, checkout through the configured payment provider, the metered
+ * paywall for articles and ad-free entitlements.
+ */
+class SubscriptionService {
+  entitlementsKey(userId) {
+    return cacheService.key('subscription', userId.toString());
+  }
+
+  meterKey(readerKey, now = new Date()) {
+    return cacheService.key('meter', currentPeriod(now), readerKey);
+  }
+
+  async invalidate(userId) {
+    return cacheService.del(this.entitlementsKey(userId));
+  }
+
+  getPlans() {
+    return Object.entries(getSubscriptionPlans()).map(([id, plan]) => ({ id, ...plan }));
+  }
+
+  /**
+   * Subscription for a user, downgrading lapsed trials and expired terms on read.
+   */
+  async getForUser(userId, now = new Date()) {
+    const subscription = await Subscription.findOne({ userId });
+    if (!subscription) return null;
+
+    const trialEnded = subscription.status === 'trial' && subscription.trial?.endDate && subscription.trial.endDate <= now;
+    const termEnded = subscription.status === 'cancelled' && subscription.endDate && subscription.endDate <= now;
+    if (trialEnded || termEnded) {
+      const freePlan = getSubscriptionPlans().free;
+      subscription.plan = 'free';
+      subscription.status = trialEnded ? 'active' : 'expired';
+      subscription.trial.isActive = false;
+      subscription.features = { ...freePlan.features };
+      subscription.limits.articlesPerMonth = freePlan.articlesPerMonth;
+      await subscription.save();
+      await this.invalidate(userId);
+    }
+
+    return subscription;
+  }
+
+  async getEntitlements(userId) {
+    if (!userId) return FREE_ENTITLEMENTS;
+
+    const key = this.entitlementsKey(userId);
+    const cached = await cacheService.get(key);
+    if (cached) return cached;
+
+    const subscription = await this.getForUser(userId);
+    const entitlements = subscription?.isActive
+      ? {
+        plan: subscription.plan,
+        status: subscription.status,
+        adFree: Boolean(subscription.features?.adFree),
+        premiumArticles: Boolean(subscription.features?.premiumArticles),
+      }
+      : FREE_ENTITLEMENTS;
+
+    await cacheService.set(key, entitlements, ENTITLEMENTS_TTL);
+    return entitlements;
+  }
+
+  async isAdFree(userId) {
+    if (!userId) return false;
+    try {
+      const entitlements = await this.getEntitlements(userId);
+      return entitlements.adFree;
+    } catch (error) {
+      console.error('Failed to load subscription entitlements:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Decide whether a reader may see the full article, recording a metered read
+   * when it is allowed. Readers are identified by user id or, when signed out,
+   * by their session cookie.
+   *
+   * @returns {Promise<{ allowed: boolean, reason?: string, limit?: number, remaining?: number }>}
+   */
+  async checkArticleAccess(article, { user = null, readerId = '' } = {}) {
+    if (!isGatedArticle(article)) {
+      return { allowed: true };
+    }
+
+    const authorId = article.author?._id || article.author;
+    if (user && (STAFF_ROLES.includes(user.role) || authorId?.toString() === user._id.toString())) {
+      return { allowed: true };
+    }
+
+    const subscription = user ? await this.getForUser(user._id) : null;
+
+    if (article.accessLevel === 'premium') {
+      return subscription?.canAccessArticle(article)
+        ? { allowed: true }
+        : { allowed: false, reason: 'premium_required' };
+    }
+
+    const unlimited = subscription
+      && ((subscription.plan !== 'free' && subscription.isActive) || subscription.isTrialActive);
+    if (unlimited) {
+      return { allowed: true };
+    }
+
+    const readerKey = user ? `user:${user._id}` : (readerId ? `session:${readerId}` : '');
+    if (!readerKey) {
+      return { allowed: false, reason: 'meter_exhausted', limit: 0, remaining: 0 };
+    }
+
+    // Signed-in readers without a plan and lapsed paid plans get the free quota
+    let limit = user ? getSubscriptionPlans().free.articlesPerMonth : config.paywall.anonymousArticlesPerMonth;
+    if (subscription?.plan === 'free') {
+      limit = subscription.limits.articlesPerMonth;
+    }
+    if (limit < 0) {
+      return { allowed: true };
+    }
+
+    const meterKey = this.meterKey(readerKey);
+    const readArticles = (await cacheService.get(meterKey)) || [];
+    const articleId = article._id.toString();
+    if (subscription) {
+      subscription.resetMonthlyLimitIfDue();
+    }
+    const used = subscription ? subscription.limits.currentArticlesRead : readArticles.length;
+
+    // Re-reading an article already counted this month is always allowed
+    if (readArticles.includes(articleId)) {
+      return { allowed: true, limit, remaining: Math.max(0, limit - used) };
+    }
+
+    if (used >= limit) {
+      return { allowed: false, reason: 'meter_exhausted', limit, remaining: 0 };
+    }
+
+    await cacheService.set(meterKey, [...readArticles, articleId], METER_TTL);
+    if (subscription) {
+      await subscription.incrementArticleRead();
+    }
+
+    return { allowed: true, limit, remaining: Math.max(0, limit - used - 1) };
+  }
+
+  /**
+   * Truncate a (lean) article to its preview when access was denied.
+   */
+  applyPaywall(article, access) {
+    if (access.allowed) {
+      return access.limit !== undefined
+        ? { ...article, paywall: { locked: false, limit: access.limit, remaining: access.remaining } }
+        : article;
+    }
+
+    return {
+      ...article,
+      content: buildContentPreview(article.content, config.paywall.previewBlocks),
+      paywall: {
+        locked: true,
+        reason: access.reason,
+        limit: access.limit ?? null,
+        remaining: 0,
+      },
+    };
+  }
+
+  /**
+   * Start a checkout for a paid plan. Providers that settle immediately
+   * (the fake provider) activate the subscription right away.
+   */
+  async startCheckout(user, { plan, interval = 'monthly' }) {
+    const provider = getPaymentProvider();
+    if (!provider) {
+      throw new AppError('Payments are not configured', 503);
+    }
+
+    const planConfig = getSubscriptionPlans()[plan];
+    if (!planConfig || plan === 'free') {
+      throw new BadRequestError('Invalid plan');
+    }
+
+    const subscription = await Subscription.getOrCreate(user._id);
+    const amount = interval === 'yearly' ? planConfig.yearlyPrice : planConfig.monthlyPrice;
+    const checkout = await provider.createCheckout({
+      user,
+      subscription,
+      plan,
+      interval,
+      amount,
+      currency: subscription.billing.currency || 'USD',
+    });
+
+    subscription.paymentProvider = provider.name;
+    subscription.providerReference = checkout.reference;
+    if (checkout.status === 'completed') {
+      await this.activate(subscription, { plan, interval });
+    } else {
+      await subscription.save();
+    }
+
+    return { subscription, checkout };
+  }
+
+  async activate(subscription, { plan, interval = 'monthly' }) {
+    await subscription.upgradePlan(plan, interval);
+    subscription.billing.lastBillingDate = new Date();
+    subscription.trial.isActive = false;
+    subscription.autoRenew = true;
+    subscription.cancelledAt = null;
+    subscription.cancelReason = null;
+    subscription.endDate = null;
+    await subscription.save();
+    await this.invalidate(subscription.userId);
+    return subscription;
+  }
+
+  /**
+   * Cancel at the end of the paid term; access continues until then.
+   */
+  async cancel(userId, reason = null) {
+    const subscription = await this.getForUser(userId);
+    if (!subscription || subscription.plan === 'free' || !subscription.isActive) {
+      return null;
+    }
+
+    const provider = getPaymentProvider(subscription.paymentProvider);
+    await provider?.cancel(subscription);
+
+    subscription.endDate = subscription.billing.nextBillingDate || new Date();
+    await subscription.cancel(reason);
+    await this.invalidate(userId);
+    return subscription;
+  }
+
+  async handleWebhook(providerName, req) {
+    // Only the configured provider may post webhooks
+    const provider = providerName === config.payments.provider ? getPaymentProvider(providerName) : null;
+    if (!provider) {
+      throw new NotFoundError('Unknown payment provider');
+    }
+
+    const event = await provider.parseWebhook(req);
+    const subscription = await Subscription.findOne({
+      paymentProvider: provider.name,
+      providerReference: event.reference,
+    });
+    if (!subscription) {
+      return { handled: false };
+    }
+
+    if (event.type === 'payment_succeeded') {
+      const plan = event.plan || subscription.plan;
+      await this.activate(subscription, {
+        plan: plan === 'free' ? 'basic' : plan,
+        interval: event.interval || subscription.billing.interval,
+      });
+    } else if (event.type === 'subscription_cancelled') {
+      subscription.endDate = new Date();
+      await subscription.cancel('Cancelled at payment provider');
+      await this.invalidate(subscription.userId);
+    } else if (event.type === 'payment_failed') {
+      subscription.status = 'paused';
+      await subscription.save();
+      await this.invalidate(subscription.userId);
+    }
+
+    return { handled: true, type: event.type };
+  }
+}
+
+const subscriptionService = new SubscriptionService();
+export default subscriptionService;
@@ -0,0 +1,316 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import config from '../config/index.js';
+import { User, SiteSettings, SecurityAuditLog } from '../models/index.js';
+import { generateSecret, verifyTotp, buildOtpauthUrl } from '../utils/totp.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import sessionService from './sessionService.js';
+import logger from './loggerService.js';
+
+// Roles the "require two-factor for staff" policy applies to
+export const TWO_FACTOR_STAFF_ROLES = Object.freeze(['admin', 'editor']);
+
+const CHALLENGE_PURPOSE = '2fa-challenge';
+const MAX_TRUSTED_DEVICES = 10;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const deriveKey = (label) => crypto
+  .createHash('sha256')
+  .update(`${config.twoFactor.encryptionKey || config.jwt.secret}:${label}`)
+  .digest();
+
+// Challenge tokens get their own signing key: access tokens are verified
+// without a purpose check, so sharing jwt.secret would let one pass as the other.
+const challengeKey = () => deriveKey('two-factor-challenge');
+
+/**
+ * AES-256-GCM, stored as "iv.tag.ciphertext" (base64url).
+ */
+export const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey('two-factor-secret'), iv);
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored || '').split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey('two-factor-secret'), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes read "a1b2c-d3e4f"; case, spaces and dashes are ignored when checking
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const hashRecoveryCode = (code) => crypto
+  .createHmac('sha256', deriveKey('two-factor-recovery'))
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+const hashDeviceToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateRecoveryCodes = (count) => Array.from({ length: count }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment, second-step verification, recovery codes, trusted devices
+ * and the security audit log.
+ */
+class TwoFactorService {
+  /**
+   * Whether site policy forces this user to use two-factor authentication.
+   */
+  async isRequiredFor(user) {
+    if (!TWO_FACTOR_STAFF_ROLES.includes(user?.role)) return false;
+    const settings = await SiteSettings.getSettings();
+    return Boolean(settings.security?.requireStaffTwoFactor);
+  }
+
+  /**
+   * Short-lived token proving the password step passed. `setup` marks a user
+   * who must enroll before they can finish signing in.
+   */
+  createChallenge(user, { setup = false } = {}) {
+    return jwt.sign(
+      { id: String(user._id), purpose: CHALLENGE_PURPOSE, setup },
+      challengeKey(),
+      { expiresIn: `${config.twoFactor.challengeMinutes}m` }
+    );
+  }
+
+  /**
+   * @returns {{ id: string, setup: boolean } | null}
+   */
+  verifyChallenge(token) {
+    if (!token) return null;
+    try {
+      const decoded = jwt.verify(token, challengeKey());
+      return decoded.purpose === CHALLENGE_PURPOSE ? decoded : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Start (or restart) enrollment: store a pending secret and return what the
+   * authenticator app needs.
+   */
+  async beginEnrollment(userId) {
+    const user = await User.findById(userId);
+    if (!user) throw new NotFoundError('User not found');
+    if (user.twoFactor?.enabled) {
+      throw new BadRequestError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+    const otpauthUrl = buildOtpauthUrl({ secret, accountName: user.email, issuer: config.twoFactor.issuer });
+    const svg = await QRCode.toString(otpauthUrl, { type: 'svg', errorCorrectionLevel: 'M' });
+    return { secret, otpauthUrl, qrCode: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}` };
+  }
+
+  /**
+   * Finish enrollment with a code from the app. Returns the plain recovery
+   * codes; this is the only time they are available.
+   */
+  async confirmEnrollment(userId, code, context = {}) {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    if (!user) throw new NotFoundError('User not found');
+    if (user.twoFactor?.enabled) {
+      throw new BadRequestError('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw new BadRequestError('Start two-factor setup first');
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      throw new BadRequestError('Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes(config.twoFactor.recoveryCodeCount);
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': encryptSecret(secret),
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date(),
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    });
+
+    await this.audit('2fa_enabled', { actor: user._id, subject: user._id, context });
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check a second-step code: a TOTP code, or failing that a recovery code,
+   * which is then used up. Both are claimed atomically so a code works once.
+   *
+   * @returns {Promise<{ method: 'totp' | 'recovery_code', recoveryCodesRemaining?: number } | null>}
+   */
+  async verifyCode(userId, code, context = {}) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+    if (step !== null) {
+      const claimed = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }],
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return claimed.modifiedCount ? { method: 'totp' } : null;
+    }
+
+    const hash = hashRecoveryCode(code);
+    if (!normalizeRecoveryCode(code) || !(user.twoFactor.recoveryCodes || []).includes(hash)) return null;
+
+    const claimed = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (!claimed.modifiedCount) return null;
+
+    const recoveryCodesRemaining = user.twoFactor.recoveryCodes.length - 1;
+    await this.audit('2fa_recovery_code_used', {
+      actor: user._id,
+      subject: user._id,
+      context,
+      metadata: { recoveryCodesRemaining },
+    });
+    return { method: 'recovery_code', recoveryCodesRemaining };
+  }
+
+  /**
+   * Replace all recovery codes. Requires a current code.
+   */
+  async regenerateRecoveryCodes(userId, code, context = {}) {
+    if (!(await this.verifyCode(userId, code, context))) {
+      throw new BadRequestError('Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes(config.twoFactor.recoveryCodeCount);
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+    );
+
+    await this.audit('2fa_recovery_codes_regenerated', { actor: userId, subject: userId, context });
+    return { recoveryCodes };
+  }
+
+  /**
+   * Turn two-factor off for yourself. Requires a current code and is refused
+   * while site policy requires it for your role.
+   */
+  async disable(user, code, context = {}) {
+    if (await this.isRequiredFor(user)) {
+      throw new BadRequestError('Two-factor authentication is required for your role');
+    }
+    if (!(await this.verifyCode(user._id, code, context))) {
+      throw new BadRequestError('Invalid verification code');
+    }
+
+    await this.clear(user._id);
+    await this.audit('2fa_disabled', { actor: user._id, subject: user._id, context });
+  }
+
+  /**
+   * Admin reset for a user who lost their device. They enroll again on next sign-in.
+   */
+  async reset(userId, { actor, reason = '', context = {} }) {
+    const user = await User.findById(userId);
+    if (!user) throw new NotFoundError('User not found');
+    if (!user.twoFactor?.enabled) {
+      throw new BadRequestError('Two-factor authentication is not enabled for this user');
+    }
+
+    await this.clear(user._id);
+    // Existing sessions were opened with the old factor
+    await sessionService.revokeAllForUser(user._id, { reason: '2fa_reset', revokedBy: actor });
+    await this.audit('2fa_reset', { actor, subject: user._id, reason, context });
+    return user;
+  }
+
+  async clear(userId) {
+    await User.updateOne({ _id: userId }, {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null, trustedDevices: [] },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+      },
+    });
+  }
+
+  async getStatus(user) {
+    const stored = await User.findById(user._id).select('+twoFactor.recoveryCodes +trustedDevices');
+    const now = new Date();
+    return {
+      enabled: Boolean(stored?.twoFactor?.enabled),
+      enabledAt: stored?.twoFactor?.enabledAt || null,
+      required: await this.isRequiredFor(user),
+      recoveryCodesRemaining: stored?.twoFactor?.recoveryCodes?.length || 0,
+      trustedDevices: (stored?.trustedDevices || []).filter((device) => device.expiresAt > now).length,
+    };
+  }
+
+  /**
+   * Remember this browser so the second step is skipped until `expiresAt`.
+   * Returns the raw token for the cookie; only its hash is stored.
+   */
+  async trustDevice(userId, { label = '', now = new Date() } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + config.twoFactor.trustedDeviceDays * 24 * 60 * 60 * 1000);
+
+    const user = await User.findById(userId).select('+trustedDevices');
+    const devices = (user?.trustedDevices || [])
+      .filter((device) => device.expiresAt > now)
+      .slice(-(MAX_TRUSTED_DEVICES - 1));
+    devices.push({ tokenHash: hashDeviceToken(token), label: label.slice(0, 200), expiresAt });
+
+    await User.updateOne({ _id: userId }, { $set: { trustedDevices: devices } });
+    return { token, expiresAt };
+  }
+
+  async isTrustedDevice(userId, token, now = new Date()) {
+    if (!token) return false;
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        trustedDevices: { $elemMatch: { tokenHash: hashDeviceToken(token), expiresAt: { $gt: now } } },
+      },
+      { $set: { 'trustedDevices.$.lastUsedAt': now } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async audit(action, { actor = null, subject, reason = '', context = {}, metadata = {} }) {
+    logger.logSecurity(`Two-factor: ${action}`, { actor, subject, ip: context.ip });
+    return SecurityAuditLog.create({
+      action,
+      actor,
+      subject,
+      reason,
+      ip: context.ip || '',
+      userAgent: context.userAgent || '',
+      metadata,
+    });
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+export default twoFactorService;
@@ -0,0 +1,368 @@
+import crypto from 'crypto';
+import { Webhook, WebhookDelivery } from '../models/index.js';
+import config from '../config/index.js';
+import { safeFetch, assertPublicUrl } from '../utils/safeFetch.js';
+import { resolvePublicSiteUrl, resolveUrl } from '../utils/siteUrl.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import logger from './loggerService.js';
+
+const SECRET_PREFIX = 'whsec_';
+const BATCH_SIZE = 50;
+const ATTEMPT_LOG_LIMIT = 10;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+const USER_AGENT = 'BassacPost-Webhooks/1.0';
+
+export const generateWebhookSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Signature sent in `X-Webhook-Signature`. Receivers recompute it over
+ * `${X-Webhook-Timestamp}.${raw body}` and compare in constant time.
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Delay before the next attempt after `attempts` failures: doubles each time, capped.
+ */
+export const getRetryDelay = (attempts) => Math.min(
+  config.webhooks.retryBaseDelayMs * 2 ** Math.max(attempts - 1, 0),
+  config.webhooks.retryMaxDelayMs
+);
+
+const refId = (value) => String(value?._id || value || '') || null;
+
+/**
+ * Public fields of an article for event payloads.
+ */
+export const toArticleWebhookData = (article) => ({
+  id: refId(article._id),
+  title: article.title,
+  slug: article.slug,
+  excerpt: article.excerpt || '',
+  language: article.language,
+  url: resolveUrl(resolvePublicSiteUrl(), `/article/${article.slug}`),
+  featuredImage: article.featuredImage || null,
+  category: refId(article.category),
+  author: refId(article.author),
+  publishedAt: article.publishedAt || null,
+});
+
+/**
+ * Webhook Service
+ * Subscriptions, the signed delivery queue and its retries.
+ */
+class WebhookService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  assertDeliverableUrl(url) {
+    return assertPublicUrl(url, { allowPrivate: config.webhooks.allowPrivateUrls }).toString();
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it and attempt the
+   * deliveries straight away; failures are left to the retry job. Never throws,
+   * so callers can emit after their own work has been saved.
+   *
+   * @returns {Promise<Array>} The queued deliveries
+   */
+  async emit(event, data) {
+    try {
+      const webhooks = await Webhook.find({ active: true, events: event }).select('_id').lean();
+      if (!webhooks.length) return [];
+
+      const eventId = crypto.randomUUID();
+      const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+      const deliveries = await WebhookDelivery.insertMany(
+        webhooks.map((webhook) => ({ webhook: webhook._id, event, eventId, payload }))
+      );
+
+      deliveries.forEach((delivery) => {
+        this.attempt(delivery._id).catch((error) => {
+          logger.error('Webhook delivery attempt failed', { deliveryId: delivery._id, error });
+        });
+      });
+      return deliveries;
+    } catch (error) {
+      logger.error('Failed to queue webhook event', { event, error });
+      return [];
+    }
+  }
+
+  /**
+   * POST the delivery's payload once. Resolves with the outcome; never throws.
+   */
+  async send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+      const response = await safeFetch(webhook.url, {
+        method: 'POST',
+        body,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': USER_AGENT,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body),
+        },
+        timeoutMs: config.webhooks.timeoutMs,
+        maxBytes: MAX_RESPONSE_BYTES,
+        allowPrivate: config.webhooks.allowPrivateUrls,
+      });
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        ok,
+        statusCode: response.status,
+        error: ok ? '' : `Receiver responded with HTTP ${response.status}`,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.message, durationMs: Date.now() - startedAt };
+    }
+  }
+
+  /**
+   * Make one attempt at a due delivery. The delivery is claimed first by
+   * pushing `nextAttemptAt` past the request deadline, so the retry job and
+   * other API instances leave it alone while the request is in flight.
+   *
+   * @returns {Promise<object|null>} The updated delivery, or null if it was not due
+   */
+  async attempt(deliveryId, now = new Date()) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + config.webhooks.timeoutMs * 2) } },
+      { new: true }
+    );
+    if (!delivery) return null;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    let result;
+    if (!webhook) {
+      result = { ok: false, statusCode: null, error: 'Webhook was deleted', durationMs: null, final: true };
+    } else if (!webhook.active) {
+      result = { ok: false, statusCode: null, error: 'Webhook is disabled', durationMs: null, final: true };
+    } else {
+      result = await this.send(webhook, delivery);
+    }
+
+    const attempts = delivery.attempts + 1;
+    const finishedAt = new Date();
+    const update = {
+      attempts,
+      lastStatusCode: result.statusCode,
+      lastError: result.error,
+    };
+    if (result.ok) {
+      update.status = 'succeeded';
+      update.deliveredAt = finishedAt;
+    } else if (result.final || attempts >= config.webhooks.maxAttempts) {
+      update.status = 'dead';
+    } else {
+      update.nextAttemptAt = new Date(finishedAt.getTime() + getRetryDelay(attempts));
+    }
+
+    const updated = await WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      {
+        $set: update,
+        $push: {
+          attemptLog: {
+            $each: [{
+              at: finishedAt,
+              statusCode: result.statusCode,
+              error: result.error,
+              durationMs: result.durationMs,
+            }],
+            $slice: -ATTEMPT_LOG_LIMIT,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (webhook) {
+      await Webhook.updateOne(
+        { _id: webhook._id },
+        { $set: { lastDeliveryAt: finishedAt, lastDeliveryStatus: result.ok ? 'succeeded' : 'failed' } }
+      );
+    }
+    if (update.status === 'dead') {
+      logger.warn('Webhook delivery moved to dead-letter', {
+        deliveryId: delivery._id,
+        webhookId: delivery.webhook,
+        event: delivery.event,
+        attempts,
+        error: result.error,
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Retry pending deliveries whose next attempt is due.
+   */
+  async processDue(now = new Date()) {
+    if (this.isRunning) {
+      return { attempted: 0, succeeded: 0, dead: 0, skipped: true };
+    }
+
+    this.isRunning = true;
+    try {
+      const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .select('_id')
+        .sort({ nextAttemptAt: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+
+      const result = { attempted: 0, succeeded: 0, dead: 0, skipped: false };
+      for (const { _id } of due) {
+        const delivery = await this.attempt(_id, now);
+        if (!delivery) continue;
+        result.attempted += 1;
+        if (delivery.status === 'succeeded') result.succeeded += 1;
+        if (delivery.status === 'dead') result.dead += 1;
+      }
+      return result;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Put a finished (usually dead) delivery back in the queue with a fresh set
+   * of attempts and try it immediately.
+   */
+  async redeliver(id) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: id, status: { $ne: 'pending' } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), deliveredAt: null } },
+      { new: true }
+    );
+    if (!delivery) {
+      if (await WebhookDelivery.exists({ _id: id })) {
+        throw new BadRequestError('Delivery is already queued');
+      }
+      throw new NotFoundError('Delivery not found');
+    }
+
+    return (await this.attempt(delivery._id)) || delivery;
+  }
+
+  /**
+   * Send a `webhook.ping` event to one webhook, regardless of its event filter.
+   */
+  async ping(id, actor) {
+    const webhook = await Webhook.findById(id);
+    if (!webhook) throw new NotFoundError('Webhook not found');
+
+    const eventId = crypto.randomUUID();
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: 'webhook.ping',
+      eventId,
+      payload: {
+        id: eventId,
+        event: 'webhook.ping',
+        createdAt: new Date().toISOString(),
+        data: { webhook: { id: String(webhook._id), name: webhook.name }, triggeredBy: refId(actor) },
+      },
+    });
+    return (await this.attempt(delivery._id)) || delivery;
+  }
+
+  /**
+   * Create a webhook. The signing secret is returned here and on rotation only.
+   *
+   * @returns {Promise<{ webhook: object, secret: string }>}
+   */
+  async create(data, createdBy) {
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      name: data.name,
+      description: data.description,
+      url: this.assertDeliverableUrl(data.url),
+      events: data.events,
+      active: data.active ?? true,
+      secret,
+      createdBy: createdBy._id,
+    });
+
+    logger.logSecurity('Webhook created', { webhookId: webhook._id, createdBy: createdBy._id, url: webhook.url });
+    webhook.secret = undefined;
+    return { webhook, secret };
+  }
+
+  async list() {
+    const [webhooks, counts] = await Promise.all([
+      Webhook.find().sort({ createdAt: -1 }).populate('createdBy', 'firstName lastName email').lean(),
+      WebhookDelivery.aggregate([
+        { $match: { status: { $in: ['pending', 'dead'] } } },
+        { $group: { _id: { webhook: '$webhook', status: '$status' }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const stats = new Map();
+    counts.forEach(({ _id, count }) => {
+      const key = String(_id.webhook);
+      stats.set(key, { ...(stats.get(key) || { pending: 0, dead: 0 }), [_id.status]: count });
+    });
+    return webhooks.map((webhook) => ({
+      ...webhook,
+      deliveryStats: stats.get(String(webhook._id)) || { pending: 0, dead: 0 },
+    }));
+  }
+
+  async update(id, data) {
+    const webhook = await Webhook.findById(id);
+    if (!webhook) throw new NotFoundError('Webhook not found');
+
+    if (data.url !== undefined) webhook.url = this.assertDeliverableUrl(data.url);
+    ['name', 'description', 'events', 'active'].forEach((field) => {
+      if (data[field] !== undefined) webhook[field] = data[field];
+    });
+    await webhook.save();
+    return webhook;
+  }
+
+  async rotateSecret(id, actor) {
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.findByIdAndUpdate(id, { $set: { secret } }, { new: true });
+    if (!webhook) throw new NotFoundError('Webhook not found');
+
+    logger.logSecurity('Webhook secret rotated', { webhookId: webhook._id, rotatedBy: actor._id });
+    return { webhook, secret };
+  }
+
+  async remove(id, actor) {
+    const webhook = await Webhook.findByIdAndDelete(id);
+    if (!webhook) throw new NotFoundError('Webhook not found');
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    logger.logSecurity('Webhook deleted', { webhookId: webhook._id, deletedBy: actor._id });
+    return webhook;
+  }
+
+  async getDeliveries(id, { status, skip, limit }) {
+    const filter = { webhook: id };
+    if (status) filter.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+    return { deliveries, total };
+  }
+}
+
+const webhookService = new WebhookService();
+export default webhookService;
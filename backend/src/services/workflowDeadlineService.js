@@ -0,0 +1,148 @@
+import { Article, User } from '../models/index.js';
+import config from '../config/index.js';
+import notificationService from './notificationService.js';
+import telegramService from './telegramService.js';
+import { WORKFLOW_STAGES, OPEN_ASSIGNMENT_STATES, buildWorkflowArticleLink } from '../utils/articleWorkflow.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Who works each stage, and who is pinged when it slips
+const STAGE_ROUTING = {
+  [WORKFLOW_STAGES.SOURCE_REVIEW]: { label: 'Source Review', owners: ['editor'], escalateTo: 'admin' },
+  [WORKFLOW_STAGES.TRANSLATION]: { label: 'Translation', owners: ['translator'], escalateTo: 'editor' },
+  [WORKFLOW_STAGES.TRANSLATION_REVIEW]: { label: 'Translation Review', owners: ['editor'], escalateTo: 'admin' },
+  // Nobody sits above admin; the admin group itself is pinged
+  [WORKFLOW_STAGES.FINAL_REVIEW]: { label: 'Final Review', owners: ['admin'], escalateTo: 'admin' },
+};
+
+/**
+ * Workflow Deadline Service
+ * Chases workflow items past their stage deadline: first an in-app reminder
+ * to whoever owns the stage, then a Telegram ping to the next role up.
+ * Each step is claimed atomically so overlapping runs never double-send.
+ */
+class WorkflowDeadlineService {
+  async getReminderRecipients(article, stage) {
+    if (stage === WORKFLOW_STAGES.TRANSLATION) {
+      const translators = this.getAssignedTranslators(article.workflow);
+      if (translators.length) return translators;
+    }
+
+    const users = await User.find({ role: { $in: STAGE_ROUTING[stage].owners }, status: 'active' }).select('_id');
+    return users.map((user) => user._id);
+  }
+
+  // Translators holding the languages still on their desk; empty when any of them is open to all
+  getAssignedTranslators(workflow = {}) {
+    const assignments = workflow.translationAssignments || [];
+    if (!assignments.length) {
+      return workflow.assignedTranslator ? [workflow.assignedTranslator] : [];
+    }
+
+    const open = assignments.filter((assignment) => OPEN_ASSIGNMENT_STATES.includes(assignment.state));
+    if (open.some((assignment) => !assignment.translator)) return [];
+    return [...new Map(open.map((assignment) => [String(assignment.translator), assignment.translator])).values()];
+  }
+
+  // Mark a step as sent for the current stage; false when another run got there first
+  async claim(article, field, now) {
+    const result = await Article.updateOne(
+      {
+        _id: article._id,
+        'workflow.sla.stage': article.workflow.sla.stage,
+        'workflow.sla.enteredAt': article.workflow.sla.enteredAt,
+        [`workflow.sla.${field}`]: null,
+      },
+      { $set: { [`workflow.sla.${field}`]: now } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async remind(article, now) {
+    const { stage, dueAt } = article.workflow.sla;
+    if (!(await this.claim(article, 'remindedAt', now))) {
+      return false;
+    }
+
+    const recipients = await this.getReminderRecipients(article, stage);
+    await notificationService.notifyWorkflowOverdue(article, recipients, {
+      stageLabel: STAGE_ROUTING[stage].label,
+      dueAt,
+    });
+    return true;
+  }
+
+  async escalate(article, now) {
+    const { stage, dueAt } = article.workflow.sla;
+    if (!(await this.claim(article, 'escalatedAt', now))) {
+      return false;
+    }
+
+    const overdueHours = Math.floor((now.getTime() - new Date(dueAt).getTime()) / HOUR_MS);
+    telegramService.sendWorkflowUpdateNonBlocking({
+      targetRole: STAGE_ROUTING[stage].escalateTo,
+      stage: `OVERDUE ${STAGE_ROUTING[stage].label} (+${overdueHours}h)`,
+      articleId: article._id.toString(),
+      title: article.title || '',
+      language: article.language || '',
+      submittedBy: 'Deadline monitor',
+      dueAt: new Date(dueAt).toISOString(),
+      link: buildWorkflowArticleLink(article._id),
+    });
+    return true;
+  }
+
+  /**
+   * Send reminders for newly overdue items and escalate items still waiting
+   * once the grace period after their reminder has passed.
+   *
+   * @returns {Promise<{ reminded: number, escalated: number }>}
+   */
+  async runEscalations(now = new Date()) {
+    const escalateBefore = new Date(now.getTime() - config.workflow.escalateAfterHours * HOUR_MS);
+    const select = 'title language workflow.sla workflow.assignedTranslator workflow.translationAssignments';
+    let reminded = 0;
+    let escalated = 0;
+
+    const dueForReminder = await Article.find({
+      status: 'pending',
+      'workflow.sla.dueAt': { $lte: now },
+      'workflow.sla.remindedAt': null,
+    })
+      .select(select)
+      .limit(BATCH_SIZE)
+      .lean();
+
+    for (const article of dueForReminder) {
+      try {
+        if (await this.remind(article, now)) reminded += 1;
+      } catch (error) {
+        console.error(`Failed to send overdue reminder for article ${article._id}:`, error.message);
+      }
+    }
+
+    // Owners get the grace period after their reminder before anyone above is pinged
+    const dueForEscalation = await Article.find({
+      status: 'pending',
+      'workflow.sla.remindedAt': { $lte: escalateBefore },
+      'workflow.sla.escalatedAt': null,
+    })
+      .select(select)
+      .limit(BATCH_SIZE)
+      .lean();
+
+    for (const article of dueForEscalation) {
+      try {
+        if (await this.escalate(article, now)) escalated += 1;
+      } catch (error) {
+        console.error(`Failed to escalate overdue article ${article._id}:`, error.message);
+      }
+    }
+
+    return { reminded, escalated };
+  }
+}
+
+const workflowDeadlineService = new WorkflowDeadlineService();
+export default workflowDeadlineService;
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+/**
+ * Statistics for ad A/B tests: CTR confidence intervals and significance
+ * tests between variants.
+ */
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Two-sided critical value for a confidence level, e.g. 0.95 -> 1.96
+export const zForConfidence = (confidence) => {
+  const target = 1 - (1 - confidence) / 2;
+  let low = 0;
+  let high = 10;
+  for (let i = 0; i < 60; i += 1) {
+    const mid = (low + high) / 2;
+    if (normalCdf(mid) < target) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Wilson score interval for a click-through rate. Unlike the normal
+ * approximation it stays inside [0, 1] and behaves with few clicks.
+ *
+ * @returns {{ low: number, high: number }} Proportions, not percentages
+ */
+export const wilsonInterval = (clicks, impressions, confidence = 0.95) => {
+  if (!impressions) return { low: 0, high: 0 };
+  const z = zForConfidence(confidence);
+  const p = clicks / impressions;
+  const z2 = z * z;
+  const denominator = 1 + z2 / impressions;
+  const center = (p + z2 / (2 * impressions)) / denominator;
+  const margin = (z / denominator) * Math.sqrt((p * (1 - p)) / impressions + z2 / (4 * impressions * impressions));
+  return {
+    low: Math.max(0, center - margin),
+    high: Math.min(1, center + margin),
+  };
+};
+
+/**
+ * Two-sided two-proportion z-test.
+ *
+ * @returns {number} p-value (1 when either side has no impressions)
+ */
+export const twoProportionPValue = (a, b) => {
+  if (!a.impressions || !b.impressions) return 1;
+  const pooled = (a.clicks + b.clicks) / (a.impressions + b.impressions);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.impressions + 1 / b.impressions));
+  if (!standardError) return 1;
+  const z = (a.clicks / a.impressions - b.clicks / b.impressions) / standardError;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+};
+
+/**
+ * Deterministic bucket in [0, 1) for a visitor within an experiment, so the
+ * same visitor keeps seeing the same variant.
+ */
+export const bucketFor = (experimentKey, visitorKey) => {
+  const digest = crypto.createHash('sha256').update(`${experimentKey}:${visitorKey}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+};
+
+/**
+ * Variant for a visitor in an `ab_test` collection. The same visitor always
+ * lands on the same ad; a promoted winner is served to everyone.
+ *
+ * @param {Object} collection - AdCollection with `_id` and `abTest`
+ * @param {Array} ads - Active ads of the collection
+ * @param {string|null} visitorKey - See `getVisitorKey`
+ */
+export const pickAbTestVariant = (collection, ads, visitorKey) => {
+  if (!ads.length) return null;
+
+  const winnerId = collection?.abTest?.winnerAdId?.toString();
+  const winner = winnerId && ads.find((ad) => ad._id.toString() === winnerId);
+  if (winner) return winner;
+
+  // Order by ID so adding or reordering ads doesn't reshuffle everyone
+  const variants = [...ads].sort((a, b) => a._id.toString().localeCompare(b._id.toString()));
+  const bucket = visitorKey ? bucketFor(collection._id.toString(), visitorKey) : Math.random();
+  return variants[Math.floor(bucket * variants.length)];
+};
+
+// Logged-in readers keep their variant across devices
+export const getVisitorKey = ({ userId, sessionId } = {}) => {
+  if (userId) return `user:${userId}`;
+  return sessionId ? `session:${sessionId}` : null;
+};
+
+export default {
+  normalCdf,
+  zForConfidence,
+  wilsonInterval,
+  twoProportionPValue,
+  bucketFor,
+  pickAbTestVariant,
+  getVisitorKey,
+};
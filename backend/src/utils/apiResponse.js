@@ -21,8 +21,8 @@ export const noContentResponse = (res) => {
   return res.status(204).send();
 };
 
-// Paginated response
-export const paginatedResponse = (res, data, pagination, message = 'Success') => {
+// Paginated response; `extra` adds top-level fields such as search facets
+export const paginatedResponse = (res, data, pagination, message = 'Success', extra = {}) => {
   return res.status(200).json({
     success: true,
     message,
@@ -35,6 +35,7 @@ export const paginatedResponse = (res, data, pagination, message = 'Success') =>
       hasNextPage: pagination.page < Math.ceil(pagination.total / pagination.limit),
       hasPrevPage: pagination.page > 1,
     },
+    ...extra,
   });
 };
 
@@ -0,0 +1,412 @@
+import config from '../config/index.js';
+
+/**
+ * Shared helpers for the article editorial workflow (state constants,
+ * workflow normalization and the audit trail).
+ */
+
+export const WORKFLOW_SOURCE_STATES = Object.freeze({
+    DRAFT: 'draft',
+    SUBMITTED: 'submitted',
+    APPROVED: 'approved',
+    CHANGES_REQUESTED: 'changes_requested',
+});
+
+export const WORKFLOW_TRANSLATION_STATES = Object.freeze({
+    NOT_REQUIRED: 'not_required',
+    IN_TRANSLATION: 'in_translation',
+    SUBMITTED: 'submitted',
+    APPROVED: 'approved',
+    CHANGES_REQUESTED: 'changes_requested',
+});
+
+export const WORKFLOW_ADMIN_STATES = Object.freeze({
+    NOT_READY: 'not_ready',
+    PENDING_FINAL_REVIEW: 'pending_final_review',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+});
+
+export const WORKFLOW_AUDIT_MAX_ITEMS = 300;
+
+// Per-language states on workflow.translationAssignments
+export const TRANSLATION_ASSIGNMENT_STATES = Object.freeze({
+    IN_TRANSLATION: 'in_translation',
+    SUBMITTED: 'submitted',
+    APPROVED: 'approved',
+    CHANGES_REQUESTED: 'changes_requested',
+});
+
+export const OPEN_ASSIGNMENT_STATES = [
+    TRANSLATION_ASSIGNMENT_STATES.IN_TRANSLATION,
+    TRANSLATION_ASSIGNMENT_STATES.CHANGES_REQUESTED,
+];
+
+// Queue stages that carry a deadline
+export const WORKFLOW_STAGES = Object.freeze({
+    SOURCE_REVIEW: 'sourceReview',
+    TRANSLATION: 'translation',
+    TRANSLATION_REVIEW: 'translationReview',
+    FINAL_REVIEW: 'finalReview',
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * The queue stage an article is waiting in, or null when nobody owes it work.
+ */
+export const resolveWorkflowStage = (article = {}) => {
+    const workflow = article?.workflow || {};
+    if (article?.status !== 'pending') {
+        return null;
+    }
+
+    const sourceState = workflow.sourceReviewState || WORKFLOW_SOURCE_STATES.SUBMITTED;
+    if (sourceState === WORKFLOW_SOURCE_STATES.SUBMITTED) {
+        return WORKFLOW_STAGES.SOURCE_REVIEW;
+    }
+    if (sourceState !== WORKFLOW_SOURCE_STATES.APPROVED) {
+        return null;
+    }
+
+    switch (workflow.translationState) {
+        case WORKFLOW_TRANSLATION_STATES.IN_TRANSLATION:
+        case WORKFLOW_TRANSLATION_STATES.CHANGES_REQUESTED:
+            return WORKFLOW_STAGES.TRANSLATION;
+        case WORKFLOW_TRANSLATION_STATES.SUBMITTED:
+            return WORKFLOW_STAGES.TRANSLATION_REVIEW;
+        case WORKFLOW_TRANSLATION_STATES.APPROVED:
+            return workflow.adminApprovalState === WORKFLOW_ADMIN_STATES.PENDING_FINAL_REVIEW
+                ? WORKFLOW_STAGES.FINAL_REVIEW
+                : null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Hours allowed for a stage: the category override when set, else the site default.
+ */
+export const getWorkflowSlaHours = (stage, categorySla = null) => {
+    const override = Number(categorySla?.[stage]);
+    if (Number.isFinite(override) && override > 0) {
+        return override;
+    }
+    return config.workflow.slaHours[stage] || 0;
+};
+
+/**
+ * Start the deadline clock for the stage the article just entered.
+ * Clears any reminder/escalation left over from the previous stage.
+ */
+export const startWorkflowStage = (workflow, stage, { categorySla = null, now = new Date() } = {}) => {
+    if (!workflow.dueDates) {
+        workflow.dueDates = {};
+    }
+
+    const hours = stage ? getWorkflowSlaHours(stage, categorySla) : 0;
+    const dueAt = hours ? new Date(now.getTime() + hours * HOUR_MS) : null;
+    if (stage) {
+        workflow.dueDates[stage] = dueAt;
+    }
+    workflow.sla = {
+        stage,
+        enteredAt: stage ? now : null,
+        dueAt,
+        remindedAt: null,
+        escalatedAt: null,
+    };
+    return workflow.sla;
+};
+
+// Stage entry time for records that predate the SLA clock
+const legacyStageEnteredAt = (workflow = {}, stage) => {
+    const timestamps = workflow.timestamps || {};
+    switch (stage) {
+        case WORKFLOW_STAGES.SOURCE_REVIEW:
+            return timestamps.sourceSubmittedAt;
+        case WORKFLOW_STAGES.TRANSLATION:
+            return workflow.translationState === WORKFLOW_TRANSLATION_STATES.CHANGES_REQUESTED
+                ? timestamps.translationReviewedAt
+                : timestamps.sourceReviewedAt;
+        case WORKFLOW_STAGES.TRANSLATION_REVIEW:
+            return timestamps.translationSubmittedAt;
+        case WORKFLOW_STAGES.FINAL_REVIEW:
+            return timestamps.translationReviewedAt;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Deadline fields exposed on queue items.
+ */
+export const buildWorkflowDeadlineInfo = (article = {}, now = new Date()) => {
+    const stage = resolveWorkflowStage(article);
+    const workflow = article?.workflow || {};
+    const sla = workflow.sla?.stage === stage ? workflow.sla : null;
+
+    const enteredAt = sla?.enteredAt || legacyStageEnteredAt(workflow, stage) || article?.updatedAt || null;
+    const dueAt = sla?.dueAt || (stage && workflow.dueDates?.[stage]) || null;
+    const enteredTime = enteredAt ? new Date(enteredAt).getTime() : NaN;
+
+    return {
+        stage,
+        stageEnteredAt: enteredAt,
+        dueAt,
+        isOverdue: Boolean(dueAt && new Date(dueAt).getTime() < now.getTime()),
+        timeInStageMs: Number.isFinite(enteredTime) ? Math.max(0, now.getTime() - enteredTime) : null,
+        escalatedAt: sla?.escalatedAt || null,
+    };
+};
+
+export const ensureArticleWorkflow = (article) => {
+    if (!article.workflow) {
+        article.workflow = {};
+    }
+
+    const workflow = article.workflow;
+    workflow.sourceReviewState = workflow.sourceReviewState || WORKFLOW_SOURCE_STATES.DRAFT;
+    workflow.translationState = workflow.translationState || WORKFLOW_TRANSLATION_STATES.NOT_REQUIRED;
+    workflow.adminApprovalState = workflow.adminApprovalState || WORKFLOW_ADMIN_STATES.NOT_READY;
+    workflow.assignedTranslator = workflow.assignedTranslator || null;
+    if (!Array.isArray(workflow.translationAssignments)) {
+        workflow.translationAssignments = [];
+    }
+
+    if (!workflow.timestamps) {
+        workflow.timestamps = {};
+    }
+    workflow.timestamps.sourceSubmittedAt = workflow.timestamps.sourceSubmittedAt || null;
+    workflow.timestamps.sourceReviewedAt = workflow.timestamps.sourceReviewedAt || null;
+    workflow.timestamps.translationSubmittedAt = workflow.timestamps.translationSubmittedAt || null;
+    workflow.timestamps.translationReviewedAt = workflow.timestamps.translationReviewedAt || null;
+    workflow.timestamps.adminReviewedAt = workflow.timestamps.adminReviewedAt || null;
+
+    if (!workflow.reviewedBy) {
+        workflow.reviewedBy = {};
+    }
+    workflow.reviewedBy.sourceReviewer = workflow.reviewedBy.sourceReviewer || null;
+    workflow.reviewedBy.translationReviewer = workflow.reviewedBy.translationReviewer || null;
+    workflow.reviewedBy.adminReviewer = workflow.reviewedBy.adminReviewer || null;
+
+    workflow.sourceReviewNotes = workflow.sourceReviewNotes || '';
+    workflow.translationReviewNotes = workflow.translationReviewNotes || '';
+    workflow.adminReviewNotes = workflow.adminReviewNotes || '';
+    workflow.auditTrail = Array.isArray(workflow.auditTrail) ? workflow.auditTrail : [];
+
+    if (!workflow.dueDates) {
+        workflow.dueDates = {};
+    }
+    if (!workflow.sla) {
+        workflow.sla = {};
+    }
+
+    return workflow;
+};
+
+/**
+ * Move a draft (or returned) source into editor review and reset the
+ * downstream review state. Callers save the article and write the audit entry.
+ */
+export const markSourceSubmitted = (article, workflow, submittedAt = new Date()) => {
+    article.status = 'pending';
+    workflow.sourceReviewState = WORKFLOW_SOURCE_STATES.SUBMITTED;
+    workflow.translationState = WORKFLOW_TRANSLATION_STATES.NOT_REQUIRED;
+    workflow.adminApprovalState = WORKFLOW_ADMIN_STATES.NOT_READY;
+    workflow.timestamps.sourceSubmittedAt = submittedAt;
+    workflow.sourceReviewNotes = '';
+    workflow.translationReviewNotes = '';
+    workflow.adminReviewNotes = '';
+    workflow.reviewedBy.sourceReviewer = null;
+    workflow.reviewedBy.translationReviewer = null;
+    workflow.reviewedBy.adminReviewer = null;
+    workflow.assignedTranslator = null;
+    workflow.translationAssignments = [];
+};
+
+const toIdString = (value) => String(value?._id || value || '');
+
+export const findTranslationAssignment = (workflow, language) => (
+    (workflow?.translationAssignments || []).find((assignment) => assignment.language === language) || null
+);
+
+/**
+ * Commission a language, or reassign its translator. Returns the assignment.
+ * Reassigning keeps the language's state, so submitted work stays reviewable.
+ */
+export const upsertTranslationAssignment = (workflow, { language, translator = null, assignedBy = null, now = new Date() }) => {
+    const existing = findTranslationAssignment(workflow, language);
+    if (existing) {
+        if (toIdString(existing.translator) !== toIdString(translator)) {
+            existing.translator = translator;
+            existing.assignedBy = assignedBy;
+            existing.assignedAt = now;
+        }
+        return existing;
+    }
+
+    workflow.translationAssignments.push({
+        language,
+        translator,
+        state: TRANSLATION_ASSIGNMENT_STATES.IN_TRANSLATION,
+        assignedBy,
+        assignedAt: now,
+        submittedAt: null,
+        reviewedAt: null,
+        reviewer: null,
+        reviewNotes: '',
+    });
+    return findTranslationAssignment(workflow, language);
+};
+
+/**
+ * Assignment for a language, creating one for articles that entered translation
+ * before per-language assignments existed. Returns null when the article has
+ * assignments but the language was never commissioned.
+ */
+export const resolveTranslationAssignment = (workflow, language, { translator = null, state = null } = {}) => {
+    const existing = findTranslationAssignment(workflow, language);
+    if (existing || workflow.translationAssignments.length) {
+        return existing;
+    }
+
+    const assignment = upsertTranslationAssignment(workflow, {
+        language,
+        translator: translator || workflow.assignedTranslator || null,
+    });
+    assignment.state = state || (
+        workflow.translationState === WORKFLOW_TRANSLATION_STATES.CHANGES_REQUESTED
+            ? TRANSLATION_ASSIGNMENT_STATES.CHANGES_REQUESTED
+            : TRANSLATION_ASSIGNMENT_STATES.IN_TRANSLATION
+    );
+    return assignment;
+};
+
+/**
+ * Whether a user may work on an assignment (its translator, or anyone when open).
+ */
+export const canWorkOnTranslationAssignment = (assignment, userId) => {
+    const translatorId = toIdString(assignment?.translator);
+    return !translatorId || translatorId === toIdString(userId);
+};
+
+export const getBlockingTranslationLanguages = (workflow) => (
+    (workflow?.translationAssignments || [])
+        .filter((assignment) => assignment.state !== TRANSLATION_ASSIGNMENT_STATES.APPROVED)
+        .map((assignment) => assignment.language)
+);
+
+/**
+ * Recompute the article-level translationState (and whether admin review can
+ * start) from the per-language assignments. Outstanding translator work wins
+ * over pending editor review, so the article stays in translation until every
+ * language has been handed in.
+ */
+export const syncTranslationState = (workflow) => {
+    const states = (workflow.translationAssignments || []).map((assignment) => assignment.state);
+    if (!states.length) {
+        return workflow.translationState;
+    }
+
+    if (states.includes(TRANSLATION_ASSIGNMENT_STATES.CHANGES_REQUESTED)) {
+        workflow.translationState = WORKFLOW_TRANSLATION_STATES.CHANGES_REQUESTED;
+    } else if (states.includes(TRANSLATION_ASSIGNMENT_STATES.IN_TRANSLATION)) {
+        workflow.translationState = WORKFLOW_TRANSLATION_STATES.IN_TRANSLATION;
+    } else if (states.includes(TRANSLATION_ASSIGNMENT_STATES.SUBMITTED)) {
+        workflow.translationState = WORKFLOW_TRANSLATION_STATES.SUBMITTED;
+    } else {
+        workflow.translationState = WORKFLOW_TRANSLATION_STATES.APPROVED;
+    }
+
+    workflow.adminApprovalState = workflow.translationState === WORKFLOW_TRANSLATION_STATES.APPROVED
+        ? WORKFLOW_ADMIN_STATES.PENDING_FINAL_REVIEW
+        : WORKFLOW_ADMIN_STATES.NOT_READY;
+    return workflow.translationState;
+};
+
+/**
+ * Aggregate translation view for editors: per-language status and the
+ * languages still blocking final approval.
+ */
+export const buildTranslationProgress = (workflow = {}) => {
+    const languages = (workflow.translationAssignments || []).map((assignment) => ({
+        language: assignment.language,
+        translator: assignment.translator || null,
+        state: assignment.state,
+        assignedAt: assignment.assignedAt || null,
+        submittedAt: assignment.submittedAt || null,
+        reviewedAt: assignment.reviewedAt || null,
+        reviewer: assignment.reviewer || null,
+        reviewNotes: assignment.reviewNotes || '',
+        isBlocking: assignment.state !== TRANSLATION_ASSIGNMENT_STATES.APPROVED,
+    }));
+    const blockingLanguages = languages.filter((entry) => entry.isBlocking).map((entry) => entry.language);
+
+    return {
+        languages,
+        blockingLanguages,
+        awaitingTranslator: languages.filter((entry) => OPEN_ASSIGNMENT_STATES.includes(entry.state)).map((entry) => entry.language),
+        awaitingReview: languages
+            .filter((entry) => entry.state === TRANSLATION_ASSIGNMENT_STATES.SUBMITTED)
+            .map((entry) => entry.language),
+        readyForFinalApproval: languages.length > 0 && blockingLanguages.length === 0,
+    };
+};
+
+export const buildWorkflowActorName = (user = null, fallback = 'System') => {
+    const firstName = String(user?.firstName || '').trim();
+    const lastName = String(user?.lastName || '').trim();
+    const fullName = `${firstName} ${lastName}`.trim();
+    return fullName || String(user?.username || user?.email || fallback);
+};
+
+export const buildWorkflowArticleLink = (articleId = '') => {
+    const normalizedId = String(articleId || '').trim();
+    if (!normalizedId) {
+        return '';
+    }
+
+    const baseUrl = String(config.frontendUrl || config.siteUrl || '').trim().replace(/\/+$/, '');
+    if (!baseUrl) {
+        return '';
+    }
+
+    return `${baseUrl}/dashboard/articles/${normalizedId}/edit`;
+};
+
+export const captureWorkflowSnapshot = (article, workflow) => ({
+    status: String(article?.status || 'draft'),
+    sourceReviewState: String(workflow?.sourceReviewState || WORKFLOW_SOURCE_STATES.DRAFT),
+    translationState: String(workflow?.translationState || WORKFLOW_TRANSLATION_STATES.NOT_REQUIRED),
+    adminApprovalState: String(workflow?.adminApprovalState || WORKFLOW_ADMIN_STATES.NOT_READY),
+});
+
+export const appendWorkflowAuditEntry = ({
+    article,
+    workflow,
+    action,
+    actor = null,
+    notes = '',
+    metadata = {},
+    beforeSnapshot = null,
+} = {}) => {
+    if (!article || !workflow || !action) {
+        return;
+    }
+
+    const trail = Array.isArray(workflow.auditTrail) ? workflow.auditTrail : [];
+    trail.push({
+        action: String(action).trim(),
+        actor: actor?._id || actor || null,
+        actorRole: String(actor?.role || '').trim(),
+        notes: String(notes || '').trim(),
+        before: beforeSnapshot,
+        after: captureWorkflowSnapshot(article, workflow),
+        metadata: metadata && typeof metadata === 'object' ? metadata : {},
+        at: new Date(),
+    });
+
+    workflow.auditTrail = trail.slice(-WORKFLOW_AUDIT_MAX_ITEMS);
+    article.markModified('workflow');
+};
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+
+/**
+ * Block-level diff for Editor.js content.
+ *
+ * Blocks are matched by their Editor.js `id` (falling back to a hash of the
+ * block when the id is missing), then aligned with a longest-common-subsequence
+ * pass so reordered blocks are reported as "moved" instead of remove + add.
+ */
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const blockSignature = (block = {}) => stableStringify({ type: block.type, data: block.data || {} });
+
+const blockKey = (block = {}, index = 0) => {
+  if (block.id) return `id:${block.id}`;
+  const hash = crypto.createHash('sha1').update(blockSignature(block)).digest('hex');
+  return `hash:${hash}:${index}`;
+};
+
+const getBlocks = (content) => (Array.isArray(content?.blocks) ? content.blocks : []);
+
+// Index pairs (fromIndex, toIndex) of the longest common key subsequence
+const longestCommonSubsequence = (fromKeys, toKeys) => {
+  const rows = fromKeys.length;
+  const cols = toKeys.length;
+  const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      table[i][j] = fromKeys[i] === toKeys[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (fromKeys[i] === toKeys[j]) {
+      pairs.push([i, j]);
+      i += 1;
+      j += 1;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Diff two Editor.js content objects.
+ *
+ * @param {Object} fromContent - Older content ({ blocks: [] })
+ * @param {Object} toContent - Newer content ({ blocks: [] })
+ * @returns {{ summary: Object, blocks: Array }} Blocks in display order, each
+ *   with a status of unchanged | modified | added | removed | moved.
+ */
+export const diffEditorContent = (fromContent, toContent) => {
+  const fromBlocks = getBlocks(fromContent);
+  const toBlocks = getBlocks(toContent);
+  const fromKeys = fromBlocks.map(blockKey);
+  const toKeys = toBlocks.map(blockKey);
+  const fromIndexByKey = new Map(fromKeys.map((key, index) => [key, index]));
+  const toKeySet = new Set(toKeys);
+
+  const summary = { unchanged: 0, modified: 0, added: 0, removed: 0, moved: 0 };
+  const blocks = [];
+
+  const pushEntry = (status, { fromIndex = null, toIndex = null } = {}) => {
+    const before = fromIndex === null ? null : fromBlocks[fromIndex];
+    const after = toIndex === null ? null : toBlocks[toIndex];
+    const changed = Boolean(before && after && blockSignature(before) !== blockSignature(after));
+    const resolvedStatus = status === 'matched' ? (changed ? 'modified' : 'unchanged') : status;
+
+    summary[resolvedStatus] += 1;
+    blocks.push({
+      status: resolvedStatus,
+      id: (after || before)?.id || null,
+      type: (after || before)?.type || null,
+      fromIndex,
+      toIndex,
+      // Moved blocks can also have edited data
+      changed: resolvedStatus === 'moved' ? changed : resolvedStatus === 'modified',
+      before,
+      after,
+    });
+  };
+
+  const pairs = longestCommonSubsequence(fromKeys, toKeys);
+  pairs.push([fromBlocks.length, toBlocks.length]);
+
+  let i = 0;
+  let j = 0;
+  for (const [pairFrom, pairTo] of pairs) {
+    for (; i < pairFrom; i += 1) {
+      // Blocks that still exist are reported at their new position
+      if (!toKeySet.has(fromKeys[i])) {
+        pushEntry('removed', { fromIndex: i });
+      }
+    }
+    for (; j < pairTo; j += 1) {
+      const fromIndex = fromIndexByKey.get(toKeys[j]);
+      if (fromIndex === undefined) {
+        pushEntry('added', { toIndex: j });
+      } else {
+        pushEntry('moved', { fromIndex, toIndex: j });
+      }
+    }
+    if (pairFrom < fromBlocks.length) {
+      pushEntry('matched', { fromIndex: pairFrom, toIndex: pairTo });
+      i += 1;
+      j += 1;
+    }
+  }
+
+  return { summary, blocks };
+};
+
+/**
+ * Diff plain (non-content) fields between two snapshots.
+ */
+export const diffSnapshotFields = (fromSnapshot = {}, toSnapshot = {}, fields = []) =>
+  fields
+    .filter((field) => stableStringify(fromSnapshot[field]) !== stableStringify(toSnapshot[field]))
+    .map((field) => ({
+      field,
+      before: fromSnapshot[field] ?? null,
+      after: toSnapshot[field] ?? null,
+    }));
+
+export default {
+  diffEditorContent,
+  diffSnapshotFields,
+};
@@ -0,0 +1,127 @@
+import sanitizationService from '../services/sanitizationService.js';
+import { resolveUrl } from './siteUrl.js';
+
+/**
+ * Render Editor.js content to standalone HTML (feeds, emails, partners).
+ * Mirrors the public article renderer: inline HTML is re-sanitized and
+ * relative media URLs are made absolute.
+ */
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const inline = (value) => sanitizationService.html(typeof value === 'string' ? value : '');
+
+// Editor.js nested lists store items as { content, items }
+const renderListItems = (items = []) => items
+  .map((item) => {
+    if (item && typeof item === 'object') {
+      const nested = Array.isArray(item.items) && item.items.length
+        ? `<ul>${renderListItems(item.items)}</ul>`
+        : '';
+      return `<li>${inline(item.content || item.text || '')}${nested}</li>`;
+    }
+    return `<li>${inline(item)}</li>`;
+  })
+  .join('');
+
+const renderBlock = (block, { mediaBaseUrl }) => {
+  const data = block?.data || {};
+  const mediaUrl = (value) => {
+    const safe = sanitizationService.url(value || '', 'image');
+    return safe ? resolveUrl(mediaBaseUrl, safe) : '';
+  };
+
+  switch (block?.type) {
+    case 'paragraph':
+      return data.text ? `<p>${inline(data.text)}</p>` : '';
+
+    case 'header': {
+      const level = Math.min(6, Math.max(1, parseInt(data.level, 10) || 2));
+      return `<h${level}>${inline(data.text)}</h${level}>`;
+    }
+
+    case 'list': {
+      const tag = data.style === 'ordered' ? 'ol' : 'ul';
+      return Array.isArray(data.items) ? `<${tag}>${renderListItems(data.items)}</${tag}>` : '';
+    }
+
+    case 'checklist':
+      return Array.isArray(data.items)
+        ? `<ul>${data.items.map((item) => `<li>${item?.checked ? '&#9745;' : '&#9744;'} ${inline(item?.text)}</li>`).join('')}</ul>`
+        : '';
+
+    case 'quote':
+      return `<blockquote><p>${inline(data.text)}</p>${data.caption ? `<cite>${inline(data.caption)}</cite>` : ''}</blockquote>`;
+
+    case 'warning':
+      return `<blockquote><p><strong>${inline(data.title)}</strong></p><p>${inline(data.message)}</p></blockquote>`;
+
+    case 'image': {
+      const src = mediaUrl(data.file?.url || data.url);
+      if (!src) return '';
+      const caption = sanitizationService.plainText(data.caption || '');
+      return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(caption)}" />${caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : ''}</figure>`;
+    }
+
+    case 'code':
+      return `<pre><code>${escapeHtml(data.code || '')}</code></pre>`;
+
+    case 'delimiter':
+      return '<hr />';
+
+    case 'table': {
+      if (!Array.isArray(data.content)) return '';
+      const rows = data.content.map((row, rowIndex) => {
+        const cellTag = rowIndex === 0 && data.withHeadings ? 'th' : 'td';
+        const cells = (Array.isArray(row) ? row : [])
+          .map((cell) => `<${cellTag}>${inline(cell)}</${cellTag}>`)
+          .join('');
+        return `<tr>${cells}</tr>`;
+      });
+      return `<table><tbody>${rows.join('')}</tbody></table>`;
+    }
+
+    // Embeds and link cards are rendered as plain links; feed readers strip iframes
+    case 'embed':
+    case 'linkTool': {
+      const href = sanitizationService.url(data.source || data.link || '');
+      if (!href) return '';
+      const label = sanitizationService.plainText(data.caption || data.meta?.title || href);
+      return `<p><a href="${escapeHtml(href)}">${escapeHtml(label)}</a></p>`;
+    }
+
+    case 'attaches': {
+      const href = mediaUrl(data.file?.url);
+      if (!href) return '';
+      const label = sanitizationService.plainText(data.title || data.file?.name || href);
+      return `<p><a href="${escapeHtml(href)}">${escapeHtml(label)}</a></p>`;
+    }
+
+    // Raw HTML blocks are not rendered on the public site either
+    default:
+      return '';
+  }
+};
+
+/**
+ * @param {Object} content - Editor.js content ({ blocks: [] })
+ * @param {Object} options
+ * @param {string} options.mediaBaseUrl - Origin used for relative media URLs (e.g. /uploads/...)
+ * @returns {string} HTML
+ */
+export const renderEditorContentToHtml = (content, { mediaBaseUrl = '' } = {}) => {
+  const blocks = Array.isArray(content?.blocks) ? content.blocks : [];
+  return blocks
+    .map((block) => renderBlock(block, { mediaBaseUrl }))
+    .filter(Boolean)
+    .join('\n');
+};
+
+export default {
+  renderEditorContentToHtml,
+};
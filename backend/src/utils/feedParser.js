@@ -0,0 +1,137 @@
+/**
+ * Lightweight RSS 2.0 / Atom parser.
+ *
+ * Feeds are parsed with regular expressions rather than a full XML parser -
+ * enough for the well-formed feeds newsrooms publish, and it keeps the
+ * dependency footprint small.
+ */
+
+// Out-of-range numeric references (&#99999999;) are left as written
+const decodeCodePoint = (match, code) => {
+  const value = Number(code);
+  return value <= 0x10FFFF ? String.fromCodePoint(value) : match;
+};
+
+export const decodeEntities = (input = '') => String(input)
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, decodeCodePoint)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+export const stripHtml = (input = '') => String(input).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const escapeTagName = (tagName) => tagName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Raw inner XML of the first <tagName>...</tagName>
+const pickRaw = (block, tagName) => {
+  const name = escapeTagName(tagName);
+  const match = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${name}>`, 'i'));
+  return match ? match[1] : '';
+};
+
+const pickText = (block, tagName) => stripHtml(decodeEntities(pickRaw(block, tagName)));
+
+const pickAllText = (block, tagName) => {
+  const name = escapeTagName(tagName);
+  const matches = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>[\\s\\S]*?<\\/${name}>`, 'gi')) || [];
+  return matches.map((match) => pickText(match, tagName)).filter(Boolean);
+};
+
+const pickAttr = (block, tagName, attrName, { where } = {}) => {
+  const name = escapeTagName(tagName);
+  const tags = block.match(new RegExp(`<${name}\\b[^>]*>`, 'gi')) || [];
+  for (const tag of tags) {
+    if (where && !where(tag)) continue;
+    const attr = tag.match(new RegExp(`\\s${attrName}=["']([^"']+)["']`, 'i'));
+    if (attr) return decodeEntities(attr[1]);
+  }
+  return '';
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseRssItem = (block) => {
+  const contentHtml = decodeEntities(pickRaw(block, 'content:encoded'));
+  const descriptionHtml = decodeEntities(pickRaw(block, 'description'));
+  const link = pickText(block, 'link');
+
+  return {
+    guid: pickText(block, 'guid') || link,
+    link,
+    title: pickText(block, 'title'),
+    summary: stripHtml(descriptionHtml),
+    contentHtml: contentHtml || descriptionHtml,
+    author: pickText(block, 'dc:creator') || pickText(block, 'author'),
+    categories: pickAllText(block, 'category'),
+    publishedAt: parseDate(pickText(block, 'pubDate') || pickText(block, 'dc:date')),
+    image: pickAttr(block, 'media:thumbnail', 'url')
+      || pickAttr(block, 'media:content', 'url')
+      || pickAttr(block, 'enclosure', 'url', { where: (tag) => /type=["']image\//i.test(tag) }),
+  };
+};
+
+const parseAtomEntry = (block) => {
+  const link = pickAttr(block, 'link', 'href', { where: (tag) => !/rel=["'](?!alternate)/i.test(tag) })
+    || pickAttr(block, 'link', 'href');
+  const summaryHtml = decodeEntities(pickRaw(block, 'summary'));
+  const contentHtml = decodeEntities(pickRaw(block, 'content'));
+
+  return {
+    guid: pickText(block, 'id') || link,
+    link,
+    title: pickText(block, 'title'),
+    summary: stripHtml(summaryHtml || contentHtml),
+    contentHtml: contentHtml || summaryHtml,
+    author: pickText(pickRaw(block, 'author'), 'name'),
+    categories: (block.match(/<category\b[^>]*>/gi) || [])
+      .map((tag) => decodeEntities((tag.match(/\sterm=["']([^"']+)["']/i) || [])[1] || ''))
+      .filter(Boolean),
+    publishedAt: parseDate(pickText(block, 'published') || pickText(block, 'updated')),
+    image: pickAttr(block, 'media:thumbnail', 'url') || pickAttr(block, 'media:content', 'url'),
+  };
+};
+
+/**
+ * Parse an RSS 2.0 or Atom document.
+ *
+ * @param {string} xml
+ * @returns {{ format: 'rss'|'atom'|'unknown', title: string, items: Array }}
+ */
+export const parseFeed = (xml = '') => {
+  const source = String(xml || '');
+
+  const isAtom = /<feed\b/i.test(source) && !/<rss\b/i.test(source);
+
+  if (isAtom) {
+    const entries = source.match(/<entry\b[\s\S]*?<\/entry>/gi) || [];
+    const header = source.split(/<entry\b/i)[0];
+    return {
+      format: 'atom',
+      title: pickText(header, 'title'),
+      items: entries.map(parseAtomEntry),
+    };
+  }
+
+  const items = source.match(/<item\b[\s\S]*?<\/item>/gi) || [];
+  const channel = source.split(/<item\b/i)[0];
+  return {
+    format: items.length || /<rss\b|<channel\b/i.test(source) ? 'rss' : 'unknown',
+    title: pickText(channel, 'title'),
+    items: items.map(parseRssItem),
+  };
+};
+
+export default {
+  parseFeed,
+  decodeEntities,
+  stripHtml,
+};
@@ -29,21 +29,28 @@ export const hashIp = (ip) => {
     .slice(0, 16);
 };
 
+/**
+ * Count an ad's AdEvents since `since`. With `ipHash` the same IP counts
+ * too; without it only the session does.
+ */
+const countAdEvents = ({ adId, type, sessionId, ipHash, since }) => AdEvent.countDocuments({
+  adId,
+  type,
+  ...(ipHash === undefined ? { sessionId } : { $or: [{ sessionId }, { ipHash }] }),
+  createdAt: { $gte: since },
+});
+
 /**
  * Detect potential click fraud
  * Returns true if suspicious activity detected
+ * Pass `countEvents` to check events that are not stored as AdEvents.
  */
-export const detectClickFraud = async (adId, sessionId, ipHash) => {
+export const detectClickFraud = async (adId, sessionId, ipHash, { countEvents = countAdEvents } = {}) => {
   const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
 
   try {
     // Check for rapid clicks from same session or IP
-    const recentClicks = await AdEvent.countDocuments({
-      adId,
-      type: 'click',
-      $or: [{ sessionId }, { ipHash }],
-      createdAt: { $gte: oneMinuteAgo },
-    });
+    const recentClicks = await countEvents({ adId, type: 'click', sessionId, ipHash, since: oneMinuteAgo });
 
     // Flag as fraud if more than 5 clicks per minute
     if (recentClicks > 5) {
@@ -55,12 +62,7 @@ export const detectClickFraud = async (adId, sessionId, ipHash) => {
     }
 
     // Check for rapid impressions followed by clicks (bot behavior)
-    const recentImpressions = await AdEvent.countDocuments({
-      adId,
-      type: 'impression',
-      sessionId,
-      createdAt: { $gte: oneMinuteAgo },
-    });
+    const recentImpressions = await countEvents({ adId, type: 'impression', sessionId, since: oneMinuteAgo });
 
     // If clicks > impressions, likely fraud
     if (recentClicks > recentImpressions) {
@@ -83,17 +85,12 @@ export const detectClickFraud = async (adId, sessionId, ipHash) => {
 /**
  * Detect impression fraud (bot-generated impressions)
  */
-export const detectImpressionFraud = async (adId, sessionId, ipHash) => {
+export const detectImpressionFraud = async (adId, sessionId, ipHash, { countEvents = countAdEvents } = {}) => {
   const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
 
   try {
     // Check for rapid impressions from same source
-    const recentImpressions = await AdEvent.countDocuments({
-      adId,
-      type: 'impression',
-      $or: [{ sessionId }, { ipHash }],
-      createdAt: { $gte: oneMinuteAgo },
-    });
+    const recentImpressions = await countEvents({ adId, type: 'impression', sessionId, ipHash, since: oneMinuteAgo });
 
     // Flag if more than 10 impressions per minute (likely bot)
     if (recentImpressions > 10) {
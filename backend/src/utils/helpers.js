@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import net from 'net';
 import xss from 'xss';
 
 /**
@@ -262,6 +263,26 @@ export const getClientIp = (req) => {
   );
 };
 
+/**
+ * Read the anonymous visitor session id, issuing the cookie when missing.
+ * Shared by ad frequency control and the article meter. Only the
+ * server-issued cookie counts; a client-chosen id would reset the meter.
+ */
+export const ensureSessionId = (req, res) => {
+  let sessionId = req.cookies?.sessionId;
+  if (!sessionId) {
+    sessionId = crypto.randomBytes(16).toString('hex');
+    res.cookie('sessionId', sessionId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: 30 * 24 * 60 * 60 * 1000,
+      path: '/',
+    });
+  }
+  return sessionId;
+};
+
 /**
  * Get device type from user agent
  */
@@ -274,6 +295,59 @@ export const getDeviceType = (userAgent) => {
   return 'desktop';
 };
 
+const normalizeIp = (ip) => String(ip || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((value, octet) => (value * 256) + Number(octet), 0);
+
+/**
+ * Whether an allowlist entry is an IP address or an IPv4 CIDR range
+ */
+export const isValidIpRule = (rule) => {
+  const [address, bits, extra] = String(rule || '').trim().split('/');
+  if (extra !== undefined) return false;
+  if (bits === undefined) return net.isIP(address) !== 0;
+  return net.isIPv4(address) && /^\d{1,2}$/.test(bits) && Number(bits) <= 32;
+};
+
+/**
+ * Match an IP against allowlist entries (addresses or IPv4 CIDR ranges)
+ */
+export const isIpAllowed = (ip, rules = []) => {
+  const address = normalizeIp(ip);
+  return rules.some((rule) => {
+    const [base, bits] = String(rule).trim().split('/');
+    if (bits === undefined) return normalizeIp(base) === address;
+    if (!net.isIPv4(address) || !net.isIPv4(base)) return false;
+
+    const prefix = Number(bits);
+    if (prefix === 0) return true;
+    const shift = 32 - prefix;
+    return Math.floor(ipv4ToInt(address) / 2 ** shift) === Math.floor(ipv4ToInt(base) / 2 ** shift);
+  });
+};
+
+/**
+ * Escape text for XML element content and attribute values
+ */
+export const escapeXml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Reduce a language tag ("zh-CN", "km_KH") to the base code used for articles
+ */
+export const normalizeLanguageCode = (value = '') => {
+  const raw = String(value || '').trim().toLowerCase();
+  if (!raw) return '';
+  if (raw.startsWith('zh')) return 'zh';
+  if (raw.startsWith('km')) return 'km';
+  if (raw.startsWith('en')) return 'en';
+  return raw.split(/[-_]/)[0] || '';
+};
+
 /**
  * Sleep utility
  */
@@ -291,6 +365,11 @@ export default {
   getRelativeTime,
   truncateText,
   getClientIp,
+  ensureSessionId,
   getDeviceType,
+  isValidIpRule,
+  isIpAllowed,
+  escapeXml,
+  normalizeLanguageCode,
   sleep,
 };
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
 
@@ -12,21 +13,25 @@ export const generateAccessToken = (payload) => {
 
 /**
  * Generate refresh token
+ * Each gets a unique jti so a rotation never reproduces the previous token.
  */
 export const generateRefreshToken = (payload) => {
   return jwt.sign(payload, config.jwt.refreshSecret, {
     expiresIn: config.jwt.refreshExpiresIn,
+    jwtid: crypto.randomUUID(),
   });
 };
 
 /**
- * Generate both access and refresh tokens
+ * Generate both access and refresh tokens.
+ * `sessionId` ties them to a Session document so they can be revoked.
  */
-export const generateTokens = (user) => {
+export const generateTokens = (user, sessionId) => {
   const payload = {
     id: user._id,
     email: user.email,
     role: user.role,
+    sid: sessionId ? String(sessionId) : undefined,
   };
 
   return {
@@ -0,0 +1,105 @@
+import { decodeEntities, stripHtml } from './feedParser.js';
+
+/**
+ * Metadata extraction for link previews: OpenGraph, Twitter Card and
+ * standard HTML tags, plus oEmbed endpoint discovery.
+ */
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag))) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '').trim();
+  }
+  return attributes;
+};
+
+const resolveHref = (href, baseUrl) => {
+  if (!href) return '';
+  try {
+    const url = new URL(href, baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : '';
+  } catch {
+    return '';
+  }
+};
+
+const clean = (value, maxLength) => stripHtml(value || '').slice(0, maxLength);
+
+/**
+ * @param {string} html - Document (only the <head> is read)
+ * @param {string} baseUrl - Final URL of the document, for relative links
+ * @returns {{ title: string, description: string, image: string, siteName: string, type: string, canonicalUrl: string, oembedUrl: string }}
+ */
+export const parseLinkMetadata = (html = '', baseUrl = '') => {
+  const headEnd = html.search(/<\/head\s*>/i);
+  const head = headEnd >= 0 ? html.slice(0, headEnd) : html.slice(0, 200 * 1024);
+
+  const meta = {};
+  for (const tag of head.match(/<meta\b[^>]*>/gi) || []) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    // First occurrence wins, as with most unfurlers
+    if (key && attributes.content && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  let oembedUrl = '';
+  let canonicalUrl = '';
+  let icon = '';
+  for (const tag of head.match(/<link\b[^>]*>/gi) || []) {
+    const attributes = parseAttributes(tag);
+    const rel = (attributes.rel || '').toLowerCase();
+    const type = (attributes.type || '').toLowerCase();
+    if (!oembedUrl && rel === 'alternate' && type === 'application/json+oembed') {
+      oembedUrl = resolveHref(attributes.href, baseUrl);
+    } else if (!canonicalUrl && rel === 'canonical') {
+      canonicalUrl = resolveHref(attributes.href, baseUrl);
+    } else if (!icon && rel.split(/\s+/).includes('icon')) {
+      icon = resolveHref(attributes.href, baseUrl);
+    }
+  }
+
+  const titleTag = head.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+
+  return {
+    title: clean(meta['og:title'] || meta['twitter:title'] || decodeEntities(titleTag?.[1] || ''), MAX_TITLE_LENGTH),
+    description: clean(
+      meta['og:description'] || meta['twitter:description'] || meta.description,
+      MAX_DESCRIPTION_LENGTH
+    ),
+    image: resolveHref(
+      meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url']
+        || meta['twitter:image'] || meta['twitter:image:src'],
+      baseUrl
+    ),
+    siteName: clean(meta['og:site_name'] || meta['twitter:site'], MAX_TITLE_LENGTH),
+    type: clean(meta['og:type'], 50),
+    canonicalUrl: resolveHref(meta['og:url'], baseUrl) || canonicalUrl,
+    icon,
+    oembedUrl,
+  };
+};
+
+/**
+ * Fill gaps in page metadata from an oEmbed response. The embed HTML itself
+ * is never used; only descriptive fields are taken.
+ */
+export const mergeOEmbed = (metadata, oembed = {}) => ({
+  ...metadata,
+  title: metadata.title || clean(oembed.title, MAX_TITLE_LENGTH),
+  image: metadata.image || resolveHref(oembed.thumbnail_url, metadata.canonicalUrl || undefined),
+  siteName: metadata.siteName || clean(oembed.provider_name, MAX_TITLE_LENGTH),
+  author: clean(oembed.author_name, MAX_TITLE_LENGTH),
+  embedType: ['photo', 'video', 'link', 'rich'].includes(oembed.type) ? oembed.type : '',
+});
+
+export default {
+  parseLinkMetadata,
+  mergeOEmbed,
+};
@@ -0,0 +1,29 @@
+/**
+ * Paywall helpers shared by the article endpoints and the public feeds.
+ */
+
+export const ARTICLE_ACCESS_LEVELS = ['free', 'metered', 'premium'];
+
+export const isGatedArticle = (article) => ARTICLE_ACCESS_LEVELS.includes(article?.accessLevel)
+  && article.accessLevel !== 'free';
+
+/**
+ * Keep the first `previewBlocks` blocks of Editor.js content.
+ *
+ * @param {Object} content - Editor.js content ({ blocks: [] })
+ * @param {number} previewBlocks
+ * @returns {Object} Content with the truncated block list
+ */
+export const buildContentPreview = (content, previewBlocks = 3) => {
+  const blocks = Array.isArray(content?.blocks) ? content.blocks : [];
+  return {
+    ...(content || {}),
+    blocks: blocks.slice(0, Math.max(0, previewBlocks)),
+  };
+};
+
+export default {
+  ARTICLE_ACCESS_LEVELS,
+  isGatedArticle,
+  buildContentPreview,
+};
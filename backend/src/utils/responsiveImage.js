@@ -0,0 +1,61 @@
+/**
+ * Helpers for responsive image variants (srcset) stored in Media.thumbnails.
+ */
+
+// Raster formats that get width variants; GIFs keep their animation and SVGs scale anyway
+export const VARIANT_SOURCE_TYPES = Object.freeze(['image/jpeg', 'image/png', 'image/webp']);
+
+/**
+ * Widths to generate for an image: every configured width below the original,
+ * plus the original itself (capped at the largest configured width).
+ *
+ * @param {number} originalWidth
+ * @param {number[]} widths - Configured widths, ascending
+ * @returns {number[]}
+ */
+export const selectVariantWidths = (originalWidth, widths = []) => {
+  if (!originalWidth || !widths.length) return [];
+
+  const largest = widths[widths.length - 1];
+  const selected = widths.filter((width) => width < originalWidth);
+  const top = Math.min(originalWidth, largest);
+  if (!selected.includes(top)) selected.push(top);
+  return selected;
+};
+
+/**
+ * @param {Array<{ width: number, format: string, url: string }>} variants
+ * @param {string} format - 'webp' | 'avif'
+ * @returns {string} srcset attribute value, '' when the format has no variants
+ */
+export const buildSrcset = (variants = [], format) => variants
+  .filter((variant) => variant.format === format && variant.url && variant.width)
+  .sort((a, b) => a.width - b.width)
+  .map((variant) => `${variant.url} ${variant.width}w`)
+  .join(', ');
+
+/**
+ * Srcsets and placeholder for a media item, or null when it has no variants.
+ *
+ * @param {Object} thumbnails - Media.thumbnails
+ * @returns {{ srcset: { avif: string, webp: string }, placeholder: string } | null}
+ */
+export const buildResponsiveImage = (thumbnails = {}) => {
+  const variants = thumbnails?.variants || [];
+  if (!variants.length) return null;
+
+  return {
+    srcset: {
+      avif: buildSrcset(variants, 'avif'),
+      webp: buildSrcset(variants, 'webp'),
+    },
+    placeholder: thumbnails.placeholder || '',
+  };
+};
+
+export default {
+  VARIANT_SOURCE_TYPES,
+  selectVariantWidths,
+  buildSrcset,
+  buildResponsiveImage,
+};
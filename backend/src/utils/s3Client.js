@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+
+/**
+ * Minimal S3-compatible client (AWS S3, MinIO, R2, Spaces) signed with AWS
+ * Signature Version 4. Covers the handful of object calls StorageService needs
+ * so uploads do not pull in the full AWS SDK.
+ */
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as SigV4 expects it; encodeURIComponent leaves !'()* alone
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => String(key).split('/').map(encodeRfc3986).join('/');
+
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const canonicalQueryString = (query = {}) => Object.keys(query)
+  .sort()
+  .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name] ?? '')}`)
+  .join('&');
+
+const decodeXml = (value = '') => value
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+const readXmlTag = (xml, tag) => {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml || '');
+  return match ? decodeXml(match[1]) : '';
+};
+
+/**
+ * Derive the SigV4 signing key for a day/region/service scope.
+ */
+export const getSigningKey = (secretAccessKey, dateStamp, region, service = 's3') => {
+  const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const regionKey = hmac(dateKey, region);
+  const serviceKey = hmac(regionKey, service);
+  return hmac(serviceKey, 'aws4_request');
+};
+
+/**
+ * @param {Object} options
+ * @param {string} [options.endpoint] - e.g. http://minio:9000; defaults to AWS for the region
+ * @param {string} options.region
+ * @param {string} options.bucket
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {boolean} [options.forcePathStyle] - host/bucket/key instead of bucket.host/key (MinIO)
+ * @param {number} [options.timeoutMs]
+ */
+export const createS3Client = ({
+  endpoint,
+  region = 'us-east-1',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+} = {}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 client requires a bucket, access key ID and secret access key');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const basePath = base.pathname.replace(/\/+$/, '');
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const bucketPath = forcePathStyle ? `${basePath}/${encodeRfc3986(bucket)}` : basePath;
+
+  const objectPath = (key = '') => `${bucketPath}/${key ? encodeKey(key) : ''}`;
+
+  const buildCanonicalRequest = ({ method, path, query, headers, payloadHash }) => {
+    const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+    const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map((name) => `${name}:${String(lowered[name]).trim()}\n`).join('');
+    const signedHeaders = names.join(';');
+
+    return {
+      signedHeaders,
+      canonicalRequest: [method, path, canonicalQueryString(query), canonicalHeaders, signedHeaders, payloadHash].join('\n'),
+    };
+  };
+
+  const sign = (canonicalRequest, date) => {
+    const amzDate = toAmzDate(date);
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signature = crypto
+      .createHmac('sha256', getSigningKey(secretAccessKey, dateStamp, region))
+      .update(stringToSign)
+      .digest('hex');
+
+    return { signature, scope };
+  };
+
+  /**
+   * Unsigned URL of an object; only readable when the bucket allows public reads.
+   */
+  const objectUrl = (key) => `${base.protocol}//${host}${objectPath(key)}`;
+
+  /**
+   * Presigned GET URL for a private object.
+   *
+   * @param {string} key
+   * @param {{ expiresIn?: number, now?: Date }} [options] - expiresIn in seconds
+   */
+  const presignGetUrl = (key, { expiresIn = 3600, now = new Date() } = {}) => {
+    const amzDate = toAmzDate(now);
+    const path = objectPath(key);
+    const query = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(Math.max(Math.floor(expiresIn), 1), MAX_PRESIGN_SECONDS)),
+      'X-Amz-SignedHeaders': 'host',
+    };
+    const { canonicalRequest } = buildCanonicalRequest({
+      method: 'GET',
+      path,
+      query,
+      headers: { host },
+      payloadHash: UNSIGNED_PAYLOAD,
+    });
+    const { signature } = sign(canonicalRequest, now);
+
+    return `${base.protocol}//${host}${path}?${canonicalQueryString(query)}&X-Amz-Signature=${signature}`;
+  };
+
+  const request = async ({ method, key = '', query = {}, body, contentType, cacheControl }) => {
+    const now = new Date();
+    const path = objectPath(key);
+    const payloadHash = body ? sha256Hex(body) : sha256Hex('');
+    const headers = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': toAmzDate(now),
+    };
+    if (contentType) headers['content-type'] = contentType;
+    if (cacheControl) headers['cache-control'] = cacheControl;
+
+    const { canonicalRequest, signedHeaders } = buildCanonicalRequest({ method, path, query, headers, payloadHash });
+    const { signature, scope } = sign(canonicalRequest, now);
+    const { host: _host, ...sendHeaders } = headers;
+    const queryString = canonicalQueryString(query);
+
+    const response = await fetch(`${base.protocol}//${host}${path}${queryString ? `?${queryString}` : ''}`, {
+      method,
+      body,
+      headers: {
+        ...sendHeaders,
+        authorization: `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      const code = readXmlTag(text, 'Code') || response.statusText;
+      const error = new Error(`S3 ${method} ${key || bucket} failed: ${response.status} ${code}`);
+      error.statusCode = response.status;
+      error.code = code;
+      throw error;
+    }
+
+    return response;
+  };
+
+  const putObject = async (key, body, { contentType, cacheControl } = {}) => {
+    const response = await request({ method: 'PUT', key, body, contentType, cacheControl });
+    return { key, etag: (response.headers.get('etag') || '').replace(/"/g, '') };
+  };
+
+  const getObject = async (key) => {
+    const response = await request({ method: 'GET', key });
+    return Buffer.from(await response.arrayBuffer());
+  };
+
+  // S3 answers 204 for missing keys too, so deletes are idempotent
+  const deleteObject = async (key) => {
+    await request({ method: 'DELETE', key });
+  };
+
+  /**
+   * All keys under a prefix, following continuation tokens.
+   */
+  const listKeys = async (prefix) => {
+    const keys = [];
+    let continuationToken = '';
+
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const xml = await (await request({ method: 'GET', query })).text();
+      for (const match of xml.matchAll(/<Key>([\s\S]*?)<\/Key>/g)) {
+        keys.push(decodeXml(match[1]));
+      }
+      continuationToken = readXmlTag(xml, 'IsTruncated') === 'true' ? readXmlTag(xml, 'NextContinuationToken') : '';
+    } while (continuationToken);
+
+    return keys;
+  };
+
+  return {
+    bucket,
+    objectUrl,
+    presignGetUrl,
+    putObject,
+    getObject,
+    deleteObject,
+    listKeys,
+  };
+};
+
+export default {
+  createS3Client,
+  getSigningKey,
+};
@@ -0,0 +1,221 @@
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import zlib from 'zlib';
+import { AppError, BadRequestError } from './errors.js';
+
+/**
+ * SSRF-guarded HTTP client for user-supplied URLs (link previews, webhooks).
+ * Every address a hostname resolves to is checked inside the socket lookup,
+ * so redirects and DNS rebinding cannot reach private or loopback networks.
+ */
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 3;
+
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, broadcast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64
+  ['2002::', 16], // 6to4
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * True for anything that is not a public unicast address (including non-IPs).
+ */
+export const isPrivateAddress = (address = '') => {
+  const ip = String(address).replace(/^\[|\]$/g, '');
+  const version = net.isIP(ip);
+  if (version === 4) return blockList.check(ip, 'ipv4');
+  if (version === 6) {
+    // IPv4-mapped addresses (::ffff:a.b.c.d) are never needed for outbound fetches
+    return /^::ffff:/i.test(ip) || blockList.check(ip, 'ipv6');
+  }
+  return true;
+};
+
+const blockedAddressError = () => new BadRequestError('URL resolves to a private or reserved address');
+
+// dns.lookup replacement used by the request socket
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(blockedAddressError());
+    }
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Parse and vet a URL before any request is made.
+ * IP literals skip DNS lookup entirely, so they are checked here.
+ * `allowPrivate` keeps the scheme/credential checks but lets local addresses
+ * through, for development receivers only.
+ *
+ * @returns {URL}
+ */
+export const assertPublicUrl = (value, { allowPrivate = false } = {}) => {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    throw new BadRequestError('Invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new BadRequestError('URL must use http or https');
+  }
+  if (url.username || url.password) {
+    throw new BadRequestError('URL must not contain credentials');
+  }
+  if (allowPrivate) return url;
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (!hostname || hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    throw blockedAddressError();
+  }
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw blockedAddressError();
+  }
+
+  return url;
+};
+
+const decoderFor = (encoding = '') => {
+  const value = String(encoding).toLowerCase();
+  if (value === 'gzip' || value === 'x-gzip') return zlib.createGunzip();
+  if (value === 'deflate') return zlib.createInflate();
+  if (value === 'br') return zlib.createBrotliDecompress();
+  return null;
+};
+
+const requestOnce = (url, {
+  method, headers, body, timeoutMs, maxBytes, allowPrivate,
+}) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  let settled = false;
+  const finish = (fn, value) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(deadline);
+    fn(value);
+  };
+
+  const req = client.request(url, {
+    method,
+    headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers },
+    lookup: allowPrivate ? undefined : guardedLookup,
+  }, (res) => {
+    const status = res.statusCode;
+    if (status >= 300 && status < 400 && res.headers.location) {
+      res.resume();
+      finish(resolve, { status, location: res.headers.location });
+      return;
+    }
+
+    // Size is capped after decompression so compressed payloads cannot balloon
+    const decoder = decoderFor(res.headers['content-encoding']);
+    const declaredLength = parseInt(res.headers['content-length'], 10);
+    if (!decoder && declaredLength > maxBytes) {
+      res.destroy();
+      finish(reject, new AppError('Remote response is too large', 502));
+      return;
+    }
+
+    const stream = decoder ? res.pipe(decoder) : res;
+    const chunks = [];
+    let size = 0;
+
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        res.destroy();
+        decoder?.destroy();
+        finish(reject, new AppError('Remote response is too large', 502));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => finish(resolve, { status, headers: res.headers, body: Buffer.concat(chunks) }));
+    stream.on('error', (error) => finish(reject, error));
+  });
+
+  const deadline = setTimeout(() => {
+    req.destroy();
+    finish(reject, new AppError('Remote request timed out', 504));
+  }, timeoutMs);
+
+  req.on('error', (error) => finish(reject, error));
+  req.end(body);
+});
+
+/**
+ * Request a public URL with a timeout, a response size cap and guarded redirects.
+ * Redirects are only followed for GET; other methods get the 3xx response back.
+ *
+ * @param {string} value - URL to fetch
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.headers - Extra request headers
+ * @param {string|Buffer} options.body - Request body
+ * @param {number} options.timeoutMs - Deadline for each hop
+ * @param {number} options.maxBytes - Maximum (decompressed) body size
+ * @param {number} options.maxRedirects - Redirects to follow
+ * @param {boolean} options.allowPrivate - Skip the address checks (development only)
+ * @returns {Promise<{ status: number, url: string, headers: Object, body: Buffer }>}
+ */
+export const safeFetch = async (value, {
+  method = 'GET',
+  headers = {},
+  body,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  allowPrivate = false,
+} = {}) => {
+  let url = assertPublicUrl(value, { allowPrivate });
+  const requestOptions = { method, headers, body, timeoutMs, maxBytes, allowPrivate };
+
+  for (let hop = 0; hop <= maxRedirects; hop += 1) {
+    const response = await requestOnce(url, requestOptions);
+    if (!response.location) {
+      return { ...response, url: url.toString() };
+    }
+    if (method !== 'GET') {
+      return { ...response, headers: {}, body: Buffer.alloc(0), url: url.toString() };
+    }
+    url = assertPublicUrl(new URL(response.location, url).toString(), { allowPrivate });
+  }
+
+  throw new AppError('Too many redirects', 502);
+};
+
+export default {
+  isPrivateAddress,
+  assertPublicUrl,
+  safeFetch,
+};
@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+import { Category, User } from '../models/index.js';
+
+/**
+ * Article search facets, shared by the Elasticsearch query and the MongoDB
+ * fallback so both accept the same filters and return the same counts.
+ *
+ * Every facet is multi-select: values within a facet are ORed and facets are
+ * ANDed. A facet's own counts ignore its own selection, so readers can still
+ * see (and add) the other values after picking one.
+ */
+
+// Query parameter -> field in MongoDB and in the search index
+export const SEARCH_FACETS = Object.freeze({
+  categories: { field: 'category', esField: 'category._id', objectId: true, size: 20 },
+  tags: { field: 'tags', esField: 'tags', size: 30 },
+  authors: { field: 'author', esField: 'author._id', objectId: true, size: 20 },
+  languages: { field: 'language', esField: 'language', size: 15 },
+  postTypes: { field: 'postType', esField: 'postType', size: 5 },
+  // Publish-date histogram, one bucket per month ("2026-10")
+  months: { field: 'publishedAt', esField: 'publishedAt', size: 24 },
+});
+
+const FACET_KEYS = Object.keys(SEARCH_FACETS);
+const MAX_VALUES_PER_FACET = 20;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const isValidFacetValue = (key, value) => {
+  if (SEARCH_FACETS[key].objectId) return mongoose.isValidObjectId(value);
+  if (key === 'months') return MONTH_PATTERN.test(value);
+  return value.length <= 100;
+};
+
+/**
+ * Read facet selections from a query string. Each facet takes a
+ * comma-separated list or a repeated parameter; invalid values are dropped.
+ *
+ * @returns {Object<string, string[]>} One (possibly empty) array per facet
+ */
+export const parseFacetFilters = (query = {}) => Object.fromEntries(FACET_KEYS.map((key) => {
+  const raw = query[key];
+  const values = (Array.isArray(raw) ? raw : String(raw ?? '').split(','))
+    .map((value) => String(value).trim())
+    .map((value) => (key === 'tags' || key === 'languages' ? value.toLowerCase() : value))
+    .filter((value) => value && isValidFacetValue(key, value));
+  return [key, [...new Set(values)].slice(0, MAX_VALUES_PER_FACET)];
+}));
+
+export const hasFacetFilters = (filters = {}) => FACET_KEYS.some((key) => filters[key]?.length);
+
+/**
+ * UTC bounds of a "YYYY-MM" month.
+ */
+export const getMonthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    gte: new Date(Date.UTC(year, monthNumber - 1, 1)),
+    lt: new Date(Date.UTC(year, monthNumber, 1)),
+  };
+};
+
+// ==================== MongoDB ====================
+
+const mongoClause = (key, values) => {
+  if (!values?.length) return null;
+  if (key === 'months') {
+    return {
+      $or: values.map((month) => {
+        const { gte, lt } = getMonthRange(month);
+        return { publishedAt: { $gte: gte, $lt: lt } };
+      }),
+    };
+  }
+
+  const { field, objectId } = SEARCH_FACETS[key];
+  return { [field]: { $in: objectId ? values.map((value) => new mongoose.Types.ObjectId(value)) : values } };
+};
+
+/**
+ * `$match` for the selected facets, optionally leaving one facet out.
+ */
+export const buildMongoFacetMatch = (filters = {}, except = null) => {
+  const clauses = FACET_KEYS
+    .filter((key) => key !== except)
+    .map((key) => mongoClause(key, filters[key]))
+    .filter(Boolean);
+  return clauses.length ? { $and: clauses } : {};
+};
+
+/**
+ * `$facet` sub-pipelines that count each facet's values.
+ */
+export const buildMongoFacetStages = (filters = {}) => Object.fromEntries(FACET_KEYS.map((key) => {
+  const { field, size } = SEARCH_FACETS[key];
+  const isMonths = key === 'months';
+  return [key, [
+    { $match: buildMongoFacetMatch(filters, key) },
+    ...(key === 'tags' ? [{ $unwind: '$tags' }] : []),
+    ...(isMonths ? [{ $match: { publishedAt: { $type: 'date' } } }] : []),
+    {
+      $group: {
+        _id: isMonths ? { $dateToString: { format: '%Y-%m', date: '$publishedAt' } } : `$${field}`,
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { _id: { $ne: null } } },
+    { $sort: isMonths ? { _id: -1 } : { count: -1, _id: 1 } },
+    { $limit: size },
+  ]];
+}));
+
+export const normalizeMongoFacets = (result = {}) => Object.fromEntries(FACET_KEYS.map((key) => [
+  key,
+  (result[key] || []).map((bucket) => ({ value: String(bucket._id), count: bucket.count })),
+]));
+
+// ==================== Elasticsearch ====================
+
+const esClause = (key, values) => {
+  if (!values?.length) return null;
+  if (key === 'months') {
+    return {
+      bool: {
+        should: values.map((month) => {
+          const { gte, lt } = getMonthRange(month);
+          return { range: { publishedAt: { gte: gte.toISOString(), lt: lt.toISOString() } } };
+        }),
+        minimum_should_match: 1,
+      },
+    };
+  }
+  return { terms: { [SEARCH_FACETS[key].esField]: values } };
+};
+
+/**
+ * Filter clauses for the selected facets, optionally leaving one facet out.
+ */
+export const buildEsFacetClauses = (filters = {}, except = null) => FACET_KEYS
+  .filter((key) => key !== except)
+  .map((key) => esClause(key, filters[key]))
+  .filter(Boolean);
+
+/**
+ * Aggregations for every facet. The selected facets are applied as a
+ * `post_filter`, so each aggregation re-applies all of them but its own.
+ */
+export const buildEsFacetAggs = (filters = {}) => Object.fromEntries(FACET_KEYS.map((key) => {
+  const { esField, size } = SEARCH_FACETS[key];
+  const values = key === 'months'
+    ? {
+      date_histogram: {
+        field: esField,
+        calendar_interval: 'month',
+        format: 'yyyy-MM',
+        min_doc_count: 1,
+        order: { _key: 'desc' },
+      },
+    }
+    : { terms: { field: esField, size } };
+
+  return [key, {
+    filter: { bool: { filter: buildEsFacetClauses(filters, key) } },
+    aggs: { values },
+  }];
+}));
+
+export const normalizeEsFacets = (aggregations = {}) => Object.fromEntries(FACET_KEYS.map((key) => [
+  key,
+  (aggregations?.[key]?.values?.buckets || [])
+    .slice(0, SEARCH_FACETS[key].size)
+    .map((bucket) => ({ value: bucket.key_as_string || String(bucket.key), count: bucket.doc_count })),
+]));
+
+// ==================== Response ====================
+
+/**
+ * Flag selected values and keep them listed (with a zero count) when the
+ * other filters leave no matches, so they can still be cleared.
+ */
+export const markSelectedFacets = (facets = {}, filters = {}) => Object.fromEntries(FACET_KEYS.map((key) => {
+  const selected = new Set(filters[key] || []);
+  const buckets = (facets[key] || []).map((bucket) => ({ ...bucket, selected: selected.has(bucket.value) }));
+  selected.forEach((value) => {
+    if (!buckets.some((bucket) => bucket.value === value)) {
+      buckets.push({ value, count: 0, selected: true });
+    }
+  });
+  return [key, buckets];
+}));
+
+/**
+ * Add display labels to category and author buckets.
+ */
+export const labelSearchFacets = async (facets) => {
+  const categoryIds = facets.categories.map((bucket) => bucket.value);
+  const authorIds = facets.authors.map((bucket) => bucket.value);
+
+  const [categories, authors] = await Promise.all([
+    categoryIds.length ? Category.find({ _id: { $in: categoryIds } }).select('name slug color').lean() : [],
+    authorIds.length ? User.find({ _id: { $in: authorIds } }).select('firstName lastName').lean() : [],
+  ]);
+  const categoryById = new Map(categories.map((category) => [String(category._id), category]));
+  const authorById = new Map(authors.map((author) => [String(author._id), author]));
+
+  return {
+    ...facets,
+    categories: facets.categories.map((bucket) => {
+      const category = categoryById.get(bucket.value);
+      return { ...bucket, label: category?.name || bucket.value, slug: category?.slug, color: category?.color };
+    }),
+    authors: facets.authors.map((bucket) => {
+      const author = authorById.get(bucket.value);
+      return { ...bucket, label: author ? `${author.firstName} ${author.lastName}`.trim() : bucket.value };
+    }),
+  };
+};
+
+export default {
+  SEARCH_FACETS,
+  parseFacetFilters,
+  hasFacetFilters,
+  getMonthRange,
+  buildMongoFacetMatch,
+  buildMongoFacetStages,
+  normalizeMongoFacets,
+  buildEsFacetClauses,
+  buildEsFacetAggs,
+  normalizeEsFacets,
+  markSelectedFacets,
+  labelSearchFacets,
+};
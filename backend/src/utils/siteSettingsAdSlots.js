@@ -0,0 +1,155 @@
+/**
+ * The hard-coded ad slots in SiteSettings (`inArticleAd`, `floatingBanner`,
+ * `mobileAds`, `exitPopup`, `scrollAd`) described in one shape, so the ad
+ * server can serve them next to campaigns and collections and the migration
+ * can turn them into collections.
+ */
+
+const ALL_DEVICES = ['desktop', 'mobile', 'tablet'];
+
+// SiteSettings frequency values -> AdCollection frequency types
+const FREQUENCY_MAP = {
+  always: 'unlimited',
+  every_page: 'once_per_page',
+  once_per_session: 'once_per_session',
+  once_per_day: 'once_per_day',
+};
+
+const devicesFor = ({ showOnMobile = true, showOnDesktop = true } = {}) => {
+  const devices = [];
+  if (showOnDesktop) devices.push('desktop', 'tablet');
+  if (showOnMobile) devices.push('mobile');
+  return devices;
+};
+
+const creativeType = ({ imageUrl, htmlContent }) => (!imageUrl && htmlContent ? 'html' : 'image');
+
+/**
+ * @param {Object} settings - SiteSettings document or plain object
+ * @returns {Array<{ key: string, enabledPath: string, placement: string, enabled: boolean,
+ *   devices: string[], pages: string[], frequency: string, creative: Object, settings: Object }>}
+ */
+export const describeSiteSettingsAdSlots = (settings = {}) => {
+  const inArticle = settings.inArticleAd || {};
+  const floating = settings.floatingBanner || {};
+  const mobile = settings.mobileAds || {};
+  const exit = settings.exitPopup || {};
+  const scroll = settings.scrollAd || {};
+
+  const slots = [
+    {
+      key: 'inArticleAd',
+      enabledPath: 'inArticleAd.enabled',
+      placement: 'in_article',
+      enabled: Boolean(inArticle.enabled),
+      devices: ALL_DEVICES,
+      pages: ['article'],
+      frequency: 'unlimited',
+      creative: {
+        imageUrl: inArticle.imageUrl,
+        mobileImageUrl: inArticle.mobileImageUrl,
+        htmlContent: inArticle.content,
+        linkUrl: inArticle.linkUrl,
+        showLabel: inArticle.showLabel !== false,
+        style: inArticle.style || 'banner',
+      },
+      settings: { paragraphIndex: inArticle.position ?? 3 },
+    },
+    {
+      key: 'floatingBanner',
+      enabledPath: 'floatingBanner.enabled',
+      placement: 'floating_banner',
+      enabled: Boolean(floating.enabled),
+      devices: devicesFor(floating),
+      pages: ['all'],
+      frequency: FREQUENCY_MAP[floating.frequency] || 'once_per_session',
+      creative: {
+        imageUrl: floating.imageUrl,
+        mobileImageUrl: floating.mobileImageUrl,
+        htmlContent: floating.content,
+        linkUrl: floating.linkUrl,
+        backgroundColor: floating.backgroundColor,
+      },
+      settings: {
+        position: floating.position,
+        textColor: floating.textColor,
+        showCloseButton: floating.showCloseButton,
+        autoHide: floating.autoHide,
+        autoHideDelay: floating.autoHideDelay,
+        height: floating.height,
+      },
+    },
+    {
+      key: 'mobileAds.stickyBottom',
+      enabledPath: 'mobileAds.stickyBottomEnabled',
+      placement: 'floating_banner',
+      enabled: Boolean(mobile.stickyBottomEnabled),
+      devices: ['mobile'],
+      pages: ['all'],
+      frequency: 'unlimited',
+      creative: {
+        imageUrl: mobile.stickyBottomImageUrl,
+        linkUrl: mobile.stickyBottomLinkUrl,
+      },
+      settings: { position: 'bottom', heightPx: mobile.stickyBottomHeight },
+    },
+    {
+      key: 'mobileAds.interstitial',
+      enabledPath: 'mobileAds.interstitialEnabled',
+      placement: 'popup',
+      enabled: Boolean(mobile.interstitialEnabled),
+      devices: ['mobile'],
+      pages: ['all'],
+      frequency: FREQUENCY_MAP[mobile.interstitialFrequency] || 'once_per_session',
+      creative: {
+        imageUrl: mobile.interstitialImageUrl,
+        linkUrl: mobile.interstitialLinkUrl,
+      },
+      settings: { delayMs: mobile.interstitialDelay, autoCloseMs: mobile.interstitialAutoClose },
+    },
+    {
+      key: 'exitPopup',
+      enabledPath: 'exitPopup.enabled',
+      placement: 'exit_popup',
+      enabled: Boolean(exit.enabled),
+      devices: devicesFor({ showOnMobile: exit.showOnMobile, showOnDesktop: true }),
+      pages: ['all'],
+      frequency: FREQUENCY_MAP[exit.frequency] || 'once_per_session',
+      creative: {
+        title: exit.title,
+        htmlContent: exit.content,
+        imageUrl: exit.imageUrl,
+        linkUrl: exit.linkUrl,
+        ctaText: exit.buttonText,
+      },
+      settings: {},
+    },
+    {
+      key: 'scrollAd',
+      enabledPath: 'scrollAd.enabled',
+      placement: 'scroll',
+      enabled: Boolean(scroll.enabled),
+      devices: ALL_DEVICES,
+      pages: ['all'],
+      frequency: FREQUENCY_MAP[scroll.frequency] || 'once_per_session',
+      creative: {
+        imageUrl: scroll.imageUrl,
+        mobileImageUrl: scroll.mobileImageUrl,
+        linkUrl: scroll.linkUrl,
+      },
+      settings: {
+        triggerAt: scroll.triggerAt,
+        position: scroll.position,
+        autoClose: scroll.autoClose,
+        autoCloseDelay: scroll.autoCloseDelay,
+      },
+    },
+  ];
+
+  return slots.map((slot) => ({
+    ...slot,
+    creative: { ...slot.creative, type: creativeType(slot.creative) },
+  }));
+};
+
+export default describeSiteSettingsAdSlots;
@@ -0,0 +1,62 @@
+import config from '../config/index.js';
+
+/**
+ * Helpers for building absolute public URLs (share pages, sitemaps, feeds).
+ */
+
+export const normalizeBaseUrl = (value) => String(value || '').replace(/\/+$/, '');
+
+export const resolveUrl = (baseUrl, pathValue) => {
+  if (!pathValue) return '';
+  if (pathValue.startsWith('http://') || pathValue.startsWith('https://')) return pathValue;
+  if (!pathValue.startsWith('/')) return `${baseUrl}/${pathValue}`;
+  return `${baseUrl}${pathValue}`;
+};
+
+export const isLocalhostBaseUrl = (value) => {
+  if (!value) return true;
+  try {
+    const { hostname } = new URL(value);
+    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '0.0.0.0';
+  } catch {
+    return true;
+  }
+};
+
+export const getRequestOrigin = (req) => {
+  const forwardedProto = req.get('x-forwarded-proto');
+  const forwardedHost = req.get('x-forwarded-host');
+  const host = (forwardedHost || req.get('host') || '').split(',')[0].trim();
+  const protocol = (forwardedProto || req.protocol || 'http').split(',')[0].trim();
+  return host ? `${protocol}://${host}` : '';
+};
+
+/**
+ * Public frontend origin. Prefers the configured site/frontend URL and only
+ * falls back to the request origin when both are still localhost defaults.
+ */
+export const resolvePublicSiteUrl = (requestOrigin = '') => {
+  const configuredSiteUrl = normalizeBaseUrl(config.siteUrl);
+  const configuredFrontendUrl = normalizeBaseUrl(config.frontendUrl);
+  if (!isLocalhostBaseUrl(configuredSiteUrl)) return configuredSiteUrl;
+  if (!isLocalhostBaseUrl(configuredFrontendUrl)) return configuredFrontendUrl;
+  return normalizeBaseUrl(requestOrigin) || configuredSiteUrl;
+};
+
+/**
+ * Public API origin (serves /uploads). Falls back to the request origin, then the site URL.
+ */
+export const resolvePublicApiUrl = (requestOrigin = '') => {
+  const configuredApiBaseUrl = normalizeBaseUrl(config.apiBaseUrl);
+  if (!isLocalhostBaseUrl(configuredApiBaseUrl)) return configuredApiBaseUrl;
+  return normalizeBaseUrl(requestOrigin) || resolvePublicSiteUrl(requestOrigin);
+};
+
+export default {
+  normalizeBaseUrl,
+  resolveUrl,
+  isLocalhostBaseUrl,
+  getRequestOrigin,
+  resolvePublicSiteUrl,
+  resolvePublicApiUrl,
+};
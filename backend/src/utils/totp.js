@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 30 s steps, 6 digits)
+ * as used by Google Authenticator, 1Password, Authy and friends.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random shared secret, base32-encoded (160 bits as RFC 4226 recommends).
+ */
+export const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+export const getTimeStep = (time = Date.now(), stepSeconds = DEFAULT_STEP_SECONDS) => (
+  Math.floor(time / 1000 / stepSeconds)
+);
+
+/**
+ * HOTP value for a counter (RFC 4226 dynamic truncation).
+ *
+ * @param {string|Buffer} secret - base32 string or raw key
+ */
+export const generateHotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+export const generateTotp = (secret, { time = Date.now(), stepSeconds = DEFAULT_STEP_SECONDS, digits = DEFAULT_DIGITS } = {}) => (
+  generateHotp(secret, getTimeStep(time, stepSeconds), digits)
+);
+
+/**
+ * Check a code against the current step and `window` steps either side (clock drift).
+ * Returns the matching time step so callers can refuse to accept it twice, or null.
+ */
+export const verifyTotp = (secret, code, {
+  time = Date.now(),
+  window = 1,
+  stepSeconds = DEFAULT_STEP_SECONDS,
+  digits = DEFAULT_DIGITS,
+} = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) return null;
+
+  const current = getTimeStep(time, stepSeconds);
+  for (let offset = -window; offset <= window; offset += 1) {
+    const expected = generateHotp(secret, current + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * Key URI that authenticator apps read from the enrollment QR code.
+ * https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+export const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+};
@@ -0,0 +1,31 @@
+import { query } from 'express-validator';
+import { AD_SERVER_PLACEMENTS } from '../services/adServerService.js';
+
+export const adDecisionValidator = [
+  query('placement')
+    .isIn(AD_SERVER_PLACEMENTS)
+    .withMessage(`Placement must be one of: ${AD_SERVER_PLACEMENTS.join(', ')}`),
+  query('device')
+    .optional()
+    .isIn(['desktop', 'mobile', 'tablet'])
+    .withMessage('Device must be desktop, mobile or tablet'),
+  query('categoryId')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+  query('sectionIndex')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0 })
+    .withMessage('Section index must be a non-negative integer')
+    .toInt(),
+  query('country')
+    .optional({ checkFalsy: true })
+    .isISO31661Alpha2()
+    .withMessage('Country must be a two-letter ISO code')
+    .toUpperCase(),
+  query('debug').optional().isBoolean().withMessage('Debug must be true or false').toBoolean(),
+];
+
+export default {
+  adDecisionValidator,
+};
@@ -0,0 +1,81 @@
+import { body, param, query } from 'express-validator';
+import { AD_CREATIVE_STATUSES } from '../models/AdCreativeSubmission.js';
+import { REPORT_BREAKDOWNS } from '../services/advertiserPortalService.js';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const advertiserReportValidator = [
+  query(['from', 'to'])
+    .optional()
+    .matches(DAY_PATTERN)
+    .withMessage('from and to must be dates in YYYY-MM-DD format'),
+  query('campaignId').optional().isMongoId().withMessage('Invalid campaign ID'),
+  query('collectionId').optional().isMongoId().withMessage('Invalid collection ID'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'pdf'])
+    .withMessage('Format must be json, csv or pdf'),
+  query('breakdown')
+    .optional()
+    .isIn(REPORT_BREAKDOWNS)
+    .withMessage(`Breakdown must be one of: ${REPORT_BREAKDOWNS.join(', ')}`),
+];
+
+export const submitCreativeValidator = [
+  body('campaignId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid campaign ID'),
+  body('collectionId').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid collection ID'),
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 200 })
+    .withMessage('Name cannot exceed 200 characters'),
+  body('linkUrl')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Link URL must be an http(s) URL'),
+  body('ctaText')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('CTA text cannot exceed 50 characters'),
+  body('altText')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Alt text cannot exceed 200 characters'),
+];
+
+export const reviewCreativesValidator = [
+  query('status')
+    .optional()
+    .isIn([...AD_CREATIVE_STATUSES, 'all'])
+    .withMessage(`Status must be one of: ${AD_CREATIVE_STATUSES.join(', ')}, all`),
+];
+
+export const approveCreativeValidator = [
+  param('id').isMongoId().withMessage('Invalid submission ID'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+];
+
+export const rejectCreativeValidator = [
+  param('id').isMongoId().withMessage('Invalid submission ID'),
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('Tell the advertiser why the creative was not approved')
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+];
+
+export default {
+  advertiserReportValidator,
+  submitCreativeValidator,
+  reviewCreativesValidator,
+  approveCreativeValidator,
+  rejectCreativeValidator,
+};
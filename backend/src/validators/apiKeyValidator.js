@@ -0,0 +1,72 @@
+import { body, param, query } from 'express-validator';
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { isValidIpRule } from '../utils/helpers.js';
+
+const apiKeyFields = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 100 })
+      .withMessage('Name cannot exceed 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    required(body('scopes'))
+      .isArray({ min: 1 })
+      .withMessage('Select at least one scope'),
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES)
+      .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+    body('ipAllowlist')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('IP allowlist must be an array of at most 50 entries'),
+    body('ipAllowlist.*')
+      .trim()
+      .custom(isValidIpRule)
+      .withMessage('IP allowlist entries must be IP addresses or IPv4 CIDR ranges'),
+    body('rateLimitPerMinute')
+      .optional()
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Rate limit must be between 1 and 10000 requests per minute')
+      .toInt(),
+    body('expiresAt')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('Expiry must be a valid date')
+      .toDate()
+      .custom((value) => value > new Date())
+      .withMessage('Expiry must be in the future'),
+  ];
+};
+
+export const createApiKeyValidator = [
+  ...apiKeyFields(),
+  body('user')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+export const updateApiKeyValidator = [
+  param('id').isMongoId().withMessage('Invalid API key ID'),
+  ...apiKeyFields(true),
+];
+
+export const apiKeyRequestsValidator = [
+  param('id').isMongoId().withMessage('Invalid API key ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+export default {
+  createApiKeyValidator,
+  updateApiKeyValidator,
+  apiKeyRequestsValidator,
+};
@@ -1,4 +1,16 @@
 import { body, query, param } from 'express-validator';
+import { ARTICLE_ACCESS_LEVELS } from '../utils/paywall.js';
+
+const scheduleDateValidator = (field) =>
+  body(field)
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage(`${field} must be a valid ISO 8601 date`);
+
+// Multi-select query values arrive as "a,b" or as a repeated parameter
+const listQueryValues = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map((item) => String(item).trim())
+  .filter(Boolean);
 
 export const createArticleValidator = [
   body('language')
@@ -97,6 +109,10 @@ export const createArticleValidator = [
     .optional()
     .isBoolean()
     .withMessage('isBreaking must be a boolean'),
+  body('accessLevel')
+    .optional()
+    .isIn(ARTICLE_ACCESS_LEVELS)
+    .withMessage('Access level must be free, metered or premium'),
 ];
 
 export const updateArticleValidator = [
@@ -137,8 +153,10 @@ export const updateArticleValidator = [
     .withMessage('Tags must be an array'),
   body('status')
     .optional()
-    .isIn(['draft', 'pending', 'published', 'rejected', 'archived'])
+    .isIn(['draft', 'pending', 'scheduled', 'published', 'rejected', 'archived'])
     .withMessage('Invalid status value'),
+  scheduleDateValidator('scheduledPublishAt'),
+  scheduleDateValidator('scheduledUnpublishAt'),
   body('postType')
     .optional()
     .isIn(['news', 'video'])
@@ -161,6 +179,10 @@ export const updateArticleValidator = [
       }
       return true;
     }),
+  body('accessLevel')
+    .optional()
+    .isIn(ARTICLE_ACCESS_LEVELS)
+    .withMessage('Access level must be free, metered or premium'),
 ];
 
 export const listArticlesValidator = [
@@ -188,7 +210,7 @@ export const listArticlesValidator = [
     .withMessage('Invalid author ID'),
   query('status')
     .optional()
-    .isIn(['draft', 'pending', 'published', 'rejected', 'archived'])
+    .isIn(['draft', 'pending', 'scheduled', 'published', 'rejected', 'archived'])
     .withMessage('Invalid status value'),
   query('sortBy')
     .optional()
@@ -226,6 +248,18 @@ export const searchArticlesValidator = [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
+  query(['categories', 'authors'])
+    .optional()
+    .custom((value) => listQueryValues(value).every((id) => /^[a-f\d]{24}$/i.test(id)))
+    .withMessage('Facet filters must be comma-separated IDs'),
+  query('months')
+    .optional()
+    .custom((value) => listQueryValues(value).every((month) => /^\d{4}-(0[1-9]|1[0-2])$/.test(month)))
+    .withMessage('Months must use the YYYY-MM format'),
+  query('postTypes')
+    .optional()
+    .custom((value) => listQueryValues(value).every((postType) => ['news', 'video'].includes(postType)))
+    .withMessage('postTypes must be news or video'),
 ];
 
 export const approveArticleValidator = [
@@ -255,6 +289,23 @@ const workflowLanguageValidator = () =>
     .matches(/^[a-z]{2}([-_][a-z]{2})?$/i)
     .withMessage('Language must be a valid ISO code');
 
+// [{ language, translatorId }] commissions; translatorId is optional (open to any translator)
+const translationCommissionValidators = (required = false) => [
+  (required ? body('translations') : body('translations').optional())
+    .isArray({ min: 1, max: 14 })
+    .withMessage('translations must be a list of 1 to 14 languages'),
+  body('translations.*.language')
+    .trim()
+    .notEmpty()
+    .withMessage('Each translation needs a language')
+    .matches(/^[a-z]{2}([-_][a-z]{2})?$/i)
+    .withMessage('Language must be a valid ISO code'),
+  body('translations.*.translatorId')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('translatorId must be a valid user ID'),
+];
+
 export const submitSourceWorkflowValidator = [
   param('id').isMongoId().withMessage('Invalid article ID'),
 ];
@@ -270,6 +321,7 @@ export const approveSourceWorkflowValidator = [
     .optional({ checkFalsy: true })
     .isMongoId()
     .withMessage('translatorId must be a valid user ID'),
+  ...translationCommissionValidators(),
 ];
 
 export const requestSourceChangesWorkflowValidator = [
@@ -308,6 +360,22 @@ export const requestTranslationChangesWorkflowValidator = [
     .withMessage('Reason cannot exceed 1000 characters'),
 ];
 
+export const translationProgressValidator = [
+  param('id').isMongoId().withMessage('Invalid article ID'),
+];
+
+export const updateTranslationAssignmentsValidator = [
+  param('id').isMongoId().withMessage('Invalid article ID'),
+  ...translationCommissionValidators(true),
+];
+
+export const removeTranslationAssignmentValidator = [
+  param('id').isMongoId().withMessage('Invalid article ID'),
+  param('language')
+    .matches(/^[a-z]{2}([-_][a-z]{2})?$/i)
+    .withMessage('Language must be a valid ISO code'),
+];
+
 export const finalApproveWorkflowValidator = [
   param('id').isMongoId().withMessage('Invalid article ID'),
   body('notes')
@@ -315,6 +383,15 @@ export const finalApproveWorkflowValidator = [
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Notes cannot exceed 1000 characters'),
+  scheduleDateValidator('scheduledPublishAt'),
+  scheduleDateValidator('scheduledUnpublishAt')
+    .custom((value, { req }) => {
+      const publishAt = req.body?.scheduledPublishAt ? new Date(req.body.scheduledPublishAt) : new Date();
+      if (new Date(value).getTime() <= publishAt.getTime()) {
+        throw new Error('scheduledUnpublishAt must be after the publish time');
+      }
+      return true;
+    }),
 ];
 
 export const finalRejectWorkflowValidator = [
@@ -327,6 +404,43 @@ export const finalRejectWorkflowValidator = [
     .withMessage('Reason cannot exceed 1000 characters'),
 ];
 
+export const listArticleRevisionsValidator = [
+  param('id').isMongoId().withMessage('Invalid article ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+export const articleRevisionValidator = [
+  param('id').isMongoId().withMessage('Invalid article ID'),
+  param('revisionId').isMongoId().withMessage('Invalid revision ID'),
+];
+
+export const diffArticleRevisionsValidator = [
+  param('id').isMongoId().withMessage('Invalid article ID'),
+  query('from')
+    .isMongoId()
+    .withMessage('from must be a revision ID'),
+  query('to')
+    .optional()
+    .custom((value) => value === 'current' || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('to must be a revision ID or "current"'),
+];
+
+export const restoreArticleRevisionValidator = [
+  ...articleRevisionValidator,
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+];
+
 export default {
   createArticleValidator,
   updateArticleValidator,
@@ -340,6 +454,13 @@ export default {
   submitTranslationWorkflowValidator,
   approveTranslationWorkflowValidator,
   requestTranslationChangesWorkflowValidator,
+  translationProgressValidator,
+  updateTranslationAssignmentsValidator,
+  removeTranslationAssignmentValidator,
   finalApproveWorkflowValidator,
   finalRejectWorkflowValidator,
+  listArticleRevisionsValidator,
+  articleRevisionValidator,
+  diffArticleRevisionsValidator,
+  restoreArticleRevisionValidator,
 };
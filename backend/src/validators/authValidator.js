@@ -81,6 +81,26 @@ export const socialExchangeValidator = [
     .withMessage('Social login code is required'),
 ];
 
+export const twoFactorCodeValidator = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+    .isLength({ max: 20 })
+    .withMessage('Invalid verification code'),
+];
+
+export const twoFactorVerifyValidator = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Sign-in session is required'),
+  ...twoFactorCodeValidator,
+  body('trustDevice')
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+];
+
 export const forgotPasswordValidator = [
   body('email')
     .trim()
@@ -115,14 +135,32 @@ export const verifyEmailValidator = [
   body('token').notEmpty().withMessage('Verification token is required'),
 ];
 
+export const sessionsValidator = [
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+export const revokeSessionValidator = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+  ...sessionsValidator,
+];
+
 export default {
   registerValidator,
   loginValidator,
   checkEmailValidator,
   socialProviderValidator,
   socialExchangeValidator,
+  twoFactorCodeValidator,
+  twoFactorVerifyValidator,
   forgotPasswordValidator,
   resetPasswordValidator,
   changePasswordValidator,
   verifyEmailValidator,
+  sessionsValidator,
+  revokeSessionValidator,
 };
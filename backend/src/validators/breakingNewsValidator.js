@@ -0,0 +1,89 @@
+import { body, param, query } from 'express-validator';
+import { BREAKING_NEWS_CHANNELS } from '../models/BreakingNews.js';
+
+const breakingNewsFields = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('title'))
+      .trim()
+      .notEmpty()
+      .withMessage('Title is required')
+      .isLength({ max: 150 })
+      .withMessage('Title cannot exceed 150 characters'),
+    required(body('summary'))
+      .trim()
+      .notEmpty()
+      .withMessage('Summary is required')
+      .isLength({ max: 300 })
+      .withMessage('Summary cannot exceed 300 characters'),
+    body('article')
+      .optional({ nullable: true, checkFalsy: true })
+      .isMongoId()
+      .withMessage('Invalid article ID'),
+    body('url')
+      .optional({ checkFalsy: true })
+      .trim()
+      .custom((value) => /^\/(?!\/)/.test(value) || /^https?:\/\//i.test(value))
+      .withMessage('URL must be a site path or an http(s) URL'),
+    body('imageUrl')
+      .optional({ checkFalsy: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Image URL cannot exceed 500 characters'),
+    body('priority')
+      .optional()
+      .isIn(['normal', 'high', 'critical'])
+      .withMessage('Priority must be normal, high or critical'),
+    body('channels')
+      .optional()
+      .isArray()
+      .withMessage('Channels must be an array'),
+    body('channels.*')
+      .isIn(BREAKING_NEWS_CHANNELS)
+      .withMessage(`Channels must be one of: ${BREAKING_NEWS_CHANNELS.join(', ')}`),
+    required(body('expiresAt'))
+      .isISO8601()
+      .withMessage('Expiry must be a valid date')
+      .toDate()
+      .custom((value) => value > new Date())
+      .withMessage('Expiry must be in the future'),
+    body('publish')
+      .optional()
+      .isBoolean()
+      .withMessage('publish must be a boolean')
+      .toBoolean(),
+  ];
+};
+
+export const createBreakingNewsValidator = breakingNewsFields();
+
+export const updateBreakingNewsValidator = [
+  param('id').isMongoId().withMessage('Invalid alert ID'),
+  ...breakingNewsFields(true),
+];
+
+export const listBreakingNewsValidator = [
+  query('status')
+    .optional()
+    .isIn(['draft', 'active', 'expired'])
+    .withMessage('Invalid alert status'),
+];
+
+export const breakingNewsStatsValidator = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+];
+
+export default {
+  createBreakingNewsValidator,
+  updateBreakingNewsValidator,
+  listBreakingNewsValidator,
+  breakingNewsStatsValidator,
+};
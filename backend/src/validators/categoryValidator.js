@@ -1,5 +1,22 @@
 import { body, param } from 'express-validator';
 
+// Optional per-stage deadline overrides (hours); empty/null clears an override
+const workflowSlaValidators = [
+  body('workflowSlaHours')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('workflowSlaHours must be an object'),
+  body([
+    'workflowSlaHours.sourceReview',
+    'workflowSlaHours.translation',
+    'workflowSlaHours.translationReview',
+    'workflowSlaHours.finalReview',
+  ])
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0.25, max: 720 })
+    .withMessage('Workflow deadlines must be between 0.25 and 720 hours'),
+];
+
 export const createCategoryValidator = [
   body('name')
     .trim()
@@ -43,6 +60,7 @@ export const createCategoryValidator = [
     .trim()
     .isLength({ max: 160 })
     .withMessage('Meta description cannot exceed 160 characters'),
+  ...workflowSlaValidators,
 ];
 
 export const updateCategoryValidator = [
@@ -87,6 +105,7 @@ export const updateCategoryValidator = [
     .optional()
     .isBoolean()
     .withMessage('isActive must be a boolean'),
+  ...workflowSlaValidators,
 ];
 
 export default {
@@ -0,0 +1,78 @@
+import { body, param, query } from 'express-validator';
+
+const feedSourceFields = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .notEmpty()
+      .withMessage('Source name is required')
+      .isLength({ max: 120 })
+      .withMessage('Source name cannot exceed 120 characters'),
+    required(body('url'))
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Feed URL must be a valid http(s) URL'),
+    required(body('category'))
+      .isMongoId()
+      .withMessage('Invalid category ID'),
+    required(body('defaultAuthor'))
+      .isMongoId()
+      .withMessage('Invalid default author ID'),
+    body('language')
+      .optional()
+      .isIn(['en', 'km', 'zh'])
+      .withMessage('Language must be en, km or zh'),
+    body('tags')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Tags must be an array of at most 10 items'),
+    body('tags.*')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Each tag cannot exceed 50 characters'),
+    body('pollIntervalMinutes')
+      .optional()
+      .isInt({ min: 5, max: 1440 })
+      .withMessage('Polling interval must be between 5 and 1440 minutes')
+      .toInt(),
+    body('ingestMode')
+      .optional()
+      .isIn(['draft', 'submit'])
+      .withMessage('Ingest mode must be draft or submit'),
+    body('maxItemsPerPoll')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Max items per poll must be between 1 and 100')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean(),
+  ];
+};
+
+export const createFeedSourceValidator = feedSourceFields();
+
+export const updateFeedSourceValidator = [
+  param('id').isMongoId().withMessage('Invalid feed source ID'),
+  ...feedSourceFields(true),
+];
+
+export const feedSourceLogsValidator = [
+  param('id').isMongoId().withMessage('Invalid feed source ID'),
+  query('status')
+    .optional()
+    .isIn(['running', 'success', 'partial', 'not_modified', 'error'])
+    .withMessage('Invalid log status'),
+];
+
+export default {
+  createFeedSourceValidator,
+  updateFeedSourceValidator,
+  feedSourceLogsValidator,
+};
@@ -0,0 +1,51 @@
+import { body, param, query } from 'express-validator';
+
+const PLANS = ['free', 'basic', 'premium', 'enterprise'];
+const INTERVALS = ['monthly', 'yearly', 'lifetime'];
+
+export const checkoutValidator = [
+  body('plan')
+    .isIn(PLANS.filter((plan) => plan !== 'free'))
+    .withMessage('Plan must be basic, premium or enterprise'),
+  body('interval')
+    .optional()
+    .isIn(['monthly', 'yearly'])
+    .withMessage('Interval must be monthly or yearly'),
+];
+
+export const cancelSubscriptionValidator = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
+
+export const listSubscriptionsValidator = [
+  query('plan')
+    .optional()
+    .isIn(PLANS)
+    .withMessage('Invalid plan'),
+  query('status')
+    .optional()
+    .isIn(['active', 'cancelled', 'expired', 'trial', 'paused'])
+    .withMessage('Invalid status'),
+];
+
+export const grantSubscriptionValidator = [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('plan')
+    .isIn(PLANS)
+    .withMessage('Invalid plan'),
+  body('interval')
+    .optional()
+    .isIn(INTERVALS)
+    .withMessage('Invalid billing interval'),
+];
+
+export default {
+  checkoutValidator,
+  cancelSubscriptionValidator,
+  listSubscriptionsValidator,
+  grantSubscriptionValidator,
+};
@@ -25,12 +25,29 @@ export const updateUserValidator = [
     .withMessage('Bio cannot exceed 500 characters'),
   body('role')
     .optional()
-    .isIn(['admin', 'editor', 'writer', 'translator', 'user'])
+    .isIn(['admin', 'editor', 'writer', 'translator', 'advertiser', 'user'])
     .withMessage('Invalid role'),
   body('status')
     .optional()
     .isIn(['active', 'inactive', 'suspended'])
     .withMessage('Invalid status'),
+  body('commentTrusted')
+    .optional()
+    .isBoolean()
+    .withMessage('commentTrusted must be a boolean')
+    .toBoolean(),
+  body('advertiser.company')
+    .optional()
+    .trim()
+    .isLength({ max: 120 })
+    .withMessage('Company cannot exceed 120 characters'),
+  body(['advertiser.campaigns', 'advertiser.collections'])
+    .optional()
+    .isArray()
+    .withMessage('Linked campaigns and collections must be arrays'),
+  body(['advertiser.campaigns.*', 'advertiser.collections.*'])
+    .isMongoId()
+    .withMessage('Invalid campaign or collection ID'),
   body('gender')
     .optional()
     .trim()
@@ -108,7 +125,7 @@ export const listUsersValidator = [
     .withMessage('Limit must be between 1 and 100'),
   query('role')
     .optional()
-    .isIn(['admin', 'editor', 'writer', 'translator', 'user'])
+    .isIn(['admin', 'editor', 'writer', 'translator', 'advertiser', 'user'])
     .withMessage('Invalid role'),
   query('status')
     .optional()
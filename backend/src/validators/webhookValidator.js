@@ -0,0 +1,66 @@
+import { body, param, query } from 'express-validator';
+import { WEBHOOK_EVENTS } from '../models/Webhook.js';
+import { WEBHOOK_DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+
+const webhookFields = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 100 })
+      .withMessage('Name cannot exceed 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+    required(body('url'))
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('URL must be a valid http(s) URL')
+      .isLength({ max: 2000 })
+      .withMessage('URL cannot exceed 2000 characters'),
+    required(body('events'))
+      .isArray({ min: 1 })
+      .withMessage('Select at least one event'),
+    body('events.*')
+      .isIn(WEBHOOK_EVENTS)
+      .withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be a boolean')
+      .toBoolean(),
+  ];
+};
+
+export const createWebhookValidator = webhookFields();
+
+export const updateWebhookValidator = [
+  param('id').isMongoId().withMessage('Invalid webhook ID'),
+  ...webhookFields(true),
+];
+
+export const webhookDeliveriesValidator = [
+  param('id').isMongoId().withMessage('Invalid webhook ID'),
+  query('status')
+    .optional()
+    .isIn(WEBHOOK_DELIVERY_STATUSES)
+    .withMessage(`Status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+export const redeliverValidator = [
+  param('deliveryId').isMongoId().withMessage('Invalid delivery ID'),
+];
+
+export default {
+  createWebhookValidator,
+  updateWebhookValidator,
+  webhookDeliveriesValidator,
+  redeliverValidator,
+};
@@ -16,6 +16,7 @@ const ArticlesPage = lazy(() => import('./pages/public/articles.jsx').then((m) =
 const VideosPage = lazy(() => import('./pages/public/articles.jsx').then((m) => ({ default: m.VideosPage })));
 const ArticlePage = lazy(() => import('./pages/public/article-detail.jsx').then((m) => ({ default: m.ArticlePage })));
 const CategoryPage = lazy(() => import('./pages/public/articles.jsx').then((m) => ({ default: m.CategoryPage })));
+const AuthorPage = lazy(() => import('./pages/public/articles.jsx').then((m) => ({ default: m.AuthorPage })));
 const CategoriesListPage = lazy(() => import('./pages/public/articles.jsx').then((m) => ({ default: m.CategoriesListPage })));
 const LoginPage = lazy(() => import('./pages/public/auth.jsx').then((m) => ({ default: m.LoginPage })));
 const RegisterPage = lazy(() => import('./pages/public/auth.jsx').then((m) => ({ default: m.RegisterPage })));
@@ -28,6 +29,7 @@ const PreviewPage = lazy(() => import('./pages/public/misc.jsx').then((m) => ({
 const PreviewByIdPage = lazy(() => import('./pages/public/misc.jsx').then((m) => ({ default: m.PreviewByIdPage })));
 const VerifyEmailPage = lazy(() => import('./pages/public/auth.jsx').then((m) => ({ default: m.VerifyEmailPage })));
 const NewsletterConfirmPage = lazy(() => import('./pages/public/auth.jsx').then((m) => ({ default: m.NewsletterConfirmPage })));
+const CommentVerifyPage = lazy(() => import('./pages/public/auth.jsx').then((m) => ({ default: m.CommentVerifyPage })));
 const NewsletterUnsubscribePage = lazy(() => import('./pages/public/auth.jsx').then((m) => ({ default: m.NewsletterUnsubscribePage })));
 const ForgotPasswordPage = lazy(() => import('./pages/public/auth.jsx').then((m) => ({ default: m.ForgotPasswordPage })));
 const ResetPasswordPage = lazy(() => import('./pages/public/auth.jsx').then((m) => ({ default: m.ResetPasswordPage })));
@@ -51,6 +53,11 @@ const NotificationsPage = lazy(() => import('./pages/dashboard/index.jsx').then(
 const AdsControlPage = lazy(() => import('./pages/dashboard/index.jsx').then((m) => ({ default: m.AdsControlPage })));
 const AdInsightsPage = lazy(() => import('./pages/dashboard/index.jsx').then((m) => ({ default: m.AdInsightsPage })));
 const ArticleInsightsPage = lazy(() => import('./pages/dashboard/index.jsx').then((m) => ({ default: m.ArticleInsightsPage })));
+const BreakingNewsPage = lazy(() => import('./pages/dashboard/index.jsx').then((m) => ({ default: m.BreakingNewsPage })));
+const ApiKeysPage = lazy(() => import('./pages/dashboard/index.jsx').then((m) => ({ default: m.ApiKeysPage })));
+const WebhooksPage = lazy(() => import('./pages/dashboard/index.jsx').then((m) => ({ default: m.WebhooksPage })));
+const AdvertiserPortalPage = lazy(() => import('./pages/dashboard/index.jsx').then((m) => ({ default: m.AdvertiserPortalPage })));
+const AdCreativeReviewPage = lazy(() => import('./pages/dashboard/index.jsx').then((m) => ({ default: m.AdCreativeReviewPage })));
 
 // NEW: Collection-based Ads System
 const AdCollectionsPage = lazy(() => import('./pages/dashboard/ad-collections/AdCollectionsPage.jsx'));
@@ -89,6 +96,17 @@ function ProtectedRoute({ children, roles }) {
   return children;
 }
 
+// Advertisers only get their portal, so the newsroom overview sends them there
+function DashboardIndex() {
+  const { user } = useAuthStore();
+
+  if (user?.role === 'advertiser') {
+    return <Navigate to="/dashboard/advertiser" replace />;
+  }
+
+  return <DashboardHome />;
+}
+
 function AccountRoute({ children }) {
   const { isAuthenticated, user } = useAuthStore();
   const location = useLocation();
@@ -196,9 +214,11 @@ export default function App() {
             <Route path="/article/:slug" element={<ArticlePage />} />
             <Route path="/share/:slug" element={<ShareRedirectRoute />} />
             <Route path="/category/:slug" element={<CategoryPage />} />
+            <Route path="/author/:id" element={<AuthorPage />} />
             <Route path="/categories" element={<CategoriesListPage />} />
             <Route path="/newsletter/confirm" element={<NewsletterConfirmPage />} />
             <Route path="/newsletter/unsubscribe" element={<NewsletterUnsubscribePage />} />
+            <Route path="/comments/verify" element={<CommentVerifyPage />} />
             <Route path="/about" element={<AboutPage />} />
             <Route path="/contact" element={<ContactPage />} />
             <Route
@@ -271,7 +291,7 @@ export default function App() {
               </ProtectedRoute>
             }
           >
-            <Route index element={<DashboardHome />} />
+            <Route index element={<DashboardIndex />} />
             <Route
               path="articles"
               element={
@@ -345,6 +365,46 @@ export default function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="breaking-news"
+              element={
+                <ProtectedRoute roles={['admin', 'editor']}>
+                  <BreakingNewsPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="api-keys"
+              element={
+                <ProtectedRoute roles={['admin']}>
+                  <ApiKeysPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="webhooks"
+              element={
+                <ProtectedRoute roles={['admin']}>
+                  <WebhooksPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="advertiser"
+              element={
+                <ProtectedRoute roles={['advertiser']}>
+                  <AdvertiserPortalPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="ad-creatives"
+              element={
+                <ProtectedRoute roles={['admin', 'editor']}>
+                  <AdCreativeReviewPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="newsletter"
               element={
@@ -362,7 +422,14 @@ export default function App() {
                 </ProtectedRoute>
               }
             />
-            <Route path="ai" element={<AIAssistantPage />} />
+            <Route
+              path="ai"
+              element={
+                <ProtectedRoute roles={['writer', 'editor', 'translator', 'admin']}>
+                  <AIAssistantPage />
+                </ProtectedRoute>
+              }
+            />
             <Route path="profile" element={<ProfilePage />} />
             
             {/* New CMS Pages - Admin Only */}
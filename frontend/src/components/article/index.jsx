@@ -1,6 +1,6 @@
 import { Link } from 'react-router-dom';
 import { Clock, Eye, User } from 'lucide-react';
-import { cn, formatRelativeTime, formatDate, truncate, buildMediaUrl } from '../../utils';
+import { cn, formatRelativeTime, formatDate, truncate, buildMediaUrl, buildMediaSrcset } from '../../utils';
 import { Badge } from '../common/index.jsx';
 import { BodyAd } from '../ads/index.js';
 
@@ -106,6 +106,31 @@ function linkifyHtml(rawHtml) {
   return root.innerHTML;
 }
 
+// ==================== ARTICLE IMAGE ====================
+// Featured image with the AVIF/WebP srcsets from the API (featuredImageSrcset)
+// and its blurred placeholder behind it while loading
+export function ArticleImage({ article, src, alt, sizes, className, loading = 'lazy', decoding }) {
+  const srcset = article?.featuredImageSrcset || {};
+  const placeholder = article?.featuredImagePlaceholder;
+  const avif = buildMediaSrcset(srcset.avif);
+  const webp = buildMediaSrcset(srcset.webp);
+
+  return (
+    <picture>
+      {avif && <source type="image/avif" srcSet={avif} sizes={sizes} />}
+      {webp && <source type="image/webp" srcSet={webp} sizes={sizes} />}
+      <img
+        src={src}
+        alt={alt}
+        loading={loading}
+        decoding={decoding}
+        className={className}
+        style={placeholder ? { backgroundImage: `url(${placeholder})`, backgroundSize: 'cover', backgroundPosition: 'center' } : undefined}
+      />
+    </picture>
+  );
+}
+
 // ==================== ARTICLE CARD ====================
 export function ArticleCard({ article, variant = 'default', index = 0, priority = false }) {
   const {
@@ -130,10 +155,11 @@ export function ArticleCard({ article, variant = 'default', index = 0, priority
     return (
       <article className="mobile-card flex gap-3 p-3 bg-white dark:bg-dark-900 rounded-xl border border-dark-100 dark:border-dark-800">
         <Link to={`/article/${slug}`} className="relative flex-shrink-0">
-          <img
+          <ArticleImage
+            article={article}
             src={imageUrl}
             alt={title}
-            loading="lazy"
+            sizes="(min-width: 640px) 128px, 96px"
             className="w-24 h-24 sm:w-32 sm:h-24 object-cover rounded-md"
           />
 
@@ -181,9 +207,11 @@ export function ArticleCard({ article, variant = 'default', index = 0, priority
             isFeatured && 'lg:w-1/2 lg:flex-shrink-0'
           )}
         >
-          <img
+          <ArticleImage
+            article={article}
             src={imageUrl}
             alt={title}
+            sizes={isFeatured ? '(min-width: 1024px) 50vw, 100vw' : '(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw'}
             loading={priority ? 'eager' : 'lazy'}
             decoding="async"
             className={cn(
@@ -259,9 +287,11 @@ export function FeaturedArticle({ article }) {
     <article className="relative rounded-2xl sm:rounded-3xl overflow-hidden group">
       {/* Image */}
       <div className="aspect-[4/3] sm:aspect-[16/9] lg:aspect-[21/9]">
-        <img loading="lazy"
+        <ArticleImage
+          article={article}
           src={imageUrl}
           alt={title}
+          sizes="100vw"
           className="w-full h-full object-cover transition-transform duration-700 group-hover:scale-105"
         />
       </div>
@@ -406,6 +436,33 @@ function Block({ block }) {
         </figure>
       );
 
+    case 'linkTool': {
+      const href = data.link;
+      if (!isHttpUrl(href)) return null;
+      const imageUrl = buildMediaUrl(data.meta?.image?.url || '');
+      const hostname = new URL(href).hostname;
+
+      return (
+        <a
+          href={href}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="not-prose my-6 flex overflow-hidden rounded-xl border border-dark-200 dark:border-dark-700 hover:bg-dark-50 dark:hover:bg-dark-800 transition-colors"
+        >
+          <div className="min-w-0 flex-1 p-4">
+            <p className="font-semibold text-dark-900 dark:text-white line-clamp-2">{data.meta?.title || href}</p>
+            {data.meta?.description && (
+              <p className="mt-1 text-sm text-dark-500 line-clamp-2">{data.meta.description}</p>
+            )}
+            <p className="mt-2 text-xs text-dark-400">{data.meta?.site_name || hostname}</p>
+          </div>
+          {imageUrl && (
+            <img loading="lazy" src={imageUrl} alt="" className="w-32 sm:w-40 flex-shrink-0 object-cover" />
+          )}
+        </a>
+      );
+    }
+
     case 'code':
       return (
         <pre>
@@ -0,0 +1,105 @@
+import { LogOut, Monitor, Smartphone, Tablet } from 'lucide-react';
+import { useRevokeOtherSessions, useRevokeSession, useSessions } from '../../hooks/useApi';
+import { Badge, Button } from '../common/index.jsx';
+import { formatRelativeTime } from '../../utils';
+
+const deviceIcons = {
+  mobile: Smartphone,
+  tablet: Tablet,
+};
+
+const describeBrowser = (userAgent = '') => {
+  const browser = ['Edg', 'OPR', 'Firefox', 'Chrome', 'Safari'].find((name) => userAgent.includes(`${name}/`));
+  const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find((name) => userAgent.includes(name));
+  const label = { Edg: 'Edge', OPR: 'Opera' }[browser] || browser;
+  return [label || 'Unknown browser', os].filter(Boolean).join(' on ');
+};
+
+/**
+ * Signed-in devices with per-session revoke. Without `userId` it manages the
+ * current user's sessions; admins pass a `userId` to manage someone else's.
+ */
+export function ActiveSessions({ userId, embedded = false }) {
+  const { data: sessions = [], isLoading } = useSessions(userId);
+  const { mutate: revoke, isPending: isRevoking, variables: revokingId } = useRevokeSession(userId);
+  const { mutate: revokeOthers, isPending: isRevokingOthers } = useRevokeOtherSessions(userId);
+
+  const others = sessions.filter((session) => !session.current);
+
+  const list = isLoading ? (
+    <div className="w-8 h-8 mx-auto my-6 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+  ) : sessions.length === 0 ? (
+    <p className="text-sm text-dark-500 py-4">No active sessions.</p>
+  ) : (
+    <ul className="divide-y divide-dark-100 dark:divide-dark-800">
+      {sessions.map((session) => {
+        const Icon = deviceIcons[session.deviceType] || Monitor;
+        return (
+          <li key={session._id} className="flex items-center gap-3 py-3">
+            <Icon className="w-5 h-5 text-dark-400 shrink-0" />
+            <div className="min-w-0 flex-1">
+              <p className="text-sm font-medium text-dark-900 dark:text-white truncate" title={session.userAgent}>
+                {describeBrowser(session.userAgent)}
+              </p>
+              <p className="text-xs text-dark-500">
+                Active {formatRelativeTime(session.lastSeenAt)} · signed in {formatRelativeTime(session.createdAt)}
+              </p>
+            </div>
+            {session.current ? (
+              <Badge variant="success">This device</Badge>
+            ) : (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => revoke(session._id)}
+                isLoading={isRevoking && revokingId === session._id}
+              >
+                Revoke
+              </Button>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  const revokeAllButton = others.length > 0 && (
+    <Button
+      variant="outline"
+      size="sm"
+      onClick={() => revokeOthers()}
+      isLoading={isRevokingOthers}
+      leftIcon={<LogOut className="w-4 h-4" />}
+    >
+      {userId ? 'Revoke all' : 'Sign out other devices'}
+    </Button>
+  );
+
+  if (embedded) {
+    return (
+      <div className="space-y-3">
+        {list}
+        {revokeAllButton && <div className="flex justify-end">{revokeAllButton}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="font-semibold text-dark-900 dark:text-white flex items-center gap-2">
+            <Monitor className="w-5 h-5 text-primary-600" /> Active sessions
+          </h2>
+          <p className="text-sm text-dark-500 mt-1">
+            Devices signed in to your account. Revoke any you don&apos;t recognise.
+          </p>
+        </div>
+        {revokeAllButton}
+      </div>
+      <div className="mt-2">{list}</div>
+    </div>
+  );
+}
+
+export default ActiveSessions;
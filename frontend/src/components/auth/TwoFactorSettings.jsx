@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import { KeyRound, ShieldCheck, ShieldOff } from 'lucide-react';
+import {
+  useDisableTwoFactor,
+  useRegenerateRecoveryCodes,
+  useTwoFactorStatus,
+} from '../../hooks/useApi';
+import { useAuthStore } from '../../stores/authStore';
+import { Badge, Button, Input, Modal } from '../common/index.jsx';
+import { formatDate } from '../../utils';
+import { RecoveryCodes, TwoFactorSetup } from './TwoFactorSetup.jsx';
+
+/**
+ * Profile card for turning two-factor authentication on and off and
+ * replacing recovery codes.
+ */
+export function TwoFactorSettings() {
+  const updateUser = useAuthStore((state) => state.updateUser);
+  const { data: status, isLoading } = useTwoFactorStatus();
+  const { mutate: disable, isPending: isDisabling } = useDisableTwoFactor();
+  const { mutate: regenerate, isPending: isRegenerating } = useRegenerateRecoveryCodes();
+  // 'setup' | 'disable' | 'regenerate' | null
+  const [dialog, setDialog] = useState(null);
+  const [code, setCode] = useState('');
+  const [newCodes, setNewCodes] = useState(null);
+
+  const closeDialog = () => {
+    setDialog(null);
+    setCode('');
+    setNewCodes(null);
+  };
+
+  const handleCodeSubmit = (e) => {
+    e.preventDefault();
+    if (dialog === 'disable') {
+      disable(code.trim(), {
+        onSuccess: () => {
+          updateUser({ twoFactorEnabled: false });
+          closeDialog();
+        },
+      });
+      return;
+    }
+    regenerate(code.trim(), {
+      onSuccess: (response) => {
+        setCode('');
+        setNewCodes(response.data.data.recoveryCodes);
+      },
+    });
+  };
+
+  if (isLoading || !status) return null;
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="font-semibold text-dark-900 dark:text-white flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5 text-primary-600" /> Two-factor authentication
+          </h2>
+          <p className="text-sm text-dark-500 mt-1">
+            {status.enabled
+              ? `Enabled since ${formatDate(status.enabledAt)}. ${status.recoveryCodesRemaining} recovery codes left.`
+              : 'Protect your account with a code from an authenticator app when you sign in.'}
+          </p>
+          {status.required && (
+            <p className="text-xs text-amber-600 mt-1">Required for your role by site policy.</p>
+          )}
+        </div>
+        <Badge variant={status.enabled ? 'success' : 'neutral'}>{status.enabled ? 'On' : 'Off'}</Badge>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-4">
+        {status.enabled ? (
+          <>
+            <Button variant="outline" size="sm" onClick={() => setDialog('regenerate')} leftIcon={<KeyRound className="w-4 h-4" />}>
+              New recovery codes
+            </Button>
+            {!status.required && (
+              <Button variant="danger" size="sm" onClick={() => setDialog('disable')} leftIcon={<ShieldOff className="w-4 h-4" />}>
+                Disable
+              </Button>
+            )}
+          </>
+        ) : (
+          <Button size="sm" onClick={() => setDialog('setup')} leftIcon={<ShieldCheck className="w-4 h-4" />}>
+            Set up two-factor
+          </Button>
+        )}
+      </div>
+
+      <Modal isOpen={dialog === 'setup'} onClose={closeDialog} title="Set up two-factor authentication">
+        {dialog === 'setup' && (
+          <TwoFactorSetup
+            onComplete={() => {
+              updateUser({ twoFactorEnabled: true });
+              closeDialog();
+            }}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={dialog === 'disable' || dialog === 'regenerate'}
+        onClose={closeDialog}
+        title={dialog === 'disable' ? 'Disable two-factor authentication' : 'New recovery codes'}
+      >
+        {newCodes ? (
+          <div className="space-y-4">
+            <RecoveryCodes codes={newCodes} />
+            <div className="flex justify-end">
+              <Button onClick={closeDialog}>Done</Button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleCodeSubmit} className="space-y-4">
+            <p className="text-sm text-dark-600 dark:text-dark-400">
+              {dialog === 'disable'
+                ? 'Enter a code from your authenticator app to turn two-factor authentication off.'
+                : 'Enter a code from your authenticator app. Your old recovery codes will stop working.'}
+            </p>
+            <Input
+              label="Verification code"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              maxLength={20}
+              required
+            />
+            <div className="flex justify-end gap-2">
+              <Button type="button" variant="secondary" onClick={closeDialog}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant={dialog === 'disable' ? 'danger' : 'primary'}
+                isLoading={isDisabling || isRegenerating}
+              >
+                {dialog === 'disable' ? 'Disable' : 'Generate'}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
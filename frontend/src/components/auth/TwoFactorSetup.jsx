@@ -0,0 +1,123 @@
+import { useEffect, useRef, useState } from 'react';
+import { Copy, Download, ShieldCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useEnableTwoFactor, useSetupTwoFactor } from '../../hooks/useApi';
+import { Button, Input } from '../common/index.jsx';
+
+/**
+ * One-time recovery codes with copy/download, shown right after they are generated.
+ */
+export function RecoveryCodes({ codes }) {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'bassac-post-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-dark-600 dark:text-dark-400">
+        Each code signs you in once if you lose your authenticator. Store them somewhere safe; they will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 rounded-xl bg-dark-100 dark:bg-dark-800 p-4 font-mono text-sm text-dark-900 dark:text-white">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy} leftIcon={<Copy className="w-4 h-4" />}>
+          Copy
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload} leftIcon={<Download className="w-4 h-4" />}>
+          Download
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * TOTP enrollment: QR code, confirmation code, then recovery codes.
+ * Pass `challengeToken` when enrolling as part of sign-in; `onComplete`
+ * receives the enable response (tokens included in that case).
+ */
+export function TwoFactorSetup({ challengeToken, onComplete }) {
+  const { mutate: setup, data: setupResponse, isPending: isStarting } = useSetupTwoFactor();
+  const { mutate: enable, isPending: isEnabling } = useEnableTwoFactor();
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    if (startedRef.current) return;
+    startedRef.current = true;
+    setup(challengeToken ? { challengeToken } : {});
+  }, [challengeToken, setup]);
+
+  const enrollment = setupResponse?.data?.data;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    enable(
+      { challengeToken, code: code.trim() },
+      { onSuccess: (response) => setResult(response.data.data) }
+    );
+  };
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <RecoveryCodes codes={result.recoveryCodes || []} />
+        <Button type="button" className="w-full" onClick={() => onComplete?.(result)}>
+          I have saved my recovery codes
+        </Button>
+      </div>
+    );
+  }
+
+  if (isStarting || !enrollment) {
+    return <div className="w-10 h-10 mx-auto my-8 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-dark-600 dark:text-dark-400">
+        Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Authy, then enter the 6-digit code it shows.
+      </p>
+      <img src={enrollment.qrCode} alt="Two-factor QR code" className="mx-auto w-48 h-48 rounded-lg bg-white p-2" />
+      <div className="text-center">
+        <p className="text-xs text-dark-500">Can&apos;t scan it? Enter this key instead:</p>
+        <code className="text-sm font-mono break-all text-dark-900 dark:text-white">{enrollment.secret}</code>
+      </div>
+      <Input
+        label="Verification code"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        placeholder="123456"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        maxLength={6}
+        required
+      />
+      <Button type="submit" className="w-full" isLoading={isEnabling} leftIcon={<ShieldCheck className="w-4 h-4" />}>
+        Enable two-factor authentication
+      </Button>
+    </form>
+  );
+}
+
+export default TwoFactorSetup;
@@ -0,0 +1,89 @@
+import { useEffect, useState } from 'react';
+import { Ban } from 'lucide-react';
+import { useSanctionCommenter } from '../../hooks/useApi';
+import { Button, Input, Modal, Textarea } from '../common/index.jsx';
+import { cn } from '../../utils';
+import { SANCTION_TYPES } from './sanctionTypes';
+
+/**
+ * Ban, suspend or shadow-ban a commenter.
+ * `target` is { userId } for an account or { commentId } for whoever wrote a
+ * comment (the only way to reach guests), plus a `name` for the title.
+ */
+export function CommenterSanctionModal({ target, onClose }) {
+  const { mutate: sanction, isPending } = useSanctionCommenter();
+  const [form, setForm] = useState({ type: 'suspension', durationHours: 24, reason: '' });
+
+  useEffect(() => {
+    if (target) setForm({ type: 'suspension', durationHours: 24, reason: '' });
+  }, [target]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    sanction(
+      {
+        userId: target.userId,
+        commentId: target.commentId,
+        type: form.type,
+        durationHours: form.durationHours ? Number(form.durationHours) : undefined,
+        reason: form.reason,
+      },
+      { onSuccess: onClose }
+    );
+  };
+
+  return (
+    <Modal isOpen={!!target} onClose={onClose} title={`Sanction ${target?.name || 'commenter'}`}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          {Object.entries(SANCTION_TYPES).map(([type, config]) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => setForm({ ...form, type, durationHours: type === 'suspension' ? form.durationHours || 24 : '' })}
+              className={cn('card p-3 text-left transition-all', form.type === type && 'ring-2 ring-primary-500')}
+            >
+              <p className="font-medium text-sm text-dark-900 dark:text-white">{config.label}</p>
+              <p className="text-xs text-dark-500">{config.description}</p>
+            </button>
+          ))}
+        </div>
+
+        <Input
+          label={form.type === 'suspension' ? 'Duration (hours)' : 'Duration (hours, leave empty for no end)'}
+          type="number"
+          min={1}
+          value={form.durationHours}
+          onChange={(e) => setForm({ ...form, durationHours: e.target.value })}
+          required={form.type === 'suspension'}
+        />
+
+        <Textarea
+          label="Reason"
+          value={form.reason}
+          onChange={(e) => setForm({ ...form, reason: e.target.value })}
+          placeholder="Recorded in the moderation log"
+          maxLength={500}
+          rows={3}
+        />
+
+        {target?.commentId && !target?.userId && (
+          <p className="text-xs text-dark-500">
+            Guests are matched on their email and IP address. Only hashes are stored.
+          </p>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <Button type="button" variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="danger" isLoading={isPending}>
+            <Ban className="w-4 h-4 mr-1" /> {SANCTION_TYPES[form.type].label}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+export default CommenterSanctionModal;
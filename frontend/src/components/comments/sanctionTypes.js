@@ -0,0 +1,6 @@
+// Commenter sanction types as labelled in the dashboard
+export const SANCTION_TYPES = {
+  ban: { label: 'Ban', description: 'Cannot comment until the ban is lifted', badge: 'badge-danger' },
+  suspension: { label: 'Suspend', description: 'Cannot comment for a set time', badge: 'badge-warning' },
+  shadow_ban: { label: 'Shadow-ban', description: 'Comments stay visible only to the commenter', badge: 'badge-neutral' },
+};
@@ -234,7 +234,11 @@ const EditorComponent = forwardRef(({ data, onChange, placeholder }, ref) => {
             linkTool: {
               class: LinkTool,
               config: {
-                endpoint: buildApiUrl('/fetch-url')
+                endpoint: buildApiUrl('/fetch-url'),
+                // Link previews are fetched server-side for newsroom users only
+                headers: {
+                  Authorization: `Bearer ${getAuthToken()}`
+                }
               }
             },
             marker: {
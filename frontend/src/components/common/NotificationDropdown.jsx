@@ -24,6 +24,8 @@ const typeIcons = {
   comment_reply: MessageCircle,
   comment_approved: Check,
   comment_rejected: AlertCircle,
+  creative_approved: Check,
+  creative_rejected: AlertCircle,
   user_mentioned: User,
   role_changed: User,
   system_announcement: Megaphone,
@@ -45,6 +47,8 @@ const typeColors = {
   comment_reply: 'text-blue-600 bg-blue-100 dark:bg-blue-900/30',
   comment_approved: 'text-emerald-600 bg-emerald-100 dark:bg-emerald-900/30',
   comment_rejected: 'text-red-600 bg-red-100 dark:bg-red-900/30',
+  creative_approved: 'text-emerald-600 bg-emerald-100 dark:bg-emerald-900/30',
+  creative_rejected: 'text-red-600 bg-red-100 dark:bg-red-900/30',
   user_mentioned: 'text-purple-600 bg-purple-100 dark:bg-purple-900/30',
   role_changed: 'text-amber-600 bg-amber-100 dark:bg-amber-900/30',
   system_announcement: 'text-primary-600 bg-primary-100 dark:bg-primary-900/30',
@@ -179,6 +179,7 @@ export function StatusBadge({ status }) {
   const config = {
     draft: { className: 'badge-neutral', label: 'Draft' },
     pending: { className: 'badge-warning', label: 'Pending' },
+    scheduled: { className: 'badge-primary', label: 'Scheduled' },
     published: { className: 'badge-success', label: 'Published' },
     rejected: { className: 'badge-danger', label: 'Rejected' },
     archived: { className: 'badge-neutral', label: 'Archived' },
@@ -189,6 +190,39 @@ export function StatusBadge({ status }) {
   return <span className={cn('badge', className)}>{translateText(label)}</span>;
 }
 
+// ==================== TRANSLATION PROGRESS ====================
+// One chip per commissioned language (workflow translationProgress from the API)
+export function TranslationProgressChips({ progress }) {
+  const { translateText } = useLanguage();
+  const languages = progress?.languages || [];
+  if (!languages.length) return null;
+
+  const config = {
+    in_translation: { variant: 'neutral', label: 'Translating' },
+    changes_requested: { variant: 'danger', label: 'Changes requested' },
+    submitted: { variant: 'warning', label: 'In review' },
+    approved: { variant: 'success', label: 'Approved' },
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {languages.map((entry) => {
+        const { variant, label } = config[entry.state] || config.in_translation;
+        const translator = entry.translator?.firstName
+          ? `${entry.translator.firstName} ${entry.translator.lastName || ''}`.trim()
+          : translateText('Unassigned');
+        return (
+          <span key={entry.language} title={translator}>
+            <Badge variant={variant}>
+              {entry.language.toUpperCase()} · {translateText(label)}
+            </Badge>
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
 // ==================== SPINNER ====================
 export function Spinner({ className, size = 'md' }) {
   const sizes = {
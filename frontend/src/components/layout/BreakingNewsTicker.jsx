@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Zap } from 'lucide-react';
+import { useActiveBreakingNews } from '../../hooks/useApi';
+import { breakingNewsAPI } from '../../services/api';
+import useLanguage from '../../hooks/useLanguage';
+import { cn } from '../../utils';
+
+const SEEN_STORAGE_KEY = 'bp_breaking_seen';
+const ROTATE_MS = 8000;
+
+// Count each alert view once per browser session
+const markSeen = (id) => {
+    try {
+        const seen = JSON.parse(sessionStorage.getItem(SEEN_STORAGE_KEY) || '[]');
+        if (seen.includes(id)) return false;
+        sessionStorage.setItem(SEEN_STORAGE_KEY, JSON.stringify([...seen, id].slice(-50)));
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Same-site links navigate in the SPA; returns null for external URLs
+const toRoute = (url) => {
+    try {
+        const parsed = new URL(url, window.location.origin);
+        return parsed.origin === window.location.origin ? `${parsed.pathname}${parsed.search}` : null;
+    } catch {
+        return null;
+    }
+};
+
+export default function BreakingNewsTicker({ fallbackText = '' }) {
+    const { translateText } = useLanguage();
+    const navigate = useNavigate();
+    const { data: alerts = [] } = useActiveBreakingNews();
+    const [index, setIndex] = useState(0);
+
+    const current = alerts.length ? alerts[index % alerts.length] : null;
+
+    useEffect(() => {
+        if (alerts.length < 2) return undefined;
+        const timer = window.setInterval(() => setIndex((value) => value + 1), ROTATE_MS);
+        return () => window.clearInterval(timer);
+    }, [alerts.length]);
+
+    useEffect(() => {
+        if (current && markSeen(current._id)) {
+            breakingNewsAPI.trackView(current._id).catch(() => {});
+        }
+    }, [current]);
+
+    if (!current && !fallbackText) return null;
+
+    const handleClick = (e) => {
+        if (!current) return;
+        breakingNewsAPI.trackClick(current._id).catch(() => {});
+        const route = toRoute(current.url);
+        if (route) {
+            e.preventDefault();
+            navigate(route);
+        }
+    };
+
+    return (
+        <div className={cn('text-white', current?.priority === 'critical' ? 'bg-red-700' : 'bg-red-600')}>
+            <div className="container-custom flex items-center gap-3 h-9 text-sm">
+                <span className="flex items-center gap-1 font-bold uppercase tracking-wide flex-shrink-0">
+                    <Zap className="w-4 h-4" />
+                    {translateText('Breaking')}
+                </span>
+                {current ? (
+                    <a
+                        href={current.url}
+                        onClick={handleClick}
+                        className="truncate hover:underline"
+                        title={current.summary}
+                    >
+                        {current.title}
+                    </a>
+                ) : (
+                    <span className="truncate">{fallbackText}</span>
+                )}
+            </div>
+        </div>
+    );
+}
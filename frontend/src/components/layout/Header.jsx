@@ -15,6 +15,7 @@ import useLanguage from '../../hooks/useLanguage';
 import {Avatar} from '../common/index.jsx';
 import {NotificationDropdown} from '../common/NotificationDropdown.jsx';
 import LanguageSelector from '../common/LanguageSelector.jsx';
+import BreakingNewsTicker from './BreakingNewsTicker.jsx';
 import {cn, buildMediaUrl} from '../../utils';
 
 const SEARCH_OVERLAY_ANIMATION_MS = 220;
@@ -44,6 +45,7 @@ export default function Header() {
     const showDarkModeToggle = headerSettings.showDarkModeToggle !== false && features.enableDarkMode !== false;
     const showCategoriesNav = headerSettings.showCategories !== false;
     const isSticky = headerSettings.sticky !== false;
+    const showBreakingNews = headerSettings.breakingNewsEnabled !== false;
     const canAccessDashboard = isAuthenticated && ['admin', 'editor', 'writer', 'translator'].includes(user?.role);
 
     const normalizeLegacyVideoHref = (value = '/') => {
@@ -359,6 +361,8 @@ export default function Header() {
 
     return (
         <header className={`${isSticky ? 'sticky top-0' : ''} z-40 bg-white dark:bg-dark-900 shadow-sm`}>
+            {showBreakingNews && <BreakingNewsTicker fallbackText={headerSettings.breakingNewsText || ''} />}
+
             {/* Top Bar */}
             <div className="border-b border-dark-100 dark:border-dark-800">
                 <div className="container-custom">
@@ -18,6 +18,11 @@ import {
   MessageCircle,
   Mail,
   Megaphone,
+  Zap,
+  KeyRound,
+  Webhook,
+  Briefcase,
+  ImagePlus,
 } from 'lucide-react';
 import { useAuthStore } from '../../stores/authStore';
 import useLanguage from '../../hooks/useLanguage';
@@ -38,6 +43,12 @@ export default function Sidebar({ isOpen, onClose }) {
           href: '/dashboard',
           roles: ['admin', 'editor', 'writer', 'translator'],
         },
+        {
+          icon: Briefcase,
+          label: 'Ad Portal',
+          href: '/dashboard/advertiser',
+          roles: ['advertiser'],
+        },
       ],
     },
     {
@@ -73,6 +84,12 @@ export default function Sidebar({ isOpen, onClose }) {
           href: '/dashboard/media',
           roles: ['writer', 'editor', 'translator', 'admin'],
         },
+        {
+          icon: Zap,
+          label: 'Breaking News',
+          href: '/dashboard/breaking-news',
+          roles: ['editor', 'admin'],
+        },
       ],
     },
     {
@@ -101,6 +118,12 @@ export default function Sidebar({ isOpen, onClose }) {
           href: '/dashboard/ads',
           roles: ['admin'],
         },
+        {
+          icon: ImagePlus,
+          label: 'Creative Review',
+          href: '/dashboard/ad-creatives',
+          roles: ['editor', 'admin'],
+        },
         {
           icon: Palette,
           label: 'Site Settings',
@@ -142,6 +165,18 @@ export default function Sidebar({ isOpen, onClose }) {
           href: '/dashboard/analytics',
           roles: ['admin'],
         },
+        {
+          icon: KeyRound,
+          label: 'API Keys',
+          href: '/dashboard/api-keys',
+          roles: ['admin'],
+        },
+        {
+          icon: Webhook,
+          label: 'Webhooks',
+          href: '/dashboard/webhooks',
+          roles: ['admin'],
+        },
       ],
     },
     {
@@ -151,7 +186,7 @@ export default function Sidebar({ isOpen, onClose }) {
           icon: Settings,
           label: 'Profile',
           href: '/dashboard/profile',
-          roles: ['admin', 'editor', 'writer', 'translator', 'user'],
+          roles: ['admin', 'editor', 'writer', 'translator', 'advertiser', 'user'],
         },
       ],
     },
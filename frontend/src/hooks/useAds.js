@@ -1,5 +1,6 @@
 import { useEffect, useState } from 'react';
-import { useQuery, useMutation } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
 import api from '../services/api';
 import { usePublicSettings } from './useApi';
 import { useAuthStore } from '../stores/authStore';
@@ -439,6 +440,56 @@ export function useAdStats(adId, options = {}) {
   });
 }
 
+/**
+ * A/B test results and history for an ab_test collection (admin)
+ */
+export function useAdExperiment(collectionId, options = {}) {
+  return useQuery({
+    queryKey: ['admin', 'ad-experiment', collectionId],
+    queryFn: async () => {
+      const { data } = await api.get(`/ad-collections/${collectionId}/experiment`);
+      return data.experiment;
+    },
+    enabled: !!collectionId && options.enabled !== false,
+  });
+}
+
+function useAdExperimentMutation(mutationFn, errorMessage) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: (data, { collectionId }) => {
+      queryClient.setQueryData(['admin', 'ad-experiment', collectionId], data.experiment);
+      if (data.message) toast.success(data.message);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || errorMessage);
+    },
+  });
+}
+
+export function useUpdateAdExperiment() {
+  return useAdExperimentMutation(
+    async ({ collectionId, settings }) => (await api.put(`/ad-collections/${collectionId}/experiment`, settings)).data,
+    'Failed to update experiment settings'
+  );
+}
+
+export function usePromoteAdExperimentWinner() {
+  return useAdExperimentMutation(
+    async ({ collectionId, adId }) => (await api.post(`/ad-collections/${collectionId}/experiment/promote`, { adId })).data,
+    'Failed to promote winner'
+  );
+}
+
+export function useRestartAdExperiment() {
+  return useAdExperimentMutation(
+    async ({ collectionId }) => (await api.post(`/ad-collections/${collectionId}/experiment/restart`)).data,
+    'Failed to restart experiment'
+  );
+}
+
 // ==================== HELPER HOOKS ====================
 
 /**
@@ -477,6 +528,10 @@ export default {
   // Admin
   useAdminAd,
   useAdStats,
+  useAdExperiment,
+  useUpdateAdExperiment,
+  usePromoteAdExperimentWinner,
+  useRestartAdExperiment,
   // Helpers
   useDeviceType
 };
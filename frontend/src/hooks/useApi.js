@@ -10,6 +10,10 @@ import api, {
   settingsAPI,
   newsletterAPI,
   commentsAPI,
+  breakingNewsAPI,
+  apiKeysAPI,
+  webhooksAPI,
+  advertiserAPI,
 } from '../services/api';
 import { useAuthStore } from '../stores/authStore';
 import { getPreferredLanguageCode } from '../utils';
@@ -23,6 +27,8 @@ export function useLogin() {
   return useMutation({
     mutationFn: (data) => authAPI.login(data),
     onSuccess: (response) => {
+      // Two-factor accounts get a challenge instead of tokens
+      if (response.data.data.twoFactorRequired) return;
       const { user, accessToken, refreshToken } = response.data.data;
       login(user, accessToken, refreshToken);
       toast.success('Welcome back!');
@@ -51,6 +57,131 @@ export function useRegister() {
   });
 }
 
+export function useVerifyTwoFactor() {
+  const login = useAuthStore((state) => state.login);
+
+  return useMutation({
+    mutationFn: (data) => authAPI.verifyTwoFactor(data),
+    onSuccess: (response) => {
+      const { user, accessToken, refreshToken, recoveryCodesRemaining } = response.data.data;
+      login(user, accessToken, refreshToken);
+      toast.success('Welcome back!');
+      if (recoveryCodesRemaining !== undefined) {
+        toast.success(`Recovery code used. ${recoveryCodesRemaining} left.`);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Verification failed');
+    },
+  });
+}
+
+export function useTwoFactorStatus() {
+  return useQuery({
+    queryKey: ['two-factor'],
+    queryFn: async () => {
+      const response = await authAPI.getTwoFactorStatus();
+      return response.data.data;
+    },
+  });
+}
+
+export function useSetupTwoFactor() {
+  return useMutation({
+    mutationFn: (data) => authAPI.setupTwoFactor(data),
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Could not start two-factor setup');
+    },
+  });
+}
+
+export function useEnableTwoFactor() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (data) => authAPI.enableTwoFactor(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+      toast.success('Two-factor authentication enabled');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Invalid verification code');
+    },
+  });
+}
+
+export function useDisableTwoFactor() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (code) => authAPI.disableTwoFactor(code),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+      toast.success('Two-factor authentication disabled');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    },
+  });
+}
+
+export function useRegenerateRecoveryCodes() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (code) => authAPI.regenerateRecoveryCodes(code),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+      toast.success('New recovery codes generated');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to generate recovery codes');
+    },
+  });
+}
+
+// Pass a userId (admins) to manage someone else's sessions
+export function useSessions(userId, options = {}) {
+  return useQuery({
+    queryKey: ['sessions', userId || 'me'],
+    queryFn: async () => {
+      const response = await authAPI.getSessions(userId ? { user: userId } : undefined);
+      return response.data.data.sessions;
+    },
+    ...options,
+  });
+}
+
+export function useRevokeSession(userId) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id) => authAPI.revokeSession(id, userId ? { user: userId } : undefined),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      toast.success('Session revoked');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to revoke session');
+    },
+  });
+}
+
+export function useRevokeOtherSessions(userId) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => authAPI.revokeOtherSessions(userId ? { user: userId } : undefined),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      toast.success(response.data.message);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to revoke sessions');
+    },
+  });
+}
+
 export function useLogout() {
   const logout = useAuthStore((state) => state.logout);
   const queryClient = useQueryClient();
@@ -369,8 +500,12 @@ export function useWorkflowSourceApprove() {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: ({ id, notes = '', translatorId = null }) =>
-      articlesAPI.approveSourceWorkflow(id, { notes, ...(translatorId ? { translatorId } : {}) }),
+    mutationFn: ({ id, notes = '', translatorId = null, translations = null }) =>
+      articlesAPI.approveSourceWorkflow(id, {
+        notes,
+        ...(translatorId ? { translatorId } : {}),
+        ...(translations?.length ? { translations } : {}),
+      }),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['articles', 'workflow'] });
       queryClient.invalidateQueries({ queryKey: ['articles', 'pending'] });
@@ -424,10 +559,11 @@ export function useWorkflowTranslationApprove() {
 
   return useMutation({
     mutationFn: ({ id, language, notes = '' }) => articlesAPI.approveTranslationWorkflow(id, { language, notes }),
-    onSuccess: () => {
+    onSuccess: (response) => {
       queryClient.invalidateQueries({ queryKey: ['articles', 'workflow'] });
       queryClient.invalidateQueries({ queryKey: ['articles'] });
-      toast.success('Translation approved and sent to admin final review');
+      // Other languages may still be outstanding; the server says which
+      toast.success(response?.data?.message || 'Translation approved and sent to admin final review');
     },
     onError: (error) => {
       const message = error.response?.data?.message || 'Failed to approve translation';
@@ -453,15 +589,61 @@ export function useWorkflowTranslationRequestChanges() {
   });
 }
 
+export function useTranslationProgress(id, options = {}) {
+  return useQuery({
+    queryKey: ['articles', 'workflow', 'translations', id],
+    queryFn: async () => {
+      const response = await articlesAPI.getTranslationProgress(id);
+      return response.data.data;
+    },
+    enabled: !!id,
+    ...options,
+  });
+}
+
+export function useUpdateTranslationAssignments() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, translations }) => articlesAPI.updateTranslationAssignments(id, translations),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['articles', 'workflow'] });
+      toast.success(response?.data?.message || 'Translation assignments updated');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to update translation assignments';
+      toast.error(message);
+    },
+  });
+}
+
+export function useRemoveTranslationAssignment() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, language }) => articlesAPI.removeTranslationAssignment(id, language),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['articles', 'workflow'] });
+      toast.success(response?.data?.message || 'Translation withdrawn');
+    },
+    onError: (error) => {
+      const message = error.response?.data?.message || 'Failed to withdraw translation';
+      toast.error(message);
+    },
+  });
+}
+
 export function useWorkflowFinalApprove() {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: ({ id, notes = '' }) => articlesAPI.finalApproveWorkflow(id, { notes }),
-    onSuccess: () => {
+    mutationFn: ({ id, notes = '', scheduledPublishAt = null }) =>
+      articlesAPI.finalApproveWorkflow(id, scheduledPublishAt ? { notes, scheduledPublishAt } : { notes }),
+    onSuccess: (response) => {
       queryClient.invalidateQueries({ queryKey: ['articles', 'workflow'] });
       queryClient.invalidateQueries({ queryKey: ['articles'] });
-      toast.success('Article published');
+      const status = response?.data?.data?.article?.status;
+      toast.success(status === 'scheduled' ? 'Article scheduled' : 'Article published');
     },
     onError: (error) => {
       const message = error.response?.data?.message || 'Failed to publish article';
@@ -570,6 +752,17 @@ export function useUsers(params = {}) {
   });
 }
 
+export function usePublicProfile(id) {
+  return useQuery({
+    queryKey: ['users', 'profile', id],
+    queryFn: async () => {
+      const response = await usersAPI.getPublicProfile(id);
+      return response.data.data;
+    },
+    enabled: !!id,
+  });
+}
+
 export function useUpdateProfile() {
   const queryClient = useQueryClient();
   const updateUser = useAuthStore((state) => state.updateUser);
@@ -778,6 +971,32 @@ export function useUpdateUser() {
   });
 }
 
+export function useResetUserTwoFactor() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, reason }) => usersAPI.resetTwoFactor(id, { reason }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      queryClient.invalidateQueries({ queryKey: ['security-audit'] });
+      toast.success('Two-factor authentication reset');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to reset two-factor authentication');
+    },
+  });
+}
+
+export function useSecurityAuditLog(params = {}) {
+  return useQuery({
+    queryKey: ['security-audit', params],
+    queryFn: async () => {
+      const response = await usersAPI.getSecurityAudit(params);
+      return response.data;
+    },
+  });
+}
+
 export function useDeleteUser() {
   const queryClient = useQueryClient();
   
@@ -955,9 +1174,9 @@ export function useCreateComment() {
   
   return useMutation({
     mutationFn: ({ articleId, data }) => commentsAPI.create(articleId, data),
-    onSuccess: (_, { articleId }) => {
+    onSuccess: (response, { articleId }) => {
       queryClient.invalidateQueries({ queryKey: ['comments', articleId] });
-      toast.success('Comment submitted');
+      toast.success(response.data?.message || 'Comment submitted');
     },
     onError: (error) => {
       toast.error(error.response?.data?.message || 'Failed to submit comment');
@@ -991,6 +1210,21 @@ export function useLikeComment() {
   });
 }
 
+export function useReportComment() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, reason, note }) => commentsAPI.report(id, { reason, note }),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['comments'] });
+      toast.success(response.data?.message || 'Comment reported');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to report comment');
+    },
+  });
+}
+
 // Admin comment hooks
 export function useAllComments(params = {}) {
   return useQuery({
@@ -1016,3 +1250,389 @@ export function useModerateComment() {
     },
   });
 }
+
+export function useCommenterSanctions(params = {}) {
+  return useQuery({
+    queryKey: ['commenter-sanctions', params],
+    queryFn: async () => {
+      const response = await commentsAPI.getSanctions(params);
+      return response.data;
+    },
+  });
+}
+
+export function useSanctionCommenter() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (data) => commentsAPI.sanction(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['commenter-sanctions'] });
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast.success('Commenter sanctioned');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to sanction commenter');
+    },
+  });
+}
+
+export function useLiftCommenterSanction() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, reason }) => commentsAPI.liftSanction(id, { reason }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['commenter-sanctions'] });
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast.success('Sanction lifted');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to lift sanction');
+    },
+  });
+}
+
+// ==================== BREAKING NEWS HOOKS ====================
+
+export function useActiveBreakingNews() {
+  return useQuery({
+    queryKey: ['breaking-news', 'active'],
+    queryFn: async () => {
+      const response = await breakingNewsAPI.getActive();
+      return response.data.data.alerts;
+    },
+    refetchInterval: 60 * 1000,
+    staleTime: 30 * 1000,
+  });
+}
+
+export function useBreakingNewsList(params = {}) {
+  return useQuery({
+    queryKey: ['breaking-news', 'list', params],
+    queryFn: async () => {
+      const response = await breakingNewsAPI.getAll(params);
+      return response.data;
+    },
+  });
+}
+
+export function useBreakingNewsStats() {
+  return useQuery({
+    queryKey: ['breaking-news', 'stats'],
+    queryFn: async () => {
+      const response = await breakingNewsAPI.getStats();
+      return response.data.data.stats;
+    },
+  });
+}
+
+function useBreakingNewsMutation(mutationFn, successMessage, errorMessage) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['breaking-news'] });
+      toast.success(successMessage);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || errorMessage);
+    },
+  });
+}
+
+export function useCreateBreakingNews() {
+  return useBreakingNewsMutation(
+    (data) => breakingNewsAPI.create(data),
+    'Alert saved',
+    'Failed to create alert'
+  );
+}
+
+export function useUpdateBreakingNews() {
+  return useBreakingNewsMutation(
+    ({ id, data }) => breakingNewsAPI.update(id, data),
+    'Alert updated',
+    'Failed to update alert'
+  );
+}
+
+export function useDeleteBreakingNews() {
+  return useBreakingNewsMutation(
+    (id) => breakingNewsAPI.delete(id),
+    'Alert deleted',
+    'Failed to delete alert'
+  );
+}
+
+export function usePublishBreakingNews() {
+  return useBreakingNewsMutation(
+    (id) => breakingNewsAPI.publish(id),
+    'Alert published',
+    'Failed to publish alert'
+  );
+}
+
+export function useExpireBreakingNews() {
+  return useBreakingNewsMutation(
+    (id) => breakingNewsAPI.expire(id),
+    'Alert expired',
+    'Failed to expire alert'
+  );
+}
+
+// ==================== API KEY HOOKS ====================
+
+export function useApiKeys() {
+  return useQuery({
+    queryKey: ['api-keys'],
+    queryFn: async () => {
+      const response = await apiKeysAPI.getAll();
+      return response.data.data;
+    },
+  });
+}
+
+export function useApiKeyRequests(id, params = {}) {
+  return useQuery({
+    queryKey: ['api-keys', id, 'requests', params],
+    queryFn: async () => {
+      const response = await apiKeysAPI.getRequests(id, params);
+      return response.data;
+    },
+    enabled: !!id,
+    placeholderData: keepPreviousData,
+  });
+}
+
+function useApiKeyMutation(mutationFn, successMessage, errorMessage) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['api-keys'] });
+      if (successMessage) toast.success(successMessage);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || errorMessage);
+    },
+  });
+}
+
+// The new key is in the response and shown once, so no toast here
+export function useCreateApiKey() {
+  return useApiKeyMutation(
+    (data) => apiKeysAPI.create(data),
+    null,
+    'Failed to create API key'
+  );
+}
+
+export function useUpdateApiKey() {
+  return useApiKeyMutation(
+    ({ id, data }) => apiKeysAPI.update(id, data),
+    'API key updated',
+    'Failed to update API key'
+  );
+}
+
+export function useRevokeApiKey() {
+  return useApiKeyMutation(
+    (id) => apiKeysAPI.revoke(id),
+    'API key revoked',
+    'Failed to revoke API key'
+  );
+}
+
+// ==================== WEBHOOK HOOKS ====================
+
+export function useWebhooks() {
+  return useQuery({
+    queryKey: ['webhooks'],
+    queryFn: async () => {
+      const response = await webhooksAPI.getAll();
+      return response.data.data;
+    },
+  });
+}
+
+export function useWebhookDeliveries(id, params = {}) {
+  return useQuery({
+    queryKey: ['webhooks', id, 'deliveries', params],
+    queryFn: async () => {
+      const response = await webhooksAPI.getDeliveries(id, params);
+      return response.data;
+    },
+    enabled: !!id,
+    placeholderData: keepPreviousData,
+  });
+}
+
+function useWebhookMutation(mutationFn, successMessage, errorMessage) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+      const message = successMessage === true ? response.data?.message : successMessage;
+      if (message) toast.success(message);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || errorMessage);
+    },
+  });
+}
+
+// The signing secret is in the response and shown once, so no toast here
+export function useCreateWebhook() {
+  return useWebhookMutation(
+    (data) => webhooksAPI.create(data),
+    null,
+    'Failed to create webhook'
+  );
+}
+
+export function useUpdateWebhook() {
+  return useWebhookMutation(
+    ({ id, data }) => webhooksAPI.update(id, data),
+    'Webhook updated',
+    'Failed to update webhook'
+  );
+}
+
+export function useDeleteWebhook() {
+  return useWebhookMutation(
+    (id) => webhooksAPI.delete(id),
+    'Webhook deleted',
+    'Failed to delete webhook'
+  );
+}
+
+export function useRotateWebhookSecret() {
+  return useWebhookMutation(
+    (id) => webhooksAPI.rotateSecret(id),
+    null,
+    'Failed to rotate signing secret'
+  );
+}
+
+// Ping and redeliver report whether the receiver accepted it
+export function usePingWebhook() {
+  return useWebhookMutation(
+    (id) => webhooksAPI.ping(id),
+    true,
+    'Failed to send ping'
+  );
+}
+
+export function useRedeliverWebhook() {
+  return useWebhookMutation(
+    (deliveryId) => webhooksAPI.redeliver(deliveryId),
+    true,
+    'Failed to redeliver'
+  );
+}
+
+// ==================== ADVERTISER HOOKS ====================
+
+export function useAdvertiserPortal() {
+  return useQuery({
+    queryKey: ['advertiser', 'portal'],
+    queryFn: async () => {
+      const response = await advertiserAPI.getPortal();
+      return response.data.data;
+    },
+  });
+}
+
+export function useAdvertiserReport(params = {}) {
+  return useQuery({
+    queryKey: ['advertiser', 'report', params],
+    queryFn: async () => {
+      const response = await advertiserAPI.getReport(params);
+      return response.data.data.report;
+    },
+    placeholderData: keepPreviousData,
+  });
+}
+
+export function useAdvertiserCreatives() {
+  return useQuery({
+    queryKey: ['advertiser', 'creatives'],
+    queryFn: async () => {
+      const response = await advertiserAPI.getCreatives();
+      return response.data.data.creatives;
+    },
+  });
+}
+
+// Campaigns and collections an admin can link to an advertiser account
+export function useAdvertiserLinkOptions(enabled = true) {
+  return useQuery({
+    queryKey: ['advertiser', 'link-options'],
+    queryFn: async () => {
+      const [campaigns, collections] = await Promise.all([
+        advertiserAPI.getCampaignOptions(),
+        advertiserAPI.getCollectionOptions(),
+      ]);
+      return {
+        campaigns: campaigns.data.data.campaigns,
+        collections: collections.data.collections,
+      };
+    },
+    enabled,
+  });
+}
+
+export function useCreativeReviewQueue(params = {}) {
+  return useQuery({
+    queryKey: ['advertiser', 'review', params],
+    queryFn: async () => {
+      const response = await advertiserAPI.getReviewQueue(params);
+      return response.data.data.creatives;
+    },
+    placeholderData: keepPreviousData,
+  });
+}
+
+function useAdvertiserMutation(mutationFn, successMessage, errorMessage) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['advertiser'] });
+      toast.success(successMessage);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || errorMessage);
+    },
+  });
+}
+
+export function useSubmitCreative() {
+  return useAdvertiserMutation(
+    (formData) => advertiserAPI.submitCreative(formData),
+    'Creative submitted for review',
+    'Failed to submit creative'
+  );
+}
+
+export function useApproveCreative() {
+  return useAdvertiserMutation(
+    ({ id, note }) => advertiserAPI.approveCreative(id, { note }),
+    'Creative approved and live',
+    'Failed to approve creative'
+  );
+}
+
+export function useRejectCreative() {
+  return useAdvertiserMutation(
+    ({ id, note }) => advertiserAPI.rejectCreative(id, { note }),
+    'Creative rejected',
+    'Failed to reject creative'
+  );
+}
@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { Check, ExternalLink, ImagePlus, X } from 'lucide-react';
+import { useCreativeReviewQueue, useApproveCreative, useRejectCreative } from '../../hooks/useApi';
+import { Button, Textarea, Modal, Badge, ContentLoader, EmptyState } from '../../components/common/index.jsx';
+import { useAuthStore } from '../../stores/authStore';
+import { buildMediaUrl, formatRelativeTime } from '../../utils';
+import useLanguage from '../../hooks/useLanguage';
+
+const STATUS_FILTERS = ['pending', 'approved', 'rejected', 'all'];
+
+const STATUS_VARIANTS = {
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'danger',
+};
+
+export function AdCreativeReviewPage() {
+  const { translateText } = useLanguage();
+  const { user } = useAuthStore();
+  const [status, setStatus] = useState('pending');
+  const [reviewing, setReviewing] = useState(null);
+  const [note, setNote] = useState('');
+  const { data: creatives = [], isLoading } = useCreativeReviewQueue({ status });
+  const { mutate: approveCreative, isPending: isApproving } = useApproveCreative();
+  const { mutate: rejectCreative, isPending: isRejecting } = useRejectCreative();
+
+  // Editors can follow the queue; putting creatives live is an admin decision
+  const canReview = user?.role === 'admin';
+
+  const openReview = (creative, decision) => {
+    setReviewing({ creative, decision });
+    setNote('');
+  };
+
+  const handleReview = (e) => {
+    e.preventDefault();
+    const review = reviewing.decision === 'approve' ? approveCreative : rejectCreative;
+    review({ id: reviewing.creative._id, note }, { onSuccess: () => setReviewing(null) });
+  };
+
+  return (
+    <>
+      <Helmet><title>{`${translateText('Creative Review')} - Bassac Post`}</title></Helmet>
+
+      <div className="mb-6">
+        <p className="text-xs uppercase tracking-[0.2em] text-dark-400">{translateText('Design')}</p>
+        <h1 className="text-2xl font-bold text-dark-900 dark:text-white">{translateText('Creative Review')}</h1>
+        <p className="text-dark-500 mt-1">{translateText('Creatives uploaded by advertisers wait here until they are approved')}</p>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_FILTERS.map((value) => (
+          <Button
+            key={value}
+            size="sm"
+            variant={status === value ? 'primary' : 'outline'}
+            onClick={() => setStatus(value)}
+          >
+            {translateText(value.charAt(0).toUpperCase() + value.slice(1))}
+          </Button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <ContentLoader />
+      ) : creatives.length === 0 ? (
+        <EmptyState
+          icon={ImagePlus}
+          title={translateText(status === 'pending' ? 'Nothing waiting for review' : 'No creatives')}
+          description={translateText('Advertisers upload creatives from their portal')}
+        />
+      ) : (
+        <div className="space-y-3">
+          {creatives.map((creative) => {
+            const target = creative.campaign || creative.collectionId;
+            const advertiser = creative.advertiser;
+
+            return (
+              <div key={creative._id} className="card p-4">
+                <div className="flex flex-col gap-4 md:flex-row md:items-start">
+                  <div className="flex gap-2 shrink-0">
+                    <img
+                      src={buildMediaUrl(creative.imageUrl)}
+                      alt={creative.altText || creative.name}
+                      className="w-40 h-24 object-cover rounded border border-dark-100 dark:border-dark-800"
+                    />
+                    {creative.mobileImageUrl && (
+                      <img
+                        src={buildMediaUrl(creative.mobileImageUrl)}
+                        alt={creative.altText || creative.name}
+                        className="w-16 h-24 object-cover rounded border border-dark-100 dark:border-dark-800"
+                      />
+                    )}
+                  </div>
+                  <div className="min-w-0 flex-1">
+                    <div className="flex flex-wrap items-center gap-2 mb-1">
+                      <h3 className="font-semibold text-dark-900 dark:text-white">{creative.name}</h3>
+                      <Badge variant={STATUS_VARIANTS[creative.status]}>{translateText(creative.status)}</Badge>
+                    </div>
+                    <p className="text-sm text-dark-500">
+                      {advertiser?.advertiser?.company || `${advertiser?.firstName || ''} ${advertiser?.lastName || ''}`.trim()}
+                      {' · '}
+                      {creative.campaign ? translateText('Campaign') : translateText('Ad collection')}: {target?.name}
+                      {target?.placement && ` (${target.placement})`}
+                    </p>
+                    <a
+                      href={creative.linkUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-1 text-xs text-primary-600 break-all mt-1"
+                    >
+                      {creative.linkUrl}
+                      <ExternalLink className="w-3 h-3 shrink-0" />
+                    </a>
+                    <p className="text-xs text-dark-400 mt-1">
+                      {translateText('Submitted')} {formatRelativeTime(creative.createdAt)}
+                      {creative.reviewedAt && ` · ${translateText('reviewed')} ${formatRelativeTime(creative.reviewedAt)}`}
+                    </p>
+                    {creative.reviewNote && <p className="text-sm text-dark-600 dark:text-dark-300 mt-1">{creative.reviewNote}</p>}
+                  </div>
+                  {canReview && creative.status === 'pending' && (
+                    <div className="flex shrink-0 gap-2">
+                      <Button size="sm" leftIcon={<Check className="w-3.5 h-3.5" />} onClick={() => openReview(creative, 'approve')}>
+                        {translateText('Approve')}
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        className="text-red-600"
+                        leftIcon={<X className="w-3.5 h-3.5" />}
+                        onClick={() => openReview(creative, 'reject')}
+                      >
+                        {translateText('Reject')}
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <Modal
+        isOpen={!!reviewing}
+        onClose={() => setReviewing(null)}
+        title={translateText(reviewing?.decision === 'approve' ? 'Approve Creative' : 'Reject Creative')}
+      >
+        {reviewing && (
+          <form onSubmit={handleReview} className="space-y-4">
+            <p className="text-sm text-dark-600 dark:text-dark-400">
+              {reviewing.decision === 'approve'
+                ? translateText('The creative starts serving in its campaign or collection straight away.')
+                : translateText('The advertiser sees this note and can upload a corrected version.')}
+            </p>
+            <Textarea
+              label={reviewing.decision === 'approve' ? 'Note (optional)' : 'Reason'}
+              maxLength={500}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              required={reviewing.decision === 'reject'}
+            />
+            <div className="flex justify-end gap-2">
+              <Button type="button" variant="outline" onClick={() => setReviewing(null)}>
+                {translateText('Cancel')}
+              </Button>
+              <Button
+                type="submit"
+                variant={reviewing.decision === 'approve' ? 'primary' : 'danger'}
+                isLoading={isApproving || isRejecting}
+              >
+                {translateText(reviewing.decision === 'approve' ? 'Approve' : 'Reject')}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </>
+  );
+}
@@ -1,14 +1,246 @@
+import { useEffect, useState } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { Link, useParams } from 'react-router-dom';
-import { ArrowLeft, BarChart3 } from 'lucide-react';
-import { Button, ContentLoader } from '../../components/common/index.jsx';
-import { useAdStats, useAdminAd } from '../../hooks/useAds';
+import { ArrowLeft, BarChart3, FlaskConical, RotateCcw, Trophy } from 'lucide-react';
+import { Badge, Button, ContentLoader } from '../../components/common/index.jsx';
+import {
+  useAdExperiment,
+  useAdStats,
+  useAdminAd,
+  usePromoteAdExperimentWinner,
+  useRestartAdExperiment,
+  useUpdateAdExperiment,
+} from '../../hooks/useAds';
+
+const HISTORY_LABELS = {
+  started: 'Experiment started',
+  restarted: 'Experiment restarted',
+  promoted: 'Winner promoted manually',
+  auto_promoted: 'Winner promoted automatically',
+};
+
+const formatPercent = (value) => `${Number(value || 0).toFixed(2)}%`;
+
+function ExperimentSettings({ experiment, onSave, isSaving }) {
+  const [form, setForm] = useState({
+    autoPromote: experiment.autoPromote,
+    confidenceLevel: experiment.confidenceLevel,
+    minImpressionsPerVariant: experiment.minImpressionsPerVariant,
+  });
+
+  useEffect(() => {
+    setForm({
+      autoPromote: experiment.autoPromote,
+      confidenceLevel: experiment.confidenceLevel,
+      minImpressionsPerVariant: experiment.minImpressionsPerVariant,
+    });
+  }, [experiment.autoPromote, experiment.confidenceLevel, experiment.minImpressionsPerVariant]);
+
+  return (
+    <form
+      className="flex flex-wrap items-end gap-4 border-t border-dark-100 dark:border-dark-800 pt-4"
+      onSubmit={(event) => {
+        event.preventDefault();
+        onSave(form);
+      }}
+    >
+      <label className="flex items-center gap-2 text-sm text-dark-700 dark:text-dark-200">
+        <input
+          type="checkbox"
+          checked={form.autoPromote}
+          onChange={(event) => setForm((prev) => ({ ...prev, autoPromote: event.target.checked }))}
+          className="rounded border-dark-300 text-primary-600 focus:ring-primary-500"
+        />
+        Auto-promote the winner
+      </label>
+      <label className="text-sm text-dark-500">
+        Confidence
+        <select
+          value={form.confidenceLevel}
+          onChange={(event) => setForm((prev) => ({ ...prev, confidenceLevel: Number(event.target.value) }))}
+          className="input mt-1 block"
+        >
+          <option value={0.9}>90%</option>
+          <option value={0.95}>95%</option>
+          <option value={0.99}>99%</option>
+        </select>
+      </label>
+      <label className="text-sm text-dark-500">
+        Min. impressions per variant
+        <input
+          type="number"
+          min={100}
+          step={100}
+          value={form.minImpressionsPerVariant}
+          onChange={(event) => setForm((prev) => ({ ...prev, minImpressionsPerVariant: event.target.value }))}
+          className="input mt-1 block w-40"
+        />
+      </label>
+      <Button type="submit" size="sm" isLoading={isSaving}>Save rule</Button>
+    </form>
+  );
+}
+
+function ExperimentPanel({ collectionId, currentAdId }) {
+  const { data: experiment, isLoading } = useAdExperiment(collectionId);
+  const updateExperiment = useUpdateAdExperiment();
+  const promoteWinner = usePromoteAdExperimentWinner();
+  const restartExperiment = useRestartAdExperiment();
+
+  if (isLoading) return <ContentLoader />;
+  if (!experiment) return null;
+
+  const variantNames = new Map(experiment.variants.map((variant) => [String(variant.adId), variant.name]));
+  const isConcluded = experiment.status === 'concluded';
+  const confidenceLabel = `${Math.round(experiment.confidenceLevel * 100)}%`;
+
+  return (
+    <div className="card p-6 space-y-5">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h2 className="flex items-center gap-2 text-lg font-semibold text-dark-900 dark:text-white">
+            <FlaskConical className="w-5 h-5" />
+            A/B Experiment
+            <Badge variant={isConcluded ? 'success' : 'primary'}>
+              {isConcluded ? 'Winner promoted' : 'Running'}
+            </Badge>
+          </h2>
+          <p className="text-sm text-dark-500 mt-1">
+            Since {new Date(experiment.startedAt).toLocaleDateString()} • Visitors keep the variant they were first assigned.
+            Counts come from the daily ad stats rollup.
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          leftIcon={<RotateCcw className="w-4 h-4" />}
+          isLoading={restartExperiment.isPending}
+          onClick={() => {
+            if (window.confirm('Restart the experiment? Results will be counted from today and any winner is cleared.')) {
+              restartExperiment.mutate({ collectionId });
+            }
+          }}
+        >
+          Restart
+        </Button>
+      </div>
+
+      <p className="text-sm text-dark-600 dark:text-dark-300">
+        {experiment.pValue === null
+          ? 'At least two active variants are needed to compare results.'
+          : `Leader: ${variantNames.get(String(experiment.leaderAdId)) || '—'} • p = ${experiment.pValue} • `
+            + (experiment.significant
+              ? `significant at ${confidenceLabel} confidence`
+              : `not yet significant at ${confidenceLabel} confidence`)
+            + (experiment.sampleSizeReached
+              ? ''
+              : ` • waiting for ${experiment.minImpressionsPerVariant.toLocaleString()} impressions per variant`)}
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-dark-500">
+            <tr>
+              <th className="py-2 pr-4">Variant</th>
+              <th className="py-2 pr-4">Impressions</th>
+              <th className="py-2 pr-4">Clicks</th>
+              <th className="py-2 pr-4">CTR</th>
+              <th className="py-2 pr-4">{confidenceLabel} interval</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {experiment.variants.map((variant) => {
+              const id = String(variant.adId);
+              const isWinner = id === String(experiment.winnerAdId);
+              const isLeader = id === String(experiment.leaderAdId);
+              return (
+                <tr key={id} className="border-t border-dark-100 dark:border-dark-800">
+                  <td className="py-2 pr-4">
+                    <span className={id === currentAdId ? 'font-semibold text-dark-900 dark:text-white' : ''}>
+                      {variant.name}
+                    </span>
+                    {variant.status !== 'active' && <span className="ml-2 text-xs text-dark-400">({variant.status})</span>}
+                    {isWinner && <Badge variant="success" className="ml-2">Winner</Badge>}
+                    {!isWinner && isLeader && <Badge variant="neutral" className="ml-2">Leader</Badge>}
+                  </td>
+                  <td className="py-2 pr-4">{variant.impressions.toLocaleString()}</td>
+                  <td className="py-2 pr-4">{variant.clicks.toLocaleString()}</td>
+                  <td className="py-2 pr-4">{formatPercent(variant.ctr)}</td>
+                  <td className="py-2 pr-4 text-dark-500">
+                    {formatPercent(variant.ctrLow)} – {formatPercent(variant.ctrHigh)}
+                  </td>
+                  <td className="py-2 text-right">
+                    {!isWinner && variant.status === 'active' && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        leftIcon={<Trophy className="w-4 h-4" />}
+                        disabled={promoteWinner.isPending}
+                        onClick={() => {
+                          if (window.confirm(`Serve "${variant.name}" to every visitor?`)) {
+                            promoteWinner.mutate({ collectionId, adId: id });
+                          }
+                        }}
+                      >
+                        Promote
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <ExperimentSettings
+        experiment={experiment}
+        isSaving={updateExperiment.isPending}
+        onSave={(settings) => updateExperiment.mutate({ collectionId, settings })}
+      />
+
+      <div className="border-t border-dark-100 dark:border-dark-800 pt-4">
+        <h3 className="text-sm font-semibold text-dark-900 dark:text-white mb-3">History</h3>
+        {experiment.history.length === 0 ? (
+          <p className="text-sm text-dark-500">No experiment history yet.</p>
+        ) : (
+          <ul className="space-y-3">
+            {experiment.history.map((entry) => (
+              <li key={`${entry.action}-${entry.at}`} className="text-sm">
+                <p className="text-dark-800 dark:text-dark-100">
+                  {HISTORY_LABELS[entry.action] || entry.action}
+                  {entry.winnerAdId && `: ${
+                    entry.variants?.find((variant) => String(variant.adId) === String(entry.winnerAdId))?.name
+                    || variantNames.get(String(entry.winnerAdId))
+                    || 'deleted ad'
+                  }`}
+                  <span className="ml-2 text-xs text-dark-400">{new Date(entry.at).toLocaleString()}</span>
+                </p>
+                {entry.variants?.length > 0 && (
+                  <p className="text-xs text-dark-500">
+                    {entry.variants
+                      .map((variant) => `${variant.name}: ${formatPercent(variant.ctr)} of ${variant.impressions.toLocaleString()}`)
+                      .join(' • ')}
+                    {entry.pValue !== null && entry.pValue !== undefined && ` • p = ${entry.pValue}`}
+                  </p>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
 
 export function AdInsightsPage() {
   const { id } = useParams();
   const { data: ad, isLoading: isLoadingAd } = useAdminAd(id);
   const { data: statsResponse, isLoading: isLoadingStats } = useAdStats(id, { breakdown: true });
 
+  const collection = ad?.collectionId;
+  const isAbTest = collection?.rotationType === 'ab_test';
   const stats = statsResponse?.data?.stats || { impressions: 0, clicks: 0, ctr: 0 };
   const daily = statsResponse?.data?.daily || [];
   const chartData = daily.slice(-14);
@@ -65,6 +297,8 @@ export function AdInsightsPage() {
             </div>
           </div>
 
+          {isAbTest && <ExperimentPanel collectionId={collection._id} currentAdId={String(ad._id)} />}
+
           <div className="card p-6">
             <h2 className="text-lg font-semibold text-dark-900 dark:text-white mb-4">Daily Trend</h2>
             {chartData.length === 0 ? (
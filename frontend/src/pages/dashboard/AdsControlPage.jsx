@@ -726,6 +726,13 @@ function AdCard({ ad, collectionId, onRefresh }) {
           >
             {ad.status === 'active' ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
           </button>
+          <Link
+            to={`/dashboard/ads/${ad._id}/insights`}
+            className="p-2 hover:bg-dark-100 dark:hover:bg-dark-800 rounded-lg transition-colors"
+            title="Insights"
+          >
+            <TrendingUp className="w-4 h-4" />
+          </Link>
           <Link
             to={`/dashboard/ad-collections/${collectionId}/ads/${ad._id}/edit`}
             className="p-2 hover:bg-dark-100 dark:hover:bg-dark-800 rounded-lg transition-colors"
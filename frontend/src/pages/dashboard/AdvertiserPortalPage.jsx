@@ -0,0 +1,385 @@
+import { useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { Briefcase, Download, FileText, ImagePlus, Upload } from 'lucide-react';
+import {
+  useAdvertiserPortal,
+  useAdvertiserReport,
+  useAdvertiserCreatives,
+  useSubmitCreative,
+} from '../../hooks/useApi';
+import { advertiserAPI } from '../../services/api';
+import { Button, Input, Modal, Badge, ContentLoader, EmptyState } from '../../components/common/index.jsx';
+import { buildMediaUrl, formatNumber, formatRelativeTime } from '../../utils';
+import toast from 'react-hot-toast';
+import useLanguage from '../../hooks/useLanguage';
+
+const CREATIVE_STATUS_VARIANTS = {
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'danger',
+};
+
+const BREAKDOWNS = [
+  { key: 'day', label: 'By day', column: 'Day' },
+  { key: 'device', label: 'By device', column: 'Device' },
+  { key: 'placement', label: 'By placement', column: 'Placement' },
+];
+
+const emptyCreativeForm = () => ({
+  target: '',
+  name: '',
+  linkUrl: '',
+  ctaText: '',
+  altText: '',
+  image: null,
+  mobileImage: null,
+});
+
+const formatSpend = (value, currency = 'USD') => `${currency} ${Number(value || 0).toFixed(2)}`;
+
+// `target` is "campaign:<id>" or "collection:<id>" so one select covers both record types
+const parseTarget = (target) => {
+  const [type, id] = target.split(':');
+  return type === 'campaign' ? { campaignId: id } : type === 'collection' ? { collectionId: id } : {};
+};
+
+function ReportTable({ column, rowKey, rows, currency }) {
+  const { translateText } = useLanguage();
+
+  if (!rows?.length) {
+    return <p className="text-sm text-dark-500 py-4">{translateText('No delivery in this period.')}</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-dark-500 border-b border-dark-100 dark:border-dark-800">
+            <th className="py-2 pr-4">{translateText(column)}</th>
+            <th className="py-2 pr-4 text-right">{translateText('Impressions')}</th>
+            <th className="py-2 pr-4 text-right">{translateText('Clicks')}</th>
+            <th className="py-2 pr-4 text-right">CTR</th>
+            <th className="py-2 text-right">{translateText('Spend')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row[rowKey]} className="border-b border-dark-100 dark:border-dark-800 last:border-0">
+              <td className="py-2 pr-4 text-dark-900 dark:text-white">{translateText(row[rowKey])}</td>
+              <td className="py-2 pr-4 text-right">{formatNumber(row.impressions)}</td>
+              <td className="py-2 pr-4 text-right">{formatNumber(row.clicks)}</td>
+              <td className="py-2 pr-4 text-right">{row.ctr}%</td>
+              <td className="py-2 text-right">{formatSpend(row.spend, currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export function AdvertiserPortalPage() {
+  const { translateText } = useLanguage();
+  const [filters, setFilters] = useState({ from: '', to: '', target: '' });
+  const [breakdown, setBreakdown] = useState('day');
+  const [exporting, setExporting] = useState(null);
+  const [isUploadOpen, setIsUploadOpen] = useState(false);
+  const [creativeForm, setCreativeForm] = useState(emptyCreativeForm);
+
+  const reportParams = {
+    from: filters.from || undefined,
+    to: filters.to || undefined,
+    ...parseTarget(filters.target),
+  };
+  const { data: portal, isLoading: portalLoading } = useAdvertiserPortal();
+  const { data: report, isLoading: reportLoading } = useAdvertiserReport(reportParams);
+  const { data: creatives = [] } = useAdvertiserCreatives();
+  const { mutate: submitCreative, isPending: isSubmitting } = useSubmitCreative();
+
+  const campaigns = portal?.campaigns || [];
+  const collections = portal?.collections || [];
+  const hasRecords = campaigns.length + collections.length > 0;
+  const currency = report?.currency || 'USD';
+  const activeBreakdown = BREAKDOWNS.find((item) => item.key === breakdown);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const response = await advertiserAPI.exportReport({ ...reportParams, format, breakdown });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', format === 'csv'
+        ? `ad-report-${report.from}-to-${report.to}-by-${breakdown}.csv`
+        : `ad-report-${report.from}-to-${report.to}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch {
+      toast.error(translateText('Failed to export report'));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleSubmitCreative = (e) => {
+    e.preventDefault();
+    const formData = new FormData();
+    Object.entries(parseTarget(creativeForm.target)).forEach(([key, value]) => formData.append(key, value));
+    ['name', 'linkUrl', 'ctaText', 'altText'].forEach((key) => {
+      if (creativeForm[key]) formData.append(key, creativeForm[key]);
+    });
+    formData.append('image', creativeForm.image);
+    if (creativeForm.mobileImage) formData.append('mobileImage', creativeForm.mobileImage);
+
+    submitCreative(formData, {
+      onSuccess: () => {
+        setIsUploadOpen(false);
+        setCreativeForm(emptyCreativeForm());
+      },
+    });
+  };
+
+  if (portalLoading) return <ContentLoader />;
+
+  return (
+    <>
+      <Helmet><title>{`${translateText('Ad Portal')} - Bassac Post`}</title></Helmet>
+
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between mb-6">
+        <div>
+          <p className="text-xs uppercase tracking-[0.2em] text-dark-400">{portal?.company || translateText('Advertiser')}</p>
+          <h1 className="text-2xl font-bold text-dark-900 dark:text-white">{translateText('Ad Portal')}</h1>
+          <p className="text-dark-500 mt-1">{translateText('Delivery and spend for your campaigns, and creatives waiting for review')}</p>
+        </div>
+        {hasRecords && (
+          <Button leftIcon={<ImagePlus className="w-4 h-4" />} onClick={() => setIsUploadOpen(true)}>
+            {translateText('Upload Creative')}
+          </Button>
+        )}
+      </div>
+
+      {!hasRecords ? (
+        <EmptyState
+          icon={Briefcase}
+          title={translateText('No campaigns linked yet')}
+          description={translateText('Your account manager links your campaigns here once they are booked')}
+        />
+      ) : (
+        <div className="space-y-6">
+          <div className="card p-4 flex flex-col gap-3 lg:flex-row lg:items-end">
+            <div className="grid gap-3 sm:grid-cols-3 flex-1">
+              <Input
+                label="From"
+                type="date"
+                value={filters.from || report?.from || ''}
+                onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+              />
+              <Input
+                label="To"
+                type="date"
+                value={filters.to || report?.to || ''}
+                onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+              />
+              <div>
+                <label className="label">{translateText('Campaign')}</label>
+                <select
+                  className="input"
+                  value={filters.target}
+                  onChange={(e) => setFilters({ ...filters, target: e.target.value })}
+                >
+                  <option value="">{translateText('All campaigns')}</option>
+                  {campaigns.map((campaign) => (
+                    <option key={campaign._id} value={`campaign:${campaign._id}`}>{campaign.name}</option>
+                  ))}
+                  {collections.map((collection) => (
+                    <option key={collection._id} value={`collection:${collection._id}`}>{collection.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <Button
+                variant="outline"
+                leftIcon={<Download className="w-4 h-4" />}
+                isLoading={exporting === 'csv'}
+                disabled={!report}
+                onClick={() => handleExport('csv')}
+              >
+                CSV
+              </Button>
+              <Button
+                variant="outline"
+                leftIcon={<FileText className="w-4 h-4" />}
+                isLoading={exporting === 'pdf'}
+                disabled={!report}
+                onClick={() => handleExport('pdf')}
+              >
+                PDF
+              </Button>
+            </div>
+          </div>
+
+          {reportLoading || !report ? (
+            <ContentLoader />
+          ) : (
+            <>
+              <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+                {[
+                  ['Impressions', formatNumber(report.totals.impressions)],
+                  ['Clicks', formatNumber(report.totals.clicks)],
+                  ['CTR', `${report.totals.ctr}%`],
+                  ['Spend', formatSpend(report.totals.spend, currency)],
+                ].map(([label, value]) => (
+                  <div key={label} className="card p-4">
+                    <p className="text-sm text-dark-500">{translateText(label)}</p>
+                    <p className="text-2xl font-bold text-dark-900 dark:text-white">{value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="card p-4">
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {BREAKDOWNS.map((item) => (
+                    <Button
+                      key={item.key}
+                      size="sm"
+                      variant={breakdown === item.key ? 'primary' : 'outline'}
+                      onClick={() => setBreakdown(item.key)}
+                    >
+                      {translateText(item.label)}
+                    </Button>
+                  ))}
+                </div>
+                <ReportTable
+                  column={activeBreakdown.column}
+                  rowKey={breakdown}
+                  rows={report[`by${activeBreakdown.column}`]}
+                  currency={currency}
+                />
+                <p className="text-xs text-dark-400 mt-3">
+                  {translateText('Campaign delivery is not split by device and is listed as unattributed.')}
+                </p>
+              </div>
+
+              <div className="card p-4">
+                <h2 className="font-semibold text-dark-900 dark:text-white mb-3">{translateText('By campaign')}</h2>
+                <ReportTable column="Campaign" rowKey="name" rows={report.items} currency={currency} />
+              </div>
+            </>
+          )}
+
+          <div className="card p-4">
+            <h2 className="font-semibold text-dark-900 dark:text-white mb-3">{translateText('Creatives')}</h2>
+            {creatives.length === 0 ? (
+              <p className="text-sm text-dark-500">{translateText('No creatives uploaded yet.')}</p>
+            ) : (
+              <div className="divide-y divide-dark-100 dark:divide-dark-800">
+                {creatives.map((creative) => (
+                  <div key={creative._id} className="flex items-start gap-4 py-3">
+                    <img
+                      src={buildMediaUrl(creative.imageUrl)}
+                      alt={creative.altText || creative.name}
+                      className="w-24 h-16 object-cover rounded border border-dark-100 dark:border-dark-800"
+                    />
+                    <div className="min-w-0 flex-1">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <h3 className="font-medium text-dark-900 dark:text-white">{creative.name}</h3>
+                        <Badge variant={CREATIVE_STATUS_VARIANTS[creative.status]}>{translateText(creative.status)}</Badge>
+                      </div>
+                      <p className="text-xs text-dark-500 mt-1">
+                        {(creative.campaign || creative.collectionId)?.name} · {formatRelativeTime(creative.createdAt)}
+                      </p>
+                      {creative.reviewNote && <p className="text-sm text-dark-600 dark:text-dark-300 mt-1">{creative.reviewNote}</p>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <Modal isOpen={isUploadOpen} onClose={() => setIsUploadOpen(false)} title={translateText('Upload Creative')} size="lg">
+        <form onSubmit={handleSubmitCreative} className="space-y-4">
+          <div>
+            <label className="label">
+              {translateText('Campaign')}
+              <span className="text-red-500 ml-1">*</span>
+            </label>
+            <select
+              className="input"
+              value={creativeForm.target}
+              onChange={(e) => setCreativeForm({ ...creativeForm, target: e.target.value })}
+              required
+            >
+              <option value="">{translateText('Choose a campaign')}</option>
+              {campaigns.map((campaign) => (
+                <option key={campaign._id} value={`campaign:${campaign._id}`}>{campaign.name}</option>
+              ))}
+              {collections.map((collection) => (
+                <option key={collection._id} value={`collection:${collection._id}`}>{collection.name}</option>
+              ))}
+            </select>
+          </div>
+          <Input
+            label="Name"
+            maxLength={200}
+            value={creativeForm.name}
+            onChange={(e) => setCreativeForm({ ...creativeForm, name: e.target.value })}
+            required
+          />
+          <Input
+            label="Click-through URL"
+            type="url"
+            value={creativeForm.linkUrl}
+            onChange={(e) => setCreativeForm({ ...creativeForm, linkUrl: e.target.value })}
+            required
+          />
+          <div className="grid gap-4 sm:grid-cols-2">
+            <Input
+              label="Button text"
+              maxLength={50}
+              placeholder="Learn More"
+              value={creativeForm.ctaText}
+              onChange={(e) => setCreativeForm({ ...creativeForm, ctaText: e.target.value })}
+            />
+            <Input
+              label="Alt text"
+              maxLength={200}
+              value={creativeForm.altText}
+              onChange={(e) => setCreativeForm({ ...creativeForm, altText: e.target.value })}
+            />
+          </div>
+          <div className="grid gap-4 sm:grid-cols-2">
+            <Input
+              label="Image"
+              type="file"
+              accept="image/*"
+              onChange={(e) => setCreativeForm({ ...creativeForm, image: e.target.files?.[0] || null })}
+              required
+            />
+            <Input
+              label="Mobile image"
+              type="file"
+              accept="image/*"
+              onChange={(e) => setCreativeForm({ ...creativeForm, mobileImage: e.target.files?.[0] || null })}
+            />
+          </div>
+          <p className="text-xs text-dark-500">
+            {translateText('Creatives go live once our ad team approves them. You will get a notification either way.')}
+          </p>
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="outline" onClick={() => setIsUploadOpen(false)}>
+              {translateText('Cancel')}
+            </Button>
+            <Button type="submit" leftIcon={<Upload className="w-4 h-4" />} isLoading={isSubmitting}>
+              {translateText('Submit for Review')}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </>
+  );
+}
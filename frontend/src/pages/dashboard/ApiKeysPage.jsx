@@ -0,0 +1,416 @@
+import { useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { Plus, Edit, KeyRound, Copy, Ban, ScrollText } from 'lucide-react';
+import {
+  useApiKeys,
+  useApiKeyRequests,
+  useCreateApiKey,
+  useUpdateApiKey,
+  useRevokeApiKey,
+  useUsers,
+} from '../../hooks/useApi';
+import { Button, Input, Textarea, Modal, Badge, ContentLoader, EmptyState, ConfirmModal } from '../../components/common/index.jsx';
+import { cn, formatNumber, formatRelativeTime, formatDate } from '../../utils';
+import toast from 'react-hot-toast';
+import useLanguage from '../../hooks/useLanguage';
+
+const SCOPE_LABELS = {
+  'articles:read': 'Read articles, including drafts the account can see',
+  'articles:write': 'Create, edit and delete articles, upload media',
+  'articles:workflow': 'Submit, review and approve articles in the editorial workflow',
+  'analytics:read': 'Read analytics',
+  'ads:track': 'Send ad impressions and clicks',
+};
+
+const emptyForm = () => ({
+  name: '',
+  description: '',
+  scopes: ['articles:read'],
+  user: '',
+  ipAllowlist: '',
+  rateLimitPerMinute: 60,
+  expiresAt: '',
+});
+
+const keyStatus = (apiKey) => {
+  if (apiKey.revokedAt) return { label: 'Revoked', variant: 'danger' };
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return { label: 'Expired', variant: 'neutral' };
+  return { label: 'Active', variant: 'success' };
+};
+
+function RequestLog({ apiKey }) {
+  const { translateText } = useLanguage();
+  const [page, setPage] = useState(1);
+  const { data, isLoading } = useApiKeyRequests(apiKey._id, { page, limit: 20 });
+
+  if (isLoading) return <ContentLoader />;
+
+  const requests = data?.data || [];
+  const pagination = data?.pagination || { page: 1, totalPages: 1 };
+
+  if (requests.length === 0) {
+    return <p className="text-sm text-dark-500 py-4">{translateText('No requests recorded yet.')}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-dark-500 border-b border-dark-100 dark:border-dark-800">
+              <th className="py-2 pr-4">{translateText('Time')}</th>
+              <th className="py-2 pr-4">{translateText('Request')}</th>
+              <th className="py-2 pr-4">{translateText('Status')}</th>
+              <th className="py-2">{translateText('Duration')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {requests.map((request) => (
+              <tr key={request._id} className="border-b border-dark-100 dark:border-dark-800 last:border-0">
+                <td className="py-2 pr-4 text-dark-500 whitespace-nowrap">{formatRelativeTime(request.createdAt)}</td>
+                <td className="py-2 pr-4 font-mono text-xs text-dark-900 dark:text-white break-all">
+                  {request.method} {request.path}
+                </td>
+                <td className={cn('py-2 pr-4 font-medium', request.statusCode >= 400 ? 'text-red-600' : 'text-emerald-600')}>
+                  {request.statusCode}
+                </td>
+                <td className="py-2 text-dark-500">{request.durationMs} ms</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-center gap-2">
+          <Button size="sm" variant="outline" disabled={page === 1} onClick={() => setPage(page - 1)}>
+            {translateText('Previous')}
+          </Button>
+          <span className="text-sm text-dark-500">{pagination.page} / {pagination.totalPages}</span>
+          <Button size="sm" variant="outline" disabled={page === pagination.totalPages} onClick={() => setPage(page + 1)}>
+            {translateText('Next')}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function ApiKeysPage() {
+  const { translateText } = useLanguage();
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingKey, setEditingKey] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [revokeModal, setRevokeModal] = useState(null);
+  const [logKey, setLogKey] = useState(null);
+
+  const { data, isLoading } = useApiKeys();
+  const { data: usersData } = useUsers({ limit: 100, status: 'active' });
+  const { mutate: createKey, isPending: isCreating } = useCreateApiKey();
+  const { mutate: updateKey, isPending: isUpdating } = useUpdateApiKey();
+  const { mutate: revokeKey, isPending: isRevoking } = useRevokeApiKey();
+
+  const apiKeys = data?.apiKeys || [];
+  const scopes = data?.scopes || Object.keys(SCOPE_LABELS);
+  const users = usersData?.data || [];
+
+  const handleOpenModal = (apiKey = null) => {
+    setEditingKey(apiKey);
+    setFormData(apiKey
+      ? {
+        name: apiKey.name,
+        description: apiKey.description || '',
+        scopes: apiKey.scopes,
+        user: apiKey.user?._id || '',
+        ipAllowlist: (apiKey.ipAllowlist || []).join('\n'),
+        rateLimitPerMinute: apiKey.rateLimitPerMinute,
+        expiresAt: apiKey.expiresAt ? apiKey.expiresAt.slice(0, 10) : '',
+      }
+      : emptyForm());
+    setIsModalOpen(true);
+  };
+
+  const handleCloseModal = () => {
+    setIsModalOpen(false);
+    setEditingKey(null);
+  };
+
+  const toggleScope = (scope) => {
+    setFormData((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((item) => item !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (formData.scopes.length === 0) {
+      toast.error(translateText('Select at least one scope'));
+      return;
+    }
+
+    const payload = {
+      name: formData.name,
+      description: formData.description,
+      scopes: formData.scopes,
+      ipAllowlist: formData.ipAllowlist.split(/[\s,]+/).filter(Boolean),
+      rateLimitPerMinute: Number(formData.rateLimitPerMinute),
+      // End of the chosen day
+      expiresAt: formData.expiresAt ? new Date(`${formData.expiresAt}T23:59:59`).toISOString() : null,
+    };
+
+    if (editingKey) {
+      updateKey({ id: editingKey._id, data: payload }, { onSuccess: handleCloseModal });
+    } else {
+      createKey({ ...payload, user: formData.user || undefined }, {
+        onSuccess: (response) => {
+          handleCloseModal();
+          setCreatedKey(response.data.data.key);
+        },
+      });
+    }
+  };
+
+  const handleCopyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey);
+      toast.success(translateText('API key copied'));
+    } catch {
+      toast.error(translateText('Could not copy to clipboard'));
+    }
+  };
+
+  const handleRevoke = () => {
+    if (revokeModal) {
+      revokeKey(revokeModal._id, { onSuccess: () => setRevokeModal(null) });
+    }
+  };
+
+  if (isLoading) return <ContentLoader />;
+
+  return (
+    <>
+      <Helmet><title>{`${translateText('API Keys')} - Bassac Post`}</title></Helmet>
+
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between mb-6">
+        <div>
+          <p className="text-xs uppercase tracking-[0.2em] text-dark-400">{translateText('Administration')}</p>
+          <h1 className="text-2xl font-bold text-dark-900 dark:text-white">{translateText('API Keys')}</h1>
+          <p className="text-dark-500 mt-1">{translateText('Credentials for the mobile app backend and syndication partners')}</p>
+        </div>
+        <Button leftIcon={<Plus className="w-4 h-4" />} onClick={() => handleOpenModal()}>
+          {translateText('New API Key')}
+        </Button>
+      </div>
+
+      {apiKeys.length > 0 ? (
+        <div className="space-y-3">
+          {apiKeys.map((apiKey) => {
+            const status = keyStatus(apiKey);
+            return (
+              <div key={apiKey._id} className={cn('card p-4', apiKey.revokedAt && 'opacity-60')}>
+                <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+                  <div className="min-w-0">
+                    <div className="flex flex-wrap items-center gap-2 mb-1">
+                      <h3 className="font-semibold text-dark-900 dark:text-white">{apiKey.name}</h3>
+                      <Badge variant={status.variant}>{translateText(status.label)}</Badge>
+                      <code className="text-xs font-mono text-dark-500">{apiKey.prefix}…</code>
+                    </div>
+                    {apiKey.description && <p className="text-sm text-dark-500">{apiKey.description}</p>}
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {apiKey.scopes.map((scope) => (
+                        <Badge key={scope} variant="primary">{scope}</Badge>
+                      ))}
+                    </div>
+                    <p className="text-xs text-dark-400 mt-2">
+                      {translateText('Acts as')} {apiKey.user ? `${apiKey.user.firstName} ${apiKey.user.lastName} (${apiKey.user.role})` : '—'}
+                      {' · '}{formatNumber(apiKey.rateLimitPerMinute)}/{translateText('min')}
+                      {' · '}{apiKey.ipAllowlist?.length ? `${apiKey.ipAllowlist.length} ${translateText('allowed IP ranges')}` : translateText('any IP')}
+                      {apiKey.expiresAt && ` · ${translateText('expires')} ${formatDate(apiKey.expiresAt)}`}
+                    </p>
+                    <p className="text-xs text-dark-400 mt-1">
+                      {apiKey.lastUsedAt
+                        ? `${translateText('Last used')} ${formatRelativeTime(apiKey.lastUsedAt)} · ${formatNumber(apiKey.requestCount)} ${translateText('requests')}`
+                        : translateText('Never used')}
+                    </p>
+                  </div>
+                  <div className="flex shrink-0 gap-2">
+                    <Button size="sm" variant="outline" leftIcon={<ScrollText className="w-3.5 h-3.5" />} onClick={() => setLogKey(apiKey)}>
+                      {translateText('Requests')}
+                    </Button>
+                    {!apiKey.revokedAt && (
+                      <>
+                        <button onClick={() => handleOpenModal(apiKey)} className="btn btn-sm btn-secondary" title={translateText('Edit')}>
+                          <Edit className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                          onClick={() => setRevokeModal(apiKey)}
+                          className="btn btn-sm btn-outline text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                          title={translateText('Revoke')}
+                        >
+                          <Ban className="w-3.5 h-3.5" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <EmptyState
+          icon={KeyRound}
+          title={translateText('No API keys yet')}
+          description={translateText('Create a key for each app or partner so access can be scoped and revoked separately')}
+        />
+      )}
+
+      <Modal
+        isOpen={isModalOpen}
+        onClose={handleCloseModal}
+        title={editingKey ? translateText('Edit API Key') : translateText('New API Key')}
+        size="lg"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            label="Name"
+            maxLength={100}
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            required
+          />
+          <Textarea
+            label="Description (Optional)"
+            maxLength={500}
+            className="min-h-[60px]"
+            value={formData.description}
+            onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          />
+
+          <div>
+            <label className="label">{translateText('Scopes')}</label>
+            <div className="space-y-2">
+              {scopes.map((scope) => (
+                <label key={scope} className="flex items-start gap-2 text-sm text-dark-700 dark:text-dark-300">
+                  <input
+                    type="checkbox"
+                    className="mt-0.5"
+                    checked={formData.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                  />
+                  <span>
+                    <code className="font-mono text-xs">{scope}</code>
+                    <span className="text-dark-500"> — {translateText(SCOPE_LABELS[scope] || scope)}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {!editingKey && (
+              <div className="sm:col-span-2">
+                <label className="label">{translateText('Acts as')}</label>
+                <select
+                  className="input"
+                  value={formData.user}
+                  onChange={(e) => setFormData({ ...formData, user: e.target.value })}
+                >
+                  <option value="">{translateText('Me')}</option>
+                  {users.map((user) => (
+                    <option key={user._id} value={user._id}>
+                      {user.fullName} ({user.role})
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-dark-500 mt-1">
+                  {translateText("Requests use this account's role and permissions, limited to the scopes above.")}
+                </p>
+              </div>
+            )}
+            <Input
+              label="Requests per minute"
+              type="number"
+              min={1}
+              max={10000}
+              value={formData.rateLimitPerMinute}
+              onChange={(e) => setFormData({ ...formData, rateLimitPerMinute: e.target.value })}
+              required
+            />
+            <Input
+              label="Expires on (Optional)"
+              type="date"
+              value={formData.expiresAt}
+              onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+            />
+          </div>
+
+          <Textarea
+            label="IP allowlist (Optional)"
+            placeholder={'203.0.113.10\n198.51.100.0/24'}
+            className="min-h-[80px] font-mono text-sm"
+            value={formData.ipAllowlist}
+            onChange={(e) => setFormData({ ...formData, ipAllowlist: e.target.value })}
+          />
+          <p className="text-xs text-dark-500 -mt-2">
+            {translateText('One IP address or IPv4 CIDR range per line. Leave empty to allow any address.')}
+          </p>
+
+          <div className="flex justify-end gap-2 pt-4">
+            <Button type="button" variant="secondary" onClick={handleCloseModal}>
+              {translateText('Cancel')}
+            </Button>
+            <Button type="submit" isLoading={isCreating || isUpdating}>
+              {editingKey ? translateText('Save Changes') : translateText('Create Key')}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      <Modal isOpen={!!createdKey} onClose={() => setCreatedKey(null)} title={translateText('API key created')}>
+        <div className="space-y-4">
+          <p className="text-sm text-dark-600 dark:text-dark-400">
+            {translateText('Copy this key now and store it securely. It will not be shown again.')}
+          </p>
+          <code className="block rounded-xl bg-dark-100 dark:bg-dark-800 p-4 font-mono text-sm break-all text-dark-900 dark:text-white">
+            {createdKey}
+          </code>
+          <p className="text-xs text-dark-500">
+            {translateText('Send it as the X-API-Key header.')}
+          </p>
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" leftIcon={<Copy className="w-4 h-4" />} onClick={handleCopyKey}>
+              {translateText('Copy')}
+            </Button>
+            <Button onClick={() => setCreatedKey(null)}>{translateText('Done')}</Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={!!logKey}
+        onClose={() => setLogKey(null)}
+        title={`${translateText('Requests')}: ${logKey?.name || ''}`}
+        size="lg"
+      >
+        {logKey && <RequestLog apiKey={logKey} />}
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!revokeModal}
+        onClose={() => setRevokeModal(null)}
+        onConfirm={handleRevoke}
+        title={translateText('Revoke API Key')}
+        message={revokeModal ? `${translateText('Requests using')} "${revokeModal.name}" ${translateText('will be rejected immediately. This cannot be undone.')}` : ''}
+        confirmText={translateText('Revoke')}
+        variant="danger"
+        isLoading={isRevoking}
+        icon={Ban}
+      />
+    </>
+  );
+}
@@ -18,7 +18,7 @@ import {
   useWorkflowFinalApprove,
   useWorkflowFinalReject,
 } from '../../hooks/useApi';
-import { Button, Input, ContentLoader, StatusBadge } from '../../components/common/index.jsx';
+import { Button, Input, ContentLoader, StatusBadge, TranslationProgressChips } from '../../components/common/index.jsx';
 import EditorComponent from '../../components/common/EditorJS';
 import { buildMediaUrl } from '../../utils';
 import { buildFacebookEmbedConfig, normalizeExternalUrl, normalizeFacebookUrl } from '../../utils/facebookEmbed';
@@ -65,6 +65,7 @@ export function ArticleEditorPage() {
   const [tagInput, setTagInput] = useState('');
   const [isFeatured, setIsFeatured] = useState(false);
   const [isBreaking, setIsBreaking] = useState(false);
+  const [accessLevel, setAccessLevel] = useState('free');
   const [editorData, setEditorData] = useState({ blocks: [] });
   const [hasEditorContent, setHasEditorContent] = useState(false);
   const editorContentRef = useRef({ blocks: [] });
@@ -149,14 +150,25 @@ export function ArticleEditorPage() {
   const sourceReviewState = sourceWorkflow?.sourceReviewState || 'draft';
   const translationWorkflowState = sourceWorkflow?.translationState || 'not_required';
   const adminApprovalState = sourceWorkflow?.adminApprovalState || 'not_ready';
-  const assignedTranslatorId = sourceWorkflow?.assignedTranslator?._id || sourceWorkflow?.assignedTranslator || null;
-  const isAssignedTranslator = !assignedTranslatorId || assignedTranslatorId?.toString?.() === user?._id?.toString?.();
+  // Articles commissioned per language carry translationAssignments; older ones have a single assignee
+  const translationAssignments = sourceWorkflow?.translationAssignments || [];
+  const hasTranslationAssignments = translationAssignments.length > 0;
+  const workspaceAssignment = translationAssignments.find((item) => item.language === workspaceLanguage) || null;
+  const assignedTranslator = hasTranslationAssignments ? workspaceAssignment?.translator : sourceWorkflow?.assignedTranslator;
+  const assignedTranslatorId = assignedTranslator?._id || assignedTranslator || null;
+  const isAssignedTranslator =
+    (!hasTranslationAssignments || Boolean(workspaceAssignment)) &&
+    (!assignedTranslatorId || assignedTranslatorId?.toString?.() === user?._id?.toString?.());
+  const workspaceTranslationState = workspaceAssignment?.state || translationWorkflowState;
+  const submittedAssignmentLanguages = translationAssignments
+    .filter((item) => item.state === 'submitted')
+    .map((item) => item.language);
   const editorCanReviewSource = isEditMode && isEditorRole && sourceReviewState === 'submitted';
   const editorCanReviewTranslation =
     isEditMode &&
     isEditorRole &&
     sourceReviewState === 'approved' &&
-    translationWorkflowState === 'submitted';
+    (hasTranslationAssignments ? submittedAssignmentLanguages.length > 0 : translationWorkflowState === 'submitted');
   const adminCanFinalReview =
     isEditMode &&
     isAdminRole &&
@@ -167,7 +179,7 @@ export function ArticleEditorPage() {
     isEditMode &&
     isTranslationContributorRole &&
     isAssignedTranslator &&
-    ['in_translation', 'changes_requested'].includes(translationWorkflowState);
+    ['in_translation', 'changes_requested'].includes(workspaceTranslationState);
   const sourceTitle = String(sourceArticle?.title ?? title ?? '');
   const sourceExcerpt = String(sourceArticle?.excerpt ?? excerpt ?? '');
   const categories = categoriesData || [];
@@ -325,6 +337,7 @@ export function ArticleEditorPage() {
       setTags(article.tags || []);
       setIsFeatured(article.isFeatured || false);
       setIsBreaking(article.isBreaking || false);
+      setAccessLevel(article.accessLevel || 'free');
       const content = normalizeContent(article.content);
       setEditorData(content);
       editorContentRef.current = content;
@@ -612,6 +625,7 @@ export function ArticleEditorPage() {
         tags,
         isFeatured,
         isBreaking,
+        accessLevel,
         status
       };
 
@@ -770,9 +784,16 @@ export function ArticleEditorPage() {
     );
   };
 
+  const resolveReviewLanguage = () => {
+    if (submittedAssignmentLanguages.length) {
+      return submittedAssignmentLanguages.includes(workspaceLanguage) ? workspaceLanguage : submittedAssignmentLanguages[0];
+    }
+    return selectedTranslation?.language || submittedTranslationLanguage || translationLanguage;
+  };
+
   const handleApproveTranslation = () => {
     if (!id) return;
-    const languageCode = selectedTranslation?.language || submittedTranslationLanguage || translationLanguage;
+    const languageCode = resolveReviewLanguage();
     workflowApproveTranslation(
       { id, language: languageCode, notes: '' },
       { onSuccess: () => queryClient.invalidateQueries({ queryKey: ['article', 'id', id] }) }
@@ -781,7 +802,7 @@ export function ArticleEditorPage() {
 
   const handleRejectTranslation = () => {
     if (!id) return;
-    const languageCode = selectedTranslation?.language || submittedTranslationLanguage || translationLanguage;
+    const languageCode = resolveReviewLanguage();
     const reason = promptForNotes(translateText('Enter translation review change request:'));
     if (!reason) return;
     workflowRequestTranslationChanges(
@@ -869,6 +890,11 @@ export function ArticleEditorPage() {
               {translateText(id ? 'Edit Post' : 'New Post')}
             </h1>
             <p className="text-sm text-dark-500">{translateText('Create and publish amazing content')}</p>
+            {hasTranslationAssignments && (
+              <div className="mt-2">
+                <TranslationProgressChips progress={{ languages: translationAssignments }} />
+              </div>
+            )}
           </div>
         </div>
         <div className="hidden md:flex gap-2 items-center">
@@ -1299,7 +1325,9 @@ export function ArticleEditorPage() {
                 </div>
                 {isTranslationContributorRole && !isAssignedTranslator && (
                   <p className="text-xs text-amber-600">
-                    {translateText('This post is assigned to another translator. You can view but cannot submit translation.')}
+                    {hasTranslationAssignments && !workspaceAssignment
+                      ? translateText('This language was not commissioned for this post.')
+                      : translateText('This post is assigned to another translator. You can view but cannot submit translation.')}
                   </p>
                 )}
                 {isTranslationContributorRole && (
@@ -1485,6 +1513,18 @@ export function ArticleEditorPage() {
                     <p className="text-xs text-dark-500">{translateText('Mark as breaking content')}</p>
                   </div>
                 </label>
+                <div className="p-2">
+                  <label className="text-dark-700 dark:text-dark-300 font-medium text-sm">{translateText('Access')}</label>
+                  <select
+                    value={accessLevel}
+                    onChange={(e) => setAccessLevel(e.target.value)}
+                    className="input mt-1"
+                  >
+                    <option value="free">{translateText('Free for everyone')}</option>
+                    <option value="metered">{translateText('Metered (counts toward monthly limit)')}</option>
+                    <option value="premium">{translateText('Subscribers only')}</option>
+                  </select>
+                </div>
               </div>
             </>
           )}
@@ -0,0 +1,336 @@
+import { useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { Plus, Edit, Trash2, Zap, Send, Clock, Eye, MousePointerClick, Radio } from 'lucide-react';
+import {
+  useBreakingNewsList,
+  useBreakingNewsStats,
+  useCreateBreakingNews,
+  useUpdateBreakingNews,
+  useDeleteBreakingNews,
+  usePublishBreakingNews,
+  useExpireBreakingNews,
+} from '../../hooks/useApi';
+import { Button, Input, Textarea, Modal, Badge, ContentLoader, EmptyState, ConfirmModal } from '../../components/common/index.jsx';
+import { cn, formatNumber, formatRelativeTime } from '../../utils';
+import toast from 'react-hot-toast';
+import useLanguage from '../../hooks/useLanguage';
+
+const CHANNELS = [
+  { id: 'socket', label: 'Live (site & dashboard)' },
+  { id: 'telegram', label: 'Telegram channel' },
+  { id: 'email', label: 'Newsletter email' },
+];
+
+const STATUS_VARIANTS = { draft: 'neutral', active: 'danger', expired: 'neutral' };
+const PRIORITY_VARIANTS = { normal: 'primary', high: 'warning', critical: 'danger' };
+
+// datetime-local wants local time without seconds or zone
+const toLocalInput = (date) => {
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+};
+
+const emptyForm = () => ({
+  title: '',
+  summary: '',
+  url: '',
+  imageUrl: '',
+  priority: 'normal',
+  channels: CHANNELS.map((channel) => channel.id),
+  expiresAt: toLocalInput(Date.now() + 2 * 60 * 60 * 1000),
+});
+
+export function BreakingNewsPage() {
+  const { translateText } = useLanguage();
+  const [filter, setFilter] = useState({ status: '', page: 1 });
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingAlert, setEditingAlert] = useState(null);
+  const [deleteModal, setDeleteModal] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  const { data, isLoading } = useBreakingNewsList({ ...filter, status: filter.status || undefined });
+  const { data: stats } = useBreakingNewsStats();
+  const { mutate: createAlert, isPending: isCreating } = useCreateBreakingNews();
+  const { mutate: updateAlert, isPending: isUpdating } = useUpdateBreakingNews();
+  const { mutate: deleteAlert, isPending: isDeleting } = useDeleteBreakingNews();
+  const { mutate: publishAlert, isPending: isPublishing } = usePublishBreakingNews();
+  const { mutate: expireAlert } = useExpireBreakingNews();
+
+  const alerts = data?.data || [];
+  const pagination = data?.pagination || { page: 1, totalPages: 1 };
+
+  const handleOpenModal = (alert = null) => {
+    setEditingAlert(alert);
+    setFormData(alert
+      ? {
+        title: alert.title,
+        summary: alert.summary,
+        url: alert.url || '',
+        imageUrl: alert.imageUrl || '',
+        priority: alert.priority,
+        channels: alert.channels,
+        expiresAt: toLocalInput(alert.expiresAt),
+      }
+      : emptyForm());
+    setIsModalOpen(true);
+  };
+
+  const handleCloseModal = () => {
+    setIsModalOpen(false);
+    setEditingAlert(null);
+  };
+
+  const toggleChannel = (id) => {
+    setFormData((prev) => ({
+      ...prev,
+      channels: prev.channels.includes(id)
+        ? prev.channels.filter((channel) => channel !== id)
+        : [...prev.channels, id],
+    }));
+  };
+
+  const handleSubmit = (publish) => (e) => {
+    e?.preventDefault();
+
+    if (!formData.title.trim() || !formData.summary.trim()) {
+      toast.error(translateText('Title and summary are required'));
+      return;
+    }
+
+    const payload = { ...formData, expiresAt: new Date(formData.expiresAt).toISOString() };
+    if (editingAlert) {
+      updateAlert({ id: editingAlert._id, data: payload }, { onSuccess: handleCloseModal });
+    } else {
+      createAlert({ ...payload, publish }, { onSuccess: handleCloseModal });
+    }
+  };
+
+  const handleDelete = () => {
+    if (deleteModal) {
+      deleteAlert(deleteModal._id, { onSuccess: () => setDeleteModal(null) });
+    }
+  };
+
+  if (isLoading) return <ContentLoader />;
+
+  const statCards = [
+    { icon: Zap, label: 'Alerts', value: stats?.count },
+    { icon: Send, label: 'Deliveries', value: stats?.totalSent },
+    { icon: Eye, label: 'Views', value: stats?.totalViews },
+    { icon: MousePointerClick, label: 'Clicks', value: stats?.totalClicks },
+  ];
+
+  return (
+    <>
+      <Helmet><title>{`${translateText('Breaking News')} - Bassac Post`}</title></Helmet>
+
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between mb-6">
+        <div>
+          <p className="text-xs uppercase tracking-[0.2em] text-dark-400">{translateText('Newsroom')}</p>
+          <h1 className="text-2xl font-bold text-dark-900 dark:text-white">{translateText('Breaking News')}</h1>
+          <p className="text-dark-500 mt-1">{translateText('Push urgent alerts to readers, Telegram and email')}</p>
+        </div>
+        <Button leftIcon={<Plus className="w-4 h-4" />} onClick={() => handleOpenModal()}>
+          {translateText('New Alert')}
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        {statCards.map(({ icon: Icon, label, value }) => (
+          <div key={label} className="card p-4">
+            <div className="flex items-center justify-between mb-2">
+              <Icon className="w-5 h-5 text-dark-400" />
+              <span className="text-2xl font-bold text-dark-900 dark:text-white">{formatNumber(value || 0)}</span>
+            </div>
+            <p className="text-sm text-dark-500">{translateText(label)}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        {['', 'draft', 'active', 'expired'].map((status) => (
+          <button
+            key={status || 'all'}
+            onClick={() => setFilter({ status, page: 1 })}
+            className={cn('btn btn-sm', filter.status === status ? 'btn-primary' : 'btn-secondary')}
+          >
+            {translateText(status ? status.charAt(0).toUpperCase() + status.slice(1) : 'All')}
+          </button>
+        ))}
+      </div>
+
+      {alerts.length > 0 ? (
+        <div className="space-y-3">
+          {alerts.map((alert) => (
+            <div key={alert._id} className="card p-4">
+              <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+                <div className="min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <Badge variant={STATUS_VARIANTS[alert.status]}>{translateText(alert.status)}</Badge>
+                    <Badge variant={PRIORITY_VARIANTS[alert.priority]}>{translateText(alert.priority)}</Badge>
+                    <span className="text-xs text-dark-400 flex items-center gap-1">
+                      <Clock className="w-3 h-3" />
+                      {alert.status === 'expired'
+                        ? translateText('Expired')
+                        : `${translateText('Expires')} ${formatRelativeTime(alert.expiresAt)}`}
+                    </span>
+                  </div>
+                  <h3 className="font-semibold text-dark-900 dark:text-white">{alert.title}</h3>
+                  <p className="text-sm text-dark-500 mt-1 line-clamp-2">{alert.summary}</p>
+                  {alert.status !== 'draft' && (
+                    <p className="text-xs text-dark-400 mt-2">
+                      {translateText('Live')} {formatNumber(alert.stats.delivery?.socket || 0)} · Telegram {formatNumber(alert.stats.delivery?.telegram || 0)} · {translateText('Email')} {formatNumber(alert.stats.delivery?.email || 0)} · {translateText('Views')} {formatNumber(alert.stats.views)} · {translateText('Clicks')} {formatNumber(alert.stats.clicks)}
+                    </p>
+                  )}
+                </div>
+                <div className="flex shrink-0 gap-2">
+                  {alert.status === 'draft' && (
+                    <Button size="sm" leftIcon={<Radio className="w-3.5 h-3.5" />} isLoading={isPublishing} onClick={() => publishAlert(alert._id)}>
+                      {translateText('Publish')}
+                    </Button>
+                  )}
+                  {alert.status === 'active' && (
+                    <Button size="sm" variant="outline" onClick={() => expireAlert(alert._id)}>
+                      {translateText('Expire now')}
+                    </Button>
+                  )}
+                  {alert.status !== 'expired' && (
+                    <button onClick={() => handleOpenModal(alert)} className="btn btn-sm btn-secondary">
+                      <Edit className="w-3.5 h-3.5" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setDeleteModal(alert)}
+                    className="btn btn-sm btn-outline text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-2 pt-2">
+              <Button size="sm" variant="outline" disabled={pagination.page === 1} onClick={() => setFilter({ ...filter, page: filter.page - 1 })}>
+                {translateText('Previous')}
+              </Button>
+              <span className="text-sm text-dark-500">{pagination.page} / {pagination.totalPages}</span>
+              <Button size="sm" variant="outline" disabled={pagination.page === pagination.totalPages} onClick={() => setFilter({ ...filter, page: filter.page + 1 })}>
+                {translateText('Next')}
+              </Button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <EmptyState
+          icon={Zap}
+          title={translateText('No alerts yet')}
+          description={translateText('Create an alert when a story needs to reach readers right away')}
+        />
+      )}
+
+      <Modal
+        isOpen={isModalOpen}
+        onClose={handleCloseModal}
+        title={editingAlert ? translateText('Edit Alert') : translateText('New Alert')}
+        size="lg"
+      >
+        <form onSubmit={handleSubmit(false)} className="space-y-4">
+          <Input
+            label="Title"
+            maxLength={150}
+            value={formData.title}
+            onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+            required
+          />
+          <Textarea
+            label="Summary"
+            maxLength={300}
+            className="min-h-[80px]"
+            value={formData.summary}
+            onChange={(e) => setFormData({ ...formData, summary: e.target.value })}
+            required
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Input
+              label="Link"
+              placeholder="/article/slug or https://..."
+              value={formData.url}
+              onChange={(e) => setFormData({ ...formData, url: e.target.value })}
+            />
+            <Input
+              label="Image URL (Optional)"
+              value={formData.imageUrl}
+              onChange={(e) => setFormData({ ...formData, imageUrl: e.target.value })}
+            />
+            <div>
+              <label className="label">{translateText('Priority')}</label>
+              <select
+                className="input"
+                value={formData.priority}
+                onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+              >
+                <option value="normal">{translateText('Normal')}</option>
+                <option value="high">{translateText('High')}</option>
+                <option value="critical">{translateText('Critical')}</option>
+              </select>
+            </div>
+            <Input
+              label="Expires at"
+              type="datetime-local"
+              value={formData.expiresAt}
+              onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+              required
+            />
+          </div>
+
+          {(!editingAlert || editingAlert.status === 'draft') && (
+            <div>
+              <label className="label">{translateText('Send to')}</label>
+              <div className="flex flex-wrap gap-4">
+                {CHANNELS.map((channel) => (
+                  <label key={channel.id} className="flex items-center gap-2 text-sm text-dark-700 dark:text-dark-300">
+                    <input
+                      type="checkbox"
+                      checked={formData.channels.includes(channel.id)}
+                      onChange={() => toggleChannel(channel.id)}
+                    />
+                    {translateText(channel.label)}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2 pt-4">
+            <Button type="button" variant="secondary" onClick={handleCloseModal}>
+              {translateText('Cancel')}
+            </Button>
+            <Button type="submit" variant={editingAlert ? 'primary' : 'secondary'} isLoading={isCreating || isUpdating}>
+              {editingAlert ? translateText('Save Changes') : translateText('Save Draft')}
+            </Button>
+            {!editingAlert && (
+              <Button type="button" leftIcon={<Radio className="w-4 h-4" />} isLoading={isCreating} onClick={handleSubmit(true)}>
+                {translateText('Publish Now')}
+              </Button>
+            )}
+          </div>
+        </form>
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!deleteModal}
+        onClose={() => setDeleteModal(null)}
+        onConfirm={handleDelete}
+        title={translateText('Delete Alert')}
+        message={deleteModal ? `${translateText('Are you sure you want to delete')} "${deleteModal.title}"?` : ''}
+        confirmText={translateText('Delete')}
+        variant="danger"
+        isLoading={isDeleting}
+        icon={Trash2}
+      />
+    </>
+  );
+}
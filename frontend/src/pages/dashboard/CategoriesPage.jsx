@@ -7,6 +7,18 @@ import { buildMediaUrl, getCategoryAccent } from '../../utils';
 import toast from 'react-hot-toast';
 import useLanguage from '../../hooks/useLanguage';
 
+// Per-stage workflow deadlines; blank uses the site default
+const WORKFLOW_SLA_FIELDS = [
+  { key: 'sourceReview', label: 'Source review' },
+  { key: 'translation', label: 'Translation' },
+  { key: 'translationReview', label: 'Translation review' },
+  { key: 'finalReview', label: 'Final review' },
+];
+
+const EMPTY_WORKFLOW_SLA = { sourceReview: '', translation: '', translationReview: '', finalReview: '' };
+
+const EMPTY_FORM = { name: '', description: '', image: '', color: '#3B82F6', workflowSlaHours: EMPTY_WORKFLOW_SLA };
+
 export function CategoriesPage() {
   const { translateText } = useLanguage();
   const { data, isLoading } = useCategories();
@@ -17,12 +29,7 @@ export function CategoriesPage() {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingCategory, setEditingCategory] = useState(null);
   const [deleteModal, setDeleteModal] = useState(null);
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    image: '',
-    color: '#3B82F6'
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
 
   const handleOpenModal = (category = null) => {
     if (category) {
@@ -31,11 +38,14 @@ export function CategoriesPage() {
         name: category.name,
         description: category.description || '',
         image: category.image || '',
-        color: category.color || '#3B82F6'
+        color: category.color || '#3B82F6',
+        workflowSlaHours: Object.fromEntries(
+          WORKFLOW_SLA_FIELDS.map(({ key }) => [key, category.workflowSlaHours?.[key] ?? ''])
+        ),
       });
     } else {
       setEditingCategory(null);
-      setFormData({ name: '', description: '', image: '', color: '#3B82F6' });
+      setFormData(EMPTY_FORM);
     }
     setIsModalOpen(true);
   };
@@ -43,7 +53,7 @@ export function CategoriesPage() {
   const handleCloseModal = () => {
     setIsModalOpen(false);
     setEditingCategory(null);
-    setFormData({ name: '', description: '', image: '', color: '#3B82F6' });
+    setFormData(EMPTY_FORM);
   };
 
   const handleSubmit = (e) => {
@@ -242,6 +252,28 @@ export function CategoriesPage() {
             </div>
           </div>
 
+          <div>
+            <label className="label">{translateText('Workflow Deadlines (hours)')}</label>
+            <div className="grid grid-cols-2 gap-3">
+              {WORKFLOW_SLA_FIELDS.map(({ key, label }) => (
+                <Input
+                  key={key}
+                  type="number"
+                  min="0.25"
+                  max="720"
+                  step="0.25"
+                  label={translateText(label)}
+                  placeholder={translateText('Default')}
+                  value={formData.workflowSlaHours[key]}
+                  onChange={(e) => setFormData({
+                    ...formData,
+                    workflowSlaHours: { ...formData.workflowSlaHours, [key]: e.target.value },
+                  })}
+                />
+              ))}
+            </div>
+          </div>
+
           <div className="flex justify-end gap-2 pt-4">
             <Button type="button" variant="secondary" onClick={handleCloseModal}>
               {translateText('Cancel')}
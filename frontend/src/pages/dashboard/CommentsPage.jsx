@@ -1,8 +1,9 @@
 import { useState } from 'react';
 import { Helmet } from 'react-helmet-async';
-import { MessageCircle, CheckCircle, XCircle, AlertTriangle, Trash2, Eye, RefreshCw } from 'lucide-react';
+import { MessageCircle, CheckCircle, XCircle, AlertTriangle, Trash2, Eye, RefreshCw, Flag, Ban } from 'lucide-react';
 import { useAllComments, useModerateComment, useDeleteComment } from '../../hooks/useApi';
 import { Button, Avatar, Badge, ContentLoader, Modal, Textarea, EmptyState, ConfirmModal } from '../../components/common/index.jsx';
+import { CommenterSanctionModal } from '../../components/comments/CommenterSanctionModal.jsx';
 import { formatRelativeTime, cn } from '../../utils';
 
 const statusConfig = {
@@ -12,19 +13,43 @@ const statusConfig = {
   spam: { label: 'Spam', color: 'badge-neutral', icon: AlertTriangle },
 };
 
+// Stat cards double as filters; "reported" is a queue, not a comment status
+const filterConfig = {
+  ...statusConfig,
+  reported: { label: 'Reported', color: 'badge-danger', icon: Flag },
+};
+
+const reportReasonLabels = {
+  spam: 'Spam',
+  harassment: 'Harassment',
+  hate_speech: 'Hate speech',
+  misinformation: 'Misinformation',
+  off_topic: 'Off topic',
+  other: 'Other',
+};
+
+const moderationActionLabels = {
+  moderated: 'Moderated',
+  bulk_moderated: 'Bulk moderated',
+  auto_hidden: 'Auto-hidden',
+};
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : 'System');
+
 export function CommentsPage() {
   const [filter, setFilter] = useState({ status: '', page: 1 });
   const [selectedComment, setSelectedComment] = useState(null);
   const [moderationNote, setModerationNote] = useState('');
   const [selectedComments, setSelectedComments] = useState([]);
   const [deleteModal, setDeleteModal] = useState(null);
+  const [sanctionTarget, setSanctionTarget] = useState(null);
 
   const { data, isLoading, refetch } = useAllComments(filter);
   const { mutate: moderate, isPending: isModerating } = useModerateComment();
   const { mutate: deleteComment, isPending: isDeleting } = useDeleteComment();
 
   const comments = data?.data?.comments || [];
-  const counts = data?.data?.counts || { pending: 0, approved: 0, rejected: 0, spam: 0 };
+  const counts = data?.data?.counts || { pending: 0, approved: 0, rejected: 0, spam: 0, reported: 0 };
   const pagination = data?.data?.pagination || { page: 1, pages: 1, total: 0 };
 
   const handleModerate = (status) => {
@@ -77,8 +102,8 @@ export function CommentsPage() {
       </div>
 
       {/* Stats Cards */}
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
-        {Object.entries(statusConfig).map(([key, config]) => {
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+        {Object.entries(filterConfig).map(([key, config]) => {
           const Icon = config.icon;
           return (
             <button
@@ -94,7 +119,8 @@ export function CommentsPage() {
                   key === 'pending' && 'text-amber-500',
                   key === 'approved' && 'text-emerald-500',
                   key === 'rejected' && 'text-red-500',
-                  key === 'spam' && 'text-dark-400'
+                  key === 'spam' && 'text-dark-400',
+                  key === 'reported' && 'text-red-500'
                 )} />
                 <span className="text-2xl font-bold text-dark-900 dark:text-white">
                   {counts[key] || 0}
@@ -175,10 +201,22 @@ export function CommentsPage() {
                       {comment.guestEmail && (
                         <span className="text-xs text-dark-400">({comment.guestEmail})</span>
                       )}
+                      {comment.guestVerified && (
+                        <span className="text-xs text-emerald-600">Verified email</span>
+                      )}
                       <span className="text-xs text-dark-400">
                         {formatRelativeTime(comment.createdAt)}
                       </span>
                       <Badge className={config.color}>{config.label}</Badge>
+                      {comment.shadowHidden && (
+                        <Badge className="badge-neutral">Shadow-banned</Badge>
+                      )}
+                      {comment.reportStatus === 'open' && (
+                        <Badge className="badge-danger">
+                          <Flag className="w-3 h-3 mr-1 inline" />
+                          {comment.reportCount} {comment.reportCount === 1 ? 'report' : 'reports'}
+                        </Badge>
+                      )}
                     </div>
 
                     {/* News link */}
@@ -193,6 +231,23 @@ export function CommentsPage() {
                       {comment.content}
                     </p>
 
+                    {/* Spam pipeline result */}
+                    {comment.spamCheck?.reasons?.length > 0 && (
+                      <p className="text-xs text-amber-600 mt-2">
+                        Spam score {comment.spamCheck.score}: {comment.spamCheck.reasons.join('; ')}
+                      </p>
+                    )}
+
+                    {/* Reporters */}
+                    {comment.reportStatus === 'open' && comment.reports?.length > 0 && (
+                      <p className="text-xs text-red-600 mt-2">
+                        Reported by{' '}
+                        {comment.reports
+                          .map((report) => `${personName(report.reporter)} (${reportReasonLabels[report.reason] || report.reason})`)
+                          .join(', ')}
+                      </p>
+                    )}
+
                     {/* Moderation info */}
                     {comment.moderatedBy && (
                       <p className="text-xs text-dark-400 mt-2">
@@ -283,6 +338,47 @@ export function CommentsPage() {
               <p className="text-dark-700 dark:text-dark-300">{selectedComment.content}</p>
             </div>
 
+            {selectedComment.reports?.length > 0 && (
+              <div className="mb-4">
+                <h4 className="text-sm font-semibold text-dark-900 dark:text-white mb-2">
+                  Reports ({selectedComment.reports.length})
+                </h4>
+                <ul className="space-y-2">
+                  {selectedComment.reports.map((report) => (
+                    <li key={report._id} className="text-sm">
+                      <span className="font-medium text-dark-900 dark:text-white">{personName(report.reporter)}</span>
+                      {report.reporter?.email && (
+                        <span className="text-xs text-dark-400"> ({report.reporter.email})</span>
+                      )}
+                      <Badge className="badge-danger ml-2">{reportReasonLabels[report.reason] || report.reason}</Badge>
+                      <span className="text-xs text-dark-400 ml-2">{formatRelativeTime(report.createdAt)}</span>
+                      {report.note && (
+                        <p className="text-xs text-dark-500 mt-0.5">"{report.note}"</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {selectedComment.moderationLog?.length > 0 && (
+              <div className="mb-4">
+                <h4 className="text-sm font-semibold text-dark-900 dark:text-white mb-2">Moderation history</h4>
+                <ol className="space-y-1 border-l-2 border-dark-200 dark:border-dark-700 pl-3">
+                  {[...selectedComment.moderationLog].reverse().map((entry) => (
+                    <li key={entry._id} className="text-xs text-dark-500">
+                      <span className="font-medium text-dark-700 dark:text-dark-300">
+                        {moderationActionLabels[entry.action] || entry.action}
+                      </span>
+                      {' '}{entry.fromStatus} → {entry.toStatus} by {personName(entry.actor)}
+                      {' · '}{formatRelativeTime(entry.createdAt)}
+                      {entry.note && ` - "${entry.note}"`}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
             <Textarea
               label="Moderation Note (optional)"
               value={moderationNote}
@@ -313,11 +409,29 @@ export function CommentsPage() {
               >
                 <AlertTriangle className="w-4 h-4 mr-1" /> Mark as Spam
               </Button>
+              <Button
+                onClick={() => {
+                  setSanctionTarget({
+                    commentId: selectedComment._id,
+                    userId: selectedComment.author?._id,
+                    name: selectedComment.author
+                      ? `${selectedComment.author.firstName} ${selectedComment.author.lastName}`
+                      : selectedComment.guestName,
+                  });
+                  setSelectedComment(null);
+                }}
+                variant="ghost"
+                className="ml-auto"
+              >
+                <Ban className="w-4 h-4 mr-1" /> Sanction commenter
+              </Button>
             </div>
           </div>
         )}
       </Modal>
 
+      <CommenterSanctionModal target={sanctionTarget} onClose={() => setSanctionTarget(null)} />
+
       {/* Delete Confirmation Modal */}
       <ConfirmModal
         isOpen={!!deleteModal}
@@ -5,7 +5,7 @@ import {
   Settings, Globe, Palette, Search, Shield, Code, 
   Save, Plus, Trash2,
   Facebook, Twitter, Instagram, Linkedin, Youtube, Github,
-  MessageCircle, Send, Hash, Megaphone, ExternalLink
+  MessageCircle, Send, Hash, Megaphone, ExternalLink, Lock
 } from 'lucide-react';
 import { useSiteSettings, useUpdateSettings, useUpdateBranding, useUpdateSEO, useToggleFeature } from '../../hooks/useApi';
 import { Button, Input, Textarea, ContentLoader } from '../../components/common/index.jsx';
@@ -29,6 +29,7 @@ const TABS = [
   { id: 'seo', label: 'SEO', icon: Search },
   { id: 'social', label: 'Social Links', icon: Globe },
   { id: 'features', label: 'Features', icon: Shield },
+  { id: 'security', label: 'Security', icon: Lock },
   { id: 'ads', label: 'Advertisements', icon: Megaphone },
   { id: 'code', label: 'Custom Code', icon: Code },
 ];
@@ -63,6 +64,7 @@ export function SiteSettingsPage() {
     },
     socialLinks: [],
     features: {},
+    security: {},
     customCode: {
       headerScripts: '',
       footerScripts: '',
@@ -87,6 +89,7 @@ export function SiteSettingsPage() {
         seo: settings.seo || {},
         socialLinks: settings.socialLinks || [],
         features: settings.features || {},
+        security: settings.security || {},
         customCode: settings.customCode || {},
       });
     }
@@ -136,6 +139,12 @@ export function SiteSettingsPage() {
     toggleFeature({ feature, enabled: newValue });
   };
 
+  const handleToggleStaffTwoFactor = () => {
+    const security = { ...form.security, requireStaffTwoFactor: !form.security.requireStaffTwoFactor };
+    setForm(prev => ({ ...prev, security }));
+    updateSettings({ security });
+  };
+
   const addSocialLink = () => {
     setForm(prev => ({
       ...prev,
@@ -516,6 +525,32 @@ export function SiteSettingsPage() {
         </div>
       )}
 
+      {activeTab === 'security' && (
+        <div className="card p-6">
+          <h2 className="text-lg font-semibold text-dark-900 dark:text-white mb-4">Account Security</h2>
+          <div className="flex items-center justify-between p-4 bg-dark-50 dark:bg-dark-800 rounded-lg">
+            <div>
+              <p className="font-medium text-dark-900 dark:text-white">Require two-factor for staff</p>
+              <p className="text-sm text-dark-500">
+                Admins and editors without two-factor authentication must set it up the next time they sign in
+              </p>
+            </div>
+            <button
+              onClick={handleToggleStaffTwoFactor}
+              className={`relative w-12 h-6 rounded-full transition-colors ${
+                form.security.requireStaffTwoFactor ? 'bg-primary-600' : 'bg-dark-300 dark:bg-dark-600'
+              }`}
+            >
+              <span
+                className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-transform ${
+                  form.security.requireStaffTwoFactor ? 'translate-x-7' : 'translate-x-1'
+                }`}
+              />
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Advertisements - Redirect to Dedicated Page */}
       {activeTab === 'ads' && (
         <div className="space-y-6">
@@ -1,27 +1,64 @@
 import { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet-async';
-import { Edit, Trash2, Users as UsersIcon, Mail, Shield } from 'lucide-react';
-import { useUsers, useUpdateUser, useDeleteUser } from '../../hooks/useApi';
+import { Edit, Trash2, Users as UsersIcon, Mail, Shield, Ban, ShieldCheck, KeyRound, Monitor } from 'lucide-react';
+import {
+  useUsers,
+  useUpdateUser,
+  useDeleteUser,
+  useCommenterSanctions,
+  useLiftCommenterSanction,
+  useResetUserTwoFactor,
+  useSecurityAuditLog,
+  useAdvertiserLinkOptions,
+} from '../../hooks/useApi';
 import { Button, Input, Modal, ContentLoader, EmptyState, Avatar, Badge, ConfirmModal } from '../../components/common/index.jsx';
-import { formatRelativeTime } from '../../utils';
+import { ActiveSessions } from '../../components/auth/ActiveSessions.jsx';
+import { CommenterSanctionModal } from '../../components/comments/CommenterSanctionModal.jsx';
+import { SANCTION_TYPES } from '../../components/comments/sanctionTypes';
+import { formatDate, formatRelativeTime } from '../../utils';
 import toast from 'react-hot-toast';
 
+const securityActionLabels = {
+  '2fa_enabled': 'Enabled two-factor',
+  '2fa_disabled': 'Disabled two-factor',
+  '2fa_reset': 'Two-factor reset',
+  '2fa_recovery_code_used': 'Used a recovery code',
+  '2fa_recovery_codes_regenerated': 'New recovery codes',
+};
+
+const emptyAdvertiser = () => ({ company: '', campaigns: [], collections: [] });
+
+const toggleId = (ids, id) => (ids.includes(id) ? ids.filter((value) => value !== id) : [...ids, id]);
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : 'Unknown');
+
 export function UsersPage() {
   const [page, setPage] = useState(1);
   const [limit, setLimit] = useState(20);
   const { data, isLoading } = useUsers({ page, limit });
   const { mutate: updateUser, isPending: isUpdating } = useUpdateUser();
   const { mutate: deleteUser, isPending: isDeleting } = useDeleteUser();
+  const { data: sanctionsData } = useCommenterSanctions({ limit: 20 });
+  const { mutate: liftSanction, isPending: isLifting } = useLiftCommenterSanction();
+  const { data: auditData } = useSecurityAuditLog({ limit: 20 });
+  const { mutate: resetTwoFactor, isPending: isResetting } = useResetUserTwoFactor();
 
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
   const [deleteModal, setDeleteModal] = useState(null);
+  const [sanctionTarget, setSanctionTarget] = useState(null);
+  const [liftModal, setLiftModal] = useState(null);
+  const [resetModal, setResetModal] = useState(null);
+  const [sessionsTarget, setSessionsTarget] = useState(null);
   const [formData, setFormData] = useState({
     firstName: '',
     lastName: '',
     email: '',
-    role: 'user'
+    role: 'user',
+    commentTrusted: false,
+    advertiser: emptyAdvertiser()
   });
+  const { data: linkOptions } = useAdvertiserLinkOptions(isModalOpen && formData.role === 'advertiser');
 
   const handleOpenModal = (user = null) => {
     if (user) {
@@ -30,7 +67,13 @@ export function UsersPage() {
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
-        role: user.role
+        role: user.role,
+        commentTrusted: !!user.commentTrusted,
+        advertiser: {
+          company: user.advertiser?.company || '',
+          campaigns: user.advertiser?.campaigns || [],
+          collections: user.advertiser?.collections || []
+        }
       });
     }
     setIsModalOpen(true);
@@ -39,7 +82,7 @@ export function UsersPage() {
   const handleCloseModal = () => {
     setIsModalOpen(false);
     setEditingUser(null);
-    setFormData({ firstName: '', lastName: '', email: '', role: 'user' });
+    setFormData({ firstName: '', lastName: '', email: '', role: 'user', commentTrusted: false, advertiser: emptyAdvertiser() });
   };
 
   const handleSubmit = (e) => {
@@ -50,8 +93,10 @@ export function UsersPage() {
       return;
     }
 
+    // Advertiser links are only sent for advertiser accounts
+    const data = formData.role === 'advertiser' ? formData : { ...formData, advertiser: undefined };
     updateUser(
-      { id: editingUser._id, data: formData },
+      { id: editingUser._id, data },
       {
         onSuccess: () => {
           handleCloseModal();
@@ -72,18 +117,45 @@ export function UsersPage() {
     }
   };
 
+  const handleLift = () => {
+    if (liftModal) {
+      liftSanction({ id: liftModal._id }, {
+        onSuccess: () => setLiftModal(null)
+      });
+    }
+  };
+
+  const handleResetTwoFactor = () => {
+    if (resetModal) {
+      resetTwoFactor({ id: resetModal._id }, {
+        onSuccess: () => setResetModal(null)
+      });
+    }
+  };
+
+  const getSanctionState = (sanction) => {
+    if (sanction.liftedAt) return { label: 'Lifted', className: 'text-dark-400' };
+    if (sanction.expiresAt && new Date(sanction.expiresAt) <= new Date()) {
+      return { label: 'Expired', className: 'text-dark-400' };
+    }
+    return { label: 'Active', className: 'text-red-500' };
+  };
+
   const getRoleBadge = (role) => {
     const config = {
       admin: { variant: 'danger', label: 'Admin' },
       editor: { variant: 'warning', label: 'Editor' },
       translator: { variant: 'success', label: 'Translator' },
       writer: { variant: 'primary', label: 'Writer' },
+      advertiser: { variant: 'neutral', label: 'Advertiser' },
       user: { variant: 'neutral', label: 'User' }
     };
     return config[role] || config.user;
   };
 
   const users = data?.data || [];
+  const sanctions = sanctionsData?.data || [];
+  const auditEntries = auditData?.data || [];
   const pagination = data?.pagination || {};
   const total = pagination.total || users.length;
   const totalPages = pagination.totalPages || 1;
@@ -132,6 +204,7 @@ export function UsersPage() {
                   <th className="text-left px-6 py-3 text-sm font-medium text-dark-500">Role</th>
                   <th className="text-left px-6 py-3 text-sm font-medium text-dark-500">Joined</th>
                   <th className="text-left px-6 py-3 text-sm font-medium text-dark-500">Status</th>
+                  <th className="text-left px-6 py-3 text-sm font-medium text-dark-500">Commenting</th>
                   <th className="px-6 py-3"></th>
                 </tr>
               </thead>
@@ -171,9 +244,59 @@ export function UsersPage() {
                         ) : (
                           <span className="text-amber-600 text-sm">Pending</span>
                         )}
+                        {user.twoFactor?.enabled && (
+                          <span className="text-primary-600 text-xs flex items-center gap-1 mt-1">
+                            <KeyRound className="w-3 h-3" />
+                            2FA on
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4">
+                        {user.commentSanction ? (
+                          <div>
+                            <Badge className={SANCTION_TYPES[user.commentSanction.type]?.badge}>
+                              {SANCTION_TYPES[user.commentSanction.type]?.label || user.commentSanction.type}
+                            </Badge>
+                            {user.commentSanction.expiresAt && (
+                              <p className="text-xs text-dark-400 mt-1">
+                                until {formatDate(user.commentSanction.expiresAt)}
+                              </p>
+                            )}
+                          </div>
+                        ) : user.commentTrusted ? (
+                          <span className="text-emerald-600 text-sm flex items-center gap-1">
+                            <ShieldCheck className="w-4 h-4" />
+                            Trusted
+                          </span>
+                        ) : (
+                          <span className="text-dark-400 text-sm">Standard</span>
+                        )}
                       </td>
                       <td className="px-6 py-4">
                         <div className="flex items-center gap-2">
+                          <button
+                            onClick={() => setSessionsTarget(user)}
+                            className="p-2 hover:bg-dark-100 dark:hover:bg-dark-700 rounded-lg transition-colors"
+                            title="Active sessions"
+                          >
+                            <Monitor className="w-4 h-4 text-dark-500" />
+                          </button>
+                          {user.twoFactor?.enabled && (
+                            <button
+                              onClick={() => setResetModal(user)}
+                              className="p-2 hover:bg-dark-100 dark:hover:bg-dark-700 rounded-lg transition-colors"
+                              title="Reset two-factor authentication"
+                            >
+                              <KeyRound className="w-4 h-4 text-dark-500" />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => setSanctionTarget({ userId: user._id, name: user.fullName })}
+                            className="p-2 hover:bg-dark-100 dark:hover:bg-dark-700 rounded-lg transition-colors"
+                            title="Commenting sanction"
+                          >
+                            <Ban className="w-4 h-4 text-dark-500" />
+                          </button>
                           <button
                             onClick={() => handleOpenModal(user)}
                             className="p-2 hover:bg-dark-100 dark:hover:bg-dark-700 rounded-lg transition-colors"
@@ -229,6 +352,80 @@ export function UsersPage() {
         />
       )}
 
+      {/* Commenter moderation log */}
+      <div className="card mt-6 overflow-hidden">
+        <div className="px-6 py-4 border-b border-dark-100 dark:border-dark-800">
+          <h2 className="font-semibold text-dark-900 dark:text-white">Commenter moderation log</h2>
+          <p className="text-sm text-dark-500">Bans, suspensions and shadow-bans, newest first</p>
+        </div>
+        {sanctions.length > 0 ? (
+          <ul className="divide-y divide-dark-100 dark:divide-dark-800">
+            {sanctions.map((sanction) => {
+              const state = getSanctionState(sanction);
+              return (
+                <li key={sanction._id} className="px-6 py-3 flex flex-wrap items-center gap-x-4 gap-y-1">
+                  <Badge className={SANCTION_TYPES[sanction.type]?.badge}>
+                    {SANCTION_TYPES[sanction.type]?.label || sanction.type}
+                  </Badge>
+                  <span className="font-medium text-sm text-dark-900 dark:text-white">
+                    {sanction.user ? `${sanction.user.firstName} ${sanction.user.lastName}` : `Guest ${sanction.label}`}
+                  </span>
+                  <span className="text-xs text-dark-500">
+                    by {sanction.issuedBy ? `${sanction.issuedBy.firstName} ${sanction.issuedBy.lastName}` : 'Unknown'}
+                    {' '}{formatRelativeTime(sanction.createdAt)}
+                    {sanction.expiresAt && ` · until ${formatDate(sanction.expiresAt)}`}
+                  </span>
+                  {sanction.reason && (
+                    <span className="text-xs text-dark-500 italic">"{sanction.reason}"</span>
+                  )}
+                  <span className={`text-xs font-medium ml-auto ${state.className}`}>
+                    {state.label}
+                    {sanction.liftedBy && ` by ${sanction.liftedBy.firstName} ${sanction.liftedBy.lastName}`}
+                  </span>
+                  {state.label === 'Active' && (
+                    <Button size="sm" variant="ghost" onClick={() => setLiftModal(sanction)}>
+                      Lift
+                    </Button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="px-6 py-4 text-sm text-dark-500">No commenter sanctions yet</p>
+        )}
+      </div>
+
+      {/* Security audit log */}
+      <div className="card mt-6 overflow-hidden">
+        <div className="px-6 py-4 border-b border-dark-100 dark:border-dark-800">
+          <h2 className="font-semibold text-dark-900 dark:text-white">Security audit log</h2>
+          <p className="text-sm text-dark-500">Two-factor changes and resets, newest first</p>
+        </div>
+        {auditEntries.length > 0 ? (
+          <ul className="divide-y divide-dark-100 dark:divide-dark-800">
+            {auditEntries.map((entry) => (
+              <li key={entry._id} className="px-6 py-3 flex flex-wrap items-center gap-x-4 gap-y-1">
+                <Badge variant={entry.action === '2fa_reset' || entry.action === '2fa_disabled' ? 'warning' : 'neutral'}>
+                  {securityActionLabels[entry.action] || entry.action}
+                </Badge>
+                <span className="font-medium text-sm text-dark-900 dark:text-white">{personName(entry.subject)}</span>
+                <span className="text-xs text-dark-500">
+                  {entry.actor && String(entry.actor._id) !== String(entry.subject?._id) && `by ${personName(entry.actor)} `}
+                  {formatRelativeTime(entry.createdAt)}
+                  {entry.ip && ` · ${entry.ip}`}
+                </span>
+                {entry.reason && (
+                  <span className="text-xs text-dark-500 italic">"{entry.reason}"</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="px-6 py-4 text-sm text-dark-500">No security events yet</p>
+        )}
+      </div>
+
       {/* Edit Modal */}
       {editingUser && (
         <Modal
@@ -272,9 +469,62 @@ export function UsersPage() {
                 <option value="translator">Translator</option>
                 <option value="editor">Editor</option>
                 <option value="admin">Admin</option>
+                <option value="advertiser">Advertiser</option>
               </select>
             </div>
 
+            {formData.role === 'advertiser' && (
+              <div className="space-y-3">
+                <Input
+                  label="Company"
+                  maxLength={120}
+                  value={formData.advertiser.company}
+                  onChange={(e) => setFormData({ ...formData, advertiser: { ...formData.advertiser, company: e.target.value } })}
+                />
+                {[
+                  ['campaigns', 'Campaigns'],
+                  ['collections', 'Ad collections'],
+                ].map(([key, label]) => (
+                  <div key={key}>
+                    <label className="label">{label}</label>
+                    <div className="max-h-40 overflow-y-auto space-y-1 rounded-lg border border-dark-200 dark:border-dark-700 p-2">
+                      {(linkOptions?.[key] || []).map((record) => (
+                        <label key={record._id} className="flex items-center gap-2 text-sm text-dark-700 dark:text-dark-300">
+                          <input
+                            type="checkbox"
+                            checked={formData.advertiser[key].includes(record._id)}
+                            onChange={() => setFormData({
+                              ...formData,
+                              advertiser: { ...formData.advertiser, [key]: toggleId(formData.advertiser[key], record._id) }
+                            })}
+                            className="w-4 h-4 text-primary-600 rounded"
+                          />
+                          {record.name}
+                          <span className="text-xs text-dark-400">{record.placement}</span>
+                        </label>
+                      ))}
+                      {linkOptions && linkOptions[key].length === 0 && (
+                        <p className="text-sm text-dark-500">None yet</p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+                <p className="text-xs text-dark-500">
+                  Advertisers only see reporting for the records ticked here, and can upload creatives for them.
+                </p>
+              </div>
+            )}
+
+            <label className="flex items-center gap-2 text-sm text-dark-700 dark:text-dark-300">
+              <input
+                type="checkbox"
+                checked={formData.commentTrusted}
+                onChange={(e) => setFormData({ ...formData, commentTrusted: e.target.checked })}
+                className="w-4 h-4 text-primary-600 rounded"
+              />
+              Trusted commenter (comments skip pre-moderation)
+            </label>
+
             <div className="flex justify-end gap-2 pt-4">
               <Button type="button" variant="secondary" onClick={handleCloseModal}>
                 Cancel
@@ -287,6 +537,41 @@ export function UsersPage() {
         </Modal>
       )}
 
+      <CommenterSanctionModal target={sanctionTarget} onClose={() => setSanctionTarget(null)} />
+
+      <Modal
+        isOpen={!!sessionsTarget}
+        onClose={() => setSessionsTarget(null)}
+        title={`Active sessions: ${sessionsTarget?.fullName || ''}`}
+      >
+        {sessionsTarget && <ActiveSessions userId={sessionsTarget._id} embedded />}
+      </Modal>
+
+      {/* Lift Sanction Confirmation Modal */}
+      <ConfirmModal
+        isOpen={!!liftModal}
+        onClose={() => setLiftModal(null)}
+        onConfirm={handleLift}
+        title="Lift Sanction"
+        message="The commenter will be able to comment normally again. The sanction stays in the log."
+        confirmText="Lift"
+        isLoading={isLifting}
+        icon={ShieldCheck}
+      />
+
+      {/* Reset Two-Factor Confirmation Modal */}
+      <ConfirmModal
+        isOpen={!!resetModal}
+        onClose={() => setResetModal(null)}
+        onConfirm={handleResetTwoFactor}
+        title="Reset Two-Factor Authentication"
+        message={`All of ${resetModal?.fullName}'s sessions and trusted devices are revoked, and they must set up two-factor again if their role requires it. The reset is recorded in the security audit log.`}
+        confirmText="Reset"
+        variant="danger"
+        isLoading={isResetting}
+        icon={KeyRound}
+      />
+
       {/* Delete Confirmation Modal */}
       <ConfirmModal
         isOpen={!!deleteModal}
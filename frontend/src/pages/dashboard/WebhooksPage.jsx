@@ -0,0 +1,440 @@
+import { useState } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { Plus, Edit, Webhook, Copy, Trash2, ScrollText, Send, RefreshCw, RotateCcw } from 'lucide-react';
+import {
+  useWebhooks,
+  useWebhookDeliveries,
+  useCreateWebhook,
+  useUpdateWebhook,
+  useDeleteWebhook,
+  useRotateWebhookSecret,
+  usePingWebhook,
+  useRedeliverWebhook,
+} from '../../hooks/useApi';
+import { Button, Input, Textarea, Modal, Badge, ContentLoader, EmptyState, ConfirmModal } from '../../components/common/index.jsx';
+import { cn, formatRelativeTime } from '../../utils';
+import toast from 'react-hot-toast';
+import useLanguage from '../../hooks/useLanguage';
+
+const EVENT_LABELS = {
+  'article.published': 'An article goes live (final approval or schedule)',
+  'translation.approved': 'An editor approves a translation',
+  'comment.created': 'A reader comment goes live',
+};
+
+const DELIVERY_STATUS_VARIANTS = {
+  pending: 'warning',
+  succeeded: 'success',
+  dead: 'danger',
+};
+
+const DELIVERY_FILTERS = ['', 'pending', 'succeeded', 'dead'];
+
+const emptyForm = () => ({
+  name: '',
+  description: '',
+  url: '',
+  events: ['article.published'],
+  active: true,
+});
+
+function DeliveryLog({ webhook }) {
+  const { translateText } = useLanguage();
+  const [page, setPage] = useState(1);
+  const [status, setStatus] = useState('');
+  const { data, isLoading } = useWebhookDeliveries(webhook._id, { page, limit: 20, status: status || undefined });
+  const { mutate: redeliver, isPending: isRedelivering, variables: redeliveringId } = useRedeliverWebhook();
+
+  const deliveries = data?.data || [];
+  const pagination = data?.pagination || { page: 1, totalPages: 1 };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        {DELIVERY_FILTERS.map((value) => (
+          <Button
+            key={value || 'all'}
+            size="sm"
+            variant={status === value ? 'primary' : 'outline'}
+            onClick={() => { setStatus(value); setPage(1); }}
+          >
+            {translateText(value ? value.charAt(0).toUpperCase() + value.slice(1) : 'All')}
+          </Button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <ContentLoader />
+      ) : deliveries.length === 0 ? (
+        <p className="text-sm text-dark-500 py-4">{translateText('No deliveries yet.')}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-dark-500 border-b border-dark-100 dark:border-dark-800">
+                <th className="py-2 pr-4">{translateText('Time')}</th>
+                <th className="py-2 pr-4">{translateText('Event')}</th>
+                <th className="py-2 pr-4">{translateText('Status')}</th>
+                <th className="py-2 pr-4">{translateText('Last result')}</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map((delivery) => (
+                <tr key={delivery._id} className="border-b border-dark-100 dark:border-dark-800 last:border-0 align-top">
+                  <td className="py-2 pr-4 text-dark-500 whitespace-nowrap">{formatRelativeTime(delivery.createdAt)}</td>
+                  <td className="py-2 pr-4 font-mono text-xs text-dark-900 dark:text-white">{delivery.event}</td>
+                  <td className="py-2 pr-4">
+                    <Badge variant={DELIVERY_STATUS_VARIANTS[delivery.status]}>{translateText(delivery.status)}</Badge>
+                    <p className="text-xs text-dark-400 mt-1">
+                      {delivery.attempts} {translateText('attempts')}
+                      {delivery.status === 'pending' && delivery.attempts > 0
+                        && ` · ${translateText('retry')} ${formatRelativeTime(delivery.nextAttemptAt)}`}
+                    </p>
+                  </td>
+                  <td className={cn('py-2 pr-4 text-xs break-all', delivery.lastError ? 'text-red-600' : 'text-emerald-600')}>
+                    {delivery.lastError || (delivery.lastStatusCode ? `HTTP ${delivery.lastStatusCode}` : '—')}
+                  </td>
+                  <td className="py-2 text-right">
+                    {delivery.status !== 'pending' && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        leftIcon={<RotateCcw className="w-3.5 h-3.5" />}
+                        isLoading={isRedelivering && redeliveringId === delivery._id}
+                        onClick={() => redeliver(delivery._id)}
+                      >
+                        {translateText('Redeliver')}
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-center gap-2">
+          <Button size="sm" variant="outline" disabled={page === 1} onClick={() => setPage(page - 1)}>
+            {translateText('Previous')}
+          </Button>
+          <span className="text-sm text-dark-500">{pagination.page} / {pagination.totalPages}</span>
+          <Button size="sm" variant="outline" disabled={page === pagination.totalPages} onClick={() => setPage(page + 1)}>
+            {translateText('Next')}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function WebhooksPage() {
+  const { translateText } = useLanguage();
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingWebhook, setEditingWebhook] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [secret, setSecret] = useState(null);
+  const [deleteModal, setDeleteModal] = useState(null);
+  const [rotateModal, setRotateModal] = useState(null);
+  const [logWebhook, setLogWebhook] = useState(null);
+
+  const { data, isLoading } = useWebhooks();
+  const { mutate: createWebhook, isPending: isCreating } = useCreateWebhook();
+  const { mutate: updateWebhook, isPending: isUpdating } = useUpdateWebhook();
+  const { mutate: deleteWebhook, isPending: isDeleting } = useDeleteWebhook();
+  const { mutate: rotateSecret, isPending: isRotating } = useRotateWebhookSecret();
+  const { mutate: pingWebhook, isPending: isPinging, variables: pingingId } = usePingWebhook();
+
+  const webhooks = data?.webhooks || [];
+  const events = data?.events || Object.keys(EVENT_LABELS);
+
+  const handleOpenModal = (webhook = null) => {
+    setEditingWebhook(webhook);
+    setFormData(webhook
+      ? {
+        name: webhook.name,
+        description: webhook.description || '',
+        url: webhook.url,
+        events: webhook.events,
+        active: webhook.active,
+      }
+      : emptyForm());
+    setIsModalOpen(true);
+  };
+
+  const handleCloseModal = () => {
+    setIsModalOpen(false);
+    setEditingWebhook(null);
+  };
+
+  const toggleEvent = (event) => {
+    setFormData((prev) => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter((item) => item !== event)
+        : [...prev.events, event],
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (formData.events.length === 0) {
+      toast.error(translateText('Select at least one event'));
+      return;
+    }
+
+    if (editingWebhook) {
+      updateWebhook({ id: editingWebhook._id, data: formData }, { onSuccess: handleCloseModal });
+    } else {
+      createWebhook(formData, {
+        onSuccess: (response) => {
+          handleCloseModal();
+          setSecret(response.data.data.secret);
+        },
+      });
+    }
+  };
+
+  const handleCopySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      toast.success(translateText('Signing secret copied'));
+    } catch {
+      toast.error(translateText('Could not copy to clipboard'));
+    }
+  };
+
+  const handleDelete = () => {
+    if (deleteModal) {
+      deleteWebhook(deleteModal._id, { onSuccess: () => setDeleteModal(null) });
+    }
+  };
+
+  const handleRotate = () => {
+    if (rotateModal) {
+      rotateSecret(rotateModal._id, {
+        onSuccess: (response) => {
+          setRotateModal(null);
+          setSecret(response.data.data.secret);
+        },
+      });
+    }
+  };
+
+  if (isLoading) return <ContentLoader />;
+
+  return (
+    <>
+      <Helmet><title>{`${translateText('Webhooks')} - Bassac Post`}</title></Helmet>
+
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between mb-6">
+        <div>
+          <p className="text-xs uppercase tracking-[0.2em] text-dark-400">{translateText('Administration')}</p>
+          <h1 className="text-2xl font-bold text-dark-900 dark:text-white">{translateText('Webhooks')}</h1>
+          <p className="text-dark-500 mt-1">{translateText('Notify the app push service, partner sites and chat tools when content changes')}</p>
+        </div>
+        <Button leftIcon={<Plus className="w-4 h-4" />} onClick={() => handleOpenModal()}>
+          {translateText('New Webhook')}
+        </Button>
+      </div>
+
+      {webhooks.length > 0 ? (
+        <div className="space-y-3">
+          {webhooks.map((webhook) => (
+            <div key={webhook._id} className={cn('card p-4', !webhook.active && 'opacity-60')}>
+              <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+                <div className="min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <h3 className="font-semibold text-dark-900 dark:text-white">{webhook.name}</h3>
+                    <Badge variant={webhook.active ? 'success' : 'neutral'}>
+                      {translateText(webhook.active ? 'Active' : 'Disabled')}
+                    </Badge>
+                    {webhook.deliveryStats?.dead > 0 && (
+                      <Badge variant="danger">{webhook.deliveryStats.dead} {translateText('dead')}</Badge>
+                    )}
+                    {webhook.deliveryStats?.pending > 0 && (
+                      <Badge variant="warning">{webhook.deliveryStats.pending} {translateText('pending')}</Badge>
+                    )}
+                  </div>
+                  <code className="block text-xs font-mono text-dark-500 break-all">{webhook.url}</code>
+                  {webhook.description && <p className="text-sm text-dark-500 mt-1">{webhook.description}</p>}
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {webhook.events.map((event) => (
+                      <Badge key={event} variant="primary">{event}</Badge>
+                    ))}
+                  </div>
+                  <p className="text-xs text-dark-400 mt-2">
+                    {webhook.lastDeliveryAt
+                      ? `${translateText('Last delivery')} ${formatRelativeTime(webhook.lastDeliveryAt)} · ${translateText(webhook.lastDeliveryStatus)}`
+                      : translateText('Nothing delivered yet')}
+                  </p>
+                </div>
+                <div className="flex shrink-0 flex-wrap gap-2">
+                  <Button size="sm" variant="outline" leftIcon={<ScrollText className="w-3.5 h-3.5" />} onClick={() => setLogWebhook(webhook)}>
+                    {translateText('Deliveries')}
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    leftIcon={<Send className="w-3.5 h-3.5" />}
+                    isLoading={isPinging && pingingId === webhook._id}
+                    disabled={!webhook.active}
+                    onClick={() => pingWebhook(webhook._id)}
+                  >
+                    {translateText('Ping')}
+                  </Button>
+                  <button onClick={() => handleOpenModal(webhook)} className="btn btn-sm btn-secondary" title={translateText('Edit')}>
+                    <Edit className="w-3.5 h-3.5" />
+                  </button>
+                  <button onClick={() => setRotateModal(webhook)} className="btn btn-sm btn-secondary" title={translateText('Rotate secret')}>
+                    <RefreshCw className="w-3.5 h-3.5" />
+                  </button>
+                  <button
+                    onClick={() => setDeleteModal(webhook)}
+                    className="btn btn-sm btn-outline text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                    title={translateText('Delete')}
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <EmptyState
+          icon={Webhook}
+          title={translateText('No webhooks yet')}
+          description={translateText('Add an endpoint to receive signed JSON events as articles, translations and comments come in')}
+        />
+      )}
+
+      <Modal
+        isOpen={isModalOpen}
+        onClose={handleCloseModal}
+        title={editingWebhook ? translateText('Edit Webhook') : translateText('New Webhook')}
+        size="lg"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            label="Name"
+            maxLength={100}
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            required
+          />
+          <Input
+            label="Payload URL"
+            type="url"
+            placeholder="https://partner.example.com/hooks/bassac"
+            maxLength={2000}
+            value={formData.url}
+            onChange={(e) => setFormData({ ...formData, url: e.target.value })}
+            required
+          />
+          <Textarea
+            label="Description (Optional)"
+            maxLength={500}
+            className="min-h-[60px]"
+            value={formData.description}
+            onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          />
+
+          <div>
+            <label className="label">{translateText('Events')}</label>
+            <div className="space-y-2">
+              {events.map((event) => (
+                <label key={event} className="flex items-start gap-2 text-sm text-dark-700 dark:text-dark-300">
+                  <input
+                    type="checkbox"
+                    className="mt-0.5"
+                    checked={formData.events.includes(event)}
+                    onChange={() => toggleEvent(event)}
+                  />
+                  <span>
+                    <code className="font-mono text-xs">{event}</code>
+                    <span className="text-dark-500"> — {translateText(EVENT_LABELS[event] || event)}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-dark-700 dark:text-dark-300">
+            <input
+              type="checkbox"
+              checked={formData.active}
+              onChange={(e) => setFormData({ ...formData, active: e.target.checked })}
+            />
+            {translateText('Active')}
+          </label>
+
+          <div className="flex justify-end gap-2 pt-4">
+            <Button type="button" variant="secondary" onClick={handleCloseModal}>
+              {translateText('Cancel')}
+            </Button>
+            <Button type="submit" isLoading={isCreating || isUpdating}>
+              {editingWebhook ? translateText('Save Changes') : translateText('Create Webhook')}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      <Modal isOpen={!!secret} onClose={() => setSecret(null)} title={translateText('Signing secret')}>
+        <div className="space-y-4">
+          <p className="text-sm text-dark-600 dark:text-dark-400">
+            {translateText('Copy this secret into the receiver now. It will not be shown again.')}
+          </p>
+          <code className="block rounded-xl bg-dark-100 dark:bg-dark-800 p-4 font-mono text-sm break-all text-dark-900 dark:text-white">
+            {secret}
+          </code>
+          <p className="text-xs text-dark-500">
+            {translateText('Verify X-Webhook-Signature as HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>" with this secret.')}
+          </p>
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" leftIcon={<Copy className="w-4 h-4" />} onClick={handleCopySecret}>
+              {translateText('Copy')}
+            </Button>
+            <Button onClick={() => setSecret(null)}>{translateText('Done')}</Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={!!logWebhook}
+        onClose={() => setLogWebhook(null)}
+        title={`${translateText('Deliveries')}: ${logWebhook?.name || ''}`}
+        size="xl"
+      >
+        {logWebhook && <DeliveryLog webhook={logWebhook} />}
+      </Modal>
+
+      <ConfirmModal
+        isOpen={!!rotateModal}
+        onClose={() => setRotateModal(null)}
+        onConfirm={handleRotate}
+        title={translateText('Rotate Signing Secret')}
+        message={rotateModal ? `${translateText('Deliveries to')} "${rotateModal.name}" ${translateText('will be signed with a new secret immediately. Update the receiver right after.')}` : ''}
+        confirmText={translateText('Rotate')}
+        variant="warning"
+        isLoading={isRotating}
+        icon={RefreshCw}
+      />
+
+      <ConfirmModal
+        isOpen={!!deleteModal}
+        onClose={() => setDeleteModal(null)}
+        onConfirm={handleDelete}
+        title={translateText('Delete Webhook')}
+        message={deleteModal ? `"${deleteModal.name}" ${translateText('and its delivery history will be deleted. Queued retries are dropped.')}` : ''}
+        confirmText={translateText('Delete')}
+        variant="danger"
+        isLoading={isDeleting}
+        icon={Trash2}
+      />
+    </>
+  );
+}
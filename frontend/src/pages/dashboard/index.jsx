@@ -1,7 +1,7 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
-import { BarChart3, FileText, Eye, Clock, CheckCircle, PenTool, TrendingUp, Plus, Edit, Trash2, Camera, AlertCircle, ExternalLink, Users, Layers, Activity, RotateCcw } from 'lucide-react';
+import { BarChart3, FileText, Eye, Clock, CheckCircle, PenTool, TrendingUp, Plus, Edit, Trash2, Camera, AlertCircle, ExternalLink, Users, Layers, Activity, RotateCcw, CalendarClock } from 'lucide-react';
 import {
   useDashboardSummary,
   useAnalyticsViews,
@@ -24,7 +24,9 @@ import {
 import { usersAPI } from '../../services/api';
 import { useAuthStore } from '../../stores/authStore';
 import useLanguage from '../../hooks/useLanguage';
-import { Button, ContentLoader, StatusBadge, Avatar, Modal, Input, Textarea, EmptyState, ConfirmModal, AlertModal, Skeleton } from '../../components/common/index.jsx';
+import { TwoFactorSettings } from '../../components/auth/TwoFactorSettings.jsx';
+import { ActiveSessions } from '../../components/auth/ActiveSessions.jsx';
+import { Button, ContentLoader, Badge, StatusBadge, TranslationProgressChips, Avatar, Modal, Input, Textarea, EmptyState, ConfirmModal, AlertModal, Skeleton } from '../../components/common/index.jsx';
 import { formatNumber, formatRelativeTime, buildMediaUrl } from '../../utils';
 import toast from 'react-hot-toast';
 
@@ -1049,6 +1051,25 @@ export function MyArticlesPage() {
   );
 }
 
+const WORKFLOW_TRANSLATION_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'km', label: 'Khmer' },
+  { code: 'zh', label: 'Chinese' },
+];
+
+// Stage deadline from the workflow queue API (dueAt / isOverdue)
+function WorkflowDeadlineBadge({ article }) {
+  const { translateText } = useLanguage();
+  if (!article?.dueAt) return null;
+
+  return (
+    <Badge variant={article.isOverdue ? 'danger' : 'neutral'} className="flex items-center gap-1">
+      <Clock className="w-3 h-3" />
+      {article.isOverdue ? translateText('Overdue') : translateText('Due')} {formatRelativeTime(article.dueAt)}
+    </Badge>
+  );
+}
+
 export function PendingArticlesPage() {
   const { translateText } = useLanguage();
   const { user } = useAuthStore();
@@ -1063,11 +1084,15 @@ export function PendingArticlesPage() {
     language: '',
   });
   const [reasonInput, setReasonInput] = useState('');
+  const [scheduleModal, setScheduleModal] = useState({ isOpen: false, articleId: '', articleTitle: '' });
+  const [scheduleInput, setScheduleInput] = useState('');
   const [alertModal, setAlertModal] = useState({ isOpen: false, message: '' });
+  const [commissionModal, setCommissionModal] = useState({ isOpen: false, articleId: '', articleTitle: '', languages: [] });
+  const [reviewLanguages, setReviewLanguages] = useState({});
 
-  const editorQueueQuery = useEditorWorkflowQueue({}, { enabled: role === 'editor' });
-  const translatorQueueQuery = useTranslatorWorkflowQueue({}, { enabled: isTranslationContributor });
-  const adminQueueQuery = useAdminWorkflowQueue({}, { enabled: role === 'admin' });
+  const editorQueueQuery = useEditorWorkflowQueue({ sort: 'due' }, { enabled: role === 'editor' });
+  const translatorQueueQuery = useTranslatorWorkflowQueue({ sort: 'due' }, { enabled: isTranslationContributor });
+  const adminQueueQuery = useAdminWorkflowQueue({ sort: 'due' }, { enabled: role === 'admin' });
 
   const { mutate: sourceApprove, isPending: isApprovingSource } = useWorkflowSourceApprove();
   const { mutate: sourceRequestChanges, isPending: isRequestingSourceChanges } = useWorkflowSourceRequestChanges();
@@ -1108,6 +1133,69 @@ export function PendingArticlesPage() {
     });
   };
 
+  const openScheduleModal = (article) => {
+    setScheduleInput('');
+    setScheduleModal({ isOpen: true, articleId: article?._id || '', articleTitle: article?.title || '' });
+  };
+
+  const openCommissionModal = (article) => {
+    const sourceLanguage = article?.language || 'en';
+    setCommissionModal({
+      isOpen: true,
+      articleId: article?._id || '',
+      articleTitle: article?.title || '',
+      sourceLanguage,
+      languages: WORKFLOW_TRANSLATION_LANGUAGES.map((item) => item.code).filter((code) => code !== sourceLanguage),
+    });
+  };
+
+  const closeCommissionModal = () => {
+    setCommissionModal({ isOpen: false, articleId: '', articleTitle: '', languages: [] });
+  };
+
+  const toggleCommissionLanguage = (code) => {
+    setCommissionModal((current) => ({
+      ...current,
+      languages: current.languages.includes(code)
+        ? current.languages.filter((item) => item !== code)
+        : [...current.languages, code],
+    }));
+  };
+
+  const applyCommission = () => {
+    if (!commissionModal.languages.length) {
+      setAlertModal({ isOpen: true, message: translateText('Select at least one translation language') });
+      return;
+    }
+
+    sourceApprove(
+      {
+        id: commissionModal.articleId,
+        notes: '',
+        translations: commissionModal.languages.map((language) => ({ language })),
+      },
+      { onSuccess: closeCommissionModal }
+    );
+  };
+
+  const closeScheduleModal = () => {
+    setScheduleInput('');
+    setScheduleModal({ isOpen: false, articleId: '', articleTitle: '' });
+  };
+
+  const applySchedule = () => {
+    const publishAt = scheduleInput ? new Date(scheduleInput) : null;
+    if (!publishAt || Number.isNaN(publishAt.getTime()) || publishAt.getTime() <= Date.now()) {
+      setAlertModal({ isOpen: true, message: translateText('Please choose a publish time in the future') });
+      return;
+    }
+
+    finalApprove(
+      { id: scheduleModal.articleId, notes: '', scheduledPublishAt: publishAt.toISOString() },
+      { onSuccess: closeScheduleModal }
+    );
+  };
+
   const applyReasonAction = () => {
     if (!reasonInput.trim()) {
       setAlertModal({ isOpen: true, message: translateText('Please provide a reason') });
@@ -1201,6 +1289,7 @@ export function PendingArticlesPage() {
                             {article.title}
                           </Link>
                           <StatusBadge status={article.status} />
+                          <WorkflowDeadlineBadge article={article} />
                         </div>
                         <p className="text-xs text-dark-500 mb-2">
                           {translateText('By')} {article.author?.fullName || `${article.author?.firstName || ''} ${article.author?.lastName || ''}`.trim() || translateText('Unknown')} • {formatRelativeTime(article.createdAt)}
@@ -1215,7 +1304,7 @@ export function PendingArticlesPage() {
                         </Link>
                         <Button
                           size="sm"
-                          onClick={() => sourceApprove({ id: article._id, notes: '' })}
+                          onClick={() => openCommissionModal(article)}
                           isLoading={isApprovingSource}
                           leftIcon={<CheckCircle className="w-4 h-4" />}
                         >
@@ -1244,8 +1333,10 @@ export function PendingArticlesPage() {
             editorTranslationQueue.length > 0 ? (
               <div className="space-y-4">
                 {editorTranslationQueue.map((article) => {
-                  const languageOptions = Array.isArray(article.pendingTranslationLanguages) ? article.pendingTranslationLanguages : [];
-                  const selectedLanguage = languageOptions[0] || 'zh';
+                  const languageOptions = article.translationProgress?.awaitingReview?.length
+                    ? article.translationProgress.awaitingReview
+                    : Array.isArray(article.pendingTranslationLanguages) ? article.pendingTranslationLanguages : [];
+                  const selectedLanguage = reviewLanguages[article._id] || languageOptions[0] || 'zh';
                   return (
                     <div key={article._id} className="card p-5">
                       <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
@@ -1255,14 +1346,28 @@ export function PendingArticlesPage() {
                               {article.title}
                             </Link>
                             <StatusBadge status={article.status} />
+                            <WorkflowDeadlineBadge article={article} />
                           </div>
                           <p className="text-xs text-dark-500 mb-2">
                             {translateText('By')} {article.author?.fullName || `${article.author?.firstName || ''} ${article.author?.lastName || ''}`.trim() || translateText('Unknown')}
                             {' • '}
                             {translateText('Submitted')}: {formatRelativeTime(article.workflow?.timestamps?.translationSubmittedAt || article.updatedAt)}
                           </p>
+                          <TranslationProgressChips progress={article.translationProgress} />
                         </div>
                         <div className="flex flex-wrap gap-2">
+                          {languageOptions.length > 1 && (
+                            <select
+                              value={selectedLanguage}
+                              onChange={(event) => setReviewLanguages((current) => ({ ...current, [article._id]: event.target.value }))}
+                              className="input py-1 text-sm w-auto"
+                              aria-label={translateText('Language to review')}
+                            >
+                              {languageOptions.map((language) => (
+                                <option key={language} value={language}>{language.toUpperCase()}</option>
+                              ))}
+                            </select>
+                          )}
                           <Link to={`/dashboard/articles/${article._id}/edit`}>
                             <Button variant="secondary" size="sm" leftIcon={<Edit className="w-4 h-4" />}>
                               {translateText('Open')}
@@ -1310,10 +1415,12 @@ export function PendingArticlesPage() {
                         {article.title}
                       </Link>
                       <StatusBadge status={article.status} />
+                      <WorkflowDeadlineBadge article={article} />
                     </div>
                     <p className="text-xs text-dark-500 mb-2">
                       {translateText('Ready for translation')} • {formatRelativeTime(article.workflow?.timestamps?.sourceReviewedAt || article.updatedAt)}
                     </p>
+                    <TranslationProgressChips progress={article.translationProgress} />
                   </div>
                   <div className="flex flex-wrap gap-2">
                     <Link to={`/dashboard/articles/${article._id}/edit`}>
@@ -1343,6 +1450,7 @@ export function PendingArticlesPage() {
                         {article.title}
                       </Link>
                       <StatusBadge status={article.status} />
+                      <WorkflowDeadlineBadge article={article} />
                     </div>
                     <p className="text-xs text-dark-500 mb-2">
                       {translateText('Ready for final review')} • {formatRelativeTime(article.workflow?.timestamps?.translationReviewedAt || article.updatedAt)}
@@ -1363,6 +1471,14 @@ export function PendingArticlesPage() {
                     >
                       {translateText('Publish')}
                     </Button>
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={() => openScheduleModal(article)}
+                      leftIcon={<CalendarClock className="w-4 h-4" />}
+                    >
+                      {translateText('Schedule')}
+                    </Button>
                     <Button
                       variant="danger"
                       size="sm"
@@ -1408,6 +1524,59 @@ export function PendingArticlesPage() {
         </div>
       </Modal>
 
+      <Modal
+        isOpen={commissionModal.isOpen}
+        onClose={closeCommissionModal}
+        title={translateText('Approve Source')}
+      >
+        <div className="mb-4">
+          <p className="text-sm text-dark-500 mb-3">{commissionModal.articleTitle}</p>
+          <p className="text-sm font-medium text-dark-700 dark:text-dark-200 mb-2">{translateText('Commission translations')}</p>
+          <div className="flex flex-wrap gap-4">
+            {WORKFLOW_TRANSLATION_LANGUAGES
+              .filter((item) => item.code !== commissionModal.sourceLanguage)
+              .map((item) => (
+                <label key={item.code} className="inline-flex items-center gap-2 text-sm text-dark-700 dark:text-dark-200">
+                  <input
+                    type="checkbox"
+                    checked={commissionModal.languages.includes(item.code)}
+                    onChange={() => toggleCommissionLanguage(item.code)}
+                  />
+                  {translateText(item.label)}
+                </label>
+              ))}
+          </div>
+        </div>
+        <div className="flex justify-end gap-2">
+          <Button variant="secondary" onClick={closeCommissionModal}>{translateText('Cancel')}</Button>
+          <Button onClick={applyCommission} isLoading={isApprovingSource}>
+            {translateText('Approve Source')}
+          </Button>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={scheduleModal.isOpen}
+        onClose={closeScheduleModal}
+        title={translateText('Schedule Publication')}
+      >
+        <div className="mb-4">
+          <p className="text-sm text-dark-500 mb-2">{scheduleModal.articleTitle}</p>
+          <Input
+            type="datetime-local"
+            label={translateText('Publish at')}
+            value={scheduleInput}
+            onChange={(event) => setScheduleInput(event.target.value)}
+          />
+        </div>
+        <div className="flex justify-end gap-2">
+          <Button variant="secondary" onClick={closeScheduleModal}>{translateText('Cancel')}</Button>
+          <Button onClick={applySchedule} isLoading={isFinalApproving}>
+            {translateText('Schedule')}
+          </Button>
+        </div>
+      </Modal>
+
       <AlertModal
         isOpen={alertModal.isOpen}
         onClose={() => setAlertModal({ isOpen: false, message: '' })}
@@ -1714,6 +1883,10 @@ export function ProfilePage() {
             <Button type="submit" isLoading={isPending}>{translateText('Save Changes')}</Button>
           </form>
         </div>
+        <div className="lg:col-span-3 space-y-6">
+          <TwoFactorSettings />
+          <ActiveSessions />
+        </div>
       </div>
       <Modal
         isOpen={avatarEditor.isOpen}
@@ -1853,3 +2026,8 @@ export { NotificationsPage } from './NotificationsPage';
 export { AdsControlPage } from './AdsControlPage';
 export { AdInsightsPage } from './AdInsightsPage';
 export { ArticleInsightsPage } from './ArticleInsightsPage';
+export { BreakingNewsPage } from './BreakingNewsPage';
+export { ApiKeysPage } from './ApiKeysPage';
+export { WebhooksPage } from './WebhooksPage';
+export { AdvertiserPortalPage } from './AdvertiserPortalPage';
+export { AdCreativeReviewPage } from './AdCreativeReviewPage';
@@ -1,13 +1,13 @@
 import { useEffect, useRef, useState } from 'react';
 import { Link, useNavigate, useParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
-import { ArrowRight, Calendar, Eye, Facebook, Linkedin, ArrowLeft, Mail, MessageCircle, ThumbsUp, Reply, Send, Trash2, CheckCircle, Link2 } from 'lucide-react';
+import { ArrowRight, Calendar, Eye, Facebook, Linkedin, ArrowLeft, Mail, MessageCircle, ThumbsUp, Reply, Send, Trash2, CheckCircle, Link2, Flag } from 'lucide-react';
 import { useInfiniteQuery } from '@tanstack/react-query';
-import { useLatestArticles, useResolvedArticleBySlug, useRelatedArticles, usePublicSettings, useCreateComment, useLikeComment, useDeleteComment } from '../../hooks/useApi';
+import { useLatestArticles, useResolvedArticleBySlug, useRelatedArticles, usePublicSettings, useCreateComment, useLikeComment, useDeleteComment, useReportComment } from '../../hooks/useApi';
 import { useArticleAds, useSelectAds, useTrackAdEvent, useDeviceType } from '../../hooks/useAds';
 import { articlesAPI, commentsAPI } from '../../services/api';
-import { ArticleContent } from '../../components/article/index.jsx';
-import { Button, Avatar, Badge, ArticleDetailSkeleton, Input, Textarea, ConfirmModal } from '../../components/common/index.jsx';
+import { ArticleContent, ArticleImage } from '../../components/article/index.jsx';
+import { Button, Avatar, Badge, ArticleDetailSkeleton, Input, Textarea, ConfirmModal, Modal } from '../../components/common/index.jsx';
 import { BodyAd } from '../../components/ads/index.js';
 import { InlineAdGroup } from '../../components/ads/inlineAds.jsx';
 import { buildMediaUrl, formatDate, cn, formatRelativeTime } from '../../utils';
@@ -86,7 +86,16 @@ function NewsListWithExcerpt({ articles, isLoading, emptyMessage, imageSize = 'm
 
 // ==================== ARTICLES PAGE ====================
 
-function CommentItem({ comment, isReply = false, onLike, onDelete, onReplyClick, replyTo, user, isAuthenticated }) {
+const COMMENT_REPORT_REASONS = [
+  { value: 'spam', label: 'Spam or advertising' },
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'hate_speech', label: 'Hate speech' },
+  { value: 'misinformation', label: 'False or misleading' },
+  { value: 'off_topic', label: 'Off topic' },
+  { value: 'other', label: 'Something else' },
+];
+
+function CommentItem({ comment, isReply = false, onLike, onDelete, onReport, onReplyClick, replyTo, user, isAuthenticated }) {
   const { translateText } = useLanguage();
   const authorName = comment.author
     ? `${comment.author.firstName} ${comment.author.lastName}`
@@ -95,6 +104,7 @@ function CommentItem({ comment, isReply = false, onLike, onDelete, onReplyClick,
     comment.author?._id === user?._id ||
     ['admin', 'editor'].includes(user?.role)
   );
+  const canReport = isAuthenticated && comment.author?._id !== user?._id;
 
   return (
     <div className={cn('group', isReply && 'ml-8 sm:ml-12 mt-4')}>
@@ -162,6 +172,15 @@ function CommentItem({ comment, isReply = false, onLike, onDelete, onReplyClick,
                 <Trash2 className="w-3.5 h-3.5" />
               </button>
             )}
+            {canReport && (
+              <button
+                onClick={() => onReport(comment._id)}
+                className="flex items-center gap-1 text-xs text-dark-400 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all"
+                title={translateText('Report')}
+              >
+                <Flag className="w-3.5 h-3.5" />
+              </button>
+            )}
           </div>
 
           {/* Replies */}
@@ -174,6 +193,7 @@ function CommentItem({ comment, isReply = false, onLike, onDelete, onReplyClick,
                   isReply
                   onLike={onLike}
                   onDelete={onDelete}
+                  onReport={onReport}
                   onReplyClick={onReplyClick}
                   replyTo={replyTo}
                   user={user}
@@ -188,8 +208,27 @@ function CommentItem({ comment, isReply = false, onLike, onDelete, onReplyClick,
   );
 }
 
+// Honeypot: off-screen field people never fill; the API marks comments that include it as spam
+function HoneypotField({ value, onChange }) {
+  return (
+    <div aria-hidden="true" style={{ position: 'absolute', left: '-10000px', width: 1, height: 1, overflow: 'hidden' }}>
+      <label>
+        Website
+        <input
+          type="text"
+          name="website"
+          tabIndex={-1}
+          autoComplete="off"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      </label>
+    </div>
+  );
+}
+
 // ==================== REPLY FORM COMPONENT ====================
-function ReplyForm({ commentId, onSubmit, onCancel, isSubmitting, isAuthenticated, guestName, setGuestName, guestEmail, setGuestEmail }) {
+function ReplyForm({ commentId, onSubmit, onCancel, isSubmitting, isAuthenticated, guestName, setGuestName, guestEmail, setGuestEmail, honeypot, setHoneypot }) {
   const { translateText } = useLanguage();
   const [content, setContent] = useState('');
 
@@ -201,13 +240,14 @@ function ReplyForm({ commentId, onSubmit, onCancel, isSubmitting, isAuthenticate
   };
 
   return (
-    <form onSubmit={handleSubmit} className="mt-4 ml-8 sm:ml-12">
+    <form onSubmit={handleSubmit} className="relative mt-4 ml-8 sm:ml-12">
       <Textarea
         value={content}
         onChange={(e) => setContent(e.target.value)}
         placeholder={translateText('Write a reply...')}
         className="text-sm min-h-[80px]"
       />
+      <HoneypotField value={honeypot} onChange={setHoneypot} />
       {!isAuthenticated && (
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-2">
           <Input
@@ -276,12 +316,17 @@ function CommentsSection({ articleId }) {
   const { mutate: createComment, isPending: isSubmitting } = useCreateComment();
   const { mutate: likeComment } = useLikeComment();
   const { mutate: deleteComment, isPending: isDeleting } = useDeleteComment();
+  const { mutate: reportComment, isPending: isReporting } = useReportComment();
 
   const [newComment, setNewComment] = useState('');
   const [replyTo, setReplyTo] = useState(null);
   const [guestName, setGuestName] = useState('');
   const [guestEmail, setGuestEmail] = useState('');
+  const [honeypot, setHoneypot] = useState('');
   const [deleteModal, setDeleteModal] = useState(null);
+  const [reportModal, setReportModal] = useState(null);
+  const [reportReason, setReportReason] = useState('spam');
+  const [reportNote, setReportNote] = useState('');
 
   const comments = data?.pages?.flatMap((page) => page?.data?.comments || []) || [];
 
@@ -289,7 +334,7 @@ function CommentsSection({ articleId }) {
     e.preventDefault();
     if (!newComment.trim()) return;
 
-    const commentData = { content: newComment };
+    const commentData = { content: newComment, website: honeypot };
     if (!isAuthenticated) {
       if (!guestName.trim() || !guestEmail.trim()) {
         return;
@@ -311,7 +356,7 @@ function CommentsSection({ articleId }) {
   };
 
   const handleReply = (content, parentId) => {
-    const replyData = { content, parentId };
+    const replyData = { content, parentId, website: honeypot };
     if (!isAuthenticated) {
       if (!guestName.trim() || !guestEmail.trim()) {
         return;
@@ -343,6 +388,21 @@ function CommentsSection({ articleId }) {
     }
   };
 
+  const openReport = (commentId) => {
+    setReportReason('spam');
+    setReportNote('');
+    setReportModal(commentId);
+  };
+
+  const handleReport = (e) => {
+    e.preventDefault();
+    if (!reportModal) return;
+    reportComment(
+      { id: reportModal, reason: reportReason, note: reportNote.trim() },
+      { onSuccess: () => setReportModal(null) }
+    );
+  };
+
   const handleReplyClick = (commentId) => {
     setReplyTo(replyTo === commentId ? null : commentId);
   };
@@ -355,7 +415,8 @@ function CommentsSection({ articleId }) {
       </h3>
 
       {/* Comment Form */}
-      <form onSubmit={handleSubmit} className="mb-8">
+      <form onSubmit={handleSubmit} className="relative mb-8">
+        <HoneypotField value={honeypot} onChange={setHoneypot} />
         <Textarea
           value={newComment}
           onChange={(e) => setNewComment(e.target.value)}
@@ -414,6 +475,7 @@ function CommentsSection({ articleId }) {
                 comment={comment}
                 onLike={handleLike}
                 onDelete={(commentId) => setDeleteModal(commentId)}
+                onReport={openReport}
                 onReplyClick={handleReplyClick}
                 replyTo={replyTo}
                 user={user}
@@ -430,6 +492,8 @@ function CommentsSection({ articleId }) {
                   setGuestName={setGuestName}
                   guestEmail={guestEmail}
                   setGuestEmail={setGuestEmail}
+                  honeypot={honeypot}
+                  setHoneypot={setHoneypot}
                 />
               )}
             </div>
@@ -465,6 +529,74 @@ function CommentsSection({ articleId }) {
         isLoading={isDeleting}
         icon={Trash2}
       />
+
+      {/* Report Comment Modal */}
+      <Modal
+        isOpen={!!reportModal}
+        onClose={() => setReportModal(null)}
+        title={translateText('Report Comment')}
+        size="sm"
+      >
+        <form onSubmit={handleReport} className="space-y-4">
+          <div>
+            <label className="label">{translateText('Why are you reporting this comment?')}</label>
+            <select
+              value={reportReason}
+              onChange={(e) => setReportReason(e.target.value)}
+              className="input"
+            >
+              {COMMENT_REPORT_REASONS.map((reason) => (
+                <option key={reason.value} value={reason.value}>{translateText(reason.label)}</option>
+              ))}
+            </select>
+          </div>
+          <Textarea
+            value={reportNote}
+            onChange={(e) => setReportNote(e.target.value)}
+            placeholder={translateText('Anything moderators should know? (optional)')}
+            maxLength={500}
+            rows={3}
+          />
+          <div className="flex justify-end gap-3">
+            <Button type="button" variant="ghost" onClick={() => setReportModal(null)}>
+              {translateText('Cancel')}
+            </Button>
+            <Button type="submit" variant="danger" disabled={isReporting}>
+              <Flag className="w-4 h-4 mr-2" />
+              {isReporting ? translateText('Reporting...') : translateText('Report')}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+}
+
+// ==================== PAYWALL NOTICE ====================
+function PaywallNotice({ paywall }) {
+  const { translateText } = useLanguage();
+  const { isAuthenticated } = useAuthStore();
+  const isPremium = paywall?.reason === 'premium_required';
+
+  return (
+    <div className="relative -mt-24 pt-24 bg-gradient-to-t from-white via-white/95 to-transparent dark:from-dark-950 dark:via-dark-950/95">
+      <div className="card p-6 sm:p-8 text-center">
+        <h3 className="text-xl font-bold text-dark-900 dark:text-white mb-2">
+          {isPremium
+            ? translateText('This story is for subscribers')
+            : translateText("You've reached your free article limit")}
+        </h3>
+        <p className="text-dark-600 dark:text-dark-400 mb-6">
+          {isPremium
+            ? translateText('Subscribe to read premium journalism from our newsroom.')
+            : translateText('Subscribe for unlimited access, or come back next month for more free articles.')}
+        </p>
+        {!isAuthenticated && (
+          <Link to="/login">
+            <Button>{translateText('Sign in')}</Button>
+          </Link>
+        )}
+      </div>
     </div>
   );
 }
@@ -779,7 +911,7 @@ export function ArticlePage() {
                         </div>
                       ) : (
                         <div className="aspect-[16/9] lg:aspect-[2/1]">
-                          <img loading="lazy" src={imageUrl} alt={title} className="w-full h-full object-cover" />
+                          <ArticleImage article={article} src={imageUrl} alt={title} sizes="(min-width: 1024px) 66vw, 100vw" className="w-full h-full object-cover" />
                         </div>
                       )}
                     </div>
@@ -832,6 +964,8 @@ export function ArticlePage() {
                 onAdClick={(adData, meta) => trackAd(adData, 'click', meta)}
               />
 
+              {article.paywall?.locked && <PaywallNotice paywall={article.paywall} />}
+
               {articleAds?.after_article?.length > 0 && (
                 <div className="my-10 space-y-6">
                   {articleAds.after_article.map((ad) => (
@@ -4,7 +4,7 @@ import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom'
 import { Helmet } from 'react-helmet-async';
 import { ArrowRight, Clock, Eye, Search, X, TrendingUp, User, ArrowUpRight, ExternalLink, ChevronUp, ChevronDown, ChevronLeft, ChevronRight } from 'lucide-react';
 import { useInfiniteQuery } from '@tanstack/react-query';
-import { useCategories, usePublicSettings } from '../../hooks/useApi';
+import { useCategories, usePublicProfile, usePublicSettings } from '../../hooks/useApi';
 import { useSelectAds, useTrackAdEvent, useDeviceType } from '../../hooks/useAds';
 import { articlesAPI } from '../../services/api';
 import { ArticleCard } from '../../components/article/index.jsx';
@@ -189,6 +189,96 @@ function SearchFeedCard({ article }) {
   );
 }
 
+// Multi-select search facets, sent to /articles/search as comma-separated params
+const SEARCH_FACET_KEYS = ['categories', 'tags', 'authors', 'languages', 'postTypes', 'months'];
+
+const readFacetParams = (searchParams) => Object.fromEntries(
+  SEARCH_FACET_KEYS
+    .map((key) => [key, searchParams.get(key) || ''])
+    .filter(([, value]) => value)
+);
+
+function SearchFilters({ facets, onToggle, onClear, hasSelection }) {
+  const { t, translateText, language } = useLanguage();
+  const languageNames = useMemo(() => {
+    try {
+      return new Intl.DisplayNames([language], { type: 'language' });
+    } catch {
+      return null;
+    }
+  }, [language]);
+
+  const groups = [
+    { key: 'categories', title: t('search.facets.categories', 'Categories') },
+    { key: 'tags', title: t('search.facets.tags', 'Tags'), format: (value) => `#${value}` },
+    { key: 'authors', title: t('search.facets.authors', 'Authors') },
+    {
+      key: 'languages',
+      title: t('search.facets.languages', 'Language'),
+      format: (value) => languageNames?.of(value) || value.toUpperCase(),
+    },
+    {
+      key: 'postTypes',
+      title: t('search.facets.postTypes', 'Type'),
+      format: (value) => (value === 'video' ? translateText('Video') : translateText('News')),
+    },
+    {
+      key: 'months',
+      title: t('search.facets.months', 'Published'),
+      format: (value) => new Date(`${value}-01T00:00:00Z`).toLocaleDateString(language, {
+        month: 'short',
+        year: 'numeric',
+        timeZone: 'UTC',
+      }),
+    },
+  ].filter((group) => facets?.[group.key]?.length);
+
+  if (!groups.length) return null;
+
+  return (
+    <section className="mb-6 rounded-2xl border border-dark-100 dark:border-dark-800 bg-white dark:bg-dark-900 p-4 sm:p-5 shadow-sm">
+      <div className="mb-3 flex items-center justify-between gap-3">
+        <p className="text-xs uppercase tracking-[0.2em] text-dark-400">{t('search.filters', 'Filters')}</p>
+        {hasSelection && (
+          <button
+            type="button"
+            onClick={onClear}
+            className="inline-flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700"
+          >
+            <X className="w-4 h-4" />
+            {t('search.clearFilters', 'Clear filters')}
+          </button>
+        )}
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-5">
+        {groups.map((group) => (
+          <fieldset key={group.key} className="min-w-0">
+            <legend className="mb-2 text-sm font-semibold text-dark-900 dark:text-white">{group.title}</legend>
+            <ul className="space-y-1.5 max-h-48 overflow-y-auto pr-1">
+              {facets[group.key].map((bucket) => (
+                <li key={bucket.value}>
+                  <label className="flex items-center gap-2 text-sm text-dark-600 dark:text-dark-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(bucket.selected)}
+                      onChange={() => onToggle(group.key, bucket.value)}
+                      className="rounded border-dark-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span className="flex-1 truncate">
+                      {group.format ? group.format(bucket.value) : (bucket.label || bucket.value)}
+                    </span>
+                    <span className="text-xs text-dark-400">{bucket.count}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </fieldset>
+        ))}
+      </div>
+    </section>
+  );
+}
+
 // ==================== ARTICLES PAGE ====================
 export function ArticlesPage() {
   const navigate = useNavigate();
@@ -197,6 +287,8 @@ export function ArticlesPage() {
   const hasLegacyVideoFeed = searchParams.get('feed') === 'video';
   const categorySlug = searchParams.get('category') || '';
   const searchQuery = searchParams.get('q') || '';
+  const facetParams = useMemo(() => readFacetParams(searchParams), [searchParams]);
+  const hasFacetSelection = Object.keys(facetParams).length > 0;
   const [search, setSearch] = useState(searchQuery);
   const loadMoreRef = useRef(null);
   const limit = 10;
@@ -208,14 +300,14 @@ export function ArticlesPage() {
     hasNextPage,
     isFetchingNextPage,
   } = useInfiniteQuery({
-    queryKey: ['articles', 'infinite', { category: categorySlug, q: searchQuery, limit, language }],
+    queryKey: ['articles', 'infinite', { category: categorySlug, q: searchQuery, facets: facetParams, limit, language }],
     queryFn: async ({ pageParam = 1 }) => {
       const params = {
         page: pageParam,
         limit,
         language,
         ...(categorySlug ? { category: categorySlug } : {}),
-        ...(searchQuery ? { q: searchQuery } : {}),
+        ...(searchQuery ? { q: searchQuery, ...facetParams } : {}),
       };
       const response = searchQuery
         ? await articlesAPI.search(params)
@@ -275,6 +367,7 @@ export function ArticlesPage() {
     .filter((ad, index, arr) => ad?._id && arr.findIndex((item) => item?._id === ad._id) === index);
   const inlineSidebarAds = sidebarStackAds.slice(0, 2);
   const isSearchMode = Boolean(searchQuery);
+  const searchFacets = articlesPages?.pages?.[0]?.facets;
   const pageUrl = typeof window !== 'undefined' ? window.location.pathname : '';
   const articles = articlesPages?.pages?.flatMap((page) => (
     page?.data?.articles || page?.data || page?.articles || []
@@ -344,6 +437,25 @@ export function ArticlesPage() {
     setSearchParams(params);
   };
 
+  const toggleFacet = (key, value) => {
+    const params = new URLSearchParams(searchParams);
+    const values = (params.get(key) || '').split(',').filter(Boolean);
+    const next = values.includes(value)
+      ? values.filter((item) => item !== value)
+      : [...values, value];
+    if (next.length) params.set(key, next.join(','));
+    else params.delete(key);
+    params.set('page', '1');
+    setSearchParams(params);
+  };
+
+  const clearFacets = () => {
+    const params = new URLSearchParams(searchParams);
+    SEARCH_FACET_KEYS.forEach((key) => params.delete(key));
+    params.set('page', '1');
+    setSearchParams(params);
+  };
+
   if (hasLegacyVideoFeed) {
     return null;
   }
@@ -402,6 +514,15 @@ export function ArticlesPage() {
               </div>
             )}
 
+            {isSearchMode && (
+              <SearchFilters
+                facets={searchFacets}
+                onToggle={toggleFacet}
+                onClear={clearFacets}
+                hasSelection={hasFacetSelection}
+              />
+            )}
+
             {searchAd && (
               <div className="mb-6">
                 <BodyAd
@@ -2570,3 +2691,99 @@ export function CategoryPage() {
         </>
     );
 }
+
+export function AuthorPage() {
+    const { t, translateText } = useLanguage();
+    const { id } = useParams();
+    const { data: profile, isLoading, isError } = usePublicProfile(id);
+    const { data: settings } = usePublicSettings();
+
+    const siteName = settings?.siteName || 'Bassac Post';
+    const author = profile?.user;
+    const authorName = author?.fullName || `${author?.firstName || ''} ${author?.lastName || ''}`.trim();
+    const recentArticles = profile?.recentArticles || [];
+
+    if (isLoading) {
+        return (
+            <div className="container-custom py-10">
+                <ArticleListSkeleton count={5} />
+            </div>
+        );
+    }
+
+    if (isError || !author) {
+        return (
+            <div className="container-custom py-16 text-center">
+                <h1 className="font-display text-2xl font-bold text-dark-900 dark:text-white">
+                    {translateText('Author not found')}
+                </h1>
+                <Link to="/articles" className="inline-block mt-4">
+                    <Button variant="outline" size="sm">{t('search.allNews', 'All News')}</Button>
+                </Link>
+            </div>
+        );
+    }
+
+    return (
+        <>
+            <Helmet>
+                <title>{`${authorName} - ${siteName}`}</title>
+                {author.bio && <meta name="description" content={author.bio} />}
+            </Helmet>
+
+            <div className="container-custom py-6 sm:py-10">
+                <div className="rounded-3xl border border-dark-100 dark:border-dark-800 bg-white/80 dark:bg-dark-900/40 p-5 sm:p-8 flex flex-col sm:flex-row sm:items-center gap-5">
+                    {author.avatar ? (
+                        <img
+                            src={buildMediaUrl(author.avatar)}
+                            alt={authorName}
+                            className="w-20 h-20 rounded-full object-cover"
+                        />
+                    ) : (
+                        <div className="w-20 h-20 rounded-full bg-dark-100 dark:bg-dark-800 flex items-center justify-center">
+                            <User className="w-8 h-8 text-dark-400" />
+                        </div>
+                    )}
+                    <div className="min-w-0">
+                        <h1 className="font-display text-2xl sm:text-3xl font-bold text-dark-900 dark:text-white">{authorName}</h1>
+                        {author.bio && (
+                            <p className="text-sm sm:text-base text-dark-600 dark:text-dark-400 mt-2">{author.bio}</p>
+                        )}
+                        <p className="text-xs text-dark-500 dark:text-dark-400 mt-2">
+                            {translateText('Published articles')}: <span className="font-semibold">{profile?.stats?.articles || 0}</span>
+                        </p>
+                    </div>
+                </div>
+
+                <h2 className="font-display text-lg font-semibold text-dark-900 dark:text-white mt-8 mb-4">
+                    {translateText('Recent articles')}
+                </h2>
+                {recentArticles.length === 0 ? (
+                    <p className="text-sm text-dark-500 dark:text-dark-400">{translateText('No articles yet')}</p>
+                ) : (
+                    <ul className="divide-y divide-dark-100 dark:divide-dark-800">
+                        {recentArticles.map((article) => (
+                            <li key={article._id} className="py-3">
+                                <Link
+                                    to={`/article/${article.slug}`}
+                                    className="font-medium text-dark-900 dark:text-white hover:text-primary-600 dark:hover:text-primary-400"
+                                >
+                                    {article.title}
+                                </Link>
+                                <div className="flex items-center gap-2 mt-1 text-xs text-dark-500 dark:text-dark-400">
+                                    {article.category?.name && <span>{article.category.name}</span>}
+                                    {article.publishedAt && (
+                                        <span className="inline-flex items-center gap-1">
+                                            <Clock className="w-3 h-3" />
+                                            {formatRelativeTime(article.publishedAt)}
+                                        </span>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </>
+    );
+}
@@ -1,11 +1,12 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import { Link, useSearchParams, useNavigate, useLocation } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
-import { Eye as EyeIcon, EyeOff, Mail, Camera, CheckCircle, RotateCcw, Facebook } from 'lucide-react';
+import { Eye as EyeIcon, EyeOff, Mail, Camera, CheckCircle, RotateCcw, Facebook, ShieldCheck } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { useLogin, useRegister, useUpdateProfile } from '../../hooks/useApi';
-import { authAPI, usersAPI, newsletterAPI } from '../../services/api';
+import { useLogin, useRegister, useUpdateProfile, useVerifyTwoFactor } from '../../hooks/useApi';
+import { authAPI, usersAPI, newsletterAPI, commentsAPI } from '../../services/api';
 import { Button, Avatar, Input, Textarea, Modal } from '../../components/common/index.jsx';
+import { TwoFactorSetup } from '../../components/auth/TwoFactorSetup.jsx';
 import { buildApiUrl, buildMediaUrl } from '../../utils';
 import { useAuthStore } from '../../stores/authStore';
 import useLanguage from '../../hooks/useLanguage';
@@ -62,6 +63,76 @@ function SocialAuthButtons({ isBusy = false }) {
   );
 }
 
+// Second sign-in step: a code from the authenticator app (or a recovery
+// code), or enrollment when site policy requires 2FA and none is set up yet.
+function TwoFactorLoginStep({ challenge, onSignedIn, onCancel }) {
+  const { translateText } = useLanguage();
+  const storeLogin = useAuthStore((state) => state.login);
+  const { mutate: verify, isPending } = useVerifyTwoFactor();
+  const [code, setCode] = useState('');
+  const [trustDevice, setTrustDevice] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    verify(
+      { challengeToken: challenge.challengeToken, code: code.trim(), trustDevice },
+      { onSuccess: (response) => onSignedIn(response.data.data.user) }
+    );
+  };
+
+  if (challenge.setupRequired) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-dark-600 dark:text-dark-400">
+          {translateText('Your role requires two-factor authentication. Set it up to finish signing in.')}
+        </p>
+        <TwoFactorSetup
+          challengeToken={challenge.challengeToken}
+          onComplete={(result) => {
+            storeLogin(result.user, result.accessToken, result.refreshToken);
+            onSignedIn(result.user);
+          }}
+        />
+        <button type="button" onClick={onCancel} className="w-full text-sm link-primary">{translateText('Back to sign in')}</button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex justify-center">
+        <div className="w-12 h-12 rounded-full bg-primary-100 dark:bg-primary-900/30 flex items-center justify-center">
+          <ShieldCheck className="w-6 h-6 text-primary-600" />
+        </div>
+      </div>
+      <p className="text-sm text-center text-dark-600 dark:text-dark-400">
+        {translateText('Enter the 6-digit code from your authenticator app, or one of your recovery codes.')}
+      </p>
+      <Input
+        label="Verification code"
+        autoComplete="one-time-code"
+        placeholder="123456"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        maxLength={20}
+        autoFocus
+        required
+      />
+      <label className="flex items-center gap-2 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={trustDevice}
+          onChange={(e) => setTrustDevice(e.target.checked)}
+          className="w-4 h-4 text-primary-600 rounded focus:ring-2 focus:ring-primary-500"
+        />
+        <span className="text-sm text-dark-600 dark:text-dark-400">{translateText('Trust this device for 30 days')}</span>
+      </label>
+      <Button type="submit" className="w-full" size="lg" isLoading={isPending}>{translateText('Verify')}</Button>
+      <button type="button" onClick={onCancel} className="w-full text-sm link-primary">{translateText('Back to sign in')}</button>
+    </form>
+  );
+}
+
 export function LoginPage() {
   const { t, translateText } = useLanguage();
   const [email, setEmail] = useState('');
@@ -73,6 +144,13 @@ export function LoginPage() {
   const location = useLocation();
   const { mutate: login, isPending } = useLogin();
   const from = location.state?.from?.pathname || '/dashboard';
+  // Social sign-in hands over its challenge through router state
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(location.state?.twoFactor || null);
+
+  const finishSignIn = (loggedInUser) => {
+    const destination = loggedInUser?.profileCompletionRequired ? '/complete-profile' : from;
+    navigate(destination, { replace: true });
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -86,9 +164,12 @@ export function LoginPage() {
       { email, password },
       {
         onSuccess: (response) => {
-          const loggedInUser = response?.data?.data?.user;
-          const destination = loggedInUser?.profileCompletionRequired ? '/complete-profile' : from;
-          navigate(destination, { replace: true });
+          const payload = response?.data?.data;
+          if (payload?.twoFactorRequired) {
+            setTwoFactorChallenge(payload);
+            return;
+          }
+          finishSignIn(payload?.user);
         },
       }
     );
@@ -107,48 +188,63 @@ export function LoginPage() {
           </Link>
 
           <div className="card p-8">
-            <h1 className="text-2xl font-bold text-dark-900 dark:text-white text-center mb-6">{t('auth.signIn', 'Sign In')}</h1>
-
-            <SocialAuthButtons isBusy={isPending} />
-            <div className="my-5 flex items-center gap-3 text-xs text-dark-500">
-              <span className="h-px flex-1 bg-dark-200 dark:bg-dark-700" />
-              <span>{t('auth.orUseEmail', 'or use email')}</span>
-              <span className="h-px flex-1 bg-dark-200 dark:bg-dark-700" />
-            </div>
+            <h1 className="text-2xl font-bold text-dark-900 dark:text-white text-center mb-6">
+              {twoFactorChallenge ? translateText('Two-Factor Authentication') : t('auth.signIn', 'Sign In')}
+            </h1>
+
+            {twoFactorChallenge ? (
+              <TwoFactorLoginStep
+                challenge={twoFactorChallenge}
+                onSignedIn={finishSignIn}
+                onCancel={() => {
+                  setTwoFactorChallenge(null);
+                  setPassword('');
+                }}
+              />
+            ) : (
+              <>
+                <SocialAuthButtons isBusy={isPending} />
+                <div className="my-5 flex items-center gap-3 text-xs text-dark-500">
+                  <span className="h-px flex-1 bg-dark-200 dark:bg-dark-700" />
+                  <span>{t('auth.orUseEmail', 'or use email')}</span>
+                  <span className="h-px flex-1 bg-dark-200 dark:bg-dark-700" />
+                </div>
 
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <Input label="Email" type="email" placeholder="you@example.com" value={email} onChange={(e) => setEmail(e.target.value)} error={errors.email} required />
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  <Input label="Email" type="email" placeholder="you@example.com" value={email} onChange={(e) => setEmail(e.target.value)} error={errors.email} required />
 
-              <div className="relative">
-                <Input label="Password" type={showPassword ? 'text' : 'password'} placeholder="••••••••" value={password} onChange={(e) => setPassword(e.target.value)} error={errors.password} required />
-                <button type="button" onClick={() => setShowPassword(!showPassword)} className="absolute right-3 top-[38px] text-dark-400 hover:text-dark-600 dark:hover:text-dark-300">
-                  {showPassword ? <EyeOff className="w-5 h-5" /> : <EyeIcon className="w-5 h-5" />}
-                </button>
-              </div>
+                  <div className="relative">
+                    <Input label="Password" type={showPassword ? 'text' : 'password'} placeholder="••••••••" value={password} onChange={(e) => setPassword(e.target.value)} error={errors.password} required />
+                    <button type="button" onClick={() => setShowPassword(!showPassword)} className="absolute right-3 top-[38px] text-dark-400 hover:text-dark-600 dark:hover:text-dark-300">
+                      {showPassword ? <EyeOff className="w-5 h-5" /> : <EyeIcon className="w-5 h-5" />}
+                    </button>
+                  </div>
 
-              <div className="flex items-center justify-between">
-                <label className="flex items-center gap-2 cursor-pointer">
-                  <input type="checkbox" className="w-4 h-4 text-primary-600 rounded focus:ring-2 focus:ring-primary-500" />
-                  <span className="text-sm text-dark-600 dark:text-dark-400">{t('auth.rememberMe', 'Remember me')}</span>
-                </label>
-                <Link to="/forgot-password" className="text-sm link-primary">{t('auth.forgotPassword', 'Forgot password?')}</Link>
-              </div>
+                  <div className="flex items-center justify-between">
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input type="checkbox" className="w-4 h-4 text-primary-600 rounded focus:ring-2 focus:ring-primary-500" />
+                      <span className="text-sm text-dark-600 dark:text-dark-400">{t('auth.rememberMe', 'Remember me')}</span>
+                    </label>
+                    <Link to="/forgot-password" className="text-sm link-primary">{t('auth.forgotPassword', 'Forgot password?')}</Link>
+                  </div>
 
-              <Button type="submit" className="w-full" size="lg" isLoading={isPending}>{t('auth.signIn', 'Sign In')}</Button>
-            </form>
+                  <Button type="submit" className="w-full" size="lg" isLoading={isPending}>{t('auth.signIn', 'Sign In')}</Button>
+                </form>
 
-            <p className="mt-6 text-center text-dark-500">
-              {t('auth.noAccount', "Don't have an account?")} <Link to="/register" className="font-medium link-primary">{t('auth.signUp', 'Sign up')}</Link>
-            </p>
+                <p className="mt-6 text-center text-dark-500">
+                  {t('auth.noAccount', "Don't have an account?")} <Link to="/register" className="font-medium link-primary">{t('auth.signUp', 'Sign up')}</Link>
+                </p>
 
-            <div className="mt-6 p-4 bg-dark-100 dark:bg-dark-800 rounded-xl">
-              <p className="text-sm font-medium text-dark-600 dark:text-dark-400 mb-2">{translateText('Demo Accounts:')}</p>
-              <div className="text-xs text-dark-500 space-y-1">
-                <p>{translateText('Admin')}: admin@bassacmedia.com / Admin@123</p>
-                <p>{translateText('Editor')}: editor@bassacmedia.com / Editor@123</p>
-                <p>{translateText('Writer')}: writer@bassacmedia.com / Writer@123</p>
-              </div>
-            </div>
+                <div className="mt-6 p-4 bg-dark-100 dark:bg-dark-800 rounded-xl">
+                  <p className="text-sm font-medium text-dark-600 dark:text-dark-400 mb-2">{translateText('Demo Accounts:')}</p>
+                  <div className="text-xs text-dark-500 space-y-1">
+                    <p>{translateText('Admin')}: admin@bassacmedia.com / Admin@123</p>
+                    <p>{translateText('Editor')}: editor@bassacmedia.com / Editor@123</p>
+                    <p>{translateText('Writer')}: writer@bassacmedia.com / Writer@123</p>
+                  </div>
+                </div>
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -655,6 +751,10 @@ export function SocialAuthCallbackPage() {
         if (cancelled) return;
 
         const payload = response?.data?.data;
+        if (payload?.twoFactorRequired) {
+          navigate('/login', { replace: true, state: { twoFactor: payload } });
+          return;
+        }
         if (!payload?.user || !payload?.accessToken || !payload?.refreshToken) {
           throw new Error('Invalid social login payload');
         }
@@ -1351,6 +1451,77 @@ export function NewsletterConfirmPage() {
   );
 }
 
+// ==================== Comment Email Verification Page ====================
+export function CommentVerifyPage() {
+  const { translateText } = useLanguage();
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    if (!token) {
+      setStatus('error');
+      setMessage('Invalid verification link.');
+      return;
+    }
+
+    const verify = async () => {
+      try {
+        const response = await commentsAPI.verifyGuest(token);
+        setStatus('success');
+        setMessage(response.data?.message || 'Your email is confirmed.');
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Verification failed. The link may have expired.');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-dark-50 dark:bg-dark-950 px-4">
+      <Helmet>
+        <title>{`${translateText('Confirm Email')} - Bassac Post`}</title>
+      </Helmet>
+      <div className="w-full max-w-md">
+        <div className="card p-8 text-center">
+          {status === 'verifying' && (
+            <>
+              <div className="w-16 h-16 mx-auto mb-4 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+              <h1 className="text-2xl font-bold text-dark-900 dark:text-white mb-2">{translateText('Confirming Email')}</h1>
+              <p className="text-dark-500">{translateText('Please wait while we confirm your email...')}</p>
+            </>
+          )}
+          {status === 'success' && (
+            <>
+              <div className="w-16 h-16 mx-auto mb-4 bg-emerald-100 dark:bg-emerald-900/30 rounded-full flex items-center justify-center">
+                <CheckCircle className="w-8 h-8 text-emerald-600" />
+              </div>
+              <h1 className="text-2xl font-bold text-dark-900 dark:text-white mb-2">{translateText('Email Confirmed!')}</h1>
+              <p className="text-dark-500 mb-4">{translateText(message)}</p>
+              <Link to="/" className="btn btn-primary">{translateText('Go Home')}</Link>
+            </>
+          )}
+          {status === 'error' && (
+            <>
+              <div className="w-16 h-16 mx-auto mb-4 bg-red-100 dark:bg-red-900/30 rounded-full flex items-center justify-center">
+                <svg className="w-8 h-8 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </div>
+              <h1 className="text-2xl font-bold text-dark-900 dark:text-white mb-2">{translateText('Verification Failed')}</h1>
+              <p className="text-dark-500 mb-6">{translateText(message)}</p>
+              <Link to="/" className="btn btn-primary">{translateText('Go Home')}</Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ==================== Newsletter Unsubscribe Page ====================
 export function NewsletterUnsubscribePage() {
   const { translateText } = useLanguage();
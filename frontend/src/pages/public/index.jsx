@@ -1,5 +1,5 @@
 export { HomePage } from './home.jsx';
-export { ArticlesPage, VideosPage, CategoriesListPage, CategoryPage } from './articles.jsx';
+export { ArticlesPage, VideosPage, CategoriesListPage, CategoryPage, AuthorPage } from './articles.jsx';
 export { ArticlePage } from './article-detail.jsx';
 export {
   LoginPage,
@@ -7,6 +7,7 @@ export {
   AccountPage,
   VerifyEmailPage,
   NewsletterConfirmPage,
+  CommentVerifyPage,
   NewsletterUnsubscribePage,
   ForgotPasswordPage,
   ResetPasswordPage,
@@ -67,6 +67,26 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Refresh tokens rotate on every use and replaying a spent one revokes the
+// session, so concurrent 401s must share a single refresh request.
+let refreshPromise = null;
+
+function refreshSession(refreshToken) {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_URL}/auth/refresh`, { refreshToken }, { withCredentials: true })
+      .then((response) => {
+        const { accessToken, refreshToken: newRefreshToken } = response.data.data;
+        useAuthStore.getState().setTokens(accessToken, newRefreshToken);
+        return accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
 // Response interceptor - handle token refresh and CSRF errors
 api.interceptors.response.use(
   (response) => response,
@@ -110,14 +130,7 @@ api.interceptors.response.use(
         try {
           const refreshToken = useAuthStore.getState().refreshToken;
           if (refreshToken) {
-            const response = await axios.post(`${API_URL}/auth/refresh`, {
-              refreshToken,
-            }, {
-              withCredentials: true,
-            });
-
-            const { accessToken, refreshToken: newRefreshToken } = response.data.data;
-            useAuthStore.getState().setTokens(accessToken, newRefreshToken);
+            const accessToken = await refreshSession(refreshToken);
 
             originalRequest.headers.Authorization = `Bearer ${accessToken}`;
             return api(originalRequest);
@@ -157,6 +170,15 @@ export const authAPI = {
   getMe: () => api.get('/auth/me'),
   forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
   resetPassword: (data) => api.post('/auth/reset-password', data),
+  verifyTwoFactor: (data) => api.post('/auth/2fa/verify', data),
+  setupTwoFactor: (data = {}) => api.post('/auth/2fa/setup', data),
+  enableTwoFactor: (data) => api.post('/auth/2fa/enable', data),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  disableTwoFactor: (code) => api.post('/auth/2fa/disable', { code }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  getSessions: (params) => api.get('/auth/sessions', { params }),
+  revokeSession: (id, params) => api.delete(`/auth/sessions/${id}`, { params }),
+  revokeOtherSessions: (params) => api.delete('/auth/sessions', { params }),
 };
 
 // News API
@@ -187,6 +209,11 @@ export const articlesAPI = {
   submitTranslationWorkflow: (id, payload = {}) => api.post(`/articles/${id}/workflow/translation-submit`, payload),
   approveTranslationWorkflow: (id, payload = {}) => api.put(`/articles/${id}/workflow/translation-approve`, payload),
   requestTranslationChangesWorkflow: (id, payload = {}) => api.put(`/articles/${id}/workflow/translation-request-changes`, payload),
+  getTranslationProgress: (id) => api.get(`/articles/${id}/workflow/translations`),
+  updateTranslationAssignments: (id, translations) =>
+    api.put(`/articles/${id}/workflow/translation-assignments`, { translations }),
+  removeTranslationAssignment: (id, language) =>
+    api.delete(`/articles/${id}/workflow/translation-assignments/${language}`),
   finalApproveWorkflow: (id, payload = {}) => api.put(`/articles/${id}/workflow/final-approve`, payload),
   finalRejectWorkflow: (id, payload = {}) => api.put(`/articles/${id}/workflow/final-reject`, payload),
   approve: (id, notes) => api.put(`/articles/${id}/approve`, { notes }),
@@ -206,6 +233,7 @@ export const categoriesAPI = {
 export const usersAPI = {
   getAll: (params) => api.get('/users', { params }),
   getById: (id) => api.get(`/users/${id}`),
+  getPublicProfile: (id) => api.get(`/users/profile/${id}`),
   update: (id, data) => api.put(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
   updateProfile: (data) => api.put('/users/profile', data),
@@ -213,6 +241,8 @@ export const usersAPI = {
     api.post('/users/avatar', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
     }),
+  resetTwoFactor: (id, data) => api.post(`/users/${id}/2fa/reset`, data),
+  getSecurityAudit: (params) => api.get('/users/security-audit', { params }),
 };
 
 // Upload API
@@ -271,10 +301,68 @@ export const commentsAPI = {
   update: (id, data) => api.put(`/comments/${id}`, data),
   delete: (id) => api.delete(`/comments/${id}`),
   like: (id) => api.post(`/comments/${id}/like`),
+  report: (id, data) => api.post(`/comments/${id}/report`, data),
+  verifyGuest: (token) => api.post('/comments/verify-guest', { token }),
   // Admin
   getAll: (params) => api.get('/comments', { params }),
   moderate: (id, data) => api.put(`/comments/${id}/moderate`, data),
   bulkModerate: (data) => api.post('/comments/bulk-moderate', data),
+  getSanctions: (params) => api.get('/comments/sanctions', { params }),
+  sanction: (data) => api.post('/comments/sanctions', data),
+  liftSanction: (id, data) => api.post(`/comments/sanctions/${id}/lift`, data),
+};
+
+// Breaking News API
+export const breakingNewsAPI = {
+  getActive: () => api.get('/breaking-news/active'),
+  trackView: (id) => api.post(`/breaking-news/${id}/view`),
+  trackClick: (id) => api.post(`/breaking-news/${id}/click`),
+  // Newsroom
+  getAll: (params) => api.get('/breaking-news', { params }),
+  getStats: (params) => api.get('/breaking-news/stats', { params }),
+  create: (data) => api.post('/breaking-news', data),
+  update: (id, data) => api.put(`/breaking-news/${id}`, data),
+  delete: (id) => api.delete(`/breaking-news/${id}`),
+  publish: (id) => api.post(`/breaking-news/${id}/publish`),
+  expire: (id) => api.post(`/breaking-news/${id}/expire`),
+};
+
+// API keys for machine clients (admin)
+export const apiKeysAPI = {
+  getAll: () => api.get('/api-keys'),
+  create: (data) => api.post('/api-keys', data),
+  update: (id, data) => api.put(`/api-keys/${id}`, data),
+  revoke: (id) => api.post(`/api-keys/${id}/revoke`),
+  getRequests: (id, params) => api.get(`/api-keys/${id}/requests`, { params }),
+};
+
+export const webhooksAPI = {
+  getAll: () => api.get('/webhooks'),
+  create: (data) => api.post('/webhooks', data),
+  update: (id, data) => api.put(`/webhooks/${id}`, data),
+  delete: (id) => api.delete(`/webhooks/${id}`),
+  rotateSecret: (id) => api.post(`/webhooks/${id}/rotate-secret`),
+  ping: (id) => api.post(`/webhooks/${id}/ping`),
+  getDeliveries: (id, params) => api.get(`/webhooks/${id}/deliveries`, { params }),
+  redeliver: (deliveryId) => api.post(`/webhooks/deliveries/${deliveryId}/redeliver`),
+};
+
+// Advertiser portal, plus the staff review queue for their creatives
+export const advertiserAPI = {
+  getPortal: () => api.get('/advertiser/portal'),
+  getReport: (params) => api.get('/advertiser/report', { params }),
+  exportReport: (params) => api.get('/advertiser/report', { params, responseType: 'blob' }),
+  getCreatives: () => api.get('/advertiser/creatives'),
+  submitCreative: (formData) =>
+    api.post('/advertiser/creatives', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+  // Staff
+  getCampaignOptions: () => api.get('/campaigns', { params: { limit: 100 } }),
+  getCollectionOptions: () => api.get('/ad-collections', { params: { limit: 100 } }),
+  getReviewQueue: (params) => api.get('/advertiser/creatives/review', { params }),
+  approveCreative: (id, data) => api.post(`/advertiser/creatives/${id}/approve`, data),
+  rejectCreative: (id, data) => api.post(`/advertiser/creatives/${id}/reject`, data),
 };
 
 export default api;
@@ -109,6 +109,19 @@ export function buildMediaUrl(path = '') {
   return normalizedPath;
 }
 
+// Resolve every URL in a srcset ("url 320w, url 640w") against the media origin
+export function buildMediaSrcset(srcset = '') {
+  if (!srcset) return '';
+  return srcset
+    .split(',')
+    .map((candidate) => {
+      const [url, descriptor] = candidate.trim().split(/\s+/);
+      return url ? [buildMediaUrl(url), descriptor].filter(Boolean).join(' ') : '';
+    })
+    .filter(Boolean)
+    .join(', ');
+}
+
 // Get initials from name
 export function getInitials(name) {
   if (!name) return '?';
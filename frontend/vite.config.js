@@ -177,6 +177,10 @@ export default defineConfig({
         target: 'http://localhost:8888',
         changeOrigin: true,
       },
+      '^/(robots\\.txt|sitemap\\.xml|news-sitemap\\.xml|sitemaps/|feeds/)': {
+        target: 'http://localhost:8888',
+        changeOrigin: true,
+      },
     },
   },
   test: {